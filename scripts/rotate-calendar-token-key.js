@@ -0,0 +1,91 @@
+/**
+ * Script to re-encrypt calendar OAuth tokens under the current key
+ *
+ * To rotate the token encryption key, add the new key to
+ * TOKEN_ENCRYPTION_KEYS, point TOKEN_ENCRYPTION_KEY_ID at it and deploy,
+ * keeping the old key listed. Then run this script, and remove the old
+ * key once it reports no tokens left under it. Tokens stored before
+ * encryption was enabled are encrypted as well.
+ *
+ * Only the data keys are re-encrypted, so tokens are never decrypted. The
+ * new values are written to the columns directly, since the model's
+ * setters would encrypt them again.
+ *
+ * Run with: node scripts/rotate-calendar-token-key.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { sequelize } = require('../src/config/database');
+const { CalendarToken } = require('../src/models');
+const {
+  getEncryptionKeys, getSecretKeyId, getSecretContext, rewrapSecret
+} = require('../src/utils/crypto');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Re-encrypt the tokens after a calendar token ID, one batch at a time
+ * @param {string} currentKeyId - Key ID tokens should be stored under
+ * @param {boolean} dryRun - Only count the tokens to re-encrypt
+ * @param {string} [afterId] - Last calendar token ID handled
+ * @param {number} [count] - Tokens re-encrypted so far
+ * @returns {Promise<number>} Number of calendar tokens re-encrypted
+ */
+const rotateBatches = async (currentKeyId, dryRun, afterId = '', count = 0) => {
+  // Raw rows skip the model's decryption
+  const rows = await CalendarToken.findAll({
+    attributes: ['id', 'accessToken', 'refreshToken'],
+    where: { id: { [Op.gt]: afterId } },
+    order: [['id', 'ASC']],
+    limit: BATCH_SIZE,
+    raw: true
+  });
+
+  // CalDAV connections have no refresh token
+  const isStale = (value) => value !== null && getSecretKeyId(value) !== currentKeyId;
+  const stale = rows.filter((row) => isStale(row.accessToken) || isStale(row.refreshToken));
+
+  if (!dryRun) {
+    const queryInterface = sequelize.getQueryInterface();
+
+    await Promise.all(stale.map((row) => queryInterface.bulkUpdate('calendar_tokens', {
+      access_token: rewrapSecret(
+        row.accessToken,
+        getSecretContext('CalendarToken', row.id, 'accessToken')
+      ),
+      refresh_token: rewrapSecret(
+        row.refreshToken,
+        getSecretContext('CalendarToken', row.id, 'refreshToken')
+      )
+    }, { id: row.id })));
+  }
+
+  if (rows.length < BATCH_SIZE) {
+    return count + stale.length;
+  }
+
+  return rotateBatches(currentKeyId, dryRun, rows[rows.length - 1].id, count + stale.length);
+};
+
+async function rotateCalendarTokenKey() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const { currentKeyId } = getEncryptionKeys();
+    console.log(`Re-encrypting calendar tokens under key ${currentKeyId}${dryRun ? ' (dry run)' : ''}...`);
+
+    const count = await rotateBatches(currentKeyId, dryRun);
+
+    console.log(dryRun
+      ? `${count} calendar tokens would be re-encrypted`
+      : `✅ Re-encrypted ${count} calendar tokens`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+rotateCalendarTokenKey();
@@ -16,10 +16,13 @@ const cookieParser = require('cookie-parser');
 const logger = require('./config/logger');
 const { processNotifications } = require('./jobs/notification-processor');
 const { processDataRetention } = require('./jobs/data-retention-processor');
+const { processPaymentHolds } = require('./jobs/payment-hold-processor');
+const { processCalendarChannels } = require('./jobs/calendar-channel-processor');
 const { initializeCsrf, protectCsrf, protectCsrfConditional, provideCsrfToken } = require('./middlewares/csrf');
 const { initializeSession, sessionCleanup, sessionSecurity } = require('./config/session');
 const dbMonitor = require('./utils/db-monitor');
 const { errorHandler, notFoundError } = require('./utils/error-response');
+const { getEncryptionKeys } = require('./utils/crypto');
 const { requestPerformanceMiddleware, initializePerformanceMonitoring } = require('./middlewares/performance');
 const { requestLoggingMiddleware, errorLoggingMiddleware } = require('./middlewares/logging');
 const logManagementService = require('./services/log-management.service');
@@ -61,6 +64,17 @@ function validateEnvironment() {
     }
   }
 
+  // Calendar OAuth tokens are encrypted at rest with these keys
+  if (process.env.TOKEN_ENCRYPTION_KEYS) {
+    try {
+      getEncryptionKeys();
+    } catch (error) {
+      invalid.push(error.message);
+    }
+  } else if (process.env.NODE_ENV === 'production') {
+    missing.push('TOKEN_ENCRYPTION_KEYS');
+  }
+
   if (missing.length > 0) {
     logger.error(`Missing required environment variables: ${missing.join(', ')}`);
     process.exit(1);
@@ -195,7 +209,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Cookie', 'X-CSRF-Token'],
-  exposedHeaders: ['X-Total-Count', 'Set-Cookie'],
+  exposedHeaders: ['X-Total-Count', 'X-Calendar-Sync', 'Set-Cookie'],
   optionsSuccessStatus: 200
 }));
 
@@ -273,6 +287,7 @@ app.use(requestPerformanceMiddleware);
 if (process.env.NODE_ENV !== 'development') {
   app.use('/api/auth/login', authLimiter);
   app.use('/api/auth/register', authLimiter);
+  app.use('/api/auth/sso/authorize', authLimiter);
   app.use('/api/auth/forgot-password', passwordResetLimiter);
   app.use('/api/auth/reset-password', passwordResetLimiter);
 }
@@ -296,6 +311,7 @@ const accountRoutes = require('./routes/account.routes');
 const availabilityRoutes = require('./routes/availability.routes');
 const bookingRoutes = require('./routes/booking.routes');
 const calendarRoutes = require('./routes/calendar.routes');
+const calendarWebhookRoutes = require('./routes/calendar-webhook.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const teamRoutes = require('./routes/team.routes');
@@ -311,6 +327,8 @@ const twoFactorAuthRoutes = require('./routes/two-factor-auth.routes');
 const testRoutes = require('./routes/test.routes');
 const eventTypeRoutes = require('./routes/event-type.routes');
 const pollRoutes = require('./routes/poll.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const auditLogRoutes = require('./routes/audit-log.routes');
 
 // Database monitoring endpoint (only in development/staging)
 if (process.env.NODE_ENV !== 'production') {
@@ -346,6 +364,7 @@ const initializeApp = async () => {
     app.use('/api/account', protectCsrf, accountRoutes);
     app.use('/api/availability', protectCsrf, availabilityRoutes);
     app.use('/api/bookings', protectCsrfConditional, bookingRoutes);
+    app.use('/api/calendar/webhooks', calendarWebhookRoutes);
     app.use('/api/calendar', protectCsrf, calendarRoutes);
     app.use('/api/notifications', protectCsrf, notificationRoutes);
     app.use('/api/analytics', protectCsrf, analyticsRoutes);
@@ -360,6 +379,8 @@ const initializeApp = async () => {
     app.use('/api/2fa', protectCsrf, twoFactorAuthRoutes);
     app.use('/api/event-types', protectCsrf, eventTypeRoutes);
     app.use('/api/polls', protectCsrfConditional, pollRoutes);
+    app.use('/api/webhooks', protectCsrf, webhookRoutes);
+    app.use('/api/audit-logs', protectCsrf, auditLogRoutes);
     
     // Test routes (only in test/development environments)
     if (process.env.NODE_ENV === 'test' || process.env.NODE_ENV === 'development') {
@@ -506,6 +527,16 @@ const initializeApp = async () => {
         processNotifications().catch((err) => logger.error('Error in scheduled notification processing:', err));
       }, 5 * 60 * 1000);
 
+      // Release unpaid booking holds every minute
+      setInterval(() => {
+        processPaymentHolds().catch((err) => logger.error('Error in scheduled payment hold processing:', err));
+      }, 60 * 1000);
+
+      // Renew expiring calendar change notifications every hour
+      setInterval(() => {
+        processCalendarChannels().catch((err) => logger.error('Error in scheduled calendar channel processing:', err));
+      }, 60 * 60 * 1000);
+
       // Setup data retention processing job (daily at 2 AM)
       const scheduleDataRetention = () => {
         const now = new Date();
@@ -532,7 +563,7 @@ const initializeApp = async () => {
       };
 
       scheduleDataRetention();
-      logger.info('Notification and data retention processors scheduled');
+      logger.info('Notification, payment hold, calendar channel and data retention processors scheduled');
     }
 
     logger.info('Application initialized successfully');
@@ -25,7 +25,10 @@ try {
 } catch (error) {
   logger.warn('json2csv not installed - CSV export will not be available');
 }
-const { Booking, User, Notification, AuditLog } = require('../models');
+const {
+  Booking, User, Notification, AuditLog, Payment, EventType
+} = require('../models');
+const { formatAnswersText } = require('../services/booking-question.service');
 const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
@@ -393,7 +396,8 @@ const exportBookings = async (req, res) => {
       duration_minutes: differenceInMinutes(new Date(booking.end_time), new Date(booking.start_time)),
       status: booking.status,
       created_at: format(new Date(booking.created), 'yyyy-MM-dd HH:mm:ss'),
-      description: booking.description || ''
+      description: booking.description || '',
+      answers: formatAnswersText(booking.answers, '; ')
     }));
 
     if (format === 'json') {
@@ -414,7 +418,7 @@ const exportBookings = async (req, res) => {
 
     const fields = [
       'id', 'customer_name', 'customer_email', 'start_time', 
-      'end_time', 'duration_minutes', 'status', 'created_at', 'description'
+      'end_time', 'duration_minutes', 'status', 'created_at', 'description', 'answers'
     ];
     const json2csvParser = new Parser({ fields });
     const csv = json2csvParser.parse(exportData);
@@ -435,8 +439,31 @@ const exportBookings = async (req, res) => {
   }
 };
 
+/**
+ * Get the SQL expression grouping rows by a period of a date column
+ * @param {string} groupBy - day, week or month
+ * @param {string} column - Date column
+ * @returns {Object} Sequelize expression
+ */
+const getPeriodClause = (groupBy, column) => {
+  switch (groupBy) {
+    case 'day':
+      return sequelize.fn('DATE', sequelize.col(column));
+    case 'week':
+      return sequelize.fn('YEARWEEK', sequelize.col(column));
+    case 'month':
+    default:
+      return sequelize.fn('DATE_FORMAT', sequelize.col(column), '%Y-%m');
+  }
+};
+
 /**
  * Get revenue analytics (for paid bookings)
+ *
+ * Revenue is what invitees paid for bookings, after promo code discounts,
+ * in one currency: the `currency` query parameter, or the currency of the
+ * host's latest payment.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -457,30 +484,125 @@ const getRevenueAnalytics = async (req, res) => {
       dateFilter[Op.lte] = parseISO(endDate);
     }
 
-    // Note: Since we don't have payment data in the current schema,
-    // this is a placeholder that returns mock data structure
-    // In a real implementation, this would query payment/invoice tables
+    let currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
+    if (!currency) {
+      const latestPayment = await Payment.findOne({
+        attributes: ['currency'],
+        where: { user_id: userId, status: 'completed' },
+        order: [['created_at', 'DESC']]
+      });
+      currency = latestPayment ? latestPayment.currency : 'USD';
+    }
+
+    const where = {
+      user_id: userId,
+      status: 'completed',
+      currency,
+      created_at: dateFilter
+    };
+    const revenueAttributes = [
+      [sequelize.fn('COUNT', sequelize.col('Payment.id')), 'paid_bookings'],
+      [sequelize.fn('SUM', sequelize.col('amount')), 'revenue'],
+      [sequelize.fn('SUM', sequelize.col('discount_amount')), 'discounts']
+    ];
+
+    const [totals] = await Payment.findAll({
+      attributes: [
+        ...revenueAttributes,
+        [sequelize.fn('COUNT', sequelize.col('promo_code')), 'discounted_bookings']
+      ],
+      where,
+      raw: true
+    });
+
+    const refunds = await Payment.findAll({
+      attributes: [
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('amount')), 'amount']
+      ],
+      where: { ...where, status: 'refunded' },
+      raw: true
+    });
+
+    // Revenue over time
+    const periodClause = getPeriodClause(groupBy, 'created_at');
+    const revenueOverTime = await Payment.findAll({
+      attributes: [[periodClause, 'period'], ...revenueAttributes],
+      where,
+      group: [periodClause],
+      order: [[periodClause, 'ASC']],
+      raw: true
+    });
+
+    // Revenue by event type
+    const eventTypeRevenue = await Payment.findAll({
+      attributes: [[sequelize.col('booking.event_type_id'), 'event_type_id'], ...revenueAttributes],
+      include: [{ model: Booking, as: 'booking', attributes: [] }],
+      where,
+      group: [sequelize.col('booking.event_type_id')],
+      order: [[sequelize.literal('revenue'), 'DESC']],
+      limit: 10,
+      raw: true
+    });
+
+    const eventTypeIds = eventTypeRevenue.map((row) => row.event_type_id).filter(Boolean);
+    const eventTypes = eventTypeIds.length > 0
+      ? await EventType.findAll({ attributes: ['id', 'name'], where: { id: eventTypeIds } })
+      : [];
+    const eventTypeNames = new Map(eventTypes.map((eventType) => [eventType.id, eventType.name]));
+
+    // Discounts by promo code
+    const promoCodeUsage = await Payment.findAll({
+      attributes: [
+        'promo_code',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'redemptions'],
+        [sequelize.fn('SUM', sequelize.col('discount_amount')), 'discounts'],
+        [sequelize.fn('SUM', sequelize.col('amount')), 'revenue']
+      ],
+      where: { ...where, promo_code: { [Op.ne]: null } },
+      group: ['promo_code'],
+      order: [[sequelize.literal('discounts'), 'DESC']],
+      raw: true
+    });
+
+    const totalRevenue = Number(totals.revenue || 0);
+    const paidBookings = Number(totals.paid_bookings || 0);
 
     return res.status(200).json({
       revenue: {
-        total_revenue: 0,
-        total_paid_bookings: 0,
-        average_booking_value: 0,
-        currency: 'USD'
-      },
-      revenue_over_time: [],
-      top_services: [],
-      payment_methods: {
-        credit_card: 0,
-        paypal: 0,
-        other: 0
+        total_revenue: totalRevenue,
+        total_paid_bookings: paidBookings,
+        average_booking_value: paidBookings > 0 ? Math.round((totalRevenue / paidBookings) * 100) / 100 : 0,
+        total_discounts: Number(totals.discounts || 0),
+        discounted_bookings: Number(totals.discounted_bookings || 0),
+        total_refunded: Number(refunds[0].amount || 0),
+        refunded_bookings: Number(refunds[0].count || 0),
+        currency
       },
+      revenue_over_time: revenueOverTime.map((row) => ({
+        period: row.period,
+        revenue: Number(row.revenue || 0),
+        discounts: Number(row.discounts || 0),
+        paid_bookings: Number(row.paid_bookings)
+      })),
+      top_services: eventTypeRevenue.map((row) => ({
+        event_type_id: row.event_type_id,
+        name: eventTypeNames.get(row.event_type_id) || 'Meeting',
+        revenue: Number(row.revenue || 0),
+        discounts: Number(row.discounts || 0),
+        paid_bookings: Number(row.paid_bookings)
+      })),
+      promo_codes: promoCodeUsage.map((row) => ({
+        code: row.promo_code,
+        redemptions: Number(row.redemptions),
+        discounts: Number(row.discounts || 0),
+        revenue: Number(row.revenue || 0)
+      })),
       period: {
         start_date: startDate || format(subMonths(new Date(), 12), 'yyyy-MM-dd'),
         end_date: endDate || format(new Date(), 'yyyy-MM-dd'),
         group_by: groupBy
-      },
-      note: 'Payment integration not yet implemented'
+      }
     });
   } catch (error) {
     logger.error('Error getting revenue analytics:', error);
@@ -0,0 +1,91 @@
+/**
+ * API key controller
+ *
+ * Handles creating, listing and revoking personal API keys
+ *
+ * @author meetabl Team
+ */
+
+const logger = require('../config/logger');
+const apiKeyService = require('../services/api-key.service');
+const {
+  asyncHandler,
+  successResponse,
+  notFoundError,
+  validationError
+} = require('../utils/error-response');
+
+/**
+ * Get the current user's API keys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await apiKeyService.listApiKeys(req.user.id);
+
+  return successResponse(res, {
+    api_keys: apiKeys,
+    available_scopes: apiKeyService.SCOPES
+  }, 'API keys retrieved successfully');
+});
+
+/**
+ * Create an API key
+ *
+ * The plaintext key is only part of this response; afterwards just its
+ * prefix is shown.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const {
+    name, scopes, rate_limit: rateLimit, expires_at: expiresAt
+  } = req.body;
+
+  try {
+    const { apiKey, key } = await apiKeyService.createApiKey(userId, {
+      name,
+      scopes,
+      rateLimit: rateLimit ? parseInt(rateLimit, 10) : undefined,
+      expiresAt
+    });
+
+    logger.info(`API key created for user ${userId}`);
+    return successResponse(res, {
+      api_key: { ...apiKey, key }
+    }, 'API key created successfully. Store the key now; it will not be shown again.', 201);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      throw validationError([{ field: error.field, message: error.message }]);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Revoke an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    await apiKeyService.revokeApiKey(userId, req.params.id);
+
+    return successResponse(res, null, 'API key revoked successfully');
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw notFoundError('API key');
+    }
+    throw error;
+  }
+});
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,117 @@
+/**
+ * Audit log controller
+ *
+ * Handles reading and exporting the audit trail
+ *
+ * @author meetabl Team
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const { AuditLog } = require('../models');
+const auditLogService = require('../services/audit-log.service');
+const {
+  asyncHandler,
+  successResponse,
+  validationError,
+  forbiddenError
+} = require('../utils/error-response');
+
+/**
+ * Translate an audit log service error into an API error
+ * @param {Error} error - Service error
+ * @returns {Error} API error
+ */
+const toApiError = (error) => {
+  switch (error.statusCode) {
+    case 400:
+      return validationError([{ field: error.field, message: error.message }]);
+    case 403:
+      return forbiddenError(error.message);
+    default:
+      return error;
+  }
+};
+
+/**
+ * Read audit log filters from a query string
+ * @param {Object} query - Request query
+ * @returns {Object} Filters, undefined where not given
+ */
+const getFilters = (query) => ({
+  action: query.action,
+  actorId: query.actor_id,
+  teamId: query.team_id,
+  from: query.from,
+  to: query.to
+});
+
+/**
+ * Get audit log entries
+ *
+ * Returns the caller's own entries and, for team owners and admins,
+ * their team members' entries, newest first.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  try {
+    const { entries, nextCursor } = await auditLogService.listAuditLogs(req.user.id, {
+      ...getFilters(req.query),
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+
+    return successResponse(res, {
+      audit_logs: entries,
+      next_cursor: nextCursor
+    }, 'Audit logs retrieved successfully');
+  } catch (error) {
+    throw toApiError(error);
+  }
+});
+
+/**
+ * Export audit log entries as CSV or JSON
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportAuditLogs = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const format = req.query.format || 'csv';
+  const filters = getFilters(req.query);
+
+  let result;
+  try {
+    result = await auditLogService.exportAuditLogs(userId, filters, format);
+  } catch (error) {
+    throw toApiError(error);
+  }
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'audit_log.export',
+    metadata: {
+      format,
+      filters,
+      count: result.count,
+      truncated: result.truncated
+    }
+  });
+
+  logger.info(`Audit log exported for user ${userId} (${result.count} entries)`);
+
+  const filename = `audit-log-${new Date().toISOString().split('T')[0]}.${format}`;
+  res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('X-Export-Truncated', String(result.truncated));
+
+  return res.send(result.content);
+});
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs
+};
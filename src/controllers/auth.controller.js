@@ -23,7 +23,19 @@ const stripeCustomerService = require('../services/stripe-customer.service');
 const stripeService = require('../services/stripe.service');
 const stripeSubscriptionService = require('../services/stripe-subscription.service');
 const twoFactorAuthService = require('../services/two-factor-auth.service');
-const { asyncHandler, successResponse, conflictError, unauthorizedError, notFoundError, validationError, createError } = require('../utils/error-response');
+const ssoService = require('../services/sso.service');
+const {
+  asyncHandler,
+  successResponse,
+  conflictError,
+  unauthorizedError,
+  notFoundError,
+  validationError,
+  forbiddenError,
+  createError
+} = require('../utils/error-response');
+
+const SSO_STATE_COOKIE = 'sso_state';
 
 /**
  * Get subscription status for user
@@ -43,6 +55,50 @@ async function getSubscriptionStatus(user) {
   }
 }
 
+/**
+ * Issue an access and refresh token pair and set them as cookies
+ * @param {Object} res - Express response object
+ * @param {Object} user - User the tokens are for
+ * @returns {{token: string, refreshToken: string}} Issued tokens
+ */
+function issueAuthTokens(res, user) {
+  // Generate JWT token with unique ID
+  const jti = uuidv4();
+  const token = jwt.sign(
+    { userId: user.id, jti },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+  );
+
+  // Generate refresh token with unique ID
+  const refreshJti = uuidv4();
+  const refreshToken = jwt.sign(
+    { userId: user.id, type: 'refresh', jti: refreshJti },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
+  );
+
+  // Set secure httpOnly cookies for tokens
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  };
+
+  const refreshCookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+  };
+
+  res.cookie('token', token, cookieOptions);
+  res.cookie('refreshToken', refreshToken, refreshCookieOptions);
+
+  return { token, refreshToken };
+}
+
 /**
  * Register a new user with Stripe customer creation
  * @param {Object} req - Express request object
@@ -214,22 +270,6 @@ const login = asyncHandler(async (req, res) => {
       }, 'Two-factor authentication required', 202);
     }
 
-    // Generate JWT token with unique ID
-    const jti = uuidv4();
-    const token = jwt.sign(
-      { userId: user.id, jti },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-
-    // Generate refresh token with unique ID
-    const refreshJti = uuidv4();
-    const refreshToken = jwt.sign(
-      { userId: user.id, type: 'refresh', jti: refreshJti },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
-    );
-
     // Create audit log
     await AuditLog.create({
       id: uuidv4(),
@@ -246,23 +286,7 @@ const login = asyncHandler(async (req, res) => {
     // Log successful login
     logger.info(`User logged in: ${email}`);
 
-    // Set secure httpOnly cookies for tokens
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    };
-
-    const refreshCookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    };
-
-    res.cookie('token', token, cookieOptions);
-    res.cookie('refreshToken', refreshToken, refreshCookieOptions);
+    const { token, refreshToken } = issueAuthTokens(res, user);
 
     // Return user data with subscription status
     return successResponse(res, {
@@ -694,21 +718,6 @@ const verify2FA = asyncHandler(async (req, res) => {
       throw unauthorizedError('Invalid 2FA token');
     }
 
-    // Generate JWT tokens
-    const jti = uuidv4();
-    const token = jwt.sign(
-      { userId: user.id, jti },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-
-    const refreshJti = uuidv4();
-    const refreshToken = jwt.sign(
-      { userId: user.id, type: 'refresh', jti: refreshJti },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
-    );
-
     // Create audit log for successful login
     await AuditLog.create({
       id: uuidv4(),
@@ -727,23 +736,7 @@ const verify2FA = asyncHandler(async (req, res) => {
 
     logger.info(`User logged in with 2FA: ${email} (method: ${twoFactorResult.method})`);
 
-    // Set secure httpOnly cookies for tokens
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    };
-
-    const refreshCookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    };
-
-    res.cookie('token', token, cookieOptions);
-    res.cookie('refreshToken', refreshToken, refreshCookieOptions);
+    issueAuthTokens(res, user);
 
     const responseData = {
       id: user.id,
@@ -823,6 +816,110 @@ const resendVerificationEmail = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Get the callback URL registered with SSO identity providers
+ * @param {Object} req - Express request object
+ * @returns {string} Callback URL
+ */
+function getSsoRedirectUri(req) {
+  const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/auth/sso/callback`;
+}
+
+/**
+ * Get the options of the cookie holding a single sign-on login in progress
+ *
+ * The cookie must come back on the identity provider's redirect, a
+ * cross-site top-level navigation, so it cannot be SameSite strict.
+ *
+ * @returns {Object} Cookie options
+ */
+function getSsoStateCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth/sso'
+  };
+}
+
+/**
+ * Start a single sign-on login through the identity provider of the
+ * team managing the email's domain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const ssoAuthorize = asyncHandler(async (req, res) => {
+  let ssoLogin;
+
+  try {
+    ssoLogin = await ssoService.startLogin({
+      email: req.body.email,
+      redirectUri: getSsoRedirectUri(req)
+    });
+  } catch (error) {
+    switch (error.statusCode) {
+      case 403:
+        throw forbiddenError(error.message);
+      case 404:
+        throw createError('NOT_FOUND', error.message);
+      case 502:
+        throw createError('EXTERNAL_SERVICE_ERROR', error.message);
+      default:
+        throw error;
+    }
+  }
+
+  res.cookie(SSO_STATE_COOKIE, ssoLogin.loginState, {
+    ...getSsoStateCookieOptions(),
+    maxAge: ssoService.LOGIN_STATE_TTL_SECONDS * 1000
+  });
+
+  return successResponse(res, {
+    authorization_url: ssoLogin.authorizationUrl
+  }, 'Continue signing in with your identity provider');
+});
+
+/**
+ * Finish a single sign-on login when the identity provider redirects back
+ *
+ * Issues the same tokens as a password login and sends the user on to
+ * the frontend, with an error code when the login failed.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const ssoCallback = asyncHandler(async (req, res) => {
+  const loginState = req.cookies ? req.cookies[SSO_STATE_COOKIE] : undefined;
+  res.clearCookie(SSO_STATE_COOKIE, getSsoStateCookieOptions());
+
+  if (req.query.error) {
+    logger.warn(`SSO login declined by identity provider: ${req.query.error}`);
+    return res.redirect(`${process.env.FRONTEND_URL}/login?sso_error=${encodeURIComponent(req.query.error)}`);
+  }
+
+  try {
+    const { user } = await ssoService.completeLogin({
+      code: req.query.code,
+      state: req.query.state,
+      loginState,
+      redirectUri: getSsoRedirectUri(req)
+    });
+
+    issueAuthTokens(res, user);
+
+    logger.info(`User logged in with SSO: ${user.email}`);
+    return res.redirect(`${process.env.FRONTEND_URL}/auth/sso/complete`);
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+
+    logger.warn(`SSO login failed: ${error.message}`);
+    return res.redirect(`${process.env.FRONTEND_URL}/login?sso_error=${encodeURIComponent(error.message)}`);
+  }
+});
+
 module.exports = {
   register,
   login,
@@ -833,5 +930,7 @@ module.exports = {
   resetPassword,
   verifyEmail,
   confirmEmail,
-  resendVerificationEmail
+  resendVerificationEmail,
+  ssoAuthorize,
+  ssoCallback
 };
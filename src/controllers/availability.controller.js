@@ -7,12 +7,11 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const { parse, isValid, getDay, startOfDay, endOfDay, setHours, setMinutes, setSeconds, addMinutes, compareAsc, isBefore, isAfter, isEqual, format, toDate } = require('date-fns');
-
-// Helper function to check if date1 is same or before date2
-const isSameOrBefore = (date1, date2) => isEqual(date1, date2) || isBefore(date1, date2);
 const logger = require('../config/logger');
-const { AvailabilityRule, Booking, AuditLog } = require('../models');
+const {
+  AvailabilityRule, AvailabilityOverride, Booking, AuditLog, User
+} = require('../models');
+const availabilityService = require('../services/availability.service');
 const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
@@ -353,19 +352,372 @@ const deleteAvailabilityRule = async (req, res) => {
   }
 };
 
+/**
+ * Build the stored windows for an override request body
+ * @param {Object} body - Request body (is_unavailable, windows)
+ * @returns {{isUnavailable: boolean, windows: Array<Object>, error: (string|null)}} Parsed override
+ */
+const parseOverrideBody = (body) => {
+  const isUnavailable = body.is_unavailable === true;
+
+  if (isUnavailable) {
+    return { isUnavailable, windows: [], error: null };
+  }
+
+  const windows = (body.windows || [])
+    .map((window) => ({ startTime: window.start_time, endTime: window.end_time }))
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  if (windows.length === 0) {
+    return {
+      isUnavailable,
+      windows,
+      error: 'At least one window is required unless the date is unavailable'
+    };
+  }
+
+  for (let i = 0; i < windows.length; i += 1) {
+    if (windows[i].startTime >= windows[i].endTime) {
+      return { isUnavailable, windows, error: 'Window end time must be after start time' };
+    }
+
+    if (i > 0 && windows[i].startTime < windows[i - 1].endTime) {
+      return { isUnavailable, windows, error: 'Windows must not overlap' };
+    }
+  }
+
+  return { isUnavailable, windows, error: null };
+};
+
+/**
+ * Get availability overrides for current user
+ *
+ * Optional `from` and `to` query parameters (YYYY-MM-DD) limit the dates returned.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAvailabilityOverrides = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { from, to } = req.query;
+
+    const invalidParam = [['from', from], ['to', to]]
+      .find(([, value]) => value !== undefined && !availabilityService.isValidDateString(value));
+
+    if (invalidParam) {
+      return res.status(400).json({
+        error: {
+          code: 'bad_request',
+          message: `${invalidParam[0]} must be a valid date (YYYY-MM-DD)`,
+          params: [
+            {
+              param: invalidParam[0],
+              message: `${invalidParam[0]} must be a valid date (YYYY-MM-DD)`
+            }
+          ]
+        }
+      });
+    }
+
+    const where = { userId: userId };
+    if (from || to) {
+      where.date = {};
+      if (from) where.date[Op.gte] = from;
+      if (to) where.date[Op.lte] = to;
+    }
+
+    const overrides = await AvailabilityOverride.findAll({
+      where,
+      order: [['date', 'ASC']]
+    });
+
+    res.set('X-Total-Count', overrides.length);
+
+    return res.status(200).json({ overrides });
+  } catch (error) {
+    logger.error('Error getting availability overrides:', error);
+
+    return res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to get availability overrides'
+      }
+    });
+  }
+};
+
+/**
+ * Create availability override for a date
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createAvailabilityOverride = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { date, reason } = req.body;
+    const { isUnavailable, windows, error } = parseOverrideBody(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'bad_request',
+          message: error,
+          params: [
+            {
+              param: 'windows',
+              message: error
+            }
+          ]
+        }
+      });
+    }
+
+    const existing = await AvailabilityOverride.findOne({
+      where: { userId: userId, date }
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        error: {
+          code: 'conflict',
+          message: 'An override already exists for this date'
+        }
+      });
+    }
+
+    const override = await AvailabilityOverride.create({
+      id: uuidv4(),
+      userId: userId,
+      date,
+      isUnavailable,
+      windows,
+      reason: reason || null
+    });
+
+    // Create audit log
+    await AuditLog.create({
+      id: uuidv4(),
+      userId: userId,
+      action: 'availability.override.create',
+      metadata: {
+        overrideId: override.id,
+        date,
+        is_unavailable: isUnavailable,
+        windows
+      }
+    });
+
+    logger.info(`Availability override created: ${override.id}`);
+
+    return res.status(201).json({ override });
+  } catch (error) {
+    logger.error('Error creating availability override:', error);
+
+    return res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to create availability override'
+      }
+    });
+  }
+};
+
+/**
+ * Get availability override by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAvailabilityOverride = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const override = await AvailabilityOverride.findOne({
+      where: { id, userId: userId }
+    });
+
+    if (!override) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Availability override not found'
+        }
+      });
+    }
+
+    return res.status(200).json({ override });
+  } catch (error) {
+    logger.error('Error getting availability override:', error);
+
+    return res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to get availability override'
+      }
+    });
+  }
+};
+
+/**
+ * Update availability override
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateAvailabilityOverride = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { date, reason } = req.body;
+    const { isUnavailable, windows, error } = parseOverrideBody(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'bad_request',
+          message: error,
+          params: [
+            {
+              param: 'windows',
+              message: error
+            }
+          ]
+        }
+      });
+    }
+
+    const override = await AvailabilityOverride.findOne({
+      where: { id, userId: userId }
+    });
+
+    if (!override) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Availability override not found'
+        }
+      });
+    }
+
+    if (date !== override.date) {
+      const existing = await AvailabilityOverride.findOne({
+        where: { userId: userId, date, id: { [Op.ne]: id } }
+      });
+
+      if (existing) {
+        return res.status(409).json({
+          error: {
+            code: 'conflict',
+            message: 'An override already exists for this date'
+          }
+        });
+      }
+    }
+
+    override.date = date;
+    override.isUnavailable = isUnavailable;
+    override.windows = windows;
+    override.reason = reason || null;
+    await override.save();
+
+    // Create audit log
+    await AuditLog.create({
+      id: uuidv4(),
+      userId: userId,
+      action: 'availability.override.update',
+      metadata: {
+        overrideId: override.id,
+        date,
+        is_unavailable: isUnavailable,
+        windows
+      }
+    });
+
+    logger.info(`Availability override updated: ${override.id}`);
+
+    return res.status(200).json({ override });
+  } catch (error) {
+    logger.error('Error updating availability override:', error);
+
+    return res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to update availability override'
+      }
+    });
+  }
+};
+
+/**
+ * Delete availability override
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteAvailabilityOverride = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const override = await AvailabilityOverride.findOne({
+      where: { id, userId: userId }
+    });
+
+    if (!override) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Availability override not found'
+        }
+      });
+    }
+
+    await override.destroy();
+
+    // Create audit log
+    await AuditLog.create({
+      id: uuidv4(),
+      userId: userId,
+      action: 'availability.override.delete',
+      metadata: {
+        overrideId: id,
+        date: override.date
+      }
+    });
+
+    logger.info(`Availability override deleted: ${id}`);
+
+    return res.status(204).send();
+  } catch (error) {
+    logger.error('Error deleting availability override:', error);
+
+    return res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to delete availability override'
+      }
+    });
+  }
+};
+
 /**
  * Get available time slots for a specific date
+ *
+ * The date and the rule times are interpreted in the user's timezone.
+ * A date-specific override replaces or blocks the weekly rules.
+ * Slots are returned in UTC; pass `tz` to also get them in a display zone.
+ * If a connected calendar cannot be read, the slots are still returned and
+ * the `X-Calendar-Sync: degraded` header is set.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getAvailableTimeSlots = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { date, duration } = req.query;
+    const { date, duration, tz } = req.query;
 
     // Validate date
-    const parsedDate = parse(date, 'yyyy-MM-dd', new Date());
-    if (!date || !isValid(parsedDate)) {
+    if (!availabilityService.isValidDateString(date)) {
       return res.status(400).json({
         error: {
           code: 'bad_request',
@@ -397,82 +749,72 @@ const getAvailableTimeSlots = async (req, res) => {
       });
     }
 
-    // Parse date and get day of week (0 = Sunday, 6 = Saturday)
-    const targetDate = parse(date, 'yyyy-MM-dd', new Date());
-    const dayOfWeek = getDay(targetDate);
+    // Validate display timezone
+    if (tz && !availabilityService.isValidTimezone(tz)) {
+      return res.status(400).json({
+        error: {
+          code: 'bad_request',
+          message: 'tz must be a valid IANA time zone',
+          params: [
+            {
+              param: 'tz',
+              message: 'tz must be a valid IANA time zone'
+            }
+          ]
+        }
+      });
+    }
+
+    const user = await User.findByPk(userId, { attributes: ['id', 'timezone'] });
+    const timezone = availabilityService.isValidTimezone(user?.timezone) ? user.timezone : 'UTC';
 
-    // Get availability rules for this day of week
-    const rules = await AvailabilityRule.findAll({
-      where: { userId: userId, dayOfWeek: dayOfWeek }
-    });
+    // Get availability rules for this day, with any date override applied
+    const rules = await availabilityService.getRulesForDate(userId, date);
 
     if (rules.length === 0) {
       return res.status(200).json([]);
     }
 
-    // Get bookings for this date
-    const dayStart = startOfDay(targetDate);
-    const dayEnd = endOfDay(targetDate);
+    // Stop offering slots once the day's booking cap is reached
+    const limitReason = await availabilityService.getBookingLimitReason({
+      userId,
+      date,
+      timezone,
+      rules
+    });
+
+    if (limitReason) {
+      return res.status(200).json([]);
+    }
+
+    // Get bookings overlapping this date in the user's timezone
+    const { start: dayStart, end: dayEnd } = availabilityService.getDayBounds(date, timezone);
 
     const bookings = await Booking.findAll({
       where: {
         userId: userId,
-        start_time: { [Op.gte]: dayStart },
-        end_time: { [Op.lte]: dayEnd },
+        startTime: { [Op.lt]: dayEnd },
+        endTime: { [Op.gt]: dayStart },
         status: 'confirmed'
       }
     });
 
-    // Calculate available slots for each rule
-    const allSlots = [];
-
-    // Use forEach instead of for...of
-    rules.forEach((rule) => {
-      // Parse rule times
-      const startTime = parse(rule.startTime, 'HH:mm:ss', new Date());
-      const endTime = parse(rule.endTime, 'HH:mm:ss', new Date());
-
-      // Create slots with specified duration
-      let slotStart = setSeconds(setMinutes(setHours(targetDate, startTime.getHours()), startTime.getMinutes()), 0);
-      const ruleEnd = setSeconds(setMinutes(setHours(targetDate, endTime.getHours()), endTime.getMinutes()), 0);
-
-      while (isSameOrBefore(addMinutes(slotStart, slotDuration), ruleEnd)) {
-        const slot = {
-          start: slotStart.toISOString(),
-          end: addMinutes(slotStart, slotDuration).toISOString()
-        };
-
-        // Check if slot conflicts with any booking
-        const isConflict = bookings.some((booking) => {
-          const bookingStart = new Date(booking.start_time);
-          const bookingEnd = new Date(booking.end_time);
-          const slotStartDate = new Date(slot.start);
-          const slotEndDate = new Date(slot.end);
-
-          // Check for overlap
-          const normalOverlap = isBefore(slotStartDate, bookingEnd)
-            && isAfter(slotEndDate, bookingStart);
-
-          const bufferOverlap = isBefore(addMinutes(slotStartDate, rule.bufferMinutes), bookingEnd)
-            && isAfter(addMinutes(slotEndDate, -rule.bufferMinutes), bookingStart);
-
-          return normalOverlap || bufferOverlap;
-        });
+    // Subtract busy times from connected calendars
+    const calendarAvailability = await availabilityService.getBusyTimesForDay(userId, date, timezone);
+    if (calendarAvailability.degraded) {
+      res.set('X-Calendar-Sync', 'degraded');
+    }
 
-        // Add slot if no conflict
-        if (!isConflict) {
-          allSlots.push(slot);
-        }
-        
-        // Move to next slot
-        slotStart = addMinutes(slotStart, slotDuration);
-      }
+    const slots = availabilityService.computeDaySlots({
+      date,
+      timezone,
+      rules,
+      duration: slotDuration,
+      bookings,
+      busyTimes: calendarAvailability.busyTimes
     });
 
-    // Sort slots by start time
-    allSlots.sort((a, b) => compareAsc(new Date(a.start), new Date(b.start)));
-
-    return res.status(200).json(allSlots);
+    return res.status(200).json(slots.map(slot => availabilityService.formatSlot(slot, tz)));
   } catch (error) {
     logger.error('Error getting available time slots:', error);
 
@@ -491,5 +833,10 @@ module.exports = {
   getAvailabilityRule,
   updateAvailabilityRule,
   deleteAvailabilityRule,
+  getAvailabilityOverrides,
+  createAvailabilityOverride,
+  getAvailabilityOverride,
+  updateAvailabilityOverride,
+  deleteAvailabilityOverride,
   getAvailableTimeSlots
 };
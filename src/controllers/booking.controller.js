@@ -12,38 +12,111 @@ const { generateTokenWithExpiration } = require('../utils/crypto');
 const {
   isValid,
   parseISO,
-  parse,
   isAfter,
   isEqual,
-  isBefore,
-  startOfDay,
-  endOfDay,
   addMinutes,
-  set,
-  getDay,
-  getHours,
-  getMinutes,
-  differenceInMinutes
+  differenceInMinutes,
+  differenceInCalendarDays
 } = require('date-fns');
-const { toZonedTime, fromZonedTime } = require('date-fns-tz');
 const logger = require('../config/logger');
 const {
-  Booking, BookingRequest, User, Notification, AuditLog, AvailabilityRule, UserSettings
+  Booking, BookingRequest, User, Notification, AuditLog, UserSettings
 } = require('../models');
 const { sequelize, Op } = require('../config/database');
 const notificationService = require('../services/notification.service');
 const calendarService = require('../services/calendar.service');
+const availabilityService = require('../services/availability.service');
+const teamSchedulingService = require('../services/team-scheduling.service');
+const outboundWebhookService = require('../services/outbound-webhook.service');
+const bookingQuestionService = require('../services/booking-question.service');
+const manageBookingService = require('../services/manage-booking.service');
+const paymentService = require('../services/payment.service');
+const bookingPaymentService = require('../services/booking-payment.service');
+const promoCodeService = require('../services/promo-code.service');
+const {
+  pushToHost,
+  emitBookingWebhook,
+  completeCancellation,
+  completeReschedule,
+  findGroupBookings,
+  completeGroupCancellation,
+  completeGroupReschedule
+} = require('../services/booking-lifecycle.service');
 const {
   asyncHandler,
   successResponse,
   paginatedResponse,
   validationError,
   notFoundError,
-  conflictError
+  conflictError,
+  forbiddenError
 } = require('../utils/error-response');
 
-// Helper functions for date-fns
-const isSameOrBefore = (date1, date2) => isEqual(date1, date2) || isBefore(date1, date2);
+/**
+ * Check a start time against the host's booking horizon
+ *
+ * Only applies to bookings without an event type, whose maximum advance
+ * takes its place otherwise.
+ *
+ * @param {Object} user - Host user with settings
+ * @param {Date} startDate - Requested start
+ * @param {string} timezone - Host IANA timezone
+ * @throws {Error} Validation error if the start is beyond the horizon
+ */
+const checkBookingHorizon = (user, startDate, timezone) => {
+  const bookingHorizon = user.settings?.bookingHorizon || 30; // Default 30 days
+  const daysDifference = differenceInCalendarDays(
+    parseISO(availabilityService.getDateInTimezone(startDate, timezone)),
+    parseISO(availabilityService.getTodayInTimezone(timezone))
+  );
+
+  if (daysDifference > bookingHorizon) {
+    throw validationError([{
+      field: 'start_time',
+      message: `Bookings can only be made up to ${bookingHorizon} days in advance`
+    }]);
+  }
+};
+
+/**
+ * Apply the promo code an invitee entered to the charge for a booking
+ *
+ * With a transaction, the redemption is counted in it, so it is undone if
+ * the booking fails.
+ *
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Host user ID
+ * @param {string} [params.code] - Code the invitee entered
+ * @param {string} [params.eventTypeId] - Event type being booked
+ * @param {Object} params.charge - Charge from paymentService.getBookingCharge
+ * @param {Object} [params.transaction] - Sequelize transaction of the booking
+ * @returns {Promise<Object>} Discounted charge
+ * @throws {Error} Validation error if the code cannot be used
+ */
+const applyBookingPromoCode = async ({
+  userId, code, eventTypeId, charge, transaction = null
+}) => {
+  if (!code) {
+    return promoCodeService.applyPromoCode(charge);
+  }
+
+  try {
+    const promoCode = await promoCodeService.findRedeemablePromoCode({
+      userId, code, eventTypeId, charge, transaction
+    });
+
+    if (transaction) {
+      await promoCodeService.redeemPromoCode(promoCode, transaction);
+    }
+
+    return promoCodeService.applyPromoCode(charge, promoCode);
+  } catch (promoCodeError) {
+    if (promoCodeError.statusCode === 400) {
+      throw validationError([{ field: promoCodeError.field, message: promoCodeError.message }]);
+    }
+    throw promoCodeError;
+  }
+};
 
 /**
  * Get all bookings for current user
@@ -272,6 +345,8 @@ const createBooking = asyncHandler(async (req, res) => {
     // Queue email notification job
     await notificationService.queueNotification(bookingId, 'email');
 
+    await emitBookingWebhook('booking.created', booking);
+
     // Schedule reminder notifications
     try {
       await notificationService.scheduleReminders(bookingId);
@@ -375,6 +450,13 @@ const cancelBooking = asyncHandler(async (req, res) => {
     booking.status = 'cancelled';
     await booking.save({ transaction });
 
+    // Cancel the co-hosts' bookings of a collective booking with it
+    const group = await findGroupBookings(booking, transaction);
+    await Promise.all(group.map((member) => member.update(
+      { status: 'cancelled' },
+      { transaction }
+    )));
+
     // Create cancellation notification
     await Notification.create({
       id: uuidv4(),
@@ -402,32 +484,12 @@ const cancelBooking = asyncHandler(async (req, res) => {
     // Log cancellation
     logger.info(`Booking cancelled: ${id}`);
 
-    // Queue email notification job for cancellation
-    try {
-      await notificationService.queueNotification(id, 'email');
-    } catch (notificationError) {
-      logger.error(`Failed to queue notification for booking ${id}:`, notificationError);
-      // Non-critical error, don't fail the cancellation
-    }
-
-    // Cancel any scheduled reminder notifications
-    try {
-      await notificationService.cancelReminders(id);
-    } catch (reminderError) {
-      logger.error(`Failed to cancel reminders for booking ${id}:`, reminderError);
-      // Non-critical error, don't fail the cancellation
-    }
+    // Let the host know when the attendee cancels; refund when the host does
+    const cancelledByHost = booking.userId === userId;
+    const host = cancelledByHost ? null : await User.findByPk(booking.userId);
 
-    // Update calendar event if user has calendar integration
-    try {
-      // In a real implementation, we would update or delete the calendar event
-      // For now, we'll create a new event with the cancelled status
-      booking.description = `CANCELLED: ${booking.description || ''}`;
-      await calendarService.createCalendarEvent(booking);
-    } catch (calendarError) {
-      logger.error(`Failed to update calendar event for cancelled booking ${id}:`, calendarError);
-      // Non-critical error, don't fail the cancellation
-    }
+    await completeCancellation(booking, { host, refund: cancelledByHost });
+    await completeGroupCancellation(group, { refund: cancelledByHost });
 
     return successResponse(res, booking, 'Booking cancelled successfully');
   } catch (error) {
@@ -439,8 +501,201 @@ const cancelBooking = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Build the public booking page profile for a host
+ * @param {Object} user - User with settings
+ * @returns {{user: Object, settings: Object}} Public user and page settings
+ */
+const formatPublicProfile = (user) => ({
+  user: {
+    id: user.id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    username: user.username,
+    timezone: user.timezone,
+    can_remove_branding: user.can_remove_branding || false // Virtual getter
+  },
+  settings: {
+    googleAnalyticsId: user.settings?.googleAnalyticsId || null,
+    bookingPageTitle: user.settings?.bookingPageTitle || null,
+    bookingPageDescription: user.settings?.bookingPageDescription || null,
+    brandingColor: user.settings?.brandingColor || '#000000',
+    meetingDuration: user.settings?.meetingDuration || 60,
+    bufferMinutes: user.settings?.bufferMinutes || 0,
+    logoUrl: user.settings?.logoUrl || null,
+    logoAltText: user.settings?.logoAltText || null,
+    // Booking page customization fields
+    bookingPagePrimaryColor: user.settings?.bookingPagePrimaryColor || '#003b49',
+    bookingPageSecondaryColor: user.settings?.bookingPageSecondaryColor || '#ff6b6b',
+    bookingPageBackgroundColor: user.settings?.bookingPageBackgroundColor || '#ffffff',
+    bookingPageTextColor: user.settings?.bookingPageTextColor || '#333333',
+    bookingPageFontSize: user.settings?.bookingPageFontSize || 'medium',
+    bookingPageFontFamily: user.settings?.bookingPageFontFamily || 'Inter, sans-serif'
+  }
+});
+
+/**
+ * Resolve the event type and slot length for a public availability query
+ * @param {Object} user - Host user with settings
+ * @param {string} [eventTypeId] - Requested event type ID
+ * @param {string|number} [duration] - Requested duration when no event type is given
+ * @returns {Promise<{eventType: (Object|null), slotDuration: number}>} Event type and duration
+ */
+const resolvePublicSlotDuration = async (user, eventTypeId, duration) => {
+  let slotDuration = 60; // Default duration
+  let eventType = null;
+
+  if (eventTypeId) {
+    const EventType = require('../models/event-type.model');
+    eventType = await EventType.findOne({
+      where: {
+        id: eventTypeId,
+        user_id: user.id,
+        team_id: null,
+        is_active: true
+      }
+    });
+
+    if (!eventType) {
+      throw notFoundError('Event type');
+    }
+
+    slotDuration = eventType.duration || 60;
+    logger.info(`Using event type duration: ${slotDuration} minutes for event type ${eventTypeId}`);
+  } else {
+    // Fall back to user settings or query parameter
+    const userPreferredDuration = user.settings?.meetingDuration;
+    const requestedDuration = parseInt(duration, 10);
+    slotDuration = requestedDuration || userPreferredDuration || 60;
+  }
+
+  if (slotDuration < 15 || slotDuration > 240) {
+    throw validationError([{
+      field: 'duration',
+      message: 'Duration must be between 15 and 240 minutes'
+    }]);
+  }
+
+  return { eventType, slotDuration };
+};
+
+/**
+ * Respond with open slots for every host date from `start` to `end`
+ *
+ * Rules, overrides, bookings and calendar busy times are each loaded once
+ * for the whole range. Dates outside the booking horizon or the event
+ * type's maximum advance come back without slots rather than as errors.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Host user with settings
+ */
+const respondWithAvailabilityRange = async (req, res, user) => {
+  const userId = user.id;
+  const {
+    start, end, duration = 60, event_type_id, tz
+  } = req.query;
+
+  const invalidParam = [['start', start], ['end', end]]
+    .find(([, value]) => !availabilityService.isValidDateString(value));
+
+  if (invalidParam) {
+    throw validationError([{
+      field: invalidParam[0],
+      message: `Valid ${invalidParam[0]} date is required (YYYY-MM-DD)`
+    }]);
+  }
+
+  const rangeDays = differenceInCalendarDays(parseISO(end), parseISO(start)) + 1;
+
+  if (rangeDays < 1 || rangeDays > availabilityService.MAX_RANGE_DAYS) {
+    throw validationError([{
+      field: 'end',
+      message: `Range must run forward and span at most ${availabilityService.MAX_RANGE_DAYS} days`
+    }]);
+  }
+
+  if (tz && !availabilityService.isValidTimezone(tz)) {
+    throw validationError([{
+      field: 'tz',
+      message: 'tz must be a valid IANA time zone'
+    }]);
+  }
+
+  const userTimezone = availabilityService.isValidTimezone(user.timezone) ? user.timezone : 'UTC';
+  const { eventType, slotDuration } = await resolvePublicSlotDuration(
+    user,
+    event_type_id,
+    duration
+  );
+
+  const constraints = availabilityService.getBookingConstraints(eventType);
+  const now = new Date();
+  const { notBefore, notAfter } = availabilityService.getBookingWindow(constraints, now);
+
+  // Without an event type the global horizon limits the bookable dates
+  const lastBookableDate = notAfter ? null : availabilityService.shiftDateString(
+    availabilityService.getTodayInTimezone(userTimezone, now),
+    user.settings?.bookingHorizon || 30 // Default 30 days
+  );
+
+  // Rules, overrides, bookings and busy times are each loaded once for the range
+  const hostRange = await availabilityService.loadHostRange(userId, userTimezone, start, end);
+
+  if (hostRange.degraded) {
+    logger.warn(`Serving range slots for user ${userId} without complete calendar data`, {
+      start,
+      end,
+      failedProviders: hostRange.failedProviders
+    });
+  }
+
+  // Slots are spaced by the host's buffer so back-to-back meetings get a break
+  const bufferMinutes = user.settings?.bufferMinutes || 0;
+
+  const days = await availabilityService.computeRangeSlots({
+    dates: hostRange.dates,
+    timezone: userTimezone,
+    rulesByDate: hostRange.rulesByDate,
+    duration: slotDuration,
+    step: slotDuration + bufferMinutes,
+    bookings: hostRange.bookings,
+    busyTimes: hostRange.busyTimes,
+    eventType,
+    bufferBefore: constraints.bufferBefore,
+    bufferAfter: constraints.bufferAfter,
+    notBefore,
+    notAfter,
+    isDateOpen: (date) => !lastBookableDate || date <= lastBookableDate
+  });
+
+  const formattedDays = days.map((day) => ({
+    date: day.date,
+    has_availability: day.slots.length > 0,
+    booking_limit_reached: Boolean(day.limitReason),
+    available_slots: day.slots.map((slot) => availabilityService.formatSlot(slot, tz))
+  }));
+
+  return successResponse(res, {
+    ...formatPublicProfile(user),
+    start,
+    end,
+    timezone: userTimezone,
+    available_dates: formattedDays.filter((day) => day.has_availability).map((day) => day.date),
+    days: formattedDays,
+    calendar_sync: {
+      degraded: hostRange.degraded,
+      failed_providers: hostRange.failedProviders
+    }
+  }, 'Available booking slots retrieved successfully');
+};
+
 /**
  * Get public bookings for a user (by username or ID)
+ *
+ * Answers for a single `date`, or for a `start`/`end` range of dates
+ * (at most MAX_RANGE_DAYS) to render a booking-page calendar.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -462,34 +717,50 @@ const getPublicBookings = asyncHandler(async (req, res) => {
     throw notFoundError('User');
   }
 
+  if (req.query.start !== undefined || req.query.end !== undefined) {
+    return respondWithAvailabilityRange(req, res, user);
+  }
+
     const userId = user.id;
-    const { date, duration = 60, event_type_id } = req.query;
+    const {
+      date, duration = 60, event_type_id, tz
+    } = req.query;
 
     // Validate date
-    const parsedDate = date ? parse(date, 'yyyy-MM-dd', new Date()) : null;
-    if (!date || !isValid(parsedDate)) {
+    if (!availabilityService.isValidDateString(date)) {
       throw validationError([{
         field: 'date',
         message: 'Valid date is required (YYYY-MM-DD)'
       }]);
     }
 
-    // Parse date and get day of week (0 = Sunday, 6 = Saturday)
-    const targetDate = parse(date, 'yyyy-MM-dd', new Date());
-    const dayOfWeek = getDay(targetDate);
-
-    // Check booking horizon
-    const today = new Date();
-    const daysDifference = Math.ceil((targetDate - today) / (1000 * 60 * 60 * 24));
-    const bookingHorizon = user.settings?.bookingHorizon || 30; // Default 30 days
-    
-    if (daysDifference > bookingHorizon) {
+    // Validate display timezone
+    if (tz && !availabilityService.isValidTimezone(tz)) {
       throw validationError([{
-        field: 'date',
-        message: `Bookings can only be made up to ${bookingHorizon} days in advance`
+        field: 'tz',
+        message: 'tz must be a valid IANA time zone'
       }]);
     }
-    
+
+    // The requested date is a calendar day in the host's timezone
+    const userTimezone = availabilityService.isValidTimezone(user.timezone) ? user.timezone : 'UTC';
+
+    // Get event type duration if event_type_id is provided
+    const { eventType, slotDuration } = await resolvePublicSlotDuration(
+    user,
+    event_type_id,
+    duration
+  );
+
+    // Buffers, minimum notice and maximum advance come from the event type
+    const constraints = availabilityService.getBookingConstraints(eventType);
+    const now = new Date();
+    const { notBefore, notAfter } = availabilityService.getBookingWindow(constraints, now);
+
+    // Check booking horizon
+    const today = availabilityService.getTodayInTimezone(userTimezone, now);
+    const daysDifference = differenceInCalendarDays(parseISO(date), parseISO(today));
+
     if (daysDifference < 0) {
       throw validationError([{
         field: 'date',
@@ -497,95 +768,40 @@ const getPublicBookings = asyncHandler(async (req, res) => {
       }]);
     }
 
-    // Get event type duration if event_type_id is provided
-    let slotDuration = 60; // Default duration
-    let eventType = null;
-    
-    if (event_type_id) {
-      const EventType = require('../models/event-type.model');
-      eventType = await EventType.findOne({
-        where: { 
-          id: event_type_id,
-          user_id: userId,
-          is_active: true
-        }
-      });
-      
-      if (eventType) {
-        slotDuration = eventType.duration || 60;
-        logger.info(`Using event type duration: ${slotDuration} minutes for event type ${event_type_id}`);
+    const { start: dayStart, end: dayEnd } = availabilityService.getDayBounds(date, userTimezone);
+
+    if (notAfter) {
+      // The event type's maximum advance replaces the global horizon
+      if (isAfter(dayStart, notAfter)) {
+        throw validationError([{
+          field: 'date',
+          message: availabilityService.checkBookingWindow(dayStart, constraints, now)
+        }]);
       }
     } else {
-      // Fall back to user settings or query parameter
-      const userPreferredDuration = user.settings?.meetingDuration;
-      const requestedDuration = parseInt(duration, 10);
-      slotDuration = requestedDuration || userPreferredDuration || 60;
-    }
-    
-    if (slotDuration < 15 || slotDuration > 240) {
-      throw validationError([{
-        field: 'duration',
-        message: 'Duration must be between 15 and 240 minutes'
-      }]);
+      const bookingHorizon = user.settings?.bookingHorizon || 30; // Default 30 days
+
+      if (daysDifference > bookingHorizon) {
+        throw validationError([{
+          field: 'date',
+          message: `Bookings can only be made up to ${bookingHorizon} days in advance`
+        }]);
+      }
     }
 
-    // Get availability rules for this day of week
-    const rules = await AvailabilityRule.findAll({
-      where: { userId: userId, dayOfWeek: dayOfWeek }
-    });
+    // Get availability rules for this day, with any date override applied
+    const rules = await availabilityService.getRulesForDate(userId, date);
 
     if (rules.length === 0) {
       return successResponse(res, {
-        user: {
-          id: user.id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          username: user.username,
-          timezone: user.timezone,
-          can_remove_branding: user.can_remove_branding || false
-        },
-        settings: {
-          googleAnalyticsId: user.settings?.googleAnalyticsId || null,
-          bookingPageTitle: user.settings?.bookingPageTitle || null,
-          bookingPageDescription: user.settings?.bookingPageDescription || null,
-          brandingColor: user.settings?.brandingColor || '#000000',
-          meetingDuration: user.settings?.meetingDuration || 60,
-          bufferMinutes: user.settings?.bufferMinutes || 0,
-          logoUrl: user.settings?.logoUrl || null,
-          logoAltText: user.settings?.logoAltText || null,
-          // Booking page customization fields
-          bookingPagePrimaryColor: user.settings?.bookingPagePrimaryColor || '#003b49',
-          bookingPageSecondaryColor: user.settings?.bookingPageSecondaryColor || '#ff6b6b',
-          bookingPageBackgroundColor: user.settings?.bookingPageBackgroundColor || '#ffffff',
-          bookingPageTextColor: user.settings?.bookingPageTextColor || '#333333',
-          bookingPageFontSize: user.settings?.bookingPageFontSize || 'medium',
-          bookingPageFontFamily: user.settings?.bookingPageFontFamily || 'Inter, sans-serif'
-        },
+        ...formatPublicProfile(user),
         date,
         available_slots: []
       }, 'No availability rules found for this day');
     }
 
-    // Get bookings for this date in the user's timezone
-    const userTimezone = user.timezone || 'America/New_York';
-    
-    // Parse the date string and create Date objects for start/end of day
-    // The date string "2025-08-07" represents August 7 in the user's timezone
-    const year = parseInt(date.substring(0, 4));
-    const month = parseInt(date.substring(5, 7)) - 1; // Month is 0-indexed
-    const day = parseInt(date.substring(8, 10));
-    
-    // Create dates at midnight and end of day in user's timezone
-    const dayStartInUserTz = new Date(year, month, day, 0, 0, 0, 0);
-    const dayEndInUserTz = new Date(year, month, day, 23, 59, 59, 999);
-    
-    // Convert from user's timezone to UTC
-    const dayStart = fromZonedTime(dayStartInUserTz, userTimezone);
-    const dayEnd = fromZonedTime(dayEndInUserTz, userTimezone);
-    
+    // Get bookings overlapping this date in the user's timezone
     logger.debug(`Date range for ${date} in ${userTimezone}:`, {
-      userTzStart: dayStartInUserTz.toISOString(),
-      userTzEnd: dayEndInUserTz.toISOString(),
       utcStart: dayStart.toISOString(),
       utcEnd: dayEnd.toISOString()
     });
@@ -595,13 +811,14 @@ const getPublicBookings = asyncHandler(async (req, res) => {
         userId: userId,
         [Op.and]: [
           {
-            startTime: { [Op.lt]: dayEnd }
+            // Bookings just outside the day can still block slots via buffers
+            startTime: { [Op.lt]: addMinutes(dayEnd, constraints.bufferAfter) }
           },
           {
-            endTime: { [Op.gt]: dayStart }
-          }
-        ],
-        status: 'confirmed'
+            endTime: { [Op.gt]: addMinutes(dayStart, -constraints.bufferBefore) }
+          },
+          availabilityService.getOccupyingBookingWhere()
+        ]
       }
     });
 
@@ -617,183 +834,56 @@ const getPublicBookings = asyncHandler(async (req, res) => {
       }))
     });
 
-    // Get busy times from integrated calendars
-    let calendarBusyTimes = [];
-    try {
-      logger.info(`Fetching calendar busy times for user ${userId}`, {
-        userId,
-        dayStart: dayStart.toISOString(),
-        dayEnd: dayEnd.toISOString(),
-        date
-      });
-      
-      calendarBusyTimes = await calendarService.getAllBusyTimes(userId, dayStart, dayEnd);
-      
-      logger.info(`Calendar busy times fetched for user ${userId}:`, {
-        count: calendarBusyTimes.length,
-        busyTimes: calendarBusyTimes.map(bt => ({
-          start: bt.start.toISOString(),
-          end: bt.end.toISOString(),
-          duration: Math.round((bt.end - bt.start) / 60000) + ' minutes'
-        }))
-      });
-    } catch (error) {
-      logger.error(`Failed to fetch calendar busy times for user ${userId}:`, {
-        error: error.message,
-        stack: error.stack,
-        userId,
-        date
+    // Get busy times from every connected calendar; a failing provider
+    // degrades the result instead of failing the request
+    const calendarAvailability = await availabilityService.getBusyTimesForDay(userId, date, userTimezone);
+    const calendarBusyTimes = calendarAvailability.busyTimes;
+
+    if (calendarAvailability.degraded) {
+      logger.warn(`Serving slots for user ${userId} on ${date} without complete calendar data`, {
+        failedProviders: calendarAvailability.failedProviders
       });
-      // Continue without calendar integration - don't fail the request
     }
 
-    // Calculate available slots for each rule
-    const allSlots = [];
-
-    // Use forEach instead of for...of
-    rules.forEach((rule) => {
-      // Parse rule times
-      const ruleStartTime = parse(rule.startTime, 'HH:mm:ss', new Date());
-      const ruleEndTime = parse(rule.endTime, 'HH:mm:ss', new Date());
-
-      // Create slots with specified duration in user's timezone
-      // Use the parsed date components to create slot times
-      let slotStart = new Date(year, month, day, 
-        getHours(ruleStartTime),
-        getMinutes(ruleStartTime),
-        0, 0
-      );
-      const ruleEnd = new Date(year, month, day,
-        getHours(ruleEndTime),
-        getMinutes(ruleEndTime),
-        0, 0
-      );
-
-      while (isSameOrBefore(addMinutes(slotStart, slotDuration), ruleEnd)) {
-        const slotEnd = addMinutes(slotStart, slotDuration);
-        
-        // Convert slot times from user timezone to UTC
-        const slotStartUtc = fromZonedTime(slotStart, userTimezone);
-        const slotEndUtc = fromZonedTime(slotEnd, userTimezone);
-        
-        const slot = {
-          start: slotStartUtc.toISOString(),
-          end: slotEndUtc.toISOString()
-        };
-
-        // Check if slot is in the past or too soon
-        const now = new Date();
-        const slotStartTime = new Date(slot.start);
-        
-        // Require at least 2 hours advance notice for bookings
-        const minimumAdvanceMinutes = 120; // 2 hours
-        const minimumBookingTime = addMinutes(now, minimumAdvanceMinutes);
-        
-        const isInPast = isBefore(slotStartTime, now);
-        const isTooSoon = isBefore(slotStartTime, minimumBookingTime);
-        
-        if (isInPast || isTooSoon) {
-          logger.debug(`Slot ${slot.start} is ${isInPast ? 'in the past' : 'too soon (less than 2 hours notice)'}, skipping`);
-          slotStart = addMinutes(slotStart, slotDuration);
-          continue;
-        }
-
-        // Check if slot conflicts with any booking or calendar event
-        const isBookingConflict = bookings.some((booking) => {
-          const bookingStart = new Date(booking.startTime);
-          const bookingEnd = new Date(booking.endTime);
-          const slotStart = new Date(slot.start);
-          const slotEnd = new Date(slot.end);
-          
-          // Check if dates are valid
-          if (isNaN(bookingStart.getTime()) || isNaN(bookingEnd.getTime())) {
-            logger.error(`Invalid booking dates for ${booking.id}:`, {
-              startTime: booking.startTime,
-              endTime: booking.endTime
-            });
-            return false; // Skip invalid dates
-          }
-
-          // Check for overlap with buffer time
-          const slotStartWithBuffer = addMinutes(slotStart, -rule.buffer_minutes);
-          const slotEndWithBuffer = addMinutes(slotEnd, rule.buffer_minutes);
-          
-          const basicOverlap = (isBefore(slotStart, bookingEnd) && isAfter(slotEnd, bookingStart));
-          const bufferOverlap = (isBefore(slotStartWithBuffer, bookingEnd) && isAfter(slotEndWithBuffer, bookingStart));
-          
-          return basicOverlap || bufferOverlap;
-        });
-
-        // Check if slot conflicts with any calendar events
-        const isCalendarConflict = calendarBusyTimes.some((busyTime) => {
-          // Check for overlap with buffer time
-          const slotStartWithBuffer = addMinutes(new Date(slot.start), -rule.buffer_minutes);
-          const slotEndWithBuffer = addMinutes(new Date(slot.end), rule.buffer_minutes);
-          
-          const hasOverlap = (isBefore(new Date(slot.start), busyTime.end) && isAfter(new Date(slot.end), busyTime.start))
-            || (isBefore(slotStartWithBuffer, busyTime.end) && isAfter(slotEndWithBuffer, busyTime.start));
-          
-          if (hasOverlap) {
-            logger.debug(`Slot ${slot.start} conflicts with calendar event`, {
-              slot: { start: slot.start, end: slot.end },
-              busyTime: { 
-                start: busyTime.start.toISOString(), 
-                end: busyTime.end.toISOString() 
-              },
-              bufferMinutes: rule.buffer_minutes
-            });
-          }
-          
-          return hasOverlap;
-        });
+    // Slots are spaced by the host's buffer so back-to-back meetings get a break
+    const bufferMinutes = user.settings?.bufferMinutes || 0;
 
-        const isConflict = isBookingConflict || isCalendarConflict;
-
-        // Add slot if no conflict
-        if (!isConflict) {
-          allSlots.push(slot);
-        } else if (isCalendarConflict) {
-          logger.debug(`Slot ${slot.start} blocked due to calendar conflict`);
-        }
-        
-        // Move to next slot with buffer time
-        // Get buffer time from user settings or availability rule
-        const bufferMinutes = user.settings?.bufferMinutes || rule.buffer_minutes || 0;
-        slotStart = addMinutes(slotEnd, bufferMinutes);
-      }
+    // Stop offering slots once a daily or weekly booking cap is reached
+    const limitReason = await availabilityService.getBookingLimitReason({
+      userId,
+      date,
+      timezone: userTimezone,
+      rules,
+      eventType
     });
 
-    // Sort slots by start time
-    allSlots.sort((a, b) => differenceInMinutes(new Date(a.start), new Date(b.start)));
+    if (limitReason) {
+      logger.info(`No slots offered for user ${userId} on ${date}: ${limitReason}`);
+    }
+
+    const allSlots = limitReason ? [] : availabilityService.computeDaySlots({
+      date,
+      timezone: userTimezone,
+      rules,
+      duration: slotDuration,
+      step: slotDuration + bufferMinutes,
+      bookings,
+      busyTimes: calendarBusyTimes,
+      bufferBefore: constraints.bufferBefore,
+      bufferAfter: constraints.bufferAfter,
+      notBefore,
+      notAfter
+    }).map(slot => availabilityService.formatSlot(slot, tz));
 
     return successResponse(res, {
-      user: {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        username: user.username,
-        timezone: user.timezone,
-        can_remove_branding: user.can_remove_branding // Now a virtual getter
-      },
-      settings: {
-        googleAnalyticsId: user.settings?.googleAnalyticsId || null,
-        bookingPageTitle: user.settings?.bookingPageTitle || null,
-        bookingPageDescription: user.settings?.bookingPageDescription || null,
-        brandingColor: user.settings?.brandingColor || '#000000',
-        meetingDuration: user.settings?.meetingDuration || 60,
-        bufferMinutes: user.settings?.bufferMinutes || 0,
-        logoUrl: user.settings?.logoUrl || null,
-        logoAltText: user.settings?.logoAltText || null,
-        // Booking page customization fields
-        bookingPagePrimaryColor: user.settings?.bookingPagePrimaryColor || '#003b49',
-        bookingPageSecondaryColor: user.settings?.bookingPageSecondaryColor || '#ff6b6b',
-        bookingPageBackgroundColor: user.settings?.bookingPageBackgroundColor || '#ffffff',
-        bookingPageTextColor: user.settings?.bookingPageTextColor || '#333333',
-        bookingPageFontSize: user.settings?.bookingPageFontSize || 'medium',
-        bookingPageFontFamily: user.settings?.bookingPageFontFamily || 'Inter, sans-serif'
-      },
+      ...formatPublicProfile(user),
       date,
-      available_slots: allSlots
+      available_slots: allSlots,
+      booking_limit_reached: Boolean(limitReason),
+      calendar_sync: {
+        degraded: calendarAvailability.degraded,
+        failed_providers: calendarAvailability.failedProviders
+      }
     }, 'Available booking slots retrieved successfully');
 });
 
@@ -814,7 +904,9 @@ const createPublicBooking = asyncHandler(async (req, res) => {
       start_time: startTime,
       end_time: endTime,
       notes,
-      event_type_id: eventTypeId
+      event_type_id: eventTypeId,
+      answers,
+      promo_code: promoCodeInput
     } = req.body;
 
     // Find user by username
@@ -824,7 +916,8 @@ const createPublicBooking = asyncHandler(async (req, res) => {
           { username: username }, // Check if username matches username field
           { id: username } // Check if username matches ID
         ]
-      }
+      },
+      include: [{ model: UserSettings, as: 'settings' }]
     });
 
     if (!user) {
@@ -850,18 +943,85 @@ const createPublicBooking = asyncHandler(async (req, res) => {
       ]);
     }
 
-    // Check for overlapping confirmed bookings
+    // Enforce the same rules the slot endpoint applies
+    let eventType = null;
+
+    if (eventTypeId) {
+      const EventType = require('../models/event-type.model');
+      eventType = await EventType.findOne({
+        where: {
+          id: eventTypeId,
+          user_id: userId,
+          team_id: null,
+          is_active: true
+        }
+      });
+
+      if (!eventType) {
+        throw notFoundError('Event type');
+      }
+
+      if (eventType.duration && differenceInMinutes(endDate, startDate) !== eventType.duration) {
+        throw validationError([{
+          field: 'end_time',
+          message: `Booking must last ${eventType.duration} minutes`
+        }]);
+      }
+    }
+
+    let storedAnswers;
+    try {
+      storedAnswers = bookingQuestionService.validateAnswers(eventType?.questions, answers);
+    } catch (answerError) {
+      if (answerError.statusCode === 400) {
+        throw validationError([{ field: answerError.field, message: answerError.message }]);
+      }
+      throw answerError;
+    }
+
+    const constraints = availabilityService.getBookingConstraints(eventType);
+    const windowError = availabilityService.checkBookingWindow(startDate, constraints);
+
+    if (windowError) {
+      throw validationError([{ field: 'start_time', message: windowError }]);
+    }
+
+    const userTimezone = availabilityService.isValidTimezone(user.timezone) ? user.timezone : 'UTC';
+
+    if (!eventType) {
+      checkBookingHorizon(user, startDate, userTimezone);
+    }
+
+    // The slot has to be one the host offers: inside their rules and date
+    // overrides, clear of calendar busy times and under the daily and
+    // weekly caps
+    const conflictReason = await availabilityService.getSlotConflictReason({
+      userId,
+      timezone: userTimezone,
+      slot: { start: startDate, end: endDate },
+      eventType
+    });
+
+    if (conflictReason) {
+      throw conflictError(conflictReason);
+    }
+
+    // Buffers extend the window that has to be free of other meetings
+    const blockedStart = addMinutes(startDate, -constraints.bufferBefore);
+    const blockedEnd = addMinutes(endDate, constraints.bufferAfter);
+
+    // Check for overlapping confirmed bookings and payment holds
     const overlappingBookings = await Booking.findOne({
       where: {
         userId: userId,
-        status: 'confirmed',
         [Op.and]: [
           {
-            startTime: { [Op.lt]: endTime }
+            startTime: { [Op.lt]: blockedEnd }
           },
           {
-            endTime: { [Op.gt]: startTime }
-          }
+            endTime: { [Op.gt]: blockedStart }
+          },
+          availabilityService.getOccupyingBookingWhere()
         ]
       }
     });
@@ -878,10 +1038,10 @@ const createPublicBooking = asyncHandler(async (req, res) => {
         expiresAt: { [Op.gt]: new Date() },
         [Op.and]: [
           {
-            startTime: { [Op.lt]: endTime }
+            startTime: { [Op.lt]: blockedEnd }
           },
           {
-            endTime: { [Op.gt]: startTime }
+            endTime: { [Op.gt]: blockedStart }
           }
         ]
       }
@@ -891,6 +1051,92 @@ const createPublicBooking = asyncHandler(async (req, res) => {
       throw conflictError('Time slot has a pending booking request. Please try another time.');
     }
 
+    // Paid event types hold the slot until the invitee pays, instead of
+    // asking them to confirm by email
+    const charge = paymentService.getBookingCharge(eventType);
+
+    if (promoCodeInput && !charge) {
+      throw validationError([{
+        field: 'promo_code',
+        message: 'Promo codes can only be used for paid event types'
+      }]);
+    }
+
+    if (charge) {
+      const discountedCharge = await applyBookingPromoCode({
+        userId, code: promoCodeInput, eventTypeId, charge, transaction
+      });
+      // A promo code may waive the payment, which confirms the booking at once
+      const waived = discountedCharge.amount === 0;
+
+      const booking = await Booking.create({
+        id: uuidv4(),
+        userId: userId,
+        customerName: customerName,
+        customerEmail: customerEmail,
+        customerPhone: customerPhone,
+        startTime: startTime,
+        endTime: endTime,
+        notes: notes,
+        answers: storedAnswers,
+        eventTypeId: eventTypeId,
+        status: waived ? 'confirmed' : 'pending_payment',
+        paymentExpiresAt: waived ? null : bookingPaymentService.getPaymentHoldExpiry()
+      }, { transaction });
+
+      const paymentParams = { booking, charge: discountedCharge, transaction };
+      const payment = waived
+        ? await paymentService.recordWaivedBookingPayment(paymentParams)
+        : await paymentService.createBookingPaymentIntent(paymentParams);
+
+      await AuditLog.create({
+        id: uuidv4(),
+        userId: userId,
+        action: waived ? 'booking.payment_waived' : 'booking.payment_hold',
+        metadata: {
+          bookingId: booking.id,
+          paymentId: payment.payment_id,
+          amount: payment.amount,
+          currency: payment.currency,
+          discount: payment.discount,
+          promo_code: discountedCharge.promoCode ? discountedCharge.promoCode.code : null,
+          customer_email: customerEmail
+        }
+      }, { transaction });
+
+      await transaction.commit();
+
+      if (waived) {
+        logger.info(`Public booking ${booking.id} confirmed with its payment waived`);
+
+        booking.user = user;
+        await bookingPaymentService.announceBooking(booking);
+
+        return successResponse(res, {
+          booking: {
+            id: booking.id,
+            status: booking.status,
+            start_time: booking.startTime,
+            end_time: booking.endTime
+          },
+          payment
+        }, 'Booking confirmed successfully', 201);
+      }
+
+      logger.info(`Public booking ${booking.id} held until payment ${payment.payment_id} succeeds`);
+
+      return successResponse(res, {
+        booking: {
+          id: booking.id,
+          status: booking.status,
+          start_time: booking.startTime,
+          end_time: booking.endTime,
+          payment_expires_at: booking.paymentExpiresAt
+        },
+        payment
+      }, 'Booking held until payment is completed', 201);
+    }
+
     // Generate confirmation token and expiration time
     const { token: confirmationToken, expiresAt } = generateTokenWithExpiration(32, 30);
 
@@ -905,6 +1151,7 @@ const createPublicBooking = asyncHandler(async (req, res) => {
       startTime: startTime,
       endTime: endTime,
       notes: notes,
+      answers: storedAnswers,
       eventTypeId: eventTypeId,
       confirmationToken: confirmationToken,
       status: 'pending',
@@ -960,6 +1207,68 @@ const createPublicBooking = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Check a promo code for a public booking and get the discounted price
+ *
+ * Nothing is redeemed until the booking is made.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const previewPublicPromoCode = asyncHandler(async (req, res) => {
+  const { username } = req.params;
+  const { event_type_id: eventTypeId, promo_code: code } = req.body;
+
+  const user = await User.findOne({
+    where: {
+      [Op.or]: [
+        { username: username },
+        { id: username }
+      ]
+    }
+  });
+
+  if (!user) {
+    throw notFoundError('User');
+  }
+
+  const EventType = require('../models/event-type.model');
+  const eventType = await EventType.findOne({
+    where: {
+      id: eventTypeId,
+      user_id: user.id,
+      team_id: null,
+      is_active: true
+    }
+  });
+
+  if (!eventType) {
+    throw notFoundError('Event type');
+  }
+
+  const charge = paymentService.getBookingCharge(eventType);
+
+  if (!charge) {
+    throw validationError([{
+      field: 'promo_code',
+      message: 'Promo codes can only be used for paid event types'
+    }]);
+  }
+
+  const discountedCharge = await applyBookingPromoCode({
+    userId: user.id, code, eventTypeId, charge
+  });
+
+  return successResponse(res, {
+    promo_code: discountedCharge.promoCode.code,
+    original_amount: charge.amount,
+    discount: discountedCharge.discount,
+    amount: discountedCharge.amount,
+    currency: charge.currency,
+    deposit: charge.isDeposit
+  }, 'Promo code applied successfully');
+});
+
 /**
  * Reschedule booking
  * @param {Object} req - Express request object
@@ -1022,7 +1331,7 @@ const rescheduleBooking = asyncHandler(async (req, res) => {
       where: {
         userId: userId,
         id: { [Op.ne]: id }, // Exclude current booking
-        status: 'confirmed',
+        [Op.and]: [availabilityService.getOccupyingBookingWhere()],
         [Op.or]: [
           {
             startTime: {
@@ -1061,6 +1370,13 @@ const rescheduleBooking = asyncHandler(async (req, res) => {
     booking.endTime = endTime;
     await booking.save({ transaction });
 
+    // Move the co-hosts' bookings of a collective booking with it
+    const group = await findGroupBookings(booking, transaction);
+    await Promise.all(group.map((member) => member.update(
+      { startTime, endTime },
+      { transaction }
+    )));
+
     // Create reschedule notification
     await Notification.create({
       id: uuidv4(),
@@ -1091,16 +1407,9 @@ const rescheduleBooking = asyncHandler(async (req, res) => {
     // Log reschedule
     logger.info(`Booking rescheduled: ${id}`);
 
-    // Queue email notification job for reschedule
-    await notificationService.queueNotification(id, 'email');
-
-    // Update calendar event if user has calendar integration
-    try {
-      await calendarService.createCalendarEvent(booking);
-    } catch (calendarError) {
-      logger.error(`Failed to update calendar event for rescheduled booking ${id}:`, calendarError);
-      // Non-critical error, don't fail the reschedule
-    }
+    const previous = { startTime: oldStartTime, endTime: oldEndTime };
+    await completeReschedule(booking, previous);
+    await completeGroupReschedule(group, previous);
 
     return successResponse(res, booking, 'Booking rescheduled successfully');
   } catch (error) {
@@ -1182,6 +1491,19 @@ const bulkCancelBookings = asyncHandler(async (req, res) => {
       });
     }
 
+    // Cancel the co-hosts' bookings of collective bookings with them
+    const groups = await Promise.all(bookings.map((booking) => findGroupBookings(
+      booking,
+      transaction
+    )));
+    const groupBookings = [...new Map(groups.flat()
+      .filter((member) => !cancelledBookings.includes(member.id))
+      .map((member) => [member.id, member])).values()];
+    await Promise.all(groupBookings.map((member) => member.update(
+      { status: 'cancelled' },
+      { transaction }
+    )));
+
     // Create all notifications
     await Notification.bulkCreate(notifications, { transaction });
 
@@ -1194,16 +1516,30 @@ const bulkCancelBookings = asyncHandler(async (req, res) => {
     // Log bulk cancellation
     logger.info(`Bulk booking cancellation: ${cancelledBookings.length} bookings cancelled`);
 
-    // Queue email notifications for all cancelled bookings - batch operation
+    // Queue email notifications for all cancelled bookings - batch operation.
+    // Co-host bookings leave the invitee's email to their lead booking
+    const leadBookings = bookings.filter((booking) => !booking.parentBookingId);
+
     try {
       await Promise.allSettled(
-        cancelledBookings.map(bookingId => notificationService.queueNotification(bookingId, 'email'))
+        leadBookings.map((booking) => notificationService.queueNotification(booking.id, 'email'))
       );
     } catch (error) {
       logger.error('Error queuing bulk notifications:', error);
       // Non-critical error, don't fail the cancellation
     }
 
+    await Promise.all(bookings.map((booking) => emitBookingWebhook('booking.cancelled', booking)));
+
+    // Refund invitees who paid for the cancelled bookings
+    await Promise.all(leadBookings.map(async (booking) => {
+      try {
+        await bookingPaymentService.refundBookingPayment(booking);
+      } catch (refundError) {
+        logger.error(`Failed to refund payment for cancelled booking ${booking.id}:`, refundError);
+      }
+    }));
+
     // Cancel scheduled reminder notifications for all cancelled bookings
     try {
       await Promise.allSettled(
@@ -1214,13 +1550,12 @@ const bulkCancelBookings = asyncHandler(async (req, res) => {
       // Non-critical error, don't fail the cancellation
     }
 
-    // Update calendar events if user has calendar integration - parallel processing
+    // Remove the events from the host's calendar - parallel processing
     const calendarUpdates = bookings.map(async (booking) => {
       try {
-        booking.description = `CANCELLED: ${booking.description || ''}`;
-        await calendarService.createCalendarEvent(booking);
+        await calendarService.queueCalendarSync(booking);
       } catch (calendarError) {
-        logger.error(`Failed to update calendar event for cancelled booking ${booking.id}:`, calendarError);
+        logger.error(`Failed to queue calendar event removal for cancelled booking ${booking.id}:`, calendarError);
         // Non-critical error, continue with other bookings
       }
     });
@@ -1232,6 +1567,8 @@ const bulkCancelBookings = asyncHandler(async (req, res) => {
       // Non-critical error, don't fail the cancellation
     }
 
+    await completeGroupCancellation(groupBookings, { refund: true });
+
     return successResponse(res, {
       cancelled_count: cancelledBookings.length,
       cancelled_booking_ids: cancelledBookings
@@ -1243,6 +1580,78 @@ const bulkCancelBookings = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Get the hosts who attend a booking request
+ *
+ * Collective team event types book every host; otherwise only the host
+ * the request was made for attends.
+ *
+ * @param {Object} bookingRequest - BookingRequest with its user
+ * @param {Object} [eventType] - EventType of the request
+ * @returns {Promise<Array<Object>>} Hosts, starting with the request's host
+ */
+const getRequestHosts = async (bookingRequest, eventType) => {
+  if (!teamSchedulingService.isCollective(eventType)) {
+    return [bookingRequest.user];
+  }
+
+  const hosts = await teamSchedulingService.getEventTypeHosts(eventType);
+  return [bookingRequest.user, ...hosts.filter((host) => host.id !== bookingRequest.userId)];
+};
+
+/**
+ * Create confirmed bookings for the co-hosts of a collective booking request
+ * @param {Object} bookingRequest - BookingRequest being confirmed
+ * @param {Array<Object>} coHosts - Hosts other than the request's host
+ * @param {string} parentBookingId - Booking of the request's host
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array<Object>>} Created bookings, in co-host order
+ */
+const createCoHostBookings = (bookingRequest, coHosts, parentBookingId, transaction) => Promise.all(
+  coHosts.map((host) => Booking.create({
+    id: uuidv4(),
+    userId: host.id,
+    parentBookingId,
+    customerName: bookingRequest.customerName,
+    customerEmail: bookingRequest.customerEmail,
+    customerPhone: bookingRequest.customerPhone,
+    startTime: bookingRequest.startTime,
+    endTime: bookingRequest.endTime,
+    notes: bookingRequest.notes,
+    answers: bookingRequest.answers,
+    eventTypeId: bookingRequest.eventTypeId,
+    status: 'confirmed'
+  }, { transaction }))
+);
+
+/**
+ * Notify co-hosts of their bookings and add them to their calendars
+ * @param {Array<Object>} bookings - Co-host bookings
+ * @param {Array<Object>} coHosts - Co-hosts, in booking order
+ * @returns {Promise<void>}
+ */
+const notifyCoHosts = async (bookings, coHosts) => {
+  await Promise.all(bookings.map(async (booking, index) => {
+    try {
+      await notificationService.sendBookingNotificationToHost({
+        booking,
+        host: coHosts[index]
+      });
+    } catch (emailError) {
+      logger.error(`Failed to send host notification for booking ${booking.id}:`, emailError);
+    }
+
+    await pushToHost(coHosts[index], 'booking_created', booking);
+    await emitBookingWebhook('booking.created', booking);
+
+    try {
+      await calendarService.createCalendarEvent(booking);
+    } catch (calendarError) {
+      logger.error(`Failed to create calendar event for booking ${booking.id}:`, calendarError);
+    }
+  }));
+};
+
 /**
  * Confirm booking request
  * @param {Object} req - Express request object
@@ -1329,26 +1738,33 @@ const confirmBookingRequest = asyncHandler(async (req, res) => {
       eventType = await EventType.findOne({
         where: { 
           id: bookingRequest.eventTypeId,
-          user_id: bookingRequest.userId,
-          is_active: true
+          is_active: true,
+          // Team event types are owned by the team rather than the assigned host
+          [Op.or]: [
+            { user_id: bookingRequest.userId },
+            { team_id: { [Op.ne]: null } }
+          ]
         }
       });
       
       requiresHostConfirmation = eventType?.requiresConfirmation || false;
     }
 
+    const hosts = await getRequestHosts(bookingRequest, eventType);
+    const coHosts = hosts.slice(1);
+
     // Check for race condition - another booking might have been confirmed for this time slot
     const overlappingBookings = await Booking.findOne({
       where: {
-        userId: bookingRequest.userId,
-        status: 'confirmed',
+        userId: { [Op.in]: hosts.map((host) => host.id) },
         [Op.and]: [
           {
             startTime: { [Op.lt]: bookingRequest.endTime }
           },
           {
             endTime: { [Op.gt]: bookingRequest.startTime }
-          }
+          },
+          availabilityService.getOccupyingBookingWhere()
         ]
       }
     });
@@ -1373,6 +1789,45 @@ const confirmBookingRequest = asyncHandler(async (req, res) => {
       });
     }
 
+    // Caps may have been reached by bookings confirmed since the request was made
+    const limitReasons = await Promise.all(hosts.map(async (host) => {
+      const hostTimezone = availabilityService.isValidTimezone(host.timezone)
+        ? host.timezone
+        : 'UTC';
+      const bookingDate = availabilityService.getDateInTimezone(
+        new Date(bookingRequest.startTime),
+        hostTimezone
+      );
+
+      return availabilityService.getBookingLimitReason({
+        userId: host.id,
+        date: bookingDate,
+        timezone: hostTimezone,
+        rules: await availabilityService.getRulesForDate(host.id, bookingDate),
+        eventType
+      });
+    }));
+    const limitReason = limitReasons.find(Boolean);
+
+    if (limitReason) {
+      bookingRequest.status = 'cancelled';
+      await bookingRequest.save({ transaction });
+      await transaction.commit();
+
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'booking_limit_reached',
+          message: `Sorry, this booking can no longer be confirmed. ${limitReason}.`,
+          data: {
+            userId: bookingRequest.userId,
+            date: bookingRequest.startTime,
+            suggestAlternative: true
+          }
+        }
+      });
+    }
+
     // Handle different flows based on whether host confirmation is required
     if (requiresHostConfirmation) {
       // Two-step confirmation: Customer confirmed, now needs host approval
@@ -1418,6 +1873,11 @@ const confirmBookingRequest = asyncHandler(async (req, res) => {
         // Don't fail the confirmation, email can be retried
       }
 
+      await pushToHost(bookingRequest.user, 'booking_pending_approval', bookingRequest);
+      await outboundWebhookService.emitEvent(bookingRequest.userId, 'booking_request.pending_approval', {
+        booking_request: outboundWebhookService.serializeBookingRequest(bookingRequest)
+      });
+
       return successResponse(res, {
         message: 'Thank you for confirming your booking. Your request has been sent to the host for approval. You will receive an email once the host responds.',
         status: 'pending_host_approval',
@@ -1438,8 +1898,16 @@ const confirmBookingRequest = asyncHandler(async (req, res) => {
         startTime: bookingRequest.startTime,
         endTime: bookingRequest.endTime,
         notes: bookingRequest.notes,
+        answers: bookingRequest.answers,
+        eventTypeId: bookingRequest.eventTypeId,
         status: 'confirmed'
       }, { transaction });
+      const coHostBookings = await createCoHostBookings(
+        bookingRequest,
+        coHosts,
+        bookingId,
+        transaction
+      );
 
       // Update booking request status
       bookingRequest.status = 'confirmed';
@@ -1504,6 +1972,9 @@ const confirmBookingRequest = asyncHandler(async (req, res) => {
         // Don't fail the confirmation, emails can be retried
       }
 
+      await pushToHost(bookingRequest.user, 'booking_created', booking);
+      await emitBookingWebhook('booking.created', booking);
+
       // Schedule reminder notifications
       try {
         await notificationService.scheduleReminders(bookingId);
@@ -1520,6 +1991,8 @@ const confirmBookingRequest = asyncHandler(async (req, res) => {
         // Non-critical error, don't fail the confirmation
       }
 
+      await notifyCoHosts(coHostBookings, coHosts);
+
       return successResponse(res, {
         booking: {
           id: booking.id,
@@ -1582,18 +2055,28 @@ const approveBookingRequest = asyncHandler(async (req, res) => {
       }]);
     }
 
+    let eventType = null;
+
+    if (bookingRequest.eventTypeId) {
+      const EventType = require('../models/event-type.model');
+      eventType = await EventType.findByPk(bookingRequest.eventTypeId);
+    }
+
+    const hosts = await getRequestHosts(bookingRequest, eventType);
+    const coHosts = hosts.slice(1);
+
     // Check for race condition - another booking might have been confirmed for this time slot
     const overlappingBookings = await Booking.findOne({
       where: {
-        userId: bookingRequest.userId,
-        status: 'confirmed',
+        userId: { [Op.in]: hosts.map((host) => host.id) },
         [Op.and]: [
           {
             startTime: { [Op.lt]: bookingRequest.endTime }
           },
           {
             endTime: { [Op.gt]: bookingRequest.startTime }
-          }
+          },
+          availabilityService.getOccupyingBookingWhere()
         ]
       }
     });
@@ -1629,8 +2112,16 @@ const approveBookingRequest = asyncHandler(async (req, res) => {
       startTime: bookingRequest.startTime,
       endTime: bookingRequest.endTime,
       notes: bookingRequest.notes,
+      answers: bookingRequest.answers,
+      eventTypeId: bookingRequest.eventTypeId,
       status: 'confirmed'
     }, { transaction });
+    const coHostBookings = await createCoHostBookings(
+      bookingRequest,
+      coHosts,
+      bookingId,
+      transaction
+    );
 
     // Update booking request status
     bookingRequest.status = 'confirmed';
@@ -1673,6 +2164,8 @@ const approveBookingRequest = asyncHandler(async (req, res) => {
       // Don't fail the approval, emails can be retried
     }
 
+    await emitBookingWebhook('booking.created', booking);
+
     // Schedule reminder notifications
     try {
       await notificationService.scheduleReminders(bookingId);
@@ -1689,6 +2182,8 @@ const approveBookingRequest = asyncHandler(async (req, res) => {
       // Non-critical error, don't fail the approval
     }
 
+    await notifyCoHosts(coHostBookings, coHosts);
+
     return successResponse(res, {
       booking: {
         id: booking.id,
@@ -1795,6 +2290,278 @@ const rejectBookingRequest = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Find the booking a manage link points to, with its host and event type
+ * @param {string} token - Manage token
+ * @returns {Promise<{booking: Object, host: Object, eventType: (Object|null)}>} Booking details
+ */
+const findManagedBooking = async (token) => {
+  const bookingId = manageBookingService.verifyManageToken(token);
+  const booking = bookingId ? await Booking.findByPk(bookingId) : null;
+  const host = booking ? await User.findByPk(booking.userId, {
+    include: [{ model: UserSettings, as: 'settings' }]
+  }) : null;
+
+  if (!booking || !host) {
+    throw notFoundError('Booking');
+  }
+
+  let eventType = null;
+
+  if (booking.eventTypeId) {
+    const EventType = require('../models/event-type.model');
+    eventType = await EventType.findByPk(booking.eventTypeId);
+  }
+
+  return { booking, host, eventType };
+};
+
+/**
+ * Reject an invitee change the booking no longer allows
+ * @param {Object} booking - Booking instance
+ * @param {Object} [eventType] - The booking's EventType
+ * @param {string} action - 'cancel' or 'reschedule'
+ * @throws {Error} Validation or forbidden error if the change is not allowed
+ */
+const assertManageAction = (booking, eventType, action) => {
+  if (booking.status === 'cancelled') {
+    throw validationError([{
+      field: 'status',
+      message: 'Booking is already cancelled'
+    }]);
+  }
+
+  const restriction = manageBookingService.getActionRestriction(booking, eventType, action);
+
+  if (restriction) {
+    throw forbiddenError(restriction);
+  }
+};
+
+/**
+ * Get a booking from an invitee's manage link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getManagedBooking = asyncHandler(async (req, res) => {
+  const { booking, host, eventType } = await findManagedBooking(req.params.token);
+
+  return successResponse(
+    res,
+    manageBookingService.serializeManagedBooking(booking, host, eventType),
+    'Booking retrieved successfully'
+  );
+});
+
+/**
+ * Cancel a booking from an invitee's manage link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelManagedBooking = asyncHandler(async (req, res) => {
+  const { booking, host, eventType } = await findManagedBooking(req.params.token);
+  const reason = req.body.reason || null;
+
+  assertManageAction(booking, eventType, 'cancel');
+
+  const group = await findGroupBookings(booking);
+  const transaction = await sequelize.transaction();
+
+  try {
+    booking.status = 'cancelled';
+    booking.cancellationReason = reason;
+    await booking.save({ transaction });
+
+    await Promise.all(group.map((member) => member.update({
+      status: 'cancelled',
+      cancellationReason: reason
+    }, { transaction })));
+
+    await Notification.create({
+      id: uuidv4(),
+      bookingId: booking.id,
+      type: 'booking_cancelled',
+      channel: 'email',
+      recipient: booking.customerEmail,
+      status: 'pending'
+    }, { transaction });
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId: host.id,
+      action: 'booking.invitee_cancel',
+      metadata: {
+        bookingId: booking.id,
+        customer_email: booking.customerEmail,
+        reason
+      }
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  logger.info(`Booking cancelled by invitee: ${booking.id}`);
+
+  await completeCancellation(booking, { host });
+  await completeGroupCancellation(group);
+
+  return successResponse(
+    res,
+    manageBookingService.serializeManagedBooking(booking, host, eventType),
+    'Booking cancelled successfully'
+  );
+});
+
+/**
+ * Move a booking to another open slot from an invitee's manage link
+ *
+ * The booking keeps its length; only the start time is chosen.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rescheduleManagedBooking = asyncHandler(async (req, res) => {
+  const { booking, host, eventType } = await findManagedBooking(req.params.token);
+
+  assertManageAction(booking, eventType, 'reschedule');
+
+  const startDate = parseISO(req.body.start_time);
+
+  if (!isValid(startDate)) {
+    throw validationError([{
+      field: 'start_time',
+      message: 'Start time must be a valid ISO 8601 date-time'
+    }]);
+  }
+
+  const previous = { startTime: booking.startTime, endTime: booking.endTime };
+  const endDate = addMinutes(startDate, differenceInMinutes(previous.endTime, previous.startTime));
+
+  if (isEqual(startDate, new Date(previous.startTime))) {
+    throw validationError([{
+      field: 'start_time',
+      message: 'Choose a different time to reschedule to'
+    }]);
+  }
+
+  const constraints = availabilityService.getBookingConstraints(eventType);
+  const windowError = availabilityService.checkBookingWindow(startDate, constraints);
+
+  if (windowError) {
+    throw validationError([{ field: 'start_time', message: windowError }]);
+  }
+
+  const hostTimezone = availabilityService.isValidTimezone(host.timezone) ? host.timezone : 'UTC';
+
+  if (!eventType) {
+    checkBookingHorizon(host, startDate, hostTimezone);
+  }
+
+  const conflictReason = await availabilityService.getSlotConflictReason({
+    userId: host.id,
+    timezone: hostTimezone,
+    slot: { start: startDate, end: endDate },
+    eventType,
+    excludeBookingId: booking.id
+  });
+
+  if (conflictReason) {
+    throw conflictError(conflictReason);
+  }
+
+  // Every co-host of a collective booking has to be free at the new time
+  const group = await findGroupBookings(booking);
+  const groupHosts = await findGroupHosts(group);
+  const groupConflicts = await Promise.all(group.map((member) => {
+    const coHost = groupHosts.get(member.userId);
+    const coHostTimezone = coHost && availabilityService.isValidTimezone(coHost.timezone)
+      ? coHost.timezone
+      : 'UTC';
+
+    return availabilityService.getSlotConflictReason({
+      userId: member.userId,
+      timezone: coHostTimezone,
+      slot: { start: startDate, end: endDate },
+      eventType,
+      excludeBookingId: member.id
+    });
+  }));
+
+  if (groupConflicts.some(Boolean)) {
+    throw conflictError('Time slot is not available for every host');
+  }
+
+  const overlappingRequest = await BookingRequest.findOne({
+    where: {
+      userId: host.id,
+      status: 'pending',
+      expiresAt: { [Op.gt]: new Date() },
+      startTime: { [Op.lt]: addMinutes(endDate, constraints.bufferAfter) },
+      endTime: { [Op.gt]: addMinutes(startDate, -constraints.bufferBefore) }
+    }
+  });
+
+  if (overlappingRequest) {
+    throw conflictError('Time slot has a pending booking request. Please try another time.');
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    booking.startTime = startDate;
+    booking.endTime = endDate;
+    await booking.save({ transaction });
+
+    await Promise.all(group.map((member) => member.update({
+      startTime: startDate,
+      endTime: endDate
+    }, { transaction })));
+
+    await Notification.create({
+      id: uuidv4(),
+      bookingId: booking.id,
+      type: 'booking_updated',
+      channel: 'email',
+      recipient: booking.customerEmail,
+      status: 'pending'
+    }, { transaction });
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId: host.id,
+      action: 'booking.invitee_reschedule',
+      metadata: {
+        bookingId: booking.id,
+        customer_email: booking.customerEmail,
+        old_start_time: previous.startTime,
+        old_end_time: previous.endTime,
+        new_start_time: startDate,
+        new_end_time: endDate
+      }
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  logger.info(`Booking rescheduled by invitee: ${booking.id}`);
+
+  await completeReschedule(booking, previous);
+  await pushToHost(host, 'booking_rescheduled', booking);
+  await completeGroupReschedule(group, previous);
+
+  return successResponse(res, {
+    ...manageBookingService.serializeManagedBooking(booking, host, eventType),
+    // The old link expires with the old end time
+    manage_url: manageBookingService.getManageUrl(booking)
+  }, 'Booking rescheduled successfully');
+});
+
 module.exports = {
   getUserBookings,
   createBooking,
@@ -1802,11 +2569,15 @@ module.exports = {
   cancelBooking,
   getPublicBookings,
   createPublicBooking,
+  previewPublicPromoCode,
   confirmBookingRequest,
   rescheduleBooking,
   bulkCancelBookings,
   approveBookingRequest,
   rejectBookingRequest,
+  getManagedBooking,
+  cancelManagedBooking,
+  rescheduleManagedBooking,
   approveBookingById: approveBookingRequest,
   rejectBookingById: rejectBookingRequest
 };
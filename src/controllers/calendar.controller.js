@@ -1,7 +1,8 @@
 /**
  * Calendar controller
  *
- * Handles OAuth integration with Google Calendar and Microsoft Graph
+ * Handles OAuth integration with Google Calendar and Microsoft Graph, and
+ * app-specific password connections to CalDAV servers
  *
  * @author meetabl Team
  */
@@ -14,6 +15,40 @@ const logger = require('../config/logger');
 const { User, CalendarToken, AuditLog } = require('../models');
 const { sequelize } = require('../config/database');
 const calendarService = require('../services/calendar.service');
+const availabilityService = require('../services/availability.service');
+const calendarSyncService = require('../services/calendar-sync.service');
+const caldavService = require('../services/caldav.service');
+
+/**
+ * Start following changes to a newly connected calendar
+ *
+ * Runs in the background so the OAuth redirect is not held up; calendars
+ * that could not be watched are picked up by the channel renewal job.
+ *
+ * @param {Object} token - CalendarToken instance
+ */
+const watchConnectedCalendar = (token) => {
+  calendarSyncService.startWatch(token).catch((error) => {
+    logger.error(`Failed to watch calendar ${token.id} for changes:`, error);
+  });
+};
+
+/**
+ * Stop following changes to a calendar that is being disconnected
+ *
+ * Failures are logged, since the provider stops notifying once the
+ * channel expires or the access is revoked.
+ *
+ * @param {Object} token - CalendarToken instance
+ * @returns {Promise<void>}
+ */
+const unwatchCalendar = async (token) => {
+  try {
+    await calendarSyncService.stopWatch(token);
+  } catch (error) {
+    logger.warn(`Failed to stop watching calendar ${token.id} for changes:`, error);
+  }
+};
 
 /**
  * Get Google OAuth authorization URL
@@ -126,6 +161,7 @@ const handleGoogleCallback = async (req, res) => {
       scope: tokens.scope,
       email: 'pending@google.com' // Temporary email
     }, { transaction });
+    let connectedToken = newToken;
 
     // Now fetch the email from Google
     try {
@@ -148,6 +184,7 @@ const handleGoogleCallback = async (req, res) => {
         existingTokenWithEmail.expiresAt = expiresAt;
         existingTokenWithEmail.scope = tokens.scope;
         await existingTokenWithEmail.save({ transaction });
+        connectedToken = existingTokenWithEmail;
         
         // Delete the temporary token we created
         await CalendarToken.destroy({
@@ -165,7 +202,7 @@ const handleGoogleCallback = async (req, res) => {
       }
       
       // Update user calendar provider if not already set
-      if (user.calendar_provider !== 'google' && user.calendar_provider !== 'microsoft') {
+      if (!['google', 'microsoft', 'caldav'].includes(user.calendar_provider)) {
         user.calendar_provider = 'google';
         await user.save({ transaction });
       }
@@ -190,6 +227,9 @@ const handleGoogleCallback = async (req, res) => {
     // Log successful connection
     logger.info(`Google Calendar connected for user: ${userId}`);
 
+    watchConnectedCalendar(connectedToken);
+    await availabilityService.clearBusyCache(userId);
+
     // Redirect to frontend
     return res.redirect(`${process.env.FRONTEND_URL}/calendar?success=true&provider=google`);
   } catch (error) {
@@ -336,6 +376,7 @@ const handleMicrosoftCallback = async (req, res) => {
       scope: tokens.scope,
       email: 'pending@microsoft.com' // Temporary email
     }, { transaction });
+    let connectedToken = newToken;
 
     // Now fetch the email from Microsoft
     try {
@@ -358,6 +399,7 @@ const handleMicrosoftCallback = async (req, res) => {
         existingTokenWithEmail.expiresAt = expiresAt;
         existingTokenWithEmail.scope = tokens.scope;
         await existingTokenWithEmail.save({ transaction });
+        connectedToken = existingTokenWithEmail;
         
         // Delete the temporary token we created
         await CalendarToken.destroy({
@@ -400,6 +442,9 @@ const handleMicrosoftCallback = async (req, res) => {
     // Log successful connection
     logger.info(`Microsoft Calendar connected for user: ${userId}`);
 
+    watchConnectedCalendar(connectedToken);
+    await availabilityService.clearBusyCache(userId);
+
     // Redirect to frontend
     return res.redirect(`${process.env.FRONTEND_URL}/calendar?success=true&provider=microsoft`);
   } catch (error) {
@@ -413,6 +458,145 @@ const handleMicrosoftCallback = async (req, res) => {
   }
 };
 
+/**
+ * Connect a CalDAV calendar such as iCloud, Fastmail or Nextcloud
+ *
+ * Signs in with an app-specific password and finds the account's
+ * calendars. Events go to the calendar given by calendar_url, or the
+ * first calendar found; reconnecting the same account updates it.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const connectCaldav = async (req, res) => {
+  const userId = req.user.id;
+  const {
+    server_url: serverUrl, username, password, calendar_url: calendarUrl
+  } = req.body;
+
+  let calendars;
+  try {
+    calendars = await caldavService.discoverCalendars({ serverUrl, username, password });
+  } catch (error) {
+    if (error.statusCode !== 400) {
+      logger.error('Error discovering CalDAV calendars:', error);
+      return res.status(502).json({
+        error: {
+          code: 'bad_gateway',
+          message: 'Failed to reach the CalDAV server'
+        }
+      });
+    }
+
+    return res.status(400).json({
+      error: {
+        code: 'bad_request',
+        message: error.message,
+        params: [{ param: error.field, message: error.message }]
+      }
+    });
+  }
+
+  const calendar = calendarUrl ? calendars.find((item) => item.url === calendarUrl) : calendars[0];
+
+  if (!calendar) {
+    return res.status(400).json({
+      error: {
+        code: 'bad_request',
+        message: 'Calendar not found',
+        params: [
+          {
+            param: 'calendar_url',
+            message: 'Calendar URL must be one of the account\'s calendars'
+          }
+        ]
+      }
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const user = await User.findOne({ where: { id: userId }, transaction });
+
+    if (!user) {
+      await transaction.rollback();
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'User not found'
+        }
+      });
+    }
+
+    // The username identifies the account, like the email of OAuth connections
+    let token = await CalendarToken.findOne({
+      where: { userId, provider: 'caldav', email: username },
+      transaction
+    });
+
+    if (token) {
+      token.accessToken = password;
+      token.calendarUrl = calendar.url;
+      await token.save({ transaction });
+    } else {
+      token = await CalendarToken.create({
+        id: uuidv4(),
+        userId,
+        provider: 'caldav',
+        email: username,
+        accessToken: password,
+        refreshToken: null,
+        expiresAt: null,
+        calendarUrl: calendar.url
+      }, { transaction });
+    }
+
+    if (!user.calendar_provider || user.calendar_provider === 'none') {
+      user.calendar_provider = 'caldav';
+      await user.save({ transaction });
+    }
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId,
+      action: 'calendar.caldav.connect',
+      metadata: {
+        server: new URL(serverUrl).host,
+        calendarUrl: calendar.url
+      }
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`CalDAV calendar connected for user: ${userId}`);
+
+    await availabilityService.clearBusyCache(userId);
+
+    return res.status(200).json({
+      message: 'CalDAV calendar connected successfully',
+      connection: {
+        id: token.id,
+        provider: 'caldav',
+        email: token.email,
+        calendarUrl: token.calendarUrl
+      },
+      calendars
+    });
+  } catch (error) {
+    await transaction.rollback();
+
+    logger.error('Error connecting CalDAV calendar:', error);
+
+    return res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to connect CalDAV calendar'
+      }
+    });
+  }
+};
+
 /**
  * Get calendar integration status
  * @param {Object} req - Express request object
@@ -425,7 +609,7 @@ const getCalendarStatus = async (req, res) => {
     // Find user
     const user = await User.findOne({
       where: { id: userId },
-      attributes: ['id', 'email', 'calendar_provider']
+      attributes: ['id', 'email', 'calendar_provider', 'destination_calendar_token_id']
     });
 
     if (!user) {
@@ -440,7 +624,10 @@ const getCalendarStatus = async (req, res) => {
     // Find calendar tokens
     const tokens = await CalendarToken.findAll({
       where: { userId: userId },
-      attributes: ['id', 'provider', 'email', 'expiresAt', 'scope', 'createdAt', 'updatedAt']
+      attributes: [
+        'id', 'provider', 'email', 'expiresAt', 'scope', 'calendarUrl',
+        'conflictCalendarIds', 'destinationCalendarId', 'createdAt', 'updatedAt'
+      ]
     });
 
     // For tokens without email, try to fetch it
@@ -473,6 +660,10 @@ const getCalendarStatus = async (req, res) => {
         userId: userId,
         expires_at: token.expiresAt,
         scope: token.scope,
+        calendarUrl: token.calendarUrl,
+        conflictCalendarIds: token.conflictCalendarIds,
+        destinationCalendarId: token.destinationCalendarId,
+        isDefaultDestination: user.destination_calendar_token_id === token.id,
         createdAt: token.createdAt,
         updatedAt: token.updatedAt
       }))
@@ -491,6 +682,138 @@ const getCalendarStatus = async (req, res) => {
   }
 };
 
+/**
+ * Send a calendar selection error in the API error format
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error with statusCode, and field for validation errors
+ * @returns {Object} Express response
+ */
+const sendSelectionError = (res, error) => {
+  if (error.statusCode === 404) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: error.message
+      }
+    });
+  }
+
+  return res.status(400).json({
+    error: {
+      code: 'bad_request',
+      message: error.message,
+      params: [{ param: error.field, message: error.message }]
+    }
+  });
+};
+
+/**
+ * Describe a calendar connection with its calendars
+ * @param {Object} token - CalendarToken instance
+ * @param {Array<Object>} calendars - Calendars with selection flags
+ * @param {Object} user - Owner of the connection
+ * @returns {Object} Response body
+ */
+const formatConnectionCalendars = (token, calendars, user) => ({
+  connection: {
+    id: token.id,
+    provider: token.provider,
+    email: token.email,
+    isDefaultDestination: user.destination_calendar_token_id === token.id
+  },
+  calendars
+});
+
+/**
+ * List the calendars of a connection and which are selected
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getConnectionCalendars = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { calendars, token } = await calendarService.listConnectionCalendars(
+      userId,
+      req.params.tokenId
+    );
+    const user = await User.findOne({ where: { id: userId } });
+
+    return res.status(200).json(formatConnectionCalendars(token, calendars, user));
+  } catch (error) {
+    if (error.statusCode) {
+      return sendSelectionError(res, error);
+    }
+
+    logger.error('Error listing connection calendars:', error);
+
+    return res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to list calendars'
+      }
+    });
+  }
+};
+
+/**
+ * Choose which calendars of a connection are checked for conflicts and
+ * which one receives new bookings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateConnectionCalendars = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      conflict_calendar_ids: conflictCalendarIds,
+      destination_calendar_id: destinationCalendarId,
+      default_destination: defaultDestination
+    } = req.body;
+
+    const { calendars, token, destinationChanged } = await calendarService.updateCalendarSelection(
+      userId,
+      req.params.tokenId,
+      { conflictCalendarIds, destinationCalendarId, defaultDestination }
+    );
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId,
+      action: `calendar.${token.provider}.calendars_update`,
+      metadata: {
+        calendarTokenId: token.id,
+        conflictCalendarIds: token.conflictCalendarIds,
+        destinationCalendarId: token.destinationCalendarId,
+        defaultDestination: Boolean(defaultDestination)
+      }
+    });
+
+    // Follow changes to the new destination calendar instead
+    if (destinationChanged) {
+      watchConnectedCalendar(token);
+    }
+
+    await availabilityService.clearBusyCache(userId);
+
+    const user = await User.findOne({ where: { id: userId } });
+
+    return res.status(200).json(formatConnectionCalendars(token, calendars, user));
+  } catch (error) {
+    if (error.statusCode) {
+      return sendSelectionError(res, error);
+    }
+
+    logger.error('Error updating connection calendars:', error);
+
+    return res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to update calendars'
+      }
+    });
+  }
+};
+
 /**
  * Disconnect calendar integration by token ID
  * @param {Object} req - Express request object
@@ -540,6 +863,7 @@ const disconnectCalendar = async (req, res) => {
     }
 
     const provider = token.provider;
+    await unwatchCalendar(token);
     await token.destroy({ transaction });
 
     // Update user calendar provider if it was the last token of this provider
@@ -566,6 +890,8 @@ const disconnectCalendar = async (req, res) => {
     // Log disconnection
     logger.info(`${provider} Calendar disconnected for user: ${userId}`);
 
+    await availabilityService.clearBusyCache(userId);
+
     return res.status(200).json({
       message: `${provider} Calendar disconnected successfully`
     });
@@ -597,7 +923,7 @@ const disconnectCalendarByProvider = async (req, res) => {
     const { provider } = req.params;
 
     // Validate provider
-    if (!provider || !['google', 'microsoft'].includes(provider)) {
+    if (!provider || !['google', 'microsoft', 'caldav'].includes(provider)) {
       return res.status(400).json({
         error: {
           code: 'bad_request',
@@ -605,7 +931,7 @@ const disconnectCalendarByProvider = async (req, res) => {
           params: [
             {
               param: 'provider',
-              message: 'Provider must be "google" or "microsoft"'
+              message: 'Provider must be "google", "microsoft" or "caldav"'
             }
           ]
         }
@@ -629,6 +955,8 @@ const disconnectCalendarByProvider = async (req, res) => {
       where: { userId: userId, provider }
     });
 
+    await Promise.all(tokens.map(unwatchCalendar));
+
     for (const token of tokens) {
       await token.destroy({ transaction });
     }
@@ -653,6 +981,8 @@ const disconnectCalendarByProvider = async (req, res) => {
     // Log disconnection
     logger.info(`${provider} Calendar(s) disconnected for user: ${userId}`);
 
+    await availabilityService.clearBusyCache(userId);
+
     return res.status(200).json({
       message: `${provider} Calendar(s) disconnected successfully`,
       tokensRemoved: tokens.length
@@ -730,14 +1060,81 @@ const getMicrosoftStatus = (req, res) => {
   }
 };
 
+/**
+ * Handle a Google Calendar push notification
+ *
+ * Always acknowledged once handled, so Google does not retry
+ * notifications for channels meetabl no longer knows.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleGoogleNotification = async (req, res) => {
+  try {
+    await calendarSyncService.handleGoogleNotification({
+      channelId: req.get('X-Goog-Channel-ID'),
+      channelToken: req.get('X-Goog-Channel-Token'),
+      resourceId: req.get('X-Goog-Resource-ID'),
+      resourceState: req.get('X-Goog-Resource-State')
+    });
+
+    return res.status(200).end();
+  } catch (error) {
+    logger.error('Error handling Google Calendar notification:', error);
+
+    return res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to handle calendar notification'
+      }
+    });
+  }
+};
+
+/**
+ * Handle Microsoft Graph change notifications
+ *
+ * Also answers the validation request Graph sends when a subscription
+ * is created, by echoing its validation token.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleMicrosoftNotification = async (req, res) => {
+  if (req.query.validationToken) {
+    return res.status(200).type('text/plain').send(String(req.query.validationToken));
+  }
+
+  try {
+    const notifications = req.body && Array.isArray(req.body.value) ? req.body.value : [];
+    await calendarSyncService.handleMicrosoftNotifications(notifications);
+
+    return res.status(202).end();
+  } catch (error) {
+    logger.error('Error handling Microsoft Graph notification:', error);
+
+    return res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to handle calendar notification'
+      }
+    });
+  }
+};
+
 module.exports = {
   getGoogleAuthUrl,
   handleGoogleCallback,
   getMicrosoftAuthUrl,
   handleMicrosoftCallback,
+  connectCaldav,
   getCalendarStatus,
+  getConnectionCalendars,
+  updateConnectionCalendars,
   disconnectCalendar,
   disconnectCalendarByProvider,
   getGoogleStatus,
-  getMicrosoftStatus
+  getMicrosoftStatus,
+  handleGoogleNotification,
+  handleMicrosoftNotification
 };
@@ -5,9 +5,13 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const { EventType, User } = require('../models');
+const { EventType, User, CalendarToken } = require('../models');
 const { Op } = require('sequelize');
 const logger = require('../config/logger');
+const subscriptionService = require('../services/subscription.service');
+const { normalizeQuestions } = require('../services/booking-question.service');
+const { normalizeReminders } = require('../services/reminder.service');
+const calendarService = require('../services/calendar.service');
 
 /**
  * Get all event types for the authenticated user
@@ -15,7 +19,7 @@ const logger = require('../config/logger');
 const getEventTypes = async (req, res, next) => {
   try {
     const eventTypes = await EventType.findAll({
-      where: { userId: req.user.id },
+      where: { userId: req.user.id, teamId: null },
       order: [
         ['position', 'ASC'],
         ['createdAt', 'ASC']
@@ -42,7 +46,8 @@ const getEventType = async (req, res, next) => {
     const eventType = await EventType.findOne({
       where: {
         id,
-        userId: req.user.id
+        userId: req.user.id,
+        teamId: null
       }
     });
 
@@ -78,11 +83,21 @@ const transformRequestBody = (body) => {
     'minimum_notice': 'minimumNotice',
     'maximum_advance': 'maximumAdvance',
     'reminder_minutes': 'reminderMinutes',
+    'max_bookings_per_day': 'maxBookingsPerDay',
+    'max_bookings_per_week': 'maxBookingsPerWeek',
+    'cancellation_cutoff': 'cancellationCutoff',
+    'reschedule_cutoff': 'rescheduleCutoff',
+    'deposit_amount': 'depositAmount',
+    'destination_calendar_token_id': 'destinationCalendarTokenId',
+    'destination_calendar_id': 'destinationCalendarId',
     'is_active': 'isActive'
   };
   
+  // Team ownership and scheduling are managed through the team routes
+  const teamFields = ['teamId', 'team_id', 'schedulingType', 'scheduling_type'];
+
   // Copy all fields, transforming snake_case to camelCase where needed
-  Object.keys(body).forEach(key => {
+  Object.keys(body).filter(key => !teamFields.includes(key)).forEach(key => {
     const mappedKey = fieldMapping[key] || key;
     transformed[mappedKey] = body[key];
   });
@@ -90,6 +105,139 @@ const transformRequestBody = (body) => {
   return transformed;
 };
 
+/**
+ * Validate an event type's custom questions against the user's plan
+ *
+ * The custom_fields plan limit caps the number of questions per event type.
+ *
+ * @param {string} userId - User ID
+ * @param {Array<Object>} questions - Question definitions
+ * @returns {Promise<Array<Object>>} Normalized questions
+ */
+const prepareQuestions = async (userId, questions) => {
+  const normalized = normalizeQuestions(questions);
+
+  if (normalized.length > 0) {
+    const { limit } = await subscriptionService.checkUsageLimit(userId, 'custom_fields', normalized.length);
+
+    if (limit !== 'unlimited' && normalized.length > limit) {
+      const error = new Error(limit === 0
+        ? 'Custom questions are not included in your plan. Please upgrade to add them.'
+        : `Your plan allows up to ${limit} custom questions per event type. Please upgrade to add more.`);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * Validate an event type's reminders against the user's plan
+ *
+ * SMS reminders need the sms_notifications plan feature.
+ *
+ * @param {string} userId - User ID
+ * @param {Array<Object>|null} reminders - Reminder definitions, or null for the defaults
+ * @returns {Promise<Array<Object>|null>} Normalized reminders
+ */
+const prepareReminders = async (userId, reminders) => {
+  const normalized = normalizeReminders(reminders);
+
+  if (normalized && normalized.some((reminder) => reminder.channel === 'sms')) {
+    const hasAccess = await subscriptionService.checkFeatureAccess(userId, 'sms_notifications');
+
+    if (!hasAccess) {
+      const error = new Error('SMS reminders are not included in your plan. Please upgrade to add them.');
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * Validate an event type's price against the user's plan
+ *
+ * Paid event types need the payment_integration plan feature. Invitees
+ * confirm them by paying, so they cannot also require host confirmation.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} fields - price, depositAmount and requiresConfirmation
+ *   the event type will have
+ * @returns {Promise<void>}
+ */
+const checkPricing = async (userId, { price, depositAmount, requiresConfirmation }) => {
+  const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  };
+
+  if (price === null || price === undefined) {
+    if (depositAmount !== null && depositAmount !== undefined) {
+      fail(400, 'A deposit needs a price');
+    }
+    return;
+  }
+
+  if (depositAmount !== null && depositAmount !== undefined && Number(depositAmount) > Number(price)) {
+    fail(400, 'The deposit cannot be more than the price');
+  }
+
+  if (requiresConfirmation) {
+    fail(400, 'Paid event types cannot require host confirmation');
+  }
+
+  if (!(await subscriptionService.checkFeatureAccess(userId, 'payment_integration'))) {
+    fail(403, 'Paid event types are not included in your plan. Please upgrade to charge for bookings.');
+  }
+};
+
+/**
+ * Validate the calendar an event type's bookings are added to
+ *
+ * The connection must be one of the user's, and the calendar one of its
+ * calendars the user can add events to.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} fields - destinationCalendarTokenId and destinationCalendarId
+ *   the event type will have
+ * @returns {Promise<void>}
+ */
+const checkDestinationCalendar = async (userId, { destinationCalendarTokenId, destinationCalendarId }) => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+
+  if (!destinationCalendarTokenId) {
+    if (destinationCalendarId) {
+      fail('A destination calendar needs a calendar connection');
+    }
+    return;
+  }
+
+  const token = await CalendarToken.findOne({
+    where: { id: destinationCalendarTokenId, userId }
+  });
+
+  if (!token) {
+    fail('Calendar connection not found');
+  }
+
+  if (destinationCalendarId) {
+    const { calendars } = await calendarService.listConnectionCalendars(userId, token.id);
+    const calendar = calendars.find((item) => item.id === destinationCalendarId);
+
+    if (!calendar || !calendar.writable) {
+      fail('Destination must be a calendar of the connection you can add events to');
+    }
+  }
+};
+
 /**
  * Create a new event type
  */
@@ -97,7 +245,7 @@ const createEventType = async (req, res, next) => {
   try {
     // Check if user can add more event types
     const currentCount = await EventType.count({
-      where: { userId: req.user.id }
+      where: { userId: req.user.id, teamId: null }
     });
 
     const user = await User.findByPk(req.user.id);
@@ -114,6 +262,50 @@ const createEventType = async (req, res, next) => {
     // Transform request body from snake_case to camelCase
     const transformedBody = transformRequestBody(req.body);
 
+    if (transformedBody.questions !== undefined) {
+      try {
+        transformedBody.questions = await prepareQuestions(req.user.id, transformedBody.questions);
+      } catch (questionError) {
+        if (!questionError.statusCode) throw questionError;
+        return res.status(questionError.statusCode).json({
+          success: false,
+          message: questionError.message
+        });
+      }
+    }
+
+    if (transformedBody.reminders !== undefined) {
+      try {
+        transformedBody.reminders = await prepareReminders(req.user.id, transformedBody.reminders);
+      } catch (reminderError) {
+        if (!reminderError.statusCode) throw reminderError;
+        return res.status(reminderError.statusCode).json({
+          success: false,
+          message: reminderError.message
+        });
+      }
+    }
+
+    try {
+      await checkPricing(req.user.id, transformedBody);
+    } catch (pricingError) {
+      if (!pricingError.statusCode) throw pricingError;
+      return res.status(pricingError.statusCode).json({
+        success: false,
+        message: pricingError.message
+      });
+    }
+
+    try {
+      await checkDestinationCalendar(req.user.id, transformedBody);
+    } catch (destinationError) {
+      if (!destinationError.statusCode) throw destinationError;
+      return res.status(destinationError.statusCode).json({
+        success: false,
+        message: destinationError.message
+      });
+    }
+
     // Generate unique slug
     const slug = await EventType.generateSlug(transformedBody.name, req.user.id);
 
@@ -157,7 +349,8 @@ const updateEventType = async (req, res, next) => {
     const eventType = await EventType.findOne({
       where: {
         id,
-        userId: req.user.id
+        userId: req.user.id,
+        teamId: null
       }
     });
 
@@ -168,6 +361,68 @@ const updateEventType = async (req, res, next) => {
       });
     }
 
+    if (transformedBody.questions !== undefined) {
+      try {
+        transformedBody.questions = await prepareQuestions(req.user.id, transformedBody.questions);
+      } catch (questionError) {
+        if (!questionError.statusCode) throw questionError;
+        return res.status(questionError.statusCode).json({
+          success: false,
+          message: questionError.message
+        });
+      }
+    }
+
+    if (transformedBody.reminders !== undefined) {
+      try {
+        transformedBody.reminders = await prepareReminders(req.user.id, transformedBody.reminders);
+      } catch (reminderError) {
+        if (!reminderError.statusCode) throw reminderError;
+        return res.status(reminderError.statusCode).json({
+          success: false,
+          message: reminderError.message
+        });
+      }
+    }
+
+    const pricingFields = ['price', 'depositAmount', 'requiresConfirmation'];
+
+    if (pricingFields.some((field) => transformedBody[field] !== undefined)) {
+      try {
+        await checkPricing(req.user.id, {
+          ...eventType.get({ plain: true }),
+          ...transformedBody
+        });
+      } catch (pricingError) {
+        if (!pricingError.statusCode) throw pricingError;
+        return res.status(pricingError.statusCode).json({
+          success: false,
+          message: pricingError.message
+        });
+      }
+    }
+
+    const destinationFields = ['destinationCalendarTokenId', 'destinationCalendarId'];
+
+    if (transformedBody.destinationCalendarTokenId === null) {
+      transformedBody.destinationCalendarId = null;
+    }
+
+    if (destinationFields.some((field) => transformedBody[field] !== undefined)) {
+      try {
+        await checkDestinationCalendar(req.user.id, {
+          ...eventType.get({ plain: true }),
+          ...transformedBody
+        });
+      } catch (destinationError) {
+        if (!destinationError.statusCode) throw destinationError;
+        return res.status(destinationError.statusCode).json({
+          success: false,
+          message: destinationError.message
+        });
+      }
+    }
+
     // If name is being changed, regenerate slug
     if (transformedBody.name && transformedBody.name !== eventType.name) {
       transformedBody.slug = await EventType.generateSlug(transformedBody.name, req.user.id);
@@ -198,7 +453,8 @@ const deleteEventType = async (req, res, next) => {
     const eventType = await EventType.findOne({
       where: {
         id,
-        userId: req.user.id
+        userId: req.user.id,
+        teamId: null
       }
     });
 
@@ -239,7 +495,8 @@ const reorderEventTypes = async (req, res, next) => {
     const eventTypes = await EventType.findAll({
       where: {
         id: eventTypeIds,
-        userId: req.user.id
+        userId: req.user.id,
+        teamId: null
       }
     });
 
@@ -293,12 +550,14 @@ const getPublicEventTypes = async (req, res, next) => {
     const eventTypes = await EventType.findAll({
       where: {
         userId: user.id,
+        teamId: null,
         isActive: true
       },
       attributes: [
         'id', 'name', 'slug', 'description', 'duration', 'color',
         'location', 'locationType', 'requiresConfirmation',
-        'minimumNotice', 'maximumAdvance', 'isActive'
+        'minimumNotice', 'maximumAdvance', 'price', 'currency',
+        'depositAmount', 'isActive'
       ],
       order: [
         ['position', 'ASC'],
@@ -339,13 +598,16 @@ const getPublicEventType = async (req, res, next) => {
     const eventType = await EventType.findOne({
       where: {
         userId: user.id,
+        teamId: null,
         slug,
         isActive: true
       },
       attributes: [
         'id', 'name', 'description', 'duration', 'color',
         'location', 'locationType', 'requiresConfirmation',
-        'minimumNotice', 'maximumAdvance', 'questions'
+        'minimumNotice', 'maximumAdvance', 'questions',
+        'cancellationCutoff', 'rescheduleCutoff', 'price', 'currency',
+        'depositAmount'
       ]
     });
 
@@ -6,10 +6,11 @@
  * @author meetabl Team
  */
 
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../config/logger');
 const { Invoice, Payment, Booking, User, AuditLog } = require('../models');
 const { Op } = require('../config/database');
-const storageService = require('../services/storage.service');
+const invoiceService = require('../services/invoice.service');
 
 /**
  * Get all invoices for current user
@@ -123,10 +124,11 @@ const downloadInvoice = async (req, res) => {
     const { id } = req.params;
 
     // Find invoice
-    const invoice = await Invoice.findOne({
+    let invoice = await Invoice.findOne({
       where: { id },
       include: [{
         model: Payment,
+        as: 'payment',
         required: true,
         where: { user_id: userId }
       }]
@@ -138,29 +140,24 @@ const downloadInvoice = async (req, res) => {
       });
     }
 
-    // Check if PDF URL exists
+    // Generate the PDF on demand if it was not stored when the payment completed
     if (!invoice.pdf_url) {
-      return res.status(404).json({
-        error: 'Invoice PDF not available'
-      });
+      invoice = await invoiceService.generateInvoicePDF(invoice.id);
     }
 
     // Log the download
     await AuditLog.create({
-      user_id: userId,
+      id: uuidv4(),
+      userId,
       action: 'invoice_downloaded',
-      entity_type: 'invoice',
-      entity_id: invoice.id,
-      metadata: JSON.stringify({
+      metadata: {
+        invoiceId: invoice.id,
         invoice_number: invoice.invoice_number
-      })
+      }
     });
 
-    // Get presigned URL for download
-    const downloadUrl = await storageService.getPresignedUrl(invoice.pdf_url, {
-      expiresIn: 300, // 5 minutes
-      responseContentDisposition: `attachment; filename="invoice-${invoice.invoice_number}.pdf"`
-    });
+    // Get a short-lived URL for download
+    const downloadUrl = await invoiceService.getInvoiceDownloadUrl(invoice);
 
     logger.info(`Invoice ${id} download requested by user ${userId}`);
 
@@ -168,7 +165,7 @@ const downloadInvoice = async (req, res) => {
       message: 'Invoice download URL generated successfully',
       data: {
         download_url: downloadUrl,
-        expires_in: 300
+        expires_in: invoiceService.DOWNLOAD_URL_TTL
       }
     });
   } catch (error) {
@@ -183,21 +180,14 @@ const downloadInvoice = async (req, res) => {
 /**
  * Generate invoice PDF (internal use)
  * @param {Object} invoiceData - Invoice data
- * @returns {Promise<string>} PDF URL
+ * @returns {Promise<string>} Storage key of the PDF
  */
 const generateInvoicePDF = async (invoiceData) => {
   try {
-    // This is a placeholder for PDF generation logic
-    // In a real implementation, you would:
-    // 1. Use a PDF generation library (e.g., puppeteer, pdfkit)
-    // 2. Create PDF from invoice data
-    // 3. Upload to S3
-    // 4. Return the S3 URL
-
     logger.info(`Generating PDF for invoice ${invoiceData.invoice_number}`);
-    
-    // For now, return a placeholder
-    return null;
+
+    const invoice = await invoiceService.generateInvoicePDF(invoiceData.id);
+    return invoice.pdf_url;
   } catch (error) {
     logger.error('Error generating invoice PDF:', error);
     throw error;
@@ -31,7 +31,7 @@ const getNotificationHistory = async (req, res) => {
     const whereClause = {};
     
     // Filter by type
-    if (type && ['email', 'sms'].includes(type)) {
+    if (type && ['email', 'sms', 'push'].includes(type)) {
       whereClause.type = type;
     }
 
@@ -264,15 +264,15 @@ const sendTestNotification = async (req, res) => {
     const { type, booking_id: bookingId } = req.body;
 
     // Validate notification type
-    if (!type || !['email', 'sms'].includes(type)) {
+    if (!type || !['email', 'sms', 'push'].includes(type)) {
       return res.status(400).json({
         error: {
           code: 'bad_request',
-          message: 'Valid notification type is required (email or sms)',
+          message: 'Valid notification type is required (email, sms or push)',
           params: [
             {
               param: 'type',
-              message: 'Must be either "email" or "sms"'
+              message: 'Must be one of "email", "sms" or "push"'
             }
           ]
         }
@@ -27,6 +27,9 @@ const {
 const PollVoteModel = require('../models/poll-vote.model');
 const { sequelize } = require('../config/database');
 const notificationService = require('../services/notification.service');
+const calendarService = require('../services/calendar.service');
+const outboundWebhookService = require('../services/outbound-webhook.service');
+const pollBookingService = require('../services/poll-booking.service');
 const {
   asyncHandler,
   successResponse,
@@ -527,16 +530,22 @@ const updatePoll = asyncHandler(async (req, res) => {
 
 /**
  * Finalize poll with selected time slot
+ *
+ * With `createBooking` set, the chosen slot is also booked on the host's
+ * calendar with every voter invited, and every voter is emailed the
+ * invite. If the slot now conflicts with another booking, the poll is
+ * left unfinalized.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const finalizePoll = asyncHandler(async (req, res) => {
   const { pollId } = req.params;
-  const { selectedTimeSlotId } = req.body;
+  const { selectedTimeSlotId, createBooking = false } = req.body;
   const userId = req.user.id;
 
   if (!selectedTimeSlotId) {
-    return validationError(res, 'Selected time slot is required');
+    throw validationError([{ field: 'selectedTimeSlotId', message: 'Selected time slot is required' }]);
   }
 
   const poll = await Poll.findOne({
@@ -551,59 +560,113 @@ const finalizePoll = asyncHandler(async (req, res) => {
   });
 
   if (!poll) {
-    return notFoundError(res, 'Poll not found');
+    throw notFoundError('Poll');
   }
 
   if (!poll.canBeFinalized()) {
-    return validationError(res, 'Poll cannot be finalized');
+    throw validationError([{ field: 'status', message: 'Poll cannot be finalized' }]);
   }
 
   // Verify selected time slot belongs to this poll
   const selectedSlot = poll.timeSlots.find(slot => slot.id === selectedTimeSlotId);
   if (!selectedSlot) {
-    return validationError(res, 'Invalid time slot selection');
+    throw validationError([{ field: 'selectedTimeSlotId', message: 'Invalid time slot selection' }]);
   }
 
   const transaction = await sequelize.transaction();
+  let booking = null;
 
   try {
+    // Concurrent finalizations wait here and then find the poll finalized
+    const lockedPoll = await Poll.findOne({
+      where: { id: poll.id, userId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!lockedPoll || !lockedPoll.canBeFinalized()) {
+      const error = new Error('Poll cannot be finalized');
+      error.statusCode = 400;
+      error.field = 'status';
+      throw error;
+    }
+
     // Update poll status and selected time slot
     await poll.update({
       status: 'finalized',
       selectedTimeSlotId
     }, { transaction });
 
+    if (createBooking) {
+      booking = await pollBookingService.createPollBooking({ poll, slot: selectedSlot, transaction });
+    }
+
     // Log finalization
     await AuditLog.create({
+      id: uuidv4(),
       userId,
       action: 'poll_finalized',
-      resourceType: 'poll',
-      resourceId: poll.id,
-      details: { selectedTimeSlotId, selectedTime: selectedSlot.startTime }
+      metadata: {
+        pollId: poll.id,
+        selectedTimeSlotId,
+        selectedTime: selectedSlot.startTime,
+        bookingId: booking ? booking.id : null
+      }
     }, { transaction });
 
     await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
 
-    // Notify participants if enabled
-    if (poll.notificationSettings?.notify_participants_on_finalization) {
-      try {
-        await notificationService.sendPollFinalizationNotification(poll.id, selectedSlot);
-      } catch (notificationError) {
-        logger.warn('Failed to send poll finalization notifications', {
-          error: notificationError.message,
-          pollId: poll.id
-        });
-      }
+    if (error.statusCode === 400) {
+      throw validationError([{ field: error.field, message: error.message }]);
+    }
+    if (error.statusCode === 409) {
+      throw conflictError(error.message);
     }
+    throw error;
+  }
 
-    logger.info(`Poll finalized`, { pollId, userId, selectedTimeSlotId });
+  if (booking) {
+    try {
+      await calendarService.createCalendarEvent(booking);
+    } catch (calendarError) {
+      logger.error(`Failed to create calendar event for poll booking ${booking.id}:`, calendarError);
+    }
 
-    return successResponse(res, poll, 'Poll finalized successfully');
+    try {
+      await notificationService.scheduleReminders(booking.id);
+    } catch (reminderError) {
+      logger.error(`Failed to schedule reminders for poll booking ${booking.id}:`, reminderError);
+    }
 
-  } catch (error) {
-    await transaction.rollback();
-    throw error;
+    await outboundWebhookService.emitEvent(userId, 'booking.created', {
+      booking: outboundWebhookService.serializeBooking(booking)
+    });
   }
+
+  // Notify participants if enabled; a booking's invite is always sent
+  if (booking || poll.notificationSettings?.notify_participants_on_finalization) {
+    try {
+      await notificationService.sendPollFinalizationNotification(poll.id, selectedSlot, booking);
+    } catch (notificationError) {
+      logger.warn('Failed to send poll finalization notifications', {
+        error: notificationError.message,
+        pollId: poll.id
+      });
+    }
+  }
+
+  await outboundWebhookService.emitEvent(userId, 'poll.finalized', {
+    poll: {
+      ...outboundWebhookService.serializePoll(poll, selectedSlot),
+      booking_id: booking ? booking.id : null
+    }
+  });
+
+  logger.info(`Poll finalized`, { pollId, userId, selectedTimeSlotId, bookingId: booking?.id });
+
+  return successResponse(res, { ...poll.toJSON(), booking }, 'Poll finalized successfully');
 });
 
 /**
@@ -0,0 +1,121 @@
+/**
+ * Promo code controller
+ *
+ * Handles the promo codes hosts give out to invitees paying for bookings
+ *
+ * @author meetabl Team
+ */
+
+const logger = require('../config/logger');
+const promoCodeService = require('../services/promo-code.service');
+const {
+  asyncHandler,
+  successResponse,
+  notFoundError,
+  validationError,
+  conflictError
+} = require('../utils/error-response');
+
+/**
+ * Translate a promo code service error into an API error
+ * @param {Error} error - Service error
+ * @returns {Error} API error
+ */
+const toApiError = (error) => {
+  switch (error.statusCode) {
+    case 400:
+      return validationError([{ field: error.field, message: error.message }]);
+    case 404:
+      return notFoundError('Promo code');
+    case 409:
+      return conflictError(error.message);
+    default:
+      return error;
+  }
+};
+
+/**
+ * Read promo code settings from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Promo code settings, undefined where not given
+ */
+const getPromoCodeParams = (body) => ({
+  code: body.code,
+  discountType: body.discount_type,
+  discountValue: body.discount_value,
+  currency: body.currency,
+  expiresAt: body.expires_at,
+  maxRedemptions: body.max_redemptions,
+  eventTypeIds: body.event_type_ids,
+  active: body.active
+});
+
+/**
+ * Get the current user's promo codes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPromoCodes = asyncHandler(async (req, res) => {
+  const promoCodes = await promoCodeService.listPromoCodes(req.user.id);
+
+  return successResponse(res, { promo_codes: promoCodes }, 'Promo codes retrieved successfully');
+});
+
+/**
+ * Create a promo code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPromoCode = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const promoCode = await promoCodeService.createPromoCode(userId, getPromoCodeParams(req.body));
+
+    logger.info(`Promo code created for user ${userId}`);
+    return successResponse(res, { promo_code: promoCode }, 'Promo code created successfully', 201);
+  } catch (error) {
+    throw toApiError(error);
+  }
+});
+
+/**
+ * Update a promo code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePromoCode = asyncHandler(async (req, res) => {
+  try {
+    const promoCode = await promoCodeService.updatePromoCode(
+      req.user.id,
+      req.params.id,
+      getPromoCodeParams(req.body)
+    );
+
+    return successResponse(res, { promo_code: promoCode }, 'Promo code updated successfully');
+  } catch (error) {
+    throw toApiError(error);
+  }
+});
+
+/**
+ * Delete a promo code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deletePromoCode = asyncHandler(async (req, res) => {
+  try {
+    await promoCodeService.deletePromoCode(req.user.id, req.params.id);
+
+    return successResponse(res, null, 'Promo code deleted successfully');
+  } catch (error) {
+    throw toApiError(error);
+  }
+});
+
+module.exports = {
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+};
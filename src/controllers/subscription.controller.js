@@ -319,8 +319,14 @@ const getUsageStats = asyncHandler(async (req, res) => {
         break;
         
       case 'custom_fields':
-        // Would need to implement custom fields feature
-        currentUsage = 0;
+        // The limit applies per event type, so report the fullest one
+        const { EventType } = require('../models');
+        const eventTypes = await EventType.findAll({
+          where: { userId },
+          attributes: ['questions']
+        });
+
+        currentUsage = Math.max(0, ...eventTypes.map((eventType) => (eventType.questions || []).length));
         break;
     }
     
@@ -0,0 +1,333 @@
+/**
+ * Team booking controller
+ *
+ * Handles public availability and booking requests for team event types
+ *
+ * @author meetabl Team
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+  isValid,
+  parseISO,
+  isAfter,
+  isEqual,
+  differenceInMinutes,
+  differenceInCalendarDays
+} = require('date-fns');
+const { generateTokenWithExpiration } = require('../utils/crypto');
+const logger = require('../config/logger');
+const { BookingRequest, AuditLog, EventType } = require('../models');
+const { sequelize } = require('../config/database');
+const notificationService = require('../services/notification.service');
+const availabilityService = require('../services/availability.service');
+const teamSchedulingService = require('../services/team-scheduling.service');
+const {
+  asyncHandler,
+  successResponse,
+  validationError,
+  notFoundError,
+  conflictError
+} = require('../utils/error-response');
+
+const PUBLIC_EVENT_TYPE_ATTRIBUTES = [
+  'id', 'name', 'slug', 'description', 'duration', 'color',
+  'location', 'locationType', 'requiresConfirmation',
+  'minimumNotice', 'maximumAdvance', 'schedulingType'
+];
+
+/**
+ * Format a team for public responses
+ * @param {Object} team - Team instance
+ * @returns {Object} Public team fields
+ */
+const formatPublicTeam = (team) => ({
+  id: team.id,
+  name: team.name,
+  slug: team.slug,
+  description: team.description
+});
+
+/**
+ * Load a team by slug and one of its active event types
+ * @param {string} teamSlug - Team slug
+ * @param {string} [eventTypeId] - Event type ID
+ * @returns {Promise<{team: Object, eventType: (Object|null)}>} Team and event type
+ */
+const resolveTeamEventType = async (teamSlug, eventTypeId) => {
+  const team = await teamSchedulingService.findTeamBySlug(teamSlug);
+
+  if (!team) {
+    throw notFoundError('Team');
+  }
+
+  if (!eventTypeId) {
+    return { team, eventType: null };
+  }
+
+  const eventType = await teamSchedulingService.findTeamEventType(team.id, eventTypeId);
+
+  if (!eventType) {
+    throw notFoundError('Event type');
+  }
+
+  return { team, eventType };
+};
+
+/**
+ * Get public availability for a team event type
+ *
+ * Without an event type, lists the team's bookable event types instead.
+ * Dates are read in the `tz` timezone (UTC by default), since team
+ * members may sit in different timezones.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPublicTeamAvailability = asyncHandler(async (req, res) => {
+  const { teamSlug } = req.params;
+  const {
+    event_type_id: eventTypeId, date, start, end, tz
+  } = req.query;
+
+  const { team, eventType } = await resolveTeamEventType(teamSlug, eventTypeId);
+
+  if (!eventType) {
+    const eventTypes = await EventType.findAll({
+      where: {
+        teamId: team.id,
+        isActive: true
+      },
+      attributes: PUBLIC_EVENT_TYPE_ATTRIBUTES,
+      order: [
+        ['position', 'ASC'],
+        ['createdAt', 'ASC']
+      ]
+    });
+
+    return successResponse(res, {
+      team: formatPublicTeam(team),
+      event_types: eventTypes
+    }, 'Team event types retrieved successfully');
+  }
+
+  const dateParams = start || end ? [['start', start], ['end', end]] : [['date', date]];
+  const invalidParam = dateParams
+    .find(([, value]) => !availabilityService.isValidDateString(value));
+
+  if (invalidParam) {
+    throw validationError([{
+      field: invalidParam[0],
+      message: `Valid ${invalidParam[0]} is required (YYYY-MM-DD)`
+    }]);
+  }
+
+  const startDate = dateParams[0][1];
+  const endDate = dateParams[dateParams.length - 1][1];
+  const rangeDays = differenceInCalendarDays(parseISO(endDate), parseISO(startDate)) + 1;
+
+  if (rangeDays < 1 || rangeDays > availabilityService.MAX_RANGE_DAYS) {
+    throw validationError([{
+      field: 'end',
+      message: `Range must run forward and span at most ${availabilityService.MAX_RANGE_DAYS} days`
+    }]);
+  }
+
+  if (tz && !availabilityService.isValidTimezone(tz)) {
+    throw validationError([{
+      field: 'tz',
+      message: 'tz must be a valid IANA time zone'
+    }]);
+  }
+
+  const timezone = tz || 'UTC';
+  const hosts = await teamSchedulingService.getEventTypeHosts(eventType);
+  const { days, degraded, failedProviders } = await teamSchedulingService.getTeamSlots({
+    eventType,
+    hosts,
+    startDate,
+    endDate,
+    timezone
+  });
+
+  if (degraded) {
+    logger.warn(`Serving team slots for team ${team.id} without complete calendar data`, {
+      eventTypeId: eventType.id,
+      failedProviders
+    });
+  }
+
+  const formattedDays = days.map((day) => ({
+    date: day.date,
+    has_availability: day.slots.length > 0,
+    available_slots: day.slots.map((slot) => availabilityService.formatSlot(slot, timezone))
+  }));
+
+  return successResponse(res, {
+    team: formatPublicTeam(team),
+    event_type: {
+      id: eventType.id,
+      name: eventType.name,
+      duration: eventType.duration,
+      scheduling_type: eventType.schedulingType
+    },
+    start: startDate,
+    end: endDate,
+    timezone,
+    available_dates: formattedDays.filter((day) => day.has_availability).map((day) => day.date),
+    days: formattedDays,
+    calendar_sync: {
+      degraded,
+      failed_providers: failedProviders
+    }
+  }, 'Team availability retrieved successfully');
+});
+
+/**
+ * Create a public booking request for a team event type
+ *
+ * Round-robin event types assign the least-recently-booked free host.
+ * Collective event types need every host free; the request is made for
+ * the first host and the others are booked when it is confirmed.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPublicTeamBooking = asyncHandler(async (req, res) => {
+  const { teamSlug } = req.params;
+  const {
+    customer_name: customerName,
+    customer_email: customerEmail,
+    customer_phone: customerPhone,
+    start_time: startTime,
+    end_time: endTime,
+    notes,
+    event_type_id: eventTypeId
+  } = req.body;
+
+  if (!eventTypeId) {
+    throw validationError([{
+      field: 'event_type_id',
+      message: 'Event type ID is required'
+    }]);
+  }
+
+  const { team, eventType } = await resolveTeamEventType(teamSlug, eventTypeId);
+
+  const startDate = parseISO(startTime);
+  const endDate = parseISO(endTime);
+  if (!isValid(startDate) || !isValid(endDate)
+      || isAfter(startDate, endDate) || isEqual(startDate, endDate)) {
+    throw validationError([
+      {
+        field: 'start_time',
+        message: 'Start time must be a valid ISO 8601 date-time'
+      },
+      {
+        field: 'end_time',
+        message: 'End time must be after start time'
+      }
+    ]);
+  }
+
+  if (differenceInMinutes(endDate, startDate) !== eventType.duration) {
+    throw validationError([{
+      field: 'end_time',
+      message: `Booking must last ${eventType.duration} minutes`
+    }]);
+  }
+
+  const constraints = availabilityService.getBookingConstraints(eventType);
+  const windowError = availabilityService.checkBookingWindow(startDate, constraints);
+
+  if (windowError) {
+    throw validationError([{ field: 'start_time', message: windowError }]);
+  }
+
+  const hosts = await teamSchedulingService.getEventTypeHosts(eventType);
+  const freeHosts = await teamSchedulingService.getAvailableHosts({
+    eventType,
+    hosts,
+    start: startDate,
+    end: endDate
+  });
+
+  const collective = teamSchedulingService.isCollective(eventType);
+  if (freeHosts.length === 0 || (collective && freeHosts.length < hosts.length)) {
+    throw conflictError('Time slot is not available');
+  }
+
+  const host = collective
+    ? freeHosts[0]
+    : await teamSchedulingService.pickRoundRobinHost(eventType, freeHosts);
+
+  const transaction = await sequelize.transaction();
+  const { token: confirmationToken, expiresAt } = generateTokenWithExpiration(32, 30);
+  const bookingRequestId = uuidv4();
+
+  try {
+    await BookingRequest.create({
+      id: bookingRequestId,
+      userId: host.id,
+      customerName,
+      customerEmail,
+      customerPhone,
+      startTime,
+      endTime,
+      notes,
+      eventTypeId,
+      confirmationToken,
+      status: 'pending',
+      expiresAt
+    }, { transaction });
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId: host.id,
+      action: 'booking.request.create',
+      metadata: {
+        bookingRequestId,
+        teamId: team.id,
+        scheduling_type: eventType.schedulingType,
+        host_ids: collective ? hosts.map((member) => member.id) : [host.id],
+        customer_name: customerName,
+        customer_email: customerEmail,
+        start_time: startTime,
+        end_time: endTime
+      }
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  logger.info(`Public team booking request created: ${bookingRequestId} for team ${team.id}`);
+
+  const confirmationUrl = `${process.env.FRONTEND_URL}/booking/confirm/${confirmationToken}`;
+
+  try {
+    await notificationService.sendBookingConfirmationRequest({
+      to: customerEmail,
+      customerName,
+      hostName: collective ? team.name : `${host.firstName} ${host.lastName}`,
+      startTime,
+      endTime,
+      confirmationUrl,
+      expiresAt
+    });
+  } catch (emailError) {
+    logger.error(`Failed to send confirmation email for booking request ${bookingRequestId}:`, emailError);
+  }
+
+  return successResponse(res, {
+    message: 'Booking request created. Please check your email to confirm your booking.',
+    expiresAt
+  }, 'Booking request created successfully', 201);
+});
+
+module.exports = {
+  getPublicTeamAvailability,
+  createPublicTeamBooking
+};
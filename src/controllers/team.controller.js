@@ -6,8 +6,12 @@
  * @author meetabl Team
  */
 
+const { parseISO, differenceInCalendarDays } = require('date-fns');
 const logger = require('../config/logger');
 const teamService = require('../services/team.service');
+const teamCalendarService = require('../services/team-calendar.service');
+const availabilityService = require('../services/availability.service');
+const ssoService = require('../services/sso.service');
 const {
   asyncHandler,
   successResponse,
@@ -96,6 +100,9 @@ const updateTeam = asyncHandler(async (req, res) => {
     if (error.statusCode === 403) {
       throw forbiddenError('Access denied');
     }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw conflictError('Team slug is already in use');
+    }
     if (error.name === 'SequelizeValidationError') {
       throw validationError(error.errors.map((e) => ({
         field: e.path,
@@ -219,19 +226,402 @@ const removeTeamMember = asyncHandler(async (req, res) => {
   }
 });
 
+// Request body fields accepted for team event types, mapped to model attributes
+const EVENT_TYPE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  duration: 'duration',
+  color: 'color',
+  location: 'location',
+  location_type: 'locationType',
+  requires_confirmation: 'requiresConfirmation',
+  buffer_before: 'bufferBefore',
+  buffer_after: 'bufferAfter',
+  minimum_notice: 'minimumNotice',
+  maximum_advance: 'maximumAdvance',
+  reminder_minutes: 'reminderMinutes',
+  max_bookings_per_day: 'maxBookingsPerDay',
+  max_bookings_per_week: 'maxBookingsPerWeek',
+  cancellation_cutoff: 'cancellationCutoff',
+  reschedule_cutoff: 'rescheduleCutoff',
+  is_active: 'isActive',
+  scheduling_type: 'schedulingType',
+  host_ids: 'hostIds'
+};
+
+/**
+ * Pick the team event type fields from a request body
+ * @param {Object} body - Request body (snake_case)
+ * @returns {Object} Event type fields (camelCase)
+ */
+const toEventTypeFields = (body) => Object.keys(EVENT_TYPE_FIELDS)
+  .filter((key) => body[key] !== undefined)
+  .reduce((fields, key) => ({ ...fields, [EVENT_TYPE_FIELDS[key]]: body[key] }), {});
+
+/**
+ * Map a team event type service error to an API error
+ * @param {Error} error - Service error
+ * @returns {Error} API error
+ */
+const toEventTypeError = (error) => {
+  if (error.statusCode === 404) {
+    return notFoundError(error.message === 'Team not found' ? 'Team' : 'Event type');
+  }
+  if (error.statusCode === 403) {
+    return forbiddenError('Access denied');
+  }
+  if (error.statusCode === 400) {
+    return validationError([{ field: 'host_ids', message: error.message }]);
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return validationError(error.errors.map((e) => ({
+      field: e.path,
+      message: e.message
+    })));
+  }
+  return error;
+};
+
+/**
+ * Get team event types
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTeamEventTypes = asyncHandler(async (req, res) => {
+  const teamId = req.params.id;
+  const userId = req.user.id;
+
+  try {
+    const eventTypes = await teamService.getTeamEventTypes(teamId, userId);
+    return successResponse(res, { eventTypes }, 'Team event types retrieved successfully');
+  } catch (error) {
+    throw toEventTypeError(error);
+  }
+});
+
+/**
+ * Create team event type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createTeamEventType = asyncHandler(async (req, res) => {
+  const teamId = req.params.id;
+  const userId = req.user.id;
+
+  try {
+    const eventType = await teamService.createTeamEventType(
+      teamId,
+      userId,
+      toEventTypeFields(req.body)
+    );
+
+    logger.info(`Team event type created successfully: ${eventType.id}`);
+    return successResponse(res, { eventType }, 'Team event type created successfully', 201);
+  } catch (error) {
+    throw toEventTypeError(error);
+  }
+});
+
+/**
+ * Update team event type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateTeamEventType = asyncHandler(async (req, res) => {
+  const { id: teamId, eventTypeId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const eventType = await teamService.updateTeamEventType(
+      teamId,
+      eventTypeId,
+      userId,
+      toEventTypeFields(req.body)
+    );
+
+    logger.info(`Team event type updated successfully: ${eventTypeId}`);
+    return successResponse(res, { eventType }, 'Team event type updated successfully');
+  } catch (error) {
+    throw toEventTypeError(error);
+  }
+});
+
+/**
+ * Delete team event type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTeamEventType = asyncHandler(async (req, res) => {
+  const { id: teamId, eventTypeId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    await teamService.deleteTeamEventType(teamId, eventTypeId, userId);
+
+    logger.info(`Team event type deleted successfully: ${eventTypeId}`);
+    return successResponse(res, null, 'Team event type deleted successfully');
+  } catch (error) {
+    throw toEventTypeError(error);
+  }
+});
+
+/**
+ * Map a shared calendar service error to an API error
+ * @param {Error} error - Service error
+ * @returns {Error} API error
+ */
+const toSharedCalendarError = (error) => {
+  if (error.statusCode === 404) {
+    return notFoundError(error.message === 'Team not found' ? 'Team' : 'Calendar feed');
+  }
+  if (error.statusCode === 403) {
+    return forbiddenError('Access denied');
+  }
+  return error;
+};
+
+/**
+ * Build the public URL of a team calendar feed
+ * @param {Object} req - Express request object
+ * @param {string} token - Feed token
+ * @returns {string} Feed URL
+ */
+const getFeedUrl = (req, token) => {
+  const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/teams/calendars/feed/${token}.ics`;
+};
+
 /**
  * Create shared calendar for team
+ *
+ * Returns every member's confirmed bookings and calendar busy times over
+ * the requested range (the coming week by default), along with the
+ * caller's subscribable ICS feed URL for the same view.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const createSharedCalendar = asyncHandler(async (req, res) => {
-  // This is a placeholder for future implementation
-  // When calendar integration is enhanced, this would create a shared calendar
-  // for the team using the calendar service
-  
-  const error = new Error('Shared calendar creation not yet implemented');
-  error.statusCode = 501;
-  throw error;
+  const teamId = req.params.id;
+  const userId = req.user.id;
+  const { start, end, tz } = req.body;
+
+  if (tz && !availabilityService.isValidTimezone(tz)) {
+    throw validationError([{
+      field: 'tz',
+      message: 'tz must be a valid IANA time zone'
+    }]);
+  }
+
+  const timezone = tz || 'UTC';
+  const startDate = start || availabilityService.getTodayInTimezone(timezone);
+  const endDate = end || availabilityService.shiftDateString(startDate, 6);
+  const invalidParam = [['start', startDate], ['end', endDate]]
+    .find(([, value]) => !availabilityService.isValidDateString(value));
+
+  if (invalidParam) {
+    throw validationError([{
+      field: invalidParam[0],
+      message: `${invalidParam[0]} must be a valid date (YYYY-MM-DD)`
+    }]);
+  }
+
+  const rangeDays = differenceInCalendarDays(parseISO(endDate), parseISO(startDate)) + 1;
+
+  if (rangeDays < 1 || rangeDays > availabilityService.MAX_RANGE_DAYS) {
+    throw validationError([{
+      field: 'end',
+      message: `Range must run forward and span at most ${availabilityService.MAX_RANGE_DAYS} days`
+    }]);
+  }
+
+  try {
+    const team = await teamCalendarService.getMemberTeam(teamId, userId);
+    const [calendar, feed] = await Promise.all([
+      teamCalendarService.getTeamCalendar({
+        team, startDate, endDate, timezone
+      }),
+      teamCalendarService.getOrCreateFeed(teamId, userId)
+    ]);
+
+    if (calendar.degraded) {
+      logger.warn(`Serving shared calendar for team ${teamId} without complete calendar data`, {
+        failedProviders: calendar.failedProviders
+      });
+    }
+
+    return successResponse(res, {
+      team: {
+        id: team.id,
+        name: team.name
+      },
+      start: startDate,
+      end: endDate,
+      timezone,
+      members: calendar.members.map(({ user, bookings, busyTimes }) => ({
+        user_id: user.id,
+        name: `${user.firstName} ${user.lastName}`,
+        bookings: bookings.map((booking) => ({
+          id: booking.id,
+          start_time: booking.startTime,
+          end_time: booking.endTime,
+          customer_name: booking.customerName,
+          event_type_id: booking.eventTypeId
+        })),
+        busy_times: busyTimes.map((busy) => ({
+          start: busy.start,
+          end: busy.end
+        }))
+      })),
+      calendar_sync: {
+        degraded: calendar.degraded,
+        failed_providers: calendar.failedProviders
+      },
+      feed: {
+        url: getFeedUrl(req, feed.token),
+        created_at: feed.createdAt
+      }
+    }, 'Shared calendar retrieved successfully');
+  } catch (error) {
+    throw toSharedCalendarError(error);
+  }
+});
+
+/**
+ * Revoke the caller's shared calendar feed
+ *
+ * The feed URL stops working at once; the next shared calendar request
+ * issues a new one.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeSharedCalendarFeed = asyncHandler(async (req, res) => {
+  const teamId = req.params.id;
+  const userId = req.user.id;
+
+  try {
+    await teamCalendarService.revokeFeed(teamId, userId);
+
+    logger.info(`Shared calendar feed revoked for team ${teamId}`);
+    return successResponse(res, null, 'Calendar feed revoked successfully');
+  } catch (error) {
+    throw toSharedCalendarError(error);
+  }
+});
+
+/**
+ * Serve a shared calendar ICS feed by token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSharedCalendarFeed = asyncHandler(async (req, res) => {
+  try {
+    const ics = await teamCalendarService.getFeedCalendar(req.params.token);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-cache');
+    return res.send(ics);
+  } catch (error) {
+    throw toSharedCalendarError(error);
+  }
+});
+
+/**
+ * Translate an SSO connection service error into an API error
+ * @param {Error} error - Service error
+ * @returns {Error} API error
+ */
+const toSsoConnectionError = (error) => {
+  switch (error.statusCode) {
+    case 400:
+      return validationError([{ field: error.field, message: error.message }]);
+    case 403:
+      return forbiddenError(error.message);
+    case 404:
+      return notFoundError(error.message === 'Team not found' ? 'Team' : 'SSO connection');
+    case 409:
+      return conflictError(error.message);
+    default:
+      return error;
+  }
+};
+
+/**
+ * Get the team's single sign-on connection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSsoConnection = asyncHandler(async (req, res) => {
+  try {
+    const connection = await ssoService.getTeamConnection(req.params.id, req.user.id);
+    return successResponse(res, { sso_connection: connection }, 'SSO connection retrieved successfully');
+  } catch (error) {
+    throw toSsoConnectionError(error);
+  }
+});
+
+/**
+ * Set up or change the team's single sign-on connection
+ *
+ * The client secret can be left out to keep the stored one.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const saveSsoConnection = asyncHandler(async (req, res) => {
+  const teamId = req.params.id;
+
+  try {
+    const connection = await ssoService.saveTeamConnection(teamId, req.user.id, {
+      issuer: req.body.issuer,
+      clientId: req.body.client_id,
+      clientSecret: req.body.client_secret,
+      allowedDomains: req.body.allowed_domains,
+      enabled: req.body.enabled
+    });
+
+    logger.info(`SSO connection saved for team ${teamId}`);
+    return successResponse(res, { sso_connection: connection }, 'SSO connection saved successfully');
+  } catch (error) {
+    throw toSsoConnectionError(error);
+  }
+});
+
+/**
+ * Verify one of the SSO connection's email domains through its DNS TXT record
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifySsoDomain = asyncHandler(async (req, res) => {
+  const teamId = req.params.id;
+
+  try {
+    const connection = await ssoService.verifyTeamDomain(teamId, req.user.id, req.params.domain);
+
+    logger.info(`SSO domain ${req.params.domain} verified for team ${teamId}`);
+    return successResponse(res, { sso_connection: connection }, 'Domain verified successfully');
+  } catch (error) {
+    throw toSsoConnectionError(error);
+  }
+});
+
+/**
+ * Remove the team's single sign-on connection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteSsoConnection = asyncHandler(async (req, res) => {
+  const teamId = req.params.id;
+
+  try {
+    await ssoService.deleteTeamConnection(teamId, req.user.id);
+
+    logger.info(`SSO connection removed from team ${teamId}`);
+    return successResponse(res, null, 'SSO connection removed successfully');
+  } catch (error) {
+    throw toSsoConnectionError(error);
+  }
 });
 
 module.exports = {
@@ -243,5 +633,15 @@ module.exports = {
   getTeamMembers,
   addTeamMember,
   removeTeamMember,
-  createSharedCalendar
+  getTeamEventTypes,
+  createTeamEventType,
+  updateTeamEventType,
+  deleteTeamEventType,
+  createSharedCalendar,
+  revokeSharedCalendarFeed,
+  getSharedCalendarFeed,
+  getSsoConnection,
+  saveSsoConnection,
+  verifySsoDomain,
+  deleteSsoConnection
 };
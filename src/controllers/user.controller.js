@@ -531,6 +531,7 @@ const updateUserSettings = asyncHandler(async (req, res) => {
     const userId = req.user.id || req.user.dataValues?.id;
     const {
       branding_color, confirmation_email_copy, accessibility_mode, alt_text_enabled, booking_horizon, google_analytics_id, logo_alt_text, meeting_duration, buffer_minutes, requires_confirmation,
+      invoice_tax_rate, invoice_tax_label,
       // Booking page customization fields
       booking_page_primary_color, booking_page_secondary_color, booking_page_background_color, 
       booking_page_text_color, booking_page_font_size, booking_page_font_family
@@ -571,6 +572,8 @@ const updateUserSettings = asyncHandler(async (req, res) => {
     if (meeting_duration !== undefined) settings.meetingDuration = meeting_duration;
     if (buffer_minutes !== undefined) settings.bufferMinutes = buffer_minutes;
     if (requires_confirmation !== undefined) settings.requiresConfirmation = requires_confirmation;
+    if (invoice_tax_rate !== undefined) settings.invoiceTaxRate = invoice_tax_rate;
+    if (invoice_tax_label !== undefined) settings.invoiceTaxLabel = invoice_tax_label;
 
     // Update booking page customization fields (if user has permission)
     if (user.can_customize_booking_page) {
@@ -592,6 +595,7 @@ const updateUserSettings = asyncHandler(async (req, res) => {
       metadata: {
         updated: {
           branding_color, confirmation_email_copy, accessibility_mode, alt_text_enabled, booking_horizon, google_analytics_id, logo_alt_text, meeting_duration, buffer_minutes, requires_confirmation,
+          invoice_tax_rate, invoice_tax_label,
           booking_page_primary_color, booking_page_secondary_color, booking_page_background_color,
           booking_page_text_color, booking_page_font_size, booking_page_font_family
         }
@@ -0,0 +1,178 @@
+/**
+ * Webhook controller
+ *
+ * Handles the outbound webhook endpoints hosts register and their
+ * delivery logs
+ *
+ * @author meetabl Team
+ */
+
+const logger = require('../config/logger');
+const outboundWebhookService = require('../services/outbound-webhook.service');
+const {
+  asyncHandler,
+  successResponse,
+  notFoundError,
+  validationError,
+  conflictError
+} = require('../utils/error-response');
+
+/**
+ * Translate a webhook service error into an API error
+ * @param {Error} error - Service error
+ * @returns {Error} API error
+ */
+const toApiError = (error) => {
+  switch (error.statusCode) {
+    case 400:
+      return validationError([{ field: error.field, message: error.message }]);
+    case 404:
+      return notFoundError(error.message.replace(/ not found$/, ''));
+    case 409:
+      return conflictError(error.message);
+    default:
+      return error;
+  }
+};
+
+/**
+ * Get the current user's webhook endpoints
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getEndpoints = asyncHandler(async (req, res) => {
+  const endpoints = await outboundWebhookService.listEndpoints(req.user.id);
+
+  return successResponse(res, {
+    endpoints,
+    available_events: outboundWebhookService.WEBHOOK_EVENTS
+  }, 'Webhook endpoints retrieved successfully');
+});
+
+/**
+ * Register a webhook endpoint
+ *
+ * The response includes the endpoint's signing secret.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createEndpoint = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { url, events, description } = req.body;
+
+  try {
+    const endpoint = await outboundWebhookService.createEndpoint(userId, {
+      url, events, description
+    });
+
+    logger.info(`Webhook endpoint created for user ${userId}`);
+    return successResponse(res, { endpoint }, 'Webhook endpoint created successfully', 201);
+  } catch (error) {
+    throw toApiError(error);
+  }
+});
+
+/**
+ * Update a webhook endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateEndpoint = asyncHandler(async (req, res) => {
+  const {
+    url, events, description, active
+  } = req.body;
+
+  try {
+    const endpoint = await outboundWebhookService.updateEndpoint(req.user.id, req.params.id, {
+      url, events, description, active
+    });
+
+    return successResponse(res, { endpoint }, 'Webhook endpoint updated successfully');
+  } catch (error) {
+    throw toApiError(error);
+  }
+});
+
+/**
+ * Delete a webhook endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteEndpoint = asyncHandler(async (req, res) => {
+  try {
+    await outboundWebhookService.deleteEndpoint(req.user.id, req.params.id);
+
+    return successResponse(res, null, 'Webhook endpoint deleted successfully');
+  } catch (error) {
+    throw toApiError(error);
+  }
+});
+
+/**
+ * Replace a webhook endpoint's signing secret
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rotateSecret = asyncHandler(async (req, res) => {
+  try {
+    const endpoint = await outboundWebhookService.rotateSecret(req.user.id, req.params.id);
+
+    return successResponse(res, { endpoint }, 'Webhook secret rotated successfully');
+  } catch (error) {
+    throw toApiError(error);
+  }
+});
+
+/**
+ * Get the delivery log of a webhook endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDeliveries = asyncHandler(async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+
+  try {
+    const { total, deliveries } = await outboundWebhookService.listDeliveries(
+      req.user.id,
+      req.params.id,
+      {
+        limit: Math.min(parseInt(limit, 10) || 20, 100),
+        offset: parseInt(offset, 10) || 0
+      }
+    );
+
+    return successResponse(res, { deliveries, total }, 'Webhook deliveries retrieved successfully');
+  } catch (error) {
+    throw toApiError(error);
+  }
+});
+
+/**
+ * Send a logged delivery again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const redeliver = asyncHandler(async (req, res) => {
+  try {
+    const delivery = await outboundWebhookService.redeliver(
+      req.user.id,
+      req.params.id,
+      req.params.deliveryId
+    );
+
+    return successResponse(res, { delivery }, 'Webhook redelivery queued', 202);
+  } catch (error) {
+    throw toApiError(error);
+  }
+});
+
+module.exports = {
+  getEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  rotateSecret,
+  getDeliveries,
+  redeliver
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('event_types', 'max_bookings_per_day', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Maximum confirmed bookings of this type per day',
+      after: 'reminder_minutes'
+    });
+
+    await queryInterface.addColumn('event_types', 'max_bookings_per_week', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Maximum confirmed bookings of this type per Monday-to-Sunday week',
+      after: 'max_bookings_per_day'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('event_types', 'max_bookings_per_week');
+    await queryInterface.removeColumn('event_types', 'max_bookings_per_day');
+  }
+};
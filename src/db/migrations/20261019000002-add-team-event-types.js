@@ -0,0 +1,100 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('teams', 'slug', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      after: 'name'
+    });
+
+    // Existing teams get their ID as slug until an admin picks a friendlier one
+    await queryInterface.sequelize.query('UPDATE teams SET slug = id WHERE slug IS NULL');
+
+    await queryInterface.changeColumn('teams', 'slug', {
+      type: Sequelize.STRING(100),
+      allowNull: false
+    });
+
+    await queryInterface.addIndex('teams', ['slug'], {
+      unique: true,
+      name: 'teams_slug'
+    });
+
+    await queryInterface.addColumn('event_types', 'team_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'teams',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      after: 'user_id'
+    });
+
+    await queryInterface.addColumn('event_types', 'scheduling_type', {
+      type: Sequelize.ENUM('individual', 'round_robin', 'collective'),
+      allowNull: false,
+      defaultValue: 'individual',
+      after: 'team_id'
+    });
+
+    await queryInterface.addIndex('event_types', ['team_id'], {
+      name: 'event_types_team_id'
+    });
+
+    await queryInterface.createTable('event_type_hosts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      event_type_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'event_types',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('event_type_hosts', ['event_type_id', 'user_id'], {
+      unique: true,
+      name: 'event_type_hosts_event_type_id_user_id'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('event_type_hosts');
+    await queryInterface.removeIndex('event_types', 'event_types_team_id');
+    await queryInterface.removeColumn('event_types', 'scheduling_type');
+    await queryInterface.removeColumn('event_types', 'team_id');
+    await queryInterface.removeIndex('teams', 'teams_slug');
+    await queryInterface.removeColumn('teams', 'slug');
+  }
+};
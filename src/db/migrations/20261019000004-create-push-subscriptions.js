@@ -0,0 +1,81 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('push_subscriptions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      endpoint: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      p256dh: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      auth: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      user_agent: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('push_subscriptions', ['endpoint'], {
+      unique: true,
+      name: 'push_subscriptions_endpoint'
+    });
+
+    await queryInterface.addIndex('push_subscriptions', ['user_id'], {
+      name: 'push_subscriptions_user_id'
+    });
+
+    await queryInterface.changeColumn('notifications', 'channel', {
+      type: Sequelize.ENUM('email', 'sms', 'push'),
+      allowNull: false,
+      defaultValue: 'email'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkDelete('notifications', { channel: 'push' });
+
+    await queryInterface.changeColumn('notifications', 'channel', {
+      type: Sequelize.ENUM('email', 'sms'),
+      allowNull: false,
+      defaultValue: 'email'
+    });
+
+    await queryInterface.dropTable('push_subscriptions');
+  }
+};
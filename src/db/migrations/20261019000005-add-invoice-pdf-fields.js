@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('invoices', 'tax_rate', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('invoices', 'tax_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('user_settings', 'invoice_tax_rate', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('user_settings', 'invoice_tax_label', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('user_settings', 'invoice_tax_label');
+    await queryInterface.removeColumn('user_settings', 'invoice_tax_rate');
+    await queryInterface.removeColumn('invoices', 'tax_amount');
+    await queryInterface.removeColumn('invoices', 'tax_rate');
+  }
+};
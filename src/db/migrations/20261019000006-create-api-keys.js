@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('api_keys', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      key_prefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      key_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      scopes: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      rate_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 60
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('api_keys', ['key_hash'], {
+      unique: true,
+      name: 'api_keys_key_hash'
+    });
+
+    await queryInterface.addIndex('api_keys', ['user_id'], {
+      name: 'api_keys_user_id'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('api_keys');
+  }
+};
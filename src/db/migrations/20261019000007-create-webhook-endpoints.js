@@ -0,0 +1,147 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('webhook_endpoints', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      secret: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      events: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('webhook_endpoints', ['user_id'], {
+      name: 'webhook_endpoints_user_id'
+    });
+
+    await queryInterface.createTable('webhook_deliveries', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      endpoint_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'webhook_endpoints',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      event: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      event_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      response_status: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      response_body: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      last_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      redelivery_of_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('webhook_deliveries', ['endpoint_id', 'created_at'], {
+      name: 'webhook_deliveries_endpoint_id_created_at'
+    });
+
+    await queryInterface.addIndex('webhook_deliveries', ['event_id'], {
+      name: 'webhook_deliveries_event_id'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('webhook_deliveries');
+    await queryInterface.dropTable('webhook_endpoints');
+  }
+};
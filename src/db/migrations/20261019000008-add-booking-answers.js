@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('bookings', 'answers', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Answers to the event type custom questions'
+    });
+
+    await queryInterface.addColumn('booking_requests', 'answers', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Answers to the event type custom questions'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('booking_requests', 'answers');
+    await queryInterface.removeColumn('bookings', 'answers');
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('event_types', 'cancellation_cutoff', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Minutes before the start after which invitees can no longer cancel'
+    });
+
+    await queryInterface.addColumn('event_types', 'reschedule_cutoff', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Minutes before the start after which invitees can no longer reschedule'
+    });
+
+    await queryInterface.addColumn('bookings', 'cancellation_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('bookings', 'cancellation_reason');
+    await queryInterface.removeColumn('event_types', 'reschedule_cutoff');
+    await queryInterface.removeColumn('event_types', 'cancellation_cutoff');
+  }
+};
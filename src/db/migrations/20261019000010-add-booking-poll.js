@@ -0,0 +1,31 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('bookings', 'poll_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'polls',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Meeting poll the booking was created from'
+    });
+
+    await queryInterface.addColumn('bookings', 'attendees', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Attendees invited besides the customer'
+    });
+
+    await queryInterface.addIndex('bookings', ['poll_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('bookings', ['poll_id']);
+    await queryInterface.removeColumn('bookings', 'attendees');
+    await queryInterface.removeColumn('bookings', 'poll_id');
+  }
+};
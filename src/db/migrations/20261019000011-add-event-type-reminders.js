@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('event_types', 'reminders', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Reminders sent before bookings of this type; null uses the defaults'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('event_types', 'reminders');
+  }
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('event_types', 'price', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Price charged when booking; null for free event types'
+    });
+
+    await queryInterface.addColumn('event_types', 'currency', {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD'
+    });
+
+    await queryInterface.addColumn('event_types', 'deposit_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Part of the price charged when booking; null charges the full price'
+    });
+
+    await queryInterface.changeColumn('bookings', 'status', {
+      type: Sequelize.ENUM('confirmed', 'cancelled', 'pending_payment'),
+      defaultValue: 'confirmed'
+    });
+
+    await queryInterface.addColumn('bookings', 'payment_expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When an unpaid booking stops holding its slot'
+    });
+
+    await queryInterface.addIndex('bookings', ['status', 'payment_expires_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('bookings', ['status', 'payment_expires_at']);
+    await queryInterface.removeColumn('bookings', 'payment_expires_at');
+    await queryInterface.sequelize.query(
+      "UPDATE bookings SET status = 'cancelled' WHERE status = 'pending_payment'"
+    );
+    await queryInterface.changeColumn('bookings', 'status', {
+      type: Sequelize.ENUM('confirmed', 'cancelled'),
+      defaultValue: 'confirmed'
+    });
+    await queryInterface.removeColumn('event_types', 'deposit_amount');
+    await queryInterface.removeColumn('event_types', 'currency');
+    await queryInterface.removeColumn('event_types', 'price');
+  }
+};
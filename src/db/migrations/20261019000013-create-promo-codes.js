@@ -0,0 +1,106 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('promo_codes', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Uppercased code invitees enter at checkout'
+      },
+      discount_type: {
+        type: Sequelize.ENUM('percent', 'fixed'),
+        allowNull: false
+      },
+      discount_value: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Percentage off, or amount off in the code currency'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: true,
+        comment: 'Currency of fixed amount codes'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      max_redemptions: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Null allows unlimited redemptions'
+      },
+      redemption_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      event_type_ids: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Event types the code applies to; null applies to all'
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('promo_codes', ['user_id', 'code'], { unique: true });
+
+    await queryInterface.addColumn('payments', 'promo_code_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'promo_codes',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('payments', 'promo_code', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Code as redeemed, kept when the promo code is deleted'
+    });
+
+    await queryInterface.addColumn('payments', 'discount_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('payments', 'discount_amount');
+    await queryInterface.removeColumn('payments', 'promo_code');
+    await queryInterface.removeColumn('payments', 'promo_code_id');
+    await queryInterface.dropTable('promo_codes');
+  }
+};
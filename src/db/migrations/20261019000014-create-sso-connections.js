@@ -0,0 +1,64 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('sso_connections', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      team_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'teams',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      protocol: {
+        type: Sequelize.ENUM('oidc'),
+        allowNull: false,
+        defaultValue: 'oidc'
+      },
+      issuer: {
+        type: Sequelize.STRING(500),
+        allowNull: false,
+        comment: 'OpenID Provider issuer URL, used for discovery'
+      },
+      client_id: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      client_secret: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      allowed_domains: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Email domains that sign in through this connection'
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('sso_connections');
+  }
+};
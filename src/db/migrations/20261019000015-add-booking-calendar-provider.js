@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('bookings', 'calendar_provider', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      after: 'calendar_event_id',
+      comment: 'Calendar provider holding calendar_event_id'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('bookings', 'calendar_provider');
+  }
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('calendar_tokens', 'sync_token', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Google sync token or Microsoft Graph delta link for incremental sync'
+    });
+    await queryInterface.addColumn('calendar_tokens', 'channel_id', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Google watch channel ID or Microsoft Graph subscription ID'
+    });
+    await queryInterface.addColumn('calendar_tokens', 'channel_resource_id', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Google resource ID needed to stop the watch channel'
+    });
+    await queryInterface.addColumn('calendar_tokens', 'channel_secret', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Secret the provider echoes back with every notification'
+    });
+    await queryInterface.addColumn('calendar_tokens', 'channel_expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('calendar_tokens', 'last_synced_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('calendar_tokens', ['channel_id']);
+    await queryInterface.addIndex('calendar_tokens', ['channel_expires_at']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('calendar_tokens', ['channel_expires_at']);
+    await queryInterface.removeIndex('calendar_tokens', ['channel_id']);
+    await queryInterface.removeColumn('calendar_tokens', 'last_synced_at');
+    await queryInterface.removeColumn('calendar_tokens', 'channel_expires_at');
+    await queryInterface.removeColumn('calendar_tokens', 'channel_secret');
+    await queryInterface.removeColumn('calendar_tokens', 'channel_resource_id');
+    await queryInterface.removeColumn('calendar_tokens', 'channel_id');
+    await queryInterface.removeColumn('calendar_tokens', 'sync_token');
+  }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+const { rewrapSecret, decryptSecret, getSecretContext } = require('../../utils/crypto');
+
+/**
+ * Rewrite the OAuth tokens of every calendar connection
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {Object} Sequelize - Sequelize library
+ * @param {Function} transform - Maps a stored token and its secret context to its new value
+ * @returns {Promise<void>}
+ */
+const rewriteTokens = async (queryInterface, Sequelize, transform) => {
+  const rows = await queryInterface.sequelize.query(
+    'SELECT id, access_token, refresh_token FROM calendar_tokens',
+    { type: Sequelize.QueryTypes.SELECT }
+  );
+
+  await Promise.all(rows.map((row) => queryInterface.bulkUpdate('calendar_tokens', {
+    access_token: transform(
+      row.access_token,
+      getSecretContext('CalendarToken', row.id, 'accessToken')
+    ),
+    refresh_token: transform(
+      row.refresh_token,
+      getSecretContext('CalendarToken', row.id, 'refreshToken')
+    )
+  }, { id: row.id })));
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await rewriteTokens(queryInterface, Sequelize, rewrapSecret);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await rewriteTokens(queryInterface, Sequelize, decryptSecret);
+  }
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('calendar_tokens', 'provider', {
+      type: Sequelize.ENUM('google', 'microsoft', 'caldav'),
+      allowNull: false
+    });
+    // CalDAV connections use an app-specific password that never expires
+    await queryInterface.changeColumn('calendar_tokens', 'refresh_token', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.changeColumn('calendar_tokens', 'expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('calendar_tokens', 'calendar_url', {
+      type: Sequelize.STRING(2048),
+      allowNull: true,
+      comment: 'CalDAV calendar collection events are read from and written to'
+    });
+    await queryInterface.changeColumn('users', 'calendar_provider', {
+      type: Sequelize.ENUM('none', 'google', 'microsoft', 'caldav'),
+      defaultValue: 'none'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkUpdate('users', { calendar_provider: 'none' }, { calendar_provider: 'caldav' });
+    await queryInterface.bulkDelete('calendar_tokens', { provider: 'caldav' });
+    await queryInterface.changeColumn('users', 'calendar_provider', {
+      type: Sequelize.ENUM('none', 'google', 'microsoft'),
+      defaultValue: 'none'
+    });
+    await queryInterface.removeColumn('calendar_tokens', 'calendar_url');
+    await queryInterface.changeColumn('calendar_tokens', 'expires_at', {
+      type: Sequelize.DATE,
+      allowNull: false
+    });
+    await queryInterface.changeColumn('calendar_tokens', 'refresh_token', {
+      type: Sequelize.TEXT,
+      allowNull: false
+    });
+    await queryInterface.changeColumn('calendar_tokens', 'provider', {
+      type: Sequelize.ENUM('google', 'microsoft'),
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('calendar_tokens', 'conflict_calendar_ids', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Calendars of the connection checked for conflicts; null checks the primary calendar'
+    });
+    await queryInterface.addColumn('calendar_tokens', 'destination_calendar_id', {
+      type: Sequelize.STRING(1024),
+      allowNull: true,
+      comment: 'Calendar of the connection new bookings are added to; null uses the primary calendar'
+    });
+
+    await queryInterface.addColumn('users', 'destination_calendar_token_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'calendar_tokens',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Calendar connection new bookings are added to'
+    });
+
+    await queryInterface.addColumn('event_types', 'destination_calendar_token_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'calendar_tokens',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Calendar connection bookings of this type are added to, instead of the host default'
+    });
+    await queryInterface.addColumn('event_types', 'destination_calendar_id', {
+      type: Sequelize.STRING(1024),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('bookings', 'calendar_token_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'calendar_tokens',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Calendar connection the calendar event was created with'
+    });
+    await queryInterface.addColumn('bookings', 'calendar_id', {
+      type: Sequelize.STRING(1024),
+      allowNull: true,
+      comment: 'Calendar the calendar event is in; null for the primary calendar'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('bookings', 'calendar_id');
+    await queryInterface.removeColumn('bookings', 'calendar_token_id');
+    await queryInterface.removeColumn('event_types', 'destination_calendar_id');
+    await queryInterface.removeColumn('event_types', 'destination_calendar_token_id');
+    await queryInterface.removeColumn('users', 'destination_calendar_token_id');
+    await queryInterface.removeColumn('calendar_tokens', 'destination_calendar_id');
+    await queryInterface.removeColumn('calendar_tokens', 'conflict_calendar_ids');
+  }
+};
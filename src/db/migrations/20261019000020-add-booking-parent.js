@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('bookings', 'parent_booking_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'bookings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Lead booking of a collective booking; set on the co-hosts\' bookings'
+    });
+    await queryInterface.addIndex('bookings', ['parent_booking_id'], {
+      name: 'bookings_parent_booking_id'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('bookings', 'bookings_parent_booking_id');
+    await queryInterface.removeColumn('bookings', 'parent_booking_id');
+  }
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+const crypto = require('crypto');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('sso_connections', 'domain_verifications', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'DNS verification token and verified time of each allowed domain'
+    });
+
+    // Existing domains start unverified, with a token to verify them
+    const rows = await queryInterface.sequelize.query(
+      'SELECT id, allowed_domains FROM sso_connections',
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    await Promise.all(rows.map((row) => {
+      const domains = typeof row.allowed_domains === 'string'
+        ? JSON.parse(row.allowed_domains)
+        : row.allowed_domains || [];
+      const verifications = Object.fromEntries(domains.map((domain) => [domain, {
+        token: crypto.randomBytes(24).toString('hex'),
+        verifiedAt: null
+      }]));
+
+      return queryInterface.bulkUpdate('sso_connections', {
+        domain_verifications: JSON.stringify(verifications)
+      }, { id: row.id });
+    }));
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('sso_connections', 'domain_verifications');
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Calendar channel processor job
+ *
+ * Background job to renew the change notifications of connected calendars
+ * before they expire
+ *
+ * @author meetabl Team
+ */
+
+const logger = require('../config/logger');
+const calendarSyncService = require('../services/calendar-sync.service');
+
+/**
+ * Renew expiring calendar change notifications
+ * Intended to be run at regular intervals via a scheduler
+ * @returns {Promise<number>} Number of renewed channels
+ */
+const processCalendarChannels = async () => {
+  try {
+    return await calendarSyncService.renewExpiringChannels();
+  } catch (error) {
+    logger.error('Error in calendar channel processing job:', error);
+    return 0;
+  }
+};
+
+// Export for manual triggering or scheduling
+module.exports = { processCalendarChannels };
+
+// Run directly if this file is executed directly
+if (require.main === module) {
+  processCalendarChannels()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((err) => {
+      logger.error('Fatal error in calendar channel processor:', err);
+      process.exit(1);
+    });
+}
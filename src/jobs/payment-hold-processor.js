@@ -0,0 +1,39 @@
+/**
+ * Payment hold processor job
+ *
+ * Background job to release the slots of bookings that were not paid in time
+ *
+ * @author meetabl Team
+ */
+
+const logger = require('../config/logger');
+const bookingPaymentService = require('../services/booking-payment.service');
+
+/**
+ * Release expired payment holds
+ * Intended to be run at regular intervals via a scheduler
+ * @returns {Promise<number>} Number of released bookings
+ */
+const processPaymentHolds = async () => {
+  try {
+    return await bookingPaymentService.releaseExpiredPaymentHolds();
+  } catch (error) {
+    logger.error('Error in payment hold processing job:', error);
+    return 0;
+  }
+};
+
+// Export for manual triggering or scheduling
+module.exports = { processPaymentHolds };
+
+// Run directly if this file is executed directly
+if (require.main === module) {
+  processPaymentHolds()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((err) => {
+      logger.error('Fatal error in payment hold processor:', err);
+      process.exit(1);
+    });
+}
@@ -9,6 +9,75 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../config/logger');
 const { User, JwtBlacklist } = require('../models');
+const apiKeyService = require('../services/api-key.service');
+const subscriptionService = require('../services/subscription.service');
+const { apiKeyLimiter } = require('./rate-limit');
+
+/**
+ * Authenticate a request made with a personal API key
+ *
+ * The key must carry the scope of the endpoint, its owner must still have
+ * the api_access feature, and each key is rate limited on its own.
+ *
+ * @param {string} key - API key from the Authorization header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await apiKeyService.verifyApiKey(key);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      error: {
+        code: 'unauthorized',
+        message: 'Invalid API key'
+      }
+    });
+  }
+
+  const { user } = apiKey;
+
+  if (user.status !== 'active') {
+    return res.status(401).json({
+      error: {
+        code: 'unauthorized',
+        message: 'Account is not active'
+      }
+    });
+  }
+
+  const hasAccess = await subscriptionService.checkFeatureAccess(user.id, 'api_access');
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      error: {
+        code: 'feature_not_available',
+        message: 'Your subscription plan does not include API access'
+      }
+    });
+  }
+
+  const scope = apiKeyService.getRequiredScope(req.method, req.originalUrl);
+
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      error: {
+        code: 'insufficient_scope',
+        message: scope
+          ? `API key is missing the ${scope} scope`
+          : 'This endpoint cannot be used with an API key'
+      }
+    });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+
+  logger.debug(`User authenticated with API key ${apiKey.id}: ${user.id}`);
+
+  return apiKeyLimiter(req, res, next);
+};
 
 /**
  * Verify JWT token and attach user to request
@@ -43,6 +112,11 @@ const authenticateJWT = async (req, res, next) => {
       });
     }
 
+    // Personal API keys are sent as bearer tokens too
+    if (apiKeyService.isApiKey(token)) {
+      return await authenticateApiKey(token, req, res, next);
+    }
+
     // Verify JWT token
     let decoded;
     try {
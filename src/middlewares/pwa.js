@@ -177,10 +177,11 @@ function generateServiceWorkerScript() {
             });
             
             // Send subscription to server
-            await fetch('/api/notifications/subscribe', {
+            await fetch('/api/pwa/subscribe', {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify(subscription)
+              credentials: 'include',
+              body: JSON.stringify({ subscription })
             });
             
             console.log('Push notifications enabled');
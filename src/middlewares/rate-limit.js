@@ -44,8 +44,27 @@ const passwordResetLimiter = createRateLimiter(
   'Too many password reset requests, please try again in 1 hour.'
 );
 
+// Per-key rate limiting for API key requests, using each key's own limit
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  limit: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => req.apiKey.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Rate limit exceeded for API key: ${req.apiKey.id}, endpoint: ${req.path}`);
+    return res.status(429).json({
+      error: {
+        code: 'too_many_requests',
+        message: 'API key rate limit exceeded, please try again later.'
+      }
+    });
+  }
+});
+
 module.exports = {
   createRateLimiter,
+  apiKeyLimiter,
   generalLimiter,
   authLimiter,
   passwordResetLimiter
@@ -185,6 +185,43 @@ const validateAvailabilityRule = [
   validateRequest
 ];
 
+/**
+ * Validate availability override
+ */
+const validateAvailabilityOverride = [
+  body('date')
+    .notEmpty()
+    .withMessage('Date is required')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Date must be in YYYY-MM-DD format'),
+
+  body('is_unavailable')
+    .optional()
+    .isBoolean()
+    .withMessage('is_unavailable must be a boolean')
+    .toBoolean(),
+
+  body('windows')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Windows must be an array of at most 10 time windows'),
+
+  body('windows.*.start_time')
+    .matches(/^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/)
+    .withMessage('Window start time must be in HH:MM:SS format'),
+
+  body('windows.*.end_time')
+    .matches(/^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/)
+    .withMessage('Window end time must be in HH:MM:SS format'),
+
+  body('reason')
+    .optional({ nullable: true })
+    .isLength({ max: 255 })
+    .withMessage('Reason must be at most 255 characters'),
+
+  validateRequest
+];
+
 /**
  * Validate booking creation
  */
@@ -228,6 +265,33 @@ const validateBooking = [
     .isLength({ max: 5000 })
     .withMessage('Notes must be at most 5000 characters'),
 
+  body('promo_code')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .withMessage('Promo code must be a string')
+    .isLength({ max: 50 })
+    .withMessage('Promo code must be at most 50 characters'),
+
+  validateRequest
+];
+
+/**
+ * Validate a promo code check for a public booking
+ */
+const validatePromoCodePreview = [
+  body('event_type_id')
+    .isUUID()
+    .withMessage('Event type ID must be a valid UUID'),
+
+  body('promo_code')
+    .isString()
+    .withMessage('Promo code must be a string')
+    .trim()
+    .notEmpty()
+    .withMessage('Promo code is required')
+    .isLength({ max: 50 })
+    .withMessage('Promo code must be at most 50 characters'),
+
   validateRequest
 ];
 
@@ -267,6 +331,17 @@ const validateUserSettings = [
     .matches(/^(G-[A-Z0-9]+|UA-[0-9]+-[0-9]+|GT-[A-Z0-9]+)?$/i)
     .withMessage('Google Analytics ID must be in G-XXXXXXXX, UA-XXXXXXX-X, or GT-XXXXXXXX format'),
 
+  body('invoice_tax_rate')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Invoice tax rate must be a percentage between 0 and 100'),
+
+  body('invoice_tax_label')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Invoice tax label must be at most 50 characters'),
+
   validateRequest
 ];
 
@@ -287,6 +362,56 @@ const validateTeam = [
     .isLength({ max: 1000 })
     .withMessage('Description must be at most 1000 characters'),
 
+  body('slug')
+    .optional()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and hyphens')
+    .isLength({ max: 100 })
+    .withMessage('Slug must be at most 100 characters'),
+
+  validateRequest
+];
+
+/**
+ * Validate team event type creation and updates
+ */
+const validateTeamEventType = [
+  body('name')
+    .notEmpty()
+    .withMessage('Event type name is required')
+    .isLength({ max: 100 })
+    .withMessage('Event type name must be at most 100 characters'),
+
+  body('scheduling_type')
+    .isIn(['round_robin', 'collective'])
+    .withMessage('Scheduling type must be either "round_robin" or "collective"'),
+
+  body('duration')
+    .optional()
+    .isInt({ min: 15, max: 240 })
+    .withMessage('Duration must be between 15 and 240 minutes')
+    .toInt(),
+
+  body('host_ids')
+    .optional()
+    .isArray()
+    .withMessage('host_ids must be an array of user IDs'),
+
+  body('host_ids.*')
+    .isUUID()
+    .withMessage('Each host ID must be a valid UUID'),
+
+  validateRequest
+];
+
+/**
+ * Validate team event type ID parameter
+ */
+const validateEventTypeIdParam = [
+  param('eventTypeId')
+    .isUUID()
+    .withMessage('Event type ID must be a valid UUID'),
+
   validateRequest
 ];
 
@@ -394,6 +519,388 @@ const validatePricingRule = [
   validateRequest
 ];
 
+/**
+ * Validate API key creation
+ */
+const validateApiKey = [
+  body('name')
+    .notEmpty()
+    .withMessage('API key name is required')
+    .isLength({ max: 100 })
+    .withMessage('API key name must be at most 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+
+  body('scopes.*')
+    .isString()
+    .withMessage('Scopes must be strings'),
+
+  body('rate_limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Rate limit must be between 1 and 1000 requests per minute'),
+
+  body('expires_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date'),
+
+  validateRequest
+];
+
+/**
+ * Validate promo code creation and updates
+ * @param {boolean} [partial] - Whether fields may be omitted, for updates
+ * @returns {Array} Validation chain
+ */
+const promoCodeRules = (partial = false) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('code')
+      .isString()
+      .withMessage('Code must be a string')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,50}$/)
+      .withMessage('Code must be 3 to 50 letters, numbers, dashes or underscores'),
+
+    field('discount_type')
+      .isIn(['percent', 'fixed'])
+      .withMessage('Discount type must be percent or fixed'),
+
+    field('discount_value')
+      .isFloat({ gt: 0 })
+      .withMessage('Discount value must be a positive number')
+      .toFloat(),
+
+    body('currency')
+      .optional({ nullable: true })
+      .toUpperCase()
+      .isISO4217()
+      .withMessage('Currency must be a valid ISO 4217 code'),
+
+    body('expires_at')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry must be a valid ISO 8601 date'),
+
+    body('max_redemptions')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Max redemptions must be a positive integer')
+      .toInt(),
+
+    body('event_type_ids')
+      .optional({ nullable: true })
+      .isArray()
+      .withMessage('Event type IDs must be an array'),
+
+    body('event_type_ids.*')
+      .isUUID()
+      .withMessage('Event type IDs must be valid UUIDs'),
+
+    body('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be a boolean')
+      .toBoolean(),
+
+    validateRequest
+  ];
+};
+
+const validatePromoCode = promoCodeRules();
+
+const validatePromoCodeUpdate = [
+  param('id')
+    .isUUID()
+    .withMessage('ID must be a valid UUID'),
+
+  ...promoCodeRules(true)
+];
+
+/**
+ * Validate webhook endpoint creation and updates
+ * @param {boolean} [partial] - Whether fields may be omitted, for updates
+ * @returns {Array} Validation chain
+ */
+const webhookEndpointRules = (partial = false) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('url')
+      .isURL({ require_protocol: true, protocols: ['http', 'https'], require_tld: false })
+      .withMessage('URL must be a valid URL')
+      .isLength({ max: 2048 })
+      .withMessage('URL must be at most 2048 characters'),
+
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('At least one event is required'),
+
+    body('events.*')
+      .isString()
+      .withMessage('Events must be strings'),
+
+    body('description')
+      .optional({ nullable: true })
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters'),
+
+    body('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be a boolean')
+      .toBoolean(),
+
+    validateRequest
+  ];
+};
+
+const validateWebhookEndpoint = webhookEndpointRules();
+
+const validateWebhookEndpointUpdate = [
+  param('id')
+    .isUUID()
+    .withMessage('ID must be a valid UUID'),
+
+  ...webhookEndpointRules(true)
+];
+
+/**
+ * Validate webhook delivery route parameters
+ */
+const validateWebhookDelivery = [
+  param('id')
+    .isUUID()
+    .withMessage('ID must be a valid UUID'),
+
+  param('deliveryId')
+    .isUUID()
+    .withMessage('Delivery ID must be a valid UUID'),
+
+  validateRequest
+];
+
+/**
+ * Validate an invitee's cancellation of a booking
+ */
+const validateManagedCancel = [
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Reason must be text')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+
+  validateRequest
+];
+
+/**
+ * Validate an invitee's reschedule of a booking
+ */
+const validateManagedReschedule = [
+  body('start_time')
+    .notEmpty()
+    .withMessage('Start time is required')
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date-time'),
+
+  validateRequest
+];
+
+/**
+ * Validate a team's SSO connection settings
+ */
+const validateSsoConnection = [
+  param('id')
+    .isUUID()
+    .withMessage('Team ID must be a valid UUID'),
+
+  body('issuer')
+    .notEmpty()
+    .withMessage('Issuer is required')
+    .isURL({ require_tld: false, protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Issuer must be a valid URL')
+    .isLength({ max: 500 })
+    .withMessage('Issuer must be at most 500 characters'),
+
+  body('client_id')
+    .notEmpty()
+    .withMessage('Client ID is required')
+    .isLength({ max: 255 })
+    .withMessage('Client ID must be at most 255 characters'),
+
+  body('client_secret')
+    .optional()
+    .isString()
+    .withMessage('Client secret must be text')
+    .notEmpty()
+    .withMessage('Client secret cannot be empty'),
+
+  body('allowed_domains')
+    .isArray({ min: 1 })
+    .withMessage('At least one email domain is required'),
+
+  body('allowed_domains.*')
+    .isString()
+    .withMessage('Email domains must be strings'),
+
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean')
+    .toBoolean(),
+
+  validateRequest
+];
+
+/**
+ * Validate the start of a single sign-on login
+ */
+const validateSsoAuthorize = [
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+
+  validateRequest
+];
+
+/**
+ * Validate a CalDAV calendar connection
+ */
+const validateCaldavConnection = [
+  body('server_url')
+    .notEmpty()
+    .withMessage('Server URL is required')
+    .isURL({ require_tld: false, protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Server URL must be a valid URL')
+    .isLength({ max: 2048 })
+    .withMessage('Server URL must be at most 2048 characters'),
+
+  body('username')
+    .notEmpty()
+    .withMessage('Username is required')
+    .isLength({ max: 255 })
+    .withMessage('Username must be at most 255 characters'),
+
+  body('password')
+    .isString()
+    .withMessage('Password must be text')
+    .notEmpty()
+    .withMessage('App-specific password is required'),
+
+  body('calendar_url')
+    .optional()
+    .isURL({ require_tld: false, protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Calendar URL must be a valid URL'),
+
+  validateRequest
+];
+
+/**
+ * Validate the calendars selected on a calendar connection
+ */
+const validateCalendarSelection = [
+  param('tokenId')
+    .isUUID()
+    .withMessage('Connection ID must be a valid UUID'),
+
+  body('conflict_calendar_ids')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Conflict calendars must be a list of at most 20 calendar IDs'),
+
+  body('conflict_calendar_ids.*')
+    .isString()
+    .withMessage('Calendar IDs must be strings'),
+
+  body('destination_calendar_id')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Destination calendar ID must be a string')
+    .isLength({ max: 1024 })
+    .withMessage('Destination calendar ID must be at most 1024 characters'),
+
+  body('default_destination')
+    .optional()
+    .isBoolean()
+    .withMessage('Default destination must be a boolean')
+    .toBoolean(),
+
+  validateRequest
+];
+
+/**
+ * Validate audit log filters
+ */
+const auditLogFilterRules = [
+  query('action')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Action must be at most 100 characters')
+    .matches(/^[a-z0-9_.]+(\.\*)?$/i)
+    .withMessage('Action must be an action name, or a prefix ending in .*'),
+
+  query('actor_id')
+    .optional()
+    .isUUID()
+    .withMessage('Actor ID must be a valid UUID'),
+
+  query('team_id')
+    .optional()
+    .isUUID()
+    .withMessage('Team ID must be a valid UUID'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date')
+];
+
+/**
+ * Validate an audit log page request
+ */
+const validateAuditLogQuery = [
+  ...auditLogFilterRules,
+
+  query('cursor')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Cursor is not valid'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  validateRequest
+];
+
+/**
+ * Validate an audit log export request
+ */
+const validateAuditLogExport = [
+  ...auditLogFilterRules,
+
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be either "csv" or "json"'),
+
+  validateRequest
+];
+
 module.exports = {
   validateRequest,
   validateGetRequest,
@@ -401,12 +908,30 @@ module.exports = {
   validateUserRegistration,
   validateUserLogin,
   validateAvailabilityRule,
+  validateAvailabilityOverride,
   validateBooking,
   validateUserSettings,
   validateTeam,
+  validateTeamEventType,
+  validateEventTypeIdParam,
   validateTeamMember,
   validateUserIdParam,
   validatePayment,
   validateRefund,
-  validatePricingRule
+  validatePricingRule,
+  validatePromoCode,
+  validatePromoCodeUpdate,
+  validatePromoCodePreview,
+  validateApiKey,
+  validateWebhookEndpoint,
+  validateWebhookEndpointUpdate,
+  validateWebhookDelivery,
+  validateManagedCancel,
+  validateManagedReschedule,
+  validateSsoConnection,
+  validateSsoAuthorize,
+  validateCaldavConnection,
+  validateCalendarSelection,
+  validateAuditLogQuery,
+  validateAuditLogExport
 };
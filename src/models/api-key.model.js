@@ -0,0 +1,90 @@
+/**
+ * API Key model
+ *
+ * Defines the ApiKey model for Sequelize ORM
+ * Holds a user's long-lived personal API keys; only a SHA-256 hash of each
+ * key is stored, along with a short prefix to tell keys apart
+ *
+ * @author meetabl Team
+ */
+
+const { DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  keyPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    field: 'key_prefix'
+  },
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'key_hash'
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  rateLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60,
+    field: 'rate_limit',
+    validate: {
+      min: 1,
+      max: 1000
+    }
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_used_at'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'expires_at'
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['key_hash']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Relationships are defined in associations.js to avoid circular dependencies
+
+module.exports = ApiKey;
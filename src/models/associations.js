@@ -13,16 +13,25 @@ const Booking = require('./booking.model');
 const BookingRequest = require('./bookingRequest.model');
 const CalendarToken = require('./calendar-token.model');
 const AvailabilityRule = require('./availability-rule.model');
+const AvailabilityOverride = require('./availability-override.model');
 const Notification = require('./notification.model');
+const PushSubscription = require('./push-subscription.model');
+const ApiKey = require('./api-key.model');
+const WebhookEndpoint = require('./webhook-endpoint.model');
+const WebhookDelivery = require('./webhook-delivery.model');
 const UserSettings = require('./user-settings.model');
 const AuditLog = require('./audit-log.model');
 const JwtBlacklist = require('./jwt-blacklist.model');
 const Team = require('./team.model');
 const TeamMember = require('./team-member.model');
+const TeamCalendarFeed = require('./team-calendar-feed.model');
 const Payment = require('./payment.model');
 const PricingRule = require('./pricing-rule.model');
 const Invoice = require('./invoice.model');
+const PromoCode = require('./promo-code.model');
+const SsoConnection = require('./sso-connection.model');
 const EventType = require('./event-type.model');
+const EventTypeHost = require('./event-type-host.model');
 const Poll = require('./poll.model');
 const PollTimeSlot = require('./poll-time-slot.model');
 const PollVote = require('./poll-vote.model');
@@ -36,6 +45,7 @@ function defineAssociations() {
   User.hasMany(BookingRequest, { foreignKey: 'userId', as: 'bookingRequests' });
   User.hasMany(CalendarToken, { foreignKey: 'userId', as: 'calendarTokens' });
   User.hasMany(AvailabilityRule, { foreignKey: 'userId', as: 'availabilityRules' });
+  User.hasMany(AvailabilityOverride, { foreignKey: 'userId', as: 'availabilityOverrides' });
   User.hasMany(EventType, { foreignKey: 'userId', as: 'eventTypes' });
   User.hasMany(Poll, { foreignKey: 'userId', as: 'polls' });
   // Notifications are linked to users through bookings, not directly
@@ -43,7 +53,11 @@ function defineAssociations() {
   User.hasMany(AuditLog, { foreignKey: 'userId', as: 'auditLogs' });
   User.hasMany(TeamMember, { foreignKey: 'user_id', as: 'memberships' }); // Fixed field name and alias
   User.hasMany(Team, { foreignKey: 'owner_id', as: 'ownedTeams' }); // Added owned teams
-  User.hasMany(Payment, { foreignKey: 'userId', as: 'payments' });
+  User.hasMany(Payment, { foreignKey: 'user_id', as: 'payments' });
+  User.hasMany(PromoCode, { foreignKey: 'userId', as: 'promoCodes' });
+  User.hasMany(PushSubscription, { foreignKey: 'userId', as: 'pushSubscriptions' });
+  User.hasMany(ApiKey, { foreignKey: 'userId', as: 'apiKeys' });
+  User.hasMany(WebhookEndpoint, { foreignKey: 'userId', as: 'webhookEndpoints' });
 
   // Booking associations
   Booking.belongsTo(User, { foreignKey: 'userId', as: 'user' });
@@ -58,10 +72,26 @@ function defineAssociations() {
   // AvailabilityRule associations
   AvailabilityRule.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+  // AvailabilityOverride associations
+  AvailabilityOverride.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
   // Notification associations
   // Notifications are linked to users through bookings, not directly
   Notification.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
 
+  // PushSubscription associations
+  PushSubscription.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+  // ApiKey associations
+  ApiKey.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+  // WebhookEndpoint associations
+  WebhookEndpoint.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  WebhookEndpoint.hasMany(WebhookDelivery, { foreignKey: 'endpointId', as: 'deliveries' });
+
+  // WebhookDelivery associations
+  WebhookDelivery.belongsTo(WebhookEndpoint, { foreignKey: 'endpointId', as: 'endpoint' });
+
   // UserSettings associations
   UserSettings.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
@@ -71,28 +101,52 @@ function defineAssociations() {
   // Team associations
   Team.hasMany(TeamMember, { foreignKey: 'team_id', as: 'members' });
   Team.belongsTo(User, { foreignKey: 'owner_id', as: 'owner' });
+  Team.hasMany(EventType, { foreignKey: 'teamId', as: 'eventTypes' });
+  Team.hasMany(TeamCalendarFeed, { foreignKey: 'teamId', as: 'calendarFeeds' });
 
   // TeamMember associations
   TeamMember.belongsTo(Team, { foreignKey: 'team_id', as: 'team' });
   TeamMember.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
+  // SsoConnection associations
+  Team.hasOne(SsoConnection, { foreignKey: 'teamId', as: 'ssoConnection' });
+  SsoConnection.belongsTo(Team, { foreignKey: 'teamId', as: 'team' });
+
+  // TeamCalendarFeed associations
+  TeamCalendarFeed.belongsTo(Team, { foreignKey: 'teamId', as: 'team' });
+  TeamCalendarFeed.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
   // Payment associations
-  Payment.belongsTo(User, { foreignKey: 'userId', as: 'user' });
-  Payment.hasMany(Invoice, { foreignKey: 'paymentId', as: 'invoices' });
+  Payment.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  Payment.belongsTo(Booking, { foreignKey: 'booking_id', as: 'booking' });
+  Payment.hasMany(Invoice, { foreignKey: 'payment_id', as: 'invoices' });
+  Payment.belongsTo(PromoCode, { foreignKey: 'promo_code_id', as: 'promoCode' });
 
   // PricingRule associations - if there are specific relationships needed
 
+  // PromoCode associations
+  PromoCode.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  PromoCode.hasMany(Payment, { foreignKey: 'promo_code_id', as: 'payments' });
+
   // Invoice associations
-  Invoice.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+  Invoice.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
 
   // EventType associations
   EventType.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  EventType.belongsTo(Team, { foreignKey: 'teamId', as: 'team' });
+  EventType.hasMany(EventTypeHost, { foreignKey: 'eventTypeId', as: 'hosts' });
+
+  // EventTypeHost associations
+  EventTypeHost.belongsTo(EventType, { foreignKey: 'eventTypeId', as: 'eventType' });
+  EventTypeHost.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
   // Poll associations
   Poll.belongsTo(User, { foreignKey: 'userId', as: 'user' });
   Poll.hasMany(PollTimeSlot, { foreignKey: 'pollId', as: 'timeSlots' });
   Poll.hasMany(PollVote, { foreignKey: 'pollId', as: 'votes' });
   Poll.belongsTo(PollTimeSlot, { foreignKey: 'selectedTimeSlotId', as: 'selectedTimeSlot' });
+  Poll.hasOne(Booking, { foreignKey: 'pollId', as: 'booking' });
+  Booking.belongsTo(Poll, { foreignKey: 'pollId', as: 'poll' });
 
   // PollTimeSlot associations
   PollTimeSlot.belongsTo(Poll, { foreignKey: 'pollId', as: 'poll' });
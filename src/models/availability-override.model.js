@@ -0,0 +1,88 @@
+/**
+ * Availability Override model
+ *
+ * Defines the AvailabilityOverride model for Sequelize ORM
+ * Used to replace a user's weekly availability on a specific date,
+ * either blocking the whole day or substituting custom time windows
+ *
+ * @author meetabl Team
+ */
+
+const { DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/;
+
+const AvailabilityOverride = sequelize.define('AvailabilityOverride', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Calendar date in the user timezone'
+  },
+  isUnavailable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_unavailable'
+  },
+  windows: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Custom windows ({ startTime, endTime } as HH:mm:ss) replacing the weekly rules',
+    validate: {
+      isValidWindows(value) {
+        if (!Array.isArray(value)) {
+          throw new Error('Windows must be an array');
+        }
+
+        value.forEach((window) => {
+          const isValidWindow = window
+            && TIME_PATTERN.test(window.startTime)
+            && TIME_PATTERN.test(window.endTime);
+
+          if (!isValidWindow) {
+            throw new Error('Each window needs a startTime and endTime in HH:mm:ss format');
+          }
+
+          if (window.startTime >= window.endTime) {
+            throw new Error('Window end time must be after start time');
+          }
+        });
+      }
+    }
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'availability_overrides',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'date']
+    }
+  ]
+});
+
+// Relationships are defined in associations.js to avoid circular dependencies
+
+module.exports = AvailabilityOverride;
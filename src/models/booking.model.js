@@ -27,6 +27,18 @@ const Booking = sequelize.define('Booking', {
     allowNull: true,
     field: 'event_type_id'
   },
+  pollId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'poll_id'
+  },
+  // Lead booking of a collective booking; each co-host's booking points
+  // to it, and the group is cancelled and moved together
+  parentBookingId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'parent_booking_id'
+  },
   customerName: {
     type: DataTypes.STRING(100),
     allowNull: false,
@@ -63,19 +75,59 @@ const Booking = sequelize.define('Booking', {
     allowNull: true,
     field: 'calendar_event_id'
   },
+  // Provider the calendar event was created with, which may differ from
+  // the host's current provider
+  calendarProvider: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'calendar_provider'
+  },
+  // Calendar connection and calendar the event is in; null for events
+  // created in the primary calendar of the provider's connection
+  calendarTokenId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'calendar_token_id'
+  },
+  calendarId: {
+    type: DataTypes.STRING(1024),
+    allowNull: true,
+    field: 'calendar_id'
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  answers: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Answers to the event type custom questions'
+  },
+  attendees: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Attendees invited besides the customer'
+  },
   meetingUrl: {
     type: DataTypes.STRING(500),
     allowNull: true,
     field: 'meeting_url'
   },
   status: {
-    type: DataTypes.ENUM('confirmed', 'cancelled'),
+    type: DataTypes.ENUM('confirmed', 'cancelled', 'pending_payment'),
     defaultValue: 'confirmed'
   },
+  paymentExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'payment_expires_at',
+    comment: 'When an unpaid booking stops holding its slot'
+  },
+  cancellationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'cancellation_reason'
+  },
   createdAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
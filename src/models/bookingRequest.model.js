@@ -62,6 +62,11 @@ const BookingRequest = sequelize.define('BookingRequest', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  answers: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Answers to the event type custom questions'
+  },
   confirmationToken: {
     type: DataTypes.STRING(255),
     allowNull: false,
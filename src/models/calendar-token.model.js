@@ -2,7 +2,10 @@
  * Calendar Token model
  *
  * Defines the CalendarToken model for Sequelize ORM
- * Used to store OAuth tokens for calendar providers
+ * Used to store OAuth tokens for calendar providers, and the
+ * app-specific password of CalDAV connections in accessToken. Access and
+ * refresh tokens are encrypted at rest, bound to their row and column,
+ * and decrypted when read.
  *
  * @author meetabl Team
  */
@@ -10,6 +13,52 @@
 const { DataTypes } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
 const { sequelize } = require('../config/database');
+const { encryptSecret, decryptSecret, getSecretContext } = require('../utils/crypto');
+
+/**
+ * Get where a token of a calendar connection is stored
+ * @param {Object} token - CalendarToken instance
+ * @param {string} column - accessToken or refreshToken
+ * @returns {string} Secret context
+ */
+const getTokenContext = (token, column) => getSecretContext(
+  'CalendarToken',
+  token.getDataValue('id'),
+  column
+);
+
+/**
+ * Read a token of a calendar connection
+ * @param {Object} token - CalendarToken instance
+ * @param {string} column - accessToken or refreshToken
+ * @returns {string|null} Plaintext token
+ */
+const decryptToken = (token, column) => {
+  const value = token.getDataValue(column);
+
+  return value === null || value === undefined
+    ? value
+    : decryptSecret(value, getTokenContext(token, column));
+};
+
+/**
+ * Encrypt a token of a calendar connection for storage
+ *
+ * New rows get their ID here when a token is set before it, since the
+ * token is bound to it.
+ *
+ * @param {Object} token - CalendarToken instance
+ * @param {string} column - accessToken or refreshToken
+ * @param {string|null} value - Plaintext token
+ * @returns {string|null} Encrypted token
+ */
+const encryptToken = (token, column, value) => {
+  if (!token.getDataValue('id')) {
+    token.setDataValue('id', uuidv4());
+  }
+
+  return encryptSecret(value, getTokenContext(token, column));
+};
 
 const CalendarToken = sequelize.define('CalendarToken', {
   id: {
@@ -27,7 +76,7 @@ const CalendarToken = sequelize.define('CalendarToken', {
     }
   },
   provider: {
-    type: DataTypes.ENUM('google', 'microsoft'),
+    type: DataTypes.ENUM('google', 'microsoft', 'caldav'),
     allowNull: false
   },
   email: {
@@ -37,22 +86,83 @@ const CalendarToken = sequelize.define('CalendarToken', {
   accessToken: {
     type: DataTypes.TEXT,
     allowNull: false,
-    field: 'access_token'
+    field: 'access_token',
+    get() {
+      return decryptToken(this, 'accessToken');
+    },
+    set(value) {
+      this.setDataValue('accessToken', encryptToken(this, 'accessToken', value));
+    }
   },
   refreshToken: {
     type: DataTypes.TEXT,
-    allowNull: false,
-    field: 'refresh_token'
+    allowNull: true,
+    field: 'refresh_token',
+    get() {
+      return decryptToken(this, 'refreshToken');
+    },
+    set(value) {
+      this.setDataValue('refreshToken', encryptToken(this, 'refreshToken', value));
+    }
   },
   expiresAt: {
     type: DataTypes.DATE,
-    allowNull: false,
+    allowNull: true,
     field: 'expires_at'
   },
   scope: {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  calendarUrl: {
+    type: DataTypes.STRING(2048),
+    allowNull: true,
+    field: 'calendar_url'
+  },
+  // Calendars of the connection checked for conflicts; null checks the
+  // primary calendar only
+  conflictCalendarIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'conflict_calendar_ids'
+  },
+  // Calendar of the connection new bookings are added to; null uses the
+  // primary calendar
+  destinationCalendarId: {
+    type: DataTypes.STRING(1024),
+    allowNull: true,
+    field: 'destination_calendar_id'
+  },
+  syncToken: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'sync_token'
+  },
+  channelId: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'channel_id'
+  },
+  channelResourceId: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'channel_resource_id'
+  },
+  channelSecret: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'channel_secret'
+  },
+  channelExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'channel_expires_at'
+  },
+  lastSyncedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_synced_at'
+  },
   createdAt: {
     type: DataTypes.DATE,
     allowNull: false,
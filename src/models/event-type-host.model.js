@@ -0,0 +1,53 @@
+/**
+ * Event Type Host model
+ *
+ * Defines the EventTypeHost model for Sequelize ORM
+ * Lists the team members who host a team event type; a team event type
+ * without host rows is hosted by every member of the team
+ *
+ * @author meetabl Team
+ */
+
+const { DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+
+const EventTypeHost = sequelize.define('EventTypeHost', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  eventTypeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'event_type_id',
+    references: {
+      model: 'event_types',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'event_type_hosts',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['event_type_id', 'user_id']
+    }
+  ]
+});
+
+// Relationships are defined in associations.js to avoid circular dependencies
+
+module.exports = EventTypeHost;
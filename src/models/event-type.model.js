@@ -26,6 +26,23 @@ const EventType = sequelize.define('EventType', {
       onUpdate: 'CASCADE',
       onDelete: 'CASCADE'
     },
+    teamId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'teams',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Owning team for team event types'
+    },
+    schedulingType: {
+      type: DataTypes.ENUM('individual', 'round_robin', 'collective'),
+      allowNull: false,
+      defaultValue: 'individual',
+      comment: 'How team event types pick hosts'
+    },
     name: {
       type: DataTypes.STRING(100),
       allowNull: false,
@@ -129,6 +146,86 @@ const EventType = sequelize.define('EventType', {
       },
       comment: 'Reminder time before event in minutes'
     },
+    reminders: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Reminders as { channel, audience, offset_minutes }; null uses the defaults'
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      },
+      comment: 'Price charged when booking; null for free event types'
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD',
+      validate: {
+        isUppercase: true,
+        len: [3, 3]
+      }
+    },
+    depositAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      },
+      comment: 'Part of the price charged when booking; null charges the full price'
+    },
+    maxBookingsPerDay: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      },
+      comment: 'Maximum confirmed bookings of this type per day'
+    },
+    maxBookingsPerWeek: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      },
+      comment: 'Maximum confirmed bookings of this type per Monday-to-Sunday week'
+    },
+    cancellationCutoff: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0,
+        max: 43200 // 30 days max
+      },
+      comment: 'Minutes before the start after which invitees can no longer cancel'
+    },
+    rescheduleCutoff: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0,
+        max: 43200 // 30 days max
+      },
+      comment: 'Minutes before the start after which invitees can no longer reschedule'
+    },
+    destinationCalendarTokenId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'calendar_tokens',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Calendar connection bookings of this type are added to, instead of the host default'
+    },
+    destinationCalendarId: {
+      type: DataTypes.STRING(1024),
+      allowNull: true,
+      comment: 'Calendar of that connection; null uses its destination calendar'
+    },
     questions: {
       type: DataTypes.JSON,
       allowNull: true,
@@ -154,6 +251,9 @@ const EventType = sequelize.define('EventType', {
       {
         fields: ['user_id']
       },
+      {
+        fields: ['team_id']
+      },
       {
         unique: true,
         fields: ['user_id', 'slug']
@@ -9,18 +9,27 @@
 const User = require('./user.model');
 const CalendarToken = require('./calendar-token.model');
 const AvailabilityRule = require('./availability-rule.model');
+const AvailabilityOverride = require('./availability-override.model');
 const Booking = require('./booking.model');
 const BookingRequest = require('./bookingRequest.model');
 const Notification = require('./notification.model');
+const PushSubscription = require('./push-subscription.model');
+const ApiKey = require('./api-key.model');
+const WebhookEndpoint = require('./webhook-endpoint.model');
+const WebhookDelivery = require('./webhook-delivery.model');
 const UserSettings = require('./user-settings.model');
 const AuditLog = require('./audit-log.model');
 const JwtBlacklist = require('./jwt-blacklist.model');
 const Team = require('./team.model');
 const TeamMember = require('./team-member.model');
+const TeamCalendarFeed = require('./team-calendar-feed.model');
 const Payment = require('./payment.model');
 const PricingRule = require('./pricing-rule.model');
 const Invoice = require('./invoice.model');
+const PromoCode = require('./promo-code.model');
+const SsoConnection = require('./sso-connection.model');
 const EventType = require('./event-type.model');
+const EventTypeHost = require('./event-type-host.model');
 const Poll = require('./poll.model');
 const PollTimeSlot = require('./poll-time-slot.model');
 const PollVote = require('./poll-vote.model');
@@ -33,18 +42,27 @@ module.exports = {
   User,
   CalendarToken,
   AvailabilityRule,
+  AvailabilityOverride,
   Booking,
   BookingRequest,
   Notification,
+  PushSubscription,
+  ApiKey,
+  WebhookEndpoint,
+  WebhookDelivery,
   UserSettings,
   AuditLog,
   JwtBlacklist,
   Team,
   TeamMember,
+  TeamCalendarFeed,
   Payment,
   PricingRule,
   Invoice,
+  PromoCode,
+  SsoConnection,
   EventType,
+  EventTypeHost,
   Poll,
   PollTimeSlot,
   PollVote
@@ -34,12 +34,19 @@ const Invoice = sequelize.define('Invoice', {
       notEmpty: true
     }
   },
+  // Storage key of the generated PDF
   pdf_url: {
     type: DataTypes.STRING(500),
-    allowNull: true,
-    validate: {
-      isUrl: true
-    }
+    allowNull: true
+  },
+  // Tax rate and amount included in the payment, fixed when the PDF is first generated
+  tax_rate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
   },
   status: {
     type: DataTypes.ENUM('draft', 'sent', 'paid'),
@@ -2,7 +2,7 @@
  * Notification model
  *
  * Defines the Notification model for Sequelize ORM
- * Used to track email and SMS notifications sent for bookings
+ * Used to track email, SMS and push notifications sent for bookings
  *
  * @author meetabl Team
  */
@@ -30,7 +30,7 @@ const Notification = sequelize.define('Notification', {
     allowNull: false
   },
   channel: {
-    type: DataTypes.ENUM('email', 'sms'),
+    type: DataTypes.ENUM('email', 'sms', 'push'),
     allowNull: false,
     defaultValue: 'email'
   },
@@ -59,6 +59,28 @@ const Payment = sequelize.define('Payment', {
     allowNull: true,
     unique: true
   },
+  promo_code_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'promo_codes',
+      key: 'id'
+    }
+  },
+  // Code as redeemed, kept when the promo code is deleted
+  promo_code: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Taken off the amount before charging; amount is what the invitee paid
+  discount_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
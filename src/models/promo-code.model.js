@@ -0,0 +1,101 @@
+/**
+ * PromoCode model
+ *
+ * Defines the PromoCode model for Sequelize ORM
+ * A discount code a host gives out to invitees paying for bookings,
+ * either a percentage or a fixed amount off
+ *
+ * @author meetabl Team
+ */
+
+const { DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+
+const PromoCode = sequelize.define('PromoCode', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  discountType: {
+    type: DataTypes.ENUM('percent', 'fixed'),
+    allowNull: false,
+    field: 'discount_type'
+  },
+  discountValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    field: 'discount_value',
+    validate: {
+      min: 0
+    }
+  },
+  // Currency of fixed amount codes
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: true,
+    validate: {
+      isUppercase: true,
+      len: [3, 3]
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'expires_at'
+  },
+  // Null allows unlimited redemptions
+  maxRedemptions: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'max_redemptions'
+  },
+  redemptionCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'redemption_count'
+  },
+  // Event types the code applies to; null applies to all of the host's
+  eventTypeIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'event_type_ids'
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'promo_codes',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'code']
+    }
+  ]
+});
+
+// Relationships are defined in associations.js to avoid circular dependencies
+
+module.exports = PromoCode;
@@ -0,0 +1,73 @@
+/**
+ * Push Subscription model
+ *
+ * Defines the PushSubscription model for Sequelize ORM
+ * Stores a browser's Web Push subscription so the user can receive
+ * push notifications on that device
+ *
+ * @author meetabl Team
+ */
+
+const { DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+
+const PushSubscription = sequelize.define('PushSubscription', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  endpoint: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    unique: true,
+    validate: {
+      isUrl: true
+    }
+  },
+  p256dh: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  auth: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  userAgent: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'user_agent'
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_used_at'
+  }
+}, {
+  tableName: 'push_subscriptions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['endpoint']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Relationships are defined in associations.js to avoid circular dependencies
+
+module.exports = PushSubscription;
@@ -0,0 +1,82 @@
+/**
+ * SSO Connection model
+ *
+ * Defines the SsoConnection model for Sequelize ORM
+ * A team's single sign-on identity provider; members whose email domain
+ * is allowed sign in through it
+ *
+ * @author meetabl Team
+ */
+
+const { DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+
+const SsoConnection = sequelize.define('SsoConnection', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  teamId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    field: 'team_id',
+    references: {
+      model: 'teams',
+      key: 'id'
+    }
+  },
+  protocol: {
+    type: DataTypes.ENUM('oidc'),
+    allowNull: false,
+    defaultValue: 'oidc'
+  },
+  // OpenID Provider issuer URL, used for discovery
+  issuer: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    validate: {
+      isUrl: { require_tld: false }
+    }
+  },
+  clientId: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'client_id'
+  },
+  clientSecret: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    field: 'client_secret'
+  },
+  // Lowercased email domains that sign in through this connection
+  allowedDomains: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    field: 'allowed_domains'
+  },
+  // Verification token and verifiedAt time of each allowed domain, by
+  // domain; only verified domains sign in
+  domainVerifications: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {},
+    field: 'domain_verifications'
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'sso_connections',
+  timestamps: true,
+  underscored: true
+});
+
+// Relationships are defined in associations.js to avoid circular dependencies
+
+module.exports = SsoConnection;
@@ -0,0 +1,67 @@
+/**
+ * Team Calendar Feed model
+ *
+ * Defines the TeamCalendarFeed model for Sequelize ORM
+ * Holds the token behind a member's subscribable ICS feed of the shared
+ * team calendar; deleting the row revokes the feed URL
+ *
+ * @author meetabl Team
+ */
+
+const { DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+
+const TeamCalendarFeed = sequelize.define('TeamCalendarFeed', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  teamId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'team_id',
+    references: {
+      model: 'teams',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  lastAccessedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_accessed_at'
+  }
+}, {
+  tableName: 'team_calendar_feeds',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['token']
+    },
+    {
+      unique: true,
+      fields: ['team_id', 'user_id']
+    }
+  ]
+});
+
+// Relationships are defined in associations.js to avoid circular dependencies
+
+module.exports = TeamCalendarFeed;
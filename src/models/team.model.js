@@ -7,7 +7,7 @@
  * @author meetabl Team
  */
 
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
 const { sequelize } = require('../config/database');
 
@@ -24,6 +24,16 @@ const Team = sequelize.define('Team', {
       notEmpty: true
     }
   },
+  slug: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true,
+      is: /^[a-z0-9-]+$/i
+    },
+    comment: 'Public identifier used in team booking links'
+  },
   description: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -51,6 +61,41 @@ const Team = sequelize.define('Team', {
   updatedAt: 'updated'
 });
 
+/**
+ * Generate a unique slug from a team name
+ * @param {string} name - Team name
+ * @returns {Promise<string>} Unique slug
+ */
+Team.generateSlug = async (name) => {
+  const baseSlug = (name || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'team';
+
+  const existing = await Team.findAll({
+    where: { slug: { [Op.like]: `${baseSlug}%` } },
+    attributes: ['slug']
+  });
+  const takenSlugs = new Set(existing.map((team) => team.slug));
+
+  let slug = baseSlug;
+  for (let counter = 1; takenSlugs.has(slug); counter += 1) {
+    slug = `${baseSlug}-${counter}`;
+  }
+
+  return slug;
+};
+
+/**
+ * Before validate hook to give new teams a slug
+ */
+Team.beforeValidate(async (team) => {
+  if (team.isNewRecord && !team.slug) {
+    team.set('slug', await Team.generateSlug(team.name));
+  }
+});
+
 // Relationships are defined in associations.js to avoid circular dependencies
 
 module.exports = Team;
@@ -181,6 +181,21 @@ const UserSettings = sequelize.define('UserSettings', {
     allowNull: false,
     defaultValue: false,
     field: 'requires_confirmation'
+  },
+  // Tax included in the host's prices, shown on invoices
+  invoiceTaxRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    field: 'invoice_tax_rate',
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  invoiceTaxLabel: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'invoice_tax_label'
   }
 }, {
   tableName: 'user_settings',
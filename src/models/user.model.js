@@ -97,9 +97,15 @@ const User = sequelize.define('User', {
     field: 'avatar_url'
   },
   calendar_provider: {
-    type: DataTypes.ENUM('none', 'google', 'microsoft'),
+    type: DataTypes.ENUM('none', 'google', 'microsoft', 'caldav'),
     defaultValue: 'none'
   },
+  // Calendar connection new bookings are added to; when not set, the first
+  // connection of calendar_provider is used
+  destination_calendar_token_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
   password_reset_token: {
     type: DataTypes.STRING(255),
     allowNull: true
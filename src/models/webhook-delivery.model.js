@@ -0,0 +1,99 @@
+/**
+ * Webhook Delivery model
+ *
+ * Defines the WebhookDelivery model for Sequelize ORM
+ * Logs one event sent to a webhook endpoint: the payload, its status and
+ * the outcome of the latest attempt
+ *
+ * @author meetabl Team
+ */
+
+const { DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  endpointId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'endpoint_id',
+    references: {
+      model: 'webhook_endpoints',
+      key: 'id'
+    }
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Event ID from the payload; redeliveries keep it so receivers can dedupe
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'event_id'
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'response_status'
+  },
+  responseBody: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'response_body'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_attempt_at'
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'delivered_at'
+  },
+  redeliveryOfId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'redelivery_of_id'
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['endpoint_id', 'created_at']
+    },
+    {
+      fields: ['event_id']
+    }
+  ]
+});
+
+// Relationships are defined in associations.js to avoid circular dependencies
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,68 @@
+/**
+ * Webhook Endpoint model
+ *
+ * Defines the WebhookEndpoint model for Sequelize ORM
+ * An HTTPS endpoint a host registered to receive signed booking lifecycle
+ * events; the secret signs every payload sent to it
+ *
+ * @author meetabl Team
+ */
+
+const { DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+
+const WebhookEndpoint = sequelize.define('WebhookEndpoint', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false,
+    validate: {
+      isUrl: true
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  secret: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  events: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'webhook_endpoints',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Relationships are defined in associations.js to avoid circular dependencies
+
+module.exports = WebhookEndpoint;
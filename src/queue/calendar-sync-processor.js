@@ -0,0 +1,71 @@
+/**
+ * Calendar Sync Queue Processor
+ *
+ * Processes jobs from the calendarSync queue to keep hosts' external
+ * calendar events in line with cancelled and rescheduled bookings, and
+ * to cancel bookings whose events hosts deleted
+ *
+ * @author meetabl Team
+ */
+
+const { createWorker } = require('./index');
+const calendarService = require('../services/calendar.service');
+const calendarSyncService = require('../services/calendar-sync.service');
+const logger = require('../config/logger');
+
+/**
+ * Process calendar sync jobs
+ *
+ * 'sync' jobs push a booking's changes to its host's calendar event, and
+ * 'calendar-changes' jobs pull the changes a provider notified us of.
+ *
+ * @param {Object} job - The job containing the booking or calendar token ID
+ * @returns {Promise<string|number>} What was done to the calendar event, or
+ * the number of bookings cancelled from the calendar
+ */
+async function processCalendarSync(job) {
+  const { data } = job;
+
+  if (job.name === 'calendar-changes') {
+    logger.info('Processing calendar changes job:', { id: job.id, calendarTokenId: data.calendarTokenId, attempt: job.attemptsMade + 1 });
+
+    try {
+      const cancelled = await calendarSyncService.syncCalendarToken(data.calendarTokenId);
+      logger.info('Calendar changes synced successfully', { id: job.id, cancelled });
+      return cancelled;
+    } catch (error) {
+      logger.error('Error syncing calendar changes:', error);
+      throw error; // Will be retried by the queue with backoff
+    }
+  }
+
+  logger.info('Processing calendar sync job:', { id: job.id, bookingId: data.bookingId, attempt: job.attemptsMade + 1 });
+
+  try {
+    const result = await calendarService.syncBookingCalendarEvent(data.bookingId);
+    logger.info('Calendar event synced successfully', { id: job.id, result });
+    return result;
+  } catch (error) {
+    logger.error('Error syncing calendar event:', error);
+    throw error; // Will be retried by the queue with backoff
+  }
+}
+
+/**
+ * Start the calendar sync worker
+ * @returns {Worker} The calendar sync worker instance
+ */
+function startWorker() {
+  logger.info('Starting calendar sync queue worker');
+  return createWorker('calendarSync', processCalendarSync);
+}
+
+// Start the worker if this file is run directly
+if (require.main === module) {
+  startWorker();
+}
+
+module.exports = {
+  processCalendarSync,
+  startWorker
+};
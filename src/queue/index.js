@@ -1,7 +1,8 @@
 /**
  * Queue System using BullMQ
  * 
- * Sets up queues for background processing of notifications, calendar sync, etc.
+ * Sets up queues for background processing of notifications, calendar sync,
+ * outbound webhooks, etc.
  * 
  * @author meetabl Team
  */
@@ -13,7 +14,8 @@ const logger = require('../config/logger');
 // Queue definitions
 const queues = {
   notification: new Queue('notification', { connection: redis.getClient() }),
-  calendarSync: new Queue('calendarSync', { connection: redis.getClient() })
+  calendarSync: new Queue('calendarSync', { connection: redis.getClient() }),
+  webhook: new Queue('webhook', { connection: redis.getClient() })
 };
 
 /**
@@ -0,0 +1,49 @@
+/**
+ * Webhook Queue Processor
+ *
+ * Processes jobs from the webhook queue to deliver outbound webhooks
+ *
+ * @author meetabl Team
+ */
+
+const { createWorker } = require('./index');
+const outboundWebhookService = require('../services/outbound-webhook.service');
+const logger = require('../config/logger');
+
+/**
+ * Process webhook delivery jobs
+ *
+ * @param {Object} job - The job containing the delivery ID
+ * @returns {Promise<void>} Promise that resolves when the webhook is delivered
+ */
+async function processWebhookDelivery(job) {
+  const { data } = job;
+  logger.info('Processing webhook job:', { id: job.id, deliveryId: data.deliveryId, attempt: job.attemptsMade + 1 });
+
+  try {
+    await outboundWebhookService.deliverWebhook(data.deliveryId);
+    logger.info('Webhook delivered successfully', { id: job.id });
+  } catch (error) {
+    logger.error('Error delivering webhook:', error);
+    throw error; // Will be retried by the queue with backoff
+  }
+}
+
+/**
+ * Start the webhook worker
+ * @returns {Worker} The webhook worker instance
+ */
+function startWorker() {
+  logger.info('Starting webhook queue worker');
+  return createWorker('webhook', processWebhookDelivery);
+}
+
+// Start the worker if this file is run directly
+if (require.main === module) {
+  startWorker();
+}
+
+module.exports = {
+  processWebhookDelivery,
+  startWorker
+};
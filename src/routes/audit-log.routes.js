@@ -0,0 +1,35 @@
+/**
+ * Audit log routes
+ *
+ * Defines routes for reading and exporting the audit trail
+ *
+ * @author meetabl Team
+ */
+
+const express = require('express');
+const { authenticateJWT } = require('../middlewares/auth');
+const { validateAuditLogQuery, validateAuditLogExport } = require('../middlewares/validation');
+const auditLogController = require('../controllers/audit-log.controller');
+const subscriptionService = require('../services/subscription.service');
+
+const router = express.Router();
+
+// All audit log routes require authentication and the audit logs feature
+router.use(authenticateJWT);
+router.use(subscriptionService.requireFeature('audit_logs'));
+
+/**
+ * @route GET /api/audit-logs
+ * @desc Get audit log entries of the current user and the members of teams they manage
+ * @access Private
+ */
+router.get('/', validateAuditLogQuery, auditLogController.getAuditLogs);
+
+/**
+ * @route GET /api/audit-logs/export
+ * @desc Export audit log entries as CSV or JSON
+ * @access Private
+ */
+router.get('/export', validateAuditLogExport, auditLogController.exportAuditLogs);
+
+module.exports = router;
@@ -7,7 +7,7 @@
  */
 
 const express = require('express');
-const { validateUserRegistration, validateUserLogin } = require('../middlewares/validation');
+const { validateUserRegistration, validateUserLogin, validateSsoAuthorize } = require('../middlewares/validation');
 const { authenticateJWT } = require('../middlewares/auth');
 const authController = require('../controllers/auth.controller');
 
@@ -187,4 +187,18 @@ router.post('/verify-email', authController.verifyEmail);
  */
 router.post('/verify-2fa', authController.verify2FA);
 
+/**
+ * @route POST /api/auth/sso/authorize
+ * @desc Start a single sign-on login for the email's domain
+ * @access Public
+ */
+router.post('/sso/authorize', validateSsoAuthorize, authController.ssoAuthorize);
+
+/**
+ * @route GET /api/auth/sso/callback
+ * @desc Finish a single sign-on login after the identity provider redirects back
+ * @access Public
+ */
+router.get('/sso/callback', authController.ssoCallback);
+
 module.exports = router;
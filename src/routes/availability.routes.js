@@ -1,14 +1,16 @@
 /**
  * Availability routes
  *
- * Defines routes for availability rule management
+ * Defines routes for availability rule and date override management
  *
  * @author meetabl Team
  */
 
 const express = require('express');
 const { authenticateJWT } = require('../middlewares/auth');
-const { validateUuid, validateAvailabilityRule, validateGetRequest } = require('../middlewares/validation');
+const {
+  validateUuid, validateAvailabilityRule, validateAvailabilityOverride, validateGetRequest
+} = require('../middlewares/validation');
 const availabilityController = require('../controllers/availability.controller');
 
 const router = express.Router();
@@ -51,6 +53,46 @@ router.put('/rules/:id', validateUuid, validateAvailabilityRule, availabilityCon
  */
 router.delete('/rules/:id', validateUuid, availabilityController.deleteAvailabilityRule);
 
+/**
+ * @route GET /api/availability/overrides
+ * @desc Get date overrides for current user (optional from/to date range)
+ * @access Private
+ */
+router.get('/overrides', availabilityController.getAvailabilityOverrides);
+
+/**
+ * @route POST /api/availability/overrides
+ * @desc Mark a date unavailable or replace its hours with custom windows
+ * @access Private
+ */
+router.post('/overrides', validateAvailabilityOverride, availabilityController.createAvailabilityOverride);
+
+/**
+ * @route GET /api/availability/overrides/:id
+ * @desc Get date override by ID
+ * @access Private
+ */
+router.get('/overrides/:id', validateUuid, availabilityController.getAvailabilityOverride);
+
+/**
+ * @route PUT /api/availability/overrides/:id
+ * @desc Update date override
+ * @access Private
+ */
+router.put(
+  '/overrides/:id',
+  validateUuid,
+  validateAvailabilityOverride,
+  availabilityController.updateAvailabilityOverride
+);
+
+/**
+ * @route DELETE /api/availability/overrides/:id
+ * @desc Delete date override
+ * @access Private
+ */
+router.delete('/overrides/:id', validateUuid, availabilityController.deleteAvailabilityOverride);
+
 /**
  * @route GET /api/availability/slots
  * @desc Get available time slots for a date
@@ -8,8 +8,16 @@
 
 const express = require('express');
 const { authenticateJWT } = require('../middlewares/auth');
-const { validateUuid, validateBooking, validateGetRequest } = require('../middlewares/validation');
+const {
+  validateUuid,
+  validateBooking,
+  validateGetRequest,
+  validateManagedCancel,
+  validateManagedReschedule,
+  validatePromoCodePreview
+} = require('../middlewares/validation');
 const bookingController = require('../controllers/booking.controller');
+const teamBookingController = require('../controllers/team-booking.controller');
 const subscriptionService = require('../services/subscription.service');
 
 const router = express.Router();
@@ -81,7 +89,7 @@ router.post('/my/bulk-cancel', bookingController.bulkCancelBookings);
 
 /**
  * @route GET /api/bookings/public/:username
- * @desc Get public booking availability for a user
+ * @desc Get public booking availability for a user, for one `date` or a `start`/`end` range
  * @access Public
  */
 router.get('/public/:username', bookingController.getPublicBookings);
@@ -93,6 +101,56 @@ router.get('/public/:username', bookingController.getPublicBookings);
  */
 router.post('/public/:username', validateBooking, bookingController.createPublicBooking);
 
+/**
+ * @route POST /api/bookings/public/:username/promo-code
+ * @desc Check a promo code for a paid event type and get the discounted price
+ * @access Public
+ */
+router.post(
+  '/public/:username/promo-code',
+  validatePromoCodePreview,
+  bookingController.previewPublicPromoCode
+);
+
+/**
+ * @route GET /api/bookings/public/manage/:token
+ * @desc Get a booking from an invitee's manage link
+ * @access Public
+ */
+router.get('/public/manage/:token', bookingController.getManagedBooking);
+
+/**
+ * @route POST /api/bookings/public/manage/:token/cancel
+ * @desc Cancel a booking from an invitee's manage link, with an optional reason
+ * @access Public
+ */
+router.post('/public/manage/:token/cancel', validateManagedCancel, bookingController.cancelManagedBooking);
+
+/**
+ * @route POST /api/bookings/public/manage/:token/reschedule
+ * @desc Move a booking to another open slot from an invitee's manage link
+ * @access Public
+ */
+router.post(
+  '/public/manage/:token/reschedule',
+  validateManagedReschedule,
+  bookingController.rescheduleManagedBooking
+);
+
+/**
+ * @route GET /api/bookings/public/team/:teamSlug
+ * @desc Get availability for a team event type, or list the team's event types
+ * @access Public
+ */
+router.get('/public/team/:teamSlug', teamBookingController.getPublicTeamAvailability);
+
+/**
+ * @route POST /api/bookings/public/team/:teamSlug
+ * @desc Create public booking for a team event type
+ * @access Public
+ */
+router.post('/public/team/:teamSlug', validateBooking, teamBookingController.createPublicTeamBooking);
+
 /**
  * @route GET /api/bookings/confirm/:token
  * @desc Confirm a booking request
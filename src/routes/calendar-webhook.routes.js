@@ -0,0 +1,28 @@
+/**
+ * Calendar webhook routes
+ *
+ * Receives change notifications from Google Calendar and Microsoft Graph
+ *
+ * @author meetabl Team
+ */
+
+const express = require('express');
+const calendarController = require('../controllers/calendar.controller');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/calendar/webhooks/google
+ * @desc Handle Google Calendar push notifications
+ * @access Public (with channel token verification)
+ */
+router.post('/google', calendarController.handleGoogleNotification);
+
+/**
+ * @route POST /api/calendar/webhooks/microsoft
+ * @desc Handle Microsoft Graph change notifications and subscription validation
+ * @access Public (with client state verification)
+ */
+router.post('/microsoft', calendarController.handleMicrosoftNotification);
+
+module.exports = router;
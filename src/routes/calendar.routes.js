@@ -9,12 +9,16 @@
 const express = require('express');
 const { authenticateJWT } = require('../middlewares/auth');
 const { requireIntegrations, checkCalendarLimit } = require('../middlewares/subscription');
+const { validateCaldavConnection, validateCalendarSelection } = require('../middlewares/validation');
 const calendarController = require('../controllers/calendar.controller');
 
 const router = express.Router();
 
 // Apply authentication middleware to protected routes
-router.use(['/status', '/disconnect', '/google/auth', '/microsoft/auth'], authenticateJWT);
+router.use(
+  ['/status', '/connections', '/disconnect', '/google/auth', '/microsoft/auth', '/caldav/connect'],
+  authenticateJWT
+);
 
 /**
  * @route GET /api/calendar/status
@@ -23,6 +27,24 @@ router.use(['/status', '/disconnect', '/google/auth', '/microsoft/auth'], authen
  */
 router.get('/status', calendarController.getCalendarStatus);
 
+/**
+ * @route GET /api/calendar/connections/:tokenId/calendars
+ * @desc List the calendars of a connection and which are selected
+ * @access Private
+ */
+router.get('/connections/:tokenId/calendars', calendarController.getConnectionCalendars);
+
+/**
+ * @route PUT /api/calendar/connections/:tokenId/calendars
+ * @desc Choose the conflict calendars and destination calendar of a connection
+ * @access Private
+ */
+router.put(
+  '/connections/:tokenId/calendars',
+  validateCalendarSelection,
+  calendarController.updateConnectionCalendars
+);
+
 /**
  * @route DELETE /api/calendar/disconnect/token/:tokenId
  * @desc Disconnect calendar integration by token ID
@@ -79,4 +101,17 @@ router.get('/microsoft/auth', requireIntegrations, checkCalendarLimit, calendarC
  */
 router.get('/microsoft/callback', calendarController.handleMicrosoftCallback);
 
+/**
+ * @route POST /api/calendar/caldav/connect
+ * @desc Connect a CalDAV calendar (iCloud, Fastmail, Nextcloud) with an app-specific password
+ * @access Private (Requires integration access and calendar limit check)
+ */
+router.post(
+  '/caldav/connect',
+  requireIntegrations,
+  checkCalendarLimit,
+  validateCaldavConnection,
+  calendarController.connectCaldav
+);
+
 module.exports = router;
@@ -61,9 +61,41 @@ const createValidation = [
   body('reminder_minutes')
     .optional()
     .isInt({ min: 0, max: 10080 }).withMessage('Reminder minutes must be between 0 and 7 days'),
+  body(['maxBookingsPerDay', 'max_bookings_per_day'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Max bookings per day must be a positive integer'),
+  body(['maxBookingsPerWeek', 'max_bookings_per_week'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Max bookings per week must be a positive integer'),
+  body(['cancellationCutoff', 'cancellation_cutoff'])
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 43200 }).withMessage('Cancellation cutoff must be between 0 and 30 days'),
+  body(['rescheduleCutoff', 'reschedule_cutoff'])
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 43200 }).withMessage('Reschedule cutoff must be between 0 and 30 days'),
   body('questions')
     .optional()
     .isArray().withMessage('Questions must be an array'),
+  body('price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0.5 }).withMessage('Price must be at least 0.50'),
+  body('currency')
+    .optional()
+    .toUpperCase()
+    .isISO4217().withMessage('Currency must be an ISO 4217 currency code'),
+  body(['depositAmount', 'deposit_amount'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0.5 }).withMessage('Deposit amount must be at least 0.50'),
+  body('reminders')
+    .optional({ nullable: true })
+    .isArray({ max: 5 }).withMessage('Reminders must be an array of at most 5 reminders'),
+  body(['destinationCalendarTokenId', 'destination_calendar_token_id'])
+    .optional({ nullable: true })
+    .isUUID().withMessage('Destination calendar connection must be a valid ID'),
+  body(['destinationCalendarId', 'destination_calendar_id'])
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1024 }).withMessage('Destination calendar ID must be less than 1024 characters'),
   body('isActive')
     .optional()
     .isBoolean().withMessage('Is active must be a boolean')
@@ -12,12 +12,15 @@ const {
   validatePayment, 
   validateRefund, 
   validatePricingRule,
+  validatePromoCode,
+  validatePromoCodeUpdate,
   validateUuid,
   validateGetRequest 
 } = require('../middlewares/validation');
 const paymentController = require('../controllers/payment.controller');
 const pricingRuleController = require('../controllers/pricing-rule.controller');
 const invoiceController = require('../controllers/invoice.controller');
+const promoCodeController = require('../controllers/promo-code.controller');
 
 const router = express.Router();
 
@@ -83,6 +86,35 @@ router.put('/pricing-rules/:id', [validateUuid, validatePricingRule], pricingRul
  */
 router.delete('/pricing-rules/:id', validateUuid, pricingRuleController.deletePricingRule);
 
+// Promo code routes
+/**
+ * @route GET /api/payments/promo-codes
+ * @desc Get all promo codes for current user
+ * @access Private
+ */
+router.get('/promo-codes', promoCodeController.getPromoCodes);
+
+/**
+ * @route POST /api/payments/promo-codes
+ * @desc Create a promo code for paid bookings
+ * @access Private
+ */
+router.post('/promo-codes', validatePromoCode, promoCodeController.createPromoCode);
+
+/**
+ * @route PUT /api/payments/promo-codes/:id
+ * @desc Update a promo code
+ * @access Private
+ */
+router.put('/promo-codes/:id', validatePromoCodeUpdate, promoCodeController.updatePromoCode);
+
+/**
+ * @route DELETE /api/payments/promo-codes/:id
+ * @desc Delete a promo code
+ * @access Private
+ */
+router.delete('/promo-codes/:id', validateUuid, promoCodeController.deletePromoCode);
+
 // Invoice routes
 /**
  * @route GET /api/payments/invoices
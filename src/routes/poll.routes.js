@@ -120,7 +120,12 @@ const submitVotesValidation = [
 const finalizePollValidation = [
   body('selectedTimeSlotId')
     .isUUID()
-    .withMessage('Selected time slot ID must be a valid UUID')
+    .withMessage('Selected time slot ID must be a valid UUID'),
+  body('createBooking')
+    .optional()
+    .isBoolean()
+    .withMessage('Create booking must be a boolean')
+    .toBoolean()
 ];
 
 const pollIdValidation = [
@@ -404,6 +409,9 @@ router.put('/:pollId',
  *               selectedTimeSlotId:
  *                 type: string
  *                 format: uuid
+ *               createBooking:
+ *                 type: boolean
+ *                 description: Also book the selected slot with every voter invited
  *     responses:
  *       200:
  *         description: Poll finalized successfully
@@ -411,6 +419,8 @@ router.put('/:pollId',
  *         description: Invalid input data
  *       404:
  *         description: Poll not found
+ *       409:
+ *         description: Selected time conflicts with an existing booking
  *       403:
  *         description: Professional plan required
  */
@@ -10,6 +10,7 @@
 const router = require('express').Router();
 const { authenticateJWT } = require('../middlewares/auth');
 const { createLogger } = require('../config/logger');
+const pushService = require('../services/push.service');
 
 const logger = createLogger('pwa-routes');
 
@@ -29,20 +30,33 @@ router.post('/subscribe', authenticateJWT, async (req, res) => {
       });
     }
     
-    // Store subscription in database
-    // This would typically save to a PushSubscription model
-    logger.info('Push notification subscription received', {
+    await pushService.saveSubscription(userId, subscription, req.get('User-Agent'));
+
+    logger.info('Push notification subscription saved', {
       userId,
       endpoint: subscription.endpoint.substring(0, 50) + '...' // Truncate for privacy
     });
     
-    // For now, just acknowledge the subscription
     res.json({
       success: true,
       message: 'Push notification subscription saved'
     });
     
   } catch (error) {
+    if (error.statusCode === 400 || error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.statusCode === 400 ? error.message : 'Invalid subscription data'
+      });
+    }
+
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     logger.error('Error saving push subscription', { 
       error: error.message,
       userId: req.user ? req.user.id : undefined
@@ -70,9 +84,12 @@ router.delete('/unsubscribe', authenticateJWT, async (req, res) => {
       });
     }
     
-    // Remove subscription from database
-    logger.info('Push notification unsubscription received', {
+    // Unsubscribing is idempotent, since expired subscriptions may already be pruned
+    const removed = await pushService.removeSubscription(userId, endpoint);
+
+    logger.info('Push notification subscription removed', {
       userId,
+      removed,
       endpoint: endpoint.substring(0, 50) + '...'
     });
     
@@ -213,7 +230,8 @@ router.get('/status', async (req, res) => {
     const status = {
       pwaEnabled: true,
       serviceWorkerEnabled: process.env.PWA_ENABLE_SW !== 'false',
-      pushNotificationsEnabled: process.env.PWA_ENABLE_PUSH === 'true',
+      pushNotificationsEnabled: process.env.PWA_ENABLE_PUSH === 'true' && pushService.isConfigured(),
+      vapidPublicKey: process.env.VAPID_PUBLIC_KEY || null,
       offlineSupport: true,
       backgroundSync: true,
       capabilities: {
@@ -268,17 +286,19 @@ if (process.env.NODE_ENV !== 'production') {
         timestamp: new Date().toISOString()
       };
       
-      // In a real implementation, this would send the notification
-      // via a push service like FCM or similar
-      logger.info('Test notification created', {
+      const delivery = await pushService.sendToUser(userId, notification);
+
+      logger.info('Test notification sent', {
         userId,
-        notification
+        notification,
+        delivery
       });
       
       res.json({
         success: true,
-        message: 'Test notification created',
-        notification
+        message: 'Test notification sent',
+        notification,
+        delivery
       });
       
     } catch (error) {
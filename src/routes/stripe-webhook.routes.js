@@ -183,7 +183,8 @@ router.get('/status', async (req, res) => {
         'payment_method.attached',
         'payment_method.detached',
         'setup_intent.succeeded',
-        'checkout.session.completed'
+        'checkout.session.completed',
+        'payment_intent.succeeded'
       ]
     };
 
@@ -12,14 +12,24 @@ const {
   validateGetRequest,
   validateUuid,
   validateTeam,
+  validateTeamEventType,
+  validateEventTypeIdParam,
   validateTeamMember,
-  validateUserIdParam
+  validateUserIdParam,
+  validateSsoConnection
 } = require('../middlewares/validation');
 const teamController = require('../controllers/team.controller');
 const subscriptionService = require('../services/subscription.service');
 
 const router = express.Router();
 
+/**
+ * @route GET /api/teams/calendars/feed/:token.ics
+ * @desc Subscribable ICS feed of a team's shared calendar
+ * @access Public (feed token)
+ */
+router.get('/calendars/feed/:token.ics', teamController.getSharedCalendarFeed);
+
 // All team routes require authentication and teams feature
 router.use(authenticateJWT);
 router.use(subscriptionService.requireFeature('teams'));
@@ -88,11 +98,85 @@ router.post('/:id/members',
  */
 router.delete('/:id/members/:userId', validateUuid, validateUserIdParam, teamController.removeTeamMember);
 
+/**
+ * @route GET /api/teams/:id/event-types
+ * @desc Get team event types
+ * @access Private
+ */
+router.get('/:id/event-types', validateUuid, teamController.getTeamEventTypes);
+
+/**
+ * @route POST /api/teams/:id/event-types
+ * @desc Create a round-robin or collective team event type
+ * @access Private
+ */
+router.post('/:id/event-types', validateUuid, validateTeamEventType, teamController.createTeamEventType);
+
+/**
+ * @route PUT /api/teams/:id/event-types/:eventTypeId
+ * @desc Update team event type and its hosts
+ * @access Private
+ */
+router.put(
+  '/:id/event-types/:eventTypeId',
+  validateUuid,
+  validateEventTypeIdParam,
+  validateTeamEventType,
+  teamController.updateTeamEventType
+);
+
+/**
+ * @route DELETE /api/teams/:id/event-types/:eventTypeId
+ * @desc Delete team event type
+ * @access Private
+ */
+router.delete(
+  '/:id/event-types/:eventTypeId',
+  validateUuid,
+  validateEventTypeIdParam,
+  teamController.deleteTeamEventType
+);
+
 /**
  * @route POST /api/teams/:id/calendars
- * @desc Create shared calendar
+ * @desc Get the team's shared calendar and the caller's ICS feed URL
  * @access Private
  */
 router.post('/:id/calendars', validateUuid, teamController.createSharedCalendar);
 
+/**
+ * @route DELETE /api/teams/:id/calendars/feed
+ * @desc Revoke the caller's shared calendar feed
+ * @access Private
+ */
+router.delete('/:id/calendars/feed', validateUuid, teamController.revokeSharedCalendarFeed);
+
+/**
+ * @route GET /api/teams/:id/sso
+ * @desc Get the team's single sign-on connection
+ * @access Private (team owner or admin)
+ */
+router.get('/:id/sso', validateUuid, teamController.getSsoConnection);
+
+/**
+ * @route PUT /api/teams/:id/sso
+ * @desc Set up or change the team's single sign-on connection
+ * @access Private (team owner, sso feature)
+ */
+router.put('/:id/sso', validateSsoConnection, teamController.saveSsoConnection);
+
+/**
+ * @route POST /api/teams/:id/sso/domains/:domain/verify
+ * @desc Verify an email domain of the team's single sign-on connection
+ * @access Private (team owner)
+ */
+router.post('/:id/sso/domains/:domain/verify', validateUuid, teamController.verifySsoDomain);
+
+/**
+ * @route DELETE /api/teams/:id/sso
+ * @desc Remove the team's single sign-on connection
+ * @access Private (team owner)
+ */
+router.delete('/:id/sso', validateUuid, teamController.deleteSsoConnection);
+
 module.exports = router;
@@ -8,8 +8,10 @@
 
 const express = require('express');
 const { authenticateJWT } = require('../middlewares/auth');
-const { validateUserSettings } = require('../middlewares/validation');
+const { validateUserSettings, validateApiKey, validateUuid } = require('../middlewares/validation');
 const userController = require('../controllers/user.controller');
+const apiKeyController = require('../controllers/api-key.controller');
+const subscriptionService = require('../services/subscription.service');
 
 const router = express.Router();
 
@@ -166,4 +168,30 @@ router.post('/me/avatar',
  */
 router.delete('/me/avatar', userController.deleteAvatar);
 
+/**
+ * @route GET /api/users/me/api-keys
+ * @desc List personal API keys
+ * @access Private
+ */
+router.get('/me/api-keys', apiKeyController.getApiKeys);
+
+/**
+ * @route POST /api/users/me/api-keys
+ * @desc Create a personal API key (the key is only returned once)
+ * @access Private (enterprise plan)
+ */
+router.post(
+  '/me/api-keys',
+  subscriptionService.requireFeature('api_access'),
+  validateApiKey,
+  apiKeyController.createApiKey
+);
+
+/**
+ * @route DELETE /api/users/me/api-keys/:id
+ * @desc Revoke a personal API key
+ * @access Private
+ */
+router.delete('/me/api-keys/:id', validateUuid, apiKeyController.revokeApiKey);
+
 module.exports = router;
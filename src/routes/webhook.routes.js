@@ -0,0 +1,73 @@
+/**
+ * Webhook routes
+ *
+ * Defines routes for managing outbound webhook endpoints
+ *
+ * @author meetabl Team
+ */
+
+const express = require('express');
+const { authenticateJWT } = require('../middlewares/auth');
+const {
+  validateUuid,
+  validateWebhookEndpoint,
+  validateWebhookEndpointUpdate,
+  validateWebhookDelivery
+} = require('../middlewares/validation');
+const webhookController = require('../controllers/webhook.controller');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+
+/**
+ * @route GET /api/webhooks
+ * @desc Get webhook endpoints for current user
+ * @access Private
+ */
+router.get('/', webhookController.getEndpoints);
+
+/**
+ * @route POST /api/webhooks
+ * @desc Register a webhook endpoint
+ * @access Private
+ */
+router.post('/', validateWebhookEndpoint, webhookController.createEndpoint);
+
+/**
+ * @route PUT /api/webhooks/:id
+ * @desc Update a webhook endpoint
+ * @access Private
+ */
+router.put('/:id', validateWebhookEndpointUpdate, webhookController.updateEndpoint);
+
+/**
+ * @route DELETE /api/webhooks/:id
+ * @desc Delete a webhook endpoint and its delivery log
+ * @access Private
+ */
+router.delete('/:id', validateUuid, webhookController.deleteEndpoint);
+
+/**
+ * @route POST /api/webhooks/:id/rotate-secret
+ * @desc Replace a webhook endpoint's signing secret
+ * @access Private
+ */
+router.post('/:id/rotate-secret', validateUuid, webhookController.rotateSecret);
+
+/**
+ * @route GET /api/webhooks/:id/deliveries
+ * @desc Get the delivery log of a webhook endpoint
+ * @access Private
+ */
+router.get('/:id/deliveries', validateUuid, webhookController.getDeliveries);
+
+/**
+ * @route POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc Send a logged delivery again
+ * @access Private
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', validateWebhookDelivery, webhookController.redeliver);
+
+module.exports = router;
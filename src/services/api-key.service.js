@@ -0,0 +1,253 @@
+/**
+ * API key service
+ *
+ * Manages long-lived personal API keys, which let scripts and internal
+ * tooling call the API on a user's behalf without a password or JWT.
+ * Keys are shown once at creation and stored only as SHA-256 hashes.
+ *
+ * @author meetabl Team
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const { ApiKey, User, AuditLog } = require('../models');
+const { generateSecureToken } = require('../utils/crypto');
+
+const API_KEY_PREFIX = 'mbl_';
+
+// Length of the key start kept in clear so users can tell keys apart
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+const DEFAULT_RATE_LIMIT = 60;
+
+// lastUsedAt is refreshed at most this often, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// API paths keys can reach, by the resource their scopes are named after.
+// Everything else (account, keys, payments, ...) needs a signed-in session.
+const SCOPE_RESOURCES = {
+  '/api/bookings': 'bookings',
+  '/api/availability': 'availability',
+  '/api/event-types': 'event_types',
+  '/api/polls': 'polls',
+  '/api/teams': 'teams',
+  '/api/webhooks': 'webhooks',
+  '/api/analytics': 'analytics'
+};
+
+// Paths under a scoped resource that still need a signed-in session,
+// because they control how users sign in
+const SESSION_ONLY_PATHS = [
+  /^\/api\/teams\/[^/]+\/sso(\/|$)/
+];
+
+const SCOPES = [
+  'bookings:read',
+  'bookings:write',
+  'availability:read',
+  'availability:write',
+  'event_types:read',
+  'event_types:write',
+  'polls:read',
+  'polls:write',
+  'teams:read',
+  'teams:write',
+  'webhooks:read',
+  'webhooks:write',
+  'analytics:read'
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Check whether a bearer token is an API key rather than a JWT
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for API keys
+ */
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Get the scope a request needs when made with an API key
+ * @param {string} method - HTTP method
+ * @param {string} url - Original request URL
+ * @returns {string|null} Scope, or null if API keys may not call the endpoint
+ */
+const getRequiredScope = (method, url) => {
+  const [pathname] = url.split('?');
+  const base = Object.keys(SCOPE_RESOURCES).find(
+    (prefix) => pathname === prefix || pathname.startsWith(`${prefix}/`)
+  );
+
+  if (!base || SESSION_ONLY_PATHS.some((pattern) => pattern.test(pathname))) {
+    return null;
+  }
+
+  const access = READ_METHODS.includes(method.toUpperCase()) ? 'read' : 'write';
+  const scope = `${SCOPE_RESOURCES[base]}:${access}`;
+
+  return SCOPES.includes(scope) ? scope : null;
+};
+
+/**
+ * Shape an API key for API responses, without its hash
+ * @param {Object} apiKey - ApiKey instance
+ * @returns {Object} API key data
+ */
+const serializeApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  key_prefix: apiKey.keyPrefix,
+  scopes: apiKey.scopes,
+  rate_limit: apiKey.rateLimit,
+  last_used_at: apiKey.lastUsedAt,
+  expires_at: apiKey.expiresAt,
+  created_at: apiKey.createdAt
+});
+
+/**
+ * Build a validation error for a request field
+ * @param {string} field - Field name
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const invalidField = (field, message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.field = field;
+  return error;
+};
+
+/**
+ * List a user's API keys
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Serialized API keys, newest first
+ */
+const listApiKeys = async (userId) => {
+  const apiKeys = await ApiKey.findAll({
+    where: { userId },
+    order: [['created_at', 'DESC']]
+  });
+
+  return apiKeys.map(serializeApiKey);
+};
+
+/**
+ * Create an API key
+ * @param {string} userId - User ID
+ * @param {Object} params - Key settings
+ * @param {string} params.name - Label for the key
+ * @param {Array<string>} params.scopes - Granted scopes
+ * @param {number} [params.rateLimit] - Requests per minute
+ * @param {string|Date} [params.expiresAt] - Expiry instant
+ * @param {Date} [now] - Reference instant
+ * @returns {Promise<{apiKey: Object, key: string}>} Serialized key and the
+ *   plaintext key, which is not retrievable afterwards
+ */
+const createApiKey = async (userId, {
+  name, scopes, rateLimit, expiresAt
+}, now = new Date()) => {
+  const unknownScopes = scopes.filter((scope) => !SCOPES.includes(scope));
+
+  if (unknownScopes.length > 0) {
+    throw invalidField('scopes', `Unknown scopes: ${unknownScopes.join(', ')}`);
+  }
+
+  if (expiresAt && new Date(expiresAt) <= now) {
+    throw invalidField('expires_at', 'Expiry must be in the future');
+  }
+
+  const key = `${API_KEY_PREFIX}${generateSecureToken(24)}`;
+
+  const apiKey = await ApiKey.create({
+    userId,
+    name,
+    keyPrefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashApiKey(key),
+    scopes: [...new Set(scopes)],
+    rateLimit: rateLimit || DEFAULT_RATE_LIMIT,
+    expiresAt: expiresAt ? new Date(expiresAt) : null
+  });
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'api_key.create',
+    metadata: { apiKeyId: apiKey.id, name, scopes: apiKey.scopes }
+  });
+
+  logger.info(`API key ${apiKey.id} created for user ${userId}`);
+  return { apiKey: serializeApiKey(apiKey), key };
+};
+
+/**
+ * Revoke an API key by deleting it
+ * @param {string} userId - User ID
+ * @param {string} apiKeyId - API key ID
+ * @returns {Promise<void>}
+ */
+const revokeApiKey = async (userId, apiKeyId) => {
+  const apiKey = await ApiKey.findOne({ where: { id: apiKeyId, userId } });
+
+  if (!apiKey) {
+    const error = new Error('API key not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await apiKey.destroy();
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'api_key.revoke',
+    metadata: { apiKeyId, name: apiKey.name }
+  });
+
+  logger.info(`API key ${apiKeyId} revoked for user ${userId}`);
+};
+
+/**
+ * Look up the API key behind a bearer token and record its use
+ * @param {string} key - Plaintext API key
+ * @param {Date} [now] - Reference instant
+ * @returns {Promise<Object|null>} ApiKey with its user, or null if the key
+ *   is unknown or expired
+ */
+const verifyApiKey = async (key, now = new Date()) => {
+  const apiKey = await ApiKey.findOne({
+    where: { keyHash: hashApiKey(key) },
+    include: [{ model: User, as: 'user' }]
+  });
+
+  if (!apiKey || !apiKey.user) {
+    return null;
+  }
+
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= now) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+    await apiKey.update({ lastUsedAt: now });
+  }
+
+  return apiKey;
+};
+
+module.exports = {
+  SCOPES,
+  isApiKey,
+  getRequiredScope,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  verifyApiKey
+};
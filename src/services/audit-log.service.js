@@ -0,0 +1,335 @@
+/**
+ * Audit log service
+ *
+ * Reads the audit trail for users and the team admins looking after
+ * them. Entries are listed newest first with cursor pagination, and
+ * sensitive metadata is redacted before anything leaves the service.
+ *
+ * @author meetabl Team
+ */
+
+const { Op } = require('sequelize');
+const { Parser } = require('json2csv');
+const {
+  AuditLog, Team, TeamMember, User
+} = require('../models');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const EXPORT_LIMIT = 10000;
+const REDACTED = '[REDACTED]';
+
+// Metadata keys are compared lowercased with separators removed
+const SENSITIVE_KEY_PARTS = [
+  'token', 'secret', 'password', 'apikey', 'authorization', 'cookie',
+  'signature', 'privatekey', 'codeverifier', 'backupcode', 'otp'
+];
+
+// Values that are credentials whatever key they are stored under: JWTs,
+// Stripe secret and restricted keys, and webhook signing secrets
+const SENSITIVE_VALUE_PATTERNS = [
+  /^eyJ[\w-]+\.[\w-]+\.[\w-]*$/,
+  /^(sk|rk)_(live|test)_/,
+  /^whsec_/
+];
+
+const CSV_FIELDS = ['id', 'created_at', 'action', 'actor_id', 'actor_email', 'actor_name', 'metadata'];
+
+/**
+ * Build an audit log error
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {string} [field] - Request field a validation error is about
+ * @returns {Error} Error with statusCode
+ */
+const auditLogError = (message, statusCode, field) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (field) {
+    error.field = field;
+  }
+  return error;
+};
+
+/**
+ * Check whether a metadata key names a credential
+ * @param {string} key - Metadata key
+ * @returns {boolean} Whether its value must be redacted
+ */
+const isSensitiveKey = (key) => {
+  const normalized = String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return SENSITIVE_KEY_PARTS.some((part) => normalized.includes(part));
+};
+
+/**
+ * Redact credentials from audit log metadata
+ *
+ * Walks nested objects and arrays; counts such as remaining backup codes
+ * are numbers and kept.
+ *
+ * @param {*} value - Metadata or a value inside it
+ * @param {string} [key] - Key the value is stored under
+ * @returns {*} Redacted copy
+ */
+const redactMetadata = (value, key) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (key !== undefined && isSensitiveKey(key) && typeof value !== 'number' && typeof value !== 'boolean') {
+    return REDACTED;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redactMetadata(item));
+  }
+
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value)
+      .map(([entryKey, entryValue]) => [entryKey, redactMetadata(entryValue, entryKey)]));
+  }
+
+  if (typeof value === 'string' && SENSITIVE_VALUE_PATTERNS.some((pattern) => pattern.test(value))) {
+    return REDACTED;
+  }
+
+  return value;
+};
+
+/**
+ * Get the teams a user can read the audit trail of
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Teams the user owns or administers
+ */
+const getManagedTeams = async (userId) => {
+  const adminships = await TeamMember.findAll({
+    where: { user_id: userId, role: 'admin' },
+    attributes: ['team_id']
+  });
+
+  return Team.findAll({
+    where: {
+      [Op.or]: [
+        { owner_id: userId },
+        { id: adminships.map((membership) => membership.team_id) }
+      ]
+    },
+    attributes: ['id', 'owner_id']
+  });
+};
+
+/**
+ * Get the users whose entries a user can read
+ *
+ * Everyone can read their own entries. Team owners and admins can also
+ * read the entries of their teams' members.
+ *
+ * @param {string} userId - User ID
+ * @param {string} [teamId] - Only this team's members
+ * @returns {Promise<Array<string>>} User IDs
+ */
+const getVisibleUserIds = async (userId, teamId) => {
+  const teams = await getManagedTeams(userId);
+  const scoped = teamId ? teams.filter((team) => team.id === teamId) : teams;
+
+  if (teamId && scoped.length === 0) {
+    throw auditLogError('Access denied', 403);
+  }
+
+  const members = scoped.length > 0
+    ? await TeamMember.findAll({
+      where: { team_id: scoped.map((team) => team.id) },
+      attributes: ['user_id']
+    })
+    : [];
+
+  return [...new Set([
+    ...(teamId ? [] : [userId]),
+    ...scoped.map((team) => team.owner_id),
+    ...members.map((member) => member.user_id)
+  ])];
+};
+
+/**
+ * Encode the position after an entry as a cursor
+ * @param {Object} entry - AuditLog instance
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (entry) => Buffer
+  .from(JSON.stringify({ created: new Date(entry.created).toISOString(), id: entry.id }))
+  .toString('base64url');
+
+/**
+ * Decode a cursor from a previous page
+ * @param {string} cursor - Opaque cursor
+ * @returns {{created: Date, id: string}} Position after the last entry returned
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { created, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(created);
+
+    if (!id || Number.isNaN(date.getTime())) {
+      throw new Error('Incomplete cursor');
+    }
+
+    return { created: date, id: String(id) };
+  } catch (error) {
+    throw auditLogError('Cursor is not valid', 400, 'cursor');
+  }
+};
+
+/**
+ * Build the query conditions for audit log filters
+ *
+ * An action ending in `.*` matches every action with that prefix, such
+ * as `booking.*`.
+ *
+ * @param {string} userId - User reading the entries
+ * @param {Object} filters - Filters
+ * @param {string} [filters.action] - Action, or prefix ending in `.*`
+ * @param {string} [filters.actorId] - Only entries by this user
+ * @param {string} [filters.teamId] - Only entries by this team's members
+ * @param {Date|string} [filters.from] - Earliest entry time
+ * @param {Date|string} [filters.to] - Latest entry time
+ * @returns {Promise<Object>} Where clause
+ */
+const buildWhere = async (userId, {
+  action, actorId, teamId, from, to
+}) => {
+  const visibleUserIds = await getVisibleUserIds(userId, teamId);
+
+  if (actorId && !visibleUserIds.includes(actorId)) {
+    throw auditLogError('Access denied', 403);
+  }
+
+  const where = { userId: actorId || visibleUserIds };
+
+  if (action) {
+    where.action = action.endsWith('.*')
+      ? { [Op.like]: `${action.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%` }
+      : action;
+  }
+
+  if (from || to) {
+    if (from && to && new Date(from) > new Date(to)) {
+      throw auditLogError('From must not be after to', 400, 'from');
+    }
+
+    where.created = {
+      ...(from ? { [Op.gte]: new Date(from) } : {}),
+      ...(to ? { [Op.lte]: new Date(to) } : {})
+    };
+  }
+
+  return where;
+};
+
+/**
+ * Shape an entry for API responses
+ * @param {Object} entry - AuditLog instance, with its user
+ * @returns {Object} Entry data with redacted metadata
+ */
+const serializeEntry = (entry) => ({
+  id: entry.id,
+  action: entry.action,
+  actor: entry.user ? {
+    id: entry.user.id,
+    name: `${entry.user.firstName} ${entry.user.lastName}`,
+    email: entry.user.email
+  } : { id: entry.userId, name: null, email: null },
+  metadata: redactMetadata(entry.metadata || {}),
+  created_at: entry.created
+});
+
+/**
+ * Find entries newest first
+ * @param {Object} where - Where clause
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array<Object>>} AuditLog instances
+ */
+const findEntries = (where, limit) => AuditLog.findAll({
+  where,
+  include: [{
+    model: User,
+    as: 'user',
+    attributes: ['id', 'firstName', 'lastName', 'email']
+  }],
+  order: [['created', 'DESC'], ['id', 'DESC']],
+  limit
+});
+
+/**
+ * List audit log entries a user can read
+ * @param {string} userId - User reading the entries
+ * @param {Object} [options] - Filters and pagination, see buildWhere
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<{entries: Array<Object>, nextCursor: string|null}>} Page of entries
+ */
+const listAuditLogs = async (userId, { cursor, limit = DEFAULT_PAGE_SIZE, ...filters } = {}) => {
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const where = await buildWhere(userId, filters);
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    where[Op.and] = [{
+      [Op.or]: [
+        { created: { [Op.lt]: position.created } },
+        { created: position.created, id: { [Op.lt]: position.id } }
+      ]
+    }];
+  }
+
+  const rows = await findEntries(where, pageSize + 1);
+  const page = rows.slice(0, pageSize);
+
+  return {
+    entries: page.map(serializeEntry),
+    nextCursor: rows.length > pageSize ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+/**
+ * Export audit log entries a user can read
+ *
+ * Exports hold at most the newest 10,000 matching entries; narrower
+ * filters reach older ones.
+ *
+ * @param {string} userId - User reading the entries
+ * @param {Object} filters - Filters, see buildWhere
+ * @param {string} [format] - 'csv' or 'json'
+ * @returns {Promise<{content: string, count: number, truncated: boolean}>} Export
+ */
+const exportAuditLogs = async (userId, filters, format = 'csv') => {
+  const where = await buildWhere(userId, filters);
+  const rows = await findEntries(where, EXPORT_LIMIT + 1);
+  const entries = rows.slice(0, EXPORT_LIMIT).map(serializeEntry);
+
+  const content = format === 'json'
+    ? JSON.stringify(entries, null, 2)
+    : new Parser({ fields: CSV_FIELDS }).parse(entries.map((entry) => ({
+      id: entry.id,
+      created_at: new Date(entry.created_at).toISOString(),
+      action: entry.action,
+      actor_id: entry.actor.id,
+      actor_email: entry.actor.email,
+      actor_name: entry.actor.name,
+      metadata: JSON.stringify(entry.metadata)
+    })));
+
+  return {
+    content,
+    count: entries.length,
+    truncated: rows.length > EXPORT_LIMIT
+  };
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  EXPORT_LIMIT,
+  redactMetadata,
+  getVisibleUserIds,
+  listAuditLogs,
+  exportAuditLogs
+};
@@ -0,0 +1,1044 @@
+/**
+ * Availability service
+ *
+ * Timezone-aware slot generation from a host's weekly availability rules
+ * and date-specific overrides.
+ * Rule times are wall-clock times in the host's IANA timezone; all slots
+ * are computed and returned as UTC instants. External calendar busy times
+ * are cached briefly in Redis per user and day.
+ *
+ * @author meetabl Team
+ */
+
+const {
+  addDays, addMinutes, isBefore, isAfter, isEqual
+} = require('date-fns');
+const { getTimezoneOffset, formatInTimeZone } = require('date-fns-tz');
+const { Op } = require('sequelize');
+const logger = require('../config/logger');
+const redis = require('../redis');
+const { AvailabilityRule, AvailabilityOverride, Booking } = require('../models');
+const calendarService = require('./calendar.service');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_FORMAT = "yyyy-MM-dd'T'HH:mm:ssXXX";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUSY_CACHE_PREFIX = 'meetabl:busy:';
+const BUSY_CACHE_TTL_SECONDS = parseInt(process.env.CALENDAR_BUSY_CACHE_TTL, 10) || 300;
+const DEFAULT_MINIMUM_NOTICE_MINUTES = 120;
+const MAX_RANGE_DAYS = 42;
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} timezone - Timezone name, e.g. "Europe/Berlin"
+ * @returns {boolean} True if the runtime recognises the timezone
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} date - Date string
+ * @returns {boolean} True if valid
+ */
+const isValidDateString = (date) => {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+    return false;
+  }
+
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+/**
+ * Add days to a YYYY-MM-DD date string without touching any timezone
+ * @param {string} date - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date string
+ */
+const shiftDateString = (date, days) => addDays(new Date(`${date}T00:00:00Z`), days)
+  .toISOString()
+  .substring(0, 10);
+
+/**
+ * Get the day of week (0 = Sunday) of a calendar date string
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {number} Day of week
+ */
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {Date} instant - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+const getDateInTimezone = (instant, timezone) => formatInTimeZone(instant, timezone, 'yyyy-MM-dd');
+
+/**
+ * Get today's calendar date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now] - Reference instant
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+const getTodayInTimezone = (timezone, now = new Date()) => getDateInTimezone(now, timezone);
+
+/**
+ * Convert a wall-clock time on a date in a timezone to a UTC instant
+ *
+ * DST handling follows the usual calendar convention: a wall time that is
+ * skipped by a spring-forward transition is pushed forward by the length of
+ * the gap (02:30 becomes 03:30), and a wall time that occurs twice during a
+ * fall-back transition resolves to its first occurrence.
+ *
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} time - Time string (HH:mm or HH:mm:ss)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} UTC instant
+ */
+const zonedTimeToUtc = (date, time, timezone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours = 0, minutes = 0, seconds = 0] = String(time).split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  // Offsets either side of any transition that could affect this wall time
+  const offsetBefore = getTimezoneOffset(timezone, new Date(wallClock - DAY_MS));
+  const offsetAfter = getTimezoneOffset(timezone, new Date(wallClock + DAY_MS));
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map((offset) => wallClock - offset)
+    .filter((instant) => getTimezoneOffset(timezone, new Date(instant)) === wallClock - instant);
+
+  if (candidates.length === 0) {
+    // Skipped wall time: interpret with the pre-transition offset
+    return new Date(wallClock - offsetBefore);
+  }
+
+  return new Date(Math.min(...candidates));
+};
+
+/**
+ * Get the UTC instants bounding a calendar day in a timezone
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} timezone - IANA timezone
+ * @returns {{start: Date, end: Date}} Start (inclusive) and end (exclusive) of the day
+ */
+const getDayBounds = (date, timezone) => ({
+  start: zonedTimeToUtc(date, '00:00:00', timezone),
+  end: zonedTimeToUtc(shiftDateString(date, 1), '00:00:00', timezone)
+});
+
+/**
+ * List the date strings from one date to another, inclusive
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Array<string>} Dates in order
+ */
+const listDates = (startDate, endDate) => {
+  const dates = [];
+
+  for (let date = startDate; date <= endDate; date = shiftDateString(date, 1)) {
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Get the UTC bounds of the Monday-to-Sunday week containing a date
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} timezone - IANA timezone
+ * @returns {{start: Date, end: Date}} Week start (inclusive) and end (exclusive)
+ */
+const getWeekBounds = (date, timezone) => {
+  const monday = shiftDateString(date, -((getDayOfWeek(date) + 6) % 7));
+
+  return {
+    start: getDayBounds(monday, timezone).start,
+    end: getDayBounds(shiftDateString(monday, 6), timezone).end
+  };
+};
+
+/**
+ * Check whether two intervals overlap, optionally padding the first one
+ * @param {Date} start - Interval start
+ * @param {Date} end - Interval end
+ * @param {Date|string} otherStart - Other interval start
+ * @param {Date|string} otherEnd - Other interval end
+ * @param {number} [paddingMinutes] - Minutes to pad the first interval before its start
+ * @param {number} [paddingAfterMinutes] - Minutes to pad after its end (defaults to paddingMinutes)
+ * @returns {boolean} True if the intervals overlap
+ */
+const overlaps = (
+  start,
+  end,
+  otherStart,
+  otherEnd,
+  paddingMinutes = 0,
+  paddingAfterMinutes = paddingMinutes
+) => {
+  const blockedStart = new Date(otherStart);
+  const blockedEnd = new Date(otherEnd);
+
+  if (Number.isNaN(blockedStart.getTime()) || Number.isNaN(blockedEnd.getTime())) {
+    return false;
+  }
+
+  return isBefore(addMinutes(start, -paddingMinutes), blockedEnd)
+    && isAfter(addMinutes(end, paddingAfterMinutes), blockedStart);
+};
+
+/**
+ * Apply a date-specific override to the weekly rules for that date
+ *
+ * An unavailable override blocks the day. Custom windows replace the
+ * weekly hours but keep the day's buffer and booking cap.
+ *
+ * @param {Array<Object>} rules - AvailabilityRules for the date's day of week
+ * @param {Object} [override] - AvailabilityOverride for the date
+ * @returns {Array<Object>} Effective rules (startTime/endTime/bufferMinutes/maxBookingsPerDay)
+ */
+const applyOverride = (rules, override = null) => {
+  if (!override) {
+    return rules;
+  }
+
+  if (override.isUnavailable) {
+    return [];
+  }
+
+  const buffers = rules.map((rule) => rule.bufferMinutes || 0);
+  const caps = rules.map((rule) => rule.maxBookingsPerDay).filter(Boolean);
+
+  return (override.windows || []).map((window) => ({
+    startTime: window.startTime,
+    endTime: window.endTime,
+    bufferMinutes: buffers.length > 0 ? Math.max(...buffers) : 0,
+    maxBookingsPerDay: caps.length > 0 ? Math.min(...caps) : null
+  }));
+};
+
+/**
+ * Load the effective availability rules for a user on a date
+ * @param {string} userId - User ID
+ * @param {string} date - Date string (YYYY-MM-DD) in the user's timezone
+ * @returns {Promise<Array<Object>>} Weekly rules with any override for the date applied
+ */
+const getRulesForDate = async (userId, date) => {
+  const [rules, override] = await Promise.all([
+    AvailabilityRule.findAll({
+      where: { userId, dayOfWeek: getDayOfWeek(date) }
+    }),
+    AvailabilityOverride.findOne({
+      where: { userId, date }
+    })
+  ]);
+
+  return applyOverride(rules, override);
+};
+
+/**
+ * Load the effective availability rules for every date in a range
+ *
+ * Weekly rules and the range's overrides are each fetched with one query.
+ *
+ * @param {string} userId - User ID
+ * @param {Array<string>} dates - Date strings (YYYY-MM-DD) in the user's timezone
+ * @returns {Promise<Object<string, Array<Object>>>} Effective rules keyed by date
+ */
+const getRulesForDates = async (userId, dates) => {
+  const [rules, overrides] = await Promise.all([
+    AvailabilityRule.findAll({ where: { userId } }),
+    AvailabilityOverride.findAll({
+      where: { userId, date: { [Op.in]: dates } }
+    })
+  ]);
+
+  const overridesByDate = new Map(overrides.map((override) => [override.date, override]));
+  const rulesByDay = [0, 1, 2, 3, 4, 5, 6]
+    .map((day) => rules.filter((rule) => rule.dayOfWeek === day));
+  const rulesByDate = {};
+
+  dates.forEach((date) => {
+    rulesByDate[date] = applyOverride(rulesByDay[getDayOfWeek(date)], overridesByDate.get(date));
+  });
+
+  return rulesByDate;
+};
+
+/**
+ * Generate candidate slots for one availability rule on a date
+ *
+ * The rule window is resolved to UTC first and slots are stepped in real
+ * elapsed time, so a window on a DST day is an hour shorter or longer
+ * rather than producing duplicated or phantom slots.
+ *
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Object} rule - AvailabilityRule (startTime/endTime as HH:mm:ss)
+ * @param {Object} options - Generation options
+ * @param {string} options.timezone - Host IANA timezone
+ * @param {number} options.duration - Slot length in minutes
+ * @param {number} [options.step] - Minutes between slot starts (defaults to duration)
+ * @returns {Array<{start: Date, end: Date, rule: Object}>} Candidate slots
+ */
+const generateRuleSlots = (date, rule, { timezone, duration, step }) => {
+  const windowStart = zonedTimeToUtc(date, rule.startTime, timezone);
+  const windowEnd = zonedTimeToUtc(date, rule.endTime, timezone);
+  const increment = step > 0 ? step : duration;
+  const slots = [];
+
+  let slotStart = windowStart;
+  let slotEnd = addMinutes(slotStart, duration);
+  while (isBefore(slotEnd, windowEnd) || isEqual(slotEnd, windowEnd)) {
+    slots.push({ start: slotStart, end: slotEnd, rule });
+    slotStart = addMinutes(slotStart, increment);
+    slotEnd = addMinutes(slotStart, duration);
+  }
+
+  return slots;
+};
+
+/**
+ * Check whether a slot conflicts with bookings or busy times
+ * @param {{start: Date, end: Date}} slot - Slot
+ * @param {Array<Object>} bookings - Existing bookings (startTime/endTime)
+ * @param {Array<Object>} busyTimes - External busy intervals (start/end)
+ * @param {number} before - Minutes that must be free before the slot
+ * @param {number} after - Minutes that must be free after the slot
+ * @returns {boolean} True if the slot is blocked
+ */
+const hasConflict = (slot, bookings, busyTimes, before, after) => bookings.some(
+  (booking) => overlaps(slot.start, slot.end, booking.startTime, booking.endTime, before, after)
+) || busyTimes.some(
+  (busy) => overlaps(slot.start, slot.end, busy.start, busy.end, before, after)
+);
+
+/**
+ * Check whether a start time is inside the booking window
+ * @param {Date} start - Slot start
+ * @param {Date} [notBefore] - Earliest allowed slot start
+ * @param {Date} [notAfter] - Latest allowed slot start
+ * @returns {boolean} True if the start is allowed
+ */
+const isWithinWindow = (start, notBefore, notAfter) => !(notBefore && isBefore(start, notBefore))
+  && !(notAfter && isAfter(start, notAfter));
+
+/**
+ * Compute the open slots on a date for a set of availability rules
+ * @param {Object} params - Parameters
+ * @param {string} params.date - Date string (YYYY-MM-DD), interpreted in the host timezone
+ * @param {string} params.timezone - Host IANA timezone
+ * @param {Array<Object>} params.rules - AvailabilityRules for the date's day of week
+ * @param {number} params.duration - Slot length in minutes
+ * @param {number} [params.step] - Minutes between slot starts (defaults to duration)
+ * @param {Array<Object>} [params.bookings] - Existing bookings (startTime/endTime)
+ * @param {Array<Object>} [params.busyTimes] - External busy intervals (start/end)
+ * @param {number} [params.bufferBefore] - Event-type buffer required before a slot
+ * @param {number} [params.bufferAfter] - Event-type buffer required after a slot
+ * @param {Date} [params.notBefore] - Earliest allowed slot start
+ * @param {Date} [params.notAfter] - Latest allowed slot start
+ * @returns {Array<{start: Date, end: Date}>} Open slots sorted by start time
+ */
+const computeDaySlots = ({
+  date,
+  timezone,
+  rules,
+  duration,
+  step,
+  bookings = [],
+  busyTimes = [],
+  bufferBefore = 0,
+  bufferAfter = 0,
+  notBefore = null,
+  notAfter = null
+}) => {
+  const seen = new Set();
+  const slots = [];
+
+  rules.forEach((rule) => {
+    // The larger of the rule buffer and the event-type buffer wins
+    const before = Math.max(rule.bufferMinutes || 0, bufferBefore);
+    const after = Math.max(rule.bufferMinutes || 0, bufferAfter);
+
+    generateRuleSlots(date, rule, { timezone, duration, step }).forEach((slot) => {
+      if (!isWithinWindow(slot.start, notBefore, notAfter)) {
+        return;
+      }
+
+      // Overlapping rules can produce the same slot twice
+      const key = slot.start.getTime();
+      if (!hasConflict(slot, bookings, busyTimes, before, after) && !seen.has(key)) {
+        seen.add(key);
+        slots.push({ start: slot.start, end: slot.end });
+      }
+    });
+  });
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Check whether an arbitrary slot is open on a host's date
+ *
+ * Unlike computeDaySlots this does not require the slot to sit on a rule's
+ * step grid, so slots offered by one host can be checked against another.
+ *
+ * @param {Object} params - Parameters
+ * @param {{start: Date, end: Date}} params.slot - Slot to check
+ * @param {string} params.date - Host date (YYYY-MM-DD) the slot starts on
+ * @param {string} params.timezone - Host IANA timezone
+ * @param {Array<Object>} params.rules - Effective rules for the date
+ * @param {Array<Object>} [params.bookings] - Existing bookings (startTime/endTime)
+ * @param {Array<Object>} [params.busyTimes] - External busy intervals (start/end)
+ * @param {number} [params.bufferBefore] - Event-type buffer required before a slot
+ * @param {number} [params.bufferAfter] - Event-type buffer required after a slot
+ * @param {Date} [params.notBefore] - Earliest allowed slot start
+ * @param {Date} [params.notAfter] - Latest allowed slot start
+ * @returns {boolean} True if the slot fits a rule window and is free
+ */
+const isSlotOpen = ({
+  slot,
+  date,
+  timezone,
+  rules,
+  bookings = [],
+  busyTimes = [],
+  bufferBefore = 0,
+  bufferAfter = 0,
+  notBefore = null,
+  notAfter = null
+}) => isWithinWindow(slot.start, notBefore, notAfter) && rules.some((rule) => {
+  const windowStart = zonedTimeToUtc(date, rule.startTime, timezone);
+  const windowEnd = zonedTimeToUtc(date, rule.endTime, timezone);
+
+  if (isBefore(slot.start, windowStart) || isAfter(slot.end, windowEnd)) {
+    return false;
+  }
+
+  const before = Math.max(rule.bufferMinutes || 0, bufferBefore);
+  const after = Math.max(rule.bufferMinutes || 0, bufferAfter);
+
+  return !hasConflict(slot, bookings, busyTimes, before, after);
+});
+
+/**
+ * Resolve the booking constraints for an optional event type
+ *
+ * Without an event type the default minimum notice applies and the
+ * maximum advance is left to the user's booking horizon.
+ *
+ * @param {Object} [eventType] - EventType instance
+ * @returns {{bufferBefore: number, bufferAfter: number,
+ *   minimumNotice: number, maximumAdvance: (number|null)}} Constraints in minutes
+ */
+const getBookingConstraints = (eventType = null) => {
+  if (!eventType) {
+    return {
+      bufferBefore: 0,
+      bufferAfter: 0,
+      minimumNotice: DEFAULT_MINIMUM_NOTICE_MINUTES,
+      maximumAdvance: null
+    };
+  }
+
+  return {
+    bufferBefore: eventType.bufferBefore || 0,
+    bufferAfter: eventType.bufferAfter || 0,
+    minimumNotice: eventType.minimumNotice || 0,
+    maximumAdvance: eventType.maximumAdvance || null
+  };
+};
+
+/**
+ * Get the earliest and latest bookable start times for constraints
+ * @param {Object} constraints - Result of getBookingConstraints
+ * @param {Date} [now] - Reference instant
+ * @returns {{notBefore: Date, notAfter: (Date|null)}} Booking window
+ */
+const getBookingWindow = (constraints, now = new Date()) => ({
+  notBefore: addMinutes(now, constraints.minimumNotice),
+  notAfter: constraints.maximumAdvance ? addMinutes(now, constraints.maximumAdvance) : null
+});
+
+/**
+ * Build the where clause for bookings that occupy their time slot
+ *
+ * Besides confirmed bookings, unpaid bookings hold their slot until the
+ * payment hold expires.
+ *
+ * @param {Date} [now] - Reference instant
+ * @returns {Object} Sequelize where clause
+ */
+const getOccupyingBookingWhere = (now = new Date()) => ({
+  [Op.or]: [
+    { status: 'confirmed' },
+    { status: 'pending_payment', paymentExpiresAt: { [Op.gt]: now } }
+  ]
+});
+
+/**
+ * Count bookings occupying their slot that start within a period
+ * @param {string} userId - Host user ID
+ * @param {{start: Date, end: Date}} period - Period bounds
+ * @param {string} [eventTypeId] - Only count bookings of this event type
+ * @returns {Promise<number>} Number of bookings
+ */
+const countOccupyingBookings = (userId, { start, end }, eventTypeId = null) => {
+  const where = {
+    userId,
+    ...getOccupyingBookingWhere(),
+    startTime: { [Op.gte]: start, [Op.lt]: end }
+  };
+
+  if (eventTypeId) {
+    where.eventTypeId = eventTypeId;
+  }
+
+  return Booking.count({ where });
+};
+
+/**
+ * Apply the daily and weekly booking caps using a booking counter
+ * @param {Object} params - Parameters
+ * @param {Array<Object>} params.rules - Effective rules for the date
+ * @param {Object} [params.eventType] - EventType being booked
+ * @param {Function} params.count - (scope: 'day'|'week', eventTypeId?) => number or Promise
+ * @returns {Promise<string|null>} Reason the cap is reached, or null if bookable
+ */
+const evaluateBookingLimits = async ({ rules, eventType, count }) => {
+  const dailyCaps = rules.map((rule) => rule.maxBookingsPerDay).filter(Boolean);
+
+  if (dailyCaps.length > 0 && await count('day') >= Math.min(...dailyCaps)) {
+    return 'The daily booking limit has been reached';
+  }
+
+  if (!eventType) {
+    return null;
+  }
+
+  if (eventType.maxBookingsPerDay && await count('day', eventType.id) >= eventType.maxBookingsPerDay) {
+    return 'The daily limit for this event type has been reached';
+  }
+
+  if (eventType.maxBookingsPerWeek
+    && await count('week', eventType.id) >= eventType.maxBookingsPerWeek) {
+    return 'The weekly limit for this event type has been reached';
+  }
+
+  return null;
+};
+
+/**
+ * Check the daily and weekly booking caps for a host's day
+ *
+ * The day's availability rules cap all bookings on that day (the lowest
+ * maxBookingsPerDay wins); the event type caps its own bookings per day
+ * and per Monday-to-Sunday week. Days and weeks are in the host timezone.
+ *
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Host user ID
+ * @param {string} params.date - Date string (YYYY-MM-DD)
+ * @param {string} params.timezone - Host IANA timezone
+ * @param {Array<Object>} [params.rules] - AvailabilityRules for the date's day of week
+ * @param {Object} [params.eventType] - EventType being booked
+ * @returns {Promise<string|null>} Reason the cap is reached, or null if bookable
+ */
+const getBookingLimitReason = ({
+  userId,
+  date,
+  timezone,
+  rules = [],
+  eventType = null
+}) => evaluateBookingLimits({
+  rules,
+  eventType,
+  count: (scope, eventTypeId) => countOccupyingBookings(
+    userId,
+    scope === 'week' ? getWeekBounds(date, timezone) : getDayBounds(date, timezone),
+    eventTypeId
+  )
+});
+
+/**
+ * Group intervals by the host dates they can affect
+ * @param {Array<Object>} intervals - Intervals
+ * @param {Function} getBounds - interval => [start, end]
+ * @param {string} timezone - Host IANA timezone
+ * @param {number} paddingMinutes - Buffer that can extend an interval's reach
+ * @returns {Map<string, Array<Object>>} Intervals keyed by date
+ */
+const groupByDate = (intervals, getBounds, timezone, paddingMinutes) => {
+  const groups = new Map();
+
+  intervals.forEach((interval) => {
+    const [start, end] = getBounds(interval).map((value) => new Date(value));
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return;
+    }
+
+    const first = getDateInTimezone(addMinutes(start, -paddingMinutes), timezone);
+    const last = getDateInTimezone(addMinutes(end, paddingMinutes), timezone);
+
+    listDates(first, last).forEach((date) => {
+      if (!groups.has(date)) {
+        groups.set(date, []);
+      }
+      groups.get(date).push(interval);
+    });
+  });
+
+  return groups;
+};
+
+/**
+ * Compute open slots and booking-cap state for a range of host dates
+ *
+ * Bookings and busy times are grouped by date once, so each day only
+ * checks the intervals that can reach it. `bookings` must contain the
+ * occupying bookings of every week touched by the range, so weekly
+ * caps count bookings outside the range as well.
+ *
+ * @param {Object} params - Parameters
+ * @param {Array<string>} params.dates - Date strings (YYYY-MM-DD) in the host timezone
+ * @param {string} params.timezone - Host IANA timezone
+ * @param {Object<string, Array<Object>>} params.rulesByDate - Effective rules per date
+ * @param {number} params.duration - Slot length in minutes
+ * @param {number} [params.step] - Minutes between slot starts
+ * @param {Array<Object>} [params.bookings] - Occupying bookings (startTime/endTime/eventTypeId)
+ * @param {Array<Object>} [params.busyTimes] - External busy intervals (start/end)
+ * @param {Object} [params.eventType] - EventType being booked
+ * @param {number} [params.bufferBefore] - Event-type buffer required before a slot
+ * @param {number} [params.bufferAfter] - Event-type buffer required after a slot
+ * @param {Date} [params.notBefore] - Earliest allowed slot start
+ * @param {Date} [params.notAfter] - Latest allowed slot start
+ * @param {Function} [params.isDateOpen] - date => false to skip a date entirely
+ * @returns {Promise<Array<{date: string, slots: Array, limitReason: (string|null)}>>} Days
+ */
+const computeRangeSlots = async ({
+  dates,
+  timezone,
+  rulesByDate,
+  duration,
+  step,
+  bookings = [],
+  busyTimes = [],
+  eventType = null,
+  bufferBefore = 0,
+  bufferAfter = 0,
+  notBefore = null,
+  notAfter = null,
+  isDateOpen = () => true
+}) => {
+  const ruleBuffers = Object.values(rulesByDate)
+    .flat()
+    .map((rule) => rule.bufferMinutes || 0);
+  const padding = Math.max(bufferBefore, bufferAfter, ...ruleBuffers);
+
+  const bookingsByDate = groupByDate(
+    bookings,
+    (booking) => [booking.startTime, booking.endTime],
+    timezone,
+    padding
+  );
+  const busyByDate = groupByDate(busyTimes, (busy) => [busy.start, busy.end], timezone, padding);
+  const startsByDate = groupByDate(
+    bookings,
+    (booking) => [booking.startTime, booking.startTime],
+    timezone,
+    0
+  );
+
+  const countStarts = (date, eventTypeId) => (startsByDate.get(date) || [])
+    .filter((booking) => !eventTypeId || booking.eventTypeId === eventTypeId)
+    .length;
+
+  return Promise.all(dates.map(async (date) => {
+    const rules = rulesByDate[date] || [];
+
+    if (rules.length === 0 || !isDateOpen(date)) {
+      return { date, slots: [], limitReason: null };
+    }
+
+    const limitReason = await evaluateBookingLimits({
+      rules,
+      eventType,
+      count: (scope, eventTypeId) => {
+        if (scope === 'day') {
+          return countStarts(date, eventTypeId);
+        }
+
+        const monday = shiftDateString(date, -((getDayOfWeek(date) + 6) % 7));
+        return listDates(monday, shiftDateString(monday, 6))
+          .reduce((total, day) => total + countStarts(day, eventTypeId), 0);
+      }
+    });
+
+    if (limitReason) {
+      return { date, slots: [], limitReason };
+    }
+
+    const slots = computeDaySlots({
+      date,
+      timezone,
+      rules,
+      duration,
+      step,
+      bookings: bookingsByDate.get(date) || [],
+      busyTimes: busyByDate.get(date) || [],
+      bufferBefore,
+      bufferAfter,
+      notBefore,
+      notAfter
+    });
+
+    return { date, slots, limitReason: null };
+  }));
+};
+
+/**
+ * Describe a number of minutes in the largest whole unit
+ * @param {number} minutes - Minutes
+ * @returns {string} Human-readable duration, e.g. "2 hours"
+ */
+const describeMinutes = (minutes) => {
+  const units = [['day', 1440], ['hour', 60], ['minute', 1]];
+  const [unit, size] = units.find(([, unitSize]) => minutes >= unitSize && minutes % unitSize === 0)
+    || units[2];
+  const count = minutes / size;
+
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+/**
+ * Check a requested start time against the minimum notice and maximum advance
+ * @param {Date} startTime - Requested start
+ * @param {Object} constraints - Result of getBookingConstraints
+ * @param {Date} [now] - Reference instant
+ * @returns {string|null} Error message, or null if the start time is allowed
+ */
+const checkBookingWindow = (startTime, constraints, now = new Date()) => {
+  const { notBefore, notAfter } = getBookingWindow(constraints, now);
+
+  if (isBefore(startTime, notBefore)) {
+    return `Bookings require at least ${describeMinutes(constraints.minimumNotice)} notice`;
+  }
+
+  if (notAfter && isAfter(startTime, notAfter)) {
+    return `Bookings can only be made up to ${describeMinutes(constraints.maximumAdvance)} in advance`;
+  }
+
+  return null;
+};
+
+/**
+ * Serialize a slot for API responses
+ * @param {{start: Date, end: Date}} slot - Slot
+ * @param {string} [displayTimezone] - Invitee timezone for local representations
+ * @returns {Object} Slot with UTC ISO strings and optional local times
+ */
+const formatSlot = (slot, displayTimezone = null) => {
+  const formatted = {
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString()
+  };
+
+  if (displayTimezone) {
+    formatted.local_start = formatInTimeZone(slot.start, displayTimezone, LOCAL_FORMAT);
+    formatted.local_end = formatInTimeZone(slot.end, displayTimezone, LOCAL_FORMAT);
+    formatted.timezone = displayTimezone;
+  }
+
+  return formatted;
+};
+
+/**
+ * Check whether the Redis busy-time cache is enabled
+ * @returns {boolean} True if Redis is configured for use
+ */
+const isCacheEnabled = () => process.env.USE_REDIS === 'true';
+
+/**
+ * Read cached busy times for a user and date
+ * @param {string} cacheKey - Redis key
+ * @returns {Promise<Array|null>} Busy intervals, or null on a miss or cache error
+ */
+const readBusyCache = async (cacheKey) => {
+  if (!isCacheEnabled()) {
+    return null;
+  }
+
+  try {
+    const cached = await redis.getClient().get(cacheKey);
+    if (!cached) {
+      return null;
+    }
+
+    return JSON.parse(cached).map((busy) => ({
+      start: new Date(busy.start),
+      end: new Date(busy.end)
+    }));
+  } catch (error) {
+    logger.warn(`Failed to read busy time cache ${cacheKey}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Write busy times to the cache
+ * @param {string} cacheKey - Redis key
+ * @param {Array} busyTimes - Busy intervals
+ * @returns {Promise<void>}
+ */
+const writeBusyCache = async (cacheKey, busyTimes) => {
+  if (!isCacheEnabled()) {
+    return;
+  }
+
+  try {
+    await redis.getClient().set(cacheKey, JSON.stringify(busyTimes), 'EX', BUSY_CACHE_TTL_SECONDS);
+  } catch (error) {
+    logger.warn(`Failed to write busy time cache ${cacheKey}:`, error);
+  }
+};
+
+/**
+ * List the Redis keys matching a pattern
+ * @param {Object} client - Redis client
+ * @param {string} pattern - Key pattern
+ * @param {string} [cursor] - Scan cursor to continue from
+ * @param {Array<string>} [keys] - Keys found so far
+ * @returns {Promise<Array<string>>} Matching keys
+ */
+const scanKeys = async (client, pattern, cursor = '0', keys = []) => {
+  const [next, batch] = await client.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+  const found = keys.concat(batch);
+
+  return next === '0' ? found : scanKeys(client, pattern, next, found);
+};
+
+/**
+ * Drop a host's cached busy times
+ *
+ * Called when the host connects, disconnects or reselects calendars, so
+ * availability follows the change straight away.
+ *
+ * @param {string} userId - Host user ID
+ * @returns {Promise<void>}
+ */
+const clearBusyCache = async (userId) => {
+  if (!isCacheEnabled()) {
+    return;
+  }
+
+  try {
+    const client = redis.getClient();
+    const keys = await scanKeys(client, `${BUSY_CACHE_PREFIX}${userId}:*`);
+
+    if (keys.length > 0) {
+      await client.del(...keys);
+    }
+  } catch (error) {
+    logger.warn(`Failed to clear busy time cache of user ${userId}:`, error);
+  }
+};
+
+/**
+ * Get external calendar busy times for a range of host calendar days
+ *
+ * Provider failures never fail the caller: the remaining providers' busy
+ * times are returned with `degraded` set so the response can be flagged.
+ * Only complete results are cached, so a failing provider is retried on
+ * the next request.
+ *
+ * @param {string} userId - Host user ID
+ * @param {string} startDate - First date (YYYY-MM-DD) in the host timezone
+ * @param {string} endDate - Last date (YYYY-MM-DD, inclusive) in the host timezone
+ * @param {string} timezone - Host IANA timezone
+ * @returns {Promise<{busyTimes: Array, degraded: boolean, failedProviders: Array<string>}>}
+ */
+const getBusyTimesForRange = async (userId, startDate, endDate, timezone) => {
+  const period = startDate === endDate ? startDate : `${startDate}_${endDate}`;
+  const cacheKey = `${BUSY_CACHE_PREFIX}${userId}:${period}`;
+
+  const cached = await readBusyCache(cacheKey);
+  if (cached) {
+    return { busyTimes: cached, degraded: false, failedProviders: [] };
+  }
+
+  const { start } = getDayBounds(startDate, timezone);
+  const { end } = getDayBounds(endDate, timezone);
+
+  try {
+    const { busyTimes, failures } = await calendarService.collectBusyTimes(userId, start, end);
+
+    if (failures.length === 0) {
+      await writeBusyCache(cacheKey, busyTimes);
+    }
+
+    return {
+      busyTimes,
+      degraded: failures.length > 0,
+      failedProviders: failures.map((failure) => failure.provider)
+    };
+  } catch (error) {
+    logger.error(`Failed to fetch calendar busy times for user ${userId} for ${period}:`, error);
+    return { busyTimes: [], degraded: true, failedProviders: [] };
+  }
+};
+
+/**
+ * Get external calendar busy times for a host's calendar day
+ * @param {string} userId - Host user ID
+ * @param {string} date - Date string (YYYY-MM-DD) in the host timezone
+ * @param {string} timezone - Host IANA timezone
+ * @returns {Promise<{busyTimes: Array, degraded: boolean, failedProviders: Array<string>}>}
+ */
+const getBusyTimesForDay = (userId, date, timezone) => getBusyTimesForRange(
+  userId,
+  date,
+  date,
+  timezone
+);
+
+/**
+ * Load everything needed to compute a host's slots over a date range
+ *
+ * Bookings cover the whole weeks touched by the range, so weekly caps can
+ * be counted, plus a day either side for buffers reaching across midnight.
+ *
+ * @param {string} userId - Host user ID
+ * @param {string} timezone - Host IANA timezone
+ * @param {string} startDate - First date (YYYY-MM-DD) in the host timezone
+ * @param {string} endDate - Last date (YYYY-MM-DD, inclusive) in the host timezone
+ * @returns {Promise<Object>} dates, rulesByDate, bookings, busyTimes, degraded, failedProviders
+ */
+const loadHostRange = async (userId, timezone, startDate, endDate) => {
+  const dates = listDates(startDate, endDate);
+  const weekStart = getWeekBounds(startDate, timezone).start;
+  const weekEnd = getWeekBounds(endDate, timezone).end;
+
+  const [rulesByDate, bookings, calendar] = await Promise.all([
+    getRulesForDates(userId, dates),
+    Booking.findAll({
+      where: {
+        userId,
+        ...getOccupyingBookingWhere(),
+        startTime: { [Op.lt]: addMinutes(weekEnd, 24 * 60) },
+        endTime: { [Op.gt]: addMinutes(weekStart, -24 * 60) }
+      }
+    }),
+    getBusyTimesForRange(userId, startDate, endDate, timezone)
+  ]);
+
+  return {
+    dates,
+    rulesByDate,
+    bookings,
+    ...calendar
+  };
+};
+
+/**
+ * Check whether a host can take a specific slot right now
+ *
+ * Applies the checks behind the slot listing apart from the booking
+ * window: the day's availability rules, buffers around existing bookings
+ * and calendar busy times, and the daily and weekly caps. A booking being
+ * moved is left out, so it neither blocks nor counts against its new slot.
+ *
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Host user ID
+ * @param {string} params.timezone - Host IANA timezone
+ * @param {{start: Date, end: Date}} params.slot - Slot to check
+ * @param {Object} [params.eventType] - EventType being booked
+ * @param {string} [params.excludeBookingId] - Booking to ignore
+ * @returns {Promise<string|null>} Reason the slot is taken, or null if it is open
+ */
+const getSlotConflictReason = async ({
+  userId,
+  timezone,
+  slot,
+  eventType = null,
+  excludeBookingId = null
+}) => {
+  const date = getDateInTimezone(slot.start, timezone);
+  const range = await loadHostRange(userId, timezone, date, date);
+  const rules = range.rulesByDate[date] || [];
+  const bookings = range.bookings.filter((booking) => booking.id !== excludeBookingId);
+
+  const limitReason = await evaluateBookingLimits({
+    rules,
+    eventType,
+    count: (scope, eventTypeId) => {
+      const { start, end } = scope === 'week'
+        ? getWeekBounds(date, timezone)
+        : getDayBounds(date, timezone);
+
+      return bookings.filter((booking) => (!eventTypeId || booking.eventTypeId === eventTypeId)
+        && !isBefore(new Date(booking.startTime), start)
+        && isBefore(new Date(booking.startTime), end)).length;
+    }
+  });
+
+  if (limitReason) {
+    return limitReason;
+  }
+
+  const constraints = getBookingConstraints(eventType);
+  const open = isSlotOpen({
+    slot,
+    date,
+    timezone,
+    rules,
+    bookings,
+    busyTimes: range.busyTimes,
+    bufferBefore: constraints.bufferBefore,
+    bufferAfter: constraints.bufferAfter
+  });
+
+  return open ? null : 'Time slot is not available';
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  isValidTimezone,
+  isValidDateString,
+  shiftDateString,
+  listDates,
+  getDayOfWeek,
+  getDateInTimezone,
+  getTodayInTimezone,
+  zonedTimeToUtc,
+  getDayBounds,
+  getWeekBounds,
+  overlaps,
+  applyOverride,
+  getRulesForDate,
+  getRulesForDates,
+  generateRuleSlots,
+  computeDaySlots,
+  isSlotOpen,
+  computeRangeSlots,
+  getBookingConstraints,
+  getBookingWindow,
+  checkBookingWindow,
+  describeMinutes,
+  getOccupyingBookingWhere,
+  getBookingLimitReason,
+  formatSlot,
+  clearBusyCache,
+  getBusyTimesForRange,
+  getBusyTimesForDay,
+  loadHostRange,
+  getSlotConflictReason
+};
@@ -0,0 +1,247 @@
+/**
+ * Booking lifecycle service
+ *
+ * Follow-ups of cancelled and rescheduled bookings, shared by the host,
+ * invitee and calendar sync flows: invitee emails, refunds, webhooks,
+ * reminders and calendar events. Each co-host of a collective booking
+ * has a booking of their own that points to the lead booking, and the
+ * group is cancelled and moved as one.
+ *
+ * @author meetabl Team
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../config/logger');
+const { Booking, User } = require('../models');
+const notificationService = require('./notification.service');
+const calendarService = require('./calendar.service');
+const outboundWebhookService = require('./outbound-webhook.service');
+const bookingPaymentService = require('./booking-payment.service');
+
+/**
+ * Send a push notification about a booking to its host
+ *
+ * Push delivery is best effort and never fails the request.
+ *
+ * @param {Object} host - Host user
+ * @param {string} event - Host push event
+ * @param {Object} booking - Booking or booking request
+ * @returns {Promise<void>}
+ */
+const pushToHost = async (host, event, booking) => {
+  try {
+    await notificationService.sendHostPushNotification({ host, event, booking });
+  } catch (pushError) {
+    logger.error(`Failed to send push notification for booking ${booking.id}:`, pushError);
+  }
+};
+
+/**
+ * Send a booking event to the host's webhook endpoints
+ * @param {string} event - Webhook event
+ * @param {Object} booking - Booking
+ * @param {Object} [extra] - Additional booking fields for the payload
+ * @returns {Promise<number>} Number of deliveries created
+ */
+const emitBookingWebhook = (event, booking, extra = {}) => outboundWebhookService.emitEvent(
+  booking.userId,
+  event,
+  { booking: { ...outboundWebhookService.serializeBooking(booking), ...extra } }
+);
+
+/**
+ * Run the follow-ups of a committed cancellation
+ *
+ * Emails the invitee, notifies webhooks, drops pending reminders and
+ * queues the removal of the calendar event. Failures are logged, since
+ * the cancellation itself has already been saved. Co-host bookings of a
+ * collective booking leave the invitee's email and refund to the lead
+ * booking.
+ *
+ * @param {Object} booking - Cancelled booking
+ * @param {Object} [options] - Options
+ * @param {Object} [options.host] - Host to push a notification to
+ * @param {boolean} [options.refund] - Refund the invitee's payment
+ * @returns {Promise<void>}
+ */
+const completeCancellation = async (booking, { host = null, refund = false } = {}) => {
+  const { id } = booking;
+  const coHostBooking = Boolean(booking.parentBookingId);
+
+  if (refund && !coHostBooking) {
+    try {
+      await bookingPaymentService.refundBookingPayment(booking);
+    } catch (refundError) {
+      logger.error(`Failed to refund payment for cancelled booking ${id}:`, refundError);
+    }
+  }
+
+  // Queue email notification job for cancellation
+  if (!coHostBooking) {
+    try {
+      await notificationService.queueNotification(id, 'email');
+    } catch (notificationError) {
+      logger.error(`Failed to queue notification for booking ${id}:`, notificationError);
+      // Non-critical error, don't fail the cancellation
+    }
+  }
+
+  await emitBookingWebhook('booking.cancelled', booking);
+
+  if (host) {
+    await pushToHost(host, 'booking_cancelled', booking);
+  }
+
+  // Cancel any scheduled reminder notifications
+  try {
+    await notificationService.cancelReminders(id);
+  } catch (reminderError) {
+    logger.error(`Failed to cancel reminders for booking ${id}:`, reminderError);
+    // Non-critical error, don't fail the cancellation
+  }
+
+  // Remove the event from the host's calendar
+  try {
+    await calendarService.queueCalendarSync(booking);
+  } catch (calendarError) {
+    logger.error(`Failed to queue calendar event removal for cancelled booking ${id}:`, calendarError);
+    // Non-critical error, don't fail the cancellation
+  }
+};
+
+/**
+ * Run the follow-ups of a committed reschedule
+ *
+ * Emails the invitee, notifies webhooks, moves the reminders and queues
+ * the update of the calendar event. Failures are logged, since the new
+ * time has already been saved. Co-host bookings of a collective booking
+ * have no invitee email or reminders of their own.
+ *
+ * @param {Object} booking - Rescheduled booking
+ * @param {{startTime: Date, endTime: Date}} previous - Times before the reschedule
+ * @returns {Promise<void>}
+ */
+const completeReschedule = async (booking, previous) => {
+  const { id } = booking;
+  const coHostBooking = Boolean(booking.parentBookingId);
+
+  // Queue email notification job for reschedule
+  if (!coHostBooking) {
+    try {
+      await notificationService.queueNotification(id, 'email');
+    } catch (notificationError) {
+      logger.error(`Failed to queue notification for booking ${id}:`, notificationError);
+    }
+  }
+
+  await emitBookingWebhook('booking.rescheduled', booking, {
+    previous_start_time: previous.startTime,
+    previous_end_time: previous.endTime
+  });
+
+  // Reminders were scheduled for the old start time
+  if (!coHostBooking) {
+    try {
+      await notificationService.cancelReminders(id, 'Booking rescheduled');
+      await notificationService.scheduleReminders(id);
+    } catch (reminderError) {
+      logger.error(`Failed to reschedule reminders for booking ${id}:`, reminderError);
+    }
+  }
+
+  // Move the event on the host's calendar
+  try {
+    await calendarService.queueCalendarSync(booking);
+  } catch (calendarError) {
+    logger.error(`Failed to queue calendar event update for rescheduled booking ${id}:`, calendarError);
+    // Non-critical error, don't fail the reschedule
+  }
+};
+
+/**
+ * Find the other bookings of a collective booking
+ *
+ * Each co-host of a collective booking has a booking of their own that
+ * points to the lead booking, and the group is cancelled and moved as one.
+ *
+ * @param {Object} booking - Any booking of the group
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Array<Object>>} The group's other bookings that are not cancelled
+ */
+const findGroupBookings = (booking, transaction = null) => {
+  const leadId = booking.parentBookingId || booking.id;
+
+  return Booking.findAll({
+    where: {
+      id: { [Op.ne]: booking.id },
+      status: { [Op.ne]: 'cancelled' },
+      [Op.or]: [{ id: leadId }, { parentBookingId: leadId }]
+    },
+    transaction
+  });
+};
+
+/**
+ * Find the hosts of a group's bookings
+ * @param {Array<Object>} group - Bookings of a collective booking
+ * @returns {Promise<Map<string, Object>>} Hosts by user ID
+ */
+const findGroupHosts = async (group) => {
+  if (group.length === 0) {
+    return new Map();
+  }
+
+  const hosts = await User.findAll({
+    where: { id: { [Op.in]: group.map((member) => member.userId) } }
+  });
+
+  return new Map(hosts.map((host) => [host.id, host]));
+};
+
+/**
+ * Run the cancellation follow-ups for the rest of a collective booking
+ *
+ * The hosts of the other bookings get a push notification, since someone
+ * else cancelled the meeting.
+ *
+ * @param {Array<Object>} group - Other bookings of the group, already cancelled
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refund] - Refund the invitee's payment on the lead booking
+ * @returns {Promise<void>}
+ */
+const completeGroupCancellation = async (group, { refund = false } = {}) => {
+  const hosts = await findGroupHosts(group);
+
+  await Promise.all(group.map((member) => completeCancellation(member, {
+    host: hosts.get(member.userId) || null,
+    refund
+  })));
+};
+
+/**
+ * Run the reschedule follow-ups for the rest of a collective booking
+ * @param {Array<Object>} group - Other bookings of the group, already moved
+ * @param {{startTime: Date, endTime: Date}} previous - Times before the reschedule
+ * @returns {Promise<void>}
+ */
+const completeGroupReschedule = async (group, previous) => {
+  const hosts = await findGroupHosts(group);
+
+  await Promise.all(group.map(async (member) => {
+    await completeReschedule(member, previous);
+
+    if (hosts.has(member.userId)) {
+      await pushToHost(hosts.get(member.userId), 'booking_rescheduled', member);
+    }
+  }));
+};
+
+module.exports = {
+  pushToHost,
+  emitBookingWebhook,
+  completeCancellation,
+  completeReschedule,
+  findGroupBookings,
+  completeGroupCancellation,
+  completeGroupReschedule
+};
@@ -0,0 +1,282 @@
+/**
+ * Booking payment service
+ *
+ * Holds public bookings of paid event types while the invitee pays, and
+ * settles them from the Stripe payment: a successful payment confirms the
+ * booking, an expired hold frees the slot and a host cancellation refunds
+ * the invitee.
+ *
+ * @author meetabl Team
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const logger = require('../config/logger');
+const {
+  Booking, Payment, User, AuditLog
+} = require('../models');
+const paymentService = require('./payment.service');
+const availabilityService = require('./availability.service');
+const notificationService = require('./notification.service');
+const calendarService = require('./calendar.service');
+const outboundWebhookService = require('./outbound-webhook.service');
+
+const DEFAULT_HOLD_MINUTES = 15;
+
+/**
+ * Get when a new payment hold expires
+ * @param {Date} [now] - Reference instant
+ * @returns {Date} Expiry of the hold
+ */
+const getPaymentHoldExpiry = (now = new Date()) => {
+  const minutes = parseInt(process.env.BOOKING_PAYMENT_HOLD_MINUTES, 10) || DEFAULT_HOLD_MINUTES;
+  return new Date(now.getTime() + minutes * 60 * 1000);
+};
+
+/**
+ * Send the notifications of a newly confirmed booking
+ *
+ * Failures are logged, since the booking has already been confirmed.
+ *
+ * @param {Object} booking - Confirmed booking with its host as `user`
+ * @returns {Promise<void>}
+ */
+const announceBooking = async (booking) => {
+  const host = booking.user;
+
+  try {
+    await notificationService.sendBookingConfirmationToCustomer({ booking, host });
+    await notificationService.sendBookingNotificationToHost({ booking, host });
+  } catch (emailError) {
+    logger.error(`Failed to send confirmation emails for booking ${booking.id}:`, emailError);
+  }
+
+  try {
+    await notificationService.sendHostPushNotification({ host, event: 'booking_created', booking });
+  } catch (pushError) {
+    logger.error(`Failed to send push notification for booking ${booking.id}:`, pushError);
+  }
+
+  await outboundWebhookService.emitEvent(booking.userId, 'booking.created', {
+    booking: outboundWebhookService.serializeBooking(booking)
+  });
+
+  try {
+    await notificationService.scheduleReminders(booking.id);
+  } catch (reminderError) {
+    logger.error(`Failed to schedule reminders for booking ${booking.id}:`, reminderError);
+  }
+
+  try {
+    await calendarService.createCalendarEvent(booking);
+  } catch (calendarError) {
+    logger.error(`Failed to create calendar event for booking ${booking.id}:`, calendarError);
+  }
+};
+
+/**
+ * Check whether another booking took a held slot after its hold expired
+ * @param {Object} booking - Booking awaiting payment
+ * @returns {Promise<boolean>} Whether the slot is taken
+ */
+const isHeldSlotTaken = async (booking) => {
+  const conflict = await Booking.findOne({
+    where: {
+      userId: booking.userId,
+      id: { [Op.ne]: booking.id },
+      startTime: { [Op.lt]: booking.endTime },
+      endTime: { [Op.gt]: booking.startTime },
+      [Op.and]: [availabilityService.getOccupyingBookingWhere()]
+    }
+  });
+
+  return Boolean(conflict);
+};
+
+/**
+ * Settle a succeeded Stripe payment intent
+ *
+ * Records the payment and confirms the booking it holds. A payment for a
+ * booking that was released in the meantime is refunded without being
+ * invoiced. Repeated deliveries of the same payment change nothing.
+ *
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<Object>} Outcome with the booking ID and status
+ */
+const confirmBookingPayment = async (paymentIntentId) => {
+  const heldPayment = await Payment.findOne({
+    where: { stripe_payment_intent_id: paymentIntentId }
+  });
+  const booking = heldPayment && heldPayment.booking_id
+    ? await Booking.findByPk(heldPayment.booking_id, {
+      include: [{ model: User, as: 'user' }]
+    })
+    : null;
+
+  const expired = Boolean(booking) && booking.status !== 'confirmed'
+    && (booking.status === 'cancelled'
+      || (new Date(booking.paymentExpiresAt) <= new Date() && await isHeldSlotTaken(booking)));
+
+  const { payment } = await paymentService.confirmPayment(paymentIntentId, {
+    issueInvoice: !expired
+  });
+
+  if (!booking || booking.status === 'confirmed') {
+    return { bookingId: payment.booking_id, status: booking ? booking.status : null };
+  }
+
+  if (expired) {
+    if (booking.status !== 'cancelled') {
+      await booking.update({
+        status: 'cancelled',
+        cancellationReason: 'Payment was not completed in time',
+        paymentExpiresAt: null
+      });
+    }
+
+    if (payment.status === 'refunded') {
+      return { bookingId: booking.id, status: 'refunded' };
+    }
+
+    const refund = await paymentService.processRefund(payment.id);
+
+    logger.info(`Refunded late payment ${payment.id} for released booking ${booking.id}`);
+    return { bookingId: booking.id, status: 'refunded', refundId: refund.refund_id };
+  }
+
+  await booking.update({ status: 'confirmed', paymentExpiresAt: null });
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId: booking.userId,
+    action: 'booking.payment_confirmed',
+    metadata: {
+      bookingId: booking.id,
+      paymentId: payment.id,
+      amount: payment.amount,
+      currency: payment.currency
+    }
+  });
+
+  logger.info(`Booking ${booking.id} confirmed by payment ${payment.id}`);
+
+  await announceBooking(booking);
+
+  return { bookingId: booking.id, status: 'confirmed' };
+};
+
+/**
+ * Release the slots of bookings whose payment hold has expired
+ *
+ * Cancels the Stripe payment intents first, so an invitee can no longer
+ * pay for a released slot. Bookings whose payment already went through
+ * are left for the payment webhook to confirm.
+ *
+ * @param {Date} [now] - Reference instant
+ * @returns {Promise<number>} Number of released bookings
+ */
+const releaseExpiredPaymentHolds = async (now = new Date()) => {
+  const bookings = await Booking.findAll({
+    where: {
+      status: 'pending_payment',
+      paymentExpiresAt: { [Op.lte]: now }
+    }
+  });
+
+  const results = await Promise.all(bookings.map(async (booking) => {
+    try {
+      const payment = await Payment.findOne({
+        where: { booking_id: booking.id, status: 'pending' }
+      });
+
+      if (payment && !(await paymentService.cancelPaymentIntent(payment))) {
+        logger.info(`Payment for held booking ${booking.id} is going through, keeping the hold`);
+        return false;
+      }
+
+      await booking.update({
+        status: 'cancelled',
+        cancellationReason: 'Payment was not completed in time',
+        paymentExpiresAt: null
+      });
+
+      await AuditLog.create({
+        id: uuidv4(),
+        userId: booking.userId,
+        action: 'booking.payment_expired',
+        metadata: {
+          bookingId: booking.id,
+          paymentId: payment ? payment.id : null
+        }
+      });
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to release payment hold of booking ${booking.id}:`, error);
+      return false;
+    }
+  }));
+  const released = results.filter(Boolean).length;
+
+  if (released > 0) {
+    logger.info(`Released ${released} expired payment holds`);
+  }
+
+  return released;
+};
+
+/**
+ * Refund the invitee of a booking the host cancelled
+ *
+ * A completed payment is refunded in full; a payment still in progress is
+ * cancelled instead.
+ *
+ * @param {Object} booking - Cancelled booking
+ * @returns {Promise<Object|null>} Refund details, or null if nothing was paid
+ */
+const refundBookingPayment = async (booking) => {
+  const payments = await Payment.findAll({
+    where: {
+      booking_id: booking.id,
+      status: { [Op.in]: ['pending', 'completed'] }
+    }
+  });
+
+  const refunds = await Promise.all(payments.map(async (payment) => {
+    if (payment.status !== 'completed') {
+      await paymentService.cancelPaymentIntent(payment);
+      return null;
+    }
+
+    // Nothing was charged for payments a promo code waived
+    if (!payment.stripe_payment_intent_id) {
+      return null;
+    }
+
+    const refund = await paymentService.processRefund(payment.id);
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId: booking.userId,
+      action: 'booking.payment_refunded',
+      metadata: {
+        bookingId: booking.id,
+        paymentId: payment.id,
+        refundId: refund.refund_id,
+        amount: refund.amount
+      }
+    });
+
+    return refund;
+  }));
+
+  return refunds.find(Boolean) || null;
+};
+
+module.exports = {
+  getPaymentHoldExpiry,
+  announceBooking,
+  confirmBookingPayment,
+  releaseExpiredPaymentHolds,
+  refundBookingPayment
+};
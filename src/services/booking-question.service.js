@@ -0,0 +1,283 @@
+/**
+ * Booking question service
+ *
+ * Validates the custom questions hosts add to event types and the answers
+ * invitees give to them, and formats stored answers for emails, calendar
+ * invites and exports.
+ *
+ * Answers are stored on the booking as a snapshot of each question's label
+ * and type, so they still read correctly after the question is edited.
+ *
+ * @author meetabl Team
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const QUESTION_TYPES = ['text', 'textarea', 'select', 'checkbox', 'phone'];
+
+// Longest answer accepted for each free-text question type
+const ANSWER_MAX_LENGTH = {
+  text: 255,
+  textarea: 2000,
+  phone: 25
+};
+
+const LABEL_MAX_LENGTH = 255;
+const OPTION_MAX_LENGTH = 100;
+const PHONE_PATTERN = /^\+?[\d\s\-().]{5,25}$/;
+
+/**
+ * Build a validation error for a request field
+ * @param {string} field - Field name
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const invalidField = (field, message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.field = field;
+  return error;
+};
+
+/**
+ * Check whether a value is a non-empty string after trimming
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-blank strings
+ */
+const isFilled = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate and normalize an event type's question definitions
+ *
+ * Each question has a label, a type from QUESTION_TYPES and a required
+ * flag. Select questions need options; checkbox questions with options
+ * accept several of them, and without options are a single yes/no box.
+ *
+ * @param {Array<Object>} questions - Question definitions from a host
+ * @returns {Array<Object>} Normalized questions, with IDs assigned
+ */
+const normalizeQuestions = (questions) => {
+  if (!Array.isArray(questions)) {
+    throw invalidField('questions', 'Questions must be an array');
+  }
+
+  const ids = new Set();
+
+  return questions.map((question, index) => {
+    const position = `Question ${index + 1}`;
+
+    if (!question || typeof question !== 'object') {
+      throw invalidField('questions', `${position} must be an object`);
+    }
+
+    const {
+      id, label, type, required, options
+    } = question;
+
+    if (!isFilled(label) || label.trim().length > LABEL_MAX_LENGTH) {
+      throw invalidField('questions', `${position} needs a label of at most ${LABEL_MAX_LENGTH} characters`);
+    }
+
+    if (!QUESTION_TYPES.includes(type)) {
+      throw invalidField('questions', `${position} must have a type of ${QUESTION_TYPES.join(', ')}`);
+    }
+
+    const questionId = id === undefined || id === null ? uuidv4() : String(id);
+    if (ids.has(questionId)) {
+      throw invalidField('questions', `${position} has a duplicate ID`);
+    }
+    ids.add(questionId);
+
+    const normalized = {
+      id: questionId,
+      label: label.trim(),
+      type,
+      required: required === true
+    };
+
+    if (type === 'select' || type === 'checkbox') {
+      if (options !== undefined && !Array.isArray(options)) {
+        throw invalidField('questions', `${position} options must be an array`);
+      }
+
+      const choices = [...new Set((options || []).map((option) => String(option).trim()))];
+
+      if (choices.some((option) => !option || option.length > OPTION_MAX_LENGTH)) {
+        throw invalidField('questions', `${position} options must be 1 to ${OPTION_MAX_LENGTH} characters`);
+      }
+
+      if (type === 'select' && choices.length < 2) {
+        throw invalidField('questions', `${position} needs at least two options`);
+      }
+
+      if (choices.length > 0) {
+        normalized.options = choices;
+      }
+    }
+
+    return normalized;
+  });
+};
+
+/**
+ * Validate one answer against its question
+ * @param {Object} question - Normalized question
+ * @param {*} value - Submitted answer
+ * @returns {*} Normalized answer, or undefined if left blank
+ */
+const validateAnswer = (question, value) => {
+  const field = `answers.${question.id}`;
+  const blank = value === undefined || value === null || value === ''
+    || value === false || (Array.isArray(value) && value.length === 0);
+
+  if (blank) {
+    if (question.required) {
+      throw invalidField(field, `${question.label} is required`);
+    }
+    return undefined;
+  }
+
+  switch (question.type) {
+    case 'select':
+      if (!(question.options || []).includes(value)) {
+        throw invalidField(field, `${question.label} must be one of the listed options`);
+      }
+      return value;
+
+    case 'checkbox':
+      if (!question.options) {
+        if (value !== true) {
+          throw invalidField(field, `${question.label} must be true or false`);
+        }
+        return true;
+      }
+
+      if (!Array.isArray(value) || value.some((choice) => !question.options.includes(choice))) {
+        throw invalidField(field, `${question.label} must be a list of the listed options`);
+      }
+      return question.options.filter((option) => value.includes(option));
+
+    default: {
+      if (typeof value !== 'string') {
+        throw invalidField(field, `${question.label} must be text`);
+      }
+
+      const answer = value.trim();
+
+      if (!answer) {
+        if (question.required) {
+          throw invalidField(field, `${question.label} is required`);
+        }
+        return undefined;
+      }
+
+      if (answer.length > ANSWER_MAX_LENGTH[question.type]) {
+        throw invalidField(field, `${question.label} must be at most ${ANSWER_MAX_LENGTH[question.type]} characters`);
+      }
+
+      if (question.type === 'phone' && !PHONE_PATTERN.test(answer)) {
+        throw invalidField(field, `${question.label} must be a valid phone number`);
+      }
+
+      return answer;
+    }
+  }
+};
+
+/**
+ * Validate an invitee's answers against an event type's questions
+ * @param {Array<Object>} questions - Event type questions
+ * @param {Object} [answers] - Answers keyed by question ID
+ * @returns {Array<Object>|null} Answers to store with the booking, or null
+ *   if the event type has no questions
+ */
+const validateAnswers = (questions, answers) => {
+  // Questions saved before they had IDs cannot be answered
+  const definitions = (Array.isArray(questions) ? questions : [])
+    .filter((question) => question && question.id);
+  const submitted = answers || {};
+
+  if (typeof submitted !== 'object' || Array.isArray(submitted)) {
+    throw invalidField('answers', 'Answers must be an object keyed by question ID');
+  }
+
+  const unknownIds = Object.keys(submitted)
+    .filter((id) => !definitions.some((question) => question.id === id));
+
+  if (unknownIds.length > 0) {
+    throw invalidField('answers', `Unknown questions: ${unknownIds.join(', ')}`);
+  }
+
+  if (definitions.length === 0) {
+    return null;
+  }
+
+  return definitions.reduce((stored, question) => {
+    const value = validateAnswer(question, submitted[question.id]);
+
+    if (value !== undefined) {
+      stored.push({
+        question_id: question.id,
+        label: question.label,
+        type: question.type,
+        value
+      });
+    }
+
+    return stored;
+  }, []);
+};
+
+/**
+ * Format a stored answer's value for display
+ * @param {Object} answer - Stored answer
+ * @returns {string} Display value
+ */
+const formatAnswerValue = (answer) => {
+  if (answer.value === true) {
+    return 'Yes';
+  }
+  if (Array.isArray(answer.value)) {
+    return answer.value.join(', ');
+  }
+  return String(answer.value);
+};
+
+/**
+ * Format stored answers as plain text
+ * @param {Array<Object>} [answers] - Stored answers
+ * @param {string} [separator] - Text between answers
+ * @returns {string} "Label: value" lines, or an empty string
+ */
+const formatAnswersText = (answers, separator = '\n') => (Array.isArray(answers) ? answers : [])
+  .map((answer) => `${answer.label}: ${formatAnswerValue(answer)}`)
+  .join(separator);
+
+/**
+ * Escape text for inclusion in an HTML email
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Format stored answers as HTML paragraphs for emails
+ * @param {Array<Object>} [answers] - Stored answers
+ * @returns {string} HTML, or an empty string
+ */
+const formatAnswersHtml = (answers) => (Array.isArray(answers) ? answers : [])
+  .map((answer) => `<p><strong>${escapeHtml(answer.label)}:</strong> ${escapeHtml(formatAnswerValue(answer))}</p>`)
+  .join('');
+
+module.exports = {
+  QUESTION_TYPES,
+  normalizeQuestions,
+  validateAnswers,
+  formatAnswersText,
+  formatAnswersHtml
+};
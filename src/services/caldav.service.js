@@ -0,0 +1,538 @@
+/**
+ * CalDAV service
+ *
+ * Talks to CalDAV servers such as iCloud, Fastmail, Nextcloud and
+ * Radicale with an app-specific password. Finds the user's calendar,
+ * reads busy times with calendar-query REPORTs and creates, updates and
+ * deletes booking events as iCalendar resources.
+ *
+ * @author meetabl Team
+ */
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const ics = require('ics');
+const { fromZonedTime } = require('date-fns-tz');
+const logger = require('../config/logger');
+const { assertPublicUrl, lookupPublicAddress } = require('../utils/network');
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+// 303 would turn the request into a GET, which no WebDAV method expects
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+// All-day events without an end or duration last a day (RFC 5545)
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a CalDAV error
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {string} [field] - Request field a validation error is about
+ * @returns {Error} Error with statusCode
+ */
+const caldavError = (message, statusCode, field) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (field) {
+    error.field = field;
+  }
+  return error;
+};
+
+/**
+ * Decode the XML entities and CDATA of an element's text
+ * @param {string} text - Element text
+ * @returns {string} Decoded text
+ */
+const decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Get the contents of every element with a name, whatever its namespace prefix
+ * @param {string} xml - XML document or fragment
+ * @param {string} name - Local element name
+ * @returns {Array<string>} Raw element contents
+ */
+const findElements = (xml, name) => {
+  const pattern = new RegExp(
+    `<(?:[\\w.-]+:)?${name}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}>)`,
+    'g'
+  );
+  return [...xml.matchAll(pattern)].map((match) => match[1] || '');
+};
+
+/**
+ * Get the decoded text of the first element with a name
+ * @param {string} xml - XML document or fragment
+ * @param {string} name - Local element name
+ * @returns {string|null} Element text
+ */
+const findText = (xml, name) => {
+  const [content] = findElements(xml, name);
+  return content === undefined ? null : decodeXml(content).trim();
+};
+
+/**
+ * Get the href held by the first property with a name
+ * @param {string} xml - XML document or fragment
+ * @param {string} name - Local property name
+ * @returns {string|null} Href
+ */
+const findHref = (xml, name) => {
+  const [property] = findElements(xml, name);
+  return property ? findText(property, 'href') : null;
+};
+
+/**
+ * Split a multistatus response into its responses
+ * @param {string} xml - Multistatus document
+ * @returns {Array<{href: string, xml: string}>} Responses with their href
+ */
+const parseMultistatus = (xml) => findElements(xml, 'response')
+  .map((response) => ({ href: findText(response, 'href'), xml: response }));
+
+/**
+ * Send a WebDAV request to a CalDAV server
+ *
+ * Servers are reached on public addresses only. Redirects are followed
+ * here rather than by axios, and only within the server's own origin, so
+ * the credentials are never sent to another host or given up to HTTP.
+ *
+ * @param {Object} account - Server credentials
+ * @param {string} account.username - Username
+ * @param {string} account.password - App-specific password
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @param {Object} [options] - Request options
+ * @param {string} [options.body] - Request body
+ * @param {string} [options.depth] - Depth header
+ * @param {Object} [options.headers] - Extra headers
+ * @param {number} [redirects] - Redirects followed so far
+ * @returns {Promise<Object>} Axios response
+ * @throws {Error} EPRIVATEADDRESS if a host is not public
+ */
+const davRequest = async (account, method, url, options = {}, redirects = 0) => {
+  const { body, depth, headers = {} } = options;
+
+  await assertPublicUrl(url);
+
+  const response = await axios({
+    method,
+    url,
+    data: body,
+    auth: { username: account.username, password: account.password },
+    headers: {
+      ...(body ? { 'Content-Type': 'application/xml; charset=utf-8' } : {}),
+      ...(depth !== undefined ? { Depth: depth } : {}),
+      ...headers
+    },
+    responseType: 'text',
+    transformResponse: [(data) => data],
+    timeout: REQUEST_TIMEOUT_MS,
+    lookup: lookupPublicAddress,
+    maxRedirects: 0,
+    validateStatus: (status) => (status >= 200 && status < 300)
+      || REDIRECT_STATUSES.includes(status)
+  });
+
+  if (!REDIRECT_STATUSES.includes(response.status)) {
+    return response;
+  }
+
+  const location = response.headers && response.headers.location;
+
+  if (!location || redirects >= MAX_REDIRECTS) {
+    throw caldavError('The CalDAV server did not answer at the URL it was sent to', 502);
+  }
+
+  const next = new URL(location, url);
+
+  if (new URL(url).protocol === 'https:' && next.protocol !== 'https:') {
+    throw caldavError('The CalDAV server redirected to an insecure URL', 502);
+  }
+
+  if (next.origin !== new URL(url).origin) {
+    throw caldavError('The CalDAV server redirected to another host', 502);
+  }
+
+  return davRequest(account, method, next.toString(), options, redirects + 1);
+};
+
+/**
+ * Read properties of a WebDAV resource
+ * @param {Object} account - Server credentials
+ * @param {string} url - Resource URL
+ * @param {string} props - Property elements to request
+ * @param {string} [depth] - '0' for the resource, '1' for its members too
+ * @returns {Promise<Array<{href: string, xml: string}>>} Responses
+ */
+const propfind = async (account, url, props, depth = '0') => {
+  const response = await davRequest(account, 'PROPFIND', url, {
+    depth,
+    body: '<?xml version="1.0" encoding="utf-8"?>'
+      + '<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">'
+      + `<d:prop>${props}</d:prop></d:propfind>`
+  });
+  return parseMultistatus(response.data);
+};
+
+/**
+ * Find the calendars of a CalDAV account
+ *
+ * Follows the server's principal and calendar home, trying the
+ * /.well-known/caldav redirect when the URL given is not a DAV resource.
+ *
+ * @param {Object} account - Server credentials
+ * @param {string} account.serverUrl - CalDAV server URL
+ * @param {string} account.username - Username
+ * @param {string} account.password - App-specific password
+ * @returns {Promise<Array<{url: string, name: string}>>} Event calendars, default first
+ */
+const discoverCalendars = async (account) => {
+  let serverUrl;
+  try {
+    serverUrl = new URL(account.serverUrl);
+  } catch (error) {
+    throw caldavError('CalDAV server URL is not valid', 400, 'server_url');
+  }
+
+  // Passwords only go over plain HTTP to local servers in development
+  if (serverUrl.protocol !== 'https:' && process.env.NODE_ENV === 'production') {
+    throw caldavError('CalDAV server URL must use HTTPS', 400, 'server_url');
+  }
+
+  const findPrincipal = async (url) => {
+    const [response] = await propfind(account, url, '<d:current-user-principal/>');
+    const principal = response && findHref(response.xml, 'current-user-principal');
+    return principal ? new URL(principal, url).toString() : null;
+  };
+
+  try {
+    let principalUrl;
+    try {
+      principalUrl = await findPrincipal(serverUrl.toString());
+    } catch (error) {
+      if (!error.response || error.response.status === 401) {
+        throw error;
+      }
+    }
+    if (!principalUrl) {
+      principalUrl = await findPrincipal(new URL('/.well-known/caldav', serverUrl).toString());
+    }
+
+    if (!principalUrl) {
+      throw caldavError('No CalDAV account was found at this server URL', 400, 'server_url');
+    }
+
+    const [principal] = await propfind(account, principalUrl, '<c:calendar-home-set/>');
+    const homeHref = principal && findHref(principal.xml, 'calendar-home-set');
+
+    if (!homeHref) {
+      throw caldavError('The CalDAV account has no calendar home', 400, 'server_url');
+    }
+
+    const homeUrl = new URL(homeHref, principalUrl).toString();
+    const members = await propfind(
+      account,
+      homeUrl,
+      '<d:resourcetype/><d:displayname/><c:supported-calendar-component-set/>',
+      '1'
+    );
+
+    const calendars = members
+      .filter((member) => findElements(member.xml, 'calendar').length > 0)
+      .filter((member) => {
+        const components = findElements(member.xml, 'supported-calendar-component-set')[0];
+        return !components || /name="VEVENT"/i.test(components);
+      })
+      .map((member) => ({
+        url: new URL(member.href, homeUrl).toString(),
+        name: findText(member.xml, 'displayname') || member.href
+      }));
+
+    if (calendars.length === 0) {
+      throw caldavError('The CalDAV account has no calendar for events', 400, 'server_url');
+    }
+
+    return calendars;
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    if (error.code === 'EPRIVATEADDRESS') {
+      throw caldavError('CalDAV server URL must point to a public host', 400, 'server_url');
+    }
+    if (error.response && [401, 403].includes(error.response.status)) {
+      throw caldavError(
+        'The CalDAV server rejected the username or app-specific password',
+        400,
+        'password'
+      );
+    }
+    // The cause stays in the logs, since it can describe the server's network
+    logger.warn(`CalDAV discovery at ${serverUrl.host} failed: ${error.message}`);
+    throw caldavError('Could not reach the CalDAV server', 502);
+  }
+};
+
+/**
+ * Get the credentials and calendar of a CalDAV connection
+ * @param {Object} token - CalDAV CalendarToken instance
+ * @returns {Object} Account with its calendar URL
+ */
+const getAccount = (token) => ({
+  username: token.email,
+  password: token.accessToken,
+  calendarUrl: token.calendarUrl
+});
+
+/**
+ * Format an instant as an iCalendar UTC date-time
+ * @param {Date} date - Instant
+ * @returns {string} Date-time such as 20300701T090000Z
+ */
+const formatIcsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse an iCalendar date or date-time property
+ *
+ * Date-times without a Z are read in their TZID time zone, or in UTC when
+ * they are floating.
+ *
+ * @param {Object} [property] - DTSTART or DTEND property
+ * @param {string} property.value - Property value
+ * @param {string} [property.tzid] - TZID parameter
+ * @returns {Date|null} Instant, or null if it cannot be read
+ */
+const parseIcsDate = (property) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(property ? property.value : '');
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00', utc] = match;
+  const localTime = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+
+  if (!utc && property.tzid) {
+    const date = fromZonedTime(localTime, property.tzid);
+    if (!Number.isNaN(date.getTime())) {
+      return date;
+    }
+  }
+  return new Date(`${localTime}Z`);
+};
+
+/**
+ * Parse an iCalendar duration such as PT30M or P1D
+ * @param {string} value - DURATION value
+ * @returns {number} Duration in milliseconds
+ */
+const parseIcsDuration = (value) => {
+  const pattern = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+  const match = pattern.exec(value || '');
+  if (!match) {
+    return 0;
+  }
+  const [, weeks, days, hours, minutes, seconds] = match.map((part) => Number(part || 0));
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+};
+
+/**
+ * Read the busy intervals of the events in iCalendar data
+ *
+ * Recurring events are expected expanded into their occurrences, as
+ * servers return them for calendar-query REPORTs with an expand element.
+ * Cancelled and transparent (free) events are skipped.
+ *
+ * @param {string} calendarData - iCalendar data
+ * @returns {Array<{start: Date, end: Date}>} Busy intervals
+ */
+const parseBusyTimes = (calendarData) => {
+  const lines = calendarData.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+
+  lines.forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+    } else if (line === 'END:VEVENT') {
+      events.push(event);
+      event = null;
+    } else if (event) {
+      // Parameter values may be quoted and hold colons
+      const match = /^((?:[^:"]|"[^"]*")*):(.*)$/.exec(line);
+      if (match) {
+        const [name, ...params] = match[1].split(';');
+        const tzid = params.find((param) => /^TZID=/i.test(param));
+        event[name.toUpperCase()] = {
+          value: match[2],
+          tzid: tzid && tzid.slice(5).replace(/"/g, '')
+        };
+      }
+    }
+  });
+
+  return events
+    .filter((item) => !(item.STATUS && item.STATUS.value === 'CANCELLED')
+      && !(item.TRANSP && item.TRANSP.value === 'TRANSPARENT'))
+    .map((item) => {
+      const start = parseIcsDate(item.DTSTART);
+      if (item.DTEND || !start) {
+        return { start, end: parseIcsDate(item.DTEND) };
+      }
+
+      let duration = item.DURATION ? parseIcsDuration(item.DURATION.value) : 0;
+      if (!item.DURATION && item.DTSTART.value.length === 8) {
+        duration = ONE_DAY_MS;
+      }
+      return { start, end: new Date(start.getTime() + duration) };
+    })
+    .filter((interval) => interval.start && interval.end);
+};
+
+/**
+ * Get busy times from a CalDAV calendar
+ * @param {Object} token - CalDAV CalendarToken instance
+ * @param {Date} startTime - Start time for query
+ * @param {Date} endTime - End time for query
+ * @returns {Promise<Array>} Array of busy time intervals
+ */
+const getBusyTimes = async (token, startTime, endTime) => {
+  const account = getAccount(token);
+  const range = `start="${formatIcsDate(startTime)}" end="${formatIcsDate(endTime)}"`;
+
+  const response = await davRequest(account, 'REPORT', account.calendarUrl, {
+    depth: '1',
+    body: '<?xml version="1.0" encoding="utf-8"?>'
+      + '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">'
+      + `<d:prop><c:calendar-data><c:expand ${range}/></c:calendar-data></d:prop>`
+      + '<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">'
+      + `<c:time-range ${range}/>`
+      + '</c:comp-filter></c:comp-filter></c:filter></c:calendar-query>'
+  });
+
+  return parseMultistatus(response.data)
+    .flatMap((item) => parseBusyTimes(findText(item.xml, 'calendar-data') || ''))
+    .filter((interval) => interval.start < endTime && interval.end > startTime);
+};
+
+/**
+ * Build the iCalendar resource of a booking's event
+ * @param {string} uid - Event UID
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - Host
+ * @returns {string} iCalendar data
+ */
+const buildEventIcs = (uid, booking, user) => {
+  const customerName = booking.customerName || booking.customer_name;
+  const customerEmail = booking.customerEmail || booking.customer_email;
+
+  const { error, value } = ics.createEvent({
+    uid,
+    productId: 'meetabl.com',
+    title: `Meeting with ${customerName}`,
+    description: booking.description || booking.notes || 'meetabl booking',
+    start: new Date(booking.startTime || booking.start_time).getTime(),
+    startInputType: 'utc',
+    startOutputType: 'utc',
+    end: new Date(booking.endTime || booking.end_time).getTime(),
+    endInputType: 'utc',
+    endOutputType: 'utc',
+    status: 'CONFIRMED',
+    busyStatus: 'BUSY',
+    organizer: { name: `${user.firstName} ${user.lastName}`, email: user.email },
+    attendees: [
+      { name: customerName, email: customerEmail },
+      ...(booking.attendees || [])
+    ].map((attendee) => ({
+      name: attendee.name || attendee.email,
+      email: attendee.email,
+      rsvp: true,
+      partstat: 'NEEDS-ACTION',
+      role: 'REQ-PARTICIPANT'
+    }))
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  // Calendar collections must not hold scheduling methods (RFC 4791)
+  return value.replace(/^METHOD:.*\r\n/m, '');
+};
+
+/**
+ * Get the UID of the event stored at an href
+ * @param {string} href - Event resource path
+ * @returns {string} Event UID
+ */
+const getEventUid = (href) => decodeURIComponent(href.split('/').pop().replace(/\.ics$/, ''));
+
+/**
+ * Create a booking's event on a CalDAV calendar
+ * @param {Object} token - CalDAV CalendarToken instance
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - Host
+ * @returns {Promise<Object>} Created event, with its resource path as ID
+ */
+const createEvent = async (token, booking, user) => {
+  const account = getAccount(token);
+  const uid = uuidv4();
+  const collectionUrl = account.calendarUrl.endsWith('/') ? account.calendarUrl : `${account.calendarUrl}/`;
+  const url = new URL(`${uid}.ics`, collectionUrl);
+
+  await davRequest(account, 'PUT', url.toString(), {
+    body: buildEventIcs(uid, booking, user),
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' }
+  });
+
+  return { id: url.pathname };
+};
+
+/**
+ * Replace a booking's event on a CalDAV calendar with its current details
+ * @param {Object} token - CalDAV CalendarToken instance
+ * @param {string} eventId - Event resource path
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - Host
+ * @returns {Promise<Object>} Updated event
+ */
+const updateEvent = async (token, eventId, booking, user) => {
+  const account = getAccount(token);
+  const url = new URL(eventId, account.calendarUrl).toString();
+
+  // PUT would create the event again, so check the host has not deleted it
+  await davRequest(account, 'HEAD', url);
+  await davRequest(account, 'PUT', url, {
+    body: buildEventIcs(getEventUid(eventId), booking, user),
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8' }
+  });
+
+  return { id: eventId };
+};
+
+/**
+ * Delete an event from a CalDAV calendar
+ * @param {Object} token - CalDAV CalendarToken instance
+ * @param {string} eventId - Event resource path
+ * @returns {Promise<void>}
+ */
+const deleteEvent = async (token, eventId) => {
+  const account = getAccount(token);
+  await davRequest(account, 'DELETE', new URL(eventId, account.calendarUrl).toString());
+};
+
+module.exports = {
+  discoverCalendars,
+  parseBusyTimes,
+  getBusyTimes,
+  createEvent,
+  updateEvent,
+  deleteEvent
+};
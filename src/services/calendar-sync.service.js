@@ -0,0 +1,635 @@
+/**
+ * Calendar sync service
+ *
+ * Follows changes to hosts' Google and Outlook calendars. Each connected
+ * calendar gets a Google watch channel or Microsoft Graph subscription
+ * that notifies meetabl of changes, and an incremental sync token so each
+ * sync only reads what changed since the last one. The calendar followed
+ * is the connection's destination calendar. When a host deletes a
+ * meetabl-created event, the booking behind it is cancelled.
+ *
+ * @author meetabl Team
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { google } = require('googleapis');
+const { Op } = require('sequelize');
+const logger = require('../config/logger');
+const { sequelize } = require('../config/database');
+const { Booking, CalendarToken, AuditLog } = require('../models');
+const calendarService = require('./calendar.service');
+const bookingLifecycleService = require('./booking-lifecycle.service');
+
+// Google allows channels of up to a week; Graph event subscriptions are
+// kept shorter so a missed renewal is noticed sooner
+const GOOGLE_CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MICROSOFT_SUBSCRIPTION_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Channels expiring within this window are renewed by the scheduled job
+const RENEWAL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Graph delta queries follow a fixed window of the host's calendar
+const MICROSOFT_DELTA_DAYS = 365;
+
+// Attempts and backoff of calendar change jobs
+const SYNC_ATTEMPTS = 5;
+const SYNC_RETRY_BASE_DELAY_MS = 30 * 1000;
+
+// CalDAV has no push notifications, so only these calendars are watched
+const WATCHED_PROVIDERS = ['google', 'microsoft'];
+
+const CANCELLATION_REASON = 'The host removed the event from their calendar';
+
+/**
+ * Get the URL providers send change notifications to
+ *
+ * Google and Graph only deliver to public HTTPS endpoints, so calendars
+ * are not watched when API_BASE_URL is not one.
+ *
+ * @param {string} provider - 'google' or 'microsoft'
+ * @returns {string|null} Notification URL, or null if it cannot be reached
+ */
+const getNotificationUrl = (provider) => {
+  const baseUrl = (process.env.API_BASE_URL || '').replace(/\/+$/, '');
+
+  return baseUrl.startsWith('https://') ? `${baseUrl}/api/calendar/webhooks/${provider}` : null;
+};
+
+/**
+ * Compare a secret echoed by a provider with the stored one
+ * @param {string} expected - Stored secret
+ * @param {string} actual - Secret received
+ * @returns {boolean} Whether they match
+ */
+const secretsMatch = (expected, actual) => {
+  if (!expected || typeof actual !== 'string') {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(actual);
+
+  return expectedBuffer.length === actualBuffer.length
+    && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+/**
+ * Get the Google Calendar API for a connected calendar
+ * @param {Object} token - Google CalendarToken instance
+ * @returns {Promise<Object>} Calendar API client
+ */
+const getGoogleCalendar = async (token) => google.calendar({
+  version: 'v3',
+  auth: await calendarService.createGoogleAuthClient(token)
+});
+
+/**
+ * Read every page of a paged provider response
+ * @param {Function} fetchPage - Fetches the page after a cursor, or the first page
+ * @param {string} [cursor] - Cursor of the page to fetch
+ * @param {Array<Object>} [items] - Items of the pages read so far
+ * @returns {Promise<{items: Array<Object>, syncToken: string}>} Items and the next sync token
+ */
+const readAllPages = async (fetchPage, cursor = null, items = []) => {
+  const page = await fetchPage(cursor);
+  const allItems = items.concat(page.items);
+
+  if (page.next) {
+    return readAllPages(fetchPage, page.next, allItems);
+  }
+
+  return { items: allItems, syncToken: page.syncToken };
+};
+
+/**
+ * Get the Graph path of the calendar a Microsoft connection follows
+ * @param {Object} token - Microsoft CalendarToken instance
+ * @returns {string} Graph path of the destination calendar
+ */
+const getMicrosoftFollowedPath = (token) => (token.destinationCalendarId
+  ? `/me/calendars/${encodeURIComponent(token.destinationCalendarId)}`
+  : '/me');
+
+/**
+ * List the Google events changed since the last sync
+ *
+ * Without a sync token, only the token for future syncs is fetched.
+ *
+ * @param {Object} token - Google CalendarToken instance
+ * @param {string|null} syncToken - Sync token of the last sync
+ * @returns {Promise<Object>} Changed events as items, and the next syncToken
+ */
+const listGoogleChanges = async (token, syncToken) => {
+  const calendar = await getGoogleCalendar(token);
+
+  return readAllPages(async (pageToken) => {
+    const { data } = await calendar.events.list({
+      calendarId: token.destinationCalendarId || 'primary',
+      showDeleted: true,
+      maxResults: 2500,
+      ...(syncToken ? { syncToken } : { fields: 'nextPageToken,nextSyncToken' }),
+      ...(pageToken ? { pageToken } : {})
+    });
+
+    return {
+      items: syncToken ? data.items || [] : [],
+      next: data.nextPageToken,
+      syncToken: data.nextSyncToken
+    };
+  });
+};
+
+/**
+ * List the Outlook events changed since the last sync
+ *
+ * Without a delta link, only the link for future syncs is fetched, over
+ * a window from today.
+ *
+ * @param {Object} token - Microsoft CalendarToken instance
+ * @param {string|null} deltaLink - Delta link of the last sync
+ * @returns {Promise<Object>} Changed events as items, and the next delta link as syncToken
+ */
+const listMicrosoftChanges = async (token, deltaLink) => {
+  const client = await calendarService.createMicrosoftGraphClient(token);
+  const start = new Date();
+  const end = new Date(start.getTime() + MICROSOFT_DELTA_DAYS * 24 * 60 * 60 * 1000);
+  const firstPage = deltaLink || `${getMicrosoftFollowedPath(token)}/calendarView/delta`
+    + `?startDateTime=${start.toISOString()}&endDateTime=${end.toISOString()}`;
+
+  return readAllPages(async (nextLink) => {
+    const data = await client
+      .api(nextLink || firstPage)
+      .header('Prefer', 'odata.maxpagesize=200')
+      .get();
+
+    return {
+      items: deltaLink ? data.value || [] : [],
+      next: data['@odata.nextLink'],
+      syncToken: data['@odata.deltaLink']
+    };
+  });
+};
+
+/**
+ * Get the IDs of events a sync reports as deleted
+ * @param {string} provider - 'google' or 'microsoft'
+ * @param {Array<Object>} items - Changed events
+ * @returns {Array<string>} Deleted event IDs
+ */
+const getDeletedEventIds = (provider, items) => items
+  .filter((item) => (provider === 'google'
+    ? item.status === 'cancelled'
+    : Boolean(item['@removed']) || item.isCancelled === true))
+  .map((item) => item.id);
+
+/**
+ * Find the upcoming bookings whose events a sync reports as deleted
+ * @param {Object} token - CalendarToken instance
+ * @param {Array<Object>} items - Changed events
+ * @returns {Promise<Array<Object>>} Booking instances
+ */
+const findBookingsOfDeletedEvents = async (token, items) => {
+  const deletedIds = getDeletedEventIds(token.provider, items);
+
+  if (deletedIds.length === 0) {
+    return [];
+  }
+
+  return Booking.findAll({
+    where: {
+      userId: token.userId,
+      calendarEventId: deletedIds,
+      status: { [Op.ne]: 'cancelled' },
+      endTime: { [Op.gt]: new Date() },
+      [Op.or]: [
+        { calendarProvider: token.provider },
+        { calendarProvider: null }
+      ]
+    }
+  });
+};
+
+/**
+ * Check whether a booking's event is still on the host's calendar
+ * @param {Object} token - CalendarToken the event was created with
+ * @param {Object} booking - Booking instance
+ * @returns {Promise<boolean>} False if the event was deleted or cancelled
+ */
+const eventExists = async (token, booking) => {
+  try {
+    if (token.provider === 'google') {
+      const calendar = await getGoogleCalendar(token);
+      const { data } = await calendar.events.get({
+        calendarId: booking.calendarId || 'primary',
+        eventId: booking.calendarEventId,
+        fields: 'status'
+      });
+
+      return data.status !== 'cancelled';
+    }
+
+    const client = await calendarService.createMicrosoftGraphClient(token);
+    const data = await client
+      .api(`/me/events/${encodeURIComponent(booking.calendarEventId)}`)
+      .select('isCancelled')
+      .get();
+
+    return data.isCancelled !== true;
+  } catch (error) {
+    if (calendarService.isEventGone(error)) {
+      return false;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Find the upcoming bookings whose events are no longer on the calendar
+ *
+ * Used after a full resync, which reports no changes, so deletions since
+ * the last good sync are not missed. Only bookings whose event was
+ * created with this connection are checked.
+ *
+ * @param {Object} token - CalendarToken instance
+ * @returns {Promise<Array<Object>>} Booking instances
+ */
+const findBookingsOfMissingEvents = async (token) => {
+  const bookings = await Booking.findAll({
+    where: {
+      userId: token.userId,
+      calendarTokenId: token.id,
+      calendarEventId: { [Op.ne]: null },
+      status: { [Op.ne]: 'cancelled' },
+      endTime: { [Op.gt]: new Date() }
+    }
+  });
+  const exists = await Promise.all(bookings.map((booking) => eventExists(token, booking)));
+
+  return bookings.filter((booking, index) => !exists[index]);
+};
+
+/**
+ * Cancel a booking whose event the host deleted
+ *
+ * The invitee is emailed and refunded as for any host cancellation, and
+ * the rest of a collective booking is cancelled with it.
+ *
+ * @param {Object} booking - Booking instance
+ * @param {Object} token - CalendarToken the deletion was seen on
+ * @returns {Promise<void>}
+ */
+const cancelBookingFromCalendar = async (booking, token) => {
+  const transaction = await sequelize.transaction();
+  let group;
+
+  try {
+    await booking.update({
+      status: 'cancelled',
+      cancellationReason: CANCELLATION_REASON,
+      calendarEventId: null,
+      calendarProvider: null,
+      calendarTokenId: null,
+      calendarId: null
+    }, { transaction });
+
+    group = await bookingLifecycleService.findGroupBookings(booking, transaction);
+    await Promise.all(group.map((member) => member.update({
+      status: 'cancelled',
+      cancellationReason: CANCELLATION_REASON
+    }, { transaction })));
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId: booking.userId,
+      action: 'booking.cancelled_from_calendar',
+      metadata: {
+        bookingId: booking.id,
+        provider: token.provider,
+        calendarTokenId: token.id
+      }
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  logger.info(`Booking ${booking.id} cancelled after its ${token.provider} event was deleted`);
+
+  await bookingLifecycleService.completeCancellation(booking, { refund: true });
+  await bookingLifecycleService.completeGroupCancellation(group, { refund: true });
+};
+
+/**
+ * Sync a connected calendar
+ *
+ * Reads the changes since the last sync and cancels upcoming bookings
+ * whose meetabl-created event was deleted. The first sync only fetches a
+ * token. When the provider expires a sync token, a new one is fetched and
+ * the events of upcoming bookings are checked one by one instead.
+ *
+ * @param {string} calendarTokenId - CalendarToken ID
+ * @returns {Promise<number>} Number of cancelled bookings
+ */
+const syncCalendarToken = async (calendarTokenId) => {
+  const token = await CalendarToken.findByPk(calendarTokenId);
+
+  if (!token || !WATCHED_PROVIDERS.includes(token.provider)) {
+    return 0;
+  }
+
+  const listChanges = token.provider === 'google' ? listGoogleChanges : listMicrosoftChanges;
+  let changes;
+  let resynced = false;
+
+  try {
+    changes = await listChanges(token, token.syncToken);
+  } catch (error) {
+    if (!token.syncToken || !calendarService.isEventGone(error)) {
+      throw error;
+    }
+
+    logger.warn(`Sync token of calendar ${token.id} expired, starting a new one`);
+    // The new token only covers changes after it, so it is fetched first
+    changes = await listChanges(token, null);
+    resynced = true;
+  }
+
+  const bookings = resynced
+    ? await findBookingsOfMissingEvents(token)
+    : await findBookingsOfDeletedEvents(token, changes.items);
+
+  await Promise.all(bookings.map((booking) => cancelBookingFromCalendar(booking, token)));
+
+  await token.update({ syncToken: changes.syncToken, lastSyncedAt: new Date() });
+
+  return bookings.length;
+};
+
+/**
+ * Queue a sync of a connected calendar
+ * @param {Object} token - CalendarToken instance
+ * @returns {Promise<Object>} Queued job
+ */
+const queueCalendarChanges = async (token) => {
+  // Required here so loading the service does not open a Redis connection
+  const { addJob } = require('../queue');
+
+  return addJob('calendarSync', 'calendar-changes', { calendarTokenId: token.id }, {
+    attempts: SYNC_ATTEMPTS,
+    backoff: { type: 'exponential', delay: SYNC_RETRY_BASE_DELAY_MS },
+    removeOnComplete: true
+  });
+};
+
+/**
+ * Stop a Google channel or Graph subscription at the provider
+ *
+ * Channels the provider no longer knows about count as stopped.
+ *
+ * @param {Object} token - CalendarToken the channel belongs to
+ * @param {string} channelId - Channel or subscription ID
+ * @param {string} [resourceId] - Google resource ID of the channel
+ * @returns {Promise<void>}
+ */
+const stopChannel = async (token, channelId, resourceId) => {
+  try {
+    if (token.provider === 'google') {
+      const calendar = await getGoogleCalendar(token);
+      await calendar.channels.stop({ requestBody: { id: channelId, resourceId } });
+    } else {
+      const client = await calendarService.createMicrosoftGraphClient(token);
+      await client.api(`/subscriptions/${encodeURIComponent(channelId)}`).delete();
+    }
+  } catch (error) {
+    if (!calendarService.isEventGone(error)) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Stop the change notifications of a connected calendar
+ * @param {Object} token - CalendarToken instance
+ * @returns {Promise<void>}
+ */
+const stopWatch = async (token) => {
+  if (!token.channelId) {
+    return;
+  }
+
+  await stopChannel(token, token.channelId, token.channelResourceId);
+
+  await token.update({
+    channelId: null,
+    channelResourceId: null,
+    channelSecret: null,
+    channelExpiresAt: null
+  });
+};
+
+/**
+ * Start change notifications for a connected calendar
+ *
+ * Replaces any existing channel, and fetches a sync token first so no
+ * change after the channel starts is missed.
+ *
+ * @param {Object} token - CalendarToken instance
+ * @returns {Promise<boolean>} Whether the calendar is watched
+ */
+const startWatch = async (token) => {
+  const notificationUrl = getNotificationUrl(token.provider);
+
+  if (!notificationUrl || !WATCHED_PROVIDERS.includes(token.provider)) {
+    return false;
+  }
+
+  if (!token.syncToken) {
+    const { syncToken } = token.provider === 'google'
+      ? await listGoogleChanges(token, null)
+      : await listMicrosoftChanges(token, null);
+    await token.update({ syncToken, lastSyncedAt: new Date() });
+  }
+
+  const { channelId: previousChannelId, channelResourceId: previousResourceId } = token;
+  const secret = crypto.randomBytes(32).toString('hex');
+  let channel;
+
+  if (token.provider === 'google') {
+    const calendar = await getGoogleCalendar(token);
+    const { data } = await calendar.events.watch({
+      calendarId: token.destinationCalendarId || 'primary',
+      requestBody: {
+        id: uuidv4(),
+        type: 'web_hook',
+        address: notificationUrl,
+        token: secret,
+        params: { ttl: String(GOOGLE_CHANNEL_TTL_SECONDS) }
+      }
+    });
+
+    channel = {
+      channelId: data.id,
+      channelResourceId: data.resourceId,
+      channelExpiresAt: new Date(Number(data.expiration))
+    };
+  } else {
+    const client = await calendarService.createMicrosoftGraphClient(token);
+    const data = await client.api('/subscriptions').post({
+      changeType: 'updated,deleted',
+      notificationUrl,
+      resource: `${getMicrosoftFollowedPath(token)}/events`,
+      expirationDateTime: new Date(Date.now() + MICROSOFT_SUBSCRIPTION_TTL_MS).toISOString(),
+      clientState: secret
+    });
+
+    channel = {
+      channelId: data.id,
+      channelResourceId: null,
+      channelExpiresAt: new Date(data.expirationDateTime)
+    };
+  }
+
+  await token.update({ ...channel, channelSecret: secret });
+
+  // The old channel overlaps the new one until here, so no change is lost
+  if (previousChannelId) {
+    try {
+      await stopChannel(token, previousChannelId, previousResourceId);
+    } catch (error) {
+      logger.warn(`Failed to stop replaced channel of calendar ${token.id}:`, error);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Renew change notifications that are about to expire
+ *
+ * Also starts them for calendars that are not watched yet, such as
+ * calendars connected before syncing existed or whose last renewal
+ * failed. Intended to be run at regular intervals via a scheduler.
+ *
+ * @param {Date} [now] - Reference instant
+ * @returns {Promise<number>} Number of renewed channels
+ */
+const renewExpiringChannels = async (now = new Date()) => {
+  if (!getNotificationUrl('google')) {
+    return 0;
+  }
+
+  const tokens = await CalendarToken.findAll({
+    where: {
+      provider: WATCHED_PROVIDERS,
+      [Op.or]: [
+        { channelExpiresAt: null },
+        { channelExpiresAt: { [Op.lte]: new Date(now.getTime() + RENEWAL_WINDOW_MS) } }
+      ]
+    }
+  });
+
+  const results = await Promise.all(tokens.map(async (token) => {
+    try {
+      return await startWatch(token);
+    } catch (error) {
+      logger.error(`Failed to renew change notifications of calendar ${token.id}:`, error);
+      return false;
+    }
+  }));
+  const renewed = results.filter(Boolean).length;
+
+  if (renewed > 0) {
+    logger.info(`Renewed ${renewed} calendar change notification channels`);
+  }
+
+  return renewed;
+};
+
+/**
+ * Handle a Google Calendar push notification
+ *
+ * Notifications only say that something changed, so a sync is queued.
+ * The first notification of a channel only confirms it was created.
+ *
+ * @param {Object} headers - Notification headers
+ * @param {string} headers.channelId - X-Goog-Channel-ID
+ * @param {string} headers.channelToken - X-Goog-Channel-Token
+ * @param {string} headers.resourceId - X-Goog-Resource-ID
+ * @param {string} headers.resourceState - X-Goog-Resource-State
+ * @returns {Promise<boolean>} Whether the notification came from a known channel
+ */
+const handleGoogleNotification = async ({
+  channelId, channelToken, resourceId, resourceState
+}) => {
+  if (!channelId) {
+    return false;
+  }
+
+  const token = await CalendarToken.findOne({
+    where: { channelId, provider: 'google' }
+  });
+
+  if (!token || !secretsMatch(token.channelSecret, channelToken)
+    || (resourceId && token.channelResourceId !== resourceId)) {
+    logger.warn(`Ignoring Google notification for unknown channel ${channelId}`);
+    return false;
+  }
+
+  if (resourceState !== 'sync') {
+    await queueCalendarChanges(token);
+  }
+
+  return true;
+};
+
+/**
+ * Handle a batch of Microsoft Graph change notifications
+ *
+ * Queues one sync per calendar that changed; notifications whose client
+ * state does not match the subscription are ignored.
+ *
+ * @param {Array<Object>} notifications - Graph notifications
+ * @returns {Promise<number>} Number of calendars queued for a sync
+ */
+const handleMicrosoftNotifications = async (notifications) => {
+  const bySubscription = new Map();
+  notifications.forEach((notification) => {
+    if (notification && notification.subscriptionId) {
+      bySubscription.set(notification.subscriptionId, notification.clientState);
+    }
+  });
+
+  if (bySubscription.size === 0) {
+    return 0;
+  }
+
+  const tokens = await CalendarToken.findAll({
+    where: { channelId: [...bySubscription.keys()], provider: 'microsoft' }
+  });
+  const verified = tokens
+    .filter((token) => secretsMatch(token.channelSecret, bySubscription.get(token.channelId)));
+
+  if (verified.length < bySubscription.size) {
+    const ignored = bySubscription.size - verified.length;
+    logger.warn(`Ignoring Graph notifications for ${ignored} unknown subscriptions`);
+  }
+
+  await Promise.all(verified.map((token) => queueCalendarChanges(token)));
+
+  return verified.length;
+};
+
+module.exports = {
+  getNotificationUrl,
+  syncCalendarToken,
+  queueCalendarChanges,
+  startWatch,
+  stopWatch,
+  renewExpiringChannels,
+  handleGoogleNotification,
+  handleMicrosoftNotifications
+};
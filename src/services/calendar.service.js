@@ -10,48 +10,14 @@ const { google } = require('googleapis');
 const { Client } = require('@microsoft/microsoft-graph-client');
 const { isBefore, addSeconds, formatISO } = require('date-fns');
 const logger = require('../config/logger');
-const { CalendarToken, User } = require('../models');
+const {
+  Booking, CalendarToken, EventType, User
+} = require('../models');
+const caldavService = require('./caldav.service');
 
-/**
- * Get Google auth client for a user
- * @param {string} userId - User ID
- * @returns {Promise<OAuth2Client>} Google OAuth2 client
- */
-const getGoogleAuthClient = async (userId) => {
-  try {
-    // Find token
-    const token = await CalendarToken.findOne({
-      where: { user_id: userId, provider: 'google' }
-    });
-
-    if (!token) {
-      throw new Error('Google Calendar not connected');
-    }
-
-    // Check if token is expired
-    if (isBefore(new Date(token.expires_at), new Date())) {
-      await refreshGoogleToken(token);
-    }
-
-    // Create OAuth2 client
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-
-    // Set credentials
-    oauth2Client.setCredentials({
-      access_token: token.accessToken,
-      refresh_token: token.refreshToken
-    });
-
-    return oauth2Client;
-  } catch (error) {
-    logger.error(`Error getting Google auth client for user ${userId}:`, error);
-    throw error;
-  }
-};
+// Attempts and backoff of calendarSync jobs
+const SYNC_ATTEMPTS = 5;
+const SYNC_RETRY_BASE_DELAY_MS = 30 * 1000;
 
 /**
  * Refresh Google access token
@@ -88,36 +54,51 @@ const refreshGoogleToken = async (token) => {
 };
 
 /**
- * Get Microsoft Graph client for a user
+ * Get a Google auth client for a connected calendar
+ * @param {Object} token - Google CalendarToken instance
+ * @returns {Promise<OAuth2Client>} Google OAuth2 client
+ */
+const createGoogleAuthClient = async (token) => {
+  // Check if token is expired
+  if (isBefore(new Date(token.expiresAt), new Date())) {
+    await refreshGoogleToken(token);
+  }
+
+  // Create OAuth2 client
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+
+  // Set credentials
+  oauth2Client.setCredentials({
+    access_token: token.accessToken,
+    refresh_token: token.refreshToken
+  });
+
+  return oauth2Client;
+};
+
+/**
+ * Get Google auth client for a user
  * @param {string} userId - User ID
- * @returns {Promise<Client>} Microsoft Graph client
+ * @returns {Promise<OAuth2Client>} Google OAuth2 client
  */
-const getMicrosoftGraphClient = async (userId) => {
+const getGoogleAuthClient = async (userId) => {
   try {
     // Find token
     const token = await CalendarToken.findOne({
-      where: { user_id: userId, provider: 'microsoft' }
+      where: { user_id: userId, provider: 'google' }
     });
 
     if (!token) {
-      throw new Error('Microsoft Calendar not connected');
-    }
-
-    // Check if token is expired
-    if (isBefore(new Date(token.expiresAt), new Date())) {
-      await refreshMicrosoftToken(token);
+      throw new Error('Google Calendar not connected');
     }
 
-    // Create Microsoft Graph client
-    const client = Client.init({
-      authProvider: (done) => {
-        done(null, token.accessToken);
-      }
-    });
-
-    return client;
+    return await createGoogleAuthClient(token);
   } catch (error) {
-    logger.error(`Error getting Microsoft Graph client for user ${userId}:`, error);
+    logger.error(`Error getting Google auth client for user ${userId}:`, error);
     throw error;
   }
 };
@@ -165,78 +146,167 @@ const refreshMicrosoftToken = async (token) => {
 };
 
 /**
- * Create calendar event for booking
- * @param {Object} booking - Booking instance
- * @returns {Promise<Object>} Created event details
+ * Get a Microsoft Graph client for a connected calendar
+ * @param {Object} token - Microsoft CalendarToken instance
+ * @returns {Promise<Client>} Microsoft Graph client
  */
-const createCalendarEvent = async (booking) => {
-  try {
-    // Get user
-    const user = await User.findOne({ where: { id: booking.userId } });
+const createMicrosoftGraphClient = async (token) => {
+  // Check if token is expired
+  if (isBefore(new Date(token.expiresAt), new Date())) {
+    await refreshMicrosoftToken(token);
+  }
 
-    if (!user || !user.calendar_provider || user.calendar_provider === 'none') {
-      logger.info(`No calendar provider configured for user ${booking.userId}`);
-      return null;
+  // Create Microsoft Graph client
+  return Client.init({
+    authProvider: (done) => {
+      done(null, token.accessToken);
     }
+  });
+};
 
-    // Format event times - handle both camelCase and snake_case
-    const startTime = formatISO(new Date(booking.startTime || booking.start_time));
-    const endTime = formatISO(new Date(booking.endTime || booking.end_time));
-
-    // Create event based on provider
-    if (user.calendar_provider === 'google') {
-      return await createGoogleCalendarEvent(user.id, {
-        summary: `Meeting with ${booking.customerName || booking.customer_name}`,
-        description: booking.description || booking.notes || 'meetabl booking',
-        start: { dateTime: startTime, timeZone: user.timezone },
-        end: { dateTime: endTime, timeZone: user.timezone },
-        attendees: [{ email: booking.customerEmail || booking.customer_email }]
-      });
-    } if (user.calendar_provider === 'microsoft') {
-      return await createMicrosoftCalendarEvent(user.id, {
-        subject: `Meeting with ${booking.customerName || booking.customer_name}`,
-        body: {
-          contentType: 'text',
-          content: booking.description || booking.notes || 'meetabl booking'
-        },
-        start: { dateTime: startTime, timeZone: user.timezone },
-        end: { dateTime: endTime, timeZone: user.timezone },
-        attendees: [
-          {
-            emailAddress: { address: booking.customerEmail || booking.customer_email },
-            type: 'required'
-          }
-        ]
-      });
+/**
+ * Get Microsoft Graph client for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Client>} Microsoft Graph client
+ */
+const getMicrosoftGraphClient = async (userId) => {
+  try {
+    // Find token
+    const token = await CalendarToken.findOne({
+      where: { user_id: userId, provider: 'microsoft' }
+    });
+
+    if (!token) {
+      throw new Error('Microsoft Calendar not connected');
     }
 
-    return null;
+    return await createMicrosoftGraphClient(token);
   } catch (error) {
-    logger.error(`Error creating calendar event for booking ${booking.id}:`, error);
+    logger.error(`Error getting Microsoft Graph client for user ${userId}:`, error);
     throw error;
   }
 };
 
+/**
+ * Get the email addresses to invite to a booking's calendar event
+ * @param {Object} booking - Booking instance
+ * @returns {Array<string>} Customer email followed by any additional attendees
+ */
+const getAttendeeEmails = (booking) => [
+  booking.customerEmail || booking.customer_email,
+  ...(booking.attendees || []).map((attendee) => attendee.email)
+];
+
+/**
+ * Get the start and end of a booking's calendar event
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - Host
+ * @returns {{start: Object, end: Object}} Event times in the host's time zone
+ */
+const getEventTimes = (booking, user) => ({
+  // Handle both camelCase and snake_case
+  start: {
+    dateTime: formatISO(new Date(booking.startTime || booking.start_time)),
+    timeZone: user.timezone
+  },
+  end: {
+    dateTime: formatISO(new Date(booking.endTime || booking.end_time)),
+    timeZone: user.timezone
+  }
+});
+
+/**
+ * Build the Google Calendar event for a booking
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - Host
+ * @returns {Object} Google Calendar event resource
+ */
+const buildGoogleEvent = (booking, user) => ({
+  summary: `Meeting with ${booking.customerName || booking.customer_name}`,
+  description: booking.description || booking.notes || 'meetabl booking',
+  ...getEventTimes(booking, user),
+  attendees: getAttendeeEmails(booking).map((email) => ({ email }))
+});
+
+/**
+ * Build the Microsoft Graph event for a booking
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - Host
+ * @returns {Object} Microsoft Graph event
+ */
+const buildMicrosoftEvent = (booking, user) => ({
+  subject: `Meeting with ${booking.customerName || booking.customer_name}`,
+  body: {
+    contentType: 'text',
+    content: booking.description || booking.notes || 'meetabl booking'
+  },
+  ...getEventTimes(booking, user),
+  attendees: getAttendeeEmails(booking).map((address) => ({
+    emailAddress: { address },
+    type: 'required'
+  }))
+});
+
+/**
+ * Check whether a provider error means the event no longer exists
+ * @param {Error} error - Google or Microsoft Graph API error
+ * @returns {boolean} Whether the event is gone
+ */
+const isEventGone = (error) => {
+  const status = error.code || error.statusCode || (error.response && error.response.status);
+  return [404, 410].includes(Number(status));
+};
+
+/**
+ * Get the Google Calendar API for a connected calendar
+ * @param {Object} token - Google CalendarToken instance
+ * @returns {Promise<Object>} Google Calendar API client
+ */
+const getGoogleCalendar = async (token) => google.calendar({
+  version: 'v3',
+  auth: await createGoogleAuthClient(token)
+});
+
+/**
+ * Get the Graph path of an Outlook calendar
+ * @param {string|null} calendarId - Calendar ID, or null for the default calendar
+ * @returns {string} Calendar path
+ */
+const getMicrosoftCalendarPath = (calendarId) => (calendarId
+  ? `/me/calendars/${encodeURIComponent(calendarId)}`
+  : '/me/calendar');
+
+/**
+ * Point a CalDAV connection at one of its calendars
+ * @param {Object} token - CalDAV CalendarToken instance
+ * @param {string|null} calendarUrl - Calendar URL, or null for the connected calendar
+ * @returns {Object} CalDAV connection for the calendar
+ */
+const inCaldavCalendar = (token, calendarUrl) => ({
+  email: token.email,
+  accessToken: token.accessToken,
+  calendarUrl: calendarUrl || token.calendarUrl
+});
+
 /**
  * Create Google Calendar event
- * @param {string} userId - User ID
+ * @param {Object} token - Google CalendarToken instance
+ * @param {string|null} calendarId - Calendar ID, or null for the primary calendar
  * @param {Object} eventDetails - Event details
  * @returns {Promise<Object>} Created event
  */
-const createGoogleCalendarEvent = async (userId, eventDetails) => {
+const createGoogleCalendarEvent = async (token, calendarId, eventDetails) => {
   try {
-    // Get Google auth client
-    const auth = await getGoogleAuthClient(userId);
-    const calendar = google.calendar({ version: 'v3', auth });
+    const calendar = await getGoogleCalendar(token);
 
     // Create event
     const response = await calendar.events.insert({
-      calendarId: 'primary',
+      calendarId: calendarId || 'primary',
       resource: eventDetails,
       sendUpdates: 'all'
     });
 
-    logger.info(`Google Calendar event created for user ${userId}: ${response.data.id}`);
+    logger.info(`Google Calendar event created for user ${token.userId}: ${response.data.id}`);
     return response.data;
   } catch (error) {
     logger.error('Error creating Google Calendar event:', error);
@@ -246,21 +316,21 @@ const createGoogleCalendarEvent = async (userId, eventDetails) => {
 
 /**
  * Create Microsoft Calendar event
- * @param {string} userId - User ID
+ * @param {Object} token - Microsoft CalendarToken instance
+ * @param {string|null} calendarId - Calendar ID, or null for the default calendar
  * @param {Object} eventDetails - Event details
  * @returns {Promise<Object>} Created event
  */
-const createMicrosoftCalendarEvent = async (userId, eventDetails) => {
+const createMicrosoftCalendarEvent = async (token, calendarId, eventDetails) => {
   try {
-    // Get Microsoft Graph client
-    const client = await getMicrosoftGraphClient(userId);
+    const client = await createMicrosoftGraphClient(token);
 
     // Create event
     const response = await client
-      .api('/me/events')
+      .api(`${getMicrosoftCalendarPath(calendarId)}/events`)
       .post(eventDetails);
 
-    logger.info(`Microsoft Calendar event created for user ${userId}: ${response.id}`);
+    logger.info(`Microsoft Calendar event created for user ${token.userId}: ${response.id}`);
     return response;
   } catch (error) {
     logger.error('Error creating Microsoft Calendar event:', error);
@@ -268,189 +338,818 @@ const createMicrosoftCalendarEvent = async (userId, eventDetails) => {
   }
 };
 
+/**
+ * Update Google Calendar event
+ * @param {Object} token - Google CalendarToken instance
+ * @param {string|null} calendarId - Calendar ID, or null for the primary calendar
+ * @param {string} eventId - Google Calendar event ID
+ * @param {Object} eventDetails - Event details
+ * @returns {Promise<Object>} Updated event
+ */
+const updateGoogleCalendarEvent = async (token, calendarId, eventId, eventDetails) => {
+  try {
+    const calendar = await getGoogleCalendar(token);
+
+    const response = await calendar.events.patch({
+      calendarId: calendarId || 'primary',
+      eventId,
+      resource: eventDetails,
+      sendUpdates: 'all'
+    });
+
+    logger.info(`Google Calendar event updated for user ${token.userId}: ${eventId}`);
+    return response.data;
+  } catch (error) {
+    logger.error('Error updating Google Calendar event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete Google Calendar event
+ * @param {Object} token - Google CalendarToken instance
+ * @param {string|null} calendarId - Calendar ID, or null for the primary calendar
+ * @param {string} eventId - Google Calendar event ID
+ * @returns {Promise<void>}
+ */
+const deleteGoogleCalendarEvent = async (token, calendarId, eventId) => {
+  try {
+    const calendar = await getGoogleCalendar(token);
+
+    await calendar.events.delete({
+      calendarId: calendarId || 'primary',
+      eventId,
+      sendUpdates: 'all'
+    });
+
+    logger.info(`Google Calendar event deleted for user ${token.userId}: ${eventId}`);
+  } catch (error) {
+    logger.error('Error deleting Google Calendar event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update Microsoft Calendar event
+ * @param {Object} token - Microsoft CalendarToken instance
+ * @param {string} eventId - Microsoft Graph event ID
+ * @param {Object} eventDetails - Event details
+ * @returns {Promise<Object>} Updated event
+ */
+const updateMicrosoftCalendarEvent = async (token, eventId, eventDetails) => {
+  try {
+    const client = await createMicrosoftGraphClient(token);
+
+    const response = await client
+      .api(`/me/events/${encodeURIComponent(eventId)}`)
+      .patch(eventDetails);
+
+    logger.info(`Microsoft Calendar event updated for user ${token.userId}: ${eventId}`);
+    return response;
+  } catch (error) {
+    logger.error('Error updating Microsoft Calendar event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete Microsoft Calendar event
+ * @param {Object} token - Microsoft CalendarToken instance
+ * @param {string} eventId - Microsoft Graph event ID
+ * @returns {Promise<void>}
+ */
+const deleteMicrosoftCalendarEvent = async (token, eventId) => {
+  try {
+    const client = await createMicrosoftGraphClient(token);
+
+    await client
+      .api(`/me/events/${encodeURIComponent(eventId)}`)
+      .delete();
+
+    logger.info(`Microsoft Calendar event deleted for user ${token.userId}: ${eventId}`);
+  } catch (error) {
+    logger.error('Error deleting Microsoft Calendar event:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the calendars of a Google connection
+ * @param {Object} token - Google CalendarToken instance
+ * @returns {Promise<Array<Object>>} Calendars as { id, name, primary, writable }
+ */
+const listGoogleCalendars = async (token) => {
+  const calendar = await getGoogleCalendar(token);
+
+  const response = await calendar.calendarList.list({
+    minAccessRole: 'freeBusyReader',
+    maxResults: 250
+  });
+
+  return (response.data.items || []).map((item) => ({
+    id: item.id,
+    name: item.summaryOverride || item.summary,
+    primary: Boolean(item.primary),
+    writable: ['owner', 'writer'].includes(item.accessRole)
+  }));
+};
+
+/**
+ * List the calendars of a Microsoft connection
+ * @param {Object} token - Microsoft CalendarToken instance
+ * @returns {Promise<Array<Object>>} Calendars as { id, name, primary, writable }
+ */
+const listMicrosoftCalendars = async (token) => {
+  const client = await createMicrosoftGraphClient(token);
+
+  const response = await client
+    .api('/me/calendars')
+    .select('id,name,isDefaultCalendar,canEdit')
+    .top(250)
+    .get();
+
+  return response.value.map((item) => ({
+    id: item.id,
+    name: item.name,
+    primary: Boolean(item.isDefaultCalendar),
+    writable: item.canEdit !== false
+  }));
+};
+
 /**
  * Get busy times from Google Calendar
- * @param {string} userId - User ID
+ *
+ * All calendars are read in a single free/busy query.
+ *
+ * @param {Object} token - Google CalendarToken instance
+ * @param {Array<string|null>} calendarIds - Calendar IDs, null for the primary calendar
  * @param {Date} startTime - Start time for query
  * @param {Date} endTime - End time for query
  * @returns {Promise<Array>} Array of busy time intervals
  */
-const getGoogleBusyTimes = async (userId, startTime, endTime) => {
+const getGoogleBusyTimes = async (token, calendarIds, startTime, endTime) => {
   try {
-    const auth = await getGoogleAuthClient(userId);
-    const calendar = google.calendar({ version: 'v3', auth });
-
-    // Get events for the date range
-    const response = await calendar.events.list({
-      calendarId: 'primary',
-      timeMin: formatISO(startTime),
-      timeMax: formatISO(endTime),
-      singleEvents: true,
-      orderBy: 'startTime'
+    const calendar = await getGoogleCalendar(token);
+    const ids = calendarIds.map((calendarId) => calendarId || 'primary');
+
+    const response = await calendar.freebusy.query({
+      requestBody: {
+        timeMin: formatISO(startTime),
+        timeMax: formatISO(endTime),
+        items: ids.map((id) => ({ id }))
+      }
     });
 
-    // Convert events to busy time intervals
-    // Include all events except cancelled or transparent ones
-    const busyTimes = response.data.items
-      .filter(event => event.start && event.end && event.status !== 'cancelled')
-      .map(event => ({
-        start: new Date(event.start.dateTime || event.start.date),
-        end: new Date(event.end.dateTime || event.end.date)
+    const calendars = response.data.calendars || {};
+    const busyTimes = ids.flatMap((id) => {
+      const result = calendars[id] || {};
+
+      // A calendar that cannot be read would leave its busy times out
+      if (result.errors && result.errors.length > 0) {
+        throw new Error(`Google free/busy failed for calendar ${id}: ${result.errors[0].reason}`);
+      }
+
+      return (result.busy || []).map((busy) => ({
+        start: new Date(busy.start),
+        end: new Date(busy.end)
       }));
+    });
 
-    logger.info(`Found ${busyTimes.length} Google calendar busy times for user ${userId}`, {
+    logger.info(`Found ${busyTimes.length} Google calendar busy times for user ${token.userId}`, {
       startTime: formatISO(startTime),
       endTime: formatISO(endTime),
-      events: busyTimes.map(bt => ({
-        start: bt.start.toISOString(),
-        end: bt.end.toISOString()
-      }))
+      calendars: ids.length
     });
 
     return busyTimes;
   } catch (error) {
-    logger.error(`Error getting Google busy times for user ${userId}:`, error);
+    logger.error(`Error getting Google busy times for user ${token.userId}:`, error);
     throw error;
   }
 };
 
+/**
+ * Read a Microsoft Graph date and time
+ * @param {Object} dateTime - Graph dateTimeTimeZone
+ * @returns {Date} Instant
+ */
+const parseGraphDateTime = ({ dateTime, timeZone }) => {
+  // Graph leaves the offset off UTC times
+  const hasOffset = /(Z|[+-]\d{2}:\d{2})$/.test(dateTime);
+  return new Date(timeZone === 'UTC' && !hasOffset ? `${dateTime}Z` : dateTime);
+};
+
+/**
+ * Read the remaining pages of a Microsoft calendar view
+ * @param {Object} client - Microsoft Graph client
+ * @param {string} [nextLink] - Link to the next page, if there is one
+ * @param {Array<Object>} [events] - Events of the pages read so far
+ * @returns {Promise<Array<Object>>} Events of every page
+ */
+const readCalendarViewPages = async (client, nextLink, events = []) => {
+  if (!nextLink) {
+    return events;
+  }
+
+  const page = await client
+    .api(nextLink)
+    .header('Prefer', 'outlook.timezone="UTC"')
+    .get();
+
+  return readCalendarViewPages(client, page['@odata.nextLink'], events.concat(page.value || []));
+};
+
 /**
  * Get busy times from Microsoft Calendar
- * @param {string} userId - User ID
+ *
+ * The first page of every calendar's view is read in a single batch
+ * request, and further pages one after another. Every event that is not
+ * cancelled counts, since some users mark actual meetings as free.
+ *
+ * @param {Object} token - Microsoft CalendarToken instance
+ * @param {Array<string|null>} calendarIds - Calendar IDs, null for the default calendar
  * @param {Date} startTime - Start time for query
  * @param {Date} endTime - End time for query
  * @returns {Promise<Array>} Array of busy time intervals
  */
-const getMicrosoftBusyTimes = async (userId, startTime, endTime) => {
+const getMicrosoftBusyTimes = async (token, calendarIds, startTime, endTime) => {
   try {
-    const client = await getMicrosoftGraphClient(userId);
-
-    // Get events for the date range
-    // We need events that overlap with our time range, so:
-    // - Events that start before our end time AND
-    // - Events that end after our start time
-    logger.debug(`Microsoft Graph API query for user ${userId}:`, {
-      filter: `start/dateTime lt '${formatISO(endTime)}' and end/dateTime gt '${formatISO(startTime)}'`,
-      startTime: formatISO(startTime),
-      endTime: formatISO(endTime)
+    const client = await createMicrosoftGraphClient(token);
+    const query = new URLSearchParams({
+      startDateTime: formatISO(startTime),
+      endDateTime: formatISO(endTime),
+      $select: 'start,end,isCancelled',
+      $top: '500'
     });
-    
-    // Use calendarView to properly handle recurring events
-    // This endpoint expands recurring events into individual occurrences
-    // MUST use calendarView for recurring events to work properly
-    const response = await client
-      .api('/me/calendarView')
-      .query({
-        startDateTime: formatISO(startTime),
-        endDateTime: formatISO(endTime)
-      })
-      .select('start,end,subject,isCancelled,showAs,isAllDay,location')
-      .orderby('start/dateTime')
-      .top(500)
-      .get();
-    
-    logger.debug(`Microsoft Graph API response for user ${userId}:`, {
-      eventCount: response.value?.length || 0,
-      events: response.value?.slice(0, 5).map(e => ({
-        subject: e.subject,
-        start: e.start,
-        end: e.end,
-        showAs: e.showAs,
-        isCancelled: e.isCancelled
+
+    // calendarView expands recurring events into their occurrences
+    const response = await client.api('/$batch').post({
+      requests: calendarIds.map((calendarId, index) => ({
+        id: String(index),
+        method: 'GET',
+        url: `${getMicrosoftCalendarPath(calendarId)}/calendarView?${query}`,
+        headers: { Prefer: 'outlook.timezone="UTC"' }
       }))
     });
 
-    // Convert events to busy time intervals
-    // Include ALL events except cancelled ones - let the user decide their availability
-    // Some users mark actual meetings as "free" in their calendar
-    const busyTimes = response.value
-      .filter(event => {
-        // Only filter out cancelled events and events without proper start/end times
-        const include = event.start && event.end && !event.isCancelled;
-        if (!include && event.start) {
-          logger.debug(`Event filtered out:`, {
-            subject: event.subject,
-            showAs: event.showAs,
-            isCancelled: event.isCancelled,
-            hasStart: !!event.start,
-            hasEnd: !!event.end,
-            reason: !event.start ? 'no start' : !event.end ? 'no end' : 'cancelled'
-          });
-        }
-        return include;
-      })
-      .map(event => ({
-        start: new Date(event.start.dateTime || event.start.date),
-        end: new Date(event.end.dateTime || event.end.date)
+    const views = await Promise.all(response.responses.map((result) => {
+      if (result.status >= 400) {
+        const calendarId = calendarIds[Number(result.id)] || 'default';
+        throw new Error(`Calendar view of ${calendarId} failed with status ${result.status}`);
+      }
+
+      return readCalendarViewPages(client, result.body['@odata.nextLink'], result.body.value);
+    }));
+
+    const busyTimes = views.flat()
+      .filter((event) => event.start && event.end && !event.isCancelled)
+      .map((event) => ({
+        start: parseGraphDateTime(event.start),
+        end: parseGraphDateTime(event.end)
       }));
 
-    logger.info(`Found ${busyTimes.length} Microsoft calendar busy times for user ${userId}`, {
+    logger.info(`Found ${busyTimes.length} Microsoft busy times for user ${token.userId}`, {
       startTime: formatISO(startTime),
       endTime: formatISO(endTime),
-      events: busyTimes.map(bt => ({
-        start: bt.start.toISOString(),
-        end: bt.end.toISOString()
-      }))
+      calendars: calendarIds.length
     });
 
     return busyTimes;
   } catch (error) {
-    logger.error(`Error getting Microsoft busy times for user ${userId}:`, error);
+    logger.error(`Error getting Microsoft busy times for user ${token.userId}:`, error);
     throw error;
   }
 };
 
 /**
- * Get all busy times from integrated calendars
+ * Calendar providers by name
+ *
+ * Each provider lists the calendars of a connection, creates, updates and
+ * deletes a host's booking events in one of them, and reads busy times
+ * across several. A null calendar ID stands for the connection's primary
+ * calendar.
+ */
+const calendarProviders = {
+  google: {
+    listCalendars: (token) => listGoogleCalendars(token),
+    createEvent: (token, calendarId, booking, user) => createGoogleCalendarEvent(
+      token,
+      calendarId,
+      buildGoogleEvent(booking, user)
+    ),
+    updateEvent: (token, calendarId, eventId, booking, user) => updateGoogleCalendarEvent(
+      token,
+      calendarId,
+      eventId,
+      buildGoogleEvent(booking, user)
+    ),
+    deleteEvent: (token, calendarId, eventId) => deleteGoogleCalendarEvent(
+      token,
+      calendarId,
+      eventId
+    ),
+    getBusyTimes: (token, ids, start, end) => getGoogleBusyTimes(token, ids, start, end)
+  },
+  microsoft: {
+    listCalendars: (token) => listMicrosoftCalendars(token),
+    createEvent: (token, calendarId, booking, user) => createMicrosoftCalendarEvent(
+      token,
+      calendarId,
+      buildMicrosoftEvent(booking, user)
+    ),
+    updateEvent: (token, calendarId, eventId, booking, user) => updateMicrosoftCalendarEvent(
+      token,
+      eventId,
+      buildMicrosoftEvent(booking, user)
+    ),
+    deleteEvent: (token, calendarId, eventId) => deleteMicrosoftCalendarEvent(token, eventId),
+    getBusyTimes: (token, ids, start, end) => getMicrosoftBusyTimes(token, ids, start, end)
+  },
+  caldav: {
+    listCalendars: async (token) => {
+      const calendars = await caldavService.discoverCalendars({
+        serverUrl: token.calendarUrl,
+        username: token.email,
+        password: token.accessToken
+      });
+      return calendars.map((calendar) => ({
+        id: calendar.url,
+        name: calendar.name,
+        primary: calendar.url === token.calendarUrl,
+        writable: true
+      }));
+    },
+    createEvent: (token, calendarId, booking, user) => caldavService.createEvent(
+      inCaldavCalendar(token, calendarId),
+      booking,
+      user
+    ),
+    updateEvent: (token, calendarId, eventId, booking, user) => caldavService.updateEvent(
+      inCaldavCalendar(token, calendarId),
+      eventId,
+      booking,
+      user
+    ),
+    deleteEvent: (token, calendarId, eventId) => caldavService.deleteEvent(
+      inCaldavCalendar(token, calendarId),
+      eventId
+    ),
+    getBusyTimes: async (token, ids, start, end) => {
+      const busyTimes = await Promise.all(ids.map((calendarId) => caldavService
+        .getBusyTimes(inCaldavCalendar(token, calendarId), start, end)));
+      return busyTimes.flat();
+    }
+  }
+};
+
+/**
+ * Find the calendar a new booking's event goes to
+ *
+ * The booking's event type may name a calendar connection; otherwise the
+ * host's default connection is used, falling back to their first
+ * connection of their calendar provider.
+ *
+ * @param {Object} booking - Booking instance
+ * @param {Object} user - Host
+ * @returns {Promise<{token: Object, calendarId: string|null}|null>} Destination, if any
+ */
+const findDestinationCalendar = async (booking, user) => {
+  const eventType = booking.eventTypeId ? await EventType.findByPk(booking.eventTypeId) : null;
+
+  if (eventType && eventType.destinationCalendarTokenId) {
+    const token = await CalendarToken.findOne({
+      where: { id: eventType.destinationCalendarTokenId, userId: user.id }
+    });
+
+    if (token) {
+      return { token, calendarId: eventType.destinationCalendarId || token.destinationCalendarId };
+    }
+  }
+
+  let token = null;
+  if (user.destination_calendar_token_id) {
+    token = await CalendarToken.findOne({
+      where: { id: user.destination_calendar_token_id, userId: user.id }
+    });
+  }
+  if (!token && user.calendar_provider && user.calendar_provider !== 'none') {
+    token = await CalendarToken.findOne({
+      where: { user_id: user.id, provider: user.calendar_provider }
+    });
+  }
+
+  return token ? { token, calendarId: token.destinationCalendarId || null } : null;
+};
+
+/**
+ * Find the calendar connection a booking's event was created with
+ *
+ * Events created before connections were recorded belong to the first
+ * connection of their provider.
+ *
+ * @param {Object} booking - Booking instance
+ * @param {string} provider - Provider of the event
+ * @returns {Promise<Object|null>} CalendarToken instance, or null if disconnected
+ */
+const findEventCalendarToken = async (booking, provider) => {
+  if (booking.calendarTokenId) {
+    return CalendarToken.findOne({
+      where: { id: booking.calendarTokenId, userId: booking.userId }
+    });
+  }
+
+  return CalendarToken.findOne({
+    where: { user_id: booking.userId, provider }
+  });
+};
+
+/**
+ * Create calendar event for booking
+ *
+ * The event ID, provider, connection and calendar are saved on the
+ * booking so the event can be updated or removed later.
+ *
+ * @param {Object} booking - Booking instance
+ * @returns {Promise<Object>} Created event details
+ */
+const createCalendarEvent = async (booking) => {
+  try {
+    // Get user
+    const user = await User.findOne({ where: { id: booking.userId } });
+    const destination = user ? await findDestinationCalendar(booking, user) : null;
+
+    if (!destination) {
+      logger.info(`No calendar provider configured for user ${booking.userId}`);
+      return null;
+    }
+
+    const { token, calendarId } = destination;
+    const event = await calendarProviders[token.provider]
+      .createEvent(token, calendarId, booking, user);
+
+    if (event && event.id && booking.id) {
+      const calendarFields = {
+        calendarEventId: event.id,
+        calendarProvider: token.provider,
+        calendarTokenId: token.id,
+        calendarId
+      };
+      await Booking.update(calendarFields, { where: { id: booking.id } });
+      Object.assign(booking, calendarFields);
+    }
+
+    return event;
+  } catch (error) {
+    logger.error(`Error creating calendar event for booking ${booking.id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Update the calendar event of a booking to its current details
+ *
+ * Bookings without an event get one, as long as the host has a calendar
+ * connected.
+ *
+ * @param {Object} booking - Booking instance
+ * @returns {Promise<Object|null>} Updated or created event
+ */
+const updateCalendarEvent = async (booking) => {
+  if (!booking.calendarEventId) {
+    return createCalendarEvent(booking);
+  }
+
+  const user = await User.findOne({ where: { id: booking.userId } });
+
+  if (!user) {
+    return null;
+  }
+
+  // Events created before providers were recorded belong to the current one
+  const provider = booking.calendarProvider || user.calendar_provider;
+  const token = calendarProviders[provider] && await findEventCalendarToken(booking, provider);
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    return await calendarProviders[provider]
+      .updateEvent(token, booking.calendarId || null, booking.calendarEventId, booking, user);
+  } catch (error) {
+    if (!isEventGone(error)) {
+      throw error;
+    }
+
+    // The host deleted the event; put it back with the new details
+    logger.info(`Calendar event of booking ${booking.id} no longer exists, recreating it`);
+    return createCalendarEvent(booking);
+  }
+};
+
+/**
+ * Remove the calendar event of a booking
+ *
+ * Events the host already deleted, or whose calendar was disconnected,
+ * count as removed.
+ *
+ * @param {Object} booking - Booking instance
+ * @returns {Promise<boolean>} Whether the booking had an event
+ */
+const deleteCalendarEvent = async (booking) => {
+  if (!booking.calendarEventId) {
+    return false;
+  }
+
+  let provider = booking.calendarProvider;
+  if (!provider) {
+    const user = await User.findOne({ where: { id: booking.userId } });
+    provider = user ? user.calendar_provider : null;
+  }
+
+  const token = calendarProviders[provider] && await findEventCalendarToken(booking, provider);
+
+  try {
+    if (token) {
+      await calendarProviders[provider]
+        .deleteEvent(token, booking.calendarId || null, booking.calendarEventId);
+    }
+  } catch (error) {
+    if (!isEventGone(error)) {
+      throw error;
+    }
+  }
+
+  const calendarFields = {
+    calendarEventId: null,
+    calendarProvider: null,
+    calendarTokenId: null,
+    calendarId: null
+  };
+  await Booking.update(calendarFields, { where: { id: booking.id } });
+  Object.assign(booking, calendarFields);
+
+  return true;
+};
+
+/**
+ * Bring a booking's calendar event in line with the booking
+ *
+ * Cancelled bookings lose their event; other bookings get their event
+ * updated, or created when missing. Each run reads the booking afresh, so
+ * repeated or out of order jobs end in the same state.
+ *
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<string>} What was done: 'deleted', 'updated' or 'skipped'
+ */
+const syncBookingCalendarEvent = async (bookingId) => {
+  const booking = await Booking.findByPk(bookingId);
+
+  if (!booking) {
+    logger.info(`Booking ${bookingId} no longer exists, skipping calendar sync`);
+    return 'skipped';
+  }
+
+  if (booking.status === 'cancelled') {
+    return (await deleteCalendarEvent(booking)) ? 'deleted' : 'skipped';
+  }
+
+  if (booking.status === 'pending_payment') {
+    return 'skipped';
+  }
+
+  return (await updateCalendarEvent(booking)) ? 'updated' : 'skipped';
+};
+
+/**
+ * Queue a booking's calendar event to be brought in line with the booking
+ *
+ * Jobs run on the calendarSync queue and are retried with exponential
+ * backoff while the provider is unavailable.
+ *
+ * @param {Object} booking - Cancelled or rescheduled booking
+ * @returns {Promise<void>}
+ */
+const queueCalendarSync = async (booking) => {
+  // Required here so loading the service does not open a Redis connection
+  const { addJob } = require('../queue');
+
+  await addJob('calendarSync', 'sync', { bookingId: booking.id }, {
+    attempts: SYNC_ATTEMPTS,
+    backoff: { type: 'exponential', delay: SYNC_RETRY_BASE_DELAY_MS },
+    removeOnComplete: true
+  });
+};
+
+/**
+ * Build a calendar selection error
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {string} [field] - Request field the error is about
+ * @returns {Error} Error with statusCode
+ */
+const selectionError = (message, statusCode, field) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (field) {
+    error.field = field;
+  }
+  return error;
+};
+
+/**
+ * Mark which of a connection's calendars are selected
+ * @param {Object} token - CalendarToken instance
+ * @param {Array<Object>} calendars - Calendars of the connection
+ * @returns {Array<Object>} Calendars with conflict and destination flags
+ */
+const describeCalendars = (token, calendars) => calendars.map((calendar) => ({
+  ...calendar,
+  conflict: token.conflictCalendarIds
+    ? token.conflictCalendarIds.includes(calendar.id)
+    : calendar.primary,
+  destination: token.destinationCalendarId
+    ? token.destinationCalendarId === calendar.id
+    : calendar.primary
+}));
+
+/**
+ * Find a calendar connection of a user
+ * @param {string} userId - User ID
+ * @param {string} calendarTokenId - CalendarToken ID
+ * @returns {Promise<Object>} CalendarToken instance
+ */
+const findUserCalendarToken = async (userId, calendarTokenId) => {
+  const token = await CalendarToken.findOne({
+    where: { id: calendarTokenId, userId }
+  });
+
+  if (!token) {
+    throw selectionError('Calendar connection not found', 404);
+  }
+
+  return token;
+};
+
+/**
+ * List the calendars of a connection with the ones selected for conflicts
+ * and new bookings
+ * @param {string} userId - User ID
+ * @param {string} calendarTokenId - CalendarToken ID
+ * @returns {Promise<{token: Object, calendars: Array<Object>}>} Connection and its calendars
+ */
+const listConnectionCalendars = async (userId, calendarTokenId) => {
+  const token = await findUserCalendarToken(userId, calendarTokenId);
+  const calendars = await calendarProviders[token.provider].listCalendars(token);
+
+  return { token, calendars: describeCalendars(token, calendars) };
+};
+
+/**
+ * Choose the calendars of a connection that count toward busy time and
+ * the one new bookings go to
+ *
+ * Changing the destination calendar restarts the connection's change
+ * sync, since only that calendar is followed.
+ *
+ * @param {string} userId - User ID
+ * @param {string} calendarTokenId - CalendarToken ID
+ * @param {Object} selection - Selected calendars
+ * @param {Array<string>} [selection.conflictCalendarIds] - Calendars checked for conflicts
+ * @param {string|null} [selection.destinationCalendarId] - Calendar new bookings go to
+ * @param {boolean} [selection.defaultDestination] - Use the connection for the host's new bookings
+ * @returns {Promise<{token: Object, calendars: Array<Object>, destinationChanged: boolean}>}
+ */
+const updateCalendarSelection = async (userId, calendarTokenId, selection) => {
+  const token = await findUserCalendarToken(userId, calendarTokenId);
+  const calendars = await calendarProviders[token.provider].listCalendars(token);
+  const findCalendar = (id) => calendars.find((calendar) => calendar.id === id);
+  const { conflictCalendarIds, destinationCalendarId, defaultDestination } = selection;
+  const updates = {};
+
+  if (conflictCalendarIds !== undefined) {
+    const unknown = conflictCalendarIds.find((id) => !findCalendar(id));
+    if (unknown) {
+      throw selectionError(
+        `Calendar ${unknown} is not part of this connection`,
+        400,
+        'conflict_calendar_ids'
+      );
+    }
+    updates.conflictCalendarIds = [...new Set(conflictCalendarIds)];
+  }
+
+  if (destinationCalendarId !== undefined) {
+    const destination = destinationCalendarId && findCalendar(destinationCalendarId);
+    if (destinationCalendarId && (!destination || !destination.writable)) {
+      throw selectionError(
+        'Destination must be a calendar of this connection you can add events to',
+        400,
+        'destination_calendar_id'
+      );
+    }
+    updates.destinationCalendarId = destinationCalendarId;
+  }
+
+  const destinationChanged = updates.destinationCalendarId !== undefined
+    && (updates.destinationCalendarId || null) !== (token.destinationCalendarId || null);
+  if (destinationChanged) {
+    updates.syncToken = null;
+  }
+
+  await token.update(updates);
+
+  if (defaultDestination) {
+    await User.update(
+      { destination_calendar_token_id: token.id, calendar_provider: token.provider },
+      { where: { id: userId } }
+    );
+  }
+
+  return { token, calendars: describeCalendars(token, calendars), destinationChanged };
+};
+
+/**
+ * Collect busy times from every connected calendar, reporting provider failures
+ *
+ * Each connection is checked on its selected conflict calendars, or its
+ * primary calendar if none were chosen. Connections are read at the same
+ * time, and one failing does not fail the others.
+ *
  * @param {string} userId - User ID
  * @param {Date} startTime - Start time for query
  * @param {Date} endTime - End time for query
- * @returns {Promise<Array>} Array of busy time intervals from all calendars
+ * @returns {Promise<{busyTimes: Array, failures: Array}>} Busy intervals and
+ *   the providers that failed
  */
-const getAllBusyTimes = async (userId, startTime, endTime) => {
-  try {
-    const allBusyTimes = [];
+const collectBusyTimes = async (userId, startTime, endTime) => {
+  // Check which calendar providers are connected
+  const tokens = await CalendarToken.findAll({
+    where: { user_id: userId }
+  });
 
-    // Check which calendar providers are connected
-    const tokens = await CalendarToken.findAll({
-      where: { user_id: userId }
-    });
+  logger.info(`Found ${tokens.length} calendar tokens for user ${userId}`, {
+    providers: tokens.map((t) => ({
+      provider: t.provider,
+      email: t.email,
+      expiresAt: t.expiresAt
+    }))
+  });
 
-    logger.info(`Found ${tokens.length} calendar tokens for user ${userId}`, {
-      providers: tokens.map(t => ({
-        provider: t.provider,
-        email: t.email,
-        expiresAt: t.expiresAt
-      }))
-    });
+  // Fetch busy times from each connected provider
+  const results = await Promise.allSettled(tokens.map(async (token) => {
+    const calendarIds = token.conflictCalendarIds || [null];
 
-    // Fetch busy times from each connected provider
-    for (const token of tokens) {
-      try {
-        logger.info(`Fetching ${token.provider} calendar events for ${token.email || userId}`);
-        
-        if (token.provider === 'google') {
-          const googleBusyTimes = await getGoogleBusyTimes(userId, startTime, endTime);
-          allBusyTimes.push(...googleBusyTimes);
-          logger.info(`Added ${googleBusyTimes.length} Google calendar busy times`);
-        } else if (token.provider === 'microsoft') {
-          const microsoftBusyTimes = await getMicrosoftBusyTimes(userId, startTime, endTime);
-          allBusyTimes.push(...microsoftBusyTimes);
-          logger.info(`Added ${microsoftBusyTimes.length} Microsoft calendar busy times`);
-        }
-      } catch (error) {
-        // Log error but don't fail the entire request if one calendar fails
-        logger.error(`Error fetching ${token.provider} calendar for user ${userId}:`, {
-          error: error.message,
-          stack: error.stack,
-          provider: token.provider,
-          email: token.email
-        });
-      }
+    if (calendarIds.length === 0) {
+      return [];
     }
 
-    logger.info(`Total busy times found for user ${userId}: ${allBusyTimes.length}`);
-    return allBusyTimes;
+    logger.info(`Fetching ${token.provider} calendar events for ${token.email || userId}`);
+
+    const providerBusyTimes = await calendarProviders[token.provider]
+      .getBusyTimes(token, calendarIds, startTime, endTime);
+    logger.info(`Added ${providerBusyTimes.length} ${token.provider} calendar busy times`);
+
+    return providerBusyTimes;
+  }));
+
+  const busyTimes = [];
+  const failures = [];
+
+  results.forEach((result, index) => {
+    const token = tokens[index];
+
+    if (result.status === 'fulfilled') {
+      busyTimes.push(...result.value);
+      return;
+    }
+
+    // Log error but don't fail the entire request if one calendar fails
+    const error = result.reason;
+    logger.error(`Error fetching ${token.provider} calendar for user ${userId}:`, {
+      error: error.message,
+      stack: error.stack,
+      provider: token.provider,
+      email: token.email
+    });
+    failures.push({ provider: token.provider, email: token.email, error: error.message });
+  });
+
+  logger.info(`Total busy times found for user ${userId}: ${busyTimes.length}`);
+  return { busyTimes, failures };
+};
+
+/**
+ * Get all busy times from integrated calendars
+ * @param {string} userId - User ID
+ * @param {Date} startTime - Start time for query
+ * @param {Date} endTime - End time for query
+ * @returns {Promise<Array>} Array of busy time intervals from all calendars
+ */
+const getAllBusyTimes = async (userId, startTime, endTime) => {
+  try {
+    const { busyTimes } = await collectBusyTimes(userId, startTime, endTime);
+    return busyTimes;
   } catch (error) {
     logger.error(`Error getting all busy times for user ${userId}:`, error);
     throw error;
@@ -459,11 +1158,30 @@ const getAllBusyTimes = async (userId, startTime, endTime) => {
 
 module.exports = {
   createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  syncBookingCalendarEvent,
+  queueCalendarSync,
+  createGoogleCalendarEvent,
+  updateGoogleCalendarEvent,
+  deleteGoogleCalendarEvent,
+  createMicrosoftCalendarEvent,
+  updateMicrosoftCalendarEvent,
+  deleteMicrosoftCalendarEvent,
+  createGoogleAuthClient,
+  createMicrosoftGraphClient,
   getGoogleAuthClient,
   getMicrosoftGraphClient,
+  isEventGone,
+  calendarProviders,
+  listGoogleCalendars,
+  listMicrosoftCalendars,
+  listConnectionCalendars,
+  updateCalendarSelection,
   getGoogleBusyTimes,
   getMicrosoftBusyTimes,
   getAllBusyTimes,
+  collectBusyTimes,
   getGoogleUserEmail,
   getMicrosoftUserEmail
 };
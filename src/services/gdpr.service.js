@@ -9,6 +9,7 @@ const logger = require('../config/logger');
 const { AppError } = require('../utils/errors');
 const { User, Booking, AuditLog } = require('../models');
 const { sequelize } = require('../config/database');
+const { formatAnswersText } = require('./booking-question.service');
 const { QueryTypes } = require('sequelize');
 const crypto = require('crypto');
 const fs = require('fs').promises;
@@ -430,9 +431,9 @@ class GDPRService {
             type: QueryTypes.SELECT
           }
         ),
-        // Bookings (as host or attendee)
+        // Bookings the user hosts, with the invitees' answers to custom questions
         sequelize.query(
-          `SELECT * FROM bookings WHERE host_id = :userId OR attendee_id = :userId`,
+          `SELECT * FROM bookings WHERE user_id = :userId`,
           {
             replacements: { userId: user.id },
             type: QueryTypes.SELECT
@@ -632,7 +633,8 @@ class GDPRService {
         flattened.push({
           data_type: 'booking',
           category: 'booking_data',
-          ...booking
+          ...booking,
+          answers: formatAnswersText(booking.answers, '; ')
         });
       });
     }
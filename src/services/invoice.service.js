@@ -0,0 +1,410 @@
+/**
+ * Invoice service
+ *
+ * Renders invoice PDFs from invoice, payment and booking data with the
+ * host's branding, and stores them in file storage
+ *
+ * @author meetabl Team
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const {
+  Invoice, Payment, Booking, User, UserSettings, EventType
+} = require('../models');
+
+// Use S3 when it is configured, local storage otherwise
+const useS3 = Boolean(
+  process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY && process.env.AWS_S3_BUCKET
+);
+const storage = useS3
+  ? require('./storage.service')
+  : require('./local-storage.service');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const INVOICE_FOLDER = 'invoices';
+const DOWNLOAD_URL_TTL = 300;
+
+const DEFAULT_ACCENT_COLOR = '#003b49';
+const DEFAULT_TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#6b7280';
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Issued',
+  paid: 'Paid'
+};
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split a tax-inclusive total into its net amount and tax
+ * @param {number} total - Amount paid, including tax
+ * @param {number} taxRate - Tax rate in percent
+ * @returns {{subtotal: number, taxAmount: number, total: number}} Amounts
+ */
+const calculateTax = (total, taxRate) => {
+  const subtotal = roundMoney(total / (1 + (taxRate / 100)));
+
+  return {
+    subtotal,
+    taxAmount: roundMoney(total - subtotal),
+    total: roundMoney(total)
+  };
+};
+
+/**
+ * Pick a locale Intl supports, falling back to US English
+ * @param {string} [language] - Preferred language tag
+ * @returns {string} Locale
+ */
+const getLocale = (language) => (
+  language && Intl.NumberFormat.supportedLocalesOf(language).length > 0 ? language : 'en-US'
+);
+
+/**
+ * Format an amount in a currency
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 currency code
+ * @param {string} locale - Locale
+ * @returns {string} Formatted amount
+ */
+const formatCurrency = (amount, currency, locale) => new Intl.NumberFormat(locale, {
+  style: 'currency',
+  currency
+}).format(amount);
+
+/**
+ * Load a logo image for embedding
+ *
+ * Logos stored locally are read from disk; S3 logos are private, so they
+ * are fetched through a signed URL. A logo that cannot be loaded is left
+ * out rather than failing the invoice.
+ *
+ * @param {string} [logoUrl] - Logo URL from the host's settings
+ * @returns {Promise<Buffer|null>} Image data
+ */
+const loadLogo = async (logoUrl) => {
+  if (!logoUrl) {
+    return null;
+  }
+
+  try {
+    if (logoUrl.startsWith('/uploads/')) {
+      const logoPath = path.join(UPLOADS_DIR, logoUrl.substring('/uploads/'.length));
+
+      if (!logoPath.startsWith(UPLOADS_DIR)) {
+        return null;
+      }
+
+      return await fs.readFile(logoPath);
+    }
+
+    const url = new URL(logoUrl);
+    const fetchUrl = useS3 && url.hostname.startsWith(`${process.env.AWS_S3_BUCKET}.s3.`)
+      ? await storage.getSignedUrl(url.pathname.substring(1))
+      : logoUrl;
+
+    const response = await fetch(fetchUrl);
+    if (!response.ok) {
+      throw new Error(`Logo request failed with status ${response.status}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  } catch (error) {
+    logger.warn(`Could not load invoice logo ${logoUrl}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Load everything an invoice PDF shows
+ * @param {Object} invoice - Invoice instance
+ * @returns {Promise<Object>} Invoice data
+ */
+const loadInvoiceData = async (invoice) => {
+  const payment = await Payment.findByPk(invoice.payment_id);
+
+  if (!payment) {
+    throw new Error(`Payment not found for invoice ${invoice.id}`);
+  }
+
+  const booking = await Booking.findByPk(payment.booking_id);
+
+  if (!booking) {
+    throw new Error(`Booking not found for invoice ${invoice.id}`);
+  }
+
+  const [host, settings, eventType] = await Promise.all([
+    User.findByPk(booking.userId),
+    UserSettings.findOne({ where: { userId: booking.userId } }),
+    booking.eventTypeId ? EventType.findByPk(booking.eventTypeId) : null
+  ]);
+
+  return {
+    invoice,
+    payment,
+    booking,
+    host,
+    settings,
+    eventType
+  };
+};
+
+/**
+ * Render an invoice PDF
+ * @param {Object} data - Result of loadInvoiceData, plus logo and tax
+ * @param {Buffer|null} data.logo - Logo image
+ * @param {{rate: number, label: string}} data.tax - Tax included in the payment
+ * @returns {Promise<Buffer>} PDF data
+ */
+const renderInvoicePDF = (data) => new Promise((resolve, reject) => {
+  const {
+    invoice, payment, booking, host, settings, eventType, logo, tax
+  } = data;
+
+  const locale = getLocale(host && host.language);
+  const timeZone = (host && host.timezone) || 'UTC';
+  const currency = payment.currency || 'USD';
+  const money = (amount) => formatCurrency(amount, currency, locale);
+  const formatDate = (date, options) => new Intl.DateTimeFormat(locale, { ...options, timeZone })
+    .format(new Date(date));
+
+  const accentColor = (settings && settings.brandingColor) || DEFAULT_ACCENT_COLOR;
+  const textColor = (settings && settings.bookingPageTextColor) || DEFAULT_TEXT_COLOR;
+  const hostName = (settings && settings.publicName)
+    || (host ? `${host.firstName} ${host.lastName}` : 'meetabl');
+  const amounts = calculateTax(Number(payment.amount), tax.rate);
+  // Promo code discounts are shown net of tax, off the undiscounted price
+  const discount = Number(payment.discount_amount || 0);
+  const listPrice = discount > 0
+    ? calculateTax(Number(payment.amount) + discount, tax.rate).subtotal
+    : amounts.subtotal;
+  const status = payment.status === 'refunded'
+    ? 'Refunded'
+    : STATUS_LABELS[invoice.status] || invoice.status;
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Invoice ${invoice.invoice_number}`,
+      Author: hostName
+    }
+  });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { left } = doc.page.margins;
+  const right = doc.page.width - doc.page.margins.right;
+  const width = right - left;
+
+  // Header: logo and invoice title
+  doc.rect(0, 0, doc.page.width, 8).fill(accentColor);
+
+  if (logo) {
+    try {
+      doc.image(logo, left, 40, { fit: [140, 60] });
+    } catch (error) {
+      logger.warn(`Skipping unsupported invoice logo for host ${booking.userId}: ${error.message}`);
+    }
+  }
+
+  doc.fillColor(accentColor).font('Helvetica-Bold').fontSize(24)
+    .text('INVOICE', left, 45, { width, align: 'right' });
+  doc.fillColor(textColor).font('Helvetica').fontSize(10)
+    .text(`Invoice number: ${invoice.invoice_number}`, left, 78, { width, align: 'right' })
+    .text(`Issued: ${formatDate(invoice.created_at, { dateStyle: 'long' })}`, { width, align: 'right' })
+    .text(`Status: ${status}`, { width, align: 'right' });
+
+  // Parties
+  const partiesTop = 140;
+  const columnWidth = (width - 20) / 2;
+
+  doc.fillColor(MUTED_COLOR).font('Helvetica-Bold').fontSize(9)
+    .text('FROM', left, partiesTop)
+    .text('BILL TO', left + columnWidth + 20, partiesTop);
+
+  doc.fillColor(textColor).font('Helvetica').fontSize(11)
+    .text(hostName, left, partiesTop + 15, { width: columnWidth });
+  if (host) {
+    doc.fontSize(10).text(host.email, { width: columnWidth });
+  }
+
+  doc.fontSize(11)
+    .text(booking.customerName, left + columnWidth + 20, partiesTop + 15, { width: columnWidth })
+    .fontSize(10)
+    .text(booking.customerEmail, { width: columnWidth });
+
+  // Line items
+  const column = (label, x, size, align) => ({
+    label, x, width: size, align
+  });
+  const columns = [
+    column('Description', left, width - 250, 'left'),
+    column('Qty', right - 250, 50, 'right'),
+    column('Unit price', right - 200, 100, 'right'),
+    column('Amount', right - 100, 100, 'right')
+  ];
+  const tableTop = 240;
+
+  doc.rect(left, tableTop, width, 22).fill(accentColor);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(10);
+  columns.forEach(({
+    label, x, width: cellWidth, align
+  }) => {
+    doc.text(label, x + 6, tableTop + 7, { width: cellWidth - 12, align });
+  });
+
+  const description = eventType ? eventType.name : 'Meeting';
+  const durationMinutes = Math.round(
+    (new Date(booking.endTime) - new Date(booking.startTime)) / (60 * 1000)
+  );
+  const meetingTime = formatDate(booking.startTime, { dateStyle: 'medium', timeStyle: 'short' });
+  const rowTop = tableTop + 30;
+  const cells = ['1', money(listPrice), money(listPrice)];
+
+  doc.fillColor(textColor).font('Helvetica-Bold').fontSize(10)
+    .text(description, columns[0].x + 6, rowTop, { width: columns[0].width - 12 });
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9)
+    .text(`${meetingTime} (${timeZone}), ${durationMinutes} minutes`, {
+      width: columns[0].width - 12
+    });
+  doc.fillColor(textColor).fontSize(10);
+  cells.forEach((cell, index) => {
+    const { x, width: cellWidth, align } = columns[index + 1];
+    doc.text(cell, x + 6, rowTop, { width: cellWidth - 12, align });
+  });
+
+  const rowBottom = rowTop + 40;
+  doc.moveTo(left, rowBottom).lineTo(right, rowBottom).strokeColor('#e5e7eb').stroke();
+
+  // Totals
+  const totals = [];
+  if (discount > 0) {
+    const discountLabel = payment.promo_code ? `Discount (${payment.promo_code})` : 'Discount';
+    totals.push([discountLabel, money(-roundMoney(listPrice - amounts.subtotal))]);
+  }
+  totals.push(
+    ['Subtotal', money(amounts.subtotal)],
+    [`${tax.label} (${tax.rate}%)`, money(amounts.taxAmount)],
+    ['Total', money(amounts.total)]
+  );
+  if (payment.status === 'refunded') {
+    totals.push(['Refunded', money(-amounts.total)]);
+  } else if (invoice.status === 'paid') {
+    totals.push(['Amount paid', money(amounts.total)]);
+  }
+
+  let totalsTop = rowBottom + 15;
+  totals.forEach(([label, value]) => {
+    const isTotal = label === 'Total';
+    doc.fillColor(isTotal ? accentColor : textColor)
+      .font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
+      .fontSize(isTotal ? 12 : 10)
+      .text(label, right - 250, totalsTop, { width: 140, align: 'right' })
+      .text(value, right - 100, totalsTop, { width: 94, align: 'right' });
+    totalsTop += isTotal ? 22 : 18;
+  });
+
+  // Footer
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9)
+    .text(
+      `Payment reference: ${payment.id}`,
+      left,
+      doc.page.height - doc.page.margins.bottom - 30,
+      { width, align: 'center', lineBreak: false }
+    );
+
+  doc.end();
+});
+
+/**
+ * Generate an invoice PDF and store it
+ *
+ * The tax rate is taken from the host's settings the first time and kept
+ * on the invoice, so regenerating an invoice never changes its amounts.
+ * A previously stored PDF is replaced.
+ *
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object>} Updated invoice
+ */
+const generateInvoicePDF = async (invoiceId) => {
+  const invoice = await Invoice.findByPk(invoiceId);
+
+  if (!invoice) {
+    const error = new Error('Invoice not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const data = await loadInvoiceData(invoice);
+  const { settings, payment } = data;
+
+  const taxRate = invoice.tax_rate !== null && invoice.tax_rate !== undefined
+    ? Number(invoice.tax_rate)
+    : Number((settings && settings.invoiceTaxRate) || 0);
+  const taxLabel = (settings && settings.invoiceTaxLabel) || 'Tax';
+
+  const pdf = await renderInvoicePDF({
+    ...data,
+    logo: await loadLogo(settings && settings.logoUrl),
+    tax: { rate: taxRate, label: taxLabel }
+  });
+
+  const tempPath = path.join(os.tmpdir(), `${uuidv4()}.pdf`);
+  await fs.writeFile(tempPath, pdf);
+
+  const stored = await storage.uploadFile({
+    path: tempPath,
+    originalname: `invoice-${invoice.invoice_number}.pdf`,
+    mimetype: 'application/pdf',
+    size: pdf.length
+  }, INVOICE_FOLDER);
+
+  const previousKey = invoice.pdf_url;
+
+  await invoice.update({
+    pdf_url: stored.key,
+    tax_rate: taxRate,
+    tax_amount: calculateTax(Number(payment.amount), taxRate).taxAmount
+  });
+
+  if (previousKey) {
+    try {
+      await storage.deleteFile(previousKey);
+    } catch (error) {
+      logger.warn(`Failed to delete previous PDF for invoice ${invoice.id}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Generated PDF for invoice ${invoice.invoice_number}`);
+  return invoice;
+};
+
+/**
+ * Get a short-lived download URL for an invoice PDF
+ * @param {Object} invoice - Invoice instance with a stored PDF
+ * @returns {Promise<string>} Download URL
+ */
+const getInvoiceDownloadUrl = (invoice) => storage.getSignedUrl(invoice.pdf_url, DOWNLOAD_URL_TTL);
+
+module.exports = {
+  DOWNLOAD_URL_TTL,
+  calculateTax,
+  formatCurrency,
+  renderInvoicePDF,
+  generateInvoicePDF,
+  getInvoiceDownloadUrl
+};
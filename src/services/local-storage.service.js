@@ -13,7 +13,7 @@ const logger = require('../config/logger');
 
 // Ensure upload directories exist
 const uploadBaseDir = path.join(__dirname, '../../uploads');
-const dirs = ['logos', 'avatars', 'uploads'];
+const dirs = ['logos', 'avatars', 'invoices', 'uploads'];
 
 async function ensureDirectories() {
   try {
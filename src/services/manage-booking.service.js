@@ -0,0 +1,151 @@
+/**
+ * Manage booking service
+ *
+ * Issues the signed links invitees use to view, cancel or reschedule a
+ * booking without an account, and applies the event type's cancellation
+ * and reschedule cutoffs.
+ *
+ * Tokens are JWTs signed with a key derived from JWT_SECRET, so they can
+ * never be used as session tokens, and they expire when the booking ends.
+ *
+ * @author meetabl Team
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { differenceInMinutes, isBefore } = require('date-fns');
+const { describeMinutes } = require('./availability.service');
+
+const MANAGE_ACTIONS = ['cancel', 'reschedule'];
+
+/**
+ * Get the key manage tokens are signed with
+ * @returns {Buffer} Signing key
+ */
+const getSigningKey = () => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || '')
+  .update('manage-booking')
+  .digest();
+
+/**
+ * Create a manage token for a booking
+ * @param {Object} booking - Booking instance
+ * @returns {string} Signed token, valid until the booking ends
+ */
+const createManageToken = (booking) => jwt.sign(
+  {
+    bookingId: booking.id,
+    exp: Math.floor(new Date(booking.endTime).getTime() / 1000)
+  },
+  getSigningKey(),
+  { algorithm: 'HS256' }
+);
+
+/**
+ * Verify a manage token
+ * @param {string} token - Token from a manage link
+ * @returns {string|null} Booking ID, or null if the token is invalid or expired
+ */
+const verifyManageToken = (token) => {
+  try {
+    const { bookingId } = jwt.verify(token, getSigningKey(), { algorithms: ['HS256'] });
+    return typeof bookingId === 'string' ? bookingId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the invitee's manage link for a booking
+ * @param {Object} booking - Booking instance
+ * @returns {string} Frontend URL of the manage page
+ */
+const getManageUrl = (booking) => `${process.env.FRONTEND_URL}/booking/manage/${createManageToken(booking)}`;
+
+/**
+ * Explain why an invitee can no longer change a booking
+ *
+ * Bookings can only be changed before they start, and not within the
+ * event type's cutoff for the action.
+ *
+ * @param {Object} booking - Booking instance
+ * @param {Object} [eventType] - The booking's EventType
+ * @param {string} action - 'cancel' or 'reschedule'
+ * @param {Date} [now] - Reference instant
+ * @returns {string|null} Reason, or null if the action is allowed
+ */
+const getActionRestriction = (booking, eventType, action, now = new Date()) => {
+  if (!MANAGE_ACTIONS.includes(action)) {
+    throw new Error(`Unknown manage action: ${action}`);
+  }
+
+  if (booking.status === 'cancelled') {
+    return 'This booking has been cancelled';
+  }
+
+  const startTime = new Date(booking.startTime);
+
+  if (!isBefore(now, startTime)) {
+    return 'This booking has already started';
+  }
+
+  const cutoffField = action === 'cancel' ? 'cancellationCutoff' : 'rescheduleCutoff';
+  const cutoff = eventType ? eventType[cutoffField] : null;
+
+  if (cutoff && differenceInMinutes(startTime, now) < cutoff) {
+    const verb = action === 'cancel' ? 'cancelled' : 'rescheduled';
+    return `This booking can no longer be ${verb} less than ${describeMinutes(cutoff)} before it starts`;
+  }
+
+  return null;
+};
+
+/**
+ * Serialize a booking for the invitee's manage page
+ * @param {Object} booking - Booking instance
+ * @param {Object} host - Host user
+ * @param {Object} [eventType] - The booking's EventType
+ * @param {Date} [now] - Reference instant
+ * @returns {Object} Booking details and the actions still available
+ */
+const serializeManagedBooking = (booking, host, eventType = null, now = new Date()) => {
+  const cancelRestriction = getActionRestriction(booking, eventType, 'cancel', now);
+  const rescheduleRestriction = getActionRestriction(booking, eventType, 'reschedule', now);
+
+  return {
+    id: booking.id,
+    status: booking.status,
+    customer_name: booking.customerName,
+    customer_email: booking.customerEmail,
+    start_time: booking.startTime,
+    end_time: booking.endTime,
+    notes: booking.notes,
+    answers: booking.answers || null,
+    meeting_url: booking.meetingUrl || null,
+    cancellation_reason: booking.cancellationReason || null,
+    host: {
+      name: `${host.firstName} ${host.lastName}`,
+      username: host.username,
+      timezone: host.timezone
+    },
+    event_type: eventType ? {
+      id: eventType.id,
+      name: eventType.name,
+      duration: eventType.duration,
+      cancellation_cutoff: eventType.cancellationCutoff,
+      reschedule_cutoff: eventType.rescheduleCutoff
+    } : null,
+    can_cancel: !cancelRestriction,
+    cancel_restriction: cancelRestriction,
+    can_reschedule: !rescheduleRestriction,
+    reschedule_restriction: rescheduleRestriction
+  };
+};
+
+module.exports = {
+  createManageToken,
+  verifyManageToken,
+  getManageUrl,
+  getActionRestriction,
+  serializeManagedBooking
+};
@@ -12,8 +12,13 @@ const { Op } = require('sequelize');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../config/logger');
-const { Notification, Booking, User, UserSettings, Poll, PollTimeSlot } = require('../models');
+const { Notification, Booking, User, UserSettings, EventType, Poll, PollTimeSlot } = require('../models');
 const icsGenerator = require('../utils/ics-generator');
+const bookingQuestionService = require('./booking-question.service');
+const manageBookingService = require('./manage-booking.service');
+const pushService = require('./push.service');
+const reminderService = require('./reminder.service');
+const smsService = require('./sms.service');
 
 // Create reusable transporter object using SMTP transport
 const createTransporter = () => {
@@ -77,12 +82,16 @@ const processNotificationQueue = async () => {
             if (notification.channel === 'email') {
               await sendReminderEmail(notification);
             } else if (notification.channel === 'sms') {
-              await sendSmsNotification(notification);
+              await sendReminderSms(notification);
+            } else if (notification.channel === 'push') {
+              await sendReminderPush(notification);
             }
           } else if (notification.type === 'email' || notification.channel === 'email') {
             await sendEmailNotification(notification);
           } else if (notification.type === 'sms' || notification.channel === 'sms') {
             await sendSmsNotification(notification);
+          } else if (notification.type === 'push' || notification.channel === 'push') {
+            await sendPushNotification(notification);
           }
 
           // Prepare batch update data for successful notifications
@@ -174,6 +183,11 @@ const sendEmailNotification = async (notification) => {
       .replace(/{{endTime}}/g, new Date(booking.end_time).toLocaleString())
       .replace(/{{status}}/g, booking.status);
 
+    const manageUrl = booking.status === 'cancelled' ? null : manageBookingService.getManageUrl(booking);
+    if (manageUrl) {
+      emailTemplate = emailTemplate.replace(/{{managementUrl}}/g, manageUrl);
+    }
+
     // Add Meetabl branding for free plan users
     if (!user.can_remove_branding) {
       const brandingHtml = `
@@ -194,7 +208,7 @@ const sendEmailNotification = async (notification) => {
       if (booking.status === 'cancelled') {
         icsResult = await icsGenerator.generateCancellationICS(booking, user);
       } else {
-        icsResult = await icsGenerator.generateBookingICS(booking, user);
+        icsResult = await icsGenerator.generateBookingICS(booking, user, { manageUrl });
       }
 
       icsAttachment = {
@@ -250,10 +264,77 @@ const sendSmsNotification = async (notification) => {
   await new Promise((resolve) => setTimeout(resolve, 500));
 };
 
+// Push notification titles and body prefixes for host booking events.
+// Payloads leave out invitee details, which stay on the lock screen.
+const HOST_PUSH_MESSAGES = {
+  booking_created: { title: 'New booking', prefix: 'Booked for' },
+  booking_cancelled: { title: 'Booking cancelled', prefix: 'Was scheduled for' },
+  booking_rescheduled: { title: 'Booking rescheduled', prefix: 'Now scheduled for' },
+  booking_pending_approval: { title: 'Booking awaiting approval', prefix: 'Requested for' },
+  booking_reminder: { title: 'Upcoming meeting', prefix: 'Starts' }
+};
+
+/**
+ * Send a push notification about a booking to its host's browsers
+ * @param {Object} params - Parameters with host, event and booking
+ * @param {Object} params.host - Host user
+ * @param {string} params.event - 'booking_created', 'booking_cancelled', 'booking_rescheduled',
+ *   'booking_pending_approval' or 'booking_reminder'
+ * @param {Object} params.booking - Booking or booking request
+ * @returns {Promise<Object>} Delivery counts
+ */
+const sendHostPushNotification = async (params) => {
+  try {
+    const { host, event, booking } = params;
+    const message = HOST_PUSH_MESSAGES[event];
+
+    const formattedStart = new Date(booking.startTime).toLocaleString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: host.timezone || 'UTC'
+    });
+
+    const result = await pushService.sendToUser(host.id, {
+      title: message.title,
+      body: `${message.prefix} ${formattedStart}`,
+      tag: `booking-${booking.id}`,
+      data: {
+        type: event,
+        bookingId: booking.id,
+        url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/bookings`
+      }
+    });
+
+    logger.info(`Push notification ${event} for ${booking.id} sent to host ${host.id}`, result);
+    return result;
+  } catch (error) {
+    logger.error('Error sending push notification to host:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send push notification
+ * @param {Object} notification - Notification instance
+ * @returns {Promise<void>}
+ */
+const sendPushNotification = async (notification) => {
+  const { booking } = notification;
+
+  await sendHostPushNotification({
+    host: booking.user,
+    event: booking.status === 'cancelled' ? 'booking_cancelled' : 'booking_created',
+    booking
+  });
+};
+
 /**
  * Queue notification for a booking
  * @param {string} bookingId - Booking ID
- * @param {string} type - Notification type ('email' or 'sms')
+ * @param {string} type - Notification type ('email', 'sms' or 'push')
  * @returns {Promise<Object>} Created notification
  */
 const queueNotification = async (bookingId, type = 'email') => {
@@ -484,6 +565,7 @@ const sendBookingConfirmationToCustomer = async (params) => {
   try {
     const { booking, host } = params;
     const transporter = createTransporter();
+    const manageUrl = manageBookingService.getManageUrl(booking);
 
     // Format date and time
     const startDate = new Date(booking.startTime);
@@ -539,7 +621,7 @@ const sendBookingConfirmationToCustomer = async (params) => {
             <p>Best regards,<br>The Meetabl Team</p>
           </div>
           <div class="footer">
-            <p>Need to cancel? Contact ${host.firstName} directly at ${host.email}</p>
+            <p>Need to cancel or reschedule? <a href="${manageUrl}">Manage your booking</a></p>
           </div>
         </div>
       </body>
@@ -549,7 +631,7 @@ const sendBookingConfirmationToCustomer = async (params) => {
     // Generate ICS file for calendar invite
     let icsAttachment = null;
     try {
-      const icsResult = await icsGenerator.generateBookingICS(booking, host);
+      const icsResult = await icsGenerator.generateBookingICS(booking, host, { manageUrl });
       icsAttachment = {
         filename: icsResult.filename,
         content: icsResult.icsContent,
@@ -639,6 +721,7 @@ const sendBookingNotificationToHost = async (params) => {
               <p><strong>Email:</strong> ${booking.customerEmail}</p>
               ${booking.customerPhone ? `<p><strong>Phone:</strong> ${booking.customerPhone}</p>` : ''}
               ${booking.notes ? `<p><strong>Notes:</strong> ${booking.notes}</p>` : ''}
+              ${bookingQuestionService.formatAnswersHtml(booking.answers)}
             </div>
             
             <p>This booking has been added to your calendar. The customer has received a confirmation email.</p>
@@ -753,6 +836,7 @@ const sendHostApprovalRequest = async (params) => {
               <p><strong>Email:</strong> ${bookingRequest.customerEmail}</p>
               ${bookingRequest.customerPhone ? `<p><strong>Phone:</strong> ${bookingRequest.customerPhone}</p>` : ''}
               ${bookingRequest.notes ? `<p><strong>Notes:</strong> ${bookingRequest.notes}</p>` : ''}
+              ${bookingQuestionService.formatAnswersHtml(bookingRequest.answers)}
             </div>
             
             <div class="action-buttons">
@@ -797,6 +881,7 @@ const sendBookingApprovedToCustomer = async (params) => {
   try {
     const { booking, host } = params;
     const transporter = createTransporter();
+    const manageUrl = manageBookingService.getManageUrl(booking);
 
     // Format date and time
     const startDate = new Date(booking.startTime);
@@ -846,7 +931,9 @@ const sendBookingApprovedToCustomer = async (params) => {
               ${booking.notes ? `<p><strong>Notes:</strong> ${booking.notes}</p>` : ''}
             </div>
             
-            <p>Your booking is now confirmed! You should receive a calendar invitation shortly. If you have any questions or need to make changes, please contact ${host.firstName} directly.</p>
+            <p>Your booking is now confirmed! You should receive a calendar invitation shortly. If you have any questions, please contact ${host.firstName} directly.</p>
+            
+            <p>Need to cancel or reschedule? <a href="${manageUrl}">Manage your booking</a></p>
             
             <div class="footer">
               <p>We'll send you a reminder before your meeting.</p>
@@ -861,7 +948,7 @@ const sendBookingApprovedToCustomer = async (params) => {
     // Generate ICS file for calendar invite
     let icsAttachment = null;
     try {
-      const icsResult = await icsGenerator.generateBookingICS(booking, host);
+      const icsResult = await icsGenerator.generateBookingICS(booking, host, { manageUrl });
       icsAttachment = {
         filename: icsResult.filename,
         content: icsResult.icsContent,
@@ -952,6 +1039,7 @@ const sendBookingConfirmationToHost = async (params) => {
               <p><strong>Email:</strong> ${booking.customerEmail}</p>
               ${booking.customerPhone ? `<p><strong>Phone:</strong> ${booking.customerPhone}</p>` : ''}
               ${booking.notes ? `<p><strong>Notes:</strong> ${booking.notes}</p>` : ''}
+              ${bookingQuestionService.formatAnswersHtml(booking.answers)}
             </div>
             
             <p>The customer has been notified and will receive a calendar invitation. This booking has been added to your calendar.</p>
@@ -1193,9 +1281,10 @@ const sendPollVoteNotification = async (pollId, voteData) => {
  * Send poll finalization notification to all participants
  * @param {string} pollId - Poll ID
  * @param {Object} selectedTimeSlot - Selected time slot
+ * @param {Object} [booking] - Booking created for the slot, sent as a calendar invite
  * @returns {Promise<void>}
  */
-const sendPollFinalizationNotification = async (pollId, selectedTimeSlot) => {
+const sendPollFinalizationNotification = async (pollId, selectedTimeSlot, booking = null) => {
   try {
     const transporter = createTransporter();
 
@@ -1230,7 +1319,26 @@ const sendPollFinalizationNotification = async (pollId, selectedTimeSlot) => {
     const formattedStartTime = new Date(selectedTimeSlot.startTime).toLocaleString();
     const formattedEndTime = new Date(selectedTimeSlot.endTime).toLocaleTimeString();
 
+    // Invite everyone to the booked meeting; only its customer can change it
+    let icsAttachment = null;
+    let manageUrl = null;
+    if (booking) {
+      manageUrl = manageBookingService.getManageUrl(booking);
+      try {
+        const icsResult = await icsGenerator.generateBookingICS(booking, owner);
+        icsAttachment = {
+          filename: icsResult.filename,
+          content: icsResult.icsContent,
+          contentType: `${icsResult.mimeType}; charset=${icsResult.charset}`
+        };
+      } catch (icsError) {
+        logger.error(`Failed to generate ICS file for poll booking ${booking.id}:`, icsError);
+        // Continue without ICS attachment - don't fail the email
+      }
+    }
+
     const emailPromises = Object.entries(participants).map(([email, name]) => {
+      const isCustomer = booking && email === booking.customerEmail;
       const emailHtml = `
         <!DOCTYPE html>
         <html>
@@ -1268,7 +1376,8 @@ const sendPollFinalizationNotification = async (pollId, selectedTimeSlot) => {
                 <p><strong>Timezone:</strong> ${poll.timezone}</p>
               </div>
               
-              <p>Please mark this time in your calendar. You should receive a calendar invitation shortly.</p>
+              <p>${icsAttachment ? 'A calendar invitation is attached to this email.' : 'Please mark this time in your calendar. You should receive a calendar invitation shortly.'}</p>
+              ${isCustomer ? `<p>Need to cancel or reschedule? <a href="${manageUrl}">Manage the booking</a></p>` : ''}
               
               <p>Best regards,<br>The Meetabl Team</p>
             </div>
@@ -1281,7 +1390,8 @@ const sendPollFinalizationNotification = async (pollId, selectedTimeSlot) => {
         from: `"Meetabl" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
         to: email,
         subject: `Meeting time selected: ${poll.title}`,
-        html: emailHtml
+        html: emailHtml,
+        ...(icsAttachment ? { attachments: [icsAttachment] } : {})
       });
     });
 
@@ -1294,8 +1404,36 @@ const sendPollFinalizationNotification = async (pollId, selectedTimeSlot) => {
   }
 };
 
+/**
+ * Get the recipients of a reminder
+ * @param {Object} booking - Booking with its host as `user`
+ * @param {Object} reminder - Reminder with channel and audience
+ * @returns {string[]} Email addresses, phone numbers or, for push, the host's ID
+ */
+const getReminderRecipients = (booking, reminder) => {
+  const host = booking.user;
+
+  if (reminder.audience === 'host') {
+    if (reminder.channel === 'push') return [host.id];
+    if (reminder.channel === 'sms') return host.phoneNumber ? [host.phoneNumber] : [];
+    return [host.email];
+  }
+
+  if (reminder.channel === 'sms') {
+    return booking.customerPhone ? [booking.customerPhone] : [];
+  }
+
+  // Attendees invited besides the customer get the invitee's emails too
+  return [booking.customerEmail, ...(booking.attendees || []).map((attendee) => attendee.email)];
+};
+
 /**
  * Schedule reminder notifications for a booking
+ *
+ * Creates one notification per recipient for each of the event type's
+ * reminders (see reminderService.resolveReminders). Reminders whose time
+ * has already passed are skipped.
+ *
  * @param {string} bookingId - Booking ID
  * @returns {Promise<Object[]>} Array of created reminder notifications
  */
@@ -1324,31 +1462,36 @@ const scheduleReminders = async (bookingId) => {
     }
 
     const host = booking.user;
-    const hostSettings = host.settings;
-    
+    const eventType = booking.eventTypeId ? await EventType.findByPk(booking.eventTypeId) : null;
+    const reminders = reminderService.resolveReminders({ eventType, settings: host.settings });
+
     // Check if reminders are disabled
-    if (!hostSettings || hostSettings.reminderTime === 'none') {
+    if (reminders.length === 0) {
       logger.info(`Reminders disabled for booking ${bookingId}`);
       return [];
     }
 
-    // Calculate reminder time based on user setting
-    const reminderMinutes = getReminderMinutes(hostSettings.reminderTime);
-    const reminderTime = new Date(booking.startTime.getTime() - (reminderMinutes * 60 * 1000));
-
-    // Don't schedule reminders for past bookings or if reminder time has already passed
+    // Don't schedule reminders whose time has already passed
     const now = new Date();
-    if (reminderTime <= now) {
+    const upcoming = reminders
+      .map((reminder) => ({
+        ...reminder,
+        scheduledFor: new Date(booking.startTime.getTime() - (reminder.offsetMinutes * 60 * 1000))
+      }))
+      .filter((reminder) => reminder.scheduledFor > now);
+
+    if (upcoming.length === 0) {
       logger.info(`Reminder time has passed for booking ${bookingId}, not scheduling`);
       return [];
     }
 
-    // Check if reminder already exists for this booking
+    // Check if reminders are already scheduled for this booking. Reminders
+    // already sent don't count, so a rescheduled booking gets new ones.
     const existingReminder = await Notification.findOne({
       where: {
         bookingId: bookingId,
         type: 'reminder',
-        status: ['pending', 'sent']
+        status: 'pending'
       }
     });
 
@@ -1357,36 +1500,29 @@ const scheduleReminders = async (bookingId) => {
       return [existingReminder];
     }
 
-    // Create reminder notifications for both host and customer
     const reminderNotifications = [];
 
-    // Reminder for customer
-    const customerReminder = await Notification.create({
-      id: uuidv4(),
-      bookingId: bookingId,
-      type: 'reminder',
-      channel: 'email',
-      recipient: booking.customerEmail,
-      scheduledFor: reminderTime,
-      status: 'pending'
-    });
+    for (const reminder of upcoming) {
+      const recipients = getReminderRecipients(booking, reminder);
 
-    reminderNotifications.push(customerReminder);
-
-    // Reminder for host
-    const hostReminder = await Notification.create({
-      id: uuidv4(),
-      bookingId: bookingId,
-      type: 'reminder',
-      channel: 'email',
-      recipient: host.email,
-      scheduledFor: reminderTime,
-      status: 'pending'
-    });
+      if (recipients.length === 0) {
+        logger.info(`No ${reminder.channel} recipient for ${reminder.audience} reminder of booking ${bookingId}`);
+      }
 
-    reminderNotifications.push(hostReminder);
+      for (const recipient of recipients) {
+        reminderNotifications.push(await Notification.create({
+          id: uuidv4(),
+          bookingId: bookingId,
+          type: 'reminder',
+          channel: reminder.channel,
+          recipient,
+          scheduledFor: reminder.scheduledFor,
+          status: 'pending'
+        }));
+      }
+    }
 
-    logger.info(`Scheduled ${reminderNotifications.length} reminders for booking ${bookingId} at ${reminderTime}`);
+    logger.info(`Scheduled ${reminderNotifications.length} reminders for booking ${bookingId}`);
     return reminderNotifications;
 
   } catch (error) {
@@ -1395,24 +1531,6 @@ const scheduleReminders = async (bookingId) => {
   }
 };
 
-/**
- * Get reminder minutes from user setting
- * @param {string} reminderSetting - Reminder time setting
- * @returns {number} Minutes before meeting to send reminder
- */
-const getReminderMinutes = (reminderSetting) => {
-  const reminderMap = {
-    '15_minutes': 15,
-    '30_minutes': 30,
-    '1_hour': 60,
-    '2_hours': 120,
-    '24_hours': 1440,
-    'none': 0
-  };
-
-  return reminderMap.hasOwnProperty(reminderSetting) ? reminderMap[reminderSetting] : 30; // Default to 30 minutes
-};
-
 /**
  * Send reminder email notification
  * @param {Object} notification - Notification instance
@@ -1449,11 +1567,13 @@ const sendReminderEmail = async (notification) => {
     const templatePath = path.join(__dirname, '..', 'config', 'templates', 'reminder.html');
     let emailTemplate = await fs.readFile(templatePath, 'utf8');
 
-    // Determine if this is for the host or customer
+    // Determine if this is for the host, the customer or another attendee
     const isForHost = notification.recipient === host.email;
+    const attendee = (booking.attendees || [])
+      .find((guest) => guest.email === notification.recipient);
     const recipientName = isForHost 
       ? (host.firstName ? `${host.firstName}${host.lastName ? ' ' + host.lastName : ''}` : host.email)
-      : booking.customerName;
+      : (attendee ? attendee.name : booking.customerName);
 
     const hostName = host.firstName 
       ? `${host.firstName}${host.lastName ? ' ' + host.lastName : ''}`
@@ -1518,9 +1638,18 @@ const sendReminderEmail = async (notification) => {
       emailTemplate = emailTemplate.replace(/{{#if location}}[\s\S]*?{{\/if}}/g, '');
     }
 
-    // Set up management URL (could be enhanced)
-    const managementUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/bookings/${booking.id}`;
-    emailTemplate = emailTemplate.replace(/{{managementUrl}}/g, managementUrl);
+    // Hosts manage the booking in the app and the customer through their
+    // manage link; other attendees cannot change the booking
+    if (attendee && !isForHost) {
+      emailTemplate = emailTemplate.replace(/{{#if managementUrl}}[\s\S]*?{{\/if}}/g, '');
+    } else {
+      const managementUrl = isForHost
+        ? `${process.env.FRONTEND_URL || 'http://localhost:5173'}/bookings/${booking.id}`
+        : manageBookingService.getManageUrl(booking);
+      emailTemplate = emailTemplate
+        .replace(/{{#if managementUrl}}([\s\S]*?){{\/if}}/g, '$1')
+        .replace(/{{managementUrl}}/g, managementUrl);
+    }
 
     // Add Meetabl branding for free plan users
     if (!host.canRemoveBranding) {
@@ -1555,15 +1684,84 @@ const sendReminderEmail = async (notification) => {
   }
 };
 
+/**
+ * Send reminder SMS notification through sms.service
+ * @param {Object} notification - Notification instance
+ * @returns {Promise<void>}
+ */
+const sendReminderSms = async (notification) => {
+  try {
+    const booking = await Booking.findByPk(notification.bookingId, {
+      include: [{ model: User, as: 'user', required: true }]
+    });
+
+    if (!booking) {
+      throw new Error(`Booking not found: ${notification.bookingId}`);
+    }
+
+    const host = booking.user;
+    const isForHost = notification.recipient === host.phoneNumber;
+    const hostName = host.firstName
+      ? `${host.firstName}${host.lastName ? ' ' + host.lastName : ''}`
+      : host.email;
+
+    const formattedStart = new Date(booking.startTime).toLocaleString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: host.timezone || 'UTC',
+      timeZoneName: 'short'
+    });
+
+    let message = isForHost
+      ? `Reminder: your meeting with ${booking.customerName} starts ${formattedStart}.`
+      : `Reminder: your meeting with ${hostName} starts ${formattedStart}.`;
+
+    if (booking.meetingUrl) {
+      message += ` Join: ${booking.meetingUrl}`;
+    }
+
+    if (!isForHost) {
+      message += ` Manage: ${manageBookingService.getManageUrl(booking)}`;
+    }
+
+    await smsService.sendSMS(notification.recipient, message);
+    logger.info(`Reminder SMS sent for booking ${booking.id}`);
+  } catch (error) {
+    logger.error(`Error sending reminder SMS for booking ${notification.bookingId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Send reminder push notification to the host's browsers
+ * @param {Object} notification - Notification instance
+ * @returns {Promise<void>}
+ */
+const sendReminderPush = async (notification) => {
+  const booking = await Booking.findByPk(notification.bookingId, {
+    include: [{ model: User, as: 'user', required: true }]
+  });
+
+  if (!booking) {
+    throw new Error(`Booking not found: ${notification.bookingId}`);
+  }
+
+  await sendHostPushNotification({ host: booking.user, event: 'booking_reminder', booking });
+};
+
 /**
  * Cancel scheduled reminders for a booking
  * @param {string} bookingId - Booking ID
+ * @param {string} [reason] - Recorded as the reminders' error message
  * @returns {Promise<number>} Number of cancelled reminders
  */
-const cancelReminders = async (bookingId) => {
+const cancelReminders = async (bookingId, reason = 'Booking cancelled') => {
   try {
     const [updatedCount] = await Notification.update(
-      { status: 'failed', errorMessage: 'Booking cancelled' },
+      { status: 'failed', errorMessage: reason },
       {
         where: {
           bookingId: bookingId,
@@ -1587,6 +1785,8 @@ const cancelReminders = async (bookingId) => {
 module.exports = {
   processNotificationQueue,
   queueNotification,
+  sendHostPushNotification,
+  sendPushNotification,
   sendPasswordResetEmail,
   sendEmailVerification,
   sendBookingConfirmationRequest,
@@ -1600,6 +1800,8 @@ module.exports = {
   sendPollFinalizationNotification,
   scheduleReminders,
   sendReminderEmail,
+  sendReminderSms,
+  sendReminderPush,
   cancelReminders,
-  getReminderMinutes
+  getReminderMinutes: reminderService.getReminderMinutes
 };
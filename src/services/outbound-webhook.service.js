@@ -0,0 +1,602 @@
+/**
+ * Outbound webhook service
+ *
+ * Manages the webhook endpoints hosts register and delivers signed booking
+ * lifecycle events to them. Deliveries are logged and sent through the
+ * webhook queue, which retries failures with exponential backoff.
+ *
+ * @author meetabl Team
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const { WebhookEndpoint, WebhookDelivery, AuditLog } = require('../models');
+const { generateSecureToken } = require('../utils/crypto');
+const { assertPublicUrl, lookupPublicAddress } = require('../utils/network');
+
+const WEBHOOK_EVENTS = [
+  'booking.created',
+  'booking.cancelled',
+  'booking.rescheduled',
+  'booking_request.pending_approval',
+  'poll.finalized'
+];
+
+// Attempts per delivery; with the base delay, retries span about an hour
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Longest excerpt of a response body kept in the delivery log. Bodies are
+// never returned through the API, so endpoints cannot be used to read
+// responses from other servers
+const RESPONSE_BODY_LIMIT = 200;
+
+// Largest response read from an endpoint
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+/**
+ * Generate a signing secret for an endpoint
+ * @returns {string} Secret
+ */
+const generateSecret = () => `whsec_${generateSecureToken(32)}`;
+
+/**
+ * Sign a payload for an endpoint
+ *
+ * The signature covers the timestamp so receivers can reject replays.
+ *
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} body - Serialized payload
+ * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`, 'utf8')
+  .digest('hex');
+
+/**
+ * Shape an endpoint for API responses
+ * @param {Object} endpoint - WebhookEndpoint instance
+ * @param {boolean} [includeSecret] - Whether to include the signing secret
+ * @returns {Object} Endpoint data
+ */
+const serializeEndpoint = (endpoint, includeSecret = false) => {
+  const data = {
+    id: endpoint.id,
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    active: endpoint.active,
+    created_at: endpoint.createdAt
+  };
+
+  if (includeSecret) {
+    data.secret = endpoint.secret;
+  }
+
+  return data;
+};
+
+/**
+ * Shape a delivery for API responses
+ * @param {Object} delivery - WebhookDelivery instance
+ * @returns {Object} Delivery data
+ */
+const serializeDelivery = (delivery) => ({
+  id: delivery.id,
+  event: delivery.event,
+  event_id: delivery.eventId,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  response_status: delivery.responseStatus,
+  error: delivery.error,
+  last_attempt_at: delivery.lastAttemptAt,
+  delivered_at: delivery.deliveredAt,
+  redelivery_of_id: delivery.redeliveryOfId,
+  payload: delivery.payload,
+  created_at: delivery.createdAt
+});
+
+/**
+ * Shape a booking for event payloads
+ * @param {Object} booking - Booking instance
+ * @returns {Object} Booking data
+ */
+const serializeBooking = (booking) => ({
+  id: booking.id,
+  status: booking.status,
+  host_id: booking.userId,
+  event_type_id: booking.eventTypeId || null,
+  customer_name: booking.customerName,
+  customer_email: booking.customerEmail,
+  customer_phone: booking.customerPhone || null,
+  start_time: booking.startTime,
+  end_time: booking.endTime,
+  notes: booking.notes || null,
+  answers: booking.answers || [],
+  attendees: booking.attendees || [],
+  poll_id: booking.pollId || null,
+  meeting_url: booking.meetingUrl || null,
+  cancellation_reason: booking.cancellationReason || null
+});
+
+/**
+ * Shape a booking request for event payloads
+ * @param {Object} bookingRequest - BookingRequest instance
+ * @returns {Object} Booking request data
+ */
+const serializeBookingRequest = (bookingRequest) => ({
+  id: bookingRequest.id,
+  status: bookingRequest.status,
+  host_id: bookingRequest.userId,
+  event_type_id: bookingRequest.eventTypeId || null,
+  customer_name: bookingRequest.customerName,
+  customer_email: bookingRequest.customerEmail,
+  customer_phone: bookingRequest.customerPhone || null,
+  start_time: bookingRequest.startTime,
+  end_time: bookingRequest.endTime,
+  notes: bookingRequest.notes || null,
+  answers: bookingRequest.answers || [],
+  approval_expires_at: bookingRequest.hostApprovalTokenExpiresAt || null
+});
+
+/**
+ * Shape a finalized poll for event payloads
+ * @param {Object} poll - Poll instance
+ * @param {Object} selectedSlot - Chosen PollTimeSlot
+ * @returns {Object} Poll data
+ */
+const serializePoll = (poll, selectedSlot) => ({
+  id: poll.id,
+  title: poll.title,
+  status: poll.status,
+  host_id: poll.userId,
+  duration_minutes: poll.durationMinutes,
+  timezone: poll.timezone,
+  selected_time_slot: {
+    id: selectedSlot.id,
+    start_time: selectedSlot.startTime,
+    end_time: selectedSlot.endTime
+  }
+});
+
+/**
+ * Build a validation error for a request field
+ * @param {string} field - Field name
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const invalidField = (field, message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.field = field;
+  return error;
+};
+
+/**
+ * Check endpoint settings supplied by a host
+ *
+ * Endpoints have to be HTTPS URLs of public hosts; the host is checked
+ * again on every delivery, in case its DNS changes.
+ *
+ * @param {Object} params - Endpoint settings
+ * @param {string} [params.url] - Endpoint URL
+ * @param {Array<string>} [params.events] - Subscribed events
+ * @returns {Promise<void>}
+ */
+const assertValidEndpoint = async ({ url, events }) => {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw invalidField('url', 'URL must be a valid URL');
+    }
+
+    if (parsed.protocol !== 'https:') {
+      throw invalidField('url', 'URL must use HTTPS');
+    }
+
+    try {
+      await assertPublicUrl(parsed);
+    } catch (error) {
+      throw invalidField('url', 'URL must point to a public host');
+    }
+  }
+
+  if (events !== undefined) {
+    const unknownEvents = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+
+    if (unknownEvents.length > 0) {
+      throw invalidField('events', `Unknown events: ${unknownEvents.join(', ')}`);
+    }
+  }
+};
+
+/**
+ * Load one of the user's endpoints
+ * @param {string} userId - User ID
+ * @param {string} endpointId - Endpoint ID
+ * @returns {Promise<Object>} WebhookEndpoint
+ */
+const getUserEndpoint = async (userId, endpointId) => {
+  const endpoint = await WebhookEndpoint.findOne({ where: { id: endpointId, userId } });
+
+  if (!endpoint) {
+    const error = new Error('Webhook endpoint not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return endpoint;
+};
+
+/**
+ * List a user's webhook endpoints
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Serialized endpoints
+ */
+const listEndpoints = async (userId) => {
+  const endpoints = await WebhookEndpoint.findAll({
+    where: { userId },
+    order: [['created_at', 'ASC']]
+  });
+
+  return endpoints.map((endpoint) => serializeEndpoint(endpoint));
+};
+
+/**
+ * Register a webhook endpoint
+ * @param {string} userId - User ID
+ * @param {Object} params - Endpoint settings
+ * @param {string} params.url - Endpoint URL
+ * @param {Array<string>} params.events - Subscribed events
+ * @param {string} [params.description] - Description
+ * @returns {Promise<Object>} Serialized endpoint, including its secret
+ */
+const createEndpoint = async (userId, { url, events, description }) => {
+  await assertValidEndpoint({ url, events });
+
+  const endpoint = await WebhookEndpoint.create({
+    userId,
+    url,
+    events: [...new Set(events)],
+    description: description || null,
+    secret: generateSecret()
+  });
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'webhook_endpoint.create',
+    metadata: { endpointId: endpoint.id, url, events: endpoint.events }
+  });
+
+  logger.info(`Webhook endpoint ${endpoint.id} created for user ${userId}`);
+  return serializeEndpoint(endpoint, true);
+};
+
+/**
+ * Update a webhook endpoint
+ * @param {string} userId - User ID
+ * @param {string} endpointId - Endpoint ID
+ * @param {Object} changes - url, events, description and/or active
+ * @returns {Promise<Object>} Serialized endpoint
+ */
+const updateEndpoint = async (userId, endpointId, {
+  url, events, description, active
+}) => {
+  await assertValidEndpoint({ url, events });
+
+  const endpoint = await getUserEndpoint(userId, endpointId);
+  const updates = {};
+
+  if (url !== undefined) updates.url = url;
+  if (events !== undefined) updates.events = [...new Set(events)];
+  if (description !== undefined) updates.description = description || null;
+  if (active !== undefined) updates.active = active;
+
+  await endpoint.update(updates);
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'webhook_endpoint.update',
+    metadata: { endpointId, changes: Object.keys(updates) }
+  });
+
+  return serializeEndpoint(endpoint);
+};
+
+/**
+ * Replace an endpoint's signing secret
+ * @param {string} userId - User ID
+ * @param {string} endpointId - Endpoint ID
+ * @returns {Promise<Object>} Serialized endpoint, including the new secret
+ */
+const rotateSecret = async (userId, endpointId) => {
+  const endpoint = await getUserEndpoint(userId, endpointId);
+
+  await endpoint.update({ secret: generateSecret() });
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'webhook_endpoint.rotate_secret',
+    metadata: { endpointId }
+  });
+
+  return serializeEndpoint(endpoint, true);
+};
+
+/**
+ * Delete a webhook endpoint along with its delivery log
+ * @param {string} userId - User ID
+ * @param {string} endpointId - Endpoint ID
+ * @returns {Promise<void>}
+ */
+const deleteEndpoint = async (userId, endpointId) => {
+  const endpoint = await getUserEndpoint(userId, endpointId);
+
+  await WebhookDelivery.destroy({ where: { endpointId } });
+  await endpoint.destroy();
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'webhook_endpoint.delete',
+    metadata: { endpointId, url: endpoint.url }
+  });
+
+  logger.info(`Webhook endpoint ${endpointId} deleted for user ${userId}`);
+};
+
+/**
+ * List the delivery log of an endpoint
+ * @param {string} userId - User ID
+ * @param {string} endpointId - Endpoint ID
+ * @param {Object} [options] - Pagination
+ * @param {number} [options.limit] - Page size
+ * @param {number} [options.offset] - Offset
+ * @returns {Promise<{total: number, deliveries: Array}>} Deliveries, newest first
+ */
+const listDeliveries = async (userId, endpointId, { limit = 20, offset = 0 } = {}) => {
+  await getUserEndpoint(userId, endpointId);
+
+  const { count, rows } = await WebhookDelivery.findAndCountAll({
+    where: { endpointId },
+    order: [['created_at', 'DESC']],
+    limit,
+    offset
+  });
+
+  return { total: count, deliveries: rows.map(serializeDelivery) };
+};
+
+/**
+ * Queue a delivery for sending
+ * @param {Object} delivery - WebhookDelivery instance
+ * @returns {Promise<void>}
+ */
+const enqueueDelivery = async (delivery) => {
+  // Required here so loading the service does not open a Redis connection
+  const { addJob } = require('../queue');
+
+  await addJob('webhook', 'deliver', { deliveryId: delivery.id }, {
+    jobId: delivery.id,
+    attempts: MAX_ATTEMPTS,
+    backoff: { type: 'exponential', delay: RETRY_BASE_DELAY_MS },
+    removeOnComplete: true
+  });
+};
+
+/**
+ * Send an event to every active endpoint of a user subscribed to it
+ *
+ * Webhooks are best effort and never fail the request that triggered them;
+ * deliveries that could not be queued stay pending in the log, where they
+ * can be redelivered.
+ *
+ * @param {string} userId - ID of the host the event belongs to
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Number of deliveries created
+ */
+const emitEvent = async (userId, event, data) => {
+  try {
+    const endpoints = await WebhookEndpoint.findAll({ where: { userId, active: true } });
+    const subscribed = endpoints.filter((endpoint) => endpoint.events.includes(event));
+
+    if (subscribed.length === 0) {
+      return 0;
+    }
+
+    const eventId = uuidv4();
+    const payload = {
+      id: eventId,
+      type: event,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    await Promise.all(subscribed.map(async (endpoint) => {
+      const delivery = await WebhookDelivery.create({
+        endpointId: endpoint.id,
+        event,
+        eventId,
+        payload
+      });
+
+      try {
+        await enqueueDelivery(delivery);
+      } catch (queueError) {
+        logger.error(`Failed to queue webhook delivery ${delivery.id}:`, queueError);
+      }
+    }));
+
+    return subscribed.length;
+  } catch (error) {
+    logger.error(`Error emitting ${event} webhook for user ${userId}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Send an earlier delivery's payload again
+ * @param {string} userId - User ID
+ * @param {string} endpointId - Endpoint ID
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} Serialized new delivery
+ */
+const redeliver = async (userId, endpointId, deliveryId) => {
+  const endpoint = await getUserEndpoint(userId, endpointId);
+  const original = await WebhookDelivery.findOne({ where: { id: deliveryId, endpointId } });
+
+  if (!original) {
+    const error = new Error('Webhook delivery not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!endpoint.active) {
+    const error = new Error('Webhook endpoint is disabled');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const delivery = await WebhookDelivery.create({
+    endpointId,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    redeliveryOfId: original.id
+  });
+
+  await enqueueDelivery(delivery);
+
+  logger.info(`Webhook delivery ${original.id} redelivered as ${delivery.id}`);
+  return serializeDelivery(delivery);
+};
+
+/**
+ * Make one attempt at sending a delivery
+ *
+ * Called by the webhook queue worker. A failed attempt throws so the queue
+ * retries it, until the attempts run out and the delivery is marked failed.
+ *
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} WebhookDelivery
+ */
+const deliverWebhook = async (deliveryId) => {
+  const delivery = await WebhookDelivery.findByPk(deliveryId, {
+    include: [{ model: WebhookEndpoint, as: 'endpoint' }]
+  });
+
+  if (!delivery || delivery.status !== 'pending') {
+    return delivery;
+  }
+
+  const { endpoint } = delivery;
+
+  if (!endpoint || !endpoint.active) {
+    await delivery.update({ status: 'failed', error: 'Webhook endpoint is disabled' });
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let responseBody = null;
+  let failure = null;
+
+  try {
+    // The lookup refuses private addresses on connect; IP literals skip it
+    await assertPublicUrl(endpoint.url);
+
+    const response = await axios({
+      method: 'POST',
+      url: endpoint.url,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'meetabl-webhooks/1.0',
+        'X-Meetabl-Event': delivery.event,
+        'X-Meetabl-Delivery': delivery.id,
+        'X-Meetabl-Timestamp': String(timestamp),
+        'X-Meetabl-Signature': `sha256=${signPayload(endpoint.secret, timestamp, body)}`
+      },
+      data: body,
+      lookup: lookupPublicAddress,
+      maxRedirects: 0,
+      maxContentLength: MAX_RESPONSE_BYTES,
+      timeout: REQUEST_TIMEOUT_MS,
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: () => true
+    });
+
+    responseStatus = response.status;
+    responseBody = String(response.data || '').substring(0, RESPONSE_BODY_LIMIT);
+
+    if (response.status < 200 || response.status >= 300) {
+      failure = `Endpoint responded with status ${response.status}`;
+    }
+  } catch (error) {
+    failure = error.message;
+  }
+
+  const now = new Date();
+
+  if (!failure) {
+    await delivery.update({
+      status: 'succeeded',
+      attempts,
+      responseStatus,
+      responseBody,
+      error: null,
+      lastAttemptAt: now,
+      deliveredAt: now
+    });
+    return delivery;
+  }
+
+  await delivery.update({
+    status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+    attempts,
+    responseStatus,
+    responseBody,
+    error: failure,
+    lastAttemptAt: now
+  });
+
+  logger.warn(`Webhook delivery ${delivery.id} attempt ${attempts} failed: ${failure}`);
+
+  if (attempts < MAX_ATTEMPTS) {
+    throw new Error(`Webhook delivery ${delivery.id} failed: ${failure}`);
+  }
+
+  return delivery;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  signPayload,
+  serializeBooking,
+  serializeBookingRequest,
+  serializePoll,
+  listEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  rotateSecret,
+  deleteEndpoint,
+  listDeliveries,
+  emitEvent,
+  redeliver,
+  deliverWebhook
+};
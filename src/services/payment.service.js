@@ -11,12 +11,30 @@ const { v4: uuidv4 } = require('uuid');
 const logger = require('../config/logger');
 const { Payment, Booking, User, Invoice, PricingRule } = require('../models');
 const { sequelize } = require('../config/database');
+const invoiceService = require('./invoice.service');
+const promoCodeService = require('./promo-code.service');
 
 // Initialize Stripe with API key
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2023-10-16'
 });
 
+/**
+ * Render and store an invoice's PDF without failing the payment flow
+ *
+ * A missing PDF is generated again when the invoice is downloaded.
+ *
+ * @param {Object} invoice - Invoice instance
+ * @returns {Promise<void>}
+ */
+const storeInvoicePDF = async (invoice) => {
+  try {
+    await invoiceService.generateInvoicePDF(invoice.id);
+  } catch (error) {
+    logger.error(`Error generating PDF for invoice ${invoice.id}:`, error);
+  }
+};
+
 /**
  * Create a payment intent with Stripe
  * @param {string} bookingId - Booking ID
@@ -103,12 +121,205 @@ const createPaymentIntent = async (bookingId, userId) => {
   }
 };
 
+/**
+ * Create the invoice of a completed payment
+ * @param {Object} payment - Payment instance
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} Invoice instance
+ */
+const createInvoice = (payment, transaction) => Invoice.create({
+  payment_id: payment.id,
+  invoice_number: `INV-${Date.now()}-${payment.id.substring(0, 8)}`,
+  status: 'paid'
+}, { transaction });
+
+/**
+ * Get the Payment fields recording a charge's promo code discount
+ * @param {Object} charge - Charge, discounted by promoCodeService.applyPromoCode
+ * @returns {Object} promo_code_id, promo_code and discount_amount
+ */
+const getDiscountFields = (charge) => ({
+  promo_code_id: charge.promoCode ? charge.promoCode.id : null,
+  promo_code: charge.promoCode ? charge.promoCode.code : null,
+  discount_amount: charge.discount || 0
+});
+
+/**
+ * Get the amount charged when an event type is booked
+ *
+ * Event types with a deposit below their price charge only the deposit
+ * when booking.
+ *
+ * @param {Object} [eventType] - EventType instance
+ * @returns {{amount: number, currency: string, isDeposit: boolean}|null} Charge,
+ *   or null if the event type is free
+ */
+const getBookingCharge = (eventType) => {
+  const price = eventType && eventType.price ? Number(eventType.price) : 0;
+
+  if (!(price > 0)) {
+    return null;
+  }
+
+  const deposit = eventType.depositAmount ? Number(eventType.depositAmount) : null;
+  const isDeposit = deposit > 0 && deposit < price;
+
+  return {
+    amount: isDeposit ? deposit : price,
+    currency: eventType.currency || 'USD',
+    isDeposit
+  };
+};
+
+/**
+ * Create the payment intent that pays for a booking being held
+ *
+ * The payment belongs to the host, so it shows up in their payment
+ * history and invoices.
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.booking - Booking awaiting payment
+ * @param {Object} params.charge - Charge from getBookingCharge
+ * @param {Object} params.transaction - Sequelize transaction
+ * @returns {Promise<Object>} Payment intent details for the invitee's checkout
+ */
+const createBookingPaymentIntent = async ({ booking, charge, transaction }) => {
+  const payment = await Payment.create({
+    user_id: booking.userId,
+    booking_id: booking.id,
+    amount: charge.amount,
+    currency: charge.currency,
+    status: 'pending',
+    ...getDiscountFields(charge)
+  }, { transaction });
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(charge.amount * 100), // Convert to cents
+    currency: charge.currency.toLowerCase(),
+    receipt_email: booking.customerEmail,
+    metadata: {
+      payment_id: payment.id,
+      booking_id: booking.id,
+      user_id: booking.userId,
+      deposit: String(charge.isDeposit),
+      ...(charge.promoCode ? { promo_code: charge.promoCode.code } : {})
+    },
+    automatic_payment_methods: {
+      enabled: true
+    }
+  }, {
+    idempotencyKey: `booking-payment-${payment.id}`
+  });
+
+  await payment.update({
+    stripe_payment_intent_id: paymentIntent.id
+  }, { transaction });
+
+  logger.info(`Payment intent created for held booking ${booking.id}`, {
+    payment_id: payment.id,
+    stripe_payment_intent_id: paymentIntent.id
+  });
+
+  return {
+    payment_id: payment.id,
+    client_secret: paymentIntent.client_secret,
+    amount: charge.amount,
+    currency: charge.currency,
+    deposit: charge.isDeposit,
+    discount: charge.discount || 0
+  };
+};
+
+/**
+ * Record the payment of a booking whose charge a promo code waived
+ *
+ * Nothing is charged through Stripe; the payment is completed at once and
+ * invoiced, so the discount shows up like any other. The invoice PDF is
+ * rendered when it is first downloaded.
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.booking - Booking being confirmed
+ * @param {Object} params.charge - Discounted charge from promoCodeService.applyPromoCode
+ * @param {Object} params.transaction - Sequelize transaction
+ * @returns {Promise<Object>} Payment details
+ */
+const recordWaivedBookingPayment = async ({ booking, charge, transaction }) => {
+  const payment = await Payment.create({
+    user_id: booking.userId,
+    booking_id: booking.id,
+    amount: 0,
+    currency: charge.currency,
+    status: 'completed',
+    ...getDiscountFields(charge)
+  }, { transaction });
+
+  await createInvoice(payment, transaction);
+
+  logger.info(`Payment waived for booking ${booking.id}`, { payment_id: payment.id });
+
+  return {
+    payment_id: payment.id,
+    client_secret: null,
+    amount: 0,
+    currency: charge.currency,
+    deposit: charge.isDeposit,
+    discount: charge.discount
+  };
+};
+
+/**
+ * Cancel a pending payment's Stripe payment intent
+ *
+ * Payments that have already gone through, or are still being processed,
+ * are left alone.
+ *
+ * @param {Object} payment - Pending Payment instance
+ * @returns {Promise<boolean>} Whether the payment was cancelled
+ */
+const cancelPaymentIntent = async (payment) => {
+  try {
+    if (payment.stripe_payment_intent_id) {
+      const paymentIntentId = payment.stripe_payment_intent_id;
+      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+      if (['succeeded', 'processing'].includes(paymentIntent.status)) {
+        return false;
+      }
+
+      if (paymentIntent.status !== 'canceled') {
+        await stripe.paymentIntents.cancel(paymentIntentId);
+      }
+    }
+
+    await payment.update({ status: 'failed' });
+
+    if (payment.promo_code_id) {
+      await promoCodeService.releasePromoCode(payment.promo_code_id);
+    }
+
+    logger.info(`Payment ${payment.id} cancelled`);
+    return true;
+  } catch (error) {
+    logger.error('Error cancelling payment intent:', error);
+    throw error;
+  }
+};
+
 /**
  * Confirm payment after successful Stripe payment
+ *
+ * Stripe can deliver a payment's events more than once, and through both
+ * webhook endpoints, so payments that are already completed or refunded
+ * are returned as they are, without another invoice.
+ *
  * @param {string} paymentIntentId - Stripe payment intent ID
- * @returns {Promise<Object>} Updated payment details
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.issueInvoice] - Whether to invoice the payment,
+ *   false for a payment that is about to be refunded
+ * @returns {Promise<Object>} Updated payment details, with a null invoice
+ *   if none was issued
  */
-const confirmPayment = async (paymentIntentId) => {
+const confirmPayment = async (paymentIntentId, { issueInvoice = true } = {}) => {
   const transaction = await sequelize.transaction();
   
   try {
@@ -119,33 +330,39 @@ const confirmPayment = async (paymentIntentId) => {
       throw new Error('Payment not successful');
     }
 
-    // Find payment record
+    // Find payment record, locked so concurrent deliveries confirm it once
     const payment = await Payment.findOne({
       where: { stripe_payment_intent_id: paymentIntentId },
-      transaction
+      transaction,
+      lock: transaction.LOCK.UPDATE
     });
 
     if (!payment) {
       throw new Error('Payment record not found');
     }
 
+    if (['completed', 'refunded'].includes(payment.status)) {
+      await transaction.commit();
+
+      logger.info(`Payment ${payment.id} was already ${payment.status}`);
+      return { payment, invoice: null };
+    }
+
     // Update payment status
     await payment.update({
       status: 'completed'
     }, { transaction });
 
-    // Generate invoice
-    const invoiceNumber = `INV-${Date.now()}-${payment.id.substring(0, 8)}`;
-    const invoice = await Invoice.create({
-      payment_id: payment.id,
-      invoice_number: invoiceNumber,
-      status: 'paid'
-    }, { transaction });
+    const invoice = issueInvoice ? await createInvoice(payment, transaction) : null;
 
     await transaction.commit();
 
     logger.info(`Payment confirmed for payment ${payment.id}`);
 
+    if (invoice) {
+      await storeInvoicePDF(invoice);
+    }
+
     return {
       payment,
       invoice
@@ -214,6 +431,11 @@ const processRefund = async (paymentId, amount = null, reason = 'requested_by_cu
       amount: refund.amount / 100
     });
 
+    // Reissue the PDF so it shows the refund
+    if (invoice) {
+      await storeInvoicePDF(invoice);
+    }
+
     return {
       refund_id: refund.id,
       amount: refund.amount / 100,
@@ -296,6 +518,10 @@ const handleWebhookEvent = async (event) => {
 
 module.exports = {
   createPaymentIntent,
+  getBookingCharge,
+  createBookingPaymentIntent,
+  recordWaivedBookingPayment,
+  cancelPaymentIntent,
   confirmPayment,
   processRefund,
   getPaymentHistory,
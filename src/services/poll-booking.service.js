@@ -0,0 +1,114 @@
+/**
+ * Poll booking service
+ *
+ * Turns the winning time slot of a finalized meeting poll into a booking
+ * for the poll's host, with every voter invited.
+ *
+ * The booking's customer is the first participant who voted for the
+ * chosen slot (or the first voter if nobody did); everyone else who voted
+ * is kept in the booking's attendees.
+ *
+ * @author meetabl Team
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { Booking, PollVote } = require('../models');
+const availabilityService = require('./availability.service');
+
+/**
+ * List a poll's voters as attendees, one per email address
+ *
+ * Voters of the selected slot come first, each group in voting order.
+ *
+ * @param {Array<Object>} votes - PollVotes of the poll
+ * @param {string} selectedTimeSlotId - Chosen PollTimeSlot ID
+ * @returns {Array<{name: string, email: string}>} Attendees
+ */
+const getPollAttendees = (votes, selectedTimeSlotId) => {
+  const ordered = [
+    ...votes.filter((vote) => vote.pollTimeSlotId === selectedTimeSlotId),
+    ...votes.filter((vote) => vote.pollTimeSlotId !== selectedTimeSlotId)
+  ];
+  const attendees = new Map();
+
+  ordered.forEach((vote) => {
+    const email = vote.participantEmail.toLowerCase();
+
+    if (!attendees.has(email)) {
+      attendees.set(email, { name: vote.participantName, email: vote.participantEmail });
+    }
+  });
+
+  return [...attendees.values()];
+};
+
+/**
+ * Build the notes stored on a poll booking
+ * @param {Object} poll - Poll instance
+ * @returns {string} Poll title and description
+ */
+const getPollNotes = (poll) => (poll.description ? `${poll.title}\n\n${poll.description}` : poll.title);
+
+/**
+ * Create the booking for a poll's selected time slot
+ *
+ * Runs inside the caller's transaction, so a conflict rolls back the
+ * poll's finalization as well.
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.poll - Poll instance
+ * @param {Object} params.slot - Selected PollTimeSlot
+ * @param {Object} params.transaction - Sequelize transaction
+ * @returns {Promise<Object>} Created booking
+ */
+const createPollBooking = async ({ poll, slot, transaction }) => {
+  const votes = await PollVote.findAll({
+    where: { pollId: poll.id },
+    order: [['createdAt', 'ASC']],
+    transaction
+  });
+  const [customer, ...attendees] = getPollAttendees(votes, slot.id);
+
+  if (!customer) {
+    const error = new Error('A booking needs at least one poll participant');
+    error.statusCode = 400;
+    error.field = 'createBooking';
+    throw error;
+  }
+
+  const conflict = await Booking.findOne({
+    where: {
+      userId: poll.userId,
+      startTime: { [Op.lt]: slot.endTime },
+      endTime: { [Op.gt]: slot.startTime },
+      // Confirmed bookings and unexpired payment holds
+      [Op.and]: [availabilityService.getOccupyingBookingWhere()]
+    },
+    transaction
+  });
+
+  if (conflict) {
+    const error = new Error('The selected time now conflicts with another booking');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return Booking.create({
+    id: uuidv4(),
+    userId: poll.userId,
+    pollId: poll.id,
+    customerName: customer.name,
+    customerEmail: customer.email,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    notes: getPollNotes(poll),
+    attendees,
+    status: 'confirmed'
+  }, { transaction });
+};
+
+module.exports = {
+  getPollAttendees,
+  createPollBooking
+};
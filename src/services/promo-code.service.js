@@ -0,0 +1,425 @@
+/**
+ * Promo code service
+ *
+ * Manages the promo codes hosts give out to invitees, and checks and
+ * applies them when an invitee pays for a booking.
+ *
+ * A code takes a percentage or a fixed amount off the amount charged when
+ * booking, so for event types with a deposit it discounts the deposit. A
+ * redemption is counted when the payment is created and given back if the
+ * payment is never completed.
+ *
+ * @author meetabl Team
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const logger = require('../config/logger');
+const { sequelize } = require('../config/database');
+const { PromoCode, EventType, AuditLog } = require('../models');
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+// Smallest amount Stripe charges in most currencies; less than this to pay is waived
+const MIN_CHARGE_AMOUNT = 0.5;
+
+/**
+ * Build a promo code error
+ * @param {string} message - Error message
+ * @param {number} [statusCode] - HTTP status code
+ * @param {string} [field] - Request field the error is about
+ * @returns {Error} Error with statusCode
+ */
+const promoCodeError = (message, statusCode = 400, field = 'promo_code') => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (statusCode === 400) {
+    error.field = field;
+  }
+  return error;
+};
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalize a code as entered, so codes match regardless of case
+ * @param {string} code - Code
+ * @returns {string} Trimmed, uppercased code
+ */
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * Shape a promo code for API responses
+ * @param {Object} promoCode - PromoCode instance
+ * @returns {Object} Promo code data
+ */
+const serializePromoCode = (promoCode) => ({
+  id: promoCode.id,
+  code: promoCode.code,
+  discount_type: promoCode.discountType,
+  discount_value: Number(promoCode.discountValue),
+  currency: promoCode.currency,
+  expires_at: promoCode.expiresAt,
+  max_redemptions: promoCode.maxRedemptions,
+  redemption_count: promoCode.redemptionCount,
+  event_type_ids: promoCode.eventTypeIds,
+  active: promoCode.active,
+  created_at: promoCode.createdAt
+});
+
+/**
+ * Check the discount of a promo code
+ * @param {Object} params - Promo code settings
+ * @param {string} params.discountType - percent or fixed
+ * @param {number} params.discountValue - Percentage or amount off
+ * @param {string} [params.currency] - Currency of fixed amount codes
+ */
+const assertValidDiscount = ({ discountType, discountValue, currency }) => {
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw promoCodeError(`Discount type must be one of ${DISCOUNT_TYPES.join(', ')}`, 400, 'discount_type');
+  }
+
+  const value = Number(discountValue);
+
+  if (!(value > 0)) {
+    throw promoCodeError('Discount value must be more than 0', 400, 'discount_value');
+  }
+
+  if (discountType === 'percent' && value > 100) {
+    throw promoCodeError('A percentage discount cannot be more than 100', 400, 'discount_value');
+  }
+
+  if (discountType === 'fixed' && !currency) {
+    throw promoCodeError('A fixed amount discount needs a currency', 400, 'currency');
+  }
+};
+
+/**
+ * Check that event types a code is restricted to belong to the host
+ * @param {string} userId - Host user ID
+ * @param {Array<string>|null} eventTypeIds - Event type IDs
+ * @returns {Promise<Array<string>|null>} Unique event type IDs, or null for all
+ */
+const checkEventTypeIds = async (userId, eventTypeIds) => {
+  if (!eventTypeIds || eventTypeIds.length === 0) {
+    return null;
+  }
+
+  const ids = [...new Set(eventTypeIds)];
+  const owned = await EventType.count({
+    where: { id: { [Op.in]: ids }, userId, teamId: null }
+  });
+
+  if (owned !== ids.length) {
+    throw promoCodeError('Event types must be your own event types', 400, 'event_type_ids');
+  }
+
+  return ids;
+};
+
+/**
+ * Get a host's promo code
+ * @param {string} userId - Host user ID
+ * @param {string} promoCodeId - Promo code ID
+ * @returns {Promise<Object>} PromoCode instance
+ */
+const getUserPromoCode = async (userId, promoCodeId) => {
+  const promoCode = await PromoCode.findOne({ where: { id: promoCodeId, userId } });
+
+  if (!promoCode) {
+    throw promoCodeError('Promo code not found', 404);
+  }
+
+  return promoCode;
+};
+
+/**
+ * Check that a host has no other promo code with a code
+ * @param {string} userId - Host user ID
+ * @param {string} code - Normalized code
+ * @param {string} [exceptId] - Promo code being updated
+ * @returns {Promise<void>}
+ */
+const assertCodeAvailable = async (userId, code, exceptId = null) => {
+  const where = { userId, code };
+  if (exceptId) {
+    where.id = { [Op.ne]: exceptId };
+  }
+
+  if (await PromoCode.findOne({ where })) {
+    throw promoCodeError('A promo code with this code already exists', 409);
+  }
+};
+
+/**
+ * List a host's promo codes
+ * @param {string} userId - Host user ID
+ * @returns {Promise<Array>} Serialized promo codes, newest first
+ */
+const listPromoCodes = async (userId) => {
+  const promoCodes = await PromoCode.findAll({
+    where: { userId },
+    order: [['created_at', 'DESC']]
+  });
+
+  return promoCodes.map(serializePromoCode);
+};
+
+/**
+ * Create a promo code
+ * @param {string} userId - Host user ID
+ * @param {Object} params - Promo code settings
+ * @param {string} params.code - Code invitees enter
+ * @param {string} params.discountType - percent or fixed
+ * @param {number} params.discountValue - Percentage or amount off
+ * @param {string} [params.currency] - Currency of fixed amount codes
+ * @param {Date} [params.expiresAt] - When the code stops working
+ * @param {number} [params.maxRedemptions] - Number of times the code can be used
+ * @param {Array<string>} [params.eventTypeIds] - Event types the code is limited to
+ * @returns {Promise<Object>} Serialized promo code
+ */
+const createPromoCode = async (userId, {
+  code, discountType, discountValue, currency, expiresAt, maxRedemptions, eventTypeIds
+}) => {
+  assertValidDiscount({ discountType, discountValue, currency });
+
+  const normalizedCode = normalizeCode(code);
+  await assertCodeAvailable(userId, normalizedCode);
+
+  const promoCode = await PromoCode.create({
+    userId,
+    code: normalizedCode,
+    discountType,
+    discountValue,
+    currency: discountType === 'fixed' ? currency : null,
+    expiresAt: expiresAt || null,
+    maxRedemptions: maxRedemptions || null,
+    eventTypeIds: await checkEventTypeIds(userId, eventTypeIds)
+  });
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'promo_code.create',
+    metadata: { promoCodeId: promoCode.id, code: promoCode.code }
+  });
+
+  logger.info(`Promo code ${promoCode.id} created for user ${userId}`);
+  return serializePromoCode(promoCode);
+};
+
+/**
+ * Update a promo code
+ *
+ * Changes apply to later redemptions; payments already made keep their
+ * discount.
+ *
+ * @param {string} userId - Host user ID
+ * @param {string} promoCodeId - Promo code ID
+ * @param {Object} changes - Settings to change, as for createPromoCode, plus active
+ * @returns {Promise<Object>} Serialized promo code
+ */
+const updatePromoCode = async (userId, promoCodeId, changes) => {
+  const promoCode = await getUserPromoCode(userId, promoCodeId);
+  const updates = {};
+
+  if (changes.code !== undefined) {
+    updates.code = normalizeCode(changes.code);
+    await assertCodeAvailable(userId, updates.code, promoCode.id);
+  }
+
+  ['discountType', 'discountValue', 'currency', 'expiresAt', 'maxRedemptions', 'active']
+    .filter((field) => changes[field] !== undefined)
+    .forEach((field) => {
+      updates[field] = changes[field];
+    });
+
+  if (changes.eventTypeIds !== undefined) {
+    updates.eventTypeIds = await checkEventTypeIds(userId, changes.eventTypeIds);
+  }
+
+  const discount = {
+    discountType: promoCode.discountType,
+    discountValue: promoCode.discountValue,
+    currency: promoCode.currency,
+    ...updates
+  };
+  assertValidDiscount(discount);
+
+  if (discount.discountType !== 'fixed') {
+    updates.currency = null;
+  }
+
+  await promoCode.update(updates);
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'promo_code.update',
+    metadata: { promoCodeId, changes: Object.keys(updates) }
+  });
+
+  return serializePromoCode(promoCode);
+};
+
+/**
+ * Delete a promo code
+ *
+ * Payments made with it keep the code and their discount.
+ *
+ * @param {string} userId - Host user ID
+ * @param {string} promoCodeId - Promo code ID
+ * @returns {Promise<void>}
+ */
+const deletePromoCode = async (userId, promoCodeId) => {
+  const promoCode = await getUserPromoCode(userId, promoCodeId);
+
+  await promoCode.destroy();
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'promo_code.delete',
+    metadata: { promoCodeId, code: promoCode.code }
+  });
+
+  logger.info(`Promo code ${promoCodeId} deleted for user ${userId}`);
+};
+
+/**
+ * Find a host's promo code an invitee can use for a charge
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Host user ID
+ * @param {string} params.code - Code the invitee entered
+ * @param {string} [params.eventTypeId] - Event type being booked
+ * @param {Object} params.charge - Charge from paymentService.getBookingCharge
+ * @param {Date} [params.now] - Reference instant
+ * @param {Object} [params.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} PromoCode instance
+ */
+const findRedeemablePromoCode = async ({
+  userId, code, eventTypeId = null, charge, now = new Date(), transaction
+}) => {
+  const promoCode = await PromoCode.findOne({
+    where: { userId, code: normalizeCode(code), active: true },
+    transaction
+  });
+
+  if (!promoCode) {
+    throw promoCodeError('This promo code is not valid');
+  }
+
+  if (promoCode.expiresAt && new Date(promoCode.expiresAt) <= now) {
+    throw promoCodeError('This promo code has expired');
+  }
+
+  if (promoCode.maxRedemptions !== null && promoCode.maxRedemptions !== undefined
+    && promoCode.redemptionCount >= promoCode.maxRedemptions) {
+    throw promoCodeError('This promo code has been fully redeemed');
+  }
+
+  if (Array.isArray(promoCode.eventTypeIds) && !promoCode.eventTypeIds.includes(eventTypeId)) {
+    throw promoCodeError('This promo code does not apply to this event type');
+  }
+
+  if (promoCode.discountType === 'fixed' && promoCode.currency !== charge.currency) {
+    throw promoCodeError(`This promo code cannot be used for payments in ${charge.currency}`);
+  }
+
+  return promoCode;
+};
+
+/**
+ * Apply a promo code to a charge
+ *
+ * A discount that leaves less than Stripe's smallest charge to pay waives
+ * the charge entirely.
+ *
+ * @param {Object} charge - Charge from paymentService.getBookingCharge
+ * @param {Object} [promoCode] - PromoCode instance
+ * @returns {Object} Charge with the discounted amount, the discount and the code
+ */
+const applyPromoCode = (charge, promoCode = null) => {
+  if (!promoCode) {
+    return { ...charge, discount: 0, promoCode: null };
+  }
+
+  const value = Number(promoCode.discountValue);
+  const discount = promoCode.discountType === 'percent'
+    ? roundMoney(charge.amount * (value / 100))
+    : Math.min(value, charge.amount);
+  let amount = roundMoney(charge.amount - discount);
+
+  if (amount < MIN_CHARGE_AMOUNT) {
+    amount = 0;
+  }
+
+  return {
+    ...charge,
+    amount,
+    discount: roundMoney(charge.amount - amount),
+    promoCode
+  };
+};
+
+/**
+ * Count a redemption of a promo code
+ *
+ * The count is only raised while the code has redemptions left, so
+ * concurrent bookings cannot use it more often than allowed.
+ *
+ * @param {Object} promoCode - PromoCode instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const redeemPromoCode = async (promoCode, transaction) => {
+  const [updated] = await PromoCode.update({
+    redemptionCount: sequelize.literal('redemption_count + 1')
+  }, {
+    where: {
+      id: promoCode.id,
+      [Op.or]: [
+        { maxRedemptions: null },
+        { maxRedemptions: { [Op.gt]: sequelize.col('redemption_count') } }
+      ]
+    },
+    transaction
+  });
+
+  if (updated === 0) {
+    throw promoCodeError('This promo code has been fully redeemed');
+  }
+};
+
+/**
+ * Give back the redemption of a payment that was never completed
+ * @param {string} promoCodeId - PromoCode ID
+ * @returns {Promise<void>}
+ */
+const releasePromoCode = async (promoCodeId) => {
+  await PromoCode.update({
+    redemptionCount: sequelize.literal('redemption_count - 1')
+  }, {
+    where: { id: promoCodeId, redemptionCount: { [Op.gt]: 0 } }
+  });
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  MIN_CHARGE_AMOUNT,
+  normalizeCode,
+  serializePromoCode,
+  listPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  findRedeemablePromoCode,
+  applyPromoCode,
+  redeemPromoCode,
+  releasePromoCode
+};
@@ -0,0 +1,201 @@
+/**
+ * Push Service
+ *
+ * Stores browser push subscriptions and delivers VAPID-signed Web Push
+ * notifications to them
+ *
+ * @author meetabl Team
+ */
+
+const webpush = require('web-push');
+const logger = require('../config/logger');
+const { PushSubscription } = require('../models');
+
+// Push services answer 404 or 410 once a subscription has expired or been
+// withdrawn; such subscriptions are deleted
+const EXPIRED_STATUS_CODES = [404, 410];
+
+// How long push services keep undelivered notifications, in seconds
+const DEFAULT_TTL = 24 * 60 * 60;
+
+// Push services of the major browsers; subscriptions elsewhere are refused,
+// since the server POSTs to whatever endpoint is stored. PUSH_SERVICE_HOSTS
+// adds hosts, comma-separated.
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'updates.push.services.mozilla.com',
+  'push.apple.com',
+  'notify.windows.com'
+];
+
+/**
+ * Check whether VAPID keys are configured
+ * @returns {boolean} True if push delivery is configured
+ */
+const isConfigured = () => Boolean(
+  process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY
+);
+
+/**
+ * Apply the VAPID details from the environment
+ */
+const configureVapid = () => {
+  const subject = process.env.VAPID_SUBJECT
+    || `mailto:${process.env.EMAIL_FROM || 'noreply@meetabl.com'}`;
+
+  webpush.setVapidDetails(subject, process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+};
+
+/**
+ * Check that an endpoint belongs to a known push service
+ * @param {string} endpoint - Subscription endpoint
+ * @returns {boolean} True if notifications may be sent to it
+ */
+const isAllowedEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  const extraHosts = (process.env.PUSH_SERVICE_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+  const hostname = url.hostname.toLowerCase();
+
+  return url.protocol === 'https:'
+    && [...PUSH_SERVICE_HOSTS, ...extraHosts]
+      .some((host) => hostname === host || hostname.endsWith(`.${host}`));
+};
+
+/**
+ * Save a browser push subscription for a user
+ *
+ * Subscriptions are keyed by endpoint, so re-subscribing a browser updates
+ * its keys rather than adding a duplicate. An endpoint stays with the user
+ * who subscribed it until they unsubscribe.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} subscription - PushSubscription JSON from the browser
+ * @param {string} [userAgent] - User agent of the subscribing browser
+ * @returns {Promise<Object>} PushSubscription
+ */
+const saveSubscription = async (userId, subscription, userAgent) => {
+  const { endpoint, keys } = subscription || {};
+
+  if (!endpoint || !keys || !keys.p256dh || !keys.auth) {
+    const error = new Error('Invalid subscription data');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!isAllowedEndpoint(endpoint)) {
+    const error = new Error('Subscription endpoint must be an HTTPS URL of a browser push service');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const fields = {
+    userId,
+    p256dh: keys.p256dh,
+    auth: keys.auth,
+    userAgent: userAgent ? userAgent.substring(0, 255) : null
+  };
+
+  const existing = await PushSubscription.findOne({ where: { endpoint } });
+
+  if (existing) {
+    if (existing.userId !== userId) {
+      const error = new Error('Subscription belongs to another account');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await existing.update(fields);
+    return existing;
+  }
+
+  return PushSubscription.create({ endpoint, ...fields });
+};
+
+/**
+ * Remove a user's push subscription
+ * @param {string} userId - User ID
+ * @param {string} endpoint - Subscription endpoint
+ * @returns {Promise<boolean>} True if a subscription was removed
+ */
+const removeSubscription = async (userId, endpoint) => {
+  const removed = await PushSubscription.destroy({ where: { userId, endpoint } });
+  return removed > 0;
+};
+
+/**
+ * Send a push notification to a single subscription
+ * @param {Object} subscription - PushSubscription instance
+ * @param {string} body - Serialized payload
+ * @param {number} ttl - Time to live in seconds
+ * @returns {Promise<string>} 'sent', 'pruned' or 'failed'
+ */
+const deliver = async (subscription, body, ttl) => {
+  try {
+    await webpush.sendNotification({
+      endpoint: subscription.endpoint,
+      keys: {
+        p256dh: subscription.p256dh,
+        auth: subscription.auth
+      }
+    }, body, { TTL: ttl });
+
+    await subscription.update({ lastUsedAt: new Date() });
+    return 'sent';
+  } catch (error) {
+    if (EXPIRED_STATUS_CODES.includes(error.statusCode)) {
+      await subscription.destroy();
+      logger.info(`Pruned expired push subscription ${subscription.id} for user ${subscription.userId}`);
+      return 'pruned';
+    }
+
+    logger.error(`Error sending push notification to subscription ${subscription.id}:`, error);
+    return 'failed';
+  }
+};
+
+/**
+ * Send a push notification to every subscribed browser of a user
+ * @param {string} userId - User ID
+ * @param {Object} payload - Notification payload ({ title, body, tag, data })
+ * @param {Object} [options] - Options
+ * @param {number} [options.ttl] - Time to live in seconds
+ * @returns {Promise<{sent: number, pruned: number, failed: number}>} Delivery counts
+ */
+const sendToUser = async (userId, payload, options = {}) => {
+  const result = { sent: 0, pruned: 0, failed: 0 };
+
+  if (!isConfigured()) {
+    logger.debug(`Push notifications not configured, skipping push to user ${userId}`);
+    return result;
+  }
+
+  configureVapid();
+
+  const subscriptions = await PushSubscription.findAll({ where: { userId } });
+  const body = JSON.stringify(payload);
+  const outcomes = await Promise.all(
+    subscriptions.map((subscription) => deliver(subscription, body, options.ttl || DEFAULT_TTL))
+  );
+
+  outcomes.forEach((outcome) => {
+    result[outcome] += 1;
+  });
+
+  return result;
+};
+
+module.exports = {
+  isConfigured,
+  saveSubscription,
+  removeSubscription,
+  sendToUser
+};
@@ -0,0 +1,154 @@
+/**
+ * Reminder service
+ *
+ * Validates the reminders hosts configure on event types and works out
+ * which reminders a booking gets.
+ *
+ * Each reminder has a channel (email, SMS or push), an audience (the host
+ * or the invitee) and an offset in minutes before the start. Event types
+ * without their own list fall back to one email reminder for each party.
+ *
+ * @author meetabl Team
+ */
+
+const REMINDER_CHANNELS = ['email', 'sms', 'push'];
+const REMINDER_AUDIENCES = ['host', 'invitee'];
+const MAX_REMINDERS = 5;
+const MAX_OFFSET_MINUTES = 10080; // 7 days
+
+// Minutes before the start for each UserSettings.reminderTime value
+const REMINDER_TIME_MINUTES = {
+  '15_minutes': 15,
+  '30_minutes': 30,
+  '1_hour': 60,
+  '2_hours': 120,
+  '24_hours': 1440,
+  none: 0
+};
+
+/**
+ * Build a validation error for the reminders field
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const invalidReminders = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.field = 'reminders';
+  return error;
+};
+
+/**
+ * Get reminder minutes from user setting
+ * @param {string} reminderSetting - Reminder time setting
+ * @returns {number} Minutes before meeting to send reminder
+ */
+const getReminderMinutes = (reminderSetting) => (
+  Object.prototype.hasOwnProperty.call(REMINDER_TIME_MINUTES, reminderSetting)
+    ? REMINDER_TIME_MINUTES[reminderSetting]
+    : 30 // Default to 30 minutes
+);
+
+/**
+ * Validate and normalize an event type's reminder definitions
+ * @param {Array<Object>|null} reminders - Reminder definitions from a host,
+ *   or null to use the default reminders
+ * @returns {Array<Object>|null} Normalized reminders, or null
+ */
+const normalizeReminders = (reminders) => {
+  if (reminders === null) {
+    return null;
+  }
+
+  if (!Array.isArray(reminders)) {
+    throw invalidReminders('Reminders must be an array');
+  }
+
+  if (reminders.length > MAX_REMINDERS) {
+    throw invalidReminders(`An event type can have at most ${MAX_REMINDERS} reminders`);
+  }
+
+  const seen = new Set();
+
+  return reminders.map((reminder, index) => {
+    const position = `Reminder ${index + 1}`;
+
+    if (!reminder || typeof reminder !== 'object') {
+      throw invalidReminders(`${position} must be an object`);
+    }
+
+    const { channel, audience } = reminder;
+    const offset = Number(reminder.offset_minutes);
+
+    if (!REMINDER_CHANNELS.includes(channel)) {
+      throw invalidReminders(`${position} must have a channel of ${REMINDER_CHANNELS.join(', ')}`);
+    }
+
+    if (!REMINDER_AUDIENCES.includes(audience)) {
+      throw invalidReminders(`${position} must have an audience of ${REMINDER_AUDIENCES.join(', ')}`);
+    }
+
+    // Invitees have no account to receive push notifications on
+    if (channel === 'push' && audience !== 'host') {
+      throw invalidReminders(`${position} can only send push notifications to the host`);
+    }
+
+    if (!Number.isInteger(offset) || offset < 1 || offset > MAX_OFFSET_MINUTES) {
+      throw invalidReminders(`${position} must be 1 to ${MAX_OFFSET_MINUTES} minutes before the start`);
+    }
+
+    const key = `${channel}:${audience}:${offset}`;
+    if (seen.has(key)) {
+      throw invalidReminders(`${position} duplicates another reminder`);
+    }
+    seen.add(key);
+
+    return { channel, audience, offset_minutes: offset };
+  });
+};
+
+/**
+ * Work out the reminders for a booking
+ *
+ * An event type's own reminder list wins. Otherwise the host and invitee
+ * each get an email, at the event type's reminderMinutes or, for bookings
+ * without an event type, the host's reminderTime setting. A reminderTime
+ * of 'none' turns the default reminders off.
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} [params.eventType] - The booking's EventType
+ * @param {Object} [params.settings] - Host UserSettings
+ * @returns {Array<{channel: string, audience: string, offsetMinutes: number}>} Reminders
+ */
+const resolveReminders = ({ eventType = null, settings = null }) => {
+  if (eventType && Array.isArray(eventType.reminders)) {
+    return eventType.reminders.map((reminder) => ({
+      channel: reminder.channel,
+      audience: reminder.audience,
+      offsetMinutes: reminder.offset_minutes
+    }));
+  }
+
+  if (!settings || settings.reminderTime === 'none') {
+    return [];
+  }
+
+  const offsetMinutes = eventType
+    ? eventType.reminderMinutes
+    : getReminderMinutes(settings.reminderTime);
+
+  if (!offsetMinutes) {
+    return [];
+  }
+
+  return ['invitee', 'host'].map((audience) => ({ channel: 'email', audience, offsetMinutes }));
+};
+
+module.exports = {
+  REMINDER_CHANNELS,
+  REMINDER_AUDIENCES,
+  MAX_REMINDERS,
+  getReminderMinutes,
+  normalizeReminders,
+  resolveReminders
+};
@@ -0,0 +1,875 @@
+/**
+ * SSO service
+ *
+ * Single sign-on through a team's OpenID Connect identity provider.
+ *
+ * A login starts from the user's email address: its domain picks the
+ * team connection, and the user is sent to the provider with the
+ * authorization code flow, PKCE and a nonce. The state, nonce and PKCE
+ * verifier travel in a short-lived signed token the caller keeps in a
+ * cookie. On return the ID token is verified against the provider's
+ * published keys, and users signing in for the first time are created
+ * and added to the team.
+ *
+ * An email domain only signs in once the team has proven it owns the
+ * domain by publishing a DNS TXT record.
+ *
+ * @author meetabl Team
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const logger = require('../config/logger');
+const { sequelize } = require('../config/database');
+const { assertPublicUrl, lookupPublicAddress } = require('../utils/network');
+const {
+  SsoConnection, Team, TeamMember, User, UserSettings, AuditLog
+} = require('../models');
+const subscriptionService = require('./subscription.service');
+const teamService = require('./team.service');
+
+const SSO_FEATURE = 'sso';
+const SCOPES = 'openid email profile';
+const LOGIN_STATE_AUDIENCE = 'sso-login';
+const LOGIN_STATE_TTL_SECONDS = 10 * 60;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const VERIFICATION_RECORD_LABEL = '_meetabl-verification';
+const VERIFICATION_VALUE_PREFIX = 'meetabl-domain-verification=';
+
+// Provider metadata and signing keys by issuer
+const providerCache = new Map();
+
+// Provider URLs come from the issuer a team owner registered and from its
+// discovery document, so they are kept to public hosts and redirects are
+// not followed
+const PROVIDER_REQUEST_OPTIONS = {
+  timeout: HTTP_TIMEOUT_MS,
+  lookup: lookupPublicAddress,
+  maxRedirects: 0
+};
+
+/**
+ * Build an SSO error
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {string} [field] - Request field a validation error is about
+ * @returns {Error} Error with statusCode
+ */
+const ssoError = (message, statusCode, field) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (field) {
+    error.field = field;
+  }
+  return error;
+};
+
+/**
+ * Encode bytes as base64url
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} base64url string
+ */
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * Strip the trailing slash of an issuer URL
+ * @param {string} issuer - Issuer URL
+ * @returns {string} Issuer URL without a trailing slash
+ */
+const normalizeIssuer = (issuer) => String(issuer).trim().replace(/\/+$/, '');
+
+/**
+ * Get the domain of an email address
+ * @param {string} email - Email address
+ * @returns {string} Lowercased domain, or an empty string
+ */
+const getEmailDomain = (email) => {
+  const at = String(email).lastIndexOf('@');
+  return at === -1 ? '' : String(email).slice(at + 1).trim().toLowerCase();
+};
+
+/**
+ * Check and normalize the email domains of a connection
+ * @param {Array<string>} domains - Email domains
+ * @returns {Array<string>} Unique lowercased domains
+ */
+const normalizeDomains = (domains) => {
+  if (!Array.isArray(domains) || domains.length === 0) {
+    throw ssoError('At least one email domain is required', 400, 'allowed_domains');
+  }
+
+  const normalized = [...new Set(domains.map((domain) => String(domain).trim().toLowerCase()))];
+  const invalid = normalized.find((domain) => !DOMAIN_PATTERN.test(domain));
+
+  if (invalid) {
+    throw ssoError(`${invalid} is not a valid email domain`, 400, 'allowed_domains');
+  }
+
+  return normalized;
+};
+
+/**
+ * Keep the verification of each domain a connection already had, and
+ * start new domains unverified with a fresh token
+ * @param {Array<string>} domains - Normalized email domains
+ * @param {Object} [previous] - Current verifications by domain
+ * @returns {Object} Verifications by domain
+ */
+const buildDomainVerifications = (domains, previous) => Object.fromEntries(domains.map(
+  (domain) => [domain, (previous && previous[domain]) || {
+    token: crypto.randomBytes(24).toString('hex'),
+    verifiedAt: null
+  }]
+));
+
+/**
+ * Get the domains of a connection that have been verified
+ * @param {Object} connection - SsoConnection instance
+ * @returns {Array<string>} Verified domains
+ */
+const getVerifiedDomains = (connection) => {
+  const verifications = connection.domainVerifications || {};
+
+  return (connection.allowedDomains || []).filter(
+    (domain) => verifications[domain] && verifications[domain].verifiedAt
+  );
+};
+
+/**
+ * Check an issuer URL
+ *
+ * Providers must use HTTPS in production; plain HTTP is accepted
+ * elsewhere.
+ *
+ * @param {string} issuer - Issuer URL
+ */
+const assertValidIssuer = (issuer) => {
+  let parsed;
+  try {
+    parsed = new URL(issuer);
+  } catch (error) {
+    throw ssoError('Issuer must be a valid URL', 400, 'issuer');
+  }
+
+  const protocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!protocols.includes(parsed.protocol)) {
+    throw ssoError('Issuer must use HTTPS', 400, 'issuer');
+  }
+};
+
+/**
+ * Load an OpenID provider's discovery document
+ *
+ * Documents are cached for an hour. The document must name the issuer
+ * it was loaded from, and the issuer must be on a public host.
+ *
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} Provider metadata
+ */
+const getProviderMetadata = async (issuer) => {
+  const key = normalizeIssuer(issuer);
+  const cached = providerCache.get(key);
+
+  if (cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+    return cached.metadata;
+  }
+
+  let metadata;
+  try {
+    const url = `${key}/.well-known/openid-configuration`;
+    await assertPublicUrl(url);
+    const response = await axios.get(url, PROVIDER_REQUEST_OPTIONS);
+    metadata = response.data;
+  } catch (error) {
+    if (error.code === 'EPRIVATEADDRESS') {
+      throw ssoError('Issuer must point to a public host', 400, 'issuer');
+    }
+
+    logger.warn(`Failed to load OpenID configuration of ${key}: ${error.message}`);
+    throw ssoError('The identity provider could not be reached', 502);
+  }
+
+  const complete = metadata && metadata.authorization_endpoint
+    && metadata.token_endpoint && metadata.jwks_uri;
+
+  if (!complete || normalizeIssuer(metadata.issuer) !== key) {
+    throw ssoError('The identity provider returned an invalid OpenID configuration', 502);
+  }
+
+  providerCache.set(key, { metadata, keys: null, fetchedAt: Date.now() });
+  return metadata;
+};
+
+/**
+ * Get the public key an ID token was signed with
+ *
+ * Keys are loaded again once when the token names an unknown key, so key
+ * rotation at the provider is picked up.
+ *
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} header - Decoded ID token header
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+const getSigningKey = async (metadata, header) => {
+  const entry = providerCache.get(normalizeIssuer(metadata.issuer));
+
+  const findKey = (keys) => {
+    const candidates = keys.filter((jwk) => (!jwk.use || jwk.use === 'sig')
+      && (header.kid ? jwk.kid === header.kid : true));
+    return candidates.length === 1 || (header.kid && candidates.length > 0) ? candidates[0] : null;
+  };
+
+  let jwk = entry && entry.keys ? findKey(entry.keys) : null;
+
+  if (!jwk) {
+    try {
+      await assertPublicUrl(metadata.jwks_uri);
+      const response = await axios.get(metadata.jwks_uri, PROVIDER_REQUEST_OPTIONS);
+      const keys = (response.data && response.data.keys) || [];
+      if (entry) {
+        entry.keys = keys;
+      }
+      jwk = findKey(keys);
+    } catch (error) {
+      logger.warn(`Failed to load signing keys from ${metadata.jwks_uri}: ${error.message}`);
+      throw ssoError('The identity provider could not be reached', 502);
+    }
+  }
+
+  if (!jwk) {
+    throw ssoError('The identity provider signed the sign-in with an unknown key', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Check that a team's owner has SSO in their plan
+ * @param {Object} team - Team instance
+ * @returns {Promise<void>}
+ */
+const assertSsoAccess = async (team) => {
+  if (!(await subscriptionService.checkFeatureAccess(team.owner_id, SSO_FEATURE))) {
+    throw ssoError('Single sign-on is not included in this team\'s plan', 403);
+  }
+};
+
+/**
+ * Check that a user owns a team
+ *
+ * Admins can see the team's connection, but only the owner can change it,
+ * since it decides who signs in as the team's members.
+ *
+ * @param {Object} team - Team instance
+ * @param {string} userId - User ID
+ */
+const assertTeamOwner = (team, userId) => {
+  if (team.owner_id !== userId) {
+    throw ssoError('Only the team owner can change single sign-on', 403);
+  }
+};
+
+/**
+ * Find the enabled connection an email address signs in through
+ *
+ * Only verified domains are matched.
+ *
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} SsoConnection instance
+ */
+const findConnectionForEmail = async (email) => {
+  const domain = getEmailDomain(email);
+
+  if (!domain) {
+    return null;
+  }
+
+  const connections = await SsoConnection.findAll({ where: { enabled: true } });
+  const match = connections.find(
+    (connection) => getVerifiedDomains(connection).includes(domain)
+  );
+  return match || null;
+};
+
+/**
+ * Sign the state of a login in progress
+ * @param {Object} state - connectionId, state, nonce and codeVerifier
+ * @returns {string} Signed login state
+ */
+const signLoginState = (state) => jwt.sign(state, process.env.JWT_SECRET, {
+  audience: LOGIN_STATE_AUDIENCE,
+  expiresIn: LOGIN_STATE_TTL_SECONDS
+});
+
+/**
+ * Read the signed state of a login in progress
+ * @param {string} loginState - Signed login state
+ * @returns {Object} Login state
+ */
+const readLoginState = (loginState) => {
+  try {
+    return jwt.verify(loginState, process.env.JWT_SECRET, { audience: LOGIN_STATE_AUDIENCE });
+  } catch (error) {
+    throw ssoError('The sign-in session has expired. Please sign in again', 400);
+  }
+};
+
+/**
+ * Start a single sign-on login
+ * @param {Object} params - Parameters
+ * @param {string} params.email - Email address the user entered
+ * @param {string} params.redirectUri - Callback URL registered with the provider
+ * @returns {Promise<{authorizationUrl: string, loginState: string}>} Provider URL to send
+ *   the user to, and the signed login state to keep until the callback
+ */
+const startLogin = async ({ email, redirectUri }) => {
+  const connection = await findConnectionForEmail(email);
+
+  if (!connection) {
+    throw ssoError('Single sign-on is not set up for this email domain', 404);
+  }
+
+  const team = await Team.findByPk(connection.teamId);
+  await assertSsoAccess(team);
+
+  const metadata = await getProviderMetadata(connection.issuer);
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    ...Object.fromEntries(url.searchParams),
+    response_type: 'code',
+    client_id: connection.clientId,
+    redirect_uri: redirectUri,
+    scope: SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    login_hint: email
+  }).toString();
+
+  return {
+    authorizationUrl: url.toString(),
+    loginState: signLoginState({
+      connectionId: connection.id, state, nonce, codeVerifier
+    })
+  };
+};
+
+/**
+ * Exchange an authorization code for the provider's tokens
+ *
+ * The client authenticates with HTTP Basic unless the provider only
+ * accepts the secret in the request body.
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.connection - SsoConnection instance
+ * @param {Object} params.metadata - Provider metadata
+ * @param {string} params.code - Authorization code
+ * @param {string} params.codeVerifier - PKCE verifier
+ * @param {string} params.redirectUri - Callback URL the code was issued for
+ * @returns {Promise<Object>} Token response
+ */
+const exchangeCode = async ({
+  connection, metadata, code, codeVerifier, redirectUri
+}) => {
+  const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  const useBasic = methods.includes('client_secret_basic') || !methods.includes('client_secret_post');
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (useBasic) {
+    const credentials = [connection.clientId, connection.clientSecret]
+      .map(encodeURIComponent)
+      .join(':');
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.set('client_id', connection.clientId);
+    form.set('client_secret', connection.clientSecret);
+  }
+
+  try {
+    await assertPublicUrl(metadata.token_endpoint);
+    const response = await axios.post(metadata.token_endpoint, form.toString(), {
+      ...PROVIDER_REQUEST_OPTIONS,
+      headers
+    });
+    return response.data;
+  } catch (error) {
+    const reason = error.response && error.response.data
+      ? error.response.data.error
+      : error.message;
+    logger.warn(`Token exchange with ${metadata.issuer} failed: ${reason}`);
+    throw ssoError('The identity provider did not accept the sign-in', 401);
+  }
+};
+
+/**
+ * Verify an ID token and get its claims
+ * @param {Object} params - Parameters
+ * @param {string} params.idToken - ID token
+ * @param {Object} params.connection - SsoConnection instance
+ * @param {Object} params.metadata - Provider metadata
+ * @param {string} params.nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified claims
+ */
+const verifyIdToken = async ({
+  idToken, connection, metadata, nonce
+}) => {
+  const decoded = idToken ? jwt.decode(idToken, { complete: true }) : null;
+
+  if (!decoded) {
+    throw ssoError('The identity provider did not return an ID token', 401);
+  }
+
+  const key = await getSigningKey(metadata, decoded.header);
+  let claims;
+
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: connection.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    logger.warn(`Rejected ID token from ${metadata.issuer}: ${error.message}`);
+    throw ssoError('The sign-in could not be verified', 401);
+  }
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== connection.clientId) {
+    throw ssoError('The sign-in could not be verified', 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw ssoError('The sign-in could not be verified', 401);
+  }
+
+  return claims;
+};
+
+/**
+ * Work out a new user's names from ID token claims
+ * @param {Object} claims - ID token claims
+ * @param {string} email - Email address
+ * @returns {{firstName: string, lastName: string}} Names
+ */
+const getNames = (claims, email) => {
+  const [first, ...rest] = String(claims.name || '').trim().split(/\s+/).filter(Boolean);
+
+  return {
+    firstName: String(claims.given_name || first || email.split('@')[0]).slice(0, 50),
+    lastName: String(claims.family_name || rest.join(' ') || '-').slice(0, 50)
+  };
+};
+
+/**
+ * Find or create the user signing in through a connection
+ *
+ * Users signing in for the first time are created with a verified email
+ * and added to the team. Existing accounts are only signed in when they
+ * already belong to the team, so a connection cannot take over accounts
+ * it does not manage.
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.connection - SsoConnection instance
+ * @param {Object} params.team - Team owning the connection
+ * @param {Object} params.claims - Verified ID token claims
+ * @returns {Promise<{user: Object, provisioned: boolean}>} User and whether it was created
+ */
+const provisionUser = async ({ connection, team, claims }) => {
+  const email = String(claims.email).trim().toLowerCase();
+  const existing = await User.findOne({ where: { email } });
+
+  if (existing) {
+    const isMember = team.owner_id === existing.id || await TeamMember.findOne({
+      where: { team_id: team.id, user_id: existing.id }
+    });
+
+    if (!isMember) {
+      throw ssoError('This account is not a member of the team that manages single sign-on for it', 403);
+    }
+
+    return { user: existing, provisioned: false };
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const user = await User.create({
+      id: uuidv4(),
+      ...getNames(claims, email),
+      email,
+      // SSO users sign in through their provider; the password is never used
+      password: crypto.randomBytes(32).toString('hex'),
+      timezone: 'UTC',
+      language: claims.locale ? String(claims.locale).slice(0, 10) : 'en',
+      email_verified: true
+    }, { transaction });
+
+    await UserSettings.create({ id: uuidv4(), userId: user.id }, { transaction });
+
+    await TeamMember.create({
+      team_id: team.id,
+      user_id: user.id,
+      role: 'member'
+    }, { transaction });
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId: user.id,
+      action: 'user.sso_provision',
+      metadata: { email, teamId: team.id, connectionId: connection.id }
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Provisioned user ${user.id} through SSO connection ${connection.id}`);
+    return { user, provisioned: true };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Finish a single sign-on login
+ * @param {Object} params - Parameters
+ * @param {string} params.code - Authorization code from the callback
+ * @param {string} params.state - State from the callback
+ * @param {string} params.loginState - Signed login state from startLogin
+ * @param {string} params.redirectUri - Callback URL the code was issued for
+ * @returns {Promise<{user: Object, provisioned: boolean}>} Signed in user
+ */
+const completeLogin = async ({
+  code, state, loginState, redirectUri
+}) => {
+  if (!loginState) {
+    throw ssoError('The sign-in session has expired. Please sign in again', 400);
+  }
+
+  const pending = readLoginState(loginState);
+
+  if (!state || state !== pending.state || !code) {
+    throw ssoError('The sign-in response does not match this session', 400);
+  }
+
+  const connection = await SsoConnection.findOne({
+    where: { id: pending.connectionId, enabled: true }
+  });
+
+  if (!connection) {
+    throw ssoError('Single sign-on is no longer set up for this team', 404);
+  }
+
+  const team = await Team.findByPk(connection.teamId);
+  await assertSsoAccess(team);
+
+  const metadata = await getProviderMetadata(connection.issuer);
+  const tokens = await exchangeCode({
+    connection, metadata, code, codeVerifier: pending.codeVerifier, redirectUri
+  });
+  const claims = await verifyIdToken({
+    idToken: tokens.id_token, connection, metadata, nonce: pending.nonce
+  });
+
+  if (!claims.email || claims.email_verified === false) {
+    throw ssoError('The identity provider did not confirm an email address', 403);
+  }
+
+  if (!getVerifiedDomains(connection).includes(getEmailDomain(claims.email))) {
+    throw ssoError('This email domain cannot sign in through this team', 403);
+  }
+
+  const result = await provisionUser({ connection, team, claims });
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId: result.user.id,
+    action: 'user.sso_login',
+    metadata: {
+      email: result.user.email,
+      teamId: team.id,
+      connectionId: connection.id,
+      subject: claims.sub
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Shape a connection for API responses, without its client secret
+ * @param {Object} connection - SsoConnection instance
+ * @returns {Object} Connection data
+ */
+const serializeConnection = (connection) => ({
+  id: connection.id,
+  team_id: connection.teamId,
+  protocol: connection.protocol,
+  issuer: connection.issuer,
+  client_id: connection.clientId,
+  allowed_domains: connection.allowedDomains,
+  domains: (connection.allowedDomains || []).map((domain) => {
+    const verification = (connection.domainVerifications || {})[domain] || {};
+
+    return {
+      domain,
+      verified: Boolean(verification.verifiedAt),
+      verified_at: verification.verifiedAt || null,
+      verification_record: {
+        type: 'TXT',
+        name: `${VERIFICATION_RECORD_LABEL}.${domain}`,
+        value: `${VERIFICATION_VALUE_PREFIX}${verification.token}`
+      }
+    };
+  }),
+  enabled: connection.enabled,
+  created_at: connection.createdAt,
+  updated_at: connection.updatedAt
+});
+
+/**
+ * Get a team's SSO connection
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Team owner or admin
+ * @returns {Promise<Object>} Serialized connection
+ */
+const getTeamConnection = async (teamId, userId) => {
+  await teamService.getManagedTeam(teamId, userId);
+
+  const connection = await SsoConnection.findOne({ where: { teamId } });
+
+  if (!connection) {
+    throw ssoError('SSO connection not found', 404);
+  }
+
+  return serializeConnection(connection);
+};
+
+/**
+ * Set up or change a team's SSO connection
+ *
+ * The issuer's discovery document is loaded to check it. New email
+ * domains start unverified; a domain another team has verified cannot be
+ * added.
+ *
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Team owner
+ * @param {Object} params - Connection settings
+ * @param {string} params.issuer - Issuer URL
+ * @param {string} params.clientId - Client ID registered with the provider
+ * @param {string} [params.clientSecret] - Client secret, required for a new connection
+ * @param {Array<string>} params.allowedDomains - Email domains signing in through it
+ * @param {boolean} [params.enabled] - Whether the connection is used
+ * @returns {Promise<Object>} Serialized connection
+ */
+const saveTeamConnection = async (teamId, userId, {
+  issuer, clientId, clientSecret, allowedDomains, enabled
+}) => {
+  const team = await teamService.getManagedTeam(teamId, userId);
+  assertTeamOwner(team, userId);
+  await assertSsoAccess(team);
+
+  const existing = await SsoConnection.findOne({ where: { teamId } });
+
+  if (!existing && !clientSecret) {
+    throw ssoError('Client secret is required', 400, 'client_secret');
+  }
+
+  assertValidIssuer(issuer);
+  const domains = normalizeDomains(allowedDomains);
+
+  const others = await SsoConnection.findAll({ where: { teamId: { [Op.ne]: teamId } } });
+  const claimed = domains.find((domain) => others.some(
+    (connection) => getVerifiedDomains(connection).includes(domain)
+  ));
+
+  if (claimed) {
+    throw ssoError(`${claimed} already signs in through another team`, 409);
+  }
+
+  try {
+    await getProviderMetadata(issuer);
+  } catch (error) {
+    if (error.field === 'issuer') {
+      throw error;
+    }
+
+    throw ssoError(`OpenID configuration could not be loaded from the issuer: ${error.message}`, 400, 'issuer');
+  }
+
+  const fields = {
+    issuer: normalizeIssuer(issuer),
+    clientId,
+    allowedDomains: domains,
+    domainVerifications: buildDomainVerifications(
+      domains,
+      existing ? existing.domainVerifications : null
+    )
+  };
+  if (clientSecret) {
+    fields.clientSecret = clientSecret;
+  }
+  if (enabled !== undefined) {
+    fields.enabled = enabled;
+  }
+
+  const connection = existing
+    ? await existing.update(fields)
+    : await SsoConnection.create({ teamId, protocol: 'oidc', ...fields });
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: existing ? 'sso_connection.update' : 'sso_connection.create',
+    metadata: {
+      teamId, connectionId: connection.id, issuer: fields.issuer, allowedDomains: domains
+    }
+  });
+
+  logger.info(`SSO connection ${connection.id} saved for team ${teamId}`);
+  return serializeConnection(connection);
+};
+
+/**
+ * Remove a team's SSO connection
+ *
+ * Members keep their accounts and can reset a password to sign in.
+ *
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Team owner
+ * @returns {Promise<void>}
+ */
+const deleteTeamConnection = async (teamId, userId) => {
+  const team = await teamService.getManagedTeam(teamId, userId);
+  assertTeamOwner(team, userId);
+
+  const connection = await SsoConnection.findOne({ where: { teamId } });
+
+  if (!connection) {
+    throw ssoError('SSO connection not found', 404);
+  }
+
+  await connection.destroy();
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'sso_connection.delete',
+    metadata: { teamId, connectionId: connection.id }
+  });
+
+  logger.info(`SSO connection ${connection.id} removed from team ${teamId}`);
+};
+
+/**
+ * Verify that a team owns one of its connection's email domains
+ *
+ * The domain must publish a TXT record named
+ * `_meetabl-verification.<domain>` with the connection's token for it. A
+ * domain can only be verified by one team.
+ *
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Team owner
+ * @param {string} domain - Email domain of the connection
+ * @returns {Promise<Object>} Serialized connection
+ */
+const verifyTeamDomain = async (teamId, userId, domain) => {
+  const team = await teamService.getManagedTeam(teamId, userId);
+  assertTeamOwner(team, userId);
+
+  const connection = await SsoConnection.findOne({ where: { teamId } });
+
+  if (!connection) {
+    throw ssoError('SSO connection not found', 404);
+  }
+
+  const normalized = String(domain).trim().toLowerCase();
+
+  if (!(connection.allowedDomains || []).includes(normalized)) {
+    throw ssoError(`${normalized} is not an email domain of this connection`, 400, 'domain');
+  }
+
+  const verifications = buildDomainVerifications(
+    connection.allowedDomains,
+    connection.domainVerifications
+  );
+
+  if (verifications[normalized].verifiedAt) {
+    return serializeConnection(connection);
+  }
+
+  const others = await SsoConnection.findAll({ where: { teamId: { [Op.ne]: teamId } } });
+
+  if (others.some((other) => getVerifiedDomains(other).includes(normalized))) {
+    throw ssoError(`${normalized} already signs in through another team`, 409);
+  }
+
+  let records;
+  try {
+    records = await dns.promises.resolveTxt(`${VERIFICATION_RECORD_LABEL}.${normalized}`);
+  } catch (error) {
+    if (error.code !== 'ENOTFOUND' && error.code !== 'ENODATA') {
+      logger.warn(`Failed to look up verification record of ${normalized}: ${error.message}`);
+      throw ssoError('The domain\'s DNS records could not be checked', 502);
+    }
+    records = [];
+  }
+
+  const expected = `${VERIFICATION_VALUE_PREFIX}${verifications[normalized].token}`;
+
+  if (!records.some((chunks) => chunks.join('') === expected)) {
+    throw ssoError(`The TXT record verifying ${normalized} was not found`, 400, 'domain');
+  }
+
+  await connection.update({
+    domainVerifications: {
+      ...verifications,
+      [normalized]: { ...verifications[normalized], verifiedAt: new Date().toISOString() }
+    }
+  });
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'sso_connection.verify_domain',
+    metadata: { teamId, connectionId: connection.id, domain: normalized }
+  });
+
+  logger.info(`Domain ${normalized} verified for SSO connection ${connection.id}`);
+  return serializeConnection(connection);
+};
+
+module.exports = {
+  LOGIN_STATE_TTL_SECONDS,
+  getEmailDomain,
+  normalizeDomains,
+  getProviderMetadata,
+  startLogin,
+  completeLogin,
+  getTeamConnection,
+  saveTeamConnection,
+  verifyTeamDomain,
+  deleteTeamConnection
+};
@@ -6,6 +6,7 @@
 
 const stripeService = require('./stripe.service');
 const stripeBillingService = require('./stripe-billing.service');
+const bookingPaymentService = require('./booking-payment.service');
 const logger = require('../config/logger');
 const { AppError } = require('../utils/errors');
 const { User, AuditLog } = require('../models');
@@ -44,7 +45,10 @@ class StripeWebhookService {
       'checkout.session.expired': this.handleCheckoutSessionExpired.bind(this),
       
       // Charge events
-      'charge.refunded': this.handleChargeRefunded.bind(this)
+      'charge.refunded': this.handleChargeRefunded.bind(this),
+
+      // Payment intent events
+      'payment_intent.succeeded': this.handlePaymentIntentSucceeded.bind(this)
     };
   }
 
@@ -490,6 +494,28 @@ class StripeWebhookService {
     return { chargeId: charge.id, amountRefunded: charge.amount_refunded };
   }
 
+  /**
+   * Handle payment intent succeeded event
+   *
+   * Only booking payments are handled here; subscription invoices are
+   * settled through the invoice events.
+   *
+   * @param {Object} event - Stripe event
+   * @returns {Promise<Object>} Processing result
+   */
+  async handlePaymentIntentSucceeded(event) {
+    const paymentIntent = event.data.object;
+    logger.info(`Payment intent succeeded: ${paymentIntent.id}`);
+
+    if (!paymentIntent.metadata || !paymentIntent.metadata.booking_id) {
+      return { paymentIntentId: paymentIntent.id, skipped: true };
+    }
+
+    const result = await bookingPaymentService.confirmBookingPayment(paymentIntent.id);
+
+    return { paymentIntentId: paymentIntent.id, ...result };
+  }
+
   /**
    * Get webhook statistics
    * @param {Object} options - Query options
@@ -0,0 +1,298 @@
+/**
+ * Team calendar service
+ *
+ * Builds the shared team calendar, which aggregates every member's
+ * confirmed bookings and external busy times over a date range, and the
+ * token-guarded ICS feed that serves it to calendar apps
+ *
+ * @author meetabl Team
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { addMinutes, isBefore, isAfter } = require('date-fns');
+const { createEvents } = require('ics');
+const logger = require('../config/logger');
+const {
+  Team, TeamMember, TeamCalendarFeed, User, Booking, AuditLog
+} = require('../models');
+const { Op } = require('../config/database');
+const { generateSecureToken } = require('../utils/crypto');
+const availabilityService = require('./availability.service');
+
+// The feed covers a fixed window around today, within the range limit
+const FEED_PAST_DAYS = 7;
+const FEED_FUTURE_DAYS = availabilityService.MAX_RANGE_DAYS - FEED_PAST_DAYS - 1;
+
+/**
+ * Load a team the user belongs to
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Team
+ */
+const getMemberTeam = async (teamId, userId) => {
+  const team = await Team.findByPk(teamId);
+
+  if (!team) {
+    const error = new Error('Team not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const membership = await TeamMember.findOne({
+    where: {
+      team_id: teamId,
+      user_id: userId
+    }
+  });
+
+  if (!membership) {
+    const error = new Error('Access denied');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return team;
+};
+
+/**
+ * Aggregate the bookings and busy times of every team member
+ *
+ * Dates are interpreted in the given timezone; each member's calendars are
+ * queried over the member's own dates covering the same window.
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.team - Team instance
+ * @param {string} params.startDate - First date (YYYY-MM-DD)
+ * @param {string} params.endDate - Last date (YYYY-MM-DD, inclusive)
+ * @param {string} params.timezone - IANA timezone for the dates
+ * @returns {Promise<Object>} window, members ({ user, bookings, busyTimes }),
+ *   degraded and failedProviders
+ */
+const getTeamCalendar = async ({
+  team, startDate, endDate, timezone
+}) => {
+  const window = {
+    start: availabilityService.getDayBounds(startDate, timezone).start,
+    end: availabilityService.getDayBounds(endDate, timezone).end
+  };
+
+  const memberships = await TeamMember.findAll({
+    where: { team_id: team.id },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'firstName', 'lastName', 'email', 'timezone']
+    }],
+    order: [['joined_at', 'ASC']]
+  });
+  const users = memberships.map((membership) => membership.user).filter(Boolean);
+
+  if (users.length === 0) {
+    return {
+      window, members: [], degraded: false, failedProviders: []
+    };
+  }
+
+  const [bookings, calendars] = await Promise.all([
+    Booking.findAll({
+      where: {
+        userId: { [Op.in]: users.map((user) => user.id) },
+        status: 'confirmed',
+        startTime: { [Op.lt]: window.end },
+        endTime: { [Op.gt]: window.start }
+      },
+      order: [['startTime', 'ASC']]
+    }),
+    Promise.all(users.map((user) => {
+      const userTimezone = availabilityService.isValidTimezone(user.timezone)
+        ? user.timezone
+        : 'UTC';
+
+      return availabilityService.getBusyTimesForRange(
+        user.id,
+        availabilityService.getDateInTimezone(window.start, userTimezone),
+        availabilityService.getDateInTimezone(addMinutes(window.end, -1), userTimezone),
+        userTimezone
+      );
+    }))
+  ]);
+
+  const members = users.map((user, index) => ({
+    user,
+    bookings: bookings.filter((booking) => booking.userId === user.id),
+    busyTimes: calendars[index].busyTimes.filter(
+      (busy) => isBefore(new Date(busy.start), window.end)
+        && isAfter(new Date(busy.end), window.start)
+    )
+  }));
+
+  return {
+    window,
+    members,
+    degraded: calendars.some((calendar) => calendar.degraded),
+    failedProviders: [...new Set(calendars.flatMap((calendar) => calendar.failedProviders))]
+  };
+};
+
+/**
+ * Render a team calendar as an ICS feed
+ *
+ * Events name the member but not the invitee, since feed URLs end up in
+ * third-party calendar apps.
+ *
+ * @param {Object} team - Team instance
+ * @param {Object} calendar - Result of getTeamCalendar
+ * @returns {string} ICS calendar
+ */
+const buildCalendarFeed = (team, calendar) => {
+  const utc = {
+    startInputType: 'utc',
+    startOutputType: 'utc',
+    endInputType: 'utc',
+    endOutputType: 'utc'
+  };
+
+  const events = calendar.members.flatMap(({ user, bookings, busyTimes }) => {
+    const name = `${user.firstName} ${user.lastName}`;
+
+    return [
+      ...bookings.map((booking) => ({
+        ...utc,
+        uid: `meetabl-team-${team.id}-booking-${booking.id}@meetabl.com`,
+        title: `${name}: Booked`,
+        start: new Date(booking.startTime).getTime(),
+        end: new Date(booking.endTime).getTime(),
+        busyStatus: 'BUSY'
+      })),
+      ...busyTimes.map((busy) => ({
+        ...utc,
+        uid: `meetabl-team-${team.id}-busy-${user.id}-${new Date(busy.start).getTime()}@meetabl.com`,
+        title: `${name}: Busy`,
+        start: new Date(busy.start).getTime(),
+        end: new Date(busy.end).getTime(),
+        busyStatus: 'BUSY'
+      }))
+    ];
+  });
+
+  const { error, value } = createEvents(events, {
+    productId: 'meetabl.com',
+    calName: `${team.name} team calendar`
+  });
+
+  if (error) {
+    logger.error(`Error generating team calendar feed for team ${team.id}:`, error);
+    throw new Error(`Failed to generate calendar feed: ${error.message}`);
+  }
+
+  return value;
+};
+
+/**
+ * Get a member's feed for the shared team calendar, creating it if needed
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Member user ID
+ * @returns {Promise<Object>} TeamCalendarFeed
+ */
+const getOrCreateFeed = async (teamId, userId) => {
+  const existing = await TeamCalendarFeed.findOne({ where: { teamId, userId } });
+
+  if (existing) {
+    return existing;
+  }
+
+  const feed = await TeamCalendarFeed.create({
+    teamId,
+    userId,
+    token: generateSecureToken(32)
+  });
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'team.calendar_feed.create',
+    metadata: { teamId, feedId: feed.id }
+  });
+
+  logger.info(`Team calendar feed created for team ${teamId} by user ${userId}`);
+  return feed;
+};
+
+/**
+ * Revoke a member's feed so its URL stops working
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Member user ID
+ * @returns {Promise<void>}
+ */
+const revokeFeed = async (teamId, userId) => {
+  await getMemberTeam(teamId, userId);
+
+  const feed = await TeamCalendarFeed.findOne({ where: { teamId, userId } });
+
+  if (!feed) {
+    const error = new Error('Calendar feed not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await feed.destroy();
+
+  await AuditLog.create({
+    id: uuidv4(),
+    userId,
+    action: 'team.calendar_feed.revoke',
+    metadata: { teamId, feedId: feed.id }
+  });
+
+  logger.info(`Team calendar feed revoked for team ${teamId} by user ${userId}`);
+};
+
+/**
+ * Render the ICS feed behind a feed token
+ *
+ * The feed only works while its owner is still a team member.
+ *
+ * @param {string} token - Feed token
+ * @param {Date} [now] - Reference instant
+ * @returns {Promise<string>} ICS calendar
+ */
+const getFeedCalendar = async (token, now = new Date()) => {
+  const feed = await TeamCalendarFeed.findOne({
+    where: { token },
+    include: [{ model: Team, as: 'team' }]
+  });
+
+  const membership = feed && feed.team && await TeamMember.findOne({
+    where: {
+      team_id: feed.teamId,
+      user_id: feed.userId
+    }
+  });
+
+  if (!membership) {
+    const error = new Error('Calendar feed not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await feed.update({ lastAccessedAt: now });
+
+  const today = availabilityService.getTodayInTimezone('UTC', now);
+  const calendar = await getTeamCalendar({
+    team: feed.team,
+    startDate: availabilityService.shiftDateString(today, -FEED_PAST_DAYS),
+    endDate: availabilityService.shiftDateString(today, FEED_FUTURE_DAYS),
+    timezone: 'UTC'
+  });
+
+  return buildCalendarFeed(feed.team, calendar);
+};
+
+module.exports = {
+  getMemberTeam,
+  getTeamCalendar,
+  buildCalendarFeed,
+  getOrCreateFeed,
+  revokeFeed,
+  getFeedCalendar
+};
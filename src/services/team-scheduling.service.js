@@ -0,0 +1,349 @@
+/**
+ * Team scheduling service
+ *
+ * Computes availability and assigns hosts for team event types.
+ * Round-robin event types offer a slot when any host is free and assign
+ * the least-recently-booked free host; collective event types need every
+ * host free and book all of them.
+ *
+ * @author meetabl Team
+ */
+
+const { addMinutes, isBefore } = require('date-fns');
+const logger = require('../config/logger');
+const {
+  Team, TeamMember, EventType, EventTypeHost, User, Booking, BookingRequest
+} = require('../models');
+const { sequelize, Op } = require('../config/database');
+const availabilityService = require('./availability.service');
+
+const HOST_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email', 'timezone'];
+
+/**
+ * Find a team by its public slug
+ * @param {string} slug - Team slug
+ * @returns {Promise<Object|null>} Team, or null if none matches
+ */
+const findTeamBySlug = (slug) => Team.findOne({ where: { slug } });
+
+/**
+ * Find an active event type owned by a team
+ * @param {string} teamId - Team ID
+ * @param {string} eventTypeId - Event type ID
+ * @returns {Promise<Object|null>} EventType, or null if none matches
+ */
+const findTeamEventType = (teamId, eventTypeId) => EventType.findOne({
+  where: {
+    id: eventTypeId,
+    team_id: teamId,
+    is_active: true
+  }
+});
+
+/**
+ * Whether an event type books every host at once
+ * @param {Object} [eventType] - EventType instance
+ * @returns {boolean} True for collective team event types
+ */
+const isCollective = (eventType) => Boolean(
+  eventType && eventType.teamId && eventType.schedulingType === 'collective'
+);
+
+/**
+ * Get the hosts of a team event type
+ *
+ * Hosts listed on the event type are used when there are any, otherwise
+ * every team member hosts it. Hosts who have left the team are dropped.
+ * The order is stable and breaks round-robin ties.
+ *
+ * @param {Object} eventType - Team EventType instance
+ * @returns {Promise<Array<Object>>} Host users
+ */
+const getEventTypeHosts = async (eventType) => {
+  const [members, hostRows] = await Promise.all([
+    TeamMember.findAll({
+      where: { team_id: eventType.teamId },
+      order: [['joined_at', 'ASC']]
+    }),
+    EventTypeHost.findAll({
+      where: { eventTypeId: eventType.id },
+      order: [['createdAt', 'ASC']]
+    })
+  ]);
+
+  const memberIds = members.map((member) => member.user_id);
+  const hostIds = hostRows.length > 0
+    ? hostRows.map((row) => row.userId).filter((id) => memberIds.includes(id))
+    : memberIds;
+
+  if (hostIds.length === 0) {
+    return [];
+  }
+
+  const users = await User.findAll({
+    where: { id: { [Op.in]: hostIds } },
+    attributes: HOST_ATTRIBUTES
+  });
+
+  return hostIds
+    .map((id) => users.find((user) => user.id === id))
+    .filter(Boolean);
+};
+
+/**
+ * Load what is needed to check a host's slots within a UTC window
+ * @param {Object} host - Host user
+ * @param {Object} eventType - Team EventType instance
+ * @param {{start: Date, end: Date}} window - Window the slots start in
+ * @param {{notBefore: Date, notAfter: (Date|null)}} bookingWindow - Allowed slot starts
+ * @returns {Promise<Object>} Host schedule with per-date slots and limits
+ */
+const loadHostSchedule = async (host, eventType, window, bookingWindow) => {
+  const timezone = availabilityService.isValidTimezone(host.timezone) ? host.timezone : 'UTC';
+  const startDate = availabilityService.getDateInTimezone(window.start, timezone);
+  const endDate = availabilityService.getDateInTimezone(addMinutes(window.end, -1), timezone);
+
+  const range = await availabilityService.loadHostRange(host.id, timezone, startDate, endDate);
+  const constraints = availabilityService.getBookingConstraints(eventType);
+
+  const days = await availabilityService.computeRangeSlots({
+    dates: range.dates,
+    timezone,
+    rulesByDate: range.rulesByDate,
+    duration: eventType.duration,
+    bookings: range.bookings,
+    busyTimes: range.busyTimes,
+    eventType,
+    bufferBefore: constraints.bufferBefore,
+    bufferAfter: constraints.bufferAfter,
+    notBefore: bookingWindow.notBefore,
+    notAfter: bookingWindow.notAfter
+  });
+
+  return {
+    ...range,
+    host,
+    timezone,
+    constraints,
+    bookingWindow,
+    days
+  };
+};
+
+/**
+ * Check whether a host can take a slot
+ * @param {Object} schedule - Result of loadHostSchedule
+ * @param {{start: Date, end: Date}} slot - Slot
+ * @returns {boolean} True if the slot fits the host's rules, limits and calendar
+ */
+const isHostFree = (schedule, slot) => {
+  const date = availabilityService.getDateInTimezone(slot.start, schedule.timezone);
+  const day = schedule.days.find((candidate) => candidate.date === date);
+
+  if (!day || day.limitReason) {
+    return false;
+  }
+
+  return availabilityService.isSlotOpen({
+    slot,
+    date,
+    timezone: schedule.timezone,
+    rules: schedule.rulesByDate[date] || [],
+    bookings: schedule.bookings,
+    busyTimes: schedule.busyTimes,
+    bufferBefore: schedule.constraints.bufferBefore,
+    bufferAfter: schedule.constraints.bufferAfter,
+    notBefore: schedule.bookingWindow.notBefore,
+    notAfter: schedule.bookingWindow.notAfter
+  });
+};
+
+/**
+ * Compute the bookable slots of a team event type over a date range
+ *
+ * Dates are interpreted in the display timezone, since hosts may sit in
+ * different timezones. Each host's own slots are candidates; collective
+ * event types keep only the candidates every host is free for.
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.eventType - Team EventType instance
+ * @param {Array<Object>} params.hosts - Host users
+ * @param {string} params.startDate - First date (YYYY-MM-DD)
+ * @param {string} params.endDate - Last date (YYYY-MM-DD, inclusive)
+ * @param {string} params.timezone - Display IANA timezone
+ * @param {Date} [params.now] - Reference instant
+ * @returns {Promise<Object>} days ({ date, slots }), degraded and failedProviders
+ */
+const getTeamSlots = async ({
+  eventType,
+  hosts,
+  startDate,
+  endDate,
+  timezone,
+  now = new Date()
+}) => {
+  const window = {
+    start: availabilityService.getDayBounds(startDate, timezone).start,
+    end: availabilityService.getDayBounds(endDate, timezone).end
+  };
+  const bookingWindow = availabilityService.getBookingWindow(
+    availabilityService.getBookingConstraints(eventType),
+    now
+  );
+
+  const schedules = await Promise.all(
+    hosts.map((host) => loadHostSchedule(host, eventType, window, bookingWindow))
+  );
+
+  const candidates = new Map();
+  schedules.forEach((schedule) => schedule.days.forEach((day) => day.slots.forEach((slot) => {
+    if (!candidates.has(slot.start.getTime())) {
+      candidates.set(slot.start.getTime(), slot);
+    }
+  })));
+
+  const slots = [...candidates.values()]
+    .filter((slot) => !isBefore(slot.start, window.start) && isBefore(slot.start, window.end))
+    .filter((slot) => !isCollective(eventType)
+      || schedules.every((schedule) => isHostFree(schedule, slot)))
+    .sort((a, b) => a.start - b.start);
+
+  const days = availabilityService.listDates(startDate, endDate).map((date) => ({
+    date,
+    slots: slots.filter(
+      (slot) => availabilityService.getDateInTimezone(slot.start, timezone) === date
+    )
+  }));
+
+  return {
+    days,
+    degraded: schedules.some((schedule) => schedule.degraded),
+    failedProviders: [...new Set(schedules.flatMap((schedule) => schedule.failedProviders))]
+  };
+};
+
+/**
+ * Find the hosts who can take a booking at a specific time
+ *
+ * On top of availability rules, limits and calendars, hosts holding a
+ * pending booking request that overlaps the slot are not free.
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.eventType - Team EventType instance
+ * @param {Array<Object>} params.hosts - Host users
+ * @param {Date} params.start - Booking start
+ * @param {Date} params.end - Booking end
+ * @param {Date} [params.now] - Reference instant
+ * @returns {Promise<Array<Object>>} Free hosts, in host order
+ */
+const getAvailableHosts = async ({
+  eventType,
+  hosts,
+  start,
+  end,
+  now = new Date()
+}) => {
+  if (hosts.length === 0) {
+    return [];
+  }
+
+  const constraints = availabilityService.getBookingConstraints(eventType);
+  const bookingWindow = availabilityService.getBookingWindow(constraints, now);
+
+  const [schedules, pendingRequests] = await Promise.all([
+    Promise.all(hosts.map((host) => loadHostSchedule(
+      host,
+      eventType,
+      { start, end },
+      bookingWindow
+    ))),
+    BookingRequest.findAll({
+      where: {
+        userId: { [Op.in]: hosts.map((host) => host.id) },
+        status: 'pending',
+        expiresAt: { [Op.gt]: now },
+        startTime: { [Op.lt]: addMinutes(end, constraints.bufferAfter) },
+        endTime: { [Op.gt]: addMinutes(start, -constraints.bufferBefore) }
+      },
+      attributes: ['userId']
+    })
+  ]);
+
+  const pendingHostIds = new Set(pendingRequests.map((request) => request.userId));
+
+  return schedules
+    .filter((schedule) => !pendingHostIds.has(schedule.host.id)
+      && isHostFree(schedule, { start, end }))
+    .map((schedule) => schedule.host);
+};
+
+/**
+ * Pick the round-robin host for a booking
+ *
+ * The host whose latest booking or open request for the event type is
+ * oldest wins; hosts never booked come first, and ties keep host order.
+ *
+ * @param {Object} eventType - Team EventType instance
+ * @param {Array<Object>} hosts - Free hosts, in host order
+ * @returns {Promise<Object|null>} Assigned host, or null if there are no hosts
+ */
+const pickRoundRobinHost = async (eventType, hosts) => {
+  if (hosts.length <= 1) {
+    return hosts[0] || null;
+  }
+
+  const hostIds = hosts.map((host) => host.id);
+  const latestCreated = [
+    [sequelize.fn('MAX', sequelize.col('created')), 'lastBookedAt']
+  ];
+
+  const [bookings, requests] = await Promise.all([
+    Booking.findAll({
+      attributes: ['userId', ...latestCreated],
+      where: {
+        eventTypeId: eventType.id,
+        userId: { [Op.in]: hostIds },
+        status: 'confirmed'
+      },
+      group: ['userId'],
+      raw: true
+    }),
+    BookingRequest.findAll({
+      attributes: ['userId', ...latestCreated],
+      where: {
+        eventTypeId: eventType.id,
+        userId: { [Op.in]: hostIds },
+        status: { [Op.in]: ['pending', 'pending_host_approval'] }
+      },
+      group: ['userId'],
+      raw: true
+    })
+  ]);
+
+  const lastBookedAt = new Map();
+  [...bookings, ...requests].forEach(({ userId, lastBookedAt: value }) => {
+    const time = new Date(value).getTime();
+    if (!lastBookedAt.has(userId) || time > lastBookedAt.get(userId)) {
+      lastBookedAt.set(userId, time);
+    }
+  });
+
+  const getLastBookedAt = (id) => (lastBookedAt.has(id) ? lastBookedAt.get(id) : -Infinity);
+
+  const host = hosts.reduce((best, candidate) => (
+    getLastBookedAt(candidate.id) < getLastBookedAt(best.id) ? candidate : best
+  ));
+
+  logger.debug(`Round-robin assigned host ${host.id} for event type ${eventType.id}`);
+  return host;
+};
+
+module.exports = {
+  findTeamBySlug,
+  findTeamEventType,
+  isCollective,
+  getEventTypeHosts,
+  getTeamSlots,
+  getAvailableHosts,
+  pickRoundRobinHost
+};
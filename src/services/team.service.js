@@ -6,9 +6,10 @@
  * @author meetabl Team
  */
 
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../config/logger');
 const {
-  Team, TeamMember, User, AuditLog
+  Team, TeamMember, User, AuditLog, EventType, EventTypeHost
 } = require('../models');
 const { sequelize, Op } = require('../config/database');
 
@@ -504,13 +505,270 @@ const removeTeamMember = async (teamId, userId, memberUserId) => {
   }
 };
 
+/**
+ * Load a team the user may manage (owner or admin)
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Team
+ */
+const getManagedTeam = async (teamId, userId) => {
+  const team = await Team.findByPk(teamId);
+
+  if (!team) {
+    const error = new Error('Team not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const membership = await TeamMember.findOne({
+    where: {
+      team_id: teamId,
+      user_id: userId,
+      role: { [Op.in]: ['admin'] }
+    }
+  });
+
+  if (team.owner_id !== userId && !membership) {
+    const error = new Error('Access denied');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return team;
+};
+
+/**
+ * Replace the hosts of a team event type
+ * @param {string} teamId - Team ID
+ * @param {string} eventTypeId - Event type ID
+ * @param {Array<string>} hostIds - User IDs of the hosts; empty means every member
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const setEventTypeHosts = async (teamId, eventTypeId, hostIds, transaction) => {
+  const uniqueHostIds = [...new Set(hostIds)];
+
+  const members = await TeamMember.findAll({
+    where: {
+      team_id: teamId,
+      user_id: { [Op.in]: uniqueHostIds }
+    }
+  });
+
+  if (members.length !== uniqueHostIds.length) {
+    const error = new Error('Hosts must be members of the team');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await EventTypeHost.destroy({ where: { eventTypeId }, transaction });
+  await EventTypeHost.bulkCreate(
+    uniqueHostIds.map((hostId) => ({ eventTypeId, userId: hostId })),
+    { transaction }
+  );
+};
+
+/**
+ * Get a team event type with its hosts
+ * @param {string} teamId - Team ID
+ * @param {string} eventTypeId - Event type ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} Event type
+ */
+const findTeamEventType = async (teamId, eventTypeId, transaction = null) => {
+  const eventType = await EventType.findOne({
+    where: { id: eventTypeId, teamId },
+    include: [{ model: EventTypeHost, as: 'hosts', attributes: ['userId'] }],
+    transaction
+  });
+
+  if (!eventType) {
+    const error = new Error('Event type not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return eventType;
+};
+
+/**
+ * Get a team's event types
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID (for permission check)
+ * @returns {Promise<Array<Object>>} Event types with their hosts
+ */
+const getTeamEventTypes = async (teamId, userId) => {
+  try {
+    const membership = await TeamMember.findOne({
+      where: {
+        team_id: teamId,
+        user_id: userId
+      }
+    });
+
+    if (!membership) {
+      const error = new Error('Access denied');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return await EventType.findAll({
+      where: { teamId },
+      include: [{ model: EventTypeHost, as: 'hosts', attributes: ['userId'] }],
+      order: [
+        ['position', 'ASC'],
+        ['createdAt', 'ASC']
+      ]
+    });
+  } catch (error) {
+    logger.error('Error getting team event types:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a team event type
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID (who is creating)
+ * @param {Object} eventTypeData - Event type fields plus optional hostIds
+ * @returns {Promise<Object>} Created event type with its hosts
+ */
+const createTeamEventType = async (teamId, userId, eventTypeData) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    await getManagedTeam(teamId, userId);
+
+    const { hostIds, ...fields } = eventTypeData;
+
+    // The creator owns the record; the team decides who hosts it
+    const eventType = await EventType.create({
+      ...fields,
+      userId,
+      teamId,
+      slug: await EventType.generateSlug(fields.name, userId)
+    }, { transaction });
+
+    if (hostIds && hostIds.length > 0) {
+      await setEventTypeHosts(teamId, eventType.id, hostIds, transaction);
+    }
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId,
+      action: 'team.event_type.create',
+      metadata: {
+        teamId,
+        eventTypeId: eventType.id,
+        scheduling_type: eventType.schedulingType
+      }
+    }, { transaction });
+
+    const createdEventType = await findTeamEventType(teamId, eventType.id, transaction);
+
+    await transaction.commit();
+
+    logger.info(`Team event type created: ${eventType.id} for team ${teamId} by user ${userId}`);
+    return createdEventType;
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error creating team event type:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a team event type
+ * @param {string} teamId - Team ID
+ * @param {string} eventTypeId - Event type ID
+ * @param {string} userId - User ID (who is updating)
+ * @param {Object} updateData - Event type fields plus optional hostIds
+ * @returns {Promise<Object>} Updated event type with its hosts
+ */
+const updateTeamEventType = async (teamId, eventTypeId, userId, updateData) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    await getManagedTeam(teamId, userId);
+    const eventType = await findTeamEventType(teamId, eventTypeId, transaction);
+
+    const { hostIds, ...fields } = updateData;
+
+    if (fields.name && fields.name !== eventType.name) {
+      fields.slug = await EventType.generateSlug(fields.name, eventType.userId);
+    }
+
+    await eventType.update(fields, { transaction });
+
+    if (hostIds) {
+      await setEventTypeHosts(teamId, eventTypeId, hostIds, transaction);
+    }
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId,
+      action: 'team.event_type.update',
+      metadata: { teamId, eventTypeId, changes: updateData }
+    }, { transaction });
+
+    const updatedEventType = await findTeamEventType(teamId, eventTypeId, transaction);
+
+    await transaction.commit();
+
+    logger.info(`Team event type updated: ${eventTypeId} for team ${teamId} by user ${userId}`);
+    return updatedEventType;
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error updating team event type:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a team event type
+ * @param {string} teamId - Team ID
+ * @param {string} eventTypeId - Event type ID
+ * @param {string} userId - User ID (who is deleting)
+ * @returns {Promise<void>}
+ */
+const deleteTeamEventType = async (teamId, eventTypeId, userId) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    await getManagedTeam(teamId, userId);
+    const eventType = await findTeamEventType(teamId, eventTypeId, transaction);
+
+    await AuditLog.create({
+      id: uuidv4(),
+      userId,
+      action: 'team.event_type.delete',
+      metadata: { teamId, eventTypeId, name: eventType.name }
+    }, { transaction });
+
+    // Cascade removes the host rows
+    await eventType.destroy({ transaction });
+
+    await transaction.commit();
+    logger.info(`Team event type deleted: ${eventTypeId} from team ${teamId} by user ${userId}`);
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error deleting team event type:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   createTeam,
   getUserTeams,
   getTeamById,
+  getManagedTeam,
   updateTeam,
   deleteTeam,
   getTeamMembers,
   addTeamMember,
-  removeTeamMember
+  removeTeamMember,
+  getTeamEventTypes,
+  createTeamEventType,
+  updateTeamEventType,
+  deleteTeamEventType
 };
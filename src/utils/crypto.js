@@ -2,7 +2,8 @@
  * Cryptographic Utilities
  * 
  * Provides secure token generation and validation utilities
- * for booking confirmations, user verification, and other security tokens
+ * for booking confirmations, user verification, and other security tokens,
+ * and encryption of secrets such as OAuth tokens stored at rest
  * 
  * @author meetabl Team
  */
@@ -115,6 +116,247 @@ const generateTokenWithExpiration = (bytes = 32, minutesFromNow = 30) => {
   };
 };
 
+// Prefix and format version of secrets encrypted at rest
+const SECRET_PREFIX = 'enc';
+const SECRET_VERSION = 'v1';
+const SECRET_CIPHER = 'aes-256-gcm';
+const SECRET_IV_BYTES = 12;
+const SECRET_TAG_BYTES = 16;
+const SECRET_KEY_BYTES = 32;
+
+/**
+ * Get the keys secrets are encrypted with
+ *
+ * Keys come from TOKEN_ENCRYPTION_KEYS as comma separated `keyId:base64`
+ * pairs of 32 byte keys. New secrets are encrypted with the key named by
+ * TOKEN_ENCRYPTION_KEY_ID, or the first key listed; the others are kept
+ * to read secrets that have not been re-encrypted yet.
+ *
+ * @returns {Object} Current key ID and the keys by ID
+ */
+const getEncryptionKeys = () => {
+  const keys = new Map();
+
+  (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(':');
+      const keyId = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+      if (separator < 1 || !/^[\w-]+$/.test(keyId) || key.length !== SECRET_KEY_BYTES) {
+        throw new Error('TOKEN_ENCRYPTION_KEYS must list keyId:base64 pairs of 32 byte keys');
+      }
+
+      keys.set(keyId, key);
+    });
+
+  if (keys.size === 0) {
+    throw new Error('Token encryption is not configured: set TOKEN_ENCRYPTION_KEYS');
+  }
+
+  const currentKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value;
+
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID ${currentKeyId} is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  return { currentKeyId, keys };
+};
+
+/**
+ * Encrypt bytes with AES-256-GCM
+ * @param {Buffer} key - 32 byte key
+ * @param {Buffer} plaintext - Bytes to encrypt
+ * @param {string} aad - Additional data the ciphertext is bound to
+ * @returns {string} base64 of the IV, auth tag and ciphertext
+ */
+const sealBytes = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(SECRET_IV_BYTES);
+  const cipher = crypto.createCipheriv(SECRET_CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+/**
+ * Decrypt bytes sealed by sealBytes
+ * @param {Buffer} key - 32 byte key
+ * @param {string} sealed - base64 of the IV, auth tag and ciphertext
+ * @param {string} aad - Additional data the ciphertext is bound to
+ * @returns {Buffer} Decrypted bytes
+ */
+const openBytes = (key, sealed, aad) => {
+  const bytes = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(SECRET_CIPHER, key, bytes.subarray(0, SECRET_IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(bytes.subarray(SECRET_IV_BYTES, SECRET_IV_BYTES + SECRET_TAG_BYTES));
+
+  return Buffer.concat([
+    decipher.update(bytes.subarray(SECRET_IV_BYTES + SECRET_TAG_BYTES)),
+    decipher.final()
+  ]);
+};
+
+/**
+ * Split an encrypted secret into its parts
+ * @param {string} value - Stored value
+ * @returns {Object|null} Key ID, wrapped data key and payload, or null if not encrypted
+ */
+const parseSecret = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const parts = value.split(':');
+  if (parts.length !== 5 || parts[0] !== SECRET_PREFIX || parts[1] !== SECRET_VERSION) {
+    return null;
+  }
+
+  return { keyId: parts[2], wrappedKey: parts[3], payload: parts[4] };
+};
+
+/**
+ * Check whether a stored value is an encrypted secret
+ * @param {*} value - Stored value
+ * @returns {boolean} True if the value was encrypted by encryptSecret
+ */
+const isEncryptedSecret = (value) => parseSecret(value) !== null;
+
+/**
+ * Get the ID of the key an encrypted secret is stored under
+ * @param {*} value - Stored value
+ * @returns {string|null} Key ID, or null if the value is not encrypted
+ */
+const getSecretKeyId = (value) => {
+  const secret = parseSecret(value);
+  return secret ? secret.keyId : null;
+};
+
+/**
+ * Name the place a secret is stored in
+ *
+ * Secrets are bound to it, so an encrypted value copied to another row
+ * or column cannot be decrypted there.
+ *
+ * @param {string} model - Model name
+ * @param {string} id - Row ID
+ * @param {string} column - Attribute holding the secret
+ * @returns {string} Secret context
+ */
+const getSecretContext = (model, id, column) => {
+  if (!id) {
+    throw new Error(`The ${column} of a ${model} cannot be encrypted or read without its ID`);
+  }
+
+  return `${model}:${id}:${column}`;
+};
+
+/**
+ * Get the additional data the payload of a secret is bound to
+ * @param {string} context - Secret context from getSecretContext
+ * @returns {string} Additional authenticated data
+ */
+const getPayloadAad = (context) => `${SECRET_VERSION}:${context}`;
+
+/**
+ * Unwrap the data key of an encrypted secret
+ * @param {Object} secret - Parsed secret
+ * @param {Map} keys - Keys by ID
+ * @returns {Buffer} Data key
+ */
+const unwrapDataKey = (secret, keys) => {
+  const key = keys.get(secret.keyId);
+
+  if (!key) {
+    throw new Error(`Encryption key ${secret.keyId} is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  return openBytes(key, secret.wrappedKey, `${SECRET_VERSION}:${secret.keyId}`);
+};
+
+/**
+ * Encrypt a secret for storage
+ *
+ * Uses envelope encryption: the secret is encrypted with a random data
+ * key, which is itself encrypted with the current key and stored next
+ * to it with the key ID. Empty values are returned unchanged; anything
+ * else is encrypted, even if it looks like an encrypted secret.
+ *
+ * @param {string|null} plaintext - Secret to encrypt
+ * @param {string} context - Where the secret is stored, from getSecretContext
+ * @returns {string|null} Encrypted secret
+ */
+const encryptSecret = (plaintext, context) => {
+  if (plaintext === null || plaintext === undefined) {
+    return plaintext;
+  }
+
+  const { currentKeyId, keys } = getEncryptionKeys();
+  const dataKey = crypto.randomBytes(SECRET_KEY_BYTES);
+  const wrappedKey = sealBytes(keys.get(currentKeyId), dataKey, `${SECRET_VERSION}:${currentKeyId}`);
+  const payload = sealBytes(
+    dataKey,
+    Buffer.from(String(plaintext), 'utf8'),
+    getPayloadAad(context)
+  );
+
+  return [SECRET_PREFIX, SECRET_VERSION, currentKeyId, wrappedKey, payload].join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ *
+ * Values that were stored before encryption was enabled are returned
+ * as they are.
+ *
+ * @param {string|null} value - Stored value
+ * @param {string} context - Where the secret is stored, from getSecretContext
+ * @returns {string|null} Plaintext secret
+ */
+const decryptSecret = (value, context) => {
+  const secret = parseSecret(value);
+
+  if (!secret) {
+    return value;
+  }
+
+  const dataKey = unwrapDataKey(secret, getEncryptionKeys().keys);
+  return openBytes(dataKey, secret.payload, getPayloadAad(context)).toString('utf8');
+};
+
+/**
+ * Re-encrypt a stored secret under the current key
+ *
+ * Only the data key is re-encrypted, so the secret itself is never
+ * decrypted. Plaintext values are encrypted. The result is meant to be
+ * written to the column directly, not through a model setter, which would
+ * encrypt it again.
+ *
+ * @param {string|null} value - Stored value
+ * @param {string} context - Where the secret is stored, from getSecretContext
+ * @returns {string|null} Value stored under the current key
+ */
+const rewrapSecret = (value, context) => {
+  const secret = parseSecret(value);
+
+  if (!secret) {
+    return encryptSecret(value, context);
+  }
+
+  const { currentKeyId, keys } = getEncryptionKeys();
+  if (secret.keyId === currentKeyId) {
+    return value;
+  }
+
+  const dataKey = unwrapDataKey(secret, keys);
+  const wrappedKey = sealBytes(keys.get(currentKeyId), dataKey, `${SECRET_VERSION}:${currentKeyId}`);
+
+  return [SECRET_PREFIX, SECRET_VERSION, currentKeyId, wrappedKey, secret.payload].join(':');
+};
+
 module.exports = {
   generateSecureToken,
   generateBookingConfirmationToken,
@@ -123,5 +365,12 @@ module.exports = {
   validateTokenFormat,
   createTokenExpiration,
   isTokenExpired,
-  generateTokenWithExpiration
+  generateTokenWithExpiration,
+  getEncryptionKeys,
+  isEncryptedSecret,
+  getSecretKeyId,
+  getSecretContext,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret
 };
\ No newline at end of file
@@ -8,12 +8,14 @@
 
 const { createEvent } = require('ics');
 const logger = require('../config/logger');
+const { formatAnswersText } = require('../services/booking-question.service');
 
 /**
  * Generate ICS file for a booking
  * @param {Object} booking - Booking instance with meeting details
  * @param {Object} host - Host user information
  * @param {Object} options - Additional options
+ * @param {string} [options.manageUrl] - Invitee link to cancel or reschedule
  * @returns {Promise<Object>} ICS file data and metadata
  */
 const generateBookingICS = async (booking, host, options = {}) => {
@@ -24,7 +26,8 @@ const generateBookingICS = async (booking, host, options = {}) => {
     const {
       includeLocation = true,
       includeDescription = true,
-      organizerEmail = null
+      organizerEmail = null,
+      manageUrl = null
     } = options;
 
     // Convert ISO strings to Date objects - handle both camelCase and snake_case field names
@@ -60,6 +63,12 @@ const generateBookingICS = async (booking, host, options = {}) => {
       if (booking.notes) {
         description += `\n\nNotes: ${booking.notes}`;
       }
+      if (booking.answers && booking.answers.length > 0) {
+        description += `\n\n${formatAnswersText(booking.answers)}`;
+      }
+      if (manageUrl) {
+        description += `\n\nNeed to make changes? Cancel or reschedule: ${manageUrl}`;
+      }
       description += `\n\nBooking ID: ${booking.id}`;
       description += `\n\nPowered by Meetabl - https://meetabl.com`;
     }
@@ -89,14 +98,15 @@ const generateBookingICS = async (booking, host, options = {}) => {
     const customerEmail = booking.customerEmail || booking.customer_email;
     
     const attendees = [
-      {
-        name: customerName,
-        email: customerEmail,
-        rsvp: true,
-        partstat: 'NEEDS-ACTION',
-        role: 'REQ-PARTICIPANT'
-      }
-    ];
+      { name: customerName, email: customerEmail },
+      ...(booking.attendees || [])
+    ].map((attendee) => ({
+      name: attendee.name,
+      email: attendee.email,
+      rsvp: true,
+      partstat: 'NEEDS-ACTION',
+      role: 'REQ-PARTICIPANT'
+    }));
 
     // Create the event
     const event = {
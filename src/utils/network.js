@@ -0,0 +1,138 @@
+/**
+ * Network utilities
+ *
+ * Guards requests the server makes to URLs its users supply, such as
+ * webhook endpoints and CalDAV servers, against reaching the server's own
+ * network
+ *
+ * @author meetabl Team
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local, shared, reserved and multicast ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Build the error for a host that is not public
+ * @param {string} hostname - Host that was refused
+ * @returns {Error} Error with code EPRIVATEADDRESS
+ */
+const privateAddressError = (hostname) => {
+  const error = new Error(`${hostname} is not a public address`);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+};
+
+/**
+ * Check whether an IP address is outside the public internet
+ *
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry.
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and reserved addresses
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return true;
+  }
+
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Resolve a host name, refusing hosts with any non-public address
+ *
+ * Has the signature of dns.lookup so it can be passed as the lookup option
+ * of http.request and axios. Addresses are then checked on every
+ * connection, including redirects, so a host cannot switch to a private
+ * address between a check and the request.
+ *
+ * @param {string} hostname - Host name
+ * @param {Object} [options] - dns.lookup options
+ * @param {Function} callback - Called like the dns.lookup callback
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  const done = typeof options === 'function' ? options : callback;
+  const lookupOptions = typeof options === 'object' && options !== null ? options : {};
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      done(error);
+      return;
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      done(privateAddressError(hostname));
+      return;
+    }
+
+    if (lookupOptions.all) {
+      done(null, addresses);
+      return;
+    }
+
+    done(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check that a URL's host is public
+ *
+ * IP literals are checked directly, since requests to them skip the
+ * lookup; host names are resolved.
+ *
+ * @param {string|URL} url - URL to check
+ * @returns {Promise<void>}
+ * @throws {Error} EPRIVATEADDRESS if the host is not public, or the DNS error
+ */
+const assertPublicUrl = (url) => {
+  const { hostname } = new URL(url);
+  // URL keeps the brackets around IPv6 hosts
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (net.isIP(host)) {
+    return isPrivateAddress(host)
+      ? Promise.reject(privateAddressError(host))
+      : Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    lookupPublicAddress(host, {}, (error) => (error ? reject(error) : resolve()));
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  lookupPublicAddress,
+  assertPublicUrl
+};
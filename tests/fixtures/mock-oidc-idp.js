@@ -0,0 +1,216 @@
+/**
+ * Mock OpenID Connect identity provider
+ *
+ * A minimal provider for testing single sign-on locally. It serves
+ * discovery, signing keys, an authorization endpoint that signs in the
+ * configured user without a prompt, and a token endpoint that checks the
+ * client credentials, redirect URI and PKCE verifier before returning an
+ * RS256 ID token.
+ *
+ * Run it on its own with `node tests/fixtures/mock-oidc-idp.js`; the
+ * port, client and user come from MOCK_IDP_* environment variables.
+ *
+ * @author meetabl Team
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Encode bytes as base64url
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} base64url string
+ */
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * Read a form encoded request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<URLSearchParams>} Form fields
+ */
+const readForm = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => resolve(new URLSearchParams(body)));
+  req.on('error', reject);
+});
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Start a mock identity provider
+ * @param {Object} [options] - Options
+ * @param {number} [options.port] - Port to listen on, a free one by default
+ * @param {string} [options.clientId] - Registered client ID
+ * @param {string} [options.clientSecret] - Registered client secret
+ * @param {Object} [options.user] - Claims of the user signing in
+ * @returns {Promise<Object>} Provider with issuer, client credentials, setUser and close
+ */
+const startMockIdp = async ({
+  port = 0,
+  clientId = 'meetabl-test',
+  clientSecret = 'test-secret',
+  user = {
+    sub: 'user-1',
+    email: 'jane@example.com',
+    email_verified: true,
+    given_name: 'Jane',
+    family_name: 'Doe'
+  }
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = base64url(crypto.randomBytes(8));
+  const codes = new Map();
+  const state = { user, issuer: null };
+
+  const signIdToken = (claims) => jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer: state.issuer,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  const handleAuthorize = (url, res) => {
+    const params = url.searchParams;
+
+    if (params.get('client_id') !== clientId || params.get('response_type') !== 'code') {
+      return sendJson(res, 400, { error: 'unauthorized_client' });
+    }
+
+    const code = base64url(crypto.randomBytes(16));
+    codes.set(code, {
+      redirectUri: params.get('redirect_uri'),
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge'),
+      user: state.user
+    });
+
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    if (params.get('state')) {
+      redirect.searchParams.set('state', params.get('state'));
+    }
+
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  };
+
+  const handleToken = async (req, res) => {
+    const form = await readForm(req);
+    const [basicId, basicSecret] = Buffer
+      .from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+
+    if (basicId !== clientId || basicSecret !== clientSecret) {
+      return sendJson(res, 401, { error: 'invalid_client' });
+    }
+
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+
+    const challenge = base64url(crypto.createHash('sha256')
+      .update(form.get('code_verifier') || '')
+      .digest());
+
+    if (!grant || grant.redirectUri !== form.get('redirect_uri') || grant.codeChallenge !== challenge) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+
+    return sendJson(res, 200, {
+      access_token: base64url(crypto.randomBytes(16)),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: signIdToken({ ...grant.user, nonce: grant.nonce })
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, state.issuer);
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: state.issuer,
+        authorization_endpoint: `${state.issuer}/authorize`,
+        token_endpoint: `${state.issuer}/token`,
+        jwks_uri: `${state.issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{
+          ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256'
+        }]
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return handleAuthorize(url, res);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return handleToken(req, res).catch(() => sendJson(res, 500, { error: 'server_error' }));
+    }
+
+    return sendJson(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  state.issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer: state.issuer,
+    clientId,
+    clientSecret,
+    setUser: (claims) => {
+      state.user = claims;
+    },
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = { startMockIdp };
+
+if (require.main === module) {
+  startMockIdp({
+    port: Number(process.env.MOCK_IDP_PORT) || 4010,
+    clientId: process.env.MOCK_IDP_CLIENT_ID,
+    clientSecret: process.env.MOCK_IDP_CLIENT_SECRET,
+    user: process.env.MOCK_IDP_EMAIL ? {
+      sub: process.env.MOCK_IDP_EMAIL,
+      email: process.env.MOCK_IDP_EMAIL,
+      email_verified: true,
+      name: process.env.MOCK_IDP_NAME || 'Test User'
+    } : undefined
+  }).then((idp) => {
+    // eslint-disable-next-line no-console
+    console.log(`Mock OpenID provider listening at ${idp.issuer} (client ${idp.clientId})`);
+  });
+}
@@ -18,6 +18,7 @@ process.env.JWT_EXPIRES_IN = '1d';
 process.env.JWT_REFRESH_EXPIRES_IN = '7d';
 process.env.JWT_REFRESH_SECRET = 'TestJwtRefreshSecret123With32CharsMinimum';
 process.env.SESSION_SECRET = 'TestSessionSecret123With32CharactersMinimum';
+process.env.TOKEN_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 1).toString('base64')}`;
 process.env.NODE_ENV = 'test';
 process.env.FRONTEND_URL = 'http://localhost:3000';
 process.env.GOOGLE_CLIENT_ID = 'test-google-client-id';
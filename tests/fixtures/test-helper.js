@@ -71,17 +71,26 @@ const mockModels = () => {
     },
     UserSettings: createMockModel('UserSettings'),
     AvailabilityRule: createMockModel('AvailabilityRule'),
+    AvailabilityOverride: createMockModel('AvailabilityOverride'),
     Booking: createMockModel('Booking'),
     Notification: createMockModel('Notification'),
+    PushSubscription: createMockModel('PushSubscription'),
+    ApiKey: createMockModel('ApiKey'),
+    WebhookEndpoint: createMockModel('WebhookEndpoint'),
+    WebhookDelivery: createMockModel('WebhookDelivery'),
     CalendarToken: createMockModel('CalendarToken'),
     AuditLog: createMockModel('AuditLog'),
     BookingRequest: createMockModel('BookingRequest'),
     JwtBlacklist: createMockModel('JwtBlacklist'),
     Team: createMockModel('Team'),
     TeamMember: createMockModel('TeamMember'),
+    TeamCalendarFeed: createMockModel('TeamCalendarFeed'),
+    EventTypeHost: createMockModel('EventTypeHost'),
     Payment: createMockModel('Payment'),
     PricingRule: createMockModel('PricingRule'),
-    Invoice: createMockModel('Invoice')
+    Invoice: createMockModel('Invoice'),
+    PromoCode: createMockModel('PromoCode'),
+    SsoConnection: createMockModel('SsoConnection')
   };
   
   // Add sequelize to the models object
@@ -178,6 +187,7 @@ const mockServices = () => ({
   },
   calendarService: {
     createCalendarEvent: jest.fn().mockResolvedValue({ id: 'calendar-event-id' }),
+    queueCalendarSync: jest.fn().mockResolvedValue(),
     getGoogleAuthClient: jest.fn().mockResolvedValue({}),
     getMicrosoftGraphClient: jest.fn().mockResolvedValue({})
   }
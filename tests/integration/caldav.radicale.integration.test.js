@@ -0,0 +1,96 @@
+/**
+ * CalDAV integration tests
+ *
+ * Runs the CalDAV service against a real server. Skipped unless
+ * CALDAV_TEST_URL is set, e.g. for a local Radicale:
+ *
+ *   pip install radicale
+ *   python -m radicale --storage-filesystem-folder=/tmp/radicale --auth-type=none
+ *   CALDAV_TEST_URL=http://localhost:5232 npx jest tests/integration/caldav
+ *
+ * CALDAV_TEST_USERNAME and CALDAV_TEST_PASSWORD default to a test account
+ * any password is accepted for, as with Radicale's auth-type none.
+ *
+ * @author meetabl Team
+ */
+
+// The service only reaches public hosts, and the test server is local;
+// axios resolves hosts itself without the lookup option
+jest.mock('../../src/utils/network', () => ({
+  assertPublicUrl: jest.fn().mockResolvedValue(),
+  lookupPublicAddress: undefined
+}));
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const caldavService = require('../../src/services/caldav.service');
+
+const serverUrl = process.env.CALDAV_TEST_URL;
+const username = process.env.CALDAV_TEST_USERNAME || 'meetabl-test';
+const password = process.env.CALDAV_TEST_PASSWORD || 'app-password';
+
+const describeWithServer = serverUrl ? describe : describe.skip;
+
+describeWithServer('CalDAV Service against a CalDAV server', () => {
+  const auth = { username, password };
+  let calendarUrl;
+  let token;
+
+  const booking = {
+    customerName: 'Ada',
+    customerEmail: 'ada@example.com',
+    startTime: new Date('2030-07-01T09:00:00Z'),
+    endTime: new Date('2030-07-01T09:30:00Z')
+  };
+  const host = {
+    firstName: 'Grace', lastName: 'Hopper', email: 'host@example.com'
+  };
+  const day = [new Date('2030-07-01T00:00:00Z'), new Date('2030-07-02T00:00:00Z')];
+
+  beforeAll(async () => {
+    calendarUrl = new URL(`/${username}/meetabl-${uuidv4()}/`, serverUrl).toString();
+    await axios({
+      method: 'MKCALENDAR',
+      url: calendarUrl,
+      auth,
+      headers: { 'Content-Type': 'application/xml; charset=utf-8' },
+      data: '<?xml version="1.0" encoding="utf-8"?>'
+        + '<c:mkcalendar xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">'
+        + '<d:set><d:prop><d:displayname>meetabl test</d:displayname></d:prop></d:set>'
+        + '</c:mkcalendar>'
+    });
+    token = { email: username, accessToken: password, calendarUrl };
+  });
+
+  afterAll(async () => {
+    await axios({ method: 'DELETE', url: calendarUrl, auth }).catch(() => {});
+  });
+
+  test('should find the test calendar', async () => {
+    const calendars = await caldavService.discoverCalendars({ serverUrl, username, password });
+
+    expect(calendars).toContainEqual({ url: calendarUrl, name: 'meetabl test' });
+  });
+
+  test('should create, update and delete an event that blocks its time', async () => {
+    const event = await caldavService.createEvent(token, booking, host);
+    expect(await caldavService.getBusyTimes(token, ...day)).toEqual([
+      { start: booking.startTime, end: booking.endTime }
+    ]);
+
+    const moved = {
+      ...booking,
+      startTime: new Date('2030-07-01T14:00:00Z'),
+      endTime: new Date('2030-07-01T15:00:00Z')
+    };
+    await caldavService.updateEvent(token, event.id, moved, host);
+    expect(await caldavService.getBusyTimes(token, ...day)).toEqual([
+      { start: moved.startTime, end: moved.endTime }
+    ]);
+
+    await caldavService.deleteEvent(token, event.id);
+    expect(await caldavService.getBusyTimes(token, ...day)).toEqual([]);
+    await expect(caldavService.updateEvent(token, event.id, moved, host))
+      .rejects.toMatchObject({ response: { status: 404 } });
+  });
+});
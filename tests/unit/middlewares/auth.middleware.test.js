@@ -13,6 +13,9 @@ jest.mock('../../../src/config/logger', () => ({
   info: jest.fn(),
   warn: jest.fn()
 }));
+jest.mock('../../../src/services/subscription.service', () => ({
+  checkFeatureAccess: jest.fn()
+}));
 jest.mock('../../../src/models', () => ({
   User: {
     findOne: jest.fn()
@@ -15,6 +15,11 @@ jest.mock('../../../src/config/logger', () => ({
   warn: jest.fn()
 }));
 
+// Mock subscription service
+jest.mock('../../../src/services/subscription.service', () => ({
+  checkFeatureAccess: jest.fn()
+}));
+
 const { authenticateJWT } = require('../../../src/middlewares/auth');
 // Mock models and JWT
 jest.mock('../../../src/models', () => ({
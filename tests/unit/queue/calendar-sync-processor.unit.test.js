@@ -0,0 +1,98 @@
+/**
+ * Queue calendar sync processor unit tests
+ *
+ * Tests for BullMQ calendar sync queue processor
+ *
+ * @author meetabl Team
+ */
+
+// Import test setup
+require('../test-setup');
+
+// Mock dependencies
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../../src/services/calendar.service', () => ({
+  syncBookingCalendarEvent: jest.fn()
+}));
+
+jest.mock('../../../src/services/calendar-sync.service', () => ({
+  syncCalendarToken: jest.fn()
+}));
+
+jest.mock('../../../src/queue/index', () => ({
+  createWorker: jest.fn()
+}));
+
+// Import after mocks
+const calendarSyncProcessor = require('../../../src/queue/calendar-sync-processor');
+const logger = require('../../../src/config/logger');
+const calendarService = require('../../../src/services/calendar.service');
+const calendarSyncService = require('../../../src/services/calendar-sync.service');
+const { createWorker } = require('../../../src/queue/index');
+
+describe('Queue Calendar Sync Processor', () => {
+  const mockJob = {
+    id: 'job-123',
+    attemptsMade: 0,
+    data: { bookingId: 'booking-456' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('processCalendarSync', () => {
+    test('should sync the calendar event of the job\'s booking', async () => {
+      calendarService.syncBookingCalendarEvent.mockResolvedValueOnce('deleted');
+
+      const result = await calendarSyncProcessor.processCalendarSync(mockJob);
+
+      expect(calendarService.syncBookingCalendarEvent).toHaveBeenCalledWith('booking-456');
+      expect(result).toBe('deleted');
+      expect(logger.info).toHaveBeenCalledWith('Calendar event synced successfully', {
+        id: 'job-123',
+        result: 'deleted'
+      });
+    });
+
+    test('should rethrow failures so the job is retried', async () => {
+      const error = new Error('Rate limit exceeded');
+      calendarService.syncBookingCalendarEvent.mockRejectedValueOnce(error);
+
+      await expect(calendarSyncProcessor.processCalendarSync(mockJob)).rejects.toThrow(error);
+      expect(logger.error).toHaveBeenCalledWith('Error syncing calendar event:', error);
+    });
+
+    test('should sync the changes of the job\'s calendar', async () => {
+      calendarSyncService.syncCalendarToken.mockResolvedValueOnce(2);
+
+      const result = await calendarSyncProcessor.processCalendarSync({
+        id: 'job-124',
+        name: 'calendar-changes',
+        attemptsMade: 0,
+        data: { calendarTokenId: 'token-1' }
+      });
+
+      expect(calendarSyncService.syncCalendarToken).toHaveBeenCalledWith('token-1');
+      expect(calendarService.syncBookingCalendarEvent).not.toHaveBeenCalled();
+      expect(result).toBe(2);
+    });
+  });
+
+  describe('startWorker', () => {
+    test('should create a worker for the calendarSync queue', () => {
+      const mockWorker = { id: 'worker-1' };
+      createWorker.mockReturnValueOnce(mockWorker);
+
+      const worker = calendarSyncProcessor.startWorker();
+
+      expect(createWorker).toHaveBeenCalledWith('calendarSync', calendarSyncProcessor.processCalendarSync);
+      expect(worker).toBe(mockWorker);
+    });
+  });
+});
@@ -241,8 +241,8 @@ describe('Queue System', () => {
       // Execute closeQueues
       await queueSystem.closeQueues();
 
-      // Verify all queues were closed (notification and calendarSync)
-      expect(mockQueue.close).toHaveBeenCalledTimes(2);
+      // Verify all queues were closed (notification, calendarSync and webhook)
+      expect(mockQueue.close).toHaveBeenCalledTimes(3);
 
       // Verify redis connection was closed
       expect(redis.closeConnection).toHaveBeenCalledTimes(1);
@@ -282,7 +282,7 @@ describe('Queue System', () => {
       await expect(queueSystem.closeQueues()).rejects.toThrow('Redis connection close failed');
 
       // Verify queues were closed
-      expect(mockQueue.close).toHaveBeenCalledTimes(2);
+      expect(mockQueue.close).toHaveBeenCalledTimes(3);
 
       // Verify start logging occurred
       expect(logger.info).toHaveBeenCalledWith('Closing queue connections...');
@@ -297,8 +297,8 @@ describe('Queue System', () => {
       // Execute closeQueues and expect error
       await expect(queueSystem.closeQueues()).rejects.toThrow('Second queue failed');
 
-      // Verify both queues were attempted
-      expect(mockQueue.close).toHaveBeenCalledTimes(2);
+      // Verify all queues were attempted
+      expect(mockQueue.close).toHaveBeenCalledTimes(3);
     });
   });
 
@@ -315,12 +315,19 @@ describe('Queue System', () => {
       expect(queueSystem.queues.calendarSync).toBe(mockQueue);
     });
 
-    test('should have exactly two queues configured', () => {
+    test('should have webhook queue configured', () => {
+      // Verify webhook queue exists
+      expect(queueSystem.queues).toHaveProperty('webhook');
+      expect(queueSystem.queues.webhook).toBe(mockQueue);
+    });
+
+    test('should have exactly three queues configured', () => {
       // Verify only expected queues exist
       const queueNames = Object.keys(queueSystem.queues);
-      expect(queueNames).toHaveLength(2);
+      expect(queueNames).toHaveLength(3);
       expect(queueNames).toContain('notification');
       expect(queueNames).toContain('calendarSync');
+      expect(queueNames).toContain('webhook');
     });
   });
 });
\ No newline at end of file
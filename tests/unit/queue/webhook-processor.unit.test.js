@@ -0,0 +1,74 @@
+/**
+ * Queue webhook processor unit tests
+ *
+ * Tests for BullMQ webhook queue processor
+ *
+ * @author meetabl Team
+ */
+
+// Import test setup
+require('../test-setup');
+
+// Mock dependencies
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../../src/services/outbound-webhook.service', () => ({
+  deliverWebhook: jest.fn()
+}));
+
+jest.mock('../../../src/queue/index', () => ({
+  createWorker: jest.fn()
+}));
+
+// Import after mocks
+const webhookProcessor = require('../../../src/queue/webhook-processor');
+const logger = require('../../../src/config/logger');
+const outboundWebhookService = require('../../../src/services/outbound-webhook.service');
+const { createWorker } = require('../../../src/queue/index');
+
+describe('Queue Webhook Processor', () => {
+  const mockJob = {
+    id: 'job-123',
+    attemptsMade: 0,
+    data: { deliveryId: 'delivery-456' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('processWebhookDelivery', () => {
+    test('should deliver the webhook of the job', async () => {
+      outboundWebhookService.deliverWebhook.mockResolvedValueOnce();
+
+      await webhookProcessor.processWebhookDelivery(mockJob);
+
+      expect(outboundWebhookService.deliverWebhook).toHaveBeenCalledWith('delivery-456');
+      expect(logger.info).toHaveBeenCalledWith('Webhook delivered successfully', { id: 'job-123' });
+    });
+
+    test('should rethrow failures so the job is retried', async () => {
+      const error = new Error('Endpoint responded with status 500');
+      outboundWebhookService.deliverWebhook.mockRejectedValueOnce(error);
+
+      await expect(webhookProcessor.processWebhookDelivery(mockJob)).rejects.toThrow(error);
+      expect(logger.error).toHaveBeenCalledWith('Error delivering webhook:', error);
+    });
+  });
+
+  describe('startWorker', () => {
+    test('should create a worker for the webhook queue', () => {
+      const mockWorker = { id: 'worker-1' };
+      createWorker.mockReturnValueOnce(mockWorker);
+
+      const worker = webhookProcessor.startWorker();
+
+      expect(createWorker).toHaveBeenCalledWith('webhook', webhookProcessor.processWebhookDelivery);
+      expect(worker).toBe(mockWorker);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * API key service unit tests
+ *
+ * Tests for personal API key management and verification
+ *
+ * @author meetabl Team
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  ApiKey: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  User: {},
+  AuditLog: { create: jest.fn() }
+}));
+
+const apiKeyService = require('../../../src/services/api-key.service');
+const { ApiKey, AuditLog } = require('../../../src/models');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('API Key Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isApiKey', () => {
+    test('should tell API keys from JWTs', () => {
+      expect(apiKeyService.isApiKey('mbl_0123456789abcdef')).toBe(true);
+      expect(apiKeyService.isApiKey('eyJhbGciOiJIUzI1NiJ9.payload.signature')).toBe(false);
+      expect(apiKeyService.isApiKey(undefined)).toBe(false);
+    });
+  });
+
+  describe('getRequiredScope', () => {
+    test('should map reads and writes to the resource scope', () => {
+      expect(apiKeyService.getRequiredScope('GET', '/api/bookings/my?limit=5'))
+        .toBe('bookings:read');
+      expect(apiKeyService.getRequiredScope('PUT', '/api/bookings/my/123/cancel'))
+        .toBe('bookings:write');
+      expect(apiKeyService.getRequiredScope('POST', '/api/event-types'))
+        .toBe('event_types:write');
+    });
+
+    test('should not grant access outside the scoped resources', () => {
+      expect(apiKeyService.getRequiredScope('GET', '/api/users/me/api-keys')).toBeNull();
+      expect(apiKeyService.getRequiredScope('GET', '/api/bookingsx')).toBeNull();
+      expect(apiKeyService.getRequiredScope('POST', '/api/analytics/export')).toBeNull();
+      expect(apiKeyService.getRequiredScope('PUT', '/api/teams/team-1/sso')).toBeNull();
+      expect(apiKeyService.getRequiredScope('GET', '/api/teams/team-1/sso')).toBeNull();
+      expect(apiKeyService.getRequiredScope('POST', '/api/teams/team-1/sso/domains/example.com/verify'))
+        .toBeNull();
+    });
+  });
+
+  describe('createApiKey', () => {
+    test('should store only a hash of the key', async () => {
+      ApiKey.create.mockImplementation((data) => Promise.resolve({ id: 'key-1', ...data }));
+
+      const { apiKey, key } = await apiKeyService.createApiKey('user-1', {
+        name: 'Scheduler',
+        scopes: ['bookings:read', 'bookings:read', 'availability:read']
+      });
+
+      expect(key).toMatch(/^mbl_[a-f0-9]{48}$/);
+      expect(ApiKey.create).toHaveBeenCalledWith({
+        userId: 'user-1',
+        name: 'Scheduler',
+        keyPrefix: key.substring(0, 12),
+        keyHash: sha256(key),
+        scopes: ['bookings:read', 'availability:read'],
+        rateLimit: 60,
+        expiresAt: null
+      });
+      expect(apiKey).not.toHaveProperty('keyHash');
+      expect(apiKey.key_prefix).toBe(key.substring(0, 12));
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        action: 'api_key.create'
+      }));
+    });
+
+    test('should reject unknown scopes', async () => {
+      await expect(apiKeyService.createApiKey('user-1', {
+        name: 'Scheduler',
+        scopes: ['bookings:read', 'payments:write']
+      })).rejects.toMatchObject({ statusCode: 400, field: 'scopes' });
+      expect(ApiKey.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject expiry dates in the past', async () => {
+      await expect(apiKeyService.createApiKey('user-1', {
+        name: 'Scheduler',
+        scopes: ['bookings:read'],
+        expiresAt: '2026-01-01T00:00:00Z'
+      }, new Date('2026-07-01T00:00:00Z'))).rejects.toMatchObject({ field: 'expires_at' });
+    });
+  });
+
+  describe('revokeApiKey', () => {
+    test('should delete the user\'s key', async () => {
+      const apiKey = { id: 'key-1', name: 'Scheduler', destroy: jest.fn() };
+      ApiKey.findOne.mockResolvedValue(apiKey);
+
+      await apiKeyService.revokeApiKey('user-1', 'key-1');
+
+      expect(ApiKey.findOne).toHaveBeenCalledWith({ where: { id: 'key-1', userId: 'user-1' } });
+      expect(apiKey.destroy).toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'api_key.revoke'
+      }));
+    });
+
+    test('should reject keys of other users', async () => {
+      ApiKey.findOne.mockResolvedValue(null);
+
+      await expect(apiKeyService.revokeApiKey('user-2', 'key-1'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('verifyApiKey', () => {
+    const now = new Date('2026-07-01T12:00:00Z');
+    const storedKey = (fields) => ({
+      id: 'key-1',
+      user: { id: 'user-1' },
+      expiresAt: null,
+      lastUsedAt: null,
+      update: jest.fn(),
+      ...fields
+    });
+
+    test('should look keys up by hash and record their use', async () => {
+      const apiKey = storedKey();
+      ApiKey.findOne.mockResolvedValue(apiKey);
+
+      await expect(apiKeyService.verifyApiKey('mbl_secret', now)).resolves.toBe(apiKey);
+      expect(ApiKey.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { keyHash: sha256('mbl_secret') }
+      }));
+      expect(apiKey.update).toHaveBeenCalledWith({ lastUsedAt: now });
+    });
+
+    test('should not record every request', async () => {
+      const apiKey = storedKey({ lastUsedAt: new Date('2026-07-01T11:59:30Z') });
+      ApiKey.findOne.mockResolvedValue(apiKey);
+
+      await apiKeyService.verifyApiKey('mbl_secret', now);
+
+      expect(apiKey.update).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown and expired keys', async () => {
+      ApiKey.findOne.mockResolvedValueOnce(null);
+      await expect(apiKeyService.verifyApiKey('mbl_unknown', now)).resolves.toBeNull();
+
+      ApiKey.findOne.mockResolvedValueOnce(storedKey({
+        expiresAt: new Date('2026-07-01T11:00:00Z')
+      }));
+      await expect(apiKeyService.verifyApiKey('mbl_secret', now)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,827 @@
+/**
+ * Availability service unit tests
+ *
+ * Tests for timezone-aware slot generation
+ *
+ * @author meetabl Team
+ */
+
+const mockRedisClient = {
+  get: jest.fn(),
+  set: jest.fn(),
+  scan: jest.fn(),
+  del: jest.fn()
+};
+
+jest.mock('../../../src/redis', () => ({
+  getClient: jest.fn(() => mockRedisClient)
+}));
+
+jest.mock('../../../src/services/calendar.service', () => ({
+  collectBusyTimes: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  AvailabilityRule: { findAll: jest.fn() },
+  AvailabilityOverride: { findOne: jest.fn(), findAll: jest.fn() },
+  Booking: { count: jest.fn(), findAll: jest.fn() }
+}));
+
+const { Op } = require('sequelize');
+const availabilityService = require('../../../src/services/availability.service');
+const calendarService = require('../../../src/services/calendar.service');
+const { AvailabilityRule, AvailabilityOverride, Booking } = require('../../../src/models');
+
+const rule = (startTime, endTime, extra = {}) => ({
+  startTime, endTime, bufferMinutes: 0, ...extra
+});
+
+const isoStarts = (slots) => slots.map((slot) => slot.start.toISOString());
+
+describe('Availability Service', () => {
+  describe('isValidTimezone', () => {
+    test('should accept IANA timezones', () => {
+      expect(availabilityService.isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(availabilityService.isValidTimezone('UTC')).toBe(true);
+    });
+
+    test('should reject unknown or empty timezones', () => {
+      expect(availabilityService.isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(availabilityService.isValidTimezone('')).toBe(false);
+      expect(availabilityService.isValidTimezone(undefined)).toBe(false);
+    });
+  });
+
+  describe('isValidDateString', () => {
+    test('should accept real calendar dates', () => {
+      expect(availabilityService.isValidDateString('2026-02-28')).toBe(true);
+      expect(availabilityService.isValidDateString('2028-02-29')).toBe(true);
+    });
+
+    test('should reject malformed or impossible dates', () => {
+      expect(availabilityService.isValidDateString('2026-02-30')).toBe(false);
+      expect(availabilityService.isValidDateString('2026-2-3')).toBe(false);
+      expect(availabilityService.isValidDateString(undefined)).toBe(false);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    test('should convert wall-clock time using the zone offset', () => {
+      expect(availabilityService.zonedTimeToUtc('2026-07-01', '09:00:00', 'Europe/Berlin').toISOString())
+        .toBe('2026-07-01T07:00:00.000Z');
+      expect(availabilityService.zonedTimeToUtc('2026-01-15', '09:00', 'America/New_York').toISOString())
+        .toBe('2026-01-15T14:00:00.000Z');
+    });
+
+    test('should push a skipped wall time forward past the gap', () => {
+      // Europe/Berlin jumps from 02:00 to 03:00 on 2026-03-29
+      expect(availabilityService.zonedTimeToUtc('2026-03-29', '02:30:00', 'Europe/Berlin').toISOString())
+        .toBe('2026-03-29T01:30:00.000Z');
+    });
+
+    test('should resolve a repeated wall time to its first occurrence', () => {
+      // Europe/Berlin repeats 02:00-03:00 on 2026-10-25
+      expect(availabilityService.zonedTimeToUtc('2026-10-25', '02:30:00', 'Europe/Berlin').toISOString())
+        .toBe('2026-10-25T00:30:00.000Z');
+    });
+  });
+
+  describe('getDayBounds', () => {
+    test('should return a 23 hour day on spring-forward', () => {
+      const { start, end } = availabilityService.getDayBounds('2026-03-29', 'Europe/Berlin');
+      expect(start.toISOString()).toBe('2026-03-28T23:00:00.000Z');
+      expect((end - start) / 3600000).toBe(23);
+    });
+
+    test('should return a 25 hour day on fall-back', () => {
+      const { start, end } = availabilityService.getDayBounds('2026-10-25', 'Europe/Berlin');
+      expect((end - start) / 3600000).toBe(25);
+    });
+  });
+
+  describe('listDates', () => {
+    test('should list dates inclusively across month ends', () => {
+      expect(availabilityService.listDates('2026-06-29', '2026-07-02'))
+        .toEqual(['2026-06-29', '2026-06-30', '2026-07-01', '2026-07-02']);
+    });
+  });
+
+  describe('getWeekBounds', () => {
+    test('should span Monday to Sunday in the host timezone', () => {
+      // 2026-07-01 is a Wednesday
+      const { start, end } = availabilityService.getWeekBounds('2026-07-01', 'America/New_York');
+      expect(start.toISOString()).toBe('2026-06-29T04:00:00.000Z');
+      expect(end.toISOString()).toBe('2026-07-06T04:00:00.000Z');
+    });
+
+    test('should treat Sunday as the end of the week', () => {
+      const { start } = availabilityService.getWeekBounds('2026-07-05', 'UTC');
+      expect(start.toISOString()).toBe('2026-06-29T00:00:00.000Z');
+    });
+  });
+
+  describe('applyOverride', () => {
+    const weekly = [
+      rule('09:00:00', '12:00:00', { bufferMinutes: 10, maxBookingsPerDay: 4 }),
+      rule('13:00:00', '17:00:00', { bufferMinutes: 5, maxBookingsPerDay: 2 })
+    ];
+
+    test('should keep the weekly rules without an override', () => {
+      expect(availabilityService.applyOverride(weekly, null)).toBe(weekly);
+    });
+
+    test('should block the day for an unavailable override', () => {
+      const override = { isUnavailable: true, windows: [] };
+      expect(availabilityService.applyOverride(weekly, override)).toEqual([]);
+    });
+
+    test('should replace the hours but keep the day buffer and cap', () => {
+      const rules = availabilityService.applyOverride(weekly, {
+        isUnavailable: false,
+        windows: [{ startTime: '18:00:00', endTime: '20:00:00' }]
+      });
+
+      expect(rules).toEqual([{
+        startTime: '18:00:00', endTime: '20:00:00', bufferMinutes: 10, maxBookingsPerDay: 2
+      }]);
+    });
+
+    test('should open a day that has no weekly rules', () => {
+      const rules = availabilityService.applyOverride([], {
+        isUnavailable: false,
+        windows: [{ startTime: '10:00:00', endTime: '11:00:00' }]
+      });
+
+      expect(rules).toEqual([{
+        startTime: '10:00:00', endTime: '11:00:00', bufferMinutes: 0, maxBookingsPerDay: null
+      }]);
+    });
+  });
+
+  describe('getRulesForDate', () => {
+    test('should load the weekday rules and the override for the date', async () => {
+      AvailabilityRule.findAll.mockResolvedValue([rule('09:00:00', '17:00:00')]);
+      AvailabilityOverride.findOne.mockResolvedValue({ isUnavailable: true, windows: [] });
+
+      const rules = await availabilityService.getRulesForDate('user-1', '2026-12-25');
+
+      expect(rules).toEqual([]);
+      expect(AvailabilityRule.findAll).toHaveBeenCalledWith({
+        where: { userId: 'user-1', dayOfWeek: 5 }
+      });
+      expect(AvailabilityOverride.findOne).toHaveBeenCalledWith({
+        where: { userId: 'user-1', date: '2026-12-25' }
+      });
+    });
+  });
+
+  describe('getRulesForDates', () => {
+    test('should load rules and overrides once and resolve each date', async () => {
+      AvailabilityRule.findAll.mockResolvedValue([
+        rule('09:00:00', '17:00:00', { dayOfWeek: 3 }),
+        rule('10:00:00', '12:00:00', { dayOfWeek: 4 })
+      ]);
+      AvailabilityOverride.findAll.mockResolvedValue([
+        { date: '2026-07-02', isUnavailable: true, windows: [] }
+      ]);
+
+      const rulesByDate = await availabilityService.getRulesForDates(
+        'user-1',
+        ['2026-07-01', '2026-07-02', '2026-07-03']
+      );
+
+      expect(rulesByDate['2026-07-01']).toHaveLength(1);
+      expect(rulesByDate['2026-07-02']).toEqual([]);
+      expect(rulesByDate['2026-07-03']).toEqual([]);
+      expect(AvailabilityRule.findAll).toHaveBeenCalledTimes(1);
+      expect(AvailabilityOverride.findAll).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('generateRuleSlots', () => {
+    test('should interpret rule times in the host timezone', () => {
+      const slots = availabilityService.generateRuleSlots('2026-07-01', rule('09:00:00', '11:00:00'), {
+        timezone: 'America/New_York',
+        duration: 60
+      });
+
+      expect(isoStarts(slots)).toEqual([
+        '2026-07-01T13:00:00.000Z',
+        '2026-07-01T14:00:00.000Z'
+      ]);
+    });
+
+    test('should keep slots at the same wall-clock time across a DST change', () => {
+      const options = { timezone: 'Europe/Berlin', duration: 60 };
+      const before = availabilityService.generateRuleSlots('2026-03-27', rule('09:00:00', '10:00:00'), options);
+      const after = availabilityService.generateRuleSlots('2026-03-30', rule('09:00:00', '10:00:00'), options);
+
+      expect(isoStarts(before)).toEqual(['2026-03-27T08:00:00.000Z']);
+      expect(isoStarts(after)).toEqual(['2026-03-30T07:00:00.000Z']);
+    });
+
+    test('should not produce slots inside a skipped hour', () => {
+      const slots = availabilityService.generateRuleSlots('2026-03-29', rule('01:00:00', '04:00:00'), {
+        timezone: 'Europe/Berlin',
+        duration: 60
+      });
+
+      // 01:00 CET, 03:00 CEST - the 02:00 hour does not exist
+      expect(isoStarts(slots)).toEqual([
+        '2026-03-29T00:00:00.000Z',
+        '2026-03-29T01:00:00.000Z'
+      ]);
+    });
+
+    test('should offer both occurrences of a repeated hour', () => {
+      const slots = availabilityService.generateRuleSlots('2026-10-25', rule('01:00:00', '04:00:00'), {
+        timezone: 'Europe/Berlin',
+        duration: 60
+      });
+
+      // 01:00 CEST, 02:00 CEST, 02:00 CET, 03:00 CET
+      expect(isoStarts(slots)).toEqual([
+        '2026-10-24T23:00:00.000Z',
+        '2026-10-25T00:00:00.000Z',
+        '2026-10-25T01:00:00.000Z',
+        '2026-10-25T02:00:00.000Z'
+      ]);
+    });
+
+    test('should space slots by the step when given', () => {
+      const slots = availabilityService.generateRuleSlots('2026-07-01', rule('09:00:00', '11:00:00'), {
+        timezone: 'UTC',
+        duration: 30,
+        step: 45
+      });
+
+      expect(isoStarts(slots)).toEqual([
+        '2026-07-01T09:00:00.000Z',
+        '2026-07-01T09:45:00.000Z',
+        '2026-07-01T10:30:00.000Z'
+      ]);
+    });
+  });
+
+  describe('computeDaySlots', () => {
+    test('should drop slots that overlap bookings or busy times', () => {
+      const slots = availabilityService.computeDaySlots({
+        date: '2026-07-01',
+        timezone: 'UTC',
+        rules: [rule('09:00:00', '13:00:00')],
+        duration: 60,
+        bookings: [{ startTime: '2026-07-01T10:00:00Z', endTime: '2026-07-01T11:00:00Z' }],
+        busyTimes: [{ start: new Date('2026-07-01T12:15:00Z'), end: new Date('2026-07-01T12:30:00Z') }]
+      });
+
+      expect(isoStarts(slots)).toEqual(['2026-07-01T09:00:00.000Z', '2026-07-01T11:00:00.000Z']);
+    });
+
+    test('should apply the rule buffer around bookings', () => {
+      const slots = availabilityService.computeDaySlots({
+        date: '2026-07-01',
+        timezone: 'UTC',
+        rules: [rule('09:00:00', '12:00:00', { bufferMinutes: 15 })],
+        duration: 60,
+        bookings: [{ startTime: '2026-07-01T10:00:00Z', endTime: '2026-07-01T11:00:00Z' }]
+      });
+
+      expect(slots).toHaveLength(0);
+    });
+
+    test('should drop slots before notBefore and de-duplicate overlapping rules', () => {
+      const slots = availabilityService.computeDaySlots({
+        date: '2026-07-01',
+        timezone: 'UTC',
+        rules: [rule('09:00:00', '11:00:00'), rule('10:00:00', '12:00:00')],
+        duration: 60,
+        notBefore: new Date('2026-07-01T09:30:00Z')
+      });
+
+      expect(isoStarts(slots)).toEqual(['2026-07-01T10:00:00.000Z', '2026-07-01T11:00:00.000Z']);
+    });
+  });
+
+  describe('isSlotOpen', () => {
+    const slotAt = (start, minutes = 60) => ({
+      start: new Date(start),
+      end: new Date(new Date(start).getTime() + minutes * 60000)
+    });
+
+    test('should accept a free slot inside a rule window, off the rule grid', () => {
+      expect(availabilityService.isSlotOpen({
+        slot: slotAt('2026-07-01T09:30:00Z'),
+        date: '2026-07-01',
+        timezone: 'UTC',
+        rules: [rule('09:00:00', '12:00:00')]
+      })).toBe(true);
+    });
+
+    test('should reject slots outside the rule windows or the booking window', () => {
+      const params = {
+        date: '2026-07-01',
+        timezone: 'UTC',
+        rules: [rule('09:00:00', '12:00:00')]
+      };
+
+      expect(availabilityService.isSlotOpen({
+        ...params,
+        slot: slotAt('2026-07-01T11:30:00Z')
+      })).toBe(false);
+      expect(availabilityService.isSlotOpen({
+        ...params,
+        slot: slotAt('2026-07-01T09:00:00Z'),
+        notBefore: new Date('2026-07-01T09:30:00Z')
+      })).toBe(false);
+    });
+
+    test('should reject slots within the buffer of a booking or busy time', () => {
+      const params = {
+        date: '2026-07-01',
+        timezone: 'UTC',
+        rules: [rule('09:00:00', '14:00:00')],
+        bookings: [{ startTime: '2026-07-01T10:00:00Z', endTime: '2026-07-01T11:00:00Z' }],
+        busyTimes: [{ start: new Date('2026-07-01T13:30:00Z'), end: new Date('2026-07-01T14:00:00Z') }]
+      };
+
+      expect(availabilityService.isSlotOpen({
+        ...params,
+        slot: slotAt('2026-07-01T11:00:00Z')
+      })).toBe(true);
+      expect(availabilityService.isSlotOpen({
+        ...params,
+        slot: slotAt('2026-07-01T11:00:00Z'),
+        bufferBefore: 15
+      })).toBe(false);
+      expect(availabilityService.isSlotOpen({
+        ...params,
+        slot: slotAt('2026-07-01T13:00:00Z')
+      })).toBe(false);
+    });
+  });
+
+  describe('event-type constraints', () => {
+    const now = new Date('2026-07-01T08:00:00Z');
+    const eventType = {
+      bufferBefore: 15,
+      bufferAfter: 30,
+      minimumNotice: 60,
+      maximumAdvance: 1440
+    };
+
+    test('should apply event-type buffers on the correct side of bookings', () => {
+      const slots = availabilityService.computeDaySlots({
+        date: '2026-07-01',
+        timezone: 'UTC',
+        rules: [rule('09:00:00', '14:00:00')],
+        duration: 60,
+        bookings: [{ startTime: '2026-07-01T11:00:00Z', endTime: '2026-07-01T12:00:00Z' }],
+        bufferBefore: 15,
+        bufferAfter: 30
+      });
+
+      // 10:00 ends right at the booking, but needs 30 minutes after it;
+      // 12:00 starts right after the booking, but needs 15 minutes before it
+      expect(isoStarts(slots)).toEqual(['2026-07-01T09:00:00.000Z', '2026-07-01T13:00:00.000Z']);
+    });
+
+    test('should default to two hours notice and no maximum advance without an event type', () => {
+      expect(availabilityService.getBookingConstraints()).toEqual({
+        bufferBefore: 0,
+        bufferAfter: 0,
+        minimumNotice: 120,
+        maximumAdvance: null
+      });
+    });
+
+    test('should drop slots outside the minimum notice and maximum advance window', () => {
+      const window = availabilityService.getBookingWindow(
+        availabilityService.getBookingConstraints(eventType),
+        now
+      );
+
+      const today = availabilityService.computeDaySlots({
+        date: '2026-07-01',
+        timezone: 'UTC',
+        rules: [rule('08:00:00', '11:00:00')],
+        duration: 60,
+        ...window
+      });
+      const tomorrow = availabilityService.computeDaySlots({
+        date: '2026-07-02',
+        timezone: 'UTC',
+        rules: [rule('07:00:00', '10:00:00')],
+        duration: 60,
+        ...window
+      });
+
+      expect(isoStarts(today)).toEqual(['2026-07-01T09:00:00.000Z', '2026-07-01T10:00:00.000Z']);
+      expect(isoStarts(tomorrow)).toEqual(['2026-07-02T07:00:00.000Z', '2026-07-02T08:00:00.000Z']);
+    });
+
+    test('should reject start times outside the booking window', () => {
+      const constraints = availabilityService.getBookingConstraints(eventType);
+
+      expect(availabilityService.checkBookingWindow(new Date('2026-07-01T08:30:00Z'), constraints, now))
+        .toBe('Bookings require at least 1 hour notice');
+      expect(availabilityService.checkBookingWindow(new Date('2026-07-02T09:00:00Z'), constraints, now))
+        .toBe('Bookings can only be made up to 1 day in advance');
+      expect(availabilityService.checkBookingWindow(new Date('2026-07-01T12:00:00Z'), constraints, now))
+        .toBeNull();
+    });
+  });
+
+  describe('getBookingLimitReason', () => {
+    const params = {
+      userId: 'user-1',
+      date: '2026-07-01',
+      timezone: 'UTC'
+    };
+
+    beforeEach(() => {
+      Booking.count.mockReset();
+    });
+
+    test('should apply the lowest daily cap of the day rules to all bookings', async () => {
+      Booking.count.mockResolvedValue(2);
+
+      const reason = await availabilityService.getBookingLimitReason({
+        ...params,
+        rules: [rule('09:00:00', '12:00:00', { maxBookingsPerDay: 5 }),
+          rule('13:00:00', '17:00:00', { maxBookingsPerDay: 2 })]
+      });
+
+      expect(reason).toBe('The daily booking limit has been reached');
+      expect(Booking.count).toHaveBeenCalledWith({
+        where: expect.objectContaining({ userId: 'user-1' })
+      });
+      expect(Booking.count.mock.calls[0][0].where[Op.or]).toEqual([
+        { status: 'confirmed' },
+        { status: 'pending_payment', paymentExpiresAt: { [Op.gt]: expect.any(Date) } }
+      ]);
+      expect(Booking.count.mock.calls[0][0].where.eventTypeId).toBeUndefined();
+    });
+
+    test('should allow bookings when no caps are set', async () => {
+      const reason = await availabilityService.getBookingLimitReason({
+        ...params,
+        rules: [rule('09:00:00', '12:00:00')],
+        eventType: { id: 'type-1' }
+      });
+
+      expect(reason).toBeNull();
+      expect(Booking.count).not.toHaveBeenCalled();
+    });
+
+    test('should count only bookings of the event type against its daily cap', async () => {
+      Booking.count.mockResolvedValue(3);
+
+      const reason = await availabilityService.getBookingLimitReason({
+        ...params,
+        eventType: { id: 'type-1', maxBookingsPerDay: 3 }
+      });
+
+      expect(reason).toBe('The daily limit for this event type has been reached');
+      expect(Booking.count.mock.calls[0][0].where.eventTypeId).toBe('type-1');
+    });
+
+    test('should apply the weekly cap over the whole week', async () => {
+      Booking.count.mockResolvedValueOnce(1).mockResolvedValueOnce(10);
+
+      const reason = await availabilityService.getBookingLimitReason({
+        ...params,
+        eventType: { id: 'type-1', maxBookingsPerDay: 3, maxBookingsPerWeek: 10 }
+      });
+
+      expect(reason).toBe('The weekly limit for this event type has been reached');
+      const weekWhere = Booking.count.mock.calls[1][0].where;
+      expect(Object.getOwnPropertySymbols(weekWhere.startTime).map((op) => weekWhere.startTime[op]))
+        .toEqual([new Date('2026-06-29T00:00:00Z'), new Date('2026-07-06T00:00:00Z')]);
+    });
+
+    test('should allow bookings below every cap', async () => {
+      Booking.count.mockResolvedValue(1);
+
+      const reason = await availabilityService.getBookingLimitReason({
+        ...params,
+        rules: [rule('09:00:00', '12:00:00', { maxBookingsPerDay: 4 })],
+        eventType: { id: 'type-1', maxBookingsPerDay: 3, maxBookingsPerWeek: 10 }
+      });
+
+      expect(reason).toBeNull();
+      expect(Booking.count).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('computeRangeSlots', () => {
+    const dates = ['2026-07-01', '2026-07-02', '2026-07-03'];
+    const rulesByDate = {
+      '2026-07-01': [rule('09:00:00', '11:00:00')],
+      '2026-07-02': [rule('09:00:00', '11:00:00')],
+      '2026-07-03': []
+    };
+
+    test('should return each day with its own slots', async () => {
+      const days = await availabilityService.computeRangeSlots({
+        dates,
+        timezone: 'UTC',
+        rulesByDate,
+        duration: 60,
+        bookings: [{ startTime: '2026-07-02T09:00:00Z', endTime: '2026-07-02T10:00:00Z' }]
+      });
+
+      expect(days.map((day) => [day.date, isoStarts(day.slots)])).toEqual([
+        ['2026-07-01', ['2026-07-01T09:00:00.000Z', '2026-07-01T10:00:00.000Z']],
+        ['2026-07-02', ['2026-07-02T10:00:00.000Z']],
+        ['2026-07-03', []]
+      ]);
+    });
+
+    test('should apply buffers of bookings on the neighbouring day', async () => {
+      const days = await availabilityService.computeRangeSlots({
+        dates: ['2026-07-02'],
+        timezone: 'UTC',
+        rulesByDate: { '2026-07-02': [rule('00:00:00', '02:00:00')] },
+        duration: 60,
+        bookings: [{ startTime: '2026-07-01T23:00:00Z', endTime: '2026-07-01T23:30:00Z' }],
+        bufferBefore: 45
+      });
+
+      expect(isoStarts(days[0].slots)).toEqual(['2026-07-02T01:00:00.000Z']);
+    });
+
+    test('should skip dates that are not open', async () => {
+      const days = await availabilityService.computeRangeSlots({
+        dates,
+        timezone: 'UTC',
+        rulesByDate,
+        duration: 60,
+        isDateOpen: (date) => date <= '2026-07-01'
+      });
+
+      expect(days.map((day) => day.slots.length)).toEqual([2, 0, 0]);
+    });
+
+    test('should count weekly caps across the whole week from loaded bookings', async () => {
+      const eventType = { id: 'type-1', maxBookingsPerWeek: 2 };
+      const days = await availabilityService.computeRangeSlots({
+        dates,
+        timezone: 'UTC',
+        rulesByDate,
+        duration: 60,
+        eventType,
+        bookings: [
+          // Monday and Tuesday of the same week, before the range
+          { startTime: '2026-06-29T09:00:00Z', endTime: '2026-06-29T10:00:00Z', eventTypeId: 'type-1' },
+          { startTime: '2026-06-30T09:00:00Z', endTime: '2026-06-30T10:00:00Z', eventTypeId: 'type-1' }
+        ]
+      });
+
+      expect(days[0]).toEqual({
+        date: '2026-07-01',
+        slots: [],
+        limitReason: 'The weekly limit for this event type has been reached'
+      });
+      expect(Booking.count).not.toHaveBeenCalled();
+    });
+
+    test('should apply the rule daily cap per day', async () => {
+      const days = await availabilityService.computeRangeSlots({
+        dates: ['2026-07-01', '2026-07-02'],
+        timezone: 'UTC',
+        rulesByDate: {
+          '2026-07-01': [rule('09:00:00', '12:00:00', { maxBookingsPerDay: 1 })],
+          '2026-07-02': [rule('09:00:00', '12:00:00', { maxBookingsPerDay: 1 })]
+        },
+        duration: 60,
+        bookings: [{ startTime: '2026-07-01T09:00:00Z', endTime: '2026-07-01T10:00:00Z' }]
+      });
+
+      expect(days[0].limitReason).toBe('The daily booking limit has been reached');
+      expect(days[1].slots).toHaveLength(3);
+    });
+  });
+
+  describe('formatSlot', () => {
+    const slot = {
+      start: new Date('2026-07-01T13:00:00Z'),
+      end: new Date('2026-07-01T14:00:00Z')
+    };
+
+    test('should return UTC ISO strings', () => {
+      expect(availabilityService.formatSlot(slot)).toEqual({
+        start: '2026-07-01T13:00:00.000Z',
+        end: '2026-07-01T14:00:00.000Z'
+      });
+    });
+
+    test('should add local times for a display timezone', () => {
+      expect(availabilityService.formatSlot(slot, 'Asia/Tokyo')).toEqual({
+        start: '2026-07-01T13:00:00.000Z',
+        end: '2026-07-01T14:00:00.000Z',
+        local_start: '2026-07-01T22:00:00+09:00',
+        local_end: '2026-07-01T23:00:00+09:00',
+        timezone: 'Asia/Tokyo'
+      });
+    });
+  });
+
+  describe('loadHostRange', () => {
+    test('should load rules, bookings of the touched weeks and busy times for the range', async () => {
+      const booking = { startTime: '2026-07-01T10:00:00Z', endTime: '2026-07-01T11:00:00Z' };
+      AvailabilityRule.findAll.mockResolvedValue([{ ...rule('09:00:00', '17:00:00'), dayOfWeek: 3 }]);
+      AvailabilityOverride.findAll.mockResolvedValue([]);
+      Booking.findAll.mockResolvedValue([booking]);
+      calendarService.collectBusyTimes.mockResolvedValue({ busyTimes: [], failures: [] });
+
+      const range = await availabilityService.loadHostRange(
+        'user-1',
+        'UTC',
+        '2026-07-01',
+        '2026-07-02'
+      );
+
+      expect(range.dates).toEqual(['2026-07-01', '2026-07-02']);
+      expect(Object.keys(range.rulesByDate)).toEqual(['2026-07-01', '2026-07-02']);
+      expect(range.bookings).toEqual([booking]);
+      expect(range).toMatchObject({ busyTimes: [], degraded: false, failedProviders: [] });
+
+      // Monday 2026-06-29 to Monday 2026-07-06, widened by a day either side
+      const { where } = Booking.findAll.mock.calls[0][0];
+      expect(where.userId).toBe('user-1');
+      expect(where.startTime[Op.lt]).toEqual(new Date('2026-07-07T00:00:00Z'));
+      expect(where.endTime[Op.gt]).toEqual(new Date('2026-06-28T00:00:00Z'));
+    });
+  });
+
+  describe('getSlotConflictReason', () => {
+    const slot = {
+      start: new Date('2026-07-01T10:00:00Z'),
+      end: new Date('2026-07-01T11:00:00Z')
+    };
+
+    beforeEach(() => {
+      AvailabilityRule.findAll.mockResolvedValue([
+        { ...rule('09:00:00', '17:00:00', { maxBookingsPerDay: 2 }), dayOfWeek: 3 }
+      ]);
+      AvailabilityOverride.findAll.mockResolvedValue([]);
+      calendarService.collectBusyTimes.mockResolvedValue({ busyTimes: [], failures: [] });
+    });
+
+    test('should ignore the booking being moved', async () => {
+      Booking.findAll.mockResolvedValue([
+        { id: 'booking-1', startTime: '2026-07-01T10:30:00Z', endTime: '2026-07-01T11:30:00Z' },
+        { id: 'booking-2', startTime: '2026-07-01T14:00:00Z', endTime: '2026-07-01T15:00:00Z' }
+      ]);
+
+      await expect(availabilityService.getSlotConflictReason({
+        userId: 'user-1', timezone: 'UTC', slot, excludeBookingId: 'booking-1'
+      })).resolves.toBeNull();
+
+      await expect(availabilityService.getSlotConflictReason({
+        userId: 'user-1', timezone: 'UTC', slot
+      })).resolves.toBe('The daily booking limit has been reached');
+    });
+
+    test('should reject slots that overlap another booking or fall outside the rules', async () => {
+      Booking.findAll.mockResolvedValue([
+        { id: 'booking-2', startTime: '2026-07-01T10:30:00Z', endTime: '2026-07-01T11:30:00Z' }
+      ]);
+
+      await expect(availabilityService.getSlotConflictReason({
+        userId: 'user-1', timezone: 'UTC', slot, excludeBookingId: 'booking-1'
+      })).resolves.toBe('Time slot is not available');
+
+      await expect(availabilityService.getSlotConflictReason({
+        userId: 'user-1',
+        timezone: 'UTC',
+        slot: { start: new Date('2026-07-01T17:00:00Z'), end: new Date('2026-07-01T18:00:00Z') }
+      })).resolves.toBe('Time slot is not available');
+    });
+  });
+
+  describe('getBusyTimesForDay', () => {
+    const busy = { start: new Date('2026-07-01T10:00:00Z'), end: new Date('2026-07-01T11:00:00Z') };
+
+    beforeEach(() => {
+      process.env.USE_REDIS = 'true';
+      mockRedisClient.get.mockResolvedValue(null);
+      mockRedisClient.set.mockResolvedValue('OK');
+    });
+
+    afterEach(() => {
+      delete process.env.USE_REDIS;
+    });
+
+    test('should query calendars for the host day and cache complete results', async () => {
+      calendarService.collectBusyTimes.mockResolvedValue({ busyTimes: [busy], failures: [] });
+
+      const result = await availabilityService.getBusyTimesForDay('user-1', '2026-07-01', 'Europe/Berlin');
+
+      expect(result).toEqual({ busyTimes: [busy], degraded: false, failedProviders: [] });
+      expect(calendarService.collectBusyTimes).toHaveBeenCalledWith(
+        'user-1',
+        new Date('2026-06-30T22:00:00Z'),
+        new Date('2026-07-01T22:00:00Z')
+      );
+      expect(mockRedisClient.set).toHaveBeenCalledWith(
+        'meetabl:busy:user-1:2026-07-01',
+        JSON.stringify([busy]),
+        'EX',
+        300
+      );
+    });
+
+    test('should serve cached busy times without calling providers', async () => {
+      mockRedisClient.get.mockResolvedValue(JSON.stringify([busy]));
+
+      const result = await availabilityService.getBusyTimesForDay('user-1', '2026-07-01', 'UTC');
+
+      expect(result.busyTimes).toEqual([busy]);
+      expect(calendarService.collectBusyTimes).not.toHaveBeenCalled();
+    });
+
+    test('should flag partial results and not cache them', async () => {
+      calendarService.collectBusyTimes.mockResolvedValue({
+        busyTimes: [busy],
+        failures: [{ provider: 'microsoft', error: 'invalid_grant' }]
+      });
+
+      const result = await availabilityService.getBusyTimesForDay('user-1', '2026-07-01', 'UTC');
+
+      expect(result).toEqual({ busyTimes: [busy], degraded: true, failedProviders: ['microsoft'] });
+      expect(mockRedisClient.set).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to no busy times when the lookup fails', async () => {
+      calendarService.collectBusyTimes.mockRejectedValue(new Error('database unavailable'));
+
+      const result = await availabilityService.getBusyTimesForDay('user-1', '2026-07-01', 'UTC');
+
+      expect(result).toEqual({ busyTimes: [], degraded: true, failedProviders: [] });
+    });
+
+    test('should cache range lookups under the whole range', async () => {
+      calendarService.collectBusyTimes.mockResolvedValue({ busyTimes: [], failures: [] });
+
+      await availabilityService.getBusyTimesForRange('user-1', '2026-07-01', '2026-07-31', 'UTC');
+
+      expect(calendarService.collectBusyTimes).toHaveBeenCalledWith(
+        'user-1',
+        new Date('2026-07-01T00:00:00Z'),
+        new Date('2026-08-01T00:00:00Z')
+      );
+      expect(mockRedisClient.set.mock.calls[0][0]).toBe('meetabl:busy:user-1:2026-07-01_2026-07-31');
+    });
+
+    test('should skip the cache when Redis is disabled', async () => {
+      delete process.env.USE_REDIS;
+      calendarService.collectBusyTimes.mockResolvedValue({ busyTimes: [], failures: [] });
+
+      await availabilityService.getBusyTimesForDay('user-1', '2026-07-01', 'UTC');
+
+      expect(mockRedisClient.get).not.toHaveBeenCalled();
+      expect(mockRedisClient.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('clearBusyCache', () => {
+    beforeEach(() => {
+      process.env.USE_REDIS = 'true';
+    });
+
+    afterEach(() => {
+      delete process.env.USE_REDIS;
+    });
+
+    test('should delete every cached period of the host', async () => {
+      mockRedisClient.scan
+        .mockResolvedValueOnce(['7', ['meetabl:busy:user-1:2026-07-01']])
+        .mockResolvedValueOnce(['0', ['meetabl:busy:user-1:2026-07-01_2026-07-31']]);
+
+      await availabilityService.clearBusyCache('user-1');
+
+      expect(mockRedisClient.scan).toHaveBeenCalledWith('0', 'MATCH', 'meetabl:busy:user-1:*', 'COUNT', 100);
+      expect(mockRedisClient.scan).toHaveBeenLastCalledWith('7', 'MATCH', 'meetabl:busy:user-1:*', 'COUNT', 100);
+      expect(mockRedisClient.del).toHaveBeenCalledWith(
+        'meetabl:busy:user-1:2026-07-01',
+        'meetabl:busy:user-1:2026-07-01_2026-07-31'
+      );
+    });
+
+    test('should not fail when Redis is unavailable', async () => {
+      mockRedisClient.scan.mockRejectedValue(new Error('Connection is closed'));
+
+      await expect(availabilityService.clearBusyCache('user-1')).resolves.toBeUndefined();
+      expect(mockRedisClient.del).not.toHaveBeenCalled();
+    });
+
+    test('should do nothing when Redis is disabled', async () => {
+      delete process.env.USE_REDIS;
+
+      await availabilityService.clearBusyCache('user-1');
+
+      expect(mockRedisClient.scan).not.toHaveBeenCalled();
+    });
+  });
+});
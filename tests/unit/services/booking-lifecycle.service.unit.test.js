@@ -0,0 +1,153 @@
+/**
+ * Booking lifecycle service unit tests
+ *
+ * Tests the follow-ups of cancelled and rescheduled bookings and their
+ * collective booking groups
+ *
+ * @author meetabl Team
+ */
+
+jest.mock('../../../src/models', () => ({
+  Booking: { findAll: jest.fn() },
+  User: { findAll: jest.fn() }
+}));
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../../src/services/notification.service', () => ({
+  queueNotification: jest.fn(),
+  sendHostPushNotification: jest.fn(),
+  cancelReminders: jest.fn(),
+  scheduleReminders: jest.fn()
+}));
+jest.mock('../../../src/services/calendar.service', () => ({
+  queueCalendarSync: jest.fn()
+}));
+jest.mock('../../../src/services/outbound-webhook.service', () => ({
+  emitEvent: jest.fn(),
+  serializeBooking: jest.fn((booking) => ({ id: booking.id }))
+}));
+jest.mock('../../../src/services/booking-payment.service', () => ({
+  refundBookingPayment: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const bookingLifecycleService = require('../../../src/services/booking-lifecycle.service');
+const { Booking, User } = require('../../../src/models');
+const notificationService = require('../../../src/services/notification.service');
+const calendarService = require('../../../src/services/calendar.service');
+const outboundWebhookService = require('../../../src/services/outbound-webhook.service');
+const bookingPaymentService = require('../../../src/services/booking-payment.service');
+
+describe('Booking Lifecycle Service', () => {
+  const leadBooking = { id: 'booking-1', userId: 'host-1', parentBookingId: null };
+  const coHostBooking = { id: 'booking-2', userId: 'host-2', parentBookingId: 'booking-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('completeCancellation', () => {
+    test('should email and refund the invitee and clean up after the booking', async () => {
+      const host = { id: 'host-1' };
+
+      await bookingLifecycleService.completeCancellation(leadBooking, { host, refund: true });
+
+      expect(bookingPaymentService.refundBookingPayment).toHaveBeenCalledWith(leadBooking);
+      expect(notificationService.queueNotification).toHaveBeenCalledWith('booking-1', 'email');
+      expect(outboundWebhookService.emitEvent).toHaveBeenCalledWith(
+        'host-1',
+        'booking.cancelled',
+        { booking: { id: 'booking-1' } }
+      );
+      expect(notificationService.sendHostPushNotification).toHaveBeenCalledWith({
+        host, event: 'booking_cancelled', booking: leadBooking
+      });
+      expect(notificationService.cancelReminders).toHaveBeenCalledWith('booking-1');
+      expect(calendarService.queueCalendarSync).toHaveBeenCalledWith(leadBooking);
+    });
+
+    test('should leave the invitee email and refund to the lead booking', async () => {
+      await bookingLifecycleService.completeCancellation(coHostBooking, { refund: true });
+
+      expect(bookingPaymentService.refundBookingPayment).not.toHaveBeenCalled();
+      expect(notificationService.queueNotification).not.toHaveBeenCalled();
+      expect(calendarService.queueCalendarSync).toHaveBeenCalledWith(coHostBooking);
+    });
+
+    test('should keep going when a follow-up fails', async () => {
+      bookingPaymentService.refundBookingPayment.mockRejectedValue(new Error('Stripe down'));
+
+      await bookingLifecycleService.completeCancellation(leadBooking, { refund: true });
+
+      expect(notificationService.queueNotification).toHaveBeenCalled();
+      expect(calendarService.queueCalendarSync).toHaveBeenCalled();
+    });
+  });
+
+  describe('findGroupBookings', () => {
+    test('should find the lead and the other co-host bookings of a group', async () => {
+      Booking.findAll.mockResolvedValue([leadBooking]);
+      const transaction = {};
+
+      await expect(bookingLifecycleService.findGroupBookings(coHostBooking, transaction))
+        .resolves.toEqual([leadBooking]);
+
+      const { where, transaction: used } = Booking.findAll.mock.calls[0][0];
+      expect(where[Op.or]).toEqual([{ id: 'booking-1' }, { parentBookingId: 'booking-1' }]);
+      expect(used).toBe(transaction);
+    });
+  });
+
+  describe('completeGroupCancellation', () => {
+    test('should let each co-host know their booking was cancelled', async () => {
+      const coHost = { id: 'host-2' };
+      User.findAll.mockResolvedValue([coHost]);
+
+      await bookingLifecycleService.completeGroupCancellation([coHostBooking], { refund: true });
+
+      expect(notificationService.sendHostPushNotification).toHaveBeenCalledWith({
+        host: coHost, event: 'booking_cancelled', booking: coHostBooking
+      });
+      expect(outboundWebhookService.emitEvent).toHaveBeenCalledWith(
+        'host-2',
+        'booking.cancelled',
+        { booking: { id: 'booking-2' } }
+      );
+    });
+
+    test('should not look up hosts for a booking without a group', async () => {
+      await bookingLifecycleService.completeGroupCancellation([]);
+
+      expect(User.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('completeGroupReschedule', () => {
+    test('should move the co-hosts\' events and let them know', async () => {
+      const coHost = { id: 'host-2' };
+      const previous = {
+        startTime: new Date('2026-11-02T09:00:00Z'),
+        endTime: new Date('2026-11-02T09:30:00Z')
+      };
+      User.findAll.mockResolvedValue([coHost]);
+
+      await bookingLifecycleService.completeGroupReschedule([coHostBooking], previous);
+
+      expect(outboundWebhookService.emitEvent).toHaveBeenCalledWith('host-2', 'booking.rescheduled', {
+        booking: {
+          id: 'booking-2',
+          previous_start_time: previous.startTime,
+          previous_end_time: previous.endTime
+        }
+      });
+      expect(notificationService.scheduleReminders).not.toHaveBeenCalled();
+      expect(calendarService.queueCalendarSync).toHaveBeenCalledWith(coHostBooking);
+      expect(notificationService.sendHostPushNotification).toHaveBeenCalledWith({
+        host: coHost, event: 'booking_rescheduled', booking: coHostBooking
+      });
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Booking payment service unit tests
+ *
+ * Tests for holding paid bookings and settling them from Stripe payments
+ *
+ * @author meetabl Team
+ */
+
+const { Op } = require('sequelize');
+
+jest.mock('../../../src/models', () => ({
+  Booking: { findByPk: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  Payment: { findOne: jest.fn(), findAll: jest.fn() },
+  User: {},
+  AuditLog: { create: jest.fn() }
+}));
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../../src/services/payment.service', () => ({
+  confirmPayment: jest.fn(),
+  processRefund: jest.fn(),
+  cancelPaymentIntent: jest.fn()
+}));
+jest.mock('../../../src/services/notification.service', () => ({
+  sendBookingConfirmationToCustomer: jest.fn(),
+  sendBookingNotificationToHost: jest.fn(),
+  sendHostPushNotification: jest.fn(),
+  scheduleReminders: jest.fn()
+}));
+jest.mock('../../../src/services/calendar.service', () => ({
+  createCalendarEvent: jest.fn()
+}));
+jest.mock('../../../src/services/outbound-webhook.service', () => ({
+  emitEvent: jest.fn(),
+  serializeBooking: jest.fn((booking) => ({ id: booking.id }))
+}));
+
+const bookingPaymentService = require('../../../src/services/booking-payment.service');
+const paymentService = require('../../../src/services/payment.service');
+const notificationService = require('../../../src/services/notification.service');
+const outboundWebhookService = require('../../../src/services/outbound-webhook.service');
+const { Booking, Payment, AuditLog } = require('../../../src/models');
+
+describe('Booking Payment Service', () => {
+  const host = { id: 'host-1', email: 'host@example.com' };
+  const payment = {
+    id: 'payment-1', booking_id: 'booking-1', amount: '30.00', currency: 'USD'
+  };
+
+  const heldBooking = (overrides = {}) => {
+    const booking = {
+      id: 'booking-1',
+      userId: 'host-1',
+      status: 'pending_payment',
+      startTime: new Date('2030-07-01T10:00:00Z'),
+      endTime: new Date('2030-07-01T11:00:00Z'),
+      paymentExpiresAt: new Date(Date.now() + 5 * 60 * 1000),
+      user: host,
+      ...overrides
+    };
+    booking.update = jest.fn(async (fields) => Object.assign(booking, fields));
+    return booking;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    paymentService.confirmPayment.mockResolvedValue({ payment, invoice: {} });
+    Payment.findOne.mockResolvedValue(payment);
+    paymentService.processRefund.mockResolvedValue({ refund_id: 're_1', amount: 30 });
+  });
+
+  describe('getPaymentHoldExpiry', () => {
+    const originalHold = process.env.BOOKING_PAYMENT_HOLD_MINUTES;
+
+    afterEach(() => {
+      if (originalHold === undefined) {
+        delete process.env.BOOKING_PAYMENT_HOLD_MINUTES;
+      } else {
+        process.env.BOOKING_PAYMENT_HOLD_MINUTES = originalHold;
+      }
+    });
+
+    test('should hold slots for 15 minutes by default', () => {
+      delete process.env.BOOKING_PAYMENT_HOLD_MINUTES;
+      const now = new Date('2030-07-01T09:00:00Z');
+
+      expect(bookingPaymentService.getPaymentHoldExpiry(now)).toEqual(new Date('2030-07-01T09:15:00Z'));
+    });
+
+    test('should use the configured hold', () => {
+      process.env.BOOKING_PAYMENT_HOLD_MINUTES = '30';
+      const now = new Date('2030-07-01T09:00:00Z');
+
+      expect(bookingPaymentService.getPaymentHoldExpiry(now)).toEqual(new Date('2030-07-01T09:30:00Z'));
+    });
+  });
+
+  describe('confirmBookingPayment', () => {
+    test('should confirm a held booking and announce it', async () => {
+      const booking = heldBooking();
+      Booking.findByPk.mockResolvedValue(booking);
+
+      const result = await bookingPaymentService.confirmBookingPayment('pi_1');
+
+      expect(paymentService.confirmPayment).toHaveBeenCalledWith('pi_1', { issueInvoice: true });
+      expect(booking.update).toHaveBeenCalledWith({ status: 'confirmed', paymentExpiresAt: null });
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'host-1',
+        action: 'booking.payment_confirmed',
+        metadata: expect.objectContaining({ bookingId: 'booking-1', paymentId: 'payment-1' })
+      }));
+      expect(notificationService.sendBookingConfirmationToCustomer)
+        .toHaveBeenCalledWith({ booking, host });
+      expect(outboundWebhookService.emitEvent)
+        .toHaveBeenCalledWith('host-1', 'booking.created', { booking: { id: 'booking-1' } });
+      expect(notificationService.scheduleReminders).toHaveBeenCalledWith('booking-1');
+      expect(paymentService.processRefund).not.toHaveBeenCalled();
+      expect(result).toEqual({ bookingId: 'booking-1', status: 'confirmed' });
+    });
+
+    test('should refund payments for released bookings', async () => {
+      const booking = heldBooking({ status: 'cancelled' });
+      Booking.findByPk.mockResolvedValue(booking);
+
+      const result = await bookingPaymentService.confirmBookingPayment('pi_1');
+
+      expect(paymentService.confirmPayment).toHaveBeenCalledWith('pi_1', { issueInvoice: false });
+      expect(paymentService.processRefund).toHaveBeenCalledWith('payment-1');
+      expect(booking.update).not.toHaveBeenCalled();
+      expect(notificationService.sendBookingConfirmationToCustomer).not.toHaveBeenCalled();
+      expect(result).toEqual({ bookingId: 'booking-1', status: 'refunded', refundId: 're_1' });
+    });
+
+    test('should not refund a late payment twice', async () => {
+      Booking.findByPk.mockResolvedValue(heldBooking({ status: 'cancelled' }));
+      paymentService.confirmPayment.mockResolvedValue({
+        payment: { ...payment, status: 'refunded' }, invoice: null
+      });
+
+      const result = await bookingPaymentService.confirmBookingPayment('pi_1');
+
+      expect(paymentService.processRefund).not.toHaveBeenCalled();
+      expect(result).toEqual({ bookingId: 'booking-1', status: 'refunded' });
+    });
+
+    test('should release and refund an expired hold whose slot was taken', async () => {
+      const booking = heldBooking({ paymentExpiresAt: new Date(Date.now() - 60 * 1000) });
+      Booking.findByPk.mockResolvedValue(booking);
+      Booking.findOne.mockResolvedValue({ id: 'booking-2' });
+
+      const result = await bookingPaymentService.confirmBookingPayment('pi_1');
+
+      expect(Booking.findOne.mock.calls[0][0].where.id).toEqual({ [Op.ne]: 'booking-1' });
+      expect(booking.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'cancelled' }));
+      expect(paymentService.processRefund).toHaveBeenCalledWith('payment-1');
+      expect(result.status).toBe('refunded');
+    });
+
+    test('should still confirm an expired hold whose slot is free', async () => {
+      const booking = heldBooking({ paymentExpiresAt: new Date(Date.now() - 60 * 1000) });
+      Booking.findByPk.mockResolvedValue(booking);
+      Booking.findOne.mockResolvedValue(null);
+
+      const result = await bookingPaymentService.confirmBookingPayment('pi_1');
+
+      expect(result.status).toBe('confirmed');
+    });
+
+    test('should leave confirmed bookings alone', async () => {
+      const booking = heldBooking({ status: 'confirmed' });
+      Booking.findByPk.mockResolvedValue(booking);
+
+      const result = await bookingPaymentService.confirmBookingPayment('pi_1');
+
+      expect(booking.update).not.toHaveBeenCalled();
+      expect(result).toEqual({ bookingId: 'booking-1', status: 'confirmed' });
+    });
+  });
+
+  describe('releaseExpiredPaymentHolds', () => {
+    test('should cancel the payment and release the slot of expired holds', async () => {
+      const booking = heldBooking({ paymentExpiresAt: new Date('2030-07-01T08:00:00Z') });
+      const pendingPayment = { id: 'payment-1' };
+      Booking.findAll.mockResolvedValue([booking]);
+      Payment.findOne.mockResolvedValue(pendingPayment);
+      paymentService.cancelPaymentIntent.mockResolvedValue(true);
+
+      const now = new Date('2030-07-01T09:00:00Z');
+      const released = await bookingPaymentService.releaseExpiredPaymentHolds(now);
+
+      expect(Booking.findAll).toHaveBeenCalledWith({
+        where: { status: 'pending_payment', paymentExpiresAt: { [Op.lte]: now } }
+      });
+      expect(paymentService.cancelPaymentIntent).toHaveBeenCalledWith(pendingPayment);
+      expect(booking.update).toHaveBeenCalledWith({
+        status: 'cancelled',
+        cancellationReason: 'Payment was not completed in time',
+        paymentExpiresAt: null
+      });
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'booking.payment_expired'
+      }));
+      expect(released).toBe(1);
+    });
+
+    test('should keep holds whose payment is going through', async () => {
+      const booking = heldBooking();
+      Booking.findAll.mockResolvedValue([booking]);
+      Payment.findOne.mockResolvedValue({ id: 'payment-1' });
+      paymentService.cancelPaymentIntent.mockResolvedValue(false);
+
+      const released = await bookingPaymentService.releaseExpiredPaymentHolds();
+
+      expect(booking.update).not.toHaveBeenCalled();
+      expect(released).toBe(0);
+    });
+  });
+
+  describe('refundBookingPayment', () => {
+    test('should refund completed payments and cancel pending ones', async () => {
+      const pendingPayment = { id: 'payment-2', status: 'pending' };
+      Payment.findAll.mockResolvedValue([
+        { id: 'payment-1', status: 'completed', stripe_payment_intent_id: 'pi_1' },
+        pendingPayment
+      ]);
+
+      const refund = await bookingPaymentService.refundBookingPayment({ id: 'booking-1', userId: 'host-1' });
+
+      expect(paymentService.processRefund).toHaveBeenCalledWith('payment-1');
+      expect(paymentService.cancelPaymentIntent).toHaveBeenCalledWith(pendingPayment);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'booking.payment_refunded',
+        metadata: expect.objectContaining({ paymentId: 'payment-1', refundId: 're_1' })
+      }));
+      expect(refund).toEqual({ refund_id: 're_1', amount: 30 });
+    });
+
+    test('should return null when nothing was paid', async () => {
+      Payment.findAll.mockResolvedValue([]);
+
+      await expect(bookingPaymentService.refundBookingPayment({ id: 'booking-1' })).resolves.toBeNull();
+      expect(paymentService.processRefund).not.toHaveBeenCalled();
+    });
+  });
+});
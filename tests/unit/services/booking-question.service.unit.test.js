@@ -0,0 +1,147 @@
+/**
+ * Booking question service unit tests
+ *
+ * Tests for custom question definitions and invitee answers
+ *
+ * @author meetabl Team
+ */
+
+const bookingQuestionService = require('../../../src/services/booking-question.service');
+
+describe('Booking Question Service', () => {
+  const questions = [
+    {
+      id: 'company', label: 'Company', type: 'text', required: true
+    },
+    {
+      id: 'size', label: 'Team size', type: 'select', required: false, options: ['1-10', '11-50', '50+']
+    },
+    {
+      id: 'topics', label: 'Topics', type: 'checkbox', required: false, options: ['Billing', 'Onboarding']
+    },
+    {
+      id: 'terms', label: 'I agree to the terms', type: 'checkbox', required: true
+    },
+    {
+      id: 'phone', label: 'Mobile', type: 'phone', required: false
+    }
+  ];
+
+  describe('normalizeQuestions', () => {
+    test('should assign IDs and defaults', () => {
+      const [question] = bookingQuestionService.normalizeQuestions([
+        { label: ' Company ', type: 'text' }
+      ]);
+
+      expect(question).toEqual({
+        id: expect.any(String),
+        label: 'Company',
+        type: 'text',
+        required: false
+      });
+    });
+
+    test('should keep existing IDs and options', () => {
+      expect(bookingQuestionService.normalizeQuestions(questions)).toEqual(questions);
+    });
+
+    test('should reject unknown types and select questions without options', () => {
+      expect(() => bookingQuestionService.normalizeQuestions([{ label: 'Age', type: 'number' }]))
+        .toThrow(expect.objectContaining({ statusCode: 400, field: 'questions' }));
+      expect(() => bookingQuestionService.normalizeQuestions([{ label: 'Size', type: 'select' }]))
+        .toThrow('Question 1 needs at least two options');
+    });
+
+    test('should reject duplicate IDs', () => {
+      expect(() => bookingQuestionService.normalizeQuestions([
+        { id: 'a', label: 'First', type: 'text' },
+        { id: 'a', label: 'Second', type: 'text' }
+      ])).toThrow('Question 2 has a duplicate ID');
+    });
+  });
+
+  describe('validateAnswers', () => {
+    test('should store answers with their question labels', () => {
+      const answers = bookingQuestionService.validateAnswers(questions, {
+        company: ' Acme ',
+        size: '11-50',
+        topics: ['Onboarding', 'Billing'],
+        terms: true
+      });
+
+      expect(answers).toEqual([
+        {
+          question_id: 'company', label: 'Company', type: 'text', value: 'Acme'
+        },
+        {
+          question_id: 'size', label: 'Team size', type: 'select', value: '11-50'
+        },
+        {
+          question_id: 'topics', label: 'Topics', type: 'checkbox', value: ['Billing', 'Onboarding']
+        },
+        {
+          question_id: 'terms', label: 'I agree to the terms', type: 'checkbox', value: true
+        }
+      ]);
+    });
+
+    test('should require answers to required questions', () => {
+      expect(() => bookingQuestionService.validateAnswers(questions, { company: 'Acme' }))
+        .toThrow(expect.objectContaining({ field: 'answers.terms', message: 'I agree to the terms is required' }));
+      expect(() => bookingQuestionService.validateAnswers(questions, { company: '  ', terms: true }))
+        .toThrow(expect.objectContaining({ field: 'answers.company' }));
+    });
+
+    test('should reject answers outside the question options', () => {
+      expect(() => bookingQuestionService.validateAnswers(questions, {
+        company: 'Acme', terms: true, size: '1000+'
+      })).toThrow(expect.objectContaining({ field: 'answers.size' }));
+      expect(() => bookingQuestionService.validateAnswers(questions, {
+        company: 'Acme', terms: true, topics: ['Sales']
+      })).toThrow(expect.objectContaining({ field: 'answers.topics' }));
+    });
+
+    test('should reject invalid phone numbers', () => {
+      expect(() => bookingQuestionService.validateAnswers(questions, {
+        company: 'Acme', terms: true, phone: 'call me'
+      })).toThrow(expect.objectContaining({ field: 'answers.phone' }));
+    });
+
+    test('should reject answers to unknown questions', () => {
+      expect(() => bookingQuestionService.validateAnswers(questions, {
+        company: 'Acme', terms: true, budget: '10k'
+      })).toThrow('Unknown questions: budget');
+      expect(() => bookingQuestionService.validateAnswers(null, { budget: '10k' }))
+        .toThrow(expect.objectContaining({ field: 'answers' }));
+    });
+
+    test('should return null for event types without questions', () => {
+      expect(bookingQuestionService.validateAnswers([], undefined)).toBeNull();
+    });
+  });
+
+  describe('formatting', () => {
+    const answers = [
+      {
+        question_id: 'company', label: 'Company', type: 'text', value: '<b>Acme</b>'
+      },
+      {
+        question_id: 'topics', label: 'Topics', type: 'checkbox', value: ['Billing', 'Onboarding']
+      },
+      {
+        question_id: 'terms', label: 'Terms', type: 'checkbox', value: true
+      }
+    ];
+
+    test('should format answers as text', () => {
+      expect(bookingQuestionService.formatAnswersText(answers, '; '))
+        .toBe('Company: <b>Acme</b>; Topics: Billing, Onboarding; Terms: Yes');
+      expect(bookingQuestionService.formatAnswersText(null)).toBe('');
+    });
+
+    test('should escape answers in HTML', () => {
+      expect(bookingQuestionService.formatAnswersHtml(answers.slice(0, 1)))
+        .toBe('<p><strong>Company:</strong> &lt;b&gt;Acme&lt;/b&gt;</p>');
+    });
+  });
+});
@@ -0,0 +1,363 @@
+/**
+ * CalDAV service unit tests
+ *
+ * Tests talking to CalDAV servers over WebDAV
+ *
+ * @author meetabl Team
+ */
+
+jest.mock('axios', () => jest.fn());
+jest.mock('../../../src/utils/network', () => ({
+  assertPublicUrl: jest.fn(),
+  lookupPublicAddress: jest.fn()
+}));
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const axios = require('axios');
+const network = require('../../../src/utils/network');
+const caldavService = require('../../../src/services/caldav.service');
+
+const multistatus = (responses) => '<?xml version="1.0" encoding="utf-8"?>'
+  + `<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses}</d:multistatus>`;
+
+const davResponse = (href, props) => `<d:response><d:href>${href}</d:href>`
+  + `<d:propstat><d:prop>${props}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`;
+
+const privateAddressError = (host) => Object.assign(new Error(`${host} is not a public address`), {
+  code: 'EPRIVATEADDRESS'
+});
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status }
+});
+
+describe('CalDAV Service', () => {
+  const token = {
+    email: 'host@example.com',
+    accessToken: 'app-password',
+    calendarUrl: 'https://caldav.example.com/calendars/host/home/'
+  };
+
+  const host = {
+    firstName: 'Grace', lastName: 'Hopper', email: 'host@example.com'
+  };
+
+  const booking = {
+    customerName: 'Ada',
+    customerEmail: 'ada@example.com',
+    startTime: new Date('2030-07-01T09:00:00Z'),
+    endTime: new Date('2030-07-01T09:30:00Z')
+  };
+
+  beforeEach(() => {
+    axios.mockReset();
+    network.assertPublicUrl.mockReset();
+    network.assertPublicUrl.mockResolvedValue();
+  });
+
+  describe('discoverCalendars', () => {
+    const account = {
+      serverUrl: 'https://caldav.example.com/',
+      username: 'host@example.com',
+      password: 'app-password'
+    };
+
+    const mockDiscovery = () => {
+      axios
+        .mockResolvedValueOnce({
+          data: multistatus(davResponse('/', '<d:current-user-principal><d:href>/principals/host/</d:href></d:current-user-principal>'))
+        })
+        .mockResolvedValueOnce({
+          data: multistatus(davResponse('/principals/host/', '<cal:calendar-home-set><d:href>/calendars/host/</d:href></cal:calendar-home-set>'))
+        })
+        .mockResolvedValueOnce({
+          data: multistatus([
+            davResponse('/calendars/host/', '<d:resourcetype><d:collection/></d:resourcetype>'),
+            davResponse(
+              '/calendars/host/home/',
+              '<d:resourcetype><d:collection/><cal:calendar/></d:resourcetype>'
+                + '<d:displayname>Home &amp; Work</d:displayname>'
+                + '<cal:supported-calendar-component-set><cal:comp name="VEVENT"/></cal:supported-calendar-component-set>'
+            ),
+            davResponse(
+              '/calendars/host/tasks/',
+              '<d:resourcetype><d:collection/><cal:calendar/></d:resourcetype>'
+                + '<cal:supported-calendar-component-set><cal:comp name="VTODO"/></cal:supported-calendar-component-set>'
+            )
+          ].join(''))
+        });
+    };
+
+    test('should follow the principal and calendar home to the event calendars', async () => {
+      mockDiscovery();
+
+      const calendars = await caldavService.discoverCalendars(account);
+
+      expect(calendars).toEqual([
+        { url: 'https://caldav.example.com/calendars/host/home/', name: 'Home & Work' }
+      ]);
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'PROPFIND',
+        url: 'https://caldav.example.com/calendars/host/',
+        auth: { username: 'host@example.com', password: 'app-password' },
+        headers: expect.objectContaining({ Depth: '1' })
+      }));
+    });
+
+    test('should fall back to the well-known CalDAV URL', async () => {
+      axios.mockRejectedValueOnce(httpError(405));
+      mockDiscovery();
+
+      const calendars = await caldavService.discoverCalendars(account);
+
+      expect(axios.mock.calls[1][0].url).toBe('https://caldav.example.com/.well-known/caldav');
+      expect(calendars).toHaveLength(1);
+    });
+
+    test('should reject wrong credentials as a validation error', async () => {
+      axios.mockRejectedValueOnce(httpError(401));
+
+      await expect(caldavService.discoverCalendars(account)).rejects.toMatchObject({
+        statusCode: 400,
+        field: 'password'
+      });
+    });
+
+    test('should report unreachable servers as a gateway error', async () => {
+      axios.mockRejectedValueOnce(new Error('connect ECONNREFUSED 10.0.0.5:80'));
+
+      const error = await caldavService.discoverCalendars(account).catch((caught) => caught);
+
+      expect(error).toMatchObject({ statusCode: 502, message: 'Could not reach the CalDAV server' });
+      expect(error.message).not.toContain('10.0.0.5');
+    });
+
+    test('should only reach servers on public addresses', async () => {
+      network.assertPublicUrl.mockRejectedValue(privateAddressError('169.254.169.254'));
+
+      await expect(caldavService.discoverCalendars({
+        ...account, serverUrl: 'https://169.254.169.254/'
+      })).rejects.toMatchObject({ statusCode: 400, field: 'server_url' });
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test('should resolve hosts on every connection and not let axios follow redirects', async () => {
+      mockDiscovery();
+
+      await caldavService.discoverCalendars(account);
+
+      axios.mock.calls.forEach(([request]) => {
+        expect(request).toMatchObject({
+          lookup: network.lookupPublicAddress,
+          maxRedirects: 0
+        });
+      });
+    });
+
+    test('should check each redirect before sending the credentials on', async () => {
+      axios.mockResolvedValueOnce({
+        status: 301,
+        headers: { location: '/dav/' }
+      });
+      mockDiscovery();
+
+      await caldavService.discoverCalendars(account);
+
+      expect(network.assertPublicUrl.mock.calls.slice(0, 2)).toEqual([
+        ['https://caldav.example.com/'],
+        ['https://caldav.example.com/dav/']
+      ]);
+      expect(axios.mock.calls[1][0]).toMatchObject({
+        method: 'PROPFIND',
+        url: 'https://caldav.example.com/dav/',
+        auth: { username: 'host@example.com', password: 'app-password' }
+      });
+    });
+
+    test('should not follow redirects to private addresses', async () => {
+      axios.mockResolvedValueOnce({ status: 307, headers: { location: '/dav/' } });
+      network.assertPublicUrl
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(privateAddressError('caldav.example.com'));
+
+      await expect(caldavService.discoverCalendars({
+        ...account, serverUrl: 'http://caldav.example.com/'
+      })).rejects.toMatchObject({ statusCode: 400, field: 'server_url' });
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not follow redirects from HTTPS to HTTP', async () => {
+      axios.mockResolvedValueOnce({ status: 302, headers: { location: 'http://caldav.example.com/' } });
+
+      await expect(caldavService.discoverCalendars(account)).rejects.toMatchObject({
+        statusCode: 502
+      });
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not send the credentials to another host on a redirect', async () => {
+      axios.mockResolvedValueOnce({
+        status: 301,
+        headers: { location: 'https://collector.example.net/' }
+      });
+
+      await expect(caldavService.discoverCalendars(account)).rejects.toMatchObject({
+        statusCode: 502
+      });
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop after too many redirects', async () => {
+      axios.mockResolvedValue({ status: 308, headers: { location: '/again/' } });
+
+      await expect(caldavService.discoverCalendars(account)).rejects.toMatchObject({
+        statusCode: 502
+      });
+      expect(axios).toHaveBeenCalledTimes(6);
+    });
+
+    test('should require HTTPS in production', async () => {
+      const { NODE_ENV } = process.env;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        await expect(caldavService.discoverCalendars({
+          ...account, serverUrl: 'http://caldav.example.com/'
+        })).rejects.toMatchObject({ statusCode: 400, field: 'server_url' });
+        expect(axios).not.toHaveBeenCalled();
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+      }
+    });
+  });
+
+  describe('parseBusyTimes', () => {
+    test('should read UTC, TZID, all-day and duration events', () => {
+      const busyTimes = caldavService.parseBusyTimes([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;TZID="Europe/Berlin":20300701T090000',
+        'DTEND;TZID=Europe/Berlin:20300701T0930',
+        ' 00',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20300702',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20300703T100000Z',
+        'DURATION:PT1H15M',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n'));
+
+      expect(busyTimes).toEqual([
+        { start: new Date('2030-07-01T07:00:00Z'), end: new Date('2030-07-01T07:30:00Z') },
+        { start: new Date('2030-07-02T00:00:00Z'), end: new Date('2030-07-03T00:00:00Z') },
+        { start: new Date('2030-07-03T10:00:00Z'), end: new Date('2030-07-03T11:15:00Z') }
+      ]);
+    });
+
+    test('should skip cancelled and free events', () => {
+      const busyTimes = caldavService.parseBusyTimes([
+        'BEGIN:VEVENT',
+        'DTSTART:20300701T090000Z',
+        'DTEND:20300701T100000Z',
+        'STATUS:CANCELLED',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20300701T110000Z',
+        'DTEND:20300701T120000Z',
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      ].join('\n'));
+
+      expect(busyTimes).toEqual([]);
+    });
+  });
+
+  describe('getBusyTimes', () => {
+    test('should query the calendar for expanded events in the range', async () => {
+      const calendarData = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART:20300701T090000Z',
+        'DTEND:20300701T100000Z',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+      axios.mockResolvedValue({
+        data: multistatus(davResponse(
+          '/calendars/host/home/meeting.ics',
+          `<cal:calendar-data><![CDATA[${calendarData}]]></cal:calendar-data>`
+        ))
+      });
+
+      const busyTimes = await caldavService.getBusyTimes(
+        token,
+        new Date('2030-07-01T00:00:00Z'),
+        new Date('2030-07-02T00:00:00Z')
+      );
+
+      expect(busyTimes).toEqual([
+        { start: new Date('2030-07-01T09:00:00Z'), end: new Date('2030-07-01T10:00:00Z') }
+      ]);
+      const request = axios.mock.calls[0][0];
+      expect(request).toMatchObject({ method: 'REPORT', url: token.calendarUrl });
+      expect(request.data).toContain('<c:expand start="20300701T000000Z" end="20300702T000000Z"/>');
+      expect(request.data).toContain('<c:time-range start="20300701T000000Z" end="20300702T000000Z"/>');
+    });
+  });
+
+  describe('events', () => {
+    test('should create the event as a new iCalendar resource', async () => {
+      axios.mockResolvedValue({ status: 201 });
+
+      const event = await caldavService.createEvent(token, booking, host);
+
+      const request = axios.mock.calls[0][0];
+      expect(request).toMatchObject({
+        method: 'PUT',
+        headers: expect.objectContaining({ 'If-None-Match': '*' })
+      });
+      expect(request.url).toBe(`https://caldav.example.com${event.id}`);
+      expect(event.id).toMatch(/^\/calendars\/host\/home\/[0-9a-f-]+\.ics$/);
+      expect(request.data).toContain('SUMMARY:Meeting with Ada');
+      expect(request.data).toContain('DTSTART:20300701T090000Z');
+      expect(request.data).toContain('mailto:ada@example.com');
+      expect(request.data).not.toContain('METHOD:');
+    });
+
+    test('should replace an existing event under the same UID', async () => {
+      axios.mockResolvedValue({ status: 204 });
+
+      await caldavService.updateEvent(token, '/calendars/host/home/event-1.ics', booking, host);
+
+      expect(axios.mock.calls.map(([request]) => request.method)).toEqual(['HEAD', 'PUT']);
+      expect(axios.mock.calls[1][0].url).toBe('https://caldav.example.com/calendars/host/home/event-1.ics');
+      expect(axios.mock.calls[1][0].data).toContain('UID:event-1');
+    });
+
+    test('should not recreate events the host deleted when updating', async () => {
+      axios.mockRejectedValueOnce(httpError(404));
+
+      await expect(caldavService.updateEvent(token, '/calendars/host/home/event-1.ics', booking, host))
+        .rejects.toMatchObject({ response: { status: 404 } });
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test('should delete the event resource', async () => {
+      axios.mockResolvedValue({ status: 204 });
+
+      await caldavService.deleteEvent(token, '/calendars/host/home/event-1.ics');
+
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'DELETE',
+        url: 'https://caldav.example.com/calendars/host/home/event-1.ics'
+      }));
+    });
+  });
+});
@@ -0,0 +1,440 @@
+/**
+ * Calendar sync service unit tests
+ *
+ * Tests following changes to hosts' calendars through watch channels,
+ * Graph subscriptions and incremental sync
+ *
+ * @author meetabl Team
+ */
+
+const mockGoogleCalendar = {
+  events: { list: jest.fn(), get: jest.fn(), watch: jest.fn() },
+  channels: { stop: jest.fn() }
+};
+const mockGraphRequest = {
+  header: jest.fn(),
+  select: jest.fn(),
+  get: jest.fn(),
+  post: jest.fn(),
+  delete: jest.fn()
+};
+const mockGraphClient = { api: jest.fn(() => mockGraphRequest) };
+
+// Shared across module resets, since the service requires the queue when
+// it queues a job
+const mockAddJob = jest.fn();
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn() };
+
+jest.mock('googleapis', () => ({
+  google: { calendar: jest.fn(() => mockGoogleCalendar) }
+}));
+jest.mock('../../../src/services/calendar.service', () => ({
+  createGoogleAuthClient: jest.fn().mockResolvedValue({}),
+  createMicrosoftGraphClient: jest.fn(async () => mockGraphClient),
+  isEventGone: (error) => [404, 410].includes(error.code)
+}));
+jest.mock('../../../src/models', () => ({
+  Booking: { findAll: jest.fn() },
+  CalendarToken: { findByPk: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  AuditLog: { create: jest.fn() }
+}));
+jest.mock('../../../src/config/database', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/services/booking-lifecycle.service', () => ({
+  findGroupBookings: jest.fn(),
+  completeCancellation: jest.fn(),
+  completeGroupCancellation: jest.fn()
+}));
+jest.mock('../../../src/queue', () => ({
+  addJob: mockAddJob
+}));
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const calendarSyncService = require('../../../src/services/calendar-sync.service');
+const { Booking, CalendarToken, AuditLog } = require('../../../src/models');
+const bookingLifecycleService = require('../../../src/services/booking-lifecycle.service');
+
+describe('Calendar Sync Service', () => {
+  const originalBaseUrl = process.env.API_BASE_URL;
+
+  const calendarToken = (overrides = {}) => {
+    const token = {
+      id: 'token-1',
+      userId: 'host-1',
+      provider: 'google',
+      syncToken: 'sync-1',
+      channelId: null,
+      channelResourceId: null,
+      channelSecret: null,
+      ...overrides
+    };
+    token.update = jest.fn(async (fields) => Object.assign(token, fields));
+    return token;
+  };
+
+  const booking = (overrides = {}) => {
+    const record = {
+      id: 'booking-1',
+      userId: 'host-1',
+      customerEmail: 'ada@example.com',
+      status: 'confirmed',
+      calendarEventId: 'event-1',
+      calendarProvider: 'google',
+      ...overrides
+    };
+    record.update = jest.fn(async (fields) => Object.assign(record, fields));
+    return record;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_BASE_URL = 'https://api.meetabl.test';
+    mockGraphRequest.header.mockReturnValue(mockGraphRequest);
+    mockGraphRequest.select.mockReturnValue(mockGraphRequest);
+    Booking.findAll.mockResolvedValue([]);
+    bookingLifecycleService.findGroupBookings.mockResolvedValue([]);
+  });
+
+  afterAll(() => {
+    process.env.API_BASE_URL = originalBaseUrl;
+  });
+
+  describe('syncCalendarToken', () => {
+    test('should cancel upcoming bookings whose Google event was deleted', async () => {
+      const token = calendarToken();
+      const deleted = booking();
+      CalendarToken.findByPk.mockResolvedValue(token);
+      Booking.findAll.mockResolvedValue([deleted]);
+      mockGoogleCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            { id: 'event-1', status: 'cancelled' },
+            { id: 'event-2', status: 'confirmed' }
+          ],
+          nextSyncToken: 'sync-2'
+        }
+      });
+
+      await expect(calendarSyncService.syncCalendarToken('token-1')).resolves.toBe(1);
+
+      expect(mockGoogleCalendar.events.list).toHaveBeenCalledWith(expect.objectContaining({
+        calendarId: 'primary', syncToken: 'sync-1'
+      }));
+      expect(Booking.findAll.mock.calls[0][0].where).toEqual(expect.objectContaining({
+        userId: 'host-1', calendarEventId: ['event-1']
+      }));
+      expect(deleted.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'cancelled', calendarEventId: null
+      }), { transaction: mockTransaction });
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'booking.cancelled_from_calendar'
+      }), { transaction: mockTransaction });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+      expect(bookingLifecycleService.completeCancellation)
+        .toHaveBeenCalledWith(deleted, { refund: true });
+      expect(token.update).toHaveBeenCalledWith({ syncToken: 'sync-2', lastSyncedAt: expect.any(Date) });
+    });
+
+    test('should cancel the rest of a collective booking with it', async () => {
+      const token = calendarToken();
+      const deleted = booking();
+      const coHostBooking = booking({ id: 'booking-2', userId: 'host-2', parentBookingId: 'booking-1' });
+      CalendarToken.findByPk.mockResolvedValue(token);
+      Booking.findAll.mockResolvedValue([deleted]);
+      bookingLifecycleService.findGroupBookings.mockResolvedValue([coHostBooking]);
+      mockGoogleCalendar.events.list.mockResolvedValue({
+        data: { items: [{ id: 'event-1', status: 'cancelled' }], nextSyncToken: 'sync-2' }
+      });
+
+      await calendarSyncService.syncCalendarToken('token-1');
+
+      expect(bookingLifecycleService.findGroupBookings)
+        .toHaveBeenCalledWith(deleted, mockTransaction);
+      expect(coHostBooking.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'cancelled'
+      }), { transaction: mockTransaction });
+      expect(bookingLifecycleService.completeGroupCancellation)
+        .toHaveBeenCalledWith([coHostBooking], { refund: true });
+    });
+
+    test('should not run the follow-ups when the cancellation fails', async () => {
+      const token = calendarToken();
+      CalendarToken.findByPk.mockResolvedValue(token);
+      Booking.findAll.mockResolvedValue([booking()]);
+      AuditLog.create.mockRejectedValueOnce(new Error('Database unavailable'));
+      mockGoogleCalendar.events.list.mockResolvedValue({
+        data: { items: [{ id: 'event-1', status: 'cancelled' }], nextSyncToken: 'sync-2' }
+      });
+
+      await expect(calendarSyncService.syncCalendarToken('token-1'))
+        .rejects.toThrow('Database unavailable');
+
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+      expect(bookingLifecycleService.completeCancellation).not.toHaveBeenCalled();
+      expect(token.update).not.toHaveBeenCalled();
+    });
+
+    test('should only fetch a sync token on the first sync', async () => {
+      const token = calendarToken({ syncToken: null });
+      CalendarToken.findByPk.mockResolvedValue(token);
+      mockGoogleCalendar.events.list
+        .mockResolvedValueOnce({ data: { nextPageToken: 'page-2' } })
+        .mockResolvedValueOnce({ data: { nextSyncToken: 'sync-1' } });
+
+      await expect(calendarSyncService.syncCalendarToken('token-1')).resolves.toBe(0);
+
+      expect(mockGoogleCalendar.events.list).toHaveBeenLastCalledWith(expect.objectContaining({
+        fields: 'nextPageToken,nextSyncToken', pageToken: 'page-2'
+      }));
+      expect(Booking.findAll).not.toHaveBeenCalled();
+      expect(token.syncToken).toBe('sync-1');
+    });
+
+    test('should start over when Google expires the sync token', async () => {
+      const token = calendarToken();
+      CalendarToken.findByPk.mockResolvedValue(token);
+      mockGoogleCalendar.events.list
+        .mockRejectedValueOnce(Object.assign(new Error('Gone'), { code: 410 }))
+        .mockResolvedValueOnce({ data: { nextSyncToken: 'sync-9' } });
+
+      await calendarSyncService.syncCalendarToken('token-1');
+
+      expect(mockGoogleCalendar.events.list).toHaveBeenLastCalledWith(expect.not.objectContaining({
+        syncToken: expect.anything()
+      }));
+      expect(token.syncToken).toBe('sync-9');
+    });
+
+    test('should cancel bookings whose events went missing before the sync token expired', async () => {
+      const token = calendarToken();
+      const kept = booking();
+      const deleted = booking({ id: 'booking-2', calendarEventId: 'event-2', calendarId: 'team@example.com' });
+      const cancelled = booking({ id: 'booking-3', calendarEventId: 'event-3' });
+      CalendarToken.findByPk.mockResolvedValue(token);
+      Booking.findAll.mockResolvedValue([kept, deleted, cancelled]);
+      mockGoogleCalendar.events.list
+        .mockRejectedValueOnce(Object.assign(new Error('Gone'), { code: 410 }))
+        .mockResolvedValueOnce({ data: { nextSyncToken: 'sync-9' } });
+      mockGoogleCalendar.events.get.mockImplementation(async ({ eventId }) => {
+        if (eventId === 'event-2') {
+          throw Object.assign(new Error('Not Found'), { code: 404 });
+        }
+        return { data: { status: eventId === 'event-3' ? 'cancelled' : 'confirmed' } };
+      });
+
+      await expect(calendarSyncService.syncCalendarToken('token-1')).resolves.toBe(2);
+
+      expect(Booking.findAll.mock.calls[0][0].where).toEqual(expect.objectContaining({
+        userId: 'host-1', calendarTokenId: 'token-1'
+      }));
+      expect(mockGoogleCalendar.events.get).toHaveBeenCalledWith(expect.objectContaining({
+        calendarId: 'team@example.com', eventId: 'event-2'
+      }));
+      expect(kept.update).not.toHaveBeenCalled();
+      expect(deleted.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'cancelled'
+      }), { transaction: mockTransaction });
+      expect(cancelled.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'cancelled'
+      }), { transaction: mockTransaction });
+      expect(token.syncToken).toBe('sync-9');
+    });
+
+    test('should check Outlook events after Graph expires the delta link', async () => {
+      const token = calendarToken({ provider: 'microsoft', syncToken: 'https://graph/delta?token=1' });
+      const deleted = booking({ calendarEventId: 'AAMk-1', calendarProvider: 'microsoft' });
+      CalendarToken.findByPk.mockResolvedValue(token);
+      Booking.findAll.mockResolvedValue([deleted]);
+      mockGraphRequest.get
+        .mockRejectedValueOnce(Object.assign(new Error('Gone'), { code: 410 }))
+        .mockResolvedValueOnce({ '@odata.deltaLink': 'https://graph/delta?token=2' })
+        .mockRejectedValueOnce(Object.assign(new Error('Not Found'), { code: 404 }));
+
+      await expect(calendarSyncService.syncCalendarToken('token-1')).resolves.toBe(1);
+
+      expect(mockGraphClient.api).toHaveBeenLastCalledWith('/me/events/AAMk-1');
+      expect(token.syncToken).toBe('https://graph/delta?token=2');
+    });
+
+    test('should not take the new sync token when an event cannot be checked', async () => {
+      const token = calendarToken();
+      CalendarToken.findByPk.mockResolvedValue(token);
+      Booking.findAll.mockResolvedValue([booking()]);
+      mockGoogleCalendar.events.list
+        .mockRejectedValueOnce(Object.assign(new Error('Gone'), { code: 410 }))
+        .mockResolvedValueOnce({ data: { nextSyncToken: 'sync-9' } });
+      mockGoogleCalendar.events.get.mockRejectedValue(Object.assign(new Error('Backend'), { code: 503 }));
+
+      await expect(calendarSyncService.syncCalendarToken('token-1')).rejects.toThrow('Backend');
+
+      expect(token.update).not.toHaveBeenCalled();
+    });
+
+    test('should follow Graph delta pages and cancel removed events', async () => {
+      const token = calendarToken({ provider: 'microsoft', syncToken: 'https://graph/delta?token=1' });
+      const deleted = booking({ calendarEventId: 'AAMk-1', calendarProvider: 'microsoft' });
+      CalendarToken.findByPk.mockResolvedValue(token);
+      Booking.findAll.mockResolvedValue([deleted]);
+      mockGraphRequest.get
+        .mockResolvedValueOnce({
+          value: [{ id: 'AAMk-2', subject: 'Lunch' }],
+          '@odata.nextLink': 'https://graph/delta?skip=1'
+        })
+        .mockResolvedValueOnce({
+          value: [{ id: 'AAMk-1', '@removed': { reason: 'deleted' } }],
+          '@odata.deltaLink': 'https://graph/delta?token=2'
+        });
+
+      await expect(calendarSyncService.syncCalendarToken('token-1')).resolves.toBe(1);
+
+      expect(mockGraphClient.api.mock.calls.map(([url]) => url)).toEqual([
+        'https://graph/delta?token=1',
+        'https://graph/delta?skip=1'
+      ]);
+      expect(Booking.findAll.mock.calls[0][0].where.calendarEventId).toEqual(['AAMk-1']);
+      expect(token.syncToken).toBe('https://graph/delta?token=2');
+    });
+  });
+
+  describe('startWatch', () => {
+    test('should not watch calendars without a public HTTPS API URL', async () => {
+      process.env.API_BASE_URL = 'http://localhost:3000';
+
+      await expect(calendarSyncService.startWatch(calendarToken())).resolves.toBe(false);
+      expect(mockGoogleCalendar.events.watch).not.toHaveBeenCalled();
+    });
+
+    test('should not watch CalDAV calendars, which have no push notifications', async () => {
+      const token = calendarToken({ provider: 'caldav' });
+
+      await expect(calendarSyncService.startWatch(token)).resolves.toBe(false);
+      expect(token.update).not.toHaveBeenCalled();
+    });
+
+    test('should replace the Google channel of a calendar', async () => {
+      const token = calendarToken({ channelId: 'channel-old', channelResourceId: 'resource-old' });
+      mockGoogleCalendar.events.watch.mockResolvedValue({
+        data: { id: 'channel-new', resourceId: 'resource-new', expiration: '1900000000000' }
+      });
+
+      await expect(calendarSyncService.startWatch(token)).resolves.toBe(true);
+
+      const [{ requestBody }] = mockGoogleCalendar.events.watch.mock.calls[0];
+      expect(requestBody).toEqual(expect.objectContaining({
+        type: 'web_hook',
+        address: 'https://api.meetabl.test/api/calendar/webhooks/google',
+        token: expect.any(String)
+      }));
+      expect(token).toEqual(expect.objectContaining({
+        channelId: 'channel-new',
+        channelResourceId: 'resource-new',
+        channelSecret: requestBody.token,
+        channelExpiresAt: new Date(1900000000000)
+      }));
+      expect(mockGoogleCalendar.channels.stop).toHaveBeenCalledWith({
+        requestBody: { id: 'channel-old', resourceId: 'resource-old' }
+      });
+    });
+
+    test('should subscribe to Outlook event changes through Graph', async () => {
+      const token = calendarToken({ provider: 'microsoft' });
+      mockGraphRequest.post.mockResolvedValue({
+        id: 'subscription-1', expirationDateTime: '2030-07-04T09:00:00Z'
+      });
+
+      await calendarSyncService.startWatch(token);
+
+      expect(mockGraphClient.api).toHaveBeenCalledWith('/subscriptions');
+      expect(mockGraphRequest.post).toHaveBeenCalledWith(expect.objectContaining({
+        changeType: 'updated,deleted',
+        resource: '/me/events',
+        notificationUrl: 'https://api.meetabl.test/api/calendar/webhooks/microsoft',
+        clientState: token.channelSecret
+      }));
+      expect(token.channelId).toBe('subscription-1');
+    });
+  });
+
+  describe('renewExpiringChannels', () => {
+    test('should keep renewing after a calendar fails', async () => {
+      CalendarToken.findAll.mockResolvedValue([
+        calendarToken({ id: 'token-1' }),
+        calendarToken({ id: 'token-2' })
+      ]);
+      mockGoogleCalendar.events.watch
+        .mockRejectedValueOnce(new Error('Invalid credentials'))
+        .mockResolvedValueOnce({ data: { id: 'channel-2', resourceId: 'resource-2', expiration: '1900000000000' } });
+
+      await expect(calendarSyncService.renewExpiringChannels()).resolves.toBe(1);
+    });
+  });
+
+  describe('handleGoogleNotification', () => {
+    const headers = {
+      channelId: 'channel-1',
+      channelToken: 'secret-1',
+      resourceId: 'resource-1',
+      resourceState: 'exists'
+    };
+
+    beforeEach(() => {
+      CalendarToken.findOne.mockResolvedValue(calendarToken({
+        channelId: 'channel-1', channelResourceId: 'resource-1', channelSecret: 'secret-1'
+      }));
+    });
+
+    test('should queue a sync of the changed calendar', async () => {
+      await expect(calendarSyncService.handleGoogleNotification(headers)).resolves.toBe(true);
+
+      expect(mockAddJob).toHaveBeenCalledWith('calendarSync', 'calendar-changes', { calendarTokenId: 'token-1' }, {
+        attempts: 5,
+        backoff: { type: 'exponential', delay: 30000 },
+        removeOnComplete: true
+      });
+    });
+
+    test('should ignore notifications with the wrong channel token', async () => {
+      await expect(calendarSyncService.handleGoogleNotification({ ...headers, channelToken: 'secret-2' }))
+        .resolves.toBe(false);
+      expect(mockAddJob).not.toHaveBeenCalled();
+    });
+
+    test('should not sync on the notification confirming a new channel', async () => {
+      await calendarSyncService.handleGoogleNotification({ ...headers, resourceState: 'sync' });
+
+      expect(mockAddJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleMicrosoftNotifications', () => {
+    test('should queue one sync per verified subscription', async () => {
+      CalendarToken.findAll.mockResolvedValue([
+        calendarToken({ provider: 'microsoft', channelId: 'subscription-1', channelSecret: 'secret-1' })
+      ]);
+
+      const queued = await calendarSyncService.handleMicrosoftNotifications([
+        { subscriptionId: 'subscription-1', clientState: 'secret-1', changeType: 'deleted' },
+        { subscriptionId: 'subscription-1', clientState: 'secret-1', changeType: 'updated' }
+      ]);
+
+      expect(queued).toBe(1);
+      expect(mockAddJob).toHaveBeenCalledTimes(1);
+    });
+
+    test('should ignore notifications with the wrong client state', async () => {
+      CalendarToken.findAll.mockResolvedValue([
+        calendarToken({ provider: 'microsoft', channelId: 'subscription-1', channelSecret: 'secret-1' })
+      ]);
+
+      await expect(calendarSyncService.handleMicrosoftNotifications([
+        { subscriptionId: 'subscription-1', clientState: 'forged' }
+      ])).resolves.toBe(0);
+      expect(mockAddJob).not.toHaveBeenCalled();
+    });
+  });
+});
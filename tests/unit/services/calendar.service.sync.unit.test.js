@@ -0,0 +1,612 @@
+/**
+ * Calendar service event sync unit tests
+ *
+ * Tests keeping hosts' calendar events in line with their bookings
+ *
+ * @author meetabl Team
+ */
+
+const mockGoogleEvents = {
+  insert: jest.fn(),
+  patch: jest.fn(),
+  delete: jest.fn()
+};
+const mockGoogleFreebusy = { query: jest.fn() };
+const mockGoogleCalendarList = { list: jest.fn() };
+const mockGraphRequest = {
+  header: jest.fn(),
+  get: jest.fn(),
+  post: jest.fn(),
+  patch: jest.fn(),
+  delete: jest.fn()
+};
+const mockGraphClient = { api: jest.fn(() => mockGraphRequest) };
+
+// Shared across module resets, since the service requires the queue when
+// it queues a job
+const mockAddJob = jest.fn();
+
+jest.mock('googleapis', () => ({
+  google: {
+    auth: {
+      OAuth2: jest.fn().mockImplementation(() => ({ setCredentials: jest.fn() }))
+    },
+    calendar: jest.fn(() => ({
+      events: mockGoogleEvents,
+      freebusy: mockGoogleFreebusy,
+      calendarList: mockGoogleCalendarList
+    }))
+  }
+}));
+jest.mock('@microsoft/microsoft-graph-client', () => ({
+  Client: { init: jest.fn(() => mockGraphClient) }
+}));
+jest.mock('../../../src/models', () => ({
+  Booking: { findByPk: jest.fn(), update: jest.fn() },
+  CalendarToken: { findOne: jest.fn(), findAll: jest.fn() },
+  EventType: { findByPk: jest.fn() },
+  User: { findOne: jest.fn(), update: jest.fn() }
+}));
+jest.mock('../../../src/services/caldav.service', () => ({
+  createEvent: jest.fn(),
+  updateEvent: jest.fn(),
+  deleteEvent: jest.fn(),
+  getBusyTimes: jest.fn()
+}));
+jest.mock('../../../src/queue', () => ({
+  addJob: mockAddJob
+}));
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const calendarService = require('../../../src/services/calendar.service');
+const caldavService = require('../../../src/services/caldav.service');
+const {
+  Booking, CalendarToken, EventType, User
+} = require('../../../src/models');
+
+describe('Calendar Service event sync', () => {
+  const host = {
+    id: 'host-1', timezone: 'Europe/Berlin', calendar_provider: 'google'
+  };
+
+  const booking = (overrides = {}) => ({
+    id: 'booking-1',
+    userId: 'host-1',
+    customerName: 'Ada',
+    customerEmail: 'ada@example.com',
+    startTime: new Date('2030-07-01T09:00:00Z'),
+    endTime: new Date('2030-07-01T09:30:00Z'),
+    status: 'confirmed',
+    calendarEventId: 'event-1',
+    calendarProvider: 'google',
+    ...overrides
+  });
+
+  const notFound = () => Object.assign(new Error('Not Found'), { code: 404 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGraphRequest.header.mockReturnValue(mockGraphRequest);
+    User.findOne.mockResolvedValue(host);
+    CalendarToken.findOne.mockResolvedValue({
+      id: 'token-1',
+      userId: 'host-1',
+      provider: 'google',
+      accessToken: 'access-token',
+      refreshToken: 'refresh-token',
+      expires_at: new Date(Date.now() + 3600000),
+      expiresAt: new Date(Date.now() + 3600000)
+    });
+  });
+
+  describe('createCalendarEvent', () => {
+    test('should save the event ID and provider on the booking', async () => {
+      mockGoogleEvents.insert.mockResolvedValue({ data: { id: 'event-9' } });
+      const newBooking = booking({ calendarEventId: null, calendarProvider: null });
+
+      await calendarService.createCalendarEvent(newBooking);
+
+      expect(Booking.update).toHaveBeenCalledWith(
+        {
+          calendarEventId: 'event-9',
+          calendarProvider: 'google',
+          calendarTokenId: 'token-1',
+          calendarId: null
+        },
+        { where: { id: 'booking-1' } }
+      );
+      expect(newBooking.calendarEventId).toBe('event-9');
+    });
+
+    test('should add the event to the calendar chosen for the event type', async () => {
+      const otherToken = {
+        id: 'token-2', userId: 'host-1', provider: 'microsoft', accessToken: 'access-token'
+      };
+      EventType.findByPk.mockResolvedValue({
+        destinationCalendarTokenId: 'token-2', destinationCalendarId: 'work'
+      });
+      CalendarToken.findOne.mockResolvedValue(otherToken);
+      mockGraphRequest.post.mockResolvedValue({ id: 'event-9' });
+
+      await calendarService.createCalendarEvent(booking({
+        eventTypeId: 'type-1', calendarEventId: null, calendarProvider: null
+      }));
+
+      expect(CalendarToken.findOne).toHaveBeenCalledWith({
+        where: { id: 'token-2', userId: 'host-1' }
+      });
+      expect(mockGraphClient.api).toHaveBeenCalledWith('/me/calendars/work/events');
+      expect(Booking.update).toHaveBeenCalledWith(
+        {
+          calendarEventId: 'event-9',
+          calendarProvider: 'microsoft',
+          calendarTokenId: 'token-2',
+          calendarId: 'work'
+        },
+        { where: { id: 'booking-1' } }
+      );
+    });
+  });
+
+  describe('syncBookingCalendarEvent', () => {
+    test('should delete the Google event of a cancelled booking', async () => {
+      Booking.findByPk.mockResolvedValue(booking({ status: 'cancelled' }));
+      mockGoogleEvents.delete.mockResolvedValue({});
+
+      await expect(calendarService.syncBookingCalendarEvent('booking-1')).resolves.toBe('deleted');
+
+      expect(mockGoogleEvents.delete).toHaveBeenCalledWith({
+        calendarId: 'primary', eventId: 'event-1', sendUpdates: 'all'
+      });
+      expect(Booking.update).toHaveBeenCalledWith(
+        {
+          calendarEventId: null, calendarProvider: null, calendarTokenId: null, calendarId: null
+        },
+        { where: { id: 'booking-1' } }
+      );
+    });
+
+    test('should treat events the host already deleted as removed', async () => {
+      Booking.findByPk.mockResolvedValue(booking({ status: 'cancelled' }));
+      mockGoogleEvents.delete.mockRejectedValue(notFound());
+
+      await expect(calendarService.syncBookingCalendarEvent('booking-1')).resolves.toBe('deleted');
+    });
+
+    test('should delete events with the provider they were created with', async () => {
+      User.findOne.mockResolvedValue({ ...host, calendar_provider: 'google' });
+      Booking.findByPk.mockResolvedValue(booking({ status: 'cancelled', calendarProvider: 'microsoft' }));
+      mockGraphRequest.delete.mockResolvedValue();
+
+      await calendarService.syncBookingCalendarEvent('booking-1');
+
+      expect(mockGraphClient.api).toHaveBeenCalledWith('/me/events/event-1');
+      expect(mockGraphRequest.delete).toHaveBeenCalled();
+      expect(mockGoogleEvents.delete).not.toHaveBeenCalled();
+    });
+
+    test('should move the event of a rescheduled booking', async () => {
+      Booking.findByPk.mockResolvedValue(booking());
+      mockGoogleEvents.patch.mockResolvedValue({ data: { id: 'event-1' } });
+
+      await expect(calendarService.syncBookingCalendarEvent('booking-1')).resolves.toBe('updated');
+
+      expect(mockGoogleEvents.patch).toHaveBeenCalledWith(expect.objectContaining({
+        calendarId: 'primary',
+        eventId: 'event-1',
+        sendUpdates: 'all',
+        resource: expect.objectContaining({
+          start: { dateTime: expect.any(String), timeZone: 'Europe/Berlin' },
+          attendees: [{ email: 'ada@example.com' }]
+        })
+      }));
+    });
+
+    test('should update Microsoft events through Graph', async () => {
+      Booking.findByPk.mockResolvedValue(booking({ calendarProvider: 'microsoft' }));
+      mockGraphRequest.patch.mockResolvedValue({ id: 'event-1' });
+
+      await calendarService.syncBookingCalendarEvent('booking-1');
+
+      expect(mockGraphClient.api).toHaveBeenCalledWith('/me/events/event-1');
+      expect(mockGraphRequest.patch).toHaveBeenCalledWith(expect.objectContaining({
+        subject: 'Meeting with Ada'
+      }));
+    });
+
+    test('should recreate events the host deleted before a reschedule', async () => {
+      Booking.findByPk.mockResolvedValue(booking());
+      mockGoogleEvents.patch.mockRejectedValue(notFound());
+      mockGoogleEvents.insert.mockResolvedValue({ data: { id: 'event-2' } });
+
+      await calendarService.syncBookingCalendarEvent('booking-1');
+
+      expect(Booking.update).toHaveBeenCalledWith(
+        expect.objectContaining({ calendarEventId: 'event-2', calendarProvider: 'google' }),
+        { where: { id: 'booking-1' } }
+      );
+    });
+
+    test('should rethrow other provider errors so the job is retried', async () => {
+      Booking.findByPk.mockResolvedValue(booking({ status: 'cancelled' }));
+      mockGoogleEvents.delete.mockRejectedValue(Object.assign(new Error('Rate limited'), { code: 429 }));
+
+      await expect(calendarService.syncBookingCalendarEvent('booking-1')).rejects.toThrow('Rate limited');
+      expect(Booking.update).not.toHaveBeenCalled();
+    });
+
+    test('should skip bookings that no longer exist', async () => {
+      Booking.findByPk.mockResolvedValue(null);
+
+      await expect(calendarService.syncBookingCalendarEvent('booking-1')).resolves.toBe('skipped');
+    });
+  });
+
+  describe('CalDAV calendars', () => {
+    const caldavToken = {
+      id: 'token-3',
+      userId: 'host-1',
+      provider: 'caldav',
+      email: 'host@icloud.com',
+      calendarUrl: 'https://caldav.example.com/calendars/host/home/'
+    };
+
+    beforeEach(() => {
+      User.findOne.mockResolvedValue({ ...host, calendar_provider: 'caldav' });
+      CalendarToken.findOne.mockResolvedValue(caldavToken);
+    });
+
+    test('should create events through the CalDAV provider', async () => {
+      caldavService.createEvent.mockResolvedValue({ id: '/calendars/host/home/event-9.ics' });
+      const newBooking = booking({ calendarEventId: null, calendarProvider: null });
+
+      await calendarService.createCalendarEvent(newBooking);
+
+      expect(CalendarToken.findOne).toHaveBeenCalledWith({
+        where: { user_id: 'host-1', provider: 'caldav' }
+      });
+      expect(caldavService.createEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ calendarUrl: caldavToken.calendarUrl }),
+        newBooking,
+        expect.objectContaining({ id: 'host-1' })
+      );
+      expect(Booking.update).toHaveBeenCalledWith(
+        {
+          calendarEventId: '/calendars/host/home/event-9.ics',
+          calendarProvider: 'caldav',
+          calendarTokenId: 'token-3',
+          calendarId: null
+        },
+        { where: { id: 'booking-1' } }
+      );
+    });
+
+    test('should recreate CalDAV events the host deleted before a reschedule', async () => {
+      Booking.findByPk.mockResolvedValue(booking({ calendarProvider: 'caldav' }));
+      caldavService.updateEvent.mockRejectedValue(Object.assign(new Error('Not Found'), {
+        response: { status: 404 }
+      }));
+      caldavService.createEvent.mockResolvedValue({ id: '/calendars/host/home/event-2.ics' });
+
+      await calendarService.syncBookingCalendarEvent('booking-1');
+
+      expect(caldavService.updateEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ calendarUrl: caldavToken.calendarUrl }),
+        'event-1',
+        expect.objectContaining({ id: 'booking-1' }),
+        expect.objectContaining({ id: 'host-1' })
+      );
+      expect(Booking.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          calendarEventId: '/calendars/host/home/event-2.ics', calendarProvider: 'caldav'
+        }),
+        { where: { id: 'booking-1' } }
+      );
+    });
+
+    test('should read busy times of each connection from its provider', async () => {
+      const start = new Date('2030-07-01T00:00:00Z');
+      const end = new Date('2030-07-02T00:00:00Z');
+      const busy = { start: new Date('2030-07-01T10:00:00Z'), end: new Date('2030-07-01T11:00:00Z') };
+      CalendarToken.findAll.mockResolvedValue([caldavToken]);
+      caldavService.getBusyTimes.mockResolvedValue([busy]);
+
+      const result = await calendarService.collectBusyTimes('host-1', start, end);
+
+      expect(caldavService.getBusyTimes).toHaveBeenCalledWith(
+        expect.objectContaining({ calendarUrl: caldavToken.calendarUrl }),
+        start,
+        end
+      );
+      expect(result).toEqual({ busyTimes: [busy], failures: [] });
+    });
+
+    test('should report CalDAV failures without failing the lookup', async () => {
+      CalendarToken.findAll.mockResolvedValue([caldavToken]);
+      caldavService.getBusyTimes.mockRejectedValue(new Error('Request failed with status code 401'));
+
+      const result = await calendarService.collectBusyTimes('host-1', new Date(), new Date());
+
+      expect(result.failures).toEqual([{
+        provider: 'caldav',
+        email: 'host@icloud.com',
+        error: 'Request failed with status code 401'
+      }]);
+    });
+  });
+
+  describe('selected calendars', () => {
+    const start = new Date('2030-07-01T00:00:00Z');
+    const end = new Date('2030-07-02T00:00:00Z');
+
+    const connection = (overrides = {}) => ({
+      id: 'token-1',
+      userId: 'host-1',
+      provider: 'google',
+      email: 'host@example.com',
+      accessToken: 'access-token',
+      expiresAt: new Date(Date.now() + 3600000),
+      conflictCalendarIds: null,
+      destinationCalendarId: null,
+      update: jest.fn(function update(values) {
+        Object.assign(this, values);
+      }),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      mockGoogleCalendarList.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'host@example.com', summary: 'Host', primary: true, accessRole: 'owner'
+            },
+            { id: 'team@example.com', summary: 'Team', accessRole: 'writer' },
+            { id: 'holidays@example.com', summary: 'Holidays', accessRole: 'reader' }
+          ]
+        }
+      });
+    });
+
+    test('should check all conflict calendars of a Google connection in one free/busy query', async () => {
+      CalendarToken.findAll.mockResolvedValue([connection({
+        conflictCalendarIds: ['host@example.com', 'team@example.com']
+      })]);
+      mockGoogleFreebusy.query.mockResolvedValue({
+        data: {
+          calendars: {
+            'host@example.com': { busy: [{ start: '2030-07-01T09:00:00Z', end: '2030-07-01T10:00:00Z' }] },
+            'team@example.com': { busy: [{ start: '2030-07-01T13:00:00Z', end: '2030-07-01T14:00:00Z' }] }
+          }
+        }
+      });
+
+      const result = await calendarService.collectBusyTimes('host-1', start, end);
+
+      expect(mockGoogleFreebusy.query).toHaveBeenCalledTimes(1);
+      expect(mockGoogleFreebusy.query.mock.calls[0][0].requestBody.items).toEqual([
+        { id: 'host@example.com' }, { id: 'team@example.com' }
+      ]);
+      expect(result.busyTimes).toEqual([
+        { start: new Date('2030-07-01T09:00:00Z'), end: new Date('2030-07-01T10:00:00Z') },
+        { start: new Date('2030-07-01T13:00:00Z'), end: new Date('2030-07-01T14:00:00Z') }
+      ]);
+    });
+
+    test('should report Google calendars free/busy could not read', async () => {
+      CalendarToken.findAll.mockResolvedValue([connection({ conflictCalendarIds: ['team@example.com'] })]);
+      mockGoogleFreebusy.query.mockResolvedValue({
+        data: { calendars: { 'team@example.com': { errors: [{ reason: 'notFound' }] } } }
+      });
+
+      const result = await calendarService.collectBusyTimes('host-1', start, end);
+
+      expect(result.failures).toEqual([expect.objectContaining({ provider: 'google' })]);
+    });
+
+    test('should check all conflict calendars of a Microsoft connection in one batch', async () => {
+      CalendarToken.findAll.mockResolvedValue([connection({
+        provider: 'microsoft',
+        conflictCalendarIds: [null, 'work']
+      })]);
+      mockGraphRequest.post.mockResolvedValue({
+        responses: [
+          {
+            id: '1',
+            status: 200,
+            body: {
+              value: [{
+                start: { dateTime: '2030-07-01T13:00:00.0000000', timeZone: 'UTC' },
+                end: { dateTime: '2030-07-01T14:00:00.0000000', timeZone: 'UTC' }
+              }]
+            }
+          },
+          { id: '0', status: 200, body: { value: [] } }
+        ]
+      });
+
+      const result = await calendarService.collectBusyTimes('host-1', start, end);
+
+      expect(mockGraphClient.api).toHaveBeenCalledWith('/$batch');
+      const { requests } = mockGraphRequest.post.mock.calls[0][0];
+      expect(requests.map((request) => request.url.split('?')[0])).toEqual([
+        '/me/calendar/calendarView', '/me/calendars/work/calendarView'
+      ]);
+      expect(result.busyTimes).toEqual([
+        { start: new Date('2030-07-01T13:00:00Z'), end: new Date('2030-07-01T14:00:00Z') }
+      ]);
+    });
+
+    test('should read every page of a busy Microsoft calendar', async () => {
+      CalendarToken.findAll.mockResolvedValue([connection({ provider: 'microsoft' })]);
+      const event = (hour) => ({
+        start: { dateTime: `2030-07-01T${hour}:00:00.0000000`, timeZone: 'UTC' },
+        end: { dateTime: `2030-07-01T${hour}:30:00.0000000`, timeZone: 'UTC' }
+      });
+      mockGraphRequest.post.mockResolvedValue({
+        responses: [{
+          id: '0',
+          status: 200,
+          body: { value: [event('09')], '@odata.nextLink': 'https://graph/calendarView?skip=500' }
+        }]
+      });
+      mockGraphRequest.get
+        .mockResolvedValueOnce({
+          value: [event('10')],
+          '@odata.nextLink': 'https://graph/calendarView?skip=1000'
+        })
+        .mockResolvedValueOnce({ value: [event('11')] });
+
+      const result = await calendarService.collectBusyTimes('host-1', start, end);
+
+      expect(mockGraphClient.api).toHaveBeenCalledWith('https://graph/calendarView?skip=500');
+      expect(mockGraphClient.api).toHaveBeenCalledWith('https://graph/calendarView?skip=1000');
+      expect(result.busyTimes.map((busy) => busy.start)).toEqual([
+        new Date('2030-07-01T09:00:00Z'),
+        new Date('2030-07-01T10:00:00Z'),
+        new Date('2030-07-01T11:00:00Z')
+      ]);
+      expect(result.failures).toEqual([]);
+    });
+
+    test('should report a Microsoft calendar whose later pages cannot be read', async () => {
+      CalendarToken.findAll.mockResolvedValue([connection({ provider: 'microsoft' })]);
+      mockGraphRequest.post.mockResolvedValue({
+        responses: [{
+          id: '0',
+          status: 200,
+          body: { value: [], '@odata.nextLink': 'https://graph/calendarView?skip=500' }
+        }]
+      });
+      mockGraphRequest.get.mockRejectedValue(new Error('Throttled'));
+
+      const result = await calendarService.collectBusyTimes('host-1', start, end);
+
+      expect(result.busyTimes).toEqual([]);
+      expect(result.failures).toEqual([expect.objectContaining({ provider: 'microsoft' })]);
+    });
+
+    test('should keep the busy times of other connections when one fails', async () => {
+      CalendarToken.findAll.mockResolvedValue([
+        connection({ provider: 'microsoft', email: 'host@outlook.com' }),
+        connection({ id: 'token-2' })
+      ]);
+      mockGraphRequest.post.mockRejectedValue(new Error('Graph unavailable'));
+      mockGoogleFreebusy.query.mockResolvedValue({
+        data: {
+          calendars: {
+            primary: { busy: [{ start: '2030-07-01T09:00:00Z', end: '2030-07-01T10:00:00Z' }] }
+          }
+        }
+      });
+
+      const result = await calendarService.collectBusyTimes('host-1', start, end);
+
+      expect(result.busyTimes).toEqual([
+        { start: new Date('2030-07-01T09:00:00Z'), end: new Date('2030-07-01T10:00:00Z') }
+      ]);
+      expect(result.failures).toEqual([{
+        provider: 'microsoft', email: 'host@outlook.com', error: 'Graph unavailable'
+      }]);
+    });
+
+    test('should not check connections with no conflict calendars', async () => {
+      CalendarToken.findAll.mockResolvedValue([connection({ conflictCalendarIds: [] })]);
+
+      const result = await calendarService.collectBusyTimes('host-1', start, end);
+
+      expect(mockGoogleFreebusy.query).not.toHaveBeenCalled();
+      expect(result).toEqual({ busyTimes: [], failures: [] });
+    });
+
+    test('should list the calendars of a connection with the primary one selected by default', async () => {
+      CalendarToken.findOne.mockResolvedValue(connection());
+
+      const { calendars } = await calendarService.listConnectionCalendars('host-1', 'token-1');
+
+      expect(calendars).toEqual([
+        {
+          id: 'host@example.com', name: 'Host', primary: true, writable: true, conflict: true, destination: true
+        },
+        {
+          id: 'team@example.com', name: 'Team', primary: false, writable: true, conflict: false, destination: false
+        },
+        {
+          id: 'holidays@example.com',
+          name: 'Holidays',
+          primary: false,
+          writable: false,
+          conflict: false,
+          destination: false
+        }
+      ]);
+    });
+
+    test('should save the selection and make the connection the default destination', async () => {
+      const token = connection();
+      CalendarToken.findOne.mockResolvedValue(token);
+
+      const result = await calendarService.updateCalendarSelection('host-1', 'token-1', {
+        conflictCalendarIds: ['host@example.com', 'holidays@example.com'],
+        destinationCalendarId: 'team@example.com',
+        defaultDestination: true
+      });
+
+      expect(token.update).toHaveBeenCalledWith({
+        conflictCalendarIds: ['host@example.com', 'holidays@example.com'],
+        destinationCalendarId: 'team@example.com',
+        syncToken: null
+      });
+      expect(User.update).toHaveBeenCalledWith(
+        { destination_calendar_token_id: 'token-1', calendar_provider: 'google' },
+        { where: { id: 'host-1' } }
+      );
+      expect(result.destinationChanged).toBe(true);
+      expect(result.calendars.filter((calendar) => calendar.conflict)).toHaveLength(2);
+    });
+
+    test('should reject calendars that are not part of the connection', async () => {
+      CalendarToken.findOne.mockResolvedValue(connection());
+
+      await expect(calendarService.updateCalendarSelection('host-1', 'token-1', {
+        conflictCalendarIds: ['someone-else@example.com']
+      })).rejects.toMatchObject({ statusCode: 400, field: 'conflict_calendar_ids' });
+    });
+
+    test('should reject read-only destination calendars', async () => {
+      const token = connection();
+      CalendarToken.findOne.mockResolvedValue(token);
+
+      await expect(calendarService.updateCalendarSelection('host-1', 'token-1', {
+        destinationCalendarId: 'holidays@example.com'
+      })).rejects.toMatchObject({ statusCode: 400, field: 'destination_calendar_id' });
+      expect(token.update).not.toHaveBeenCalled();
+    });
+
+    test('should not find connections of other users', async () => {
+      CalendarToken.findOne.mockResolvedValue(null);
+
+      await expect(calendarService.listConnectionCalendars('host-1', 'token-9'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(CalendarToken.findOne).toHaveBeenCalledWith({
+        where: { id: 'token-9', userId: 'host-1' }
+      });
+    });
+  });
+
+  describe('queueCalendarSync', () => {
+    test('should queue a retried calendarSync job for the booking', async () => {
+      await calendarService.queueCalendarSync(booking());
+
+      expect(mockAddJob).toHaveBeenCalledWith('calendarSync', 'sync', { bookingId: 'booking-1' }, {
+        attempts: 5,
+        backoff: { type: 'exponential', delay: 30000 },
+        removeOnComplete: true
+      });
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Invoice service unit tests
+ *
+ * Tests for invoice PDF rendering and storage
+ *
+ * @author meetabl Team
+ */
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// The service picks S3 or local storage from the environment
+const mockStorage = {
+  uploadFile: jest.fn(),
+  getSignedUrl: jest.fn(),
+  deleteFile: jest.fn()
+};
+jest.mock('../../../src/services/storage.service', () => mockStorage);
+jest.mock('../../../src/services/local-storage.service', () => mockStorage);
+
+jest.mock('../../../src/models', () => ({
+  Invoice: { findByPk: jest.fn() },
+  Payment: { findByPk: jest.fn() },
+  Booking: { findByPk: jest.fn() },
+  User: { findByPk: jest.fn() },
+  UserSettings: { findOne: jest.fn() },
+  EventType: { findByPk: jest.fn() }
+}));
+
+const invoiceService = require('../../../src/services/invoice.service');
+const {
+  Invoice, Payment, Booking, User, UserSettings, EventType
+} = require('../../../src/models');
+
+const payment = {
+  id: 'payment-1',
+  booking_id: 'booking-1',
+  amount: '119.00',
+  currency: 'EUR',
+  status: 'completed'
+};
+const booking = {
+  id: 'booking-1',
+  userId: 'host-1',
+  eventTypeId: 'event-type-1',
+  customerName: 'Carol Customer',
+  customerEmail: 'carol@example.com',
+  startTime: new Date('2026-07-01T10:00:00Z'),
+  endTime: new Date('2026-07-01T10:30:00Z')
+};
+const host = {
+  id: 'host-1',
+  firstName: 'Alice',
+  lastName: 'Smith',
+  email: 'alice@example.com',
+  timezone: 'Europe/Berlin',
+  language: 'de'
+};
+
+const createInvoice = (fields = {}) => {
+  const invoice = {
+    id: 'invoice-1',
+    payment_id: 'payment-1',
+    invoice_number: 'INV-1',
+    status: 'paid',
+    pdf_url: null,
+    tax_rate: null,
+    created_at: new Date('2026-07-01T11:00:00Z'),
+    ...fields
+  };
+  invoice.update = jest.fn((changes) => Object.assign(invoice, changes));
+  return invoice;
+};
+
+describe('Invoice Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Payment.findByPk.mockResolvedValue(payment);
+    Booking.findByPk.mockResolvedValue(booking);
+    User.findByPk.mockResolvedValue(host);
+    UserSettings.findOne.mockResolvedValue({
+      brandingColor: '#aa0000',
+      invoiceTaxRate: '19.00',
+      invoiceTaxLabel: 'VAT'
+    });
+    EventType.findByPk.mockResolvedValue({ name: 'Consultation' });
+    mockStorage.uploadFile.mockResolvedValue({ key: 'invoices/new.pdf' });
+  });
+
+  describe('calculateTax', () => {
+    test('should split a tax-inclusive total', () => {
+      expect(invoiceService.calculateTax(119, 19)).toEqual({
+        subtotal: 100,
+        taxAmount: 19,
+        total: 119
+      });
+    });
+
+    test('should round amounts to cents', () => {
+      expect(invoiceService.calculateTax(10, 7)).toEqual({
+        subtotal: 9.35,
+        taxAmount: 0.65,
+        total: 10
+      });
+    });
+
+    test('should leave untaxed totals unchanged', () => {
+      expect(invoiceService.calculateTax(50, 0)).toEqual({
+        subtotal: 50,
+        taxAmount: 0,
+        total: 50
+      });
+    });
+  });
+
+  describe('formatCurrency', () => {
+    test('should format amounts for the locale', () => {
+      expect(invoiceService.formatCurrency(1234.5, 'USD', 'en-US')).toBe('$1,234.50');
+      expect(invoiceService.formatCurrency(1234.5, 'EUR', 'de')).toMatch(/^1\.234,50\s€$/);
+    });
+  });
+
+  describe('renderInvoicePDF', () => {
+    test('should render a PDF document', async () => {
+      const pdf = await invoiceService.renderInvoicePDF({
+        invoice: createInvoice(),
+        payment,
+        booking,
+        host,
+        settings: null,
+        eventType: null,
+        logo: null,
+        tax: { rate: 0, label: 'Tax' }
+      });
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('should render a promo code discount', async () => {
+      const pdf = await invoiceService.renderInvoicePDF({
+        invoice: createInvoice(),
+        payment: { ...payment, discount_amount: '20.00', promo_code: 'SPRING25' },
+        booking,
+        host,
+        settings: null,
+        eventType: null,
+        logo: null,
+        tax: { rate: 20, label: 'VAT' }
+      });
+
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+
+  describe('generateInvoicePDF', () => {
+    test('should reject unknown invoices', async () => {
+      Invoice.findByPk.mockResolvedValue(null);
+
+      await expect(invoiceService.generateInvoicePDF('missing'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should store the PDF and record the tax from the host settings', async () => {
+      const invoice = createInvoice();
+      Invoice.findByPk.mockResolvedValue(invoice);
+
+      const result = await invoiceService.generateInvoicePDF('invoice-1');
+
+      expect(mockStorage.uploadFile).toHaveBeenCalledWith(expect.objectContaining({
+        originalname: 'invoice-INV-1.pdf',
+        mimetype: 'application/pdf'
+      }), 'invoices');
+      expect(invoice.update).toHaveBeenCalledWith({
+        pdf_url: 'invoices/new.pdf',
+        tax_rate: 19,
+        tax_amount: 19
+      });
+      expect(result).toBe(invoice);
+      expect(mockStorage.deleteFile).not.toHaveBeenCalled();
+    });
+
+    test('should keep the recorded tax rate and replace the previous PDF', async () => {
+      const invoice = createInvoice({ pdf_url: 'invoices/old.pdf', tax_rate: '0.00' });
+      Invoice.findByPk.mockResolvedValue(invoice);
+
+      await invoiceService.generateInvoicePDF('invoice-1');
+
+      expect(invoice.update).toHaveBeenCalledWith({
+        pdf_url: 'invoices/new.pdf',
+        tax_rate: 0,
+        tax_amount: 0
+      });
+      expect(mockStorage.deleteFile).toHaveBeenCalledWith('invoices/old.pdf');
+    });
+  });
+
+  describe('getInvoiceDownloadUrl', () => {
+    test('should sign a short-lived URL for the stored PDF', async () => {
+      mockStorage.getSignedUrl.mockResolvedValue('/uploads/invoices/new.pdf');
+
+      const url = await invoiceService.getInvoiceDownloadUrl(createInvoice({
+        pdf_url: 'invoices/new.pdf'
+      }));
+
+      expect(url).toBe('/uploads/invoices/new.pdf');
+      expect(mockStorage.getSignedUrl)
+        .toHaveBeenCalledWith('invoices/new.pdf', invoiceService.DOWNLOAD_URL_TTL);
+    });
+  });
+});
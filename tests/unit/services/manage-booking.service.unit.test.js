@@ -0,0 +1,119 @@
+/**
+ * Manage booking service unit tests
+ *
+ * Tests for invitee manage tokens and cancellation/reschedule cutoffs
+ *
+ * @author meetabl Team
+ */
+
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../../src/services/availability.service', () => ({
+  describeMinutes: (minutes) => `${minutes} minutes`
+}));
+
+const manageBookingService = require('../../../src/services/manage-booking.service');
+
+describe('Manage Booking Service', () => {
+  const booking = {
+    id: 'booking-1',
+    status: 'confirmed',
+    customerName: 'Jane Doe',
+    customerEmail: 'jane@example.com',
+    startTime: new Date('2026-07-01T10:00:00Z'),
+    endTime: new Date('2026-07-01T11:00:00Z')
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-06-30T10:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('manage tokens', () => {
+    test('should round-trip the booking ID', () => {
+      const token = manageBookingService.createManageToken(booking);
+
+      expect(manageBookingService.verifyManageToken(token)).toBe('booking-1');
+      expect(jwt.decode(token).exp).toBe(Math.floor(booking.endTime.getTime() / 1000));
+    });
+
+    test('should reject tokens once the booking has ended', () => {
+      const token = manageBookingService.createManageToken(booking);
+      jest.setSystemTime(new Date('2026-07-01T11:00:01Z'));
+
+      expect(manageBookingService.verifyManageToken(token)).toBeNull();
+    });
+
+    test('should not accept session tokens signed with the JWT secret', () => {
+      const sessionToken = jwt.sign({ bookingId: 'booking-1' }, process.env.JWT_SECRET || '');
+
+      expect(manageBookingService.verifyManageToken(sessionToken)).toBeNull();
+      expect(manageBookingService.verifyManageToken('not-a-token')).toBeNull();
+    });
+
+    test('should build the frontend manage URL', () => {
+      const originalUrl = process.env.FRONTEND_URL;
+      process.env.FRONTEND_URL = 'https://app.meetabl.com';
+
+      expect(manageBookingService.getManageUrl(booking))
+        .toMatch(/^https:\/\/app\.meetabl\.com\/booking\/manage\/[\w-]+\.[\w-]+\.[\w-]+$/);
+
+      process.env.FRONTEND_URL = originalUrl;
+    });
+  });
+
+  describe('getActionRestriction', () => {
+    const eventType = { cancellationCutoff: 1440, rescheduleCutoff: 120 };
+
+    test('should allow changes outside the cutoff', () => {
+      expect(manageBookingService.getActionRestriction(booking, eventType, 'cancel')).toBeNull();
+      expect(manageBookingService.getActionRestriction(booking, null, 'reschedule')).toBeNull();
+    });
+
+    test('should apply each action its own cutoff', () => {
+      const now = new Date('2026-06-30T12:00:00Z');
+
+      expect(manageBookingService.getActionRestriction(booking, eventType, 'cancel', now))
+        .toBe('This booking can no longer be cancelled less than 1440 minutes before it starts');
+      expect(manageBookingService.getActionRestriction(booking, eventType, 'reschedule', now))
+        .toBeNull();
+    });
+
+    test('should not allow changes to cancelled or started bookings', () => {
+      expect(manageBookingService.getActionRestriction({ ...booking, status: 'cancelled' }, null, 'cancel'))
+        .toBe('This booking has been cancelled');
+      expect(manageBookingService.getActionRestriction(booking, null, 'reschedule', booking.startTime))
+        .toBe('This booking has already started');
+    });
+  });
+
+  describe('serializeManagedBooking', () => {
+    test('should report the available actions', () => {
+      const host = {
+        firstName: 'Alice', lastName: 'Wilson', username: 'alice', timezone: 'UTC'
+      };
+      const eventType = {
+        id: 'event-type-1', name: 'Intro', duration: 60, cancellationCutoff: 1440, rescheduleCutoff: null
+      };
+
+      const result = manageBookingService.serializeManagedBooking(
+        booking,
+        host,
+        eventType,
+        new Date('2026-06-30T12:00:00Z')
+      );
+
+      expect(result).toMatchObject({
+        id: 'booking-1',
+        host: { name: 'Alice Wilson', username: 'alice' },
+        event_type: { id: 'event-type-1', cancellation_cutoff: 1440 },
+        can_cancel: false,
+        can_reschedule: true,
+        reschedule_restriction: null
+      });
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Outbound webhook service unit tests
+ *
+ * Tests for webhook endpoint management, event fan-out and signed delivery
+ *
+ * @author meetabl Team
+ */
+
+const crypto = require('crypto');
+
+jest.mock('axios', () => jest.fn());
+
+jest.mock('../../../src/utils/network', () => ({
+  assertPublicUrl: jest.fn(),
+  lookupPublicAddress: jest.fn()
+}));
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  WebhookEndpoint: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  WebhookDelivery: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    destroy: jest.fn()
+  },
+  AuditLog: { create: jest.fn() }
+}));
+
+// Shared across module resets, since the service requires the queue when
+// it sends a delivery
+const mockAddJob = jest.fn();
+jest.mock('../../../src/queue', () => ({
+  addJob: mockAddJob
+}));
+
+const axios = require('axios');
+const outboundWebhookService = require('../../../src/services/outbound-webhook.service');
+const { WebhookEndpoint, WebhookDelivery, AuditLog } = require('../../../src/models');
+const { assertPublicUrl, lookupPublicAddress } = require('../../../src/utils/network');
+
+const privateAddressError = () => Object.assign(new Error('10.0.0.5 is not a public address'), {
+  code: 'EPRIVATEADDRESS'
+});
+
+describe('Outbound Webhook Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    assertPublicUrl.mockResolvedValue();
+  });
+
+  describe('signPayload', () => {
+    test('should sign the timestamp and body with the secret', () => {
+      const expected = crypto.createHmac('sha256', 'whsec_test')
+        .update('1700000000.{"id":"evt"}')
+        .digest('hex');
+
+      expect(outboundWebhookService.signPayload('whsec_test', 1700000000, '{"id":"evt"}'))
+        .toBe(expected);
+    });
+  });
+
+  describe('createEndpoint', () => {
+    test('should create an endpoint with a generated secret', async () => {
+      WebhookEndpoint.create.mockImplementation((data) => Promise.resolve({ id: 'endpoint-1', active: true, ...data }));
+
+      const endpoint = await outboundWebhookService.createEndpoint('user-1', {
+        url: 'https://crm.example.com/hooks',
+        events: ['booking.created', 'booking.created', 'booking.cancelled']
+      });
+
+      expect(endpoint.secret).toMatch(/^whsec_[a-f0-9]{64}$/);
+      expect(endpoint.events).toEqual(['booking.created', 'booking.cancelled']);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        action: 'webhook_endpoint.create'
+      }));
+    });
+
+    test('should reject unknown events', async () => {
+      await expect(outboundWebhookService.createEndpoint('user-1', {
+        url: 'https://crm.example.com/hooks',
+        events: ['booking.created', 'invoice.paid']
+      })).rejects.toMatchObject({ statusCode: 400, field: 'events' });
+      expect(WebhookEndpoint.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject URLs that are not HTTPS', async () => {
+      await expect(outboundWebhookService.createEndpoint('user-1', {
+        url: 'http://crm.example.com/hooks',
+        events: ['booking.created']
+      })).rejects.toMatchObject({ statusCode: 400, field: 'url' });
+    });
+
+    test('should reject URLs of private hosts', async () => {
+      assertPublicUrl.mockRejectedValue(privateAddressError());
+
+      await expect(outboundWebhookService.createEndpoint('user-1', {
+        url: 'https://internal.example.com/hooks',
+        events: ['booking.created']
+      })).rejects.toMatchObject({ statusCode: 400, field: 'url' });
+      expect(WebhookEndpoint.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('emitEvent', () => {
+    test('should create and queue a delivery for each subscribed endpoint', async () => {
+      WebhookEndpoint.findAll.mockResolvedValue([
+        { id: 'endpoint-1', events: ['booking.created'] },
+        { id: 'endpoint-2', events: ['booking.cancelled'] },
+        { id: 'endpoint-3', events: ['booking.created', 'booking.cancelled'] }
+      ]);
+      WebhookDelivery.create.mockImplementation((data) => Promise.resolve({ id: `delivery-${data.endpointId}`, ...data }));
+
+      const count = await outboundWebhookService.emitEvent('user-1', 'booking.created', {
+        booking: { id: 'booking-1' }
+      });
+
+      expect(count).toBe(2);
+      expect(WebhookEndpoint.findAll).toHaveBeenCalledWith({ where: { userId: 'user-1', active: true } });
+
+      const [first, second] = WebhookDelivery.create.mock.calls.map(([data]) => data);
+      expect(first.endpointId).toBe('endpoint-1');
+      expect(second.endpointId).toBe('endpoint-3');
+      expect(second.eventId).toBe(first.eventId);
+      expect(first.payload).toMatchObject({
+        id: first.eventId,
+        type: 'booking.created',
+        data: { booking: { id: 'booking-1' } }
+      });
+
+      expect(mockAddJob).toHaveBeenCalledWith('webhook', 'deliver', { deliveryId: 'delivery-endpoint-1' }, expect.objectContaining({
+        jobId: 'delivery-endpoint-1',
+        attempts: outboundWebhookService.MAX_ATTEMPTS,
+        backoff: expect.objectContaining({ type: 'exponential' })
+      }));
+    });
+
+    test('should not throw when the event cannot be recorded', async () => {
+      WebhookEndpoint.findAll.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(outboundWebhookService.emitEvent('user-1', 'booking.created', {}))
+        .resolves.toBe(0);
+    });
+  });
+
+  describe('redeliver', () => {
+    test('should queue a copy of the original delivery', async () => {
+      WebhookEndpoint.findOne.mockResolvedValue({ id: 'endpoint-1', active: true });
+      WebhookDelivery.findOne.mockResolvedValue({
+        id: 'delivery-1',
+        event: 'booking.created',
+        eventId: 'event-1',
+        payload: { id: 'event-1' }
+      });
+      WebhookDelivery.create.mockImplementation((data) => Promise.resolve({ id: 'delivery-2', ...data }));
+
+      const delivery = await outboundWebhookService.redeliver('user-1', 'endpoint-1', 'delivery-1');
+
+      expect(WebhookDelivery.create).toHaveBeenCalledWith({
+        endpointId: 'endpoint-1',
+        event: 'booking.created',
+        eventId: 'event-1',
+        payload: { id: 'event-1' },
+        redeliveryOfId: 'delivery-1'
+      });
+      expect(delivery.redelivery_of_id).toBe('delivery-1');
+      expect(mockAddJob).toHaveBeenCalledWith('webhook', 'deliver', { deliveryId: 'delivery-2' }, expect.any(Object));
+    });
+
+    test('should reject deliveries of other endpoints', async () => {
+      WebhookEndpoint.findOne.mockResolvedValue({ id: 'endpoint-1', active: true });
+      WebhookDelivery.findOne.mockResolvedValue(null);
+
+      await expect(outboundWebhookService.redeliver('user-1', 'endpoint-1', 'delivery-9'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(mockAddJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deliverWebhook', () => {
+    const createDelivery = (fields) => ({
+      id: 'delivery-1',
+      event: 'booking.created',
+      status: 'pending',
+      attempts: 0,
+      payload: { id: 'event-1', type: 'booking.created' },
+      endpoint: { url: 'https://crm.example.com/hooks', secret: 'whsec_test', active: true },
+      update: jest.fn(),
+      ...fields
+    });
+
+    const mockResponse = (status, data = 'response body') => ({ status, data });
+
+    test('should send a signed request and record success', async () => {
+      const delivery = createDelivery();
+      WebhookDelivery.findByPk.mockResolvedValue(delivery);
+      axios.mockResolvedValue(mockResponse(200));
+
+      await outboundWebhookService.deliverWebhook('delivery-1');
+
+      const [options] = axios.mock.calls[0];
+      const timestamp = options.headers['X-Meetabl-Timestamp'];
+      expect(options).toMatchObject({
+        method: 'POST',
+        url: 'https://crm.example.com/hooks',
+        lookup: lookupPublicAddress,
+        maxRedirects: 0
+      });
+      expect(options.data).toBe(JSON.stringify(delivery.payload));
+      expect(options.headers['X-Meetabl-Signature']).toBe(
+        `sha256=${outboundWebhookService.signPayload('whsec_test', timestamp, options.data)}`
+      );
+      expect(delivery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'succeeded',
+        attempts: 1,
+        responseStatus: 200
+      }));
+    });
+
+    test('should throw on failure so the queue retries', async () => {
+      const delivery = createDelivery();
+      WebhookDelivery.findByPk.mockResolvedValue(delivery);
+      axios.mockResolvedValue(mockResponse(500));
+
+      await expect(outboundWebhookService.deliverWebhook('delivery-1')).rejects.toThrow('status 500');
+      expect(delivery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'pending',
+        attempts: 1,
+        responseStatus: 500
+      }));
+    });
+
+    test('should mark the delivery failed after the last attempt', async () => {
+      const delivery = createDelivery({ attempts: outboundWebhookService.MAX_ATTEMPTS - 1 });
+      WebhookDelivery.findByPk.mockResolvedValue(delivery);
+      axios.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await expect(outboundWebhookService.deliverWebhook('delivery-1')).resolves.toBe(delivery);
+      expect(delivery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'failed',
+        error: 'connect ECONNREFUSED'
+      }));
+    });
+
+    test('should not send deliveries that are already settled', async () => {
+      WebhookDelivery.findByPk.mockResolvedValue(createDelivery({ status: 'succeeded' }));
+
+      await outboundWebhookService.deliverWebhook('delivery-1');
+
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test('should not send to endpoints that now resolve to a private address', async () => {
+      const delivery = createDelivery();
+      WebhookDelivery.findByPk.mockResolvedValue(delivery);
+      assertPublicUrl.mockRejectedValue(privateAddressError());
+
+      await expect(outboundWebhookService.deliverWebhook('delivery-1')).rejects.toThrow('not a public address');
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test('should keep only a short excerpt of the response', async () => {
+      const delivery = createDelivery();
+      WebhookDelivery.findByPk.mockResolvedValue(delivery);
+      axios.mockResolvedValue(mockResponse(200, 'x'.repeat(5000)));
+
+      await outboundWebhookService.deliverWebhook('delivery-1');
+
+      const [[updates]] = delivery.update.mock.calls;
+      expect(updates.responseBody).toHaveLength(200);
+    });
+  });
+});
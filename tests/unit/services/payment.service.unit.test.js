@@ -13,7 +13,8 @@ require('../test-setup');
 const mockStripeInstance = {
   paymentIntents: {
     create: jest.fn(),
-    retrieve: jest.fn()
+    retrieve: jest.fn(),
+    cancel: jest.fn()
   },
   refunds: {
     create: jest.fn()
@@ -61,6 +62,10 @@ jest.mock('../../../src/config/logger', () => ({
   warn: jest.fn()
 }));
 
+jest.mock('../../../src/services/promo-code.service', () => ({
+  releasePromoCode: jest.fn()
+}));
+
 // Mock UUID
 jest.mock('uuid', () => ({
   v4: jest.fn(() => 'test-uuid-123')
@@ -69,6 +74,7 @@ jest.mock('uuid', () => ({
 // Import service after mocks
 const Stripe = require('stripe');
 const paymentService = require('../../../src/services/payment.service');
+const promoCodeService = require('../../../src/services/promo-code.service');
 const { Payment, Booking, User, Invoice, PricingRule } = require('../../../src/models');
 const { sequelize } = require('../../../src/config/database');
 
@@ -81,7 +87,8 @@ describe('Payment Service', () => {
     // Mock transaction
     mockTransaction = {
       commit: jest.fn(),
-      rollback: jest.fn()
+      rollback: jest.fn(),
+      LOCK: { UPDATE: 'UPDATE' }
     };
     sequelize.transaction.mockResolvedValue(mockTransaction);
   });
@@ -281,7 +288,8 @@ describe('Payment Service', () => {
       // Verify payment lookup
       expect(Payment.findOne).toHaveBeenCalledWith({
         where: { stripe_payment_intent_id: 'pi_test_123' },
-        transaction: mockTransaction
+        transaction: mockTransaction,
+        lock: 'UPDATE'
       });
 
       // Verify payment status update
@@ -306,6 +314,68 @@ describe('Payment Service', () => {
       });
     });
 
+    test('should not invoice a payment that is already completed again', async () => {
+      mockStripeInstance.paymentIntents.retrieve.mockResolvedValueOnce({
+        id: 'pi_test_123',
+        status: 'succeeded'
+      });
+      const mockPayment = {
+        id: 'payment-id',
+        stripe_payment_intent_id: 'pi_test_123',
+        status: 'completed',
+        update: jest.fn()
+      };
+      Payment.findOne.mockResolvedValueOnce(mockPayment);
+
+      const result = await paymentService.confirmPayment('pi_test_123');
+
+      expect(mockPayment.update).not.toHaveBeenCalled();
+      expect(Invoice.create).not.toHaveBeenCalled();
+      expect(mockTransaction.commit).toHaveBeenCalled();
+      expect(result).toEqual({ payment: mockPayment, invoice: null });
+    });
+
+    test('should leave refunded payments refunded', async () => {
+      mockStripeInstance.paymentIntents.retrieve.mockResolvedValueOnce({
+        id: 'pi_test_123',
+        status: 'succeeded'
+      });
+      const mockPayment = {
+        id: 'payment-id',
+        stripe_payment_intent_id: 'pi_test_123',
+        status: 'refunded',
+        update: jest.fn()
+      };
+      Payment.findOne.mockResolvedValueOnce(mockPayment);
+
+      await paymentService.confirmPayment('pi_test_123');
+
+      expect(mockPayment.update).not.toHaveBeenCalled();
+      expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    test('should complete a payment without an invoice when asked', async () => {
+      mockStripeInstance.paymentIntents.retrieve.mockResolvedValueOnce({
+        id: 'pi_test_123',
+        status: 'succeeded'
+      });
+      const mockPayment = {
+        id: 'payment-id',
+        stripe_payment_intent_id: 'pi_test_123',
+        status: 'pending',
+        update: jest.fn()
+      };
+      Payment.findOne.mockResolvedValueOnce(mockPayment);
+
+      const result = await paymentService.confirmPayment('pi_test_123', { issueInvoice: false });
+
+      expect(mockPayment.update).toHaveBeenCalledWith({
+        status: 'completed'
+      }, { transaction: mockTransaction });
+      expect(Invoice.create).not.toHaveBeenCalled();
+      expect(result.invoice).toBeNull();
+    });
+
     test('should throw error for unsuccessful payment', async () => {
       // Mock Stripe payment intent with failed status
       const mockPaymentIntent = {
@@ -635,4 +705,188 @@ describe('Payment Service', () => {
       await expect(paymentService.handleWebhookEvent(mockEvent)).rejects.toThrow('Stripe error');
     });
   });
+  describe('getBookingCharge', () => {
+    test('should return null for free event types', () => {
+      expect(paymentService.getBookingCharge(null)).toBeNull();
+      expect(paymentService.getBookingCharge({ price: null, currency: 'USD' })).toBeNull();
+      expect(paymentService.getBookingCharge({ price: '0.00', currency: 'USD' })).toBeNull();
+    });
+
+    test('should charge the full price without a deposit', () => {
+      expect(paymentService.getBookingCharge({ price: '120.00', currency: 'EUR', depositAmount: null }))
+        .toEqual({ amount: 120, currency: 'EUR', isDeposit: false });
+    });
+
+    test('should charge the deposit when it is below the price', () => {
+      expect(paymentService.getBookingCharge({ price: '120.00', currency: 'USD', depositAmount: '30.00' }))
+        .toEqual({ amount: 30, currency: 'USD', isDeposit: true });
+      expect(paymentService.getBookingCharge({ price: '120.00', currency: 'USD', depositAmount: '120.00' }))
+        .toEqual({ amount: 120, currency: 'USD', isDeposit: false });
+    });
+  });
+
+  describe('createBookingPaymentIntent', () => {
+    test('should create a host payment and a Stripe payment intent for the booking', async () => {
+      const mockPayment = { id: 'payment-id', update: jest.fn() };
+      Payment.create.mockResolvedValueOnce(mockPayment);
+      mockStripeInstance.paymentIntents.create.mockResolvedValueOnce({
+        id: 'pi_booking',
+        client_secret: 'pi_booking_secret'
+      });
+
+      const booking = {
+        id: 'booking-id', userId: 'host-id', customerEmail: 'invitee@example.com'
+      };
+      const result = await paymentService.createBookingPaymentIntent({
+        booking,
+        charge: { amount: 30, currency: 'USD', isDeposit: true },
+        transaction: mockTransaction
+      });
+
+      expect(Payment.create).toHaveBeenCalledWith({
+        user_id: 'host-id',
+        booking_id: 'booking-id',
+        amount: 30,
+        currency: 'USD',
+        status: 'pending',
+        promo_code_id: null,
+        promo_code: null,
+        discount_amount: 0
+      }, { transaction: mockTransaction });
+      const stripeCreate = mockStripeInstance.paymentIntents.create;
+      expect(stripeCreate).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 3000,
+        currency: 'usd',
+        receipt_email: 'invitee@example.com',
+        metadata: {
+          payment_id: 'payment-id',
+          booking_id: 'booking-id',
+          user_id: 'host-id',
+          deposit: 'true'
+        }
+      }), { idempotencyKey: 'booking-payment-payment-id' });
+      expect(mockPayment.update).toHaveBeenCalledWith({
+        stripe_payment_intent_id: 'pi_booking'
+      }, { transaction: mockTransaction });
+      expect(result).toEqual({
+        payment_id: 'payment-id',
+        client_secret: 'pi_booking_secret',
+        amount: 30,
+        currency: 'USD',
+        deposit: true,
+        discount: 0
+      });
+    });
+
+    test('should record the promo code discount on the payment', async () => {
+      const mockPayment = { id: 'payment-id', update: jest.fn() };
+      Payment.create.mockResolvedValueOnce(mockPayment);
+      mockStripeInstance.paymentIntents.create.mockResolvedValueOnce({
+        id: 'pi_booking',
+        client_secret: 'pi_booking_secret'
+      });
+
+      const result = await paymentService.createBookingPaymentIntent({
+        booking: { id: 'booking-id', userId: 'host-id', customerEmail: 'invitee@example.com' },
+        charge: {
+          amount: 90,
+          currency: 'USD',
+          isDeposit: false,
+          discount: 30,
+          promoCode: { id: 'promo-id', code: 'SPRING25' }
+        },
+        transaction: mockTransaction
+      });
+
+      expect(Payment.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 90,
+        promo_code_id: 'promo-id',
+        promo_code: 'SPRING25',
+        discount_amount: 30
+      }), { transaction: mockTransaction });
+      const stripeCreate = mockStripeInstance.paymentIntents.create;
+      expect(stripeCreate).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 9000,
+        metadata: expect.objectContaining({ promo_code: 'SPRING25' })
+      }), expect.any(Object));
+      expect(result.discount).toBe(30);
+    });
+  });
+
+  describe('recordWaivedBookingPayment', () => {
+    test('should complete and invoice a payment without charging', async () => {
+      Payment.create.mockResolvedValueOnce({ id: 'payment-id-123456' });
+      Invoice.create.mockResolvedValueOnce({ id: 'invoice-id' });
+
+      const result = await paymentService.recordWaivedBookingPayment({
+        booking: { id: 'booking-id', userId: 'host-id' },
+        charge: {
+          amount: 0,
+          currency: 'EUR',
+          isDeposit: false,
+          discount: 50,
+          promoCode: { id: 'promo-id', code: 'FREEBIE' }
+        },
+        transaction: mockTransaction
+      });
+
+      expect(Payment.create).toHaveBeenCalledWith({
+        user_id: 'host-id',
+        booking_id: 'booking-id',
+        amount: 0,
+        currency: 'EUR',
+        status: 'completed',
+        promo_code_id: 'promo-id',
+        promo_code: 'FREEBIE',
+        discount_amount: 50
+      }, { transaction: mockTransaction });
+      expect(Invoice.create).toHaveBeenCalledWith(expect.objectContaining({
+        payment_id: 'payment-id-123456',
+        status: 'paid'
+      }), { transaction: mockTransaction });
+      expect(mockStripeInstance.paymentIntents.create).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        payment_id: 'payment-id-123456',
+        client_secret: null,
+        amount: 0,
+        currency: 'EUR',
+        deposit: false,
+        discount: 50
+      });
+    });
+  });
+
+  describe('cancelPaymentIntent', () => {
+    test('should cancel an unpaid payment intent and fail the payment', async () => {
+      const mockPayment = { id: 'payment-id', stripe_payment_intent_id: 'pi_test_123', update: jest.fn() };
+      mockStripeInstance.paymentIntents.retrieve.mockResolvedValueOnce({ status: 'requires_payment_method' });
+
+      await expect(paymentService.cancelPaymentIntent(mockPayment)).resolves.toBe(true);
+
+      expect(mockStripeInstance.paymentIntents.cancel).toHaveBeenCalledWith('pi_test_123');
+      expect(mockPayment.update).toHaveBeenCalledWith({ status: 'failed' });
+      expect(promoCodeService.releasePromoCode).not.toHaveBeenCalled();
+    });
+
+    test('should give back the promo code redemption of a cancelled payment', async () => {
+      const mockPayment = {
+        id: 'payment-id', stripe_payment_intent_id: 'pi_test_123', promo_code_id: 'promo-id', update: jest.fn()
+      };
+      mockStripeInstance.paymentIntents.retrieve.mockResolvedValueOnce({ status: 'requires_payment_method' });
+
+      await expect(paymentService.cancelPaymentIntent(mockPayment)).resolves.toBe(true);
+
+      expect(promoCodeService.releasePromoCode).toHaveBeenCalledWith('promo-id');
+    });
+
+    test('should leave payments that went through alone', async () => {
+      const mockPayment = { id: 'payment-id', stripe_payment_intent_id: 'pi_test_123', update: jest.fn() };
+      mockStripeInstance.paymentIntents.retrieve.mockResolvedValueOnce({ status: 'succeeded' });
+
+      await expect(paymentService.cancelPaymentIntent(mockPayment)).resolves.toBe(false);
+
+      expect(mockStripeInstance.paymentIntents.cancel).not.toHaveBeenCalled();
+      expect(mockPayment.update).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
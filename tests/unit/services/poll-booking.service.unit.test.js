@@ -0,0 +1,109 @@
+/**
+ * Poll booking service unit tests
+ *
+ * Tests for booking the selected time slot of a finalized poll
+ *
+ * @author meetabl Team
+ */
+
+const { Op } = require('sequelize');
+
+jest.mock('../../../src/models', () => ({
+  Booking: { findOne: jest.fn(), create: jest.fn() },
+  PollVote: { findAll: jest.fn() }
+}));
+jest.mock('../../../src/services/availability.service', () => ({
+  getOccupyingBookingWhere: jest.fn(() => ({ occupying: true }))
+}));
+
+const pollBookingService = require('../../../src/services/poll-booking.service');
+const { Booking, PollVote } = require('../../../src/models');
+
+const vote = (pollTimeSlotId, participantName, participantEmail) => ({
+  pollTimeSlotId, participantName, participantEmail
+});
+
+describe('Poll Booking Service', () => {
+  const poll = {
+    id: 'poll-1',
+    userId: 'host-1',
+    title: 'Quarterly planning',
+    description: null
+  };
+  const slot = {
+    id: 'slot-2',
+    startTime: new Date('2026-07-01T10:00:00Z'),
+    endTime: new Date('2026-07-01T11:00:00Z')
+  };
+  const transaction = { id: 'transaction' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getPollAttendees', () => {
+    test('should list voters of the selected slot first, once per email', () => {
+      const attendees = pollBookingService.getPollAttendees([
+        vote('slot-1', 'Ann', 'ann@example.com'),
+        vote('slot-2', 'Bob', 'bob@example.com'),
+        vote('slot-1', 'Bob', 'BOB@example.com'),
+        vote('slot-2', 'Ann', 'ann@example.com')
+      ], 'slot-2');
+
+      expect(attendees).toEqual([
+        { name: 'Bob', email: 'bob@example.com' },
+        { name: 'Ann', email: 'ann@example.com' }
+      ]);
+    });
+  });
+
+  describe('createPollBooking', () => {
+    test('should book the slot for the first voter and invite the rest', async () => {
+      PollVote.findAll.mockResolvedValue([
+        vote('slot-1', 'Ann', 'ann@example.com'),
+        vote('slot-2', 'Bob', 'bob@example.com')
+      ]);
+      Booking.findOne.mockResolvedValue(null);
+      Booking.create.mockImplementation((data) => Promise.resolve(data));
+
+      const booking = await pollBookingService.createPollBooking({ poll, slot, transaction });
+
+      expect(booking).toMatchObject({
+        userId: 'host-1',
+        pollId: 'poll-1',
+        customerName: 'Bob',
+        customerEmail: 'bob@example.com',
+        attendees: [{ name: 'Ann', email: 'ann@example.com' }],
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        notes: 'Quarterly planning',
+        status: 'confirmed'
+      });
+      expect(Booking.create).toHaveBeenCalledWith(expect.any(Object), { transaction });
+
+      const { where } = Booking.findOne.mock.calls[0][0];
+      expect(where.userId).toBe('host-1');
+      expect(where.startTime[Op.lt]).toBe(slot.endTime);
+      expect(where.endTime[Op.gt]).toBe(slot.startTime);
+      // Payment holds block the slot as confirmed bookings do
+      expect(where[Op.and]).toEqual([{ occupying: true }]);
+      expect(where.status).toBeUndefined();
+    });
+
+    test('should reject the slot when it conflicts with a booking', async () => {
+      PollVote.findAll.mockResolvedValue([vote('slot-2', 'Bob', 'bob@example.com')]);
+      Booking.findOne.mockResolvedValue({ id: 'booking-9' });
+
+      await expect(pollBookingService.createPollBooking({ poll, slot, transaction }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject polls without participants', async () => {
+      PollVote.findAll.mockResolvedValue([]);
+
+      await expect(pollBookingService.createPollBooking({ poll, slot, transaction }))
+        .rejects.toMatchObject({ statusCode: 400, field: 'createBooking' });
+    });
+  });
+});
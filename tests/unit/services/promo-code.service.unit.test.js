@@ -0,0 +1,264 @@
+/**
+ * Promo code service unit tests
+ *
+ * Tests for managing promo codes and applying them to booking payments
+ *
+ * @author meetabl Team
+ */
+
+const { Op } = require('sequelize');
+
+jest.mock('../../../src/models', () => ({
+  PromoCode: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  EventType: { count: jest.fn() },
+  AuditLog: { create: jest.fn() }
+}));
+jest.mock('../../../src/config/database', () => ({
+  sequelize: {
+    literal: jest.fn((sql) => ({ literal: sql })),
+    col: jest.fn((name) => ({ col: name }))
+  }
+}));
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const promoCodeService = require('../../../src/services/promo-code.service');
+const { PromoCode, EventType, AuditLog } = require('../../../src/models');
+
+describe('Promo Code Service', () => {
+  const charge = { amount: 80, currency: 'USD', isDeposit: false };
+
+  const promoCode = (overrides = {}) => ({
+    id: 'promo-1',
+    userId: 'host-1',
+    code: 'SPRING25',
+    discountType: 'percent',
+    discountValue: '25.00',
+    currency: null,
+    expiresAt: null,
+    maxRedemptions: null,
+    redemptionCount: 0,
+    eventTypeIds: null,
+    active: true,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('applyPromoCode', () => {
+    test('should take a percentage off the charge', () => {
+      const result = promoCodeService.applyPromoCode(charge, promoCode());
+
+      expect(result).toEqual(expect.objectContaining({ amount: 60, discount: 20, currency: 'USD' }));
+    });
+
+    test('should round percentage discounts to cents', () => {
+      const result = promoCodeService.applyPromoCode({ ...charge, amount: 19.99 }, promoCode({ discountValue: '15.00' }));
+
+      expect(result.discount).toBe(3);
+      expect(result.amount).toBe(16.99);
+    });
+
+    test('should not take more than the charge off with a fixed amount', () => {
+      const result = promoCodeService.applyPromoCode(charge, promoCode({
+        discountType: 'fixed', discountValue: '100.00', currency: 'USD'
+      }));
+
+      expect(result.amount).toBe(0);
+      expect(result.discount).toBe(80);
+    });
+
+    test('should waive amounts below the smallest charge', () => {
+      const result = promoCodeService.applyPromoCode(charge, promoCode({
+        discountType: 'fixed', discountValue: '79.70', currency: 'USD'
+      }));
+
+      expect(result.amount).toBe(0);
+      expect(result.discount).toBe(80);
+    });
+
+    test('should leave the charge alone without a promo code', () => {
+      expect(promoCodeService.applyPromoCode(charge))
+        .toEqual({ ...charge, discount: 0, promoCode: null });
+    });
+  });
+
+  describe('findRedeemablePromoCode', () => {
+    const find = (overrides = {}) => promoCodeService.findRedeemablePromoCode({
+      userId: 'host-1',
+      code: ' spring25 ',
+      eventTypeId: 'event-type-1',
+      charge,
+      now: new Date('2030-07-01T09:00:00Z'),
+      ...overrides
+    });
+
+    test('should find an active code regardless of case', async () => {
+      const code = promoCode();
+      PromoCode.findOne.mockResolvedValue(code);
+
+      await expect(find()).resolves.toBe(code);
+      expect(PromoCode.findOne).toHaveBeenCalledWith({
+        where: { userId: 'host-1', code: 'SPRING25', active: true },
+        transaction: undefined
+      });
+    });
+
+    test('should reject unknown codes', async () => {
+      PromoCode.findOne.mockResolvedValue(null);
+
+      await expect(find()).rejects.toMatchObject({
+        statusCode: 400, field: 'promo_code', message: 'This promo code is not valid'
+      });
+    });
+
+    test('should reject expired codes', async () => {
+      PromoCode.findOne.mockResolvedValue(promoCode({ expiresAt: new Date('2030-06-30T00:00:00Z') }));
+
+      await expect(find()).rejects.toThrow('This promo code has expired');
+    });
+
+    test('should reject fully redeemed codes', async () => {
+      PromoCode.findOne.mockResolvedValue(promoCode({ maxRedemptions: 10, redemptionCount: 10 }));
+
+      await expect(find()).rejects.toThrow('This promo code has been fully redeemed');
+    });
+
+    test('should reject codes restricted to other event types', async () => {
+      PromoCode.findOne.mockResolvedValue(promoCode({ eventTypeIds: ['event-type-2'] }));
+
+      await expect(find()).rejects.toThrow('This promo code does not apply to this event type');
+    });
+
+    test('should reject fixed amount codes in another currency', async () => {
+      PromoCode.findOne.mockResolvedValue(promoCode({
+        discountType: 'fixed', discountValue: '10.00', currency: 'EUR'
+      }));
+
+      await expect(find()).rejects.toThrow('This promo code cannot be used for payments in USD');
+    });
+  });
+
+  describe('redeemPromoCode', () => {
+    test('should count a redemption while the code has some left', async () => {
+      PromoCode.update.mockResolvedValue([1]);
+      const transaction = { id: 'transaction' };
+
+      await promoCodeService.redeemPromoCode(promoCode(), transaction);
+
+      const [values, options] = PromoCode.update.mock.calls[0];
+      expect(values).toEqual({ redemptionCount: { literal: 'redemption_count + 1' } });
+      expect(options.where.id).toBe('promo-1');
+      expect(options.where[Op.or]).toEqual([
+        { maxRedemptions: null },
+        { maxRedemptions: { [Op.gt]: { col: 'redemption_count' } } }
+      ]);
+      expect(options.transaction).toBe(transaction);
+    });
+
+    test('should reject the redemption when another booking used the last one', async () => {
+      PromoCode.update.mockResolvedValue([0]);
+
+      await expect(promoCodeService.redeemPromoCode(promoCode()))
+        .rejects.toThrow('This promo code has been fully redeemed');
+    });
+  });
+
+  describe('createPromoCode', () => {
+    test('should store the code uppercased and log it', async () => {
+      PromoCode.findOne.mockResolvedValue(null);
+      EventType.count.mockResolvedValue(1);
+      PromoCode.create.mockImplementation(async (fields) => ({ id: 'promo-1', redemptionCount: 0, ...fields }));
+
+      const result = await promoCodeService.createPromoCode('host-1', {
+        code: 'summer-10',
+        discountType: 'fixed',
+        discountValue: 10,
+        currency: 'USD',
+        maxRedemptions: 50,
+        eventTypeIds: ['event-type-1', 'event-type-1']
+      });
+
+      expect(PromoCode.create).toHaveBeenCalledWith({
+        userId: 'host-1',
+        code: 'SUMMER-10',
+        discountType: 'fixed',
+        discountValue: 10,
+        currency: 'USD',
+        expiresAt: null,
+        maxRedemptions: 50,
+        eventTypeIds: ['event-type-1']
+      });
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'host-1',
+        action: 'promo_code.create'
+      }));
+      expect(result).toEqual(expect.objectContaining({
+        code: 'SUMMER-10', discount_type: 'fixed', discount_value: 10, event_type_ids: ['event-type-1']
+      }));
+    });
+
+    test('should reject duplicate codes', async () => {
+      PromoCode.findOne.mockResolvedValue(promoCode());
+
+      await expect(promoCodeService.createPromoCode('host-1', {
+        code: 'spring25', discountType: 'percent', discountValue: 25
+      })).rejects.toMatchObject({ statusCode: 409 });
+      expect(PromoCode.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject percentages above 100', async () => {
+      await expect(promoCodeService.createPromoCode('host-1', {
+        code: 'TOOMUCH', discountType: 'percent', discountValue: 150
+      })).rejects.toMatchObject({ statusCode: 400, field: 'discount_value' });
+    });
+
+    test('should require a currency for fixed amounts', async () => {
+      await expect(promoCodeService.createPromoCode('host-1', {
+        code: 'TENOFF', discountType: 'fixed', discountValue: 10
+      })).rejects.toMatchObject({ statusCode: 400, field: 'currency' });
+    });
+
+    test('should reject event types of other hosts', async () => {
+      PromoCode.findOne.mockResolvedValue(null);
+      EventType.count.mockResolvedValue(0);
+
+      await expect(promoCodeService.createPromoCode('host-1', {
+        code: 'SPRING25', discountType: 'percent', discountValue: 25, eventTypeIds: ['event-type-9']
+      })).rejects.toMatchObject({ statusCode: 400, field: 'event_type_ids' });
+    });
+  });
+
+  describe('updatePromoCode', () => {
+    test('should reject codes of other hosts', async () => {
+      PromoCode.findOne.mockResolvedValue(null);
+
+      await expect(promoCodeService.updatePromoCode('host-1', 'promo-1', { active: false }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should drop the currency when switching to a percentage', async () => {
+      const code = promoCode({ discountType: 'fixed', discountValue: '10.00', currency: 'USD' });
+      code.update = jest.fn(async (fields) => Object.assign(code, fields));
+      PromoCode.findOne.mockResolvedValue(code);
+
+      await promoCodeService.updatePromoCode('host-1', 'promo-1', {
+        discountType: 'percent', discountValue: 20
+      });
+
+      expect(code.update).toHaveBeenCalledWith({
+        discountType: 'percent', discountValue: 20, currency: null
+      });
+    });
+  });
+});
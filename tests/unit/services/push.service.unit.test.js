@@ -0,0 +1,192 @@
+/**
+ * Push service unit tests
+ *
+ * Tests for push subscription storage and Web Push delivery
+ *
+ * @author meetabl Team
+ */
+
+jest.mock('web-push', () => ({
+  setVapidDetails: jest.fn(),
+  sendNotification: jest.fn()
+}));
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  PushSubscription: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn(),
+    destroy: jest.fn()
+  }
+}));
+
+const webpush = require('web-push');
+const pushService = require('../../../src/services/push.service');
+const { PushSubscription } = require('../../../src/models');
+
+const subscription = {
+  endpoint: 'https://fcm.googleapis.com/fcm/send/abc',
+  keys: { p256dh: 'p256dh-key', auth: 'auth-secret' }
+};
+
+const storedSubscription = (id) => ({
+  id,
+  userId: 'user-1',
+  endpoint: `https://fcm.googleapis.com/fcm/send/${id}`,
+  p256dh: 'p256dh-key',
+  auth: 'auth-secret',
+  update: jest.fn(),
+  destroy: jest.fn()
+});
+
+describe('Push Service', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = {
+      ...originalEnv,
+      VAPID_PUBLIC_KEY: 'public-key',
+      VAPID_PRIVATE_KEY: 'private-key',
+      VAPID_SUBJECT: 'mailto:ops@example.com'
+    };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('saveSubscription', () => {
+    test('should reject subscriptions without keys', async () => {
+      await expect(pushService.saveSubscription('user-1', { endpoint: subscription.endpoint }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(PushSubscription.create).not.toHaveBeenCalled();
+    });
+
+    test('should create a new subscription', async () => {
+      PushSubscription.findOne.mockResolvedValue(null);
+      PushSubscription.create.mockResolvedValue({ id: 'sub-1' });
+
+      await pushService.saveSubscription('user-1', subscription, 'Firefox');
+
+      expect(PushSubscription.create).toHaveBeenCalledWith({
+        endpoint: subscription.endpoint,
+        userId: 'user-1',
+        p256dh: 'p256dh-key',
+        auth: 'auth-secret',
+        userAgent: 'Firefox'
+      });
+    });
+
+    test('should update a known endpoint instead of duplicating it', async () => {
+      const existing = storedSubscription('abc');
+      PushSubscription.findOne.mockResolvedValue(existing);
+
+      const result = await pushService.saveSubscription('user-1', subscription);
+
+      expect(result).toBe(existing);
+      expect(existing.update).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1' }));
+      expect(PushSubscription.create).not.toHaveBeenCalled();
+    });
+
+    test('should not move another user\'s subscription', async () => {
+      const existing = storedSubscription('abc');
+      PushSubscription.findOne.mockResolvedValue(existing);
+
+      await expect(pushService.saveSubscription('user-2', subscription))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(existing.update).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      'http://fcm.googleapis.com/fcm/send/abc',
+      'https://169.254.169.254/latest/meta-data',
+      'https://localhost:8080/push',
+      'https://fcm.googleapis.com.attacker.example/send/abc'
+    ])('should refuse endpoints outside the push services: %s', async (endpoint) => {
+      await expect(pushService.saveSubscription('user-1', { ...subscription, endpoint }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(PushSubscription.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should accept push service hosts added through the environment', async () => {
+      process.env.PUSH_SERVICE_HOSTS = 'push.example.com';
+      PushSubscription.findOne.mockResolvedValue(null);
+
+      await pushService.saveSubscription('user-1', {
+        ...subscription, endpoint: 'https://push.example.com/send/abc'
+      });
+
+      expect(PushSubscription.create).toHaveBeenCalled();
+    });
+  });
+
+  describe('removeSubscription', () => {
+    test('should only remove the user\'s own subscription', async () => {
+      PushSubscription.destroy.mockResolvedValue(1);
+
+      await expect(pushService.removeSubscription('user-1', subscription.endpoint))
+        .resolves.toBe(true);
+      expect(PushSubscription.destroy).toHaveBeenCalledWith({
+        where: { userId: 'user-1', endpoint: subscription.endpoint }
+      });
+    });
+  });
+
+  describe('sendToUser', () => {
+    test('should skip delivery without VAPID keys', async () => {
+      delete process.env.VAPID_PRIVATE_KEY;
+
+      const result = await pushService.sendToUser('user-1', { title: 'Hi' });
+
+      expect(result).toEqual({ sent: 0, pruned: 0, failed: 0 });
+      expect(PushSubscription.findAll).not.toHaveBeenCalled();
+    });
+
+    test('should send a signed notification to every subscription', async () => {
+      const first = storedSubscription('one');
+      const second = storedSubscription('two');
+      PushSubscription.findAll.mockResolvedValue([first, second]);
+      webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+
+      const result = await pushService.sendToUser('user-1', { title: 'New booking' });
+
+      expect(webpush.setVapidDetails)
+        .toHaveBeenCalledWith('mailto:ops@example.com', 'public-key', 'private-key');
+      expect(webpush.sendNotification).toHaveBeenCalledWith(
+        {
+          endpoint: first.endpoint,
+          keys: { p256dh: 'p256dh-key', auth: 'auth-secret' }
+        },
+        JSON.stringify({ title: 'New booking' }),
+        { TTL: 86400 }
+      );
+      expect(first.update).toHaveBeenCalledWith({ lastUsedAt: expect.any(Date) });
+      expect(result).toEqual({ sent: 2, pruned: 0, failed: 0 });
+    });
+
+    test('should prune subscriptions the push service reports as gone', async () => {
+      const expired = storedSubscription('expired');
+      const broken = storedSubscription('broken');
+      PushSubscription.findAll.mockResolvedValue([expired, broken]);
+      webpush.sendNotification.mockImplementation(({ endpoint }) => Promise.reject(
+        Object.assign(new Error('Push failed'), {
+          statusCode: endpoint === expired.endpoint ? 410 : 500
+        })
+      ));
+
+      const result = await pushService.sendToUser('user-1', { title: 'New booking' });
+
+      expect(expired.destroy).toHaveBeenCalled();
+      expect(broken.destroy).not.toHaveBeenCalled();
+      expect(result).toEqual({ sent: 0, pruned: 1, failed: 1 });
+    });
+  });
+});
@@ -8,14 +8,18 @@ const {
   scheduleReminders, 
   cancelReminders, 
   sendReminderEmail,
+  sendReminderSms,
   getReminderMinutes 
 } = require('../../../src/services/notification.service');
-const { Notification, Booking, User, UserSettings } = require('../../../src/models');
+const { normalizeReminders, resolveReminders } = require('../../../src/services/reminder.service');
+const smsService = require('../../../src/services/sms.service');
+const { Notification, Booking, EventType } = require('../../../src/models');
 const logger = require('../../../src/config/logger');
 
 // Mock dependencies
 jest.mock('../../../src/config/logger');
 jest.mock('../../../src/models');
+jest.mock('../../../src/services/sms.service');
 
 describe('Reminder Service', () => {
   beforeEach(() => {
@@ -258,4 +262,217 @@ describe('Reminder Service', () => {
         .rejects.toThrow('Booking not found: booking-123');
     });
   });
+  describe('normalizeReminders', () => {
+    test('should normalize valid reminders', () => {
+      expect(normalizeReminders([
+        { channel: 'email', audience: 'invitee', offset_minutes: 1440 },
+        { channel: 'sms', audience: 'invitee', offset_minutes: '60' },
+        { channel: 'push', audience: 'host', offset_minutes: 15 }
+      ])).toEqual([
+        { channel: 'email', audience: 'invitee', offset_minutes: 1440 },
+        { channel: 'sms', audience: 'invitee', offset_minutes: 60 },
+        { channel: 'push', audience: 'host', offset_minutes: 15 }
+      ]);
+    });
+
+    test('should keep null to use the default reminders', () => {
+      expect(normalizeReminders(null)).toBeNull();
+    });
+
+    test('should reject invalid reminders', () => {
+      expect(() => normalizeReminders([{ channel: 'fax', audience: 'host', offset_minutes: 60 }]))
+        .toThrow('Reminder 1 must have a channel of email, sms, push');
+      expect(() => normalizeReminders([{ channel: 'email', audience: 'everyone', offset_minutes: 60 }]))
+        .toThrow('Reminder 1 must have an audience of host, invitee');
+      expect(() => normalizeReminders([{ channel: 'push', audience: 'invitee', offset_minutes: 60 }]))
+        .toThrow('Reminder 1 can only send push notifications to the host');
+      expect(() => normalizeReminders([{ channel: 'email', audience: 'host', offset_minutes: 0 }]))
+        .toThrow('Reminder 1 must be 1 to 10080 minutes before the start');
+    });
+
+    test('should reject duplicate reminders', () => {
+      const reminder = { channel: 'email', audience: 'host', offset_minutes: 60 };
+
+      expect(() => normalizeReminders([reminder, reminder]))
+        .toThrow('Reminder 2 duplicates another reminder');
+    });
+
+    test('should reject too many reminders', () => {
+      const reminders = [1, 2, 3, 4, 5, 6]
+        .map((offset) => ({ channel: 'email', audience: 'host', offset_minutes: offset }));
+
+      expect(() => normalizeReminders(reminders)).toThrow('An event type can have at most 5 reminders');
+    });
+  });
+
+  describe('resolveReminders', () => {
+    test('should use the event type reminders', () => {
+      const eventType = {
+        reminderMinutes: 15,
+        reminders: [{ channel: 'sms', audience: 'invitee', offset_minutes: 60 }]
+      };
+
+      expect(resolveReminders({ eventType, settings: { reminderTime: 'none' } }))
+        .toEqual([{ channel: 'sms', audience: 'invitee', offsetMinutes: 60 }]);
+    });
+
+    test('should default to emails at the event type reminder minutes', () => {
+      const eventType = { reminderMinutes: 120, reminders: null };
+
+      expect(resolveReminders({ eventType, settings: { reminderTime: '30_minutes' } })).toEqual([
+        { channel: 'email', audience: 'invitee', offsetMinutes: 120 },
+        { channel: 'email', audience: 'host', offsetMinutes: 120 }
+      ]);
+    });
+
+    test('should default to the host setting without an event type', () => {
+      expect(resolveReminders({ settings: { reminderTime: '1_hour' } })).toEqual([
+        { channel: 'email', audience: 'invitee', offsetMinutes: 60 },
+        { channel: 'email', audience: 'host', offsetMinutes: 60 }
+      ]);
+    });
+
+    test('should return no default reminders when disabled', () => {
+      const eventType = { reminderMinutes: 0 };
+
+      expect(resolveReminders({ settings: { reminderTime: 'none' } })).toEqual([]);
+      expect(resolveReminders({ eventType, settings: { reminderTime: '1_hour' } })).toEqual([]);
+      expect(resolveReminders({})).toEqual([]);
+    });
+  });
+
+  describe('scheduleReminders with event type reminders', () => {
+    const booking = {
+      id: 'booking-123',
+      eventTypeId: 'event-type-123',
+      startTime: new Date(Date.now() + 48 * 60 * 60 * 1000), // 2 days from now
+      customerEmail: 'customer@example.com',
+      customerPhone: '+15550001111',
+      attendees: [{ name: 'Guest', email: 'guest@example.com' }],
+      user: {
+        id: 'user-123',
+        email: 'host@example.com',
+        phoneNumber: '+15550002222',
+        settings: { reminderTime: '30_minutes' }
+      }
+    };
+
+    beforeEach(() => {
+      Booking.findByPk = jest.fn().mockResolvedValue(booking);
+      Notification.findOne = jest.fn().mockResolvedValue(null);
+      Notification.create = jest.fn().mockImplementation(async (data) => data);
+    });
+
+    test('should create a notification per reminder and recipient', async () => {
+      EventType.findByPk = jest.fn().mockResolvedValue({
+        reminders: [
+          { channel: 'email', audience: 'invitee', offset_minutes: 1440 },
+          { channel: 'sms', audience: 'invitee', offset_minutes: 60 },
+          { channel: 'sms', audience: 'host', offset_minutes: 60 },
+          { channel: 'push', audience: 'host', offset_minutes: 15 }
+        ]
+      });
+
+      const result = await scheduleReminders('booking-123');
+
+      expect(EventType.findByPk).toHaveBeenCalledWith('event-type-123');
+      expect(result.map(({ channel, recipient }) => [channel, recipient])).toEqual([
+        ['email', 'customer@example.com'],
+        ['email', 'guest@example.com'],
+        ['sms', '+15550001111'],
+        ['sms', '+15550002222'],
+        ['push', 'user-123']
+      ]);
+      const start = booking.startTime.getTime();
+      expect(result[0].scheduledFor).toEqual(new Date(start - 1440 * 60 * 1000));
+      expect(result[4].scheduledFor).toEqual(new Date(start - 15 * 60 * 1000));
+    });
+
+    test('should skip reminders whose time has passed and SMS without a phone number', async () => {
+      EventType.findByPk = jest.fn().mockResolvedValue({
+        reminders: [
+          { channel: 'email', audience: 'host', offset_minutes: 10080 },
+          { channel: 'sms', audience: 'invitee', offset_minutes: 60 }
+        ]
+      });
+      Booking.findByPk.mockResolvedValue({ ...booking, customerPhone: null });
+
+      const result = await scheduleReminders('booking-123');
+
+      expect(result).toEqual([]);
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    test('should only treat pending reminders as already scheduled', async () => {
+      EventType.findByPk = jest.fn().mockResolvedValue({ reminderMinutes: 60, reminders: null });
+
+      await scheduleReminders('booking-123');
+
+      expect(Notification.findOne).toHaveBeenCalledWith({
+        where: { bookingId: 'booking-123', type: 'reminder', status: 'pending' }
+      });
+    });
+  });
+
+  describe('cancelReminders with a reason', () => {
+    test('should record the reason on cancelled reminders', async () => {
+      Notification.update = jest.fn().mockResolvedValue([1]);
+
+      await cancelReminders('booking-123', 'Booking rescheduled');
+
+      expect(Notification.update).toHaveBeenCalledWith(
+        { status: 'failed', errorMessage: 'Booking rescheduled' },
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('sendReminderSms', () => {
+    const booking = {
+      id: 'booking-123',
+      customerName: 'John Doe',
+      startTime: new Date('2030-01-15T15:00:00Z'),
+      endTime: new Date('2030-01-15T15:30:00Z'),
+      meetingUrl: 'https://meet.example.com/123',
+      user: {
+        id: 'user-123',
+        email: 'host@example.com',
+        firstName: 'Jane',
+        lastName: 'Smith',
+        phoneNumber: '+15550002222',
+        timezone: 'UTC'
+      }
+    };
+
+    beforeEach(() => {
+      Booking.findByPk = jest.fn().mockResolvedValue(booking);
+      smsService.sendSMS.mockResolvedValue({ sid: 'SM123' });
+    });
+
+    test('should text the invitee with the host, time and manage link', async () => {
+      await sendReminderSms({ bookingId: 'booking-123', recipient: '+15550001111' });
+
+      const [to, message] = smsService.sendSMS.mock.calls[0];
+      expect(to).toBe('+15550001111');
+      expect(message).toContain('Reminder: your meeting with Jane Smith starts Tue, Jan 15, 3:00 PM UTC.');
+      expect(message).toContain('Join: https://meet.example.com/123');
+      expect(message).toContain('/booking/manage/');
+    });
+
+    test('should text the host without a manage link', async () => {
+      await sendReminderSms({ bookingId: 'booking-123', recipient: '+15550002222' });
+
+      const [to, message] = smsService.sendSMS.mock.calls[0];
+      expect(to).toBe('+15550002222');
+      expect(message).toContain('Reminder: your meeting with John Doe starts');
+      expect(message).not.toContain('/booking/manage/');
+    });
+
+    test('should fail when the SMS cannot be sent', async () => {
+      smsService.sendSMS.mockRejectedValue(new Error('Twilio client not configured'));
+
+      await expect(sendReminderSms({ bookingId: 'booking-123', recipient: '+15550001111' }))
+        .rejects.toThrow('Twilio client not configured');
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,442 @@
+/**
+ * SSO service unit tests
+ *
+ * Tests single sign-on logins against a local mock OpenID provider
+ *
+ * @author meetabl Team
+ */
+
+jest.mock('../../../src/models', () => ({
+  SsoConnection: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  Team: { findByPk: jest.fn() },
+  TeamMember: { findOne: jest.fn(), create: jest.fn() },
+  User: { findOne: jest.fn(), create: jest.fn() },
+  UserSettings: { create: jest.fn() },
+  AuditLog: { create: jest.fn() }
+}));
+jest.mock('../../../src/config/database', () => ({
+  sequelize: { transaction: jest.fn() }
+}));
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../../src/services/subscription.service', () => ({
+  checkFeatureAccess: jest.fn()
+}));
+jest.mock('../../../src/services/team.service', () => ({
+  getManagedTeam: jest.fn()
+}));
+// The mock provider listens on a loopback address
+jest.mock('../../../src/utils/network', () => ({
+  assertPublicUrl: jest.fn(),
+  lookupPublicAddress: jest.fn((...args) => jest.requireActual('dns').lookup(...args))
+}));
+
+const dns = require('dns');
+const { startMockIdp } = require('../../fixtures/mock-oidc-idp');
+const ssoService = require('../../../src/services/sso.service');
+const {
+  SsoConnection, Team, TeamMember, User, UserSettings, AuditLog
+} = require('../../../src/models');
+const { sequelize } = require('../../../src/config/database');
+const subscriptionService = require('../../../src/services/subscription.service');
+const teamService = require('../../../src/services/team.service');
+const network = require('../../../src/utils/network');
+
+describe('SSO Service', () => {
+  const redirectUri = 'http://localhost:3001/api/auth/sso/callback';
+  const team = { id: 'team-1', owner_id: 'owner-1', name: 'Acme' };
+  let idp;
+  let connection;
+  let transaction;
+
+  /**
+   * Start a login and follow the provider's redirect back
+   * @param {string} [email] - Email address entered
+   * @returns {Promise<Object>} Callback parameters and login state
+   */
+  const signIn = async (email = 'jane@example.com') => {
+    const { authorizationUrl, loginState } = await ssoService.startLogin({ email, redirectUri });
+    const response = await fetch(authorizationUrl, { redirect: 'manual' });
+    const callback = new URL(response.headers.get('location'));
+
+    return {
+      code: callback.searchParams.get('code'),
+      state: callback.searchParams.get('state'),
+      loginState,
+      redirectUri
+    };
+  };
+
+  beforeAll(async () => {
+    idp = await startMockIdp();
+  });
+
+  afterAll(async () => {
+    await idp.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    connection = {
+      id: 'connection-1',
+      teamId: 'team-1',
+      protocol: 'oidc',
+      issuer: idp.issuer,
+      clientId: idp.clientId,
+      clientSecret: idp.clientSecret,
+      allowedDomains: ['example.com'],
+      domainVerifications: {
+        'example.com': { token: 'token-1', verifiedAt: '2026-10-01T00:00:00.000Z' }
+      },
+      enabled: true
+    };
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    idp.setUser({
+      sub: 'user-1',
+      email: 'Jane@Example.com',
+      email_verified: true,
+      given_name: 'Jane',
+      family_name: 'Doe'
+    });
+
+    SsoConnection.findAll.mockResolvedValue([connection]);
+    SsoConnection.findOne.mockResolvedValue(connection);
+    Team.findByPk.mockResolvedValue(team);
+    subscriptionService.checkFeatureAccess.mockResolvedValue(true);
+    sequelize.transaction.mockResolvedValue(transaction);
+    User.findOne.mockResolvedValue(null);
+    User.create.mockImplementation(async (fields) => ({ ...fields }));
+    network.assertPublicUrl.mockResolvedValue();
+  });
+
+  describe('startLogin', () => {
+    test('should send the user to the provider with PKCE and a nonce', async () => {
+      const { authorizationUrl } = await ssoService.startLogin({ email: 'jane@example.com', redirectUri });
+      const url = new URL(authorizationUrl);
+
+      expect(`${url.origin}${url.pathname}`).toBe(`${idp.issuer}/authorize`);
+      expect(Object.fromEntries(url.searchParams)).toEqual(expect.objectContaining({
+        response_type: 'code',
+        client_id: idp.clientId,
+        redirect_uri: redirectUri,
+        scope: 'openid email profile',
+        code_challenge_method: 'S256',
+        login_hint: 'jane@example.com'
+      }));
+      expect(url.searchParams.get('state')).toBeTruthy();
+      expect(url.searchParams.get('nonce')).toBeTruthy();
+      expect(url.searchParams.get('code_challenge')).toBeTruthy();
+    });
+
+    test('should reject email domains without a connection', async () => {
+      await expect(ssoService.startLogin({ email: 'joe@other.org', redirectUri }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should not use domains that have not been verified', async () => {
+      connection.domainVerifications = { 'example.com': { token: 'token-1', verifiedAt: null } };
+
+      await expect(ssoService.startLogin({ email: 'jane@example.com', redirectUri }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should reject teams whose plan does not include SSO', async () => {
+      subscriptionService.checkFeatureAccess.mockResolvedValue(false);
+
+      await expect(ssoService.startLogin({ email: 'jane@example.com', redirectUri }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(subscriptionService.checkFeatureAccess).toHaveBeenCalledWith('owner-1', 'sso');
+    });
+  });
+
+  describe('completeLogin', () => {
+    test('should provision a new user into the team', async () => {
+      const result = await ssoService.completeLogin(await signIn());
+
+      expect(result.provisioned).toBe(true);
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        firstName: 'Jane',
+        lastName: 'Doe',
+        email: 'jane@example.com',
+        email_verified: true
+      }), { transaction });
+      expect(UserSettings.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: result.user.id }),
+        { transaction }
+      );
+      expect(TeamMember.create).toHaveBeenCalledWith({
+        team_id: 'team-1', user_id: result.user.id, role: 'member'
+      }, { transaction });
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user.sso_login', userId: result.user.id
+      }));
+    });
+
+    test('should sign in existing team members without changing them', async () => {
+      const user = { id: 'user-7', email: 'jane@example.com' };
+      User.findOne.mockResolvedValue(user);
+      TeamMember.findOne.mockResolvedValue({ team_id: 'team-1', user_id: 'user-7' });
+
+      const result = await ssoService.completeLogin(await signIn());
+
+      expect(result).toEqual({ user, provisioned: false });
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    test('should not sign in existing accounts outside the team', async () => {
+      User.findOne.mockResolvedValue({ id: 'user-8', email: 'jane@example.com' });
+      TeamMember.findOne.mockResolvedValue(null);
+
+      await expect(ssoService.completeLogin(await signIn()))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('should reject a callback for another login', async () => {
+      const callback = await signIn();
+
+      await expect(ssoService.completeLogin({ ...callback, state: 'forged' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should reject a login without its signed state', async () => {
+      const callback = await signIn();
+
+      await expect(ssoService.completeLogin({ ...callback, loginState: undefined }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should reject email domains the connection does not allow', async () => {
+      idp.setUser({ sub: 'user-2', email: 'joe@other.org', email_verified: true });
+
+      await expect(ssoService.completeLogin(await signIn()))
+        .rejects.toThrow('This email domain cannot sign in through this team');
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject domains that are no longer verified', async () => {
+      const callback = await signIn();
+      connection.domainVerifications = {};
+
+      await expect(ssoService.completeLogin(callback))
+        .rejects.toThrow('This email domain cannot sign in through this team');
+    });
+
+    test('should reject unverified email addresses', async () => {
+      idp.setUser({ sub: 'user-3', email: 'jane@example.com', email_verified: false });
+
+      await expect(ssoService.completeLogin(await signIn()))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('should reject codes the provider does not accept', async () => {
+      const callback = await signIn();
+      connection.clientSecret = 'wrong-secret';
+
+      await expect(ssoService.completeLogin(callback))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test('should only exchange codes at a public token endpoint', async () => {
+      const callback = await signIn();
+      network.assertPublicUrl.mockImplementation(async (url) => {
+        if (url === `${idp.issuer}/token`) {
+          throw Object.assign(new Error('127.0.0.1 is not a public address'), {
+            code: 'EPRIVATEADDRESS'
+          });
+        }
+      });
+
+      await expect(ssoService.completeLogin(callback))
+        .rejects.toMatchObject({ statusCode: 401 });
+      expect(User.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saveTeamConnection', () => {
+    const settings = () => ({
+      issuer: `${idp.issuer}/`,
+      clientId: idp.clientId,
+      clientSecret: idp.clientSecret,
+      allowedDomains: ['Example.com', 'example.com']
+    });
+
+    beforeEach(() => {
+      teamService.getManagedTeam.mockResolvedValue(team);
+      SsoConnection.findOne.mockResolvedValue(null);
+      SsoConnection.findAll.mockResolvedValue([]);
+      SsoConnection.create.mockImplementation(async (fields) => ({ id: 'connection-2', ...fields }));
+    });
+
+    test('should check the issuer and store the connection', async () => {
+      const result = await ssoService.saveTeamConnection('team-1', 'owner-1', settings());
+
+      expect(SsoConnection.create).toHaveBeenCalledWith({
+        teamId: 'team-1',
+        protocol: 'oidc',
+        issuer: idp.issuer,
+        clientId: idp.clientId,
+        clientSecret: idp.clientSecret,
+        allowedDomains: ['example.com'],
+        domainVerifications: {
+          'example.com': { token: expect.any(String), verifiedAt: null }
+        }
+      });
+      expect(result).not.toHaveProperty('client_secret');
+      expect(result.domains).toEqual([expect.objectContaining({
+        domain: 'example.com',
+        verified: false,
+        verification_record: expect.objectContaining({
+          type: 'TXT',
+          name: '_meetabl-verification.example.com'
+        })
+      })]);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'sso_connection.create'
+      }));
+    });
+
+    test('should keep the verification of domains the connection already had', async () => {
+      const update = jest.fn(async function save(fields) { return { ...this, ...fields }; });
+      SsoConnection.findOne.mockResolvedValue({ ...connection, update });
+
+      await ssoService.saveTeamConnection('team-1', 'owner-1', {
+        ...settings(), allowedDomains: ['example.com', 'example.org']
+      });
+
+      expect(update).toHaveBeenCalledWith(expect.objectContaining({
+        domainVerifications: {
+          'example.com': connection.domainVerifications['example.com'],
+          'example.org': { token: expect.any(String), verifiedAt: null }
+        }
+      }));
+    });
+
+    test('should only let the team owner change the connection', async () => {
+      await expect(ssoService.saveTeamConnection('team-1', 'admin-1', settings()))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(SsoConnection.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject domains another team has verified', async () => {
+      SsoConnection.findAll.mockResolvedValue([{ ...connection, teamId: 'team-2' }]);
+
+      await expect(ssoService.saveTeamConnection('team-1', 'owner-1', settings()))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should not let an unverified claim block the domain', async () => {
+      SsoConnection.findAll.mockResolvedValue([{
+        teamId: 'team-2', allowedDomains: ['example.com'], domainVerifications: {}
+      }]);
+
+      await expect(ssoService.saveTeamConnection('team-1', 'owner-1', settings()))
+        .resolves.toMatchObject({ allowed_domains: ['example.com'] });
+    });
+
+    test('should require a client secret for a new connection', async () => {
+      await expect(ssoService.saveTeamConnection('team-1', 'owner-1', {
+        ...settings(), clientSecret: undefined
+      })).rejects.toMatchObject({ statusCode: 400, field: 'client_secret' });
+    });
+
+    test('should reject issuers that are not on a public host', async () => {
+      network.assertPublicUrl.mockRejectedValue(Object.assign(
+        new Error('sso.internal.example.com is not a public address'),
+        { code: 'EPRIVATEADDRESS' }
+      ));
+
+      await expect(ssoService.saveTeamConnection('team-1', 'owner-1', {
+        ...settings(), issuer: 'https://sso.internal.example.com'
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        field: 'issuer',
+        message: 'Issuer must point to a public host'
+      });
+      expect(network.assertPublicUrl).toHaveBeenCalledWith(
+        'https://sso.internal.example.com/.well-known/openid-configuration'
+      );
+      expect(SsoConnection.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject issuers without OpenID configuration', async () => {
+      await expect(ssoService.saveTeamConnection('team-1', 'owner-1', {
+        ...settings(), issuer: `${idp.issuer}/missing`
+      })).rejects.toMatchObject({ statusCode: 400, field: 'issuer' });
+    });
+  });
+
+  describe('verifyTeamDomain', () => {
+    let update;
+
+    beforeEach(() => {
+      update = jest.fn(async function save(fields) { Object.assign(this, fields); return this; });
+      connection.domainVerifications = { 'example.com': { token: 'token-1', verifiedAt: null } };
+      connection.update = update;
+      teamService.getManagedTeam.mockResolvedValue(team);
+      SsoConnection.findAll.mockResolvedValue([]);
+      jest.spyOn(dns.promises, 'resolveTxt')
+        .mockResolvedValue([['meetabl-domain-verification=', 'token-1']]);
+    });
+
+    afterEach(() => {
+      dns.promises.resolveTxt.mockRestore();
+    });
+
+    test('should mark the domain verified when its TXT record matches', async () => {
+      const result = await ssoService.verifyTeamDomain('team-1', 'owner-1', 'Example.com');
+
+      expect(dns.promises.resolveTxt).toHaveBeenCalledWith('_meetabl-verification.example.com');
+      expect(update).toHaveBeenCalledWith({
+        domainVerifications: {
+          'example.com': { token: 'token-1', verifiedAt: expect.any(String) }
+        }
+      });
+      expect(result.domains[0]).toMatchObject({ domain: 'example.com', verified: true });
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'sso_connection.verify_domain'
+      }));
+    });
+
+    test('should reject a domain without the TXT record', async () => {
+      dns.promises.resolveTxt.mockResolvedValue([['meetabl-domain-verification=other']]);
+
+      await expect(ssoService.verifyTeamDomain('team-1', 'owner-1', 'example.com'))
+        .rejects.toMatchObject({ statusCode: 400, field: 'domain' });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    test('should reject a domain with no verification record at all', async () => {
+      dns.promises.resolveTxt.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+
+      await expect(ssoService.verifyTeamDomain('team-1', 'owner-1', 'example.com'))
+        .rejects.toMatchObject({ statusCode: 400, field: 'domain' });
+    });
+
+    test('should reject a domain another team has verified', async () => {
+      SsoConnection.findAll.mockResolvedValue([{
+        teamId: 'team-2',
+        allowedDomains: ['example.com'],
+        domainVerifications: { 'example.com': { token: 'x', verifiedAt: '2026-10-01T00:00:00.000Z' } }
+      }]);
+
+      await expect(ssoService.verifyTeamDomain('team-1', 'owner-1', 'example.com'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    test('should only let the team owner verify domains', async () => {
+      await expect(ssoService.verifyTeamDomain('team-1', 'admin-1', 'example.com'))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(dns.promises.resolveTxt).not.toHaveBeenCalled();
+    });
+  });
+});
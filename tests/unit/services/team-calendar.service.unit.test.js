@@ -0,0 +1,219 @@
+/**
+ * Team calendar service unit tests
+ *
+ * Tests for the shared team calendar and its ICS feed
+ *
+ * @author meetabl Team
+ */
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/config/database', () => ({
+  Op: jest.requireActual('sequelize').Op
+}));
+
+jest.mock('../../../src/services/availability.service', () => ({
+  ...jest.requireActual('../../../src/services/availability.service'),
+  getBusyTimesForRange: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  Team: { findByPk: jest.fn() },
+  TeamMember: { findOne: jest.fn(), findAll: jest.fn() },
+  TeamCalendarFeed: { findOne: jest.fn(), create: jest.fn() },
+  User: {},
+  Booking: { findAll: jest.fn() },
+  AuditLog: { create: jest.fn() }
+}));
+
+const teamCalendarService = require('../../../src/services/team-calendar.service');
+const availabilityService = require('../../../src/services/availability.service');
+const {
+  Team, TeamMember, TeamCalendarFeed, Booking, AuditLog
+} = require('../../../src/models');
+
+const team = { id: 'team-1', name: 'Support' };
+const alice = {
+  id: 'alice', firstName: 'Alice', lastName: 'Smith', timezone: 'UTC'
+};
+const bob = {
+  id: 'bob', firstName: 'Bob', lastName: 'Jones', timezone: 'America/New_York'
+};
+
+describe('Team Calendar Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    TeamMember.findAll.mockResolvedValue([{ user: alice }, { user: bob }]);
+    Booking.findAll.mockResolvedValue([{
+      id: 'booking-1',
+      userId: 'alice',
+      customerName: 'Carol Customer',
+      startTime: new Date('2026-07-01T10:00:00Z'),
+      endTime: new Date('2026-07-01T11:00:00Z')
+    }]);
+    availabilityService.getBusyTimesForRange.mockImplementation((userId) => Promise.resolve({
+      busyTimes: userId === 'bob'
+        ? [
+          { start: new Date('2026-07-01T14:00:00Z'), end: new Date('2026-07-01T15:00:00Z') },
+          { start: new Date('2026-06-30T23:00:00Z'), end: new Date('2026-06-30T23:30:00Z') }
+        ]
+        : [],
+      degraded: userId === 'bob',
+      failedProviders: userId === 'bob' ? ['google'] : []
+    }));
+  });
+
+  describe('getMemberTeam', () => {
+    test('should reject unknown teams', async () => {
+      Team.findByPk.mockResolvedValue(null);
+
+      await expect(teamCalendarService.getMemberTeam('team-1', 'alice'))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Team not found' });
+    });
+
+    test('should reject users outside the team', async () => {
+      Team.findByPk.mockResolvedValue(team);
+      TeamMember.findOne.mockResolvedValue(null);
+
+      await expect(teamCalendarService.getMemberTeam('team-1', 'mallory'))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('getTeamCalendar', () => {
+    test('should group bookings and busy times by member within the window', async () => {
+      const calendar = await teamCalendarService.getTeamCalendar({
+        team,
+        startDate: '2026-07-01',
+        endDate: '2026-07-01',
+        timezone: 'UTC'
+      });
+
+      expect(calendar.window).toEqual({
+        start: new Date('2026-07-01T00:00:00Z'),
+        end: new Date('2026-07-02T00:00:00Z')
+      });
+      expect(calendar.members.map((member) => member.user.id)).toEqual(['alice', 'bob']);
+      expect(calendar.members[0].bookings.map((booking) => booking.id)).toEqual(['booking-1']);
+      expect(calendar.members[1].bookings).toEqual([]);
+      expect(calendar.members[1].busyTimes).toEqual([
+        { start: new Date('2026-07-01T14:00:00Z'), end: new Date('2026-07-01T15:00:00Z') }
+      ]);
+      expect(calendar.degraded).toBe(true);
+      expect(calendar.failedProviders).toEqual(['google']);
+    });
+
+    test('should query each member over their own dates covering the window', async () => {
+      await teamCalendarService.getTeamCalendar({
+        team,
+        startDate: '2026-07-01',
+        endDate: '2026-07-01',
+        timezone: 'UTC'
+      });
+
+      expect(availabilityService.getBusyTimesForRange)
+        .toHaveBeenCalledWith('alice', '2026-07-01', '2026-07-01', 'UTC');
+      expect(availabilityService.getBusyTimesForRange)
+        .toHaveBeenCalledWith('bob', '2026-06-30', '2026-07-01', 'America/New_York');
+    });
+  });
+
+  describe('buildCalendarFeed', () => {
+    test('should render bookings and busy times without invitee details', async () => {
+      const calendar = await teamCalendarService.getTeamCalendar({
+        team,
+        startDate: '2026-07-01',
+        endDate: '2026-07-01',
+        timezone: 'UTC'
+      });
+
+      const ics = teamCalendarService.buildCalendarFeed(team, calendar);
+
+      expect(ics).toContain('BEGIN:VCALENDAR');
+      expect(ics).toContain('SUMMARY:Alice Smith: Booked');
+      expect(ics).toContain('SUMMARY:Bob Jones: Busy');
+      expect(ics).toContain('DTSTART:20260701T100000Z');
+      expect(ics).toContain('UID:meetabl-team-team-1-booking-booking-1@meetabl.com');
+      expect(ics).not.toContain('Carol');
+    });
+
+    test('should render an empty calendar for a team without events', () => {
+      const ics = teamCalendarService.buildCalendarFeed(team, { members: [] });
+
+      expect(ics).toContain('BEGIN:VCALENDAR');
+      expect(ics).not.toContain('BEGIN:VEVENT');
+    });
+  });
+
+  describe('feeds', () => {
+    test('should reuse an existing feed', async () => {
+      const feed = { id: 'feed-1', token: 'existing' };
+      TeamCalendarFeed.findOne.mockResolvedValue(feed);
+
+      await expect(teamCalendarService.getOrCreateFeed('team-1', 'alice')).resolves.toBe(feed);
+      expect(TeamCalendarFeed.create).not.toHaveBeenCalled();
+    });
+
+    test('should create a feed with a random token', async () => {
+      TeamCalendarFeed.findOne.mockResolvedValue(null);
+      TeamCalendarFeed.create.mockImplementation((data) => Promise.resolve({ id: 'feed-1', ...data }));
+
+      const feed = await teamCalendarService.getOrCreateFeed('team-1', 'alice');
+
+      expect(feed.token).toMatch(/^[a-f0-9]{64}$/);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'alice',
+        action: 'team.calendar_feed.create',
+        metadata: { teamId: 'team-1', feedId: 'feed-1' }
+      }));
+    });
+
+    test('should revoke a feed by deleting it', async () => {
+      const feed = { id: 'feed-1', destroy: jest.fn() };
+      Team.findByPk.mockResolvedValue(team);
+      TeamMember.findOne.mockResolvedValue({ role: 'member' });
+      TeamCalendarFeed.findOne.mockResolvedValue(feed);
+
+      await teamCalendarService.revokeFeed('team-1', 'alice');
+
+      expect(feed.destroy).toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'team.calendar_feed.revoke'
+      }));
+    });
+
+    test('should not serve feeds of users who left the team', async () => {
+      const feed = {
+        teamId: 'team-1', userId: 'alice', team, update: jest.fn()
+      };
+      TeamCalendarFeed.findOne.mockResolvedValue(feed);
+      TeamMember.findOne.mockResolvedValue(null);
+
+      await expect(teamCalendarService.getFeedCalendar('token'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(feed.update).not.toHaveBeenCalled();
+    });
+
+    test('should serve the feed and record the access', async () => {
+      const now = new Date('2026-07-01T12:00:00Z');
+      const feed = {
+        teamId: 'team-1', userId: 'alice', team, update: jest.fn()
+      };
+      TeamCalendarFeed.findOne.mockResolvedValue(feed);
+      TeamMember.findOne.mockResolvedValue({ role: 'admin' });
+
+      const ics = await teamCalendarService.getFeedCalendar('token', now);
+
+      expect(ics).toContain('SUMMARY:Alice Smith: Booked');
+      expect(feed.update).toHaveBeenCalledWith({ lastAccessedAt: now });
+      expect(availabilityService.getBusyTimesForRange)
+        .toHaveBeenCalledWith('alice', '2026-06-24', expect.any(String), 'UTC');
+    });
+  });
+});
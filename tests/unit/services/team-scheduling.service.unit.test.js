@@ -0,0 +1,269 @@
+/**
+ * Team scheduling service unit tests
+ *
+ * Tests for round-robin and collective team availability
+ *
+ * @author meetabl Team
+ */
+
+jest.mock('../../../src/redis', () => ({
+  getClient: jest.fn()
+}));
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/config/database', () => ({
+  sequelize: {
+    fn: jest.fn((name, column) => `${name}(${column})`),
+    col: jest.fn((column) => column)
+  },
+  Op: jest.requireActual('sequelize').Op
+}));
+
+jest.mock('../../../src/services/calendar.service', () => ({
+  collectBusyTimes: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  Team: { findOne: jest.fn() },
+  TeamMember: { findAll: jest.fn() },
+  EventType: { findOne: jest.fn() },
+  EventTypeHost: { findAll: jest.fn() },
+  User: { findAll: jest.fn() },
+  AvailabilityRule: { findAll: jest.fn() },
+  AvailabilityOverride: { findAll: jest.fn() },
+  Booking: { findAll: jest.fn(), count: jest.fn() },
+  BookingRequest: { findAll: jest.fn() }
+}));
+
+const teamSchedulingService = require('../../../src/services/team-scheduling.service');
+const calendarService = require('../../../src/services/calendar.service');
+const {
+  TeamMember, EventTypeHost, User, AvailabilityRule, AvailabilityOverride, Booking, BookingRequest
+} = require('../../../src/models');
+
+const alice = { id: 'alice', firstName: 'Alice', timezone: 'UTC' };
+const bob = { id: 'bob', firstName: 'Bob', timezone: 'Europe/Berlin' };
+const now = new Date('2026-06-01T00:00:00Z');
+
+const eventType = (schedulingType) => ({
+  id: 'event-type-1',
+  teamId: 'team-1',
+  schedulingType,
+  duration: 60,
+  bufferBefore: 0,
+  bufferAfter: 0,
+  minimumNotice: 0,
+  maximumAdvance: null
+});
+
+// Wednesday 2026-07-01: Alice 09:00-12:00 UTC, Bob 12:00-15:00 Berlin (10:00-13:00 UTC)
+const rulesByUser = {
+  alice: [{
+    dayOfWeek: 3, startTime: '09:00:00', endTime: '12:00:00', bufferMinutes: 0
+  }],
+  bob: [{
+    dayOfWeek: 3, startTime: '12:00:00', endTime: '15:00:00', bufferMinutes: 0
+  }]
+};
+
+const isoStarts = (slots) => slots.map((slot) => slot.start.toISOString());
+
+describe('Team Scheduling Service', () => {
+  let bookingsByUser;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    bookingsByUser = { alice: [], bob: [] };
+
+    AvailabilityRule.findAll.mockImplementation(({ where }) => Promise.resolve(
+      rulesByUser[where.userId] || []
+    ));
+    AvailabilityOverride.findAll.mockResolvedValue([]);
+    Booking.findAll.mockImplementation(({ where }) => Promise.resolve(
+      bookingsByUser[where.userId] || []
+    ));
+    BookingRequest.findAll.mockResolvedValue([]);
+    calendarService.collectBusyTimes.mockResolvedValue({ busyTimes: [], failures: [] });
+  });
+
+  describe('getEventTypeHosts', () => {
+    test('should use the listed hosts who are still team members, in host order', async () => {
+      TeamMember.findAll.mockResolvedValue([{ user_id: 'alice' }, { user_id: 'bob' }]);
+      EventTypeHost.findAll.mockResolvedValue([
+        { userId: 'bob' },
+        { userId: 'former-member' },
+        { userId: 'alice' }
+      ]);
+      User.findAll.mockResolvedValue([alice, bob]);
+
+      const hosts = await teamSchedulingService.getEventTypeHosts(eventType('round_robin'));
+
+      expect(hosts.map((host) => host.id)).toEqual(['bob', 'alice']);
+    });
+
+    test('should fall back to every team member without listed hosts', async () => {
+      TeamMember.findAll.mockResolvedValue([{ user_id: 'alice' }, { user_id: 'bob' }]);
+      EventTypeHost.findAll.mockResolvedValue([]);
+      User.findAll.mockResolvedValue([bob, alice]);
+
+      const hosts = await teamSchedulingService.getEventTypeHosts(eventType('collective'));
+
+      expect(hosts.map((host) => host.id)).toEqual(['alice', 'bob']);
+    });
+  });
+
+  describe('getTeamSlots', () => {
+    const getSlots = (schedulingType) => teamSchedulingService.getTeamSlots({
+      eventType: eventType(schedulingType),
+      hosts: [alice, bob],
+      startDate: '2026-07-01',
+      endDate: '2026-07-01',
+      timezone: 'UTC',
+      now
+    });
+
+    test('should offer every host slot for round-robin event types', async () => {
+      bookingsByUser.bob = [{ startTime: '2026-07-01T11:00:00Z', endTime: '2026-07-01T12:00:00Z' }];
+
+      const { days } = await getSlots('round_robin');
+
+      expect(days).toHaveLength(1);
+      expect(isoStarts(days[0].slots)).toEqual([
+        '2026-07-01T09:00:00.000Z',
+        '2026-07-01T10:00:00.000Z',
+        '2026-07-01T11:00:00.000Z',
+        '2026-07-01T12:00:00.000Z'
+      ]);
+    });
+
+    test('should only offer slots every host is free for collective event types', async () => {
+      bookingsByUser.bob = [{ startTime: '2026-07-01T11:00:00Z', endTime: '2026-07-01T12:00:00Z' }];
+
+      const { days } = await getSlots('collective');
+
+      expect(isoStarts(days[0].slots)).toEqual(['2026-07-01T10:00:00.000Z']);
+    });
+
+    test('should drop collective slots blocked by a host calendar', async () => {
+      calendarService.collectBusyTimes.mockImplementation((userId) => Promise.resolve({
+        busyTimes: userId === 'alice'
+          ? [{ start: new Date('2026-07-01T10:30:00Z'), end: new Date('2026-07-01T10:45:00Z') }]
+          : [],
+        failures: []
+      }));
+
+      const { days, degraded } = await getSlots('collective');
+
+      expect(isoStarts(days[0].slots)).toEqual(['2026-07-01T11:00:00.000Z']);
+      expect(degraded).toBe(false);
+    });
+  });
+
+  describe('getAvailableHosts', () => {
+    const start = new Date('2026-07-01T10:00:00Z');
+    const end = new Date('2026-07-01T11:00:00Z');
+
+    test('should return the hosts free at the requested time', async () => {
+      const hosts = await teamSchedulingService.getAvailableHosts({
+        eventType: eventType('round_robin'),
+        hosts: [alice, bob],
+        start,
+        end,
+        now
+      });
+
+      expect(hosts.map((host) => host.id)).toEqual(['alice', 'bob']);
+    });
+
+    test('should exclude hosts with an overlapping pending request', async () => {
+      BookingRequest.findAll.mockResolvedValue([{ userId: 'alice' }]);
+
+      const hosts = await teamSchedulingService.getAvailableHosts({
+        eventType: eventType('round_robin'),
+        hosts: [alice, bob],
+        start,
+        end,
+        now
+      });
+
+      expect(hosts.map((host) => host.id)).toEqual(['bob']);
+    });
+
+    test('should exclude hosts outside their availability', async () => {
+      const hosts = await teamSchedulingService.getAvailableHosts({
+        eventType: eventType('round_robin'),
+        hosts: [alice, bob],
+        start: new Date('2026-07-01T09:00:00Z'),
+        end: new Date('2026-07-01T10:00:00Z'),
+        now
+      });
+
+      expect(hosts.map((host) => host.id)).toEqual(['alice']);
+    });
+  });
+
+  describe('pickRoundRobinHost', () => {
+    const carol = { id: 'carol', timezone: 'UTC' };
+
+    test('should prefer hosts who were never booked', async () => {
+      Booking.findAll.mockResolvedValue([
+        { userId: 'alice', lastBookedAt: '2026-06-01T10:00:00Z' }
+      ]);
+      BookingRequest.findAll.mockResolvedValue([
+        { userId: 'bob', lastBookedAt: '2026-05-01T10:00:00Z' }
+      ]);
+
+      const host = await teamSchedulingService.pickRoundRobinHost(
+        eventType('round_robin'),
+        [alice, bob, carol]
+      );
+
+      expect(host.id).toBe('carol');
+    });
+
+    test('should pick the least recently booked host across bookings and requests', async () => {
+      Booking.findAll.mockResolvedValue([
+        { userId: 'alice', lastBookedAt: '2026-05-01T10:00:00Z' },
+        { userId: 'bob', lastBookedAt: '2026-05-15T10:00:00Z' }
+      ]);
+      BookingRequest.findAll.mockResolvedValue([
+        { userId: 'alice', lastBookedAt: '2026-06-01T10:00:00Z' }
+      ]);
+
+      const host = await teamSchedulingService.pickRoundRobinHost(
+        eventType('round_robin'),
+        [alice, bob]
+      );
+
+      expect(host.id).toBe('bob');
+      expect(Booking.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        group: ['userId'],
+        where: expect.objectContaining({ eventTypeId: 'event-type-1', status: 'confirmed' })
+      }));
+    });
+
+    test('should keep host order on ties and skip lookups for a single host', async () => {
+      Booking.findAll.mockResolvedValue([]);
+
+      await expect(teamSchedulingService.pickRoundRobinHost(
+        eventType('round_robin'),
+        [bob, alice]
+      )).resolves.toBe(bob);
+
+      Booking.findAll.mockClear();
+
+      await expect(teamSchedulingService.pickRoundRobinHost(
+        eventType('round_robin'),
+        [alice]
+      )).resolves.toBe(alice);
+      expect(Booking.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
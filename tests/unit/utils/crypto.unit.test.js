@@ -15,7 +15,13 @@ const {
   validateTokenFormat,
   createTokenExpiration,
   isTokenExpired,
-  generateTokenWithExpiration
+  generateTokenWithExpiration,
+  getEncryptionKeys,
+  getSecretKeyId,
+  getSecretContext,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret
 } = require('../../../src/utils/crypto');
 
 describe('Crypto Utils', () => {
@@ -266,4 +272,114 @@ describe('Crypto Utils', () => {
       spy.mockRestore();
     });
   });
+
+  describe('Secret encryption', () => {
+    const oldKey = Buffer.alloc(32, 1).toString('base64');
+    const newKey = Buffer.alloc(32, 2).toString('base64');
+    const originalKeys = process.env.TOKEN_ENCRYPTION_KEYS;
+    const originalKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID;
+
+    beforeEach(() => {
+      process.env.TOKEN_ENCRYPTION_KEYS = `old:${oldKey}`;
+      delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+    });
+
+    afterAll(() => {
+      process.env.TOKEN_ENCRYPTION_KEYS = originalKeys;
+      process.env.TOKEN_ENCRYPTION_KEY_ID = originalKeyId;
+      if (originalKeyId === undefined) {
+        delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+      }
+    });
+
+    const context = getSecretContext('CalendarToken', 'token-1', 'accessToken');
+
+    test('should encrypt secrets under the current key and decrypt them', () => {
+      const encrypted = encryptSecret('ya29.access-token', context);
+
+      expect(encrypted).toMatch(/^enc:v1:old:/);
+      expect(encrypted).not.toContain('ya29');
+      expect(encryptSecret('ya29.access-token', context)).not.toBe(encrypted);
+      expect(decryptSecret(encrypted, context)).toBe('ya29.access-token');
+    });
+
+    test('should leave empty values unchanged', () => {
+      expect(encryptSecret(null, context)).toBeNull();
+      expect(encryptSecret(undefined, context)).toBeUndefined();
+    });
+
+    test('should encrypt values that look encrypted', () => {
+      const lookalike = encryptSecret('refresh-token', context);
+      const encrypted = encryptSecret(lookalike, context);
+
+      expect(encrypted).not.toBe(lookalike);
+      expect(decryptSecret(encrypted, context)).toBe(lookalike);
+    });
+
+    test('should not decrypt a secret copied to another row or column', () => {
+      const encrypted = encryptSecret('refresh-token', context);
+
+      expect(() => decryptSecret(encrypted, getSecretContext('CalendarToken', 'token-2', 'accessToken')))
+        .toThrow();
+      expect(() => decryptSecret(encrypted, getSecretContext('CalendarToken', 'token-1', 'refreshToken')))
+        .toThrow();
+    });
+
+    test('should not name a secret context without a row ID', () => {
+      expect(() => getSecretContext('CalendarToken', undefined, 'accessToken'))
+        .toThrow('without its ID');
+    });
+
+    test('should read values stored before encryption as they are', () => {
+      expect(decryptSecret('plain-token', context)).toBe('plain-token');
+      expect(decryptSecret(null, context)).toBeNull();
+    });
+
+    test('should reject secrets that were tampered with', () => {
+      const parts = encryptSecret('refresh-token', context).split(':');
+      const payload = Buffer.from(parts[4], 'base64');
+      payload[payload.length - 1] ^= 1;
+      parts[4] = payload.toString('base64');
+
+      expect(() => decryptSecret(parts.join(':'), context)).toThrow();
+    });
+
+    test('should move secrets to a new key without changing them', () => {
+      const encrypted = encryptSecret('refresh-token', context);
+      process.env.TOKEN_ENCRYPTION_KEYS = `new:${newKey},old:${oldKey}`;
+
+      const rewrapped = rewrapSecret(encrypted, context);
+
+      expect(getSecretKeyId(rewrapped)).toBe('new');
+      expect(rewrapped.split(':')[4]).toBe(encrypted.split(':')[4]);
+      expect(rewrapSecret(rewrapped, context)).toBe(rewrapped);
+
+      process.env.TOKEN_ENCRYPTION_KEYS = `new:${newKey}`;
+      expect(decryptSecret(rewrapped, context)).toBe('refresh-token');
+      expect(() => decryptSecret(encrypted, context)).toThrow('Encryption key old is not in TOKEN_ENCRYPTION_KEYS');
+    });
+
+    test('should encrypt plaintext values when rewrapping', () => {
+      const rewrapped = rewrapSecret('plain-token', context);
+
+      expect(getSecretKeyId(rewrapped)).toBe('old');
+      expect(decryptSecret(rewrapped, context)).toBe('plain-token');
+    });
+
+    test('should use the configured current key', () => {
+      process.env.TOKEN_ENCRYPTION_KEYS = `old:${oldKey},new:${newKey}`;
+      process.env.TOKEN_ENCRYPTION_KEY_ID = 'new';
+
+      expect(getEncryptionKeys().currentKeyId).toBe('new');
+      expect(getSecretKeyId(encryptSecret('token', context))).toBe('new');
+    });
+
+    test('should reject missing and malformed keys', () => {
+      delete process.env.TOKEN_ENCRYPTION_KEYS;
+      expect(() => encryptSecret('token', context)).toThrow('Token encryption is not configured');
+
+      process.env.TOKEN_ENCRYPTION_KEYS = 'short:c2hvcnQ=';
+      expect(() => getEncryptionKeys()).toThrow('32 byte keys');
+    });
+  });
 });
\ No newline at end of file
@@ -72,6 +72,34 @@ describe('ICS Generator', () => {
       expect(result.icsContent).toContain('eeting'); // "meeting" is split with line break
     });
 
+    it('should include answers to custom questions in description', async () => {
+      const result = await icsGenerator.generateBookingICS({
+        ...mockBookingCamelCase,
+        answers: [{
+          question_id: 'q1', label: 'Company', type: 'text', value: 'Acme'
+        }]
+      }, mockHost);
+      expect(result.icsContent).toContain('Company: Acme');
+    });
+
+    it('should include the manage link in description when given', async () => {
+      const result = await icsGenerator.generateBookingICS(mockBookingCamelCase, mockHost, {
+        manageUrl: 'https://app.meetabl.com/booking/manage/abc'
+      });
+      const unfolded = result.icsContent.replace(/\r?\n[ \t]/g, '');
+      expect(unfolded).toContain('Cancel or reschedule: https://app.meetabl.com/booking/manage/abc');
+    });
+
+    it('should invite additional attendees', async () => {
+      const result = await icsGenerator.generateBookingICS({
+        ...mockBookingCamelCase,
+        attendees: [{ name: 'Ann Lee', email: 'ann.lee@example.com' }]
+      }, mockHost);
+      const unfolded = result.icsContent.replace(/\r?\n[ \t]/g, '');
+      expect(unfolded).toContain('john.doe@example.com');
+      expect(unfolded).toContain('ann.lee@example.com');
+    });
+
     it('should include organizer and attendee information', async () => {
       const result = await icsGenerator.generateBookingICS(mockBookingCamelCase, mockHost);
       expect(result.icsContent).toContain('ORGANIZER;CN="Alice Wilson":MAILTO:alice.wilson@meetabl.com');
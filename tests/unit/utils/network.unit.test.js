@@ -0,0 +1,97 @@
+/**
+ * Network utility unit tests
+ *
+ * Tests refusing requests to loopback, private and link-local addresses
+ *
+ * @author meetabl Team
+ */
+
+jest.mock('dns', () => ({ lookup: jest.fn() }));
+
+const dns = require('dns');
+const { isPrivateAddress, lookupPublicAddress, assertPublicUrl } = require('../../../src/utils/network');
+
+describe('Network Utilities', () => {
+  const resolveTo = (...addresses) => {
+    dns.lookup.mockImplementation((hostname, options, callback) => callback(
+      null,
+      addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 }))
+    ));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isPrivateAddress', () => {
+    test.each([
+      '127.0.0.1',
+      '10.0.0.5',
+      '172.16.4.1',
+      '192.168.1.1',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0',
+      '::1',
+      '::ffff:10.0.0.5',
+      'fd12:3456::1',
+      'fe80::1',
+      'not-an-ip'
+    ])('should treat %s as private', (address) => {
+      expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each(['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'])('should treat %s as public', (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    });
+  });
+
+  describe('lookupPublicAddress', () => {
+    test('should pass public addresses on in the dns.lookup shape', (done) => {
+      resolveTo('93.184.216.34');
+
+      lookupPublicAddress('example.com', {}, (error, address, family) => {
+        expect(error).toBeNull();
+        expect(address).toBe('93.184.216.34');
+        expect(family).toBe(4);
+        done();
+      });
+    });
+
+    test('should refuse hosts with any private address', (done) => {
+      resolveTo('93.184.216.34', '10.0.0.5');
+
+      lookupPublicAddress('rebind.example.com', { all: true }, (error) => {
+        expect(error.code).toBe('EPRIVATEADDRESS');
+        done();
+      });
+    });
+  });
+
+  describe('assertPublicUrl', () => {
+    test('should check IP literals without a lookup', async () => {
+      await expect(assertPublicUrl('https://[::1]:8443/hook')).rejects.toMatchObject({
+        code: 'EPRIVATEADDRESS'
+      });
+      await expect(assertPublicUrl('http://0x7f000001/')).rejects.toMatchObject({
+        code: 'EPRIVATEADDRESS'
+      });
+      expect(dns.lookup).not.toHaveBeenCalled();
+    });
+
+    test('should resolve host names', async () => {
+      resolveTo('127.0.0.1');
+
+      await expect(assertPublicUrl('https://localhost/hook')).rejects.toMatchObject({
+        code: 'EPRIVATEADDRESS'
+      });
+      expect(dns.lookup).toHaveBeenCalledWith('localhost', { all: true }, expect.any(Function));
+    });
+
+    test('should accept public hosts', async () => {
+      resolveTo('93.184.216.34');
+
+      await expect(assertPublicUrl('https://example.com/hook')).resolves.toBeUndefined();
+    });
+  });
+});